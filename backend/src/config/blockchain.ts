@@ -48,16 +48,19 @@ const networks: Record<string, NetworkConfig> = {
 interface DeploymentData {
   proxy?: string;
   todoListAddress?: string;
+  blockNumber?: string | number;
   contracts?: {
-    TodoListV2?: { address: string };
-    TodoList?: { address: string };
+    TodoListV2?: { address: string; blockNumber?: string | number };
+    TodoList?: { address: string; blockNumber?: string | number };
+    Multicall3?: { address: string };
   };
 }
 
+const deploymentsDir = path.join(__dirname, "../../../contracts/deployments");
+
 // Load contract addresses from deployment files
 const loadContractAddresses = (): Record<number, string | undefined> => {
   const addresses: Record<number, string | undefined> = {};
-  const deploymentsDir = path.join(__dirname, "../../../contracts/deployments");
 
   Object.keys(networks).forEach((networkKey) => {
     const network = networks[networkKey];
@@ -94,6 +97,83 @@ const loadContractAddresses = (): Record<number, string | undefined> => {
   return addresses;
 };
 
+// Load the block each contract was deployed in, where the deployment file
+// recorded it. Used as the starting point when rebuilding from chain events.
+const loadDeploymentBlocks = (): Record<number, number | undefined> => {
+  const blocks: Record<number, number | undefined> = {};
+
+  Object.values(networks).forEach((network) => {
+    const deploymentFile = path.join(
+      deploymentsDir,
+      `deployment-${network.chainId}.json`,
+    );
+
+    try {
+      if (!fs.existsSync(deploymentFile)) return;
+
+      const deploymentData: DeploymentData = JSON.parse(
+        fs.readFileSync(deploymentFile, "utf8"),
+      );
+      const blockNumber = parseInt(
+        String(
+          deploymentData.blockNumber ??
+            deploymentData.contracts?.TodoListV2?.blockNumber ??
+            deploymentData.contracts?.TodoList?.blockNumber,
+        ),
+      );
+      // Older deployment files store "N/A" here
+      if (!Number.isNaN(blockNumber)) {
+        blocks[network.chainId] = blockNumber;
+      }
+    } catch (error: unknown) {
+      const err = error as Error;
+      logger.error(`Error loading deployment block for ${network.name}:`, {
+        error: err.message,
+      });
+    }
+  });
+
+  return blocks;
+};
+
+// Canonical Multicall3 deployment, present on all public networks we support
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+// Load the Multicall3 address used to batch contract reads per chain. A copy
+// recorded in the deployment file (local Hardhat) wins over the canonical one;
+// localhost has no canonical deployment, so reads fall back to single calls.
+const loadMulticallAddresses = (): Record<number, string | undefined> => {
+  const addresses: Record<number, string | undefined> = {};
+
+  Object.values(networks).forEach((network) => {
+    const deploymentFile = path.join(
+      deploymentsDir,
+      `deployment-${network.chainId}.json`,
+    );
+
+    try {
+      if (fs.existsSync(deploymentFile)) {
+        const deploymentData: DeploymentData = JSON.parse(
+          fs.readFileSync(deploymentFile, "utf8"),
+        );
+        addresses[network.chainId] =
+          deploymentData.contracts?.Multicall3?.address;
+      }
+    } catch (error: unknown) {
+      const err = error as Error;
+      logger.error(`Error loading Multicall3 address for ${network.name}:`, {
+        error: err.message,
+      });
+    }
+
+    if (!addresses[network.chainId] && network.chainId !== 31337) {
+      addresses[network.chainId] = MULTICALL3_ADDRESS;
+    }
+  });
+
+  return addresses;
+};
+
 // Load contract ABI
 const loadContractABI = (): unknown[] => {
   // Try bundled ABI first (works in production/Railway where artifacts/ is not available)
@@ -128,6 +208,8 @@ const loadContractABI = (): unknown[] => {
 module.exports = {
   networks,
   contractAddresses: loadContractAddresses(),
+  deploymentBlocks: loadDeploymentBlocks(),
+  multicallAddresses: loadMulticallAddresses(),
   contractABI: loadContractABI(),
   defaultNetwork: process.env.DEFAULT_NETWORK || "localhost",
 };
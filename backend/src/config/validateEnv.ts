@@ -76,6 +76,42 @@ const validateEnv = (): boolean => {
     }
   }
 
+  // SIWE messages name the frontend host, which a wildcard origin can't supply
+  if (process.env.CORS_ORIGIN === "*" && !process.env.SIWE_DOMAIN) {
+    errors.push(
+      'SIWE_DOMAIN is required when CORS_ORIGIN is "*" (sign-in messages are checked against it)',
+    );
+  }
+
+  // Validate RELAYER_PRIVATE_KEY format if set (optional, enables /api/relay)
+  if (
+    process.env.RELAYER_PRIVATE_KEY &&
+    !/^(0x)?[0-9a-fA-F]{64}$/.test(process.env.RELAYER_PRIVATE_KEY)
+  ) {
+    errors.push(
+      "RELAYER_PRIVATE_KEY must be a 32-byte hex private key (64 hex characters)",
+    );
+  }
+
+  // Validate the IPFS pinning provider (optional, enables /api/ipfs/pin)
+  const pinningProvider = process.env.IPFS_PINNING_PROVIDER;
+  if (
+    pinningProvider &&
+    !["pinata", "kubo", "web3storage", "memory"].includes(pinningProvider)
+  ) {
+    errors.push(
+      "IPFS_PINNING_PROVIDER must be one of pinata, kubo, web3storage, memory",
+    );
+  }
+  if (pinningProvider === "pinata" && !process.env.PINATA_JWT) {
+    errors.push("PINATA_JWT is required when IPFS_PINNING_PROVIDER=pinata");
+  }
+  if (pinningProvider === "web3storage" && !process.env.WEB3STORAGE_TOKEN) {
+    errors.push(
+      "WEB3STORAGE_TOKEN is required when IPFS_PINNING_PROVIDER=web3storage",
+    );
+  }
+
   // Report errors
   if (errors.length > 0) {
     logger.error("\n❌ ENVIRONMENT VALIDATION FAILED:\n");
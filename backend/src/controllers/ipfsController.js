@@ -0,0 +1,122 @@
+const pinningService = require("../services/pinningService");
+const {
+  ATTACHMENT_MIME_TYPES,
+  MAX_NAME_LENGTH,
+  attachmentType,
+  maxAttachmentBytes,
+} = require("../utils/attachments");
+
+/**
+ * Pin a task description envelope to IPFS
+ * POST /api/ipfs/pin
+ */
+const pinDescription = async (req, res, next) => {
+  try {
+    if (!pinningService.isEnabled()) {
+      return res.status(503).json({
+        success: false,
+        error: "IPFS pinning is not enabled on this server",
+      });
+    }
+
+    const result = await pinningService.pinJson(req.body.content);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pin an attachment file to IPFS and return its attachment reference
+ * POST /api/ipfs/upload
+ *
+ * The body is the raw file with its MIME type as Content-Type and the
+ * URI-encoded file name in X-File-Name.
+ */
+const uploadAttachment = async (req, res, next) => {
+  try {
+    if (!pinningService.isEnabled()) {
+      return res.status(503).json({
+        success: false,
+        error: "IPFS pinning is not enabled on this server",
+      });
+    }
+
+    const mimeType = (req.get("Content-Type") || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    // express.raw only reads the allowed types; anything else is left unread
+    if (
+      !ATTACHMENT_MIME_TYPES.includes(mimeType) ||
+      !Buffer.isBuffer(req.body)
+    ) {
+      return res.status(415).json({
+        success: false,
+        error: `Attachments must be one of: ${ATTACHMENT_MIME_TYPES.join(", ")}`,
+      });
+    }
+    if (req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Attachment is empty",
+      });
+    }
+
+    let name;
+    try {
+      name = decodeURIComponent(req.get("X-File-Name") || "").trim();
+    } catch {
+      name = "";
+    }
+    // Keep only the base name of a path
+    name = name.split(/[\\/]/).pop();
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `X-File-Name must be a URI-encoded file name of 1 to ${MAX_NAME_LENGTH} characters`,
+      });
+    }
+
+    const { cid } = await pinningService.pinFile(req.body, { name, mimeType });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        type: attachmentType(mimeType),
+        name,
+        mimeType,
+        size: req.body.length,
+        cid,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report whether pinning is available and which provider pins
+ * GET /api/ipfs
+ */
+const getPinningStatus = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: pinningService.isEnabled(),
+      provider: pinningService.getProviderName(),
+      maxAttachmentBytes: maxAttachmentBytes(),
+      attachmentTypes: ATTACHMENT_MIME_TYPES,
+    },
+  });
+};
+
+module.exports = {
+  pinDescription,
+  uploadAttachment,
+  getPinningStatus,
+};
@@ -0,0 +1,32 @@
+const TaskList = require("../models/TaskList");
+
+/**
+ * Get the shared lists the authenticated user owns or is a member of,
+ * with the user's role in each
+ * GET /api/lists
+ */
+const getLists = async (req, res, next) => {
+  try {
+    const lists = await TaskList.findAccessible(req.userAddress);
+
+    res.json({
+      success: true,
+      count: lists.length,
+      data: lists.map((list) => ({
+        chainId: list.chainId,
+        listId: list.listId,
+        name: list.name,
+        owner: list.owner,
+        members: list.members,
+        role: list.roleOf(req.userAddress),
+        blockchainCreatedAt: list.blockchainCreatedAt,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLists,
+};
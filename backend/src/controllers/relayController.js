@@ -0,0 +1,55 @@
+const relayer = require("../services/relayer");
+
+/**
+ * Submit an EIP-712 signed task request from the relayer key
+ * POST /api/relay
+ */
+const relayTransaction = async (req, res, next) => {
+  try {
+    if (!relayer.isEnabled()) {
+      return res.status(503).json({
+        success: false,
+        error: "Gasless transactions are not enabled on this server",
+      });
+    }
+
+    const { chainId, action, user } = req.body;
+
+    // Only relay the caller's own requests so the relayer can't be used to
+    // spend gas on behalf of arbitrary signatures
+    if (user.toLowerCase() !== req.userAddress) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only relay your own signed requests",
+      });
+    }
+
+    const result = await relayer.relay(chainId, action, req.body);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report whether gasless transactions are available
+ * GET /api/relay
+ */
+const getRelayStatus = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: relayer.isEnabled(),
+      address: relayer.getAddress(),
+    },
+  });
+};
+
+module.exports = {
+  relayTransaction,
+  getRelayStatus,
+};
@@ -1,9 +1,13 @@
 const Todo = require("../models/Todo");
+const TaskList = require("../models/TaskList");
+const TaskEvent = require("../models/TaskEvent");
 const blockchainService = require("../services/blockchainService");
 const { resolveDescription, isIpfsCid } = require("../services/ipfsService");
+const { maxDescriptionLength } = require("../utils/descriptions");
 
 /**
- * Get all todos for a specific address with advanced filtering and sorting
+ * Get all todos for a specific address with advanced filtering and sorting,
+ * including the todos of every shared list the address is a member of
  * GET /api/todos/:address
  * Query params:
  *   - includeCompleted: boolean (default: true)
@@ -11,12 +15,35 @@ const { resolveDescription, isIpfsCid } = require("../services/ipfsService");
  *   - search: string (searches in description)
  *   - dueFilter: 'overdue' | 'today' | 'week' | 'all'
  *   - sort: 'newest' | 'oldest' | 'dueDate' | 'alpha'
+ *
+ * Passing any of the paged query params below switches to a cursor-paginated
+ * response with a `pageInfo` object:
+ *   - limit: number (1-100, default: 20)
+ *   - cursor: string (pageInfo.nextCursor of the previous page)
+ *   - status: 'all' | 'active' | 'completed' | 'deleted' (default: 'all')
+ *   - sortBy: 'createdAt' | 'dueDate' | 'completedAt' | 'priority'
+ *     (default: 'createdAt')
+ *   - order: 'asc' | 'desc' (default: 'desc')
+ *   - dueFrom, dueTo: ISO 8601 dates (inclusive)
+ *   - q: string (text search over descriptions)
+ *   - priority: number (0-3)
+ *   - tag: string (keccak256 hash of the lower-cased tag name)
+ *   - topLevel: boolean (leave out subtasks)
+ *   - attachment: 'any' | 'file' | 'image' | 'link' (only todos with
+ *     attachments, or with one of this type)
+ * Paged todos carry a `subtasks: { total, completed }` roll-up.
  */
 const getTodosByAddress = async (req, res, next) => {
   try {
     const { address } = req.params;
+
+    if (PAGED_QUERY_PARAMS.some((param) => req.query[param] !== undefined)) {
+      return await getTodoPage(req, res);
+    }
+
     const { includeCompleted, includeDeleted, search, dueFilter, sort } =
       req.query;
+    const lists = await accessibleLists(address);
 
     let todos;
 
@@ -28,6 +55,7 @@ const getTodosByAddress = async (req, res, next) => {
         search,
         dueFilter,
         sort,
+        lists,
       };
       todos = await Todo.findByOwnerWithFilters(address, filters);
     } else {
@@ -36,6 +64,7 @@ const getTodosByAddress = async (req, res, next) => {
         address,
         includeCompleted !== "false",
         includeDeleted === "true",
+        lists,
       );
     }
 
@@ -62,6 +91,92 @@ const getTodosByAddress = async (req, res, next) => {
   }
 };
 
+// Shared lists whose todos an address can see, as { chainId, listId } keys
+const accessibleLists = async (address) => {
+  const lists = await TaskList.findAccessible(address);
+  return lists.map(({ chainId, listId }) => ({ chainId, listId }));
+};
+
+const PAGED_QUERY_PARAMS = [
+  "limit",
+  "cursor",
+  "status",
+  "sortBy",
+  "order",
+  "dueFrom",
+  "dueTo",
+  "q",
+  "priority",
+  "tag",
+  "topLevel",
+  "attachment",
+];
+
+const getTodoPage = async (req, res, { assigned = false } = {}) => {
+  const { address } = req.params;
+  const {
+    status,
+    sortBy,
+    order,
+    dueFrom,
+    dueTo,
+    q,
+    priority,
+    tag,
+    topLevel,
+    attachment,
+    cursor,
+  } = req.query;
+  const limit = req.query.limit ?? 20;
+  const lists = assigned ? [] : await accessibleLists(address);
+
+  const page = await Todo.findPage(address, {
+    status,
+    sortBy,
+    order,
+    dueFrom,
+    dueTo,
+    q,
+    priority,
+    tag,
+    topLevel,
+    attachment,
+    lists,
+    assigned,
+    cursor,
+    limit,
+  });
+  const todos = await Todo.withBlockers(
+    await Todo.withSubtaskCounts(page.todos),
+  );
+
+  res.json({
+    success: true,
+    count: todos.length,
+    data: todos,
+    pageInfo: {
+      total: page.total,
+      limit,
+      nextCursor: page.nextCursor,
+      hasMore: page.nextCursor !== null,
+    },
+  });
+};
+
+/**
+ * Get the todos assigned to an address, including assignments it has not
+ * accepted or rejected yet. Takes the paged query params of getTodosByAddress
+ * and always responds with a page.
+ * GET /api/todos/:address/assigned
+ */
+const getAssignedTodos = async (req, res, next) => {
+  try {
+    await getTodoPage(req, res, { assigned: true });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get a specific todo by ID
  * GET /api/todos/todo/:id
@@ -70,7 +185,7 @@ const getTodoById = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const todo = await Todo.findById(id);
+    const todo = req.todo ?? (await Todo.findById(id));
 
     if (!todo) {
       return res.status(404).json({
@@ -88,6 +203,123 @@ const getTodoById = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the event history of a todo, oldest first
+ * GET /api/todos/todo/:id/history
+ */
+const getTodoHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const todo = req.todo ?? (await Todo.findById(id));
+
+    if (!todo) {
+      return res.status(404).json({
+        success: false,
+        error: "Todo not found",
+      });
+    }
+
+    const events = await TaskEvent.findHistory(todo.chainId, todo.blockchainId);
+
+    res.json({
+      success: true,
+      count: events.length,
+      data: events,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a todo with its subtasks nested under `subtasks`
+ * GET /api/todos/todo/:id/subtasks
+ */
+const getTodoTree = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const todo = req.todo ?? (await Todo.findById(id));
+
+    if (!todo) {
+      return res.status(404).json({
+        success: false,
+        error: "Todo not found",
+      });
+    }
+
+    const tree = await Todo.findTree(todo.chainId, todo.blockchainId);
+
+    res.json({
+      success: true,
+      data: tree,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get every occurrence of the recurring series a todo belongs to, oldest
+ * first; a todo that never recurred is returned on its own
+ * GET /api/todos/todo/:id/series
+ */
+const getTodoSeries = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const todo = req.todo ?? (await Todo.findById(id));
+
+    if (!todo) {
+      return res.status(404).json({
+        success: false,
+        error: "Todo not found",
+      });
+    }
+
+    const occurrences = todo.seriesId
+      ? await Todo.findSeries(todo.chainId, todo.seriesId)
+      : [todo];
+
+    res.json({
+      success: true,
+      count: occurrences.length,
+      data: occurrences,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the tasks a todo depends on and the tasks waiting on it
+ * GET /api/todos/todo/:id/dependencies
+ */
+const getTodoDependencies = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const todo = req.todo ?? (await Todo.findById(id));
+
+    if (!todo) {
+      return res.status(404).json({
+        success: false,
+        error: "Todo not found",
+      });
+    }
+
+    const graph = await Todo.findDependencyGraph(todo);
+
+    res.json({
+      success: true,
+      data: graph,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Verify a todo against blockchain
  * GET /api/todos/verify/:id
@@ -96,7 +328,7 @@ const verifyTodo = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const todo = await Todo.findById(id);
+    const todo = req.todo ?? (await Todo.findById(id));
 
     if (!todo) {
       return res.status(404).json({
@@ -162,25 +394,18 @@ const verifyTodo = async (req, res, next) => {
 };
 
 /**
- * Get user stats
+ * Get user stats, counting the todos of shared lists the user is a member of
  * GET /api/todos/:address/stats
  */
 const getUserStats = async (req, res, next) => {
   try {
     const { address } = req.params;
+    const lists = await accessibleLists(address);
 
     const [total, completed, active] = await Promise.all([
-      Todo.countByOwner(address),
-      Todo.countDocuments({
-        owner: address.toLowerCase(),
-        completed: true,
-        deleted: false,
-      }),
-      Todo.countDocuments({
-        owner: address.toLowerCase(),
-        completed: false,
-        deleted: false,
-      }),
+      Todo.countByOwner(address, lists),
+      Todo.countByOwner(address, lists, { completed: true }),
+      Todo.countByOwner(address, lists, { completed: false }),
     ]);
 
     res.json({
@@ -233,6 +458,9 @@ const syncTodoFromBlockchain = async (req, res, next) => {
       // Update existing
       todo.description = resolved.text;
       todo.ipfsCid = resolved.cid;
+      todo.encrypted = !!resolved.encrypted;
+      todo.contentType = resolved.contentType || "text/plain";
+      todo.attachments = resolved.attachments || [];
       todo.completed = task.completed;
       todo.blockchainCompletedAt = task.completed
         ? new Date(Number(task.completedAt) * 1000)
@@ -243,7 +471,11 @@ const syncTodoFromBlockchain = async (req, res, next) => {
           ? new Date(Number(task.deletedAt) * 1000)
           : null;
       todo.syncStatus =
-        resolved.cid && resolved.text === task.description ? "error" : "synced";
+        resolved.cid &&
+        !resolved.encrypted &&
+        resolved.text === task.description
+          ? "error"
+          : "synced";
       todo.lastSyncedAt = new Date();
       await todo.save();
     } else {
@@ -255,6 +487,9 @@ const syncTodoFromBlockchain = async (req, res, next) => {
         owner: task.owner.toLowerCase(),
         description: resolved.text,
         ipfsCid: resolved.cid,
+        encrypted: !!resolved.encrypted,
+        contentType: resolved.contentType || "text/plain",
+        attachments: resolved.attachments || [],
         completed: task.completed,
         blockchainCreatedAt: new Date(Number(task.createdAt) * 1000),
         blockchainCompletedAt: task.completed
@@ -266,7 +501,9 @@ const syncTodoFromBlockchain = async (req, res, next) => {
             ? new Date(Number(task.deletedAt) * 1000)
             : null,
         syncStatus:
-          resolved.cid && resolved.text === task.description
+          resolved.cid &&
+          !resolved.encrypted &&
+          resolved.text === task.description
             ? "error"
             : "synced",
       });
@@ -279,7 +516,10 @@ const syncTodoFromBlockchain = async (req, res, next) => {
       data: todo,
     });
   } catch (error) {
-    if (error.message && error.message.includes("Task does not exist")) {
+    if (
+      error.revert?.name === "TaskNotFound" ||
+      (error.message && error.message.includes("Task does not exist"))
+    ) {
       return res.status(404).json({
         success: false,
         error: "Task not found on blockchain",
@@ -289,6 +529,49 @@ const syncTodoFromBlockchain = async (req, res, next) => {
   }
 };
 
+/**
+ * Apply all task events of a mined transaction, e.g. a batch create, complete
+ * or delete, and return the todos it touched
+ * POST /api/todos/sync-transaction
+ */
+const syncTransaction = async (req, res, next) => {
+  try {
+    const { chainId, transactionHash } = req.body;
+
+    if (!blockchainService.getContract(chainId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid chainId or blockchain not connected",
+      });
+    }
+
+    const result = await blockchainService.syncTransaction(
+      chainId,
+      transactionHash,
+    );
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: "Transaction not found or not yet mined",
+      });
+    }
+
+    const todos = await Todo.find({
+      chainId,
+      blockchainId: { $in: result.taskIds },
+    });
+
+    res.json({
+      success: true,
+      message: `Applied ${result.applied} events from transaction`,
+      count: todos.length,
+      data: todos,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Restore a deleted todo
  * POST /api/todos/restore
@@ -304,7 +587,7 @@ const restoreTodo = async (req, res, next) => {
       });
     }
 
-    const todo = await Todo.findById(id);
+    const todo = req.todo ?? (await Todo.findById(id));
 
     if (!todo) {
       return res.status(404).json({
@@ -348,14 +631,7 @@ const updateTodo = async (req, res, next) => {
       });
     }
 
-    if (description.length > 500) {
-      return res.status(400).json({
-        success: false,
-        error: "Description must be 500 characters or less",
-      });
-    }
-
-    const todo = await Todo.findById(id);
+    const todo = req.todo ?? (await Todo.findById(id));
 
     if (!todo) {
       return res.status(404).json({
@@ -364,6 +640,15 @@ const updateTodo = async (req, res, next) => {
       });
     }
 
+    // Descriptions pinned to IPFS may be longer than on-chain ones
+    const maxLength = maxDescriptionLength(!!todo.ipfsCid);
+    if (description.length > maxLength) {
+      return res.status(400).json({
+        success: false,
+        error: `Description must be ${maxLength} characters or less`,
+      });
+    }
+
     if (todo.deleted) {
       return res.status(400).json({
         success: false,
@@ -371,6 +656,15 @@ const updateTodo = async (req, res, next) => {
       });
     }
 
+    // Storing it here would put the plaintext of an encrypted description
+    // on the server
+    if (todo.encrypted) {
+      return res.status(400).json({
+        success: false,
+        error: "Encrypted descriptions can only be updated on-chain",
+      });
+    }
+
     // Update in database
     await todo.updateDescription(description.trim());
 
@@ -386,10 +680,16 @@ const updateTodo = async (req, res, next) => {
 
 module.exports = {
   getTodosByAddress,
+  getAssignedTodos,
   getTodoById,
+  getTodoHistory,
+  getTodoTree,
+  getTodoSeries,
+  getTodoDependencies,
   verifyTodo,
   getUserStats,
   syncTodoFromBlockchain,
+  syncTransaction,
   restoreTodo,
   updateTodo,
 };
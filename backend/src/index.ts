@@ -14,12 +14,20 @@ import http from "http";
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const connectDB = require("./config/database");
 // eslint-disable-next-line @typescript-eslint/no-var-requires
+const Todo = require("./models/Todo");
+// eslint-disable-next-line @typescript-eslint/no-var-requires
 const blockchainService = require("./services/blockchainService");
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const authRoutes = require("./routes/authRoutes");
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const todoRoutes = require("./routes/todoRoutes");
 // eslint-disable-next-line @typescript-eslint/no-var-requires
+const listRoutes = require("./routes/listRoutes");
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const relayRoutes = require("./routes/relayRoutes");
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const ipfsRoutes = require("./routes/ipfsRoutes");
+// eslint-disable-next-line @typescript-eslint/no-var-requires
 const healthRoutes = require("./routes/healthRoutes");
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const errorHandler = require("./middleware/errorHandler");
@@ -126,6 +134,8 @@ app.use(
 );
 
 app.use(requestLogger); // Request logging with correlation IDs
+// Envelopes pinned to IPFS hold descriptions of up to 10,000 characters
+app.use("/api/ipfs/pin", express.json({ limit: "64kb" }));
 app.use(express.json({ limit: "10kb" })); // Parse JSON bodies with size limit
 app.use(express.urlencoded({ extended: true, limit: "10kb" })); // Prevent large payload attacks
 
@@ -162,6 +172,9 @@ app.locals["strictLimiter"] = strictLimiter;
 app.use("/api/health", healthRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/todos", todoRoutes);
+app.use("/api/lists", listRoutes);
+app.use("/api/relay", relayRoutes);
+app.use("/api/ipfs", ipfsRoutes);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -175,6 +188,10 @@ const startServer = async (): Promise<void> => {
     await connectDB();
     logger.info("✓ MongoDB connected successfully");
 
+    if (await Todo.migrateTextIndex()) {
+      logger.info("✓ Replaced the owner-prefixed todo text index");
+    }
+
     // Initialize blockchain service (connect to networks and start event listeners)
     await blockchainService.initialize();
     logger.info("✓ Blockchain service initialized");
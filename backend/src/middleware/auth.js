@@ -1,6 +1,21 @@
 const { ethers } = require("ethers");
 const jwt = require("jsonwebtoken");
 const logger = require("../utils/logger");
+const Todo = require("../models/Todo");
+const TaskList = require("../models/TaskList");
+const AuthNonce = require("../models/AuthNonce");
+const RefreshToken = require("../models/RefreshToken");
+const { networks } = require("../config/blockchain");
+const { verifySignature } = require("../services/signatureVerifier");
+const {
+  parseSiweMessage,
+  validateSiweMessage,
+  allowedDomains,
+} = require("../utils/siwe");
+
+const supportedChainIds = Object.values(networks).map(
+  (network) => network.chainId,
+);
 
 /**
  * Verify Ethereum signature for wallet-based authentication
@@ -8,8 +23,16 @@ const logger = require("../utils/logger");
  * {
  *   "address": "0x...",
  *   "signature": "0x...",
- *   "message": "Login message with nonce"
+ *   "message": "<Sign-In with Ethereum message>"
  * }
+ *
+ * The message must be an EIP-4361 message for this app's domain and a
+ * supported chain, carrying a nonce issued to the address by
+ * GET /api/auth/nonce/:address. The nonce is consumed here, so a captured
+ * signature cannot be replayed.
+ *
+ * Contract wallets (ERC-1271, and ERC-6492 before deployment) sign in too;
+ * their signatures are checked on the message's chain.
  */
 const verifyWalletSignature = async (req, res, next) => {
   try {
@@ -22,16 +45,51 @@ const verifyWalletSignature = async (req, res, next) => {
       });
     }
 
+    const fields = parseSiweMessage(message);
+    if (!fields) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid SIWE message",
+      });
+    }
+
+    // Checked before the signature so contract wallets are only looked up
+    // on supported chains
+    const reason = validateSiweMessage(fields, {
+      address,
+      domains: allowedDomains(),
+      chainIds: supportedChainIds,
+    });
+    if (reason) {
+      return res.status(401).json({
+        success: false,
+        error: reason,
+      });
+    }
+
     // Verify the signature
-    const recoveredAddress = ethers.verifyMessage(message, signature);
+    const isValid = await verifySignature({
+      address,
+      message,
+      signature,
+      chainId: fields.chainId,
+    });
 
-    if (recoveredAddress.toLowerCase() !== address.toLowerCase()) {
+    if (!isValid) {
       return res.status(401).json({
         success: false,
         error: "Invalid signature",
       });
     }
 
+    const issued = await AuthNonce.consume(address, fields.nonce);
+    if (!issued) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired nonce",
+      });
+    }
+
     // Attach verified address to request
     req.userAddress = address.toLowerCase();
     next();
@@ -49,8 +107,12 @@ const verifyWalletSignature = async (req, res, next) => {
 
 /**
  * Optional: Verify JWT token (for session management after initial wallet verification)
+ *
+ * Tokens issued at login carry their session id (sid) and are refused once
+ * that session is revoked by /logout, /logout-all or refresh token reuse.
  */
-const verifyJWT = (req, res, next) => {
+const verifyJWT = async (req, res, next) => {
+  let decoded;
   try {
     const token = req.headers.authorization?.split(" ")[1]; // Bearer <token>
 
@@ -61,23 +123,49 @@ const verifyJWT = (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userAddress = decoded.address.toLowerCase();
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     return res.status(401).json({
       success: false,
       error: "Invalid or expired token",
     });
   }
+
+  if (decoded.sid) {
+    try {
+      if (!(await RefreshToken.isSessionActive(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          error: "Session has been revoked",
+        });
+      }
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  req.userAddress = decoded.address.toLowerCase();
+  next();
 };
 
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+const accessTokenTtlSeconds = () =>
+  parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS ?? "") ||
+  DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+
 /**
- * Generate JWT token after successful wallet verification
+ * Generate a short-lived JWT access token after successful wallet
+ * verification. Clients renew it with the session's refresh token
+ * (POST /api/auth/refresh); verifyJWT refuses it once the session is revoked.
  */
-const generateToken = (address) => {
-  return jwt.sign({ address: address.toLowerCase() }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
+const generateToken = (address, session) => {
+  const payload = { address: address.toLowerCase() };
+  if (session) {
+    payload.sid = session;
+  }
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: accessTokenTtlSeconds(),
   });
 };
 
@@ -108,6 +196,11 @@ const validateAddress = (req, res, next) => {
 /**
  * Middleware to ensure the authenticated user owns the resource
  * Use after verifyJWT or verifyWalletSignature
+ *
+ * Address resources (`:address` / `owner`) must be the user's own. Todo
+ * resources (`:id` / body `id`) are also open to members of the todo's shared
+ * list: viewers may read them and editors may change them. The loaded todo is
+ * attached as `req.todo`.
  */
 const ensureOwnership = (req, res, next) => {
   const resourceAddress = req.params.address || req.body.owner;
@@ -126,13 +219,53 @@ const ensureOwnership = (req, res, next) => {
     });
   }
 
+  const todoId = !resourceAddress && (req.params.id || req.body.id);
+  if (todoId) {
+    return ensureTodoAccess(req, res, next, todoId);
+  }
+
   next();
 };
 
+const ensureTodoAccess = async (req, res, next, todoId) => {
+  try {
+    const todo = await Todo.findById(todoId);
+
+    if (!todo) {
+      return res.status(404).json({
+        success: false,
+        error: "Todo not found",
+      });
+    }
+
+    const role = await TaskList.roleForTodo(todo, req.userAddress);
+    const required = req.method === "GET" ? "viewer" : "editor";
+    // Assignees, and addresses asked to take a task on, can read it
+    const isAssignee =
+      req.method === "GET" &&
+      [todo.assignee, todo.pendingAssignee].includes(req.userAddress);
+
+    if (!isAssignee && !TaskList.hasAccess(role, required)) {
+      return res.status(403).json({
+        success: false,
+        error: role
+          ? "Access denied: Editor access to this list is required"
+          : "Access denied: You can only access your own resources",
+      });
+    }
+
+    req.todo = todo;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   verifyWalletSignature,
   verifyJWT,
   generateToken,
+  accessTokenTtlSeconds,
   validateAddress,
   ensureOwnership,
 };
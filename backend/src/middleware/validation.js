@@ -1,4 +1,14 @@
 const { body, query, validationResult } = require("express-validator");
+const {
+  ENVELOPE_VERSION,
+  MAX_ATTACHMENTS,
+  attachmentError,
+} = require("../utils/attachments");
+const {
+  CONTENT_TYPES,
+  MAX_ONCHAIN_DESCRIPTION_LENGTH,
+  MAX_IPFS_DESCRIPTION_LENGTH,
+} = require("../utils/descriptions");
 
 /**
  * Handle validation errors from express-validator
@@ -34,6 +44,20 @@ const validateSyncRequest = [
   handleValidationErrors,
 ];
 
+/**
+ * Validation middleware for transaction sync endpoint
+ */
+const validateSyncTransactionRequest = [
+  body("chainId")
+    .isInt({ min: 1, max: 999999999 })
+    .withMessage("chainId must be a valid positive integer")
+    .toInt(),
+  body("transactionHash")
+    .matches(/^0x[a-fA-F0-9]{64}$/)
+    .withMessage("transactionHash must be a 32-byte hex hash"),
+  handleValidationErrors,
+];
+
 /**
  * Validation middleware for restore endpoint
  */
@@ -54,11 +78,217 @@ const validateTodoQuery = [
     .optional()
     .isBoolean()
     .withMessage("includeDeleted must be a boolean"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be an integer between 1 and 100")
+    .toInt(),
+  query("cursor")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .isBase64({ urlSafe: true })
+    .withMessage("cursor must be a cursor returned by a previous page"),
+  query("status")
+    .optional()
+    .isIn(["all", "active", "completed", "deleted"])
+    .withMessage("status must be one of all, active, completed, deleted"),
+  query("sortBy")
+    .optional()
+    .isIn(["createdAt", "dueDate", "completedAt", "priority"])
+    .withMessage(
+      "sortBy must be one of createdAt, dueDate, completedAt, priority",
+    ),
+  query("order")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("order must be asc or desc"),
+  query("dueFrom")
+    .optional()
+    .isISO8601()
+    .withMessage("dueFrom must be an ISO 8601 date"),
+  query("dueTo")
+    .optional()
+    .isISO8601()
+    .withMessage("dueTo must be an ISO 8601 date"),
+  query("q")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("q must be between 1 and 100 characters"),
+  query("priority")
+    .optional()
+    .isInt({ min: 0, max: 3 })
+    .withMessage("priority must be an integer between 0 and 3")
+    .toInt(),
+  query("tag")
+    .optional()
+    .matches(/^0x[a-fA-F0-9]{64}$/)
+    .withMessage("tag must be a bytes32 tag hash"),
+  query("topLevel")
+    .optional()
+    .isBoolean()
+    .withMessage("topLevel must be a boolean")
+    .toBoolean(),
+  query("attachment")
+    .optional()
+    .isIn(["any", "file", "image", "link"])
+    .withMessage("attachment must be one of: any, file, image, link"),
+  handleValidationErrors,
+];
+
+/**
+ * Validation middleware for relaying EIP-712 signed task requests
+ */
+const validateRelayRequest = [
+  body("chainId")
+    .isInt({ min: 1, max: 999999999 })
+    .withMessage("chainId must be a valid positive integer")
+    .toInt(),
+  body("action")
+    .isIn(["create", "complete", "delete", "restore", "update"])
+    .withMessage(
+      "action must be one of create, complete, delete, restore, update",
+    ),
+  body("user")
+    .isEthereumAddress()
+    .withMessage("user must be a valid Ethereum address"),
+  body("deadline")
+    .isInt({ min: 1 })
+    .withMessage("deadline must be a Unix timestamp")
+    .toInt(),
+  body("signature")
+    .matches(/^0x([a-fA-F0-9]{128}|[a-fA-F0-9]{130})$/)
+    .withMessage("signature must be a 64 or 65 byte hex signature"),
+  body("taskId")
+    .if(body("action").not().equals("create"))
+    .matches(/^[0-9]+$/)
+    .withMessage("taskId must contain only numbers"),
+  body("description")
+    .if(body("action").equals("create"))
+    .isString()
+    .isLength({ min: 1, max: MAX_ONCHAIN_DESCRIPTION_LENGTH })
+    .withMessage(
+      `description must be a string between 1 and ${MAX_ONCHAIN_DESCRIPTION_LENGTH} characters`,
+    ),
+  body("dueDate")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("dueDate must be a Unix timestamp or 0")
+    .toInt(),
+  body("newDescription")
+    .if(body("action").equals("update"))
+    .isString()
+    .isLength({ min: 1, max: MAX_ONCHAIN_DESCRIPTION_LENGTH })
+    .withMessage(
+      `newDescription must be a string between 1 and ${MAX_ONCHAIN_DESCRIPTION_LENGTH} characters`,
+    ),
+  handleValidationErrors,
+];
+
+const ENVELOPE_FIELDS = [
+  "description",
+  "contentType",
+  "encrypted",
+  "attachments",
+  "version",
+  "timestamp",
+];
+
+/**
+ * Validation middleware for pinning a description envelope. Only envelopes
+ * the app itself reads are accepted, so the endpoint can't be used to pin
+ * arbitrary data with the server's account.
+ */
+const validatePinRequest = [
+  body("content")
+    .isObject()
+    .withMessage("content must be a JSON object")
+    .bail()
+    .custom((content) => {
+      const unknown = Object.keys(content).filter(
+        (key) => !ENVELOPE_FIELDS.includes(key),
+      );
+      if (unknown.length > 0) {
+        throw new Error(`content has unknown fields: ${unknown.join(", ")}`);
+      }
+      if ("description" in content === "encrypted" in content) {
+        throw new Error(
+          "content must have either a description or an encrypted payload",
+        );
+      }
+      return true;
+    }),
+  body("content.version")
+    .isInt({ min: 1 })
+    .withMessage("content.version must be a positive integer"),
+  body("content.timestamp")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("content.timestamp must be a timestamp in milliseconds"),
+  body("content.description")
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: MAX_IPFS_DESCRIPTION_LENGTH })
+    .withMessage(
+      `content.description must be a string between 1 and ${MAX_IPFS_DESCRIPTION_LENGTH} characters`,
+    ),
+  body("content.contentType")
+    .optional()
+    .isIn(CONTENT_TYPES)
+    .withMessage(
+      `content.contentType must be one of ${CONTENT_TYPES.join(", ")}`,
+    ),
+  body("content.encrypted")
+    .optional()
+    .isObject()
+    .withMessage("content.encrypted must be an object"),
+  body(["content.encrypted.scheme", "content.encrypted.iv"])
+    .if(body("content.encrypted").exists())
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("content.encrypted needs a scheme and an iv"),
+  body("content.encrypted.version")
+    .if(body("content.encrypted").exists())
+    .isInt({ min: 1 })
+    .withMessage("content.encrypted.version must be a positive integer"),
+  body("content.encrypted.ciphertext")
+    .if(body("content.encrypted").exists())
+    .matches(/^0x[0-9a-fA-F]+$/)
+    .withMessage("content.encrypted.ciphertext must be hex data"),
+  body("content.attachments")
+    .optional()
+    .isArray({ max: MAX_ATTACHMENTS })
+    .withMessage(`content.attachments must list at most ${MAX_ATTACHMENTS}`)
+    .bail()
+    .custom((attachments, { req }) => {
+      // Attachment names and links would sit next to the ciphertext in
+      // plain text
+      if (req.body.content.encrypted) {
+        throw new Error("Encrypted descriptions cannot have attachments");
+      }
+      if (req.body.content.version < ENVELOPE_VERSION) {
+        throw new Error(
+          `Envelopes with attachments must be version ${ENVELOPE_VERSION}`,
+        );
+      }
+      attachments.forEach((attachment, index) => {
+        const error = attachmentError(attachment);
+        if (error) {
+          throw new Error(`content.attachments[${index}]: ${error}`);
+        }
+      });
+      return true;
+    }),
   handleValidationErrors,
 ];
 
 module.exports = {
   validateSyncRequest,
+  validateSyncTransactionRequest,
+  validateRelayRequest,
+  validatePinRequest,
   validateRestoreRequest,
   validateTodoQuery,
   handleValidationErrors,
@@ -0,0 +1,79 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const DEFAULT_TTL_SECONDS = 5 * 60;
+
+/**
+ * Login nonce issued by GET /api/auth/nonce/:address.
+ *
+ * The client puts the nonce in the Sign-In with Ethereum message it signs.
+ * Login consumes it, so each signature is accepted once; unused nonces are
+ * removed by the TTL index after `expiresAt`. An address has at most one
+ * unused nonce, since issuing a new one replaces it.
+ */
+const authNonceSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      required: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    nonce: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// MongoDB removes expired nonces in the background
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ttlSeconds = () =>
+  parseInt(process.env.AUTH_NONCE_TTL_SECONDS ?? "") || DEFAULT_TTL_SECONDS;
+
+/**
+ * Issue a nonce for an address, replacing the one it was issued before so
+ * unauthenticated requests cannot pile nonces up. SIWE nonces must be
+ * alphanumeric and at least 8 characters long
+ */
+authNonceSchema.statics.issue = async function (address) {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + ttlSeconds() * 1000);
+
+  await this.deleteMany({ address: address.toLowerCase() });
+  await this.create({ address, nonce, expiresAt });
+
+  return { nonce, issuedAt, expiresAt };
+};
+
+/**
+ * Remove and return the unexpired nonce issued to `address`, or null if
+ * there is none. Deleting it in the same operation keeps two logins from
+ * using the same nonce.
+ */
+authNonceSchema.statics.consume = function (address, nonce) {
+  return this.findOneAndDelete({
+    address: address.toLowerCase(),
+    nonce,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+const AuthNonce = mongoose.model("AuthNonce", authNonceSchema);
+
+module.exports = AuthNonce;
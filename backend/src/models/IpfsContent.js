@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+
+const DEFAULT_MAX_ATTEMPTS = 10;
+const DEFAULT_BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * IPFS content keyed by CID.
+ *
+ * Content is only stored after it was verified against its CID, and a CID
+ * always names the same bytes, so resolved entries never go stale. CIDs
+ * that could not be fetched are kept as "pending" with the time of their
+ * next attempt, which makes this collection the re-fetch queue as well;
+ * after `IPFS_REFETCH_MAX_ATTEMPTS` failures they are marked "failed".
+ */
+const ipfsContentSchema = new mongoose.Schema(
+  {
+    cid: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["resolved", "pending", "failed"],
+      default: "pending",
+    },
+    // Parsed JSON envelope, or the text of non-JSON content
+    content: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Re-fetch queue scans pending entries by due time
+ipfsContentSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const maxAttempts = () =>
+  parseInt(process.env.IPFS_REFETCH_MAX_ATTEMPTS ?? "") || DEFAULT_MAX_ATTEMPTS;
+
+const baseDelay = () =>
+  parseInt(process.env.IPFS_REFETCH_BASE_DELAY ?? "") || DEFAULT_BASE_DELAY_MS;
+
+/**
+ * Resolved entry for a CID, or null if its content is not cached
+ */
+ipfsContentSchema.statics.findResolved = function (cid) {
+  return this.findOne({ cid, status: "resolved" }).lean();
+};
+
+/**
+ * Cache verified content for a CID, taking it off the re-fetch queue
+ */
+ipfsContentSchema.statics.store = function (cid, content) {
+  return this.findOneAndUpdate(
+    { cid },
+    {
+      $set: {
+        status: "resolved",
+        content,
+        resolvedAt: new Date(),
+        nextAttemptAt: null,
+        lastError: null,
+      },
+    },
+    { upsert: true, new: true },
+  );
+};
+
+/**
+ * Record a failed fetch and schedule the next attempt with exponential
+ * backoff. Resolved entries are left alone.
+ */
+ipfsContentSchema.statics.recordFailure = async function (cid, error) {
+  const entry = await this.findOne({ cid });
+  if (entry && entry.status === "resolved") {
+    return entry;
+  }
+
+  const attempts = (entry ? entry.attempts : 0) + 1;
+  const failed = attempts >= maxAttempts();
+  const delay = Math.min(baseDelay() * 2 ** (attempts - 1), MAX_DELAY_MS);
+
+  return this.findOneAndUpdate(
+    { cid },
+    {
+      $set: {
+        status: failed ? "failed" : "pending",
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: failed ? null : new Date(Date.now() + delay),
+      },
+    },
+    { upsert: true, new: true },
+  );
+};
+
+/**
+ * Pending CIDs whose next attempt is due, oldest first
+ */
+ipfsContentSchema.statics.findDue = function (limit) {
+  return this.find({
+    status: "pending",
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .lean();
+};
+
+const IpfsContent = mongoose.model("IpfsContent", ipfsContentSchema);
+
+module.exports = IpfsContent;
@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+const DEFAULT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Refresh token of a login session.
+ *
+ * Only a hash of the token is stored. Every refresh revokes the presented
+ * token and issues a new one in the same session, so a token is accepted
+ * once; presenting a revoked token again means it was stolen, and the whole
+ * session is revoked. Expired tokens are removed by the TTL index.
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    address: {
+      type: String,
+      required: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Every token issued since the login shares the session id
+    session: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+refreshTokenSchema.index({ session: 1 });
+refreshTokenSchema.index({ address: 1, revokedAt: 1 });
+// MongoDB removes expired tokens in the background
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ttlSeconds = () =>
+  parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS ?? "") || DEFAULT_TTL_SECONDS;
+
+/**
+ * Issue a refresh token, starting a new session unless one is given
+ */
+refreshTokenSchema.statics.issue = async function (
+  address,
+  session = crypto.randomUUID(),
+) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(Date.now() + ttlSeconds() * 1000);
+
+  await this.create({
+    address,
+    tokenHash: hashToken(token),
+    session,
+    expiresAt,
+  });
+
+  return { token, session, expiresAt };
+};
+
+/**
+ * Exchange a refresh token for a new one in the same session. Returns the
+ * new token and the session's address, or null if the token is unknown,
+ * expired or already used.
+ */
+refreshTokenSchema.statics.rotate = async function (token) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Revoking in the same operation keeps two refreshes from both succeeding
+  const current = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now },
+  );
+
+  if (!current) {
+    const reused = await this.findOne({ tokenHash, revokedAt: { $ne: null } });
+    if (reused) {
+      await this.revokeSession(reused.session);
+    }
+    return null;
+  }
+
+  const issued = await this.issue(current.address, current.session);
+  return { ...issued, address: current.address };
+};
+
+refreshTokenSchema.statics.revokeSession = function (session) {
+  return this.updateMany(
+    { session, revokedAt: null },
+    { revokedAt: new Date() },
+  );
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ */
+refreshTokenSchema.statics.revoke = async function (token) {
+  const found = await this.findOne({ tokenHash: hashToken(token) });
+  if (!found) return false;
+
+  await this.revokeSession(found.session);
+  return true;
+};
+
+/**
+ * Whether a session still has a usable refresh token, i.e. it has not been
+ * logged out, revoked for token reuse or left to expire
+ */
+refreshTokenSchema.statics.isSessionActive = async function (session) {
+  const active = await this.exists({
+    session,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return !!active;
+};
+
+/**
+ * Revoke every session of an address
+ */
+refreshTokenSchema.statics.revokeAll = function (address) {
+  return this.updateMany(
+    { address: address.toLowerCase(), revokedAt: null },
+    { revokedAt: new Date() },
+  );
+};
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+module.exports = RefreshToken;
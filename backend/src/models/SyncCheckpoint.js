@@ -0,0 +1,151 @@
+const mongoose = require("mongoose");
+
+/**
+ * Durable record of how far the event listeners have applied contract
+ * events for a given chain/contract pair.
+ *
+ * A checkpoint points at a log position (block number + log index). When
+ * `lastLogIndex` is null the whole of `lastBlock` has been applied (e.g. after
+ * a range resync); otherwise only logs up to and including `lastLogIndex`.
+ */
+const syncCheckpointSchema = new mongoose.Schema(
+  {
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    contractAddress: {
+      type: String,
+      required: true,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    lastBlock: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    lastBlockHash: {
+      type: String,
+      default: null,
+    },
+    lastLogIndex: {
+      type: Number,
+      default: null,
+    },
+
+    // Set while a read-model rebuild is in progress so it can be resumed
+    rebuildTargetBlock: {
+      type: Number,
+      default: null,
+    },
+    rebuildNextBlock: {
+      type: Number,
+      default: null,
+    },
+    rebuildStartedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One checkpoint per deployed contract
+syncCheckpointSchema.index(
+  { chainId: 1, contractAddress: 1 },
+  { unique: true },
+);
+
+// Static methods
+syncCheckpointSchema.statics.findCheckpoint = function (
+  chainId,
+  contractAddress,
+) {
+  return this.findOne({
+    chainId,
+    contractAddress: contractAddress.toLowerCase(),
+  }).lean();
+};
+
+syncCheckpointSchema.statics.saveCheckpoint = function (
+  chainId,
+  contractAddress,
+  { blockNumber, blockHash = null, logIndex = null },
+) {
+  return this.findOneAndUpdate(
+    { chainId, contractAddress: contractAddress.toLowerCase() },
+    {
+      $set: {
+        lastBlock: blockNumber,
+        lastBlockHash: blockHash,
+        lastLogIndex: logIndex,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  );
+};
+
+/**
+ * Reset the checkpoint to just before `fromBlock` and mark a rebuild up to
+ * `targetBlock` as in progress. Block 0 is genesis and never carries contract
+ * logs, so clamping the checkpoint to it loses nothing.
+ */
+syncCheckpointSchema.statics.startRebuild = function (
+  chainId,
+  contractAddress,
+  { fromBlock, targetBlock },
+) {
+  return this.findOneAndUpdate(
+    { chainId, contractAddress: contractAddress.toLowerCase() },
+    {
+      $set: {
+        lastBlock: Math.max(0, fromBlock - 1),
+        lastBlockHash: null,
+        lastLogIndex: null,
+        rebuildTargetBlock: targetBlock,
+        rebuildNextBlock: fromBlock,
+        rebuildStartedAt: new Date(),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  );
+};
+
+syncCheckpointSchema.statics.updateRebuildProgress = function (
+  chainId,
+  contractAddress,
+  nextBlock,
+) {
+  return this.updateOne(
+    { chainId, contractAddress: contractAddress.toLowerCase() },
+    { $set: { rebuildNextBlock: nextBlock } },
+  );
+};
+
+syncCheckpointSchema.statics.finishRebuild = function (
+  chainId,
+  contractAddress,
+) {
+  return this.updateOne(
+    { chainId, contractAddress: contractAddress.toLowerCase() },
+    {
+      $set: {
+        rebuildTargetBlock: null,
+        rebuildNextBlock: null,
+        rebuildStartedAt: null,
+      },
+    },
+  );
+};
+
+const SyncCheckpoint = mongoose.model("SyncCheckpoint", syncCheckpointSchema);
+
+module.exports = SyncCheckpoint;
@@ -0,0 +1,132 @@
+const mongoose = require("mongoose");
+
+/**
+ * Immutable record of a single contract event applied to a task.
+ *
+ * Todo documents only hold the current state; TaskEvent keeps the full
+ * history (including the old/new payload of TaskUpdated) so changes can be
+ * audited per task. Records are only ever inserted, or removed when their
+ * block is orphaned by a reorg.
+ */
+const taskEventSchema = new mongoose.Schema(
+  {
+    chainId: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    blockchainId: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    eventName: {
+      type: String,
+      required: true,
+      immutable: true,
+      enum: [
+        "TaskCreated",
+        "SubtaskCreated",
+        "TaskCompleted",
+        "TaskDeleted",
+        "TaskRestored",
+        "TaskUpdated",
+        "TaskTagged",
+        "TaskPriorityChanged",
+        "TaskListChanged",
+        "TaskRecurrenceChanged",
+        "TaskRecurred",
+        "TaskDependenciesChanged",
+        "TaskAssigned",
+        "TaskAssignmentProposed",
+        "TaskAssignmentRejected",
+        "TaskBountyChanged",
+        "TaskBountyReleased",
+      ],
+    },
+    // Address that emitted the change (the `owner` event argument)
+    actor: {
+      type: String,
+      lowercase: true,
+      default: null,
+      immutable: true,
+    },
+    transactionHash: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    blockNumber: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    blockHash: {
+      type: String,
+      default: null,
+      immutable: true,
+    },
+    logIndex: {
+      type: Number,
+      required: true,
+      immutable: true,
+    },
+    // Event arguments keyed by name; uint256 values are stored as strings
+    args: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+      immutable: true,
+    },
+    // Block timestamp taken from the event's `timestamp` argument
+    occurredAt: {
+      type: Date,
+      default: null,
+      immutable: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+// A log is uniquely identified by its transaction and position in it
+taskEventSchema.index(
+  { chainId: 1, transactionHash: 1, logIndex: 1 },
+  { unique: true },
+);
+
+// History lookups in chain order
+taskEventSchema.index({
+  chainId: 1,
+  blockchainId: 1,
+  blockNumber: 1,
+  logIndex: 1,
+});
+
+// Reorg rollback removes events from orphaned blocks
+taskEventSchema.index({ chainId: 1, blockNumber: 1 });
+
+// Static methods
+taskEventSchema.statics.record = function (event) {
+  const { chainId, transactionHash, logIndex } = event;
+  // Upsert on insert only so replays never rewrite an existing record
+  return this.updateOne(
+    { chainId, transactionHash, logIndex },
+    { $setOnInsert: event },
+    { upsert: true },
+  );
+};
+
+taskEventSchema.statics.findHistory = function (chainId, blockchainId) {
+  return this.find({ chainId, blockchainId: blockchainId.toString() })
+    .sort({ blockNumber: 1, logIndex: 1 })
+    .lean();
+};
+
+taskEventSchema.statics.removeFromBlock = function (chainId, blockNumber) {
+  return this.deleteMany({ chainId, blockNumber: { $gte: blockNumber } });
+};
+
+const TaskEvent = mongoose.model("TaskEvent", taskEventSchema);
+
+module.exports = TaskEvent;
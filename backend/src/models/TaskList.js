@@ -0,0 +1,157 @@
+const mongoose = require("mongoose");
+
+// Member roles in ascending order of access; "owner" is only ever the creator
+const LIST_ROLES = ["viewer", "editor", "owner"];
+
+const addressValidator = {
+  validator: function (v) {
+    return /^0x[a-fA-F0-9]{40}$/.test(v);
+  },
+  message: (props) => `${props.value} is not a valid Ethereum address!`,
+};
+
+/**
+ * Shared task list (contract 3.1.0+), mirrored from the ListCreated and
+ * ListMemberUpdated events.
+ *
+ * Task data on-chain is public, so the viewer role is only enforced by the
+ * API; editors may change tasks in the list on-chain as well.
+ */
+const taskListSchema = new mongoose.Schema(
+  {
+    chainId: {
+      type: Number,
+      required: true,
+    },
+    listId: {
+      type: String,
+      required: true,
+    },
+    owner: {
+      type: String,
+      required: true,
+      lowercase: true,
+      validate: addressValidator,
+    },
+    name: {
+      type: String,
+      required: true,
+      maxlength: 100,
+    },
+    members: [
+      {
+        _id: false,
+        address: {
+          type: String,
+          required: true,
+          lowercase: true,
+          validate: addressValidator,
+        },
+        role: {
+          type: String,
+          required: true,
+          enum: ["viewer", "editor"],
+        },
+      },
+    ],
+    blockchainCreatedAt: {
+      type: Date,
+      required: true,
+    },
+    lastSyncedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Chain position of the events that produced this state (see Todo)
+    createdBlockNumber: {
+      type: Number,
+      default: null,
+    },
+    lastEventBlockNumber: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+taskListSchema.index({ chainId: 1, listId: 1 }, { unique: true });
+
+// Lists an address can see, as owner or member
+taskListSchema.index({ owner: 1 });
+taskListSchema.index({ "members.address": 1 });
+
+// Reorg rollback looks up lists touched at or after a fork block
+taskListSchema.index({ chainId: 1, createdBlockNumber: 1 });
+taskListSchema.index({ chainId: 1, lastEventBlockNumber: 1 });
+
+// Instance methods
+
+/**
+ * Role of an address in this list
+ * @param {string} address
+ * @returns {string|null} 'owner' | 'editor' | 'viewer', or null for non-members
+ */
+taskListSchema.methods.roleOf = function (address) {
+  const account = address.toLowerCase();
+  if (this.owner === account) {
+    return "owner";
+  }
+  const member = this.members.find((m) => m.address === account);
+  return member ? member.role : null;
+};
+
+/**
+ * Add, change or (with a null role) remove a member
+ */
+taskListSchema.methods.setMemberRole = function (address, role) {
+  const account = address.toLowerCase();
+  this.members = this.members.filter((m) => m.address !== account);
+  if (role) {
+    this.members.push({ address: account, role });
+  }
+  this.lastSyncedAt = new Date();
+};
+
+// Static methods
+taskListSchema.statics.findByListId = function (chainId, listId) {
+  return this.findOne({ chainId, listId: listId.toString() });
+};
+
+taskListSchema.statics.findAccessible = function (address) {
+  const account = address.toLowerCase();
+  return this.find({
+    $or: [{ owner: account }, { "members.address": account }],
+  }).sort({ chainId: 1, blockchainCreatedAt: 1 });
+};
+
+/**
+ * Role of an address on a todo: its owner, or their role in the todo's list
+ * @returns {Promise<string|null>}
+ */
+taskListSchema.statics.roleForTodo = async function (todo, address) {
+  if (todo.owner === address.toLowerCase()) {
+    return "owner";
+  }
+  if (!todo.listId) {
+    return null;
+  }
+  const list = await this.findByListId(todo.chainId, todo.listId);
+  return list ? list.roleOf(address) : null;
+};
+
+/**
+ * Whether a role grants at least the required access
+ * @param {string|null} role
+ * @param {string} required - 'viewer' | 'editor' | 'owner'
+ */
+taskListSchema.statics.hasAccess = function (role, required) {
+  return LIST_ROLES.indexOf(role) >= LIST_ROLES.indexOf(required);
+};
+
+const TaskList = mongoose.model("TaskList", taskListSchema);
+
+module.exports = TaskList;
@@ -1,4 +1,43 @@
 const mongoose = require("mongoose");
+const {
+  CONTENT_TYPES,
+  DEFAULT_CONTENT_TYPE,
+  MAX_IPFS_DESCRIPTION_LENGTH,
+  maxDescriptionLength,
+} = require("../utils/descriptions");
+
+// File, image or link attached through a version 2 IPFS envelope; files
+// and images are IPFS objects of their own
+const attachmentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["file", "image", "link"],
+      required: true,
+    },
+    name: {
+      type: String,
+      default: null,
+    },
+    mimeType: {
+      type: String,
+      default: null,
+    },
+    size: {
+      type: Number,
+      default: null,
+    },
+    cid: {
+      type: String,
+      default: null,
+    },
+    url: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false },
+);
 
 const todoSchema = new mongoose.Schema(
   {
@@ -32,16 +71,41 @@ const todoSchema = new mongoose.Schema(
         message: (props) => `${props.value} is not a valid Ethereum address!`,
       },
     },
+    // On-chain descriptions are capped by the contract; those resolved
+    // from IPFS may be longer
     description: {
       type: String,
       required: true,
-      maxlength: 500,
+      maxlength: MAX_IPFS_DESCRIPTION_LENGTH,
       trim: true,
+      validate: {
+        validator: function (v) {
+          return v.length <= maxDescriptionLength(!!this.ipfsCid);
+        },
+        message: () =>
+          `Description must be ${maxDescriptionLength(false)} characters or less when stored on-chain`,
+      },
     },
     ipfsCid: {
       type: String,
       default: null,
     },
+    // How the description is written, from its IPFS envelope
+    contentType: {
+      type: String,
+      enum: CONTENT_TYPES,
+      default: DEFAULT_CONTENT_TYPE,
+    },
+    // The description is encrypted by the client; description then holds
+    // the ipfs:// URI of the ciphertext
+    encrypted: {
+      type: Boolean,
+      default: false,
+    },
+    attachments: {
+      type: [attachmentSchema],
+      default: [],
+    },
     completed: {
       type: Boolean,
       default: false,
@@ -63,6 +127,125 @@ const todoSchema = new mongoose.Schema(
       index: true, // Index for filtering by due date
     },
 
+    // Triage metadata (contract 3.0.0+)
+    priority: {
+      type: Number,
+      default: 0, // 0 = none, 1 = low, 2 = medium, 3 = high
+      min: 0,
+      max: 3,
+    },
+    tags: {
+      type: [String], // keccak256 hashes of lower-cased tag names
+      default: [],
+      validate: {
+        validator: function (tags) {
+          return (
+            tags.length <= 5 &&
+            tags.every((tag) => /^0x[a-f0-9]{64}$/.test(tag))
+          );
+        },
+        message: "Tags must be at most 5 lower-case bytes32 hashes",
+      },
+    },
+
+    // Shared list the task belongs to (contract 3.1.0+), null for personal
+    listId: {
+      type: String,
+      default: null,
+    },
+
+    // blockchainId of the parent task (contract 3.4.0+), null for top-level
+    parentId: {
+      type: String,
+      default: null,
+    },
+
+    // Recurrence rule (contract 3.5.0+); the interval, in seconds, only
+    // applies to "interval"
+    recurrence: {
+      type: String,
+      enum: ["none", "daily", "weekly", "monthly", "interval"],
+      default: "none",
+    },
+    recurrenceInterval: {
+      type: Number,
+      default: 0,
+    },
+    // blockchainId of the first task of the recurring series, null if the
+    // task never recurred
+    seriesId: {
+      type: String,
+      default: null,
+    },
+    // blockchainId of the occurrence created when this one was completed
+    nextOccurrenceId: {
+      type: String,
+      default: null,
+    },
+
+    // blockchainIds of the tasks that must be completed (or deleted) before
+    // this one can be (contract 3.6.0+)
+    dependencies: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: function (dependencies) {
+          return (
+            dependencies.length <= 10 &&
+            dependencies.every((id) => /^[1-9][0-9]*$/.test(id))
+          );
+        },
+        message: "Dependencies must be at most 10 task IDs",
+      },
+    },
+
+    // Bounty held in escrow, in wei as a decimal string (contract 3.7.0+)
+    bounty: {
+      type: String,
+      default: "0",
+      validate: {
+        validator: function (v) {
+          return /^[0-9]+$/.test(v);
+        },
+        message: "Bounty must be an amount in wei",
+      },
+    },
+    // Accepted assignee, who can complete the task and receives its bounty
+    assignee: {
+      type: String,
+      default: null,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return v === null || /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    // Proposed by the owner; becomes the assignee once they accept
+    pendingAssignee: {
+      type: String,
+      default: null,
+      lowercase: true,
+      validate: {
+        validator: function (v) {
+          return v === null || /^0x[a-fA-F0-9]{40}$/.test(v);
+        },
+        message: (props) => `${props.value} is not a valid Ethereum address!`,
+      },
+    },
+    // Wei paid out to the assignee when the owner completed the task
+    bountyReleased: {
+      type: String,
+      default: "0",
+      validate: {
+        validator: function (v) {
+          return /^[0-9]+$/.test(v);
+        },
+        message: "Bounty must be an amount in wei",
+      },
+    },
+
     // Sync status
     syncStatus: {
       type: String,
@@ -74,6 +257,17 @@ const todoSchema = new mongoose.Schema(
       default: Date.now,
     },
 
+    // Chain position of the events that produced this state, used to roll
+    // back writes from orphaned blocks after a reorg
+    createdBlockNumber: {
+      type: Number,
+      default: null,
+    },
+    lastEventBlockNumber: {
+      type: Number,
+      default: null,
+    },
+
     // Metadata
     deleted: {
       type: Boolean,
@@ -107,9 +301,46 @@ todoSchema.index({ owner: 1, dueDate: 1, completed: 1, deleted: 1 });
 // Index for monitoring sync health and retry logic
 todoSchema.index({ syncStatus: 1, lastSyncedAt: 1 });
 
+// Reorg rollback looks up todos touched at or after a fork block
+todoSchema.index({ chainId: 1, createdBlockNumber: 1 });
+todoSchema.index({ chainId: 1, lastEventBlockNumber: 1 });
+
+// Sync monitor re-verifies todos written since its previous pass
+todoSchema.index({ chainId: 1, updatedAt: 1 });
+
+// Paged list queries: text search over descriptions (not prefixed by owner,
+// as shared list todos belong to other owners) and sorting by completion
+// time (creation and due date are covered above)
+todoSchema.index({ description: "text" });
+todoSchema.index({ owner: 1, blockchainCompletedAt: -1 });
+
+// Filtering and sorting by triage metadata
+todoSchema.index({ owner: 1, priority: -1 });
+todoSchema.index({ owner: 1, tags: 1 });
+
+// Todos of the shared lists a user can see
+todoSchema.index({ chainId: 1, listId: 1 });
+
+// Subtask trees are walked from parent to children
+todoSchema.index({ chainId: 1, parentId: 1 });
+
+// Occurrences of a recurring series
+todoSchema.index({ chainId: 1, seriesId: 1 });
+
+// Dependency graph: the multikey index finds the todos waiting on a task
+todoSchema.index({ chainId: 1, dependencies: 1 });
+
+// Tasks assigned, or proposed for assignment, to an address
+todoSchema.index({ assignee: 1, chainId: 1 });
+todoSchema.index({ pendingAssignee: 1, chainId: 1 });
+
 // Sparse index for IPFS-backed tasks
 todoSchema.index({ ipfsCid: 1 }, { sparse: true });
 
+// Tasks referencing an attachment, and tasks with attachments of a type
+todoSchema.index({ "attachments.cid": 1 }, { sparse: true });
+todoSchema.index({ owner: 1, "attachments.type": 1 });
+
 // TTL index to automatically delete error status documents after 24 hours
 // This prevents the database from accumulating stale error records
 todoSchema.index(
@@ -128,9 +359,9 @@ todoSchema.methods.markAsCompleted = function (blockchainCompletedAt) {
   return this.save();
 };
 
-todoSchema.methods.markAsDeleted = function () {
+todoSchema.methods.markAsDeleted = function (deletedAt = new Date()) {
   this.deleted = true;
-  this.deletedAt = new Date();
+  this.deletedAt = deletedAt;
   this.lastSyncedAt = new Date();
   return this.save();
 };
@@ -149,15 +380,52 @@ todoSchema.methods.updateDescription = function (newDescription) {
   return this.save();
 };
 
+/**
+ * Query matching the todos an address can see: its own, plus every todo in
+ * the given shared lists
+ * @param {string} ownerAddress
+ * @param {Array<{chainId: number, listId: string}>} [lists]
+ */
+function visibleTo(ownerAddress, lists = []) {
+  const owner = ownerAddress.toLowerCase();
+  if (lists.length === 0) {
+    return { owner };
+  }
+
+  const listIdsByChain = {};
+  for (const { chainId, listId } of lists) {
+    (listIdsByChain[chainId] ??= []).push(String(listId));
+  }
+
+  return {
+    $or: [
+      { owner },
+      ...Object.entries(listIdsByChain).map(([chainId, listIds]) => ({
+        chainId: Number(chainId),
+        listId: { $in: listIds },
+      })),
+    ],
+  };
+}
+
+/**
+ * Query matching the todos assigned to an address, including the ones still
+ * waiting for it to accept or reject the assignment
+ * @param {string} assigneeAddress
+ */
+function assignedTo(assigneeAddress) {
+  const assignee = assigneeAddress.toLowerCase();
+  return { $or: [{ assignee }, { pendingAssignee: assignee }] };
+}
+
 // Static methods
 todoSchema.statics.findByOwner = function (
   ownerAddress,
   includeCompleted = true,
   includeDeleted = false,
+  lists = [],
 ) {
-  const query = {
-    owner: ownerAddress.toLowerCase(),
-  };
+  const query = visibleTo(ownerAddress, lists);
 
   if (!includeCompleted) {
     query.completed = false;
@@ -175,9 +443,7 @@ todoSchema.statics.findByOwnerWithFilters = function (
   ownerAddress,
   filters = {},
 ) {
-  const query = {
-    owner: ownerAddress.toLowerCase(),
-  };
+  const query = visibleTo(ownerAddress, filters.lists);
 
   // Apply completed filter
   if (filters.includeCompleted === false) {
@@ -244,9 +510,14 @@ todoSchema.statics.findByBlockchainId = function (chainId, blockchainId) {
   return this.findOne({ chainId, blockchainId });
 };
 
-todoSchema.statics.countByOwner = function (ownerAddress) {
+todoSchema.statics.countByOwner = function (
+  ownerAddress,
+  lists = [],
+  filter = {},
+) {
   return this.countDocuments({
-    owner: ownerAddress.toLowerCase(),
+    ...visibleTo(ownerAddress, lists),
+    ...filter,
     deleted: false,
   });
 };
@@ -260,6 +531,396 @@ todoSchema.pre("save", function (next) {
   next();
 });
 
+// Sort keys accepted by findPage, mapped to the stored field and its type
+const PAGE_SORT_FIELDS = {
+  createdAt: { field: "blockchainCreatedAt", type: "date" },
+  dueDate: { field: "dueDate", type: "date" },
+  completedAt: { field: "blockchainCompletedAt", type: "date" },
+  priority: { field: "priority", type: "number" },
+};
+
+function invalidCursor() {
+  const error = new Error("Invalid cursor");
+  error.statusCode = 400;
+  return error;
+}
+
+// Cursors are opaque to clients: the sort value and _id of the last todo
+function encodeCursor(todo, { field, type }) {
+  let value = todo[field] ?? null;
+  if (value !== null && type === "date") {
+    value = new Date(value).toISOString();
+  }
+  return Buffer.from(
+    JSON.stringify({ v: value, id: String(todo._id) }),
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor, { type }) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw invalidCursor();
+  }
+
+  let value = parsed?.v ?? null;
+  if (value !== null && type === "date") {
+    value = typeof value === "string" ? new Date(value) : null;
+    if (value === null || Number.isNaN(value.getTime())) throw invalidCursor();
+  } else if (value !== null && !Number.isFinite(value)) {
+    throw invalidCursor();
+  }
+
+  if (!mongoose.isValidObjectId(parsed?.id)) {
+    throw invalidCursor();
+  }
+  return { value, id: new mongoose.Types.ObjectId(parsed.id) };
+}
+
+// Keyset condition for the todos after the cursor. Mongo sorts nulls first
+// ascending and last descending, and range operators never match null, so
+// null sort values need their own branches.
+function afterCursor(field, direction, { value, id }) {
+  const op = direction === 1 ? "$gt" : "$lt";
+  const tie = { [field]: value, _id: { [op]: id } };
+
+  if (value === null) {
+    return direction === 1 ? { $or: [tie, { [field]: { $ne: null } }] } : tie;
+  }
+
+  const beyond = { [field]: { [op]: value } };
+  return direction === 1
+    ? { $or: [beyond, tie] }
+    : { $or: [beyond, tie, { [field]: null }] };
+}
+
+/**
+ * Cursor-paginated list of an owner's todos, or with `assigned` of the todos
+ * assigned to the address
+ * @param {string} ownerAddress
+ * @param {Object} [options]
+ * @param {string} [options.status] - 'all' | 'active' | 'completed' | 'deleted'
+ * @param {string} [options.sortBy] - 'createdAt' | 'dueDate' | 'completedAt' | 'priority'
+ * @param {string} [options.order] - 'asc' | 'desc'
+ * @param {Date|string} [options.dueFrom] - Inclusive lower due date bound
+ * @param {Date|string} [options.dueTo] - Inclusive upper due date bound
+ * @param {string} [options.q] - Text search over descriptions
+ * @param {number} [options.priority] - Only todos with this priority level
+ * @param {string} [options.tag] - Only todos carrying this tag hash
+ * @param {boolean} [options.topLevel] - Leave out subtasks
+ * @param {string} [options.attachment] - Only todos with attachments: "any",
+ *   or those with an attachment of type "file", "image" or "link"
+ * @param {Array} [options.lists] - Shared lists whose todos are included
+ * @param {boolean} [options.assigned] - Todos assigned to the address instead
+ *   of its own and its lists'
+ * @param {string} [options.cursor] - nextCursor of the previous page
+ * @param {number} [options.limit]
+ * @returns {Promise<{todos, total, nextCursor}>}
+ */
+todoSchema.statics.findPage = async function (ownerAddress, options = {}) {
+  const {
+    status = "all",
+    sortBy = "createdAt",
+    order = "desc",
+    dueFrom,
+    dueTo,
+    q,
+    priority,
+    tag,
+    topLevel,
+    attachment,
+    lists,
+    assigned,
+    cursor,
+    limit = 20,
+  } = options;
+  const sort = PAGE_SORT_FIELDS[sortBy] || PAGE_SORT_FIELDS.createdAt;
+  const { field } = sort;
+  const direction = order === "asc" ? 1 : -1;
+
+  const filter = assigned
+    ? assignedTo(ownerAddress)
+    : visibleTo(ownerAddress, lists);
+
+  switch (status) {
+    case "active":
+      filter.completed = false;
+      filter.deleted = false;
+      break;
+    case "completed":
+      filter.completed = true;
+      filter.deleted = false;
+      break;
+    case "deleted":
+      filter.deleted = true;
+      break;
+    case "all":
+    default:
+      filter.deleted = false;
+      break;
+  }
+
+  if (dueFrom || dueTo) {
+    filter.dueDate = {};
+    if (dueFrom) filter.dueDate.$gte = new Date(dueFrom);
+    if (dueTo) filter.dueDate.$lte = new Date(dueTo);
+  }
+
+  if (priority !== undefined) {
+    filter.priority = priority;
+  }
+
+  if (tag) {
+    filter.tags = tag.toLowerCase();
+  }
+
+  if (topLevel) {
+    filter.parentId = null;
+  }
+
+  if (attachment === "any") {
+    filter["attachments.0"] = { $exists: true };
+  } else if (attachment) {
+    filter["attachments.type"] = attachment;
+  }
+
+  if (q) {
+    filter.$text = { $search: q };
+  }
+
+  const query = cursor
+    ? {
+        ...filter,
+        $and: [afterCursor(field, direction, decodeCursor(cursor, sort))],
+      }
+    : filter;
+
+  const [todos, total] = await Promise.all([
+    this.find(query)
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1),
+    this.countDocuments(filter),
+  ]);
+
+  const hasMore = todos.length > limit;
+  const page = hasMore ? todos.slice(0, limit) : todos;
+
+  return {
+    todos: page,
+    total,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+  };
+};
+
+// The contract's MAX_TASK_DEPTH: levels of subtasks below a top-level task
+const MAX_SUBTASK_DEPTH = 3;
+
+// Subtask lookup from each matched todo, confined to its chain
+function subtaskLookup(collection, restrictSearchWithMatch) {
+  return {
+    $graphLookup: {
+      from: collection,
+      startWith: "$blockchainId",
+      connectFromField: "blockchainId",
+      connectToField: "parentId",
+      as: "descendants",
+      maxDepth: MAX_SUBTASK_DEPTH - 1,
+      restrictSearchWithMatch,
+    },
+  };
+}
+
+// Nest descendants under their parents as `subtasks`, oldest first
+function nestSubtasks(todo, descendants) {
+  const children = descendants
+    .filter((d) => d.parentId === todo.blockchainId)
+    .sort(
+      (a, b) =>
+        new Date(a.blockchainCreatedAt) - new Date(b.blockchainCreatedAt) ||
+        Number(a.blockchainId) - Number(b.blockchainId),
+    );
+  return {
+    ...todo,
+    subtasks: children.map((child) => nestSubtasks(child, descendants)),
+  };
+}
+
+/**
+ * A todo with all of its subtasks nested under `subtasks`
+ * @param {number} chainId
+ * @param {string} blockchainId - Task at the root of the tree
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted] - Keep deleted subtasks
+ * @returns {Promise<Object|null>} Plain object tree, or null if the todo does not exist
+ */
+todoSchema.statics.findTree = async function (
+  chainId,
+  blockchainId,
+  { includeDeleted = false } = {},
+) {
+  const restrict = includeDeleted ? { chainId } : { chainId, deleted: false };
+  const [root] = await this.aggregate([
+    { $match: { chainId, blockchainId: String(blockchainId) } },
+    subtaskLookup(this.collection.name, restrict),
+  ]);
+  if (!root) return null;
+
+  const { descendants, ...todo } = root;
+  return nestSubtasks(todo, descendants);
+};
+
+/**
+ * Add a roll-up of each todo's subtasks, at any depth, as
+ * `subtasks: { total, completed }` (deleted subtasks are not counted)
+ * @param {Array} todos - Todo documents
+ * @returns {Promise<Array>} Plain objects
+ */
+todoSchema.statics.withSubtaskCounts = async function (todos) {
+  const idsByChain = {};
+  for (const todo of todos) {
+    (idsByChain[todo.chainId] ??= []).push(todo._id);
+  }
+
+  const results = await Promise.all(
+    Object.entries(idsByChain).map(([chainId, ids]) =>
+      this.aggregate([
+        { $match: { _id: { $in: ids } } },
+        subtaskLookup(this.collection.name, {
+          chainId: Number(chainId),
+          deleted: false,
+        }),
+        {
+          $project: {
+            total: { $size: "$descendants" },
+            completed: {
+              $size: {
+                $filter: { input: "$descendants", cond: "$$this.completed" },
+              },
+            },
+          },
+        },
+      ]),
+    ),
+  );
+
+  const counts = {};
+  for (const { _id, total, completed } of results.flat()) {
+    counts[String(_id)] = { total, completed };
+  }
+
+  return todos.map((todo) => ({
+    ...todo.toObject(),
+    subtasks: counts[String(todo._id)] ?? { total: 0, completed: 0 },
+  }));
+};
+
+/**
+ * Every occurrence of a recurring series, oldest first
+ * @param {number} chainId
+ * @param {string} seriesId - blockchainId of the series' first task
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDeleted] - Keep deleted occurrences
+ */
+todoSchema.statics.findSeries = function (
+  chainId,
+  seriesId,
+  { includeDeleted = false } = {},
+) {
+  const filter = { chainId, seriesId: String(seriesId) };
+  if (!includeDeleted) filter.deleted = false;
+  return this.find(filter).sort({ blockchainCreatedAt: 1, _id: 1 });
+};
+
+/**
+ * Add `blockedBy` to each todo: its dependencies that are neither completed
+ * nor deleted, like the contract's isTaskBlocked. Dependencies not synced
+ * yet are counted as open.
+ * @param {Array} todos - Plain todo objects, e.g. from withSubtaskCounts
+ * @returns {Promise<Array>}
+ */
+todoSchema.statics.withBlockers = async function (todos) {
+  const idsByChain = {};
+  for (const todo of todos) {
+    for (const id of todo.dependencies ?? []) {
+      (idsByChain[todo.chainId] ??= new Set()).add(id);
+    }
+  }
+
+  const results = await Promise.all(
+    Object.entries(idsByChain).map(([chainId, ids]) =>
+      this.find({
+        chainId: Number(chainId),
+        blockchainId: { $in: [...ids] },
+        $or: [{ completed: true }, { deleted: true }],
+      })
+        .select("chainId blockchainId")
+        .lean(),
+    ),
+  );
+
+  const done = new Set(
+    results.flat().map((todo) => `${todo.chainId}:${todo.blockchainId}`),
+  );
+
+  return todos.map((todo) => ({
+    ...todo,
+    blockedBy: (todo.dependencies ?? []).filter(
+      (id) => !done.has(`${todo.chainId}:${id}`),
+    ),
+  }));
+};
+
+/**
+ * A todo's direct neighbours in the dependency graph
+ * @param {Object} todo - Todo document
+ * @returns {Promise<{dependencies: Array, dependents: Array}>} The tasks it
+ *   waits on, and the tasks (not deleted) waiting on it
+ */
+todoSchema.statics.findDependencyGraph = async function (todo) {
+  const [dependencies, dependents] = await Promise.all([
+    this.find({
+      chainId: todo.chainId,
+      blockchainId: { $in: todo.dependencies ?? [] },
+    }),
+    this.find({
+      chainId: todo.chainId,
+      dependencies: todo.blockchainId,
+      deleted: false,
+    }),
+  ]);
+  return { dependencies, dependents };
+};
+
+// Text index of the first paged list release. MongoDB allows one text index
+// per collection, so it blocks { description: "text" } until dropped
+const LEGACY_TEXT_INDEX = "owner_1_description_text";
+
+/**
+ * Replace the owner-prefixed text index older databases still have with the
+ * current one. Run once the connection is up, before serving searches
+ * @returns {Promise<boolean>} Whether the legacy index was found and dropped
+ */
+todoSchema.statics.migrateTextIndex = async function () {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    // Fresh database: the collection and its indexes don't exist yet
+    if (error.codeName === "NamespaceNotFound") return false;
+    throw error;
+  }
+
+  if (!indexes.some((index) => index.name === LEGACY_TEXT_INDEX)) {
+    return false;
+  }
+
+  await this.collection.dropIndex(LEGACY_TEXT_INDEX);
+  // The automatic index build failed on the conflict; build what's missing
+  await this.createIndexes();
+  return true;
+};
+
 const Todo = mongoose.model("Todo", todoSchema);
 
 module.exports = Todo;
@@ -1,8 +1,28 @@
 const express = require("express");
 const logger = require("../utils/logger");
-const { verifyWalletSignature, generateToken } = require("../middleware/auth");
+const AuthNonce = require("../models/AuthNonce");
+const RefreshToken = require("../models/RefreshToken");
+const {
+  verifyWalletSignature,
+  verifyJWT,
+  generateToken,
+  accessTokenTtlSeconds,
+  validateAddress,
+} = require("../middleware/auth");
 const router = express.Router();
 
+/**
+ * Access token plus the refresh token that renews it
+ */
+const sessionResponse = (address, refresh) => ({
+  success: true,
+  token: generateToken(address, refresh.session),
+  expiresIn: accessTokenTtlSeconds(),
+  refreshToken: refresh.token,
+  refreshTokenExpiresAt: refresh.expiresAt.toISOString(),
+  address,
+});
+
 /**
  * POST /api/auth/login
  * Authenticate user with wallet signature and return JWT token
@@ -11,26 +31,29 @@ const router = express.Router();
  * {
  *   "address": "0x...",
  *   "signature": "0x...",
- *   "message": "Login message with nonce"
+ *   "message": "<Sign-In with Ethereum message>"
  * }
  *
+ * The message must be an EIP-4361 (SIWE) message for this app's domain with
+ * a nonce from GET /api/auth/nonce/:address; each nonce can be used for one
+ * login before it expires.
+ *
  * Response:
  * {
  *   "success": true,
- *   "token": "jwt-token",
+ *   "token": "jwt-access-token",
+ *   "expiresIn": 900,
+ *   "refreshToken": "...",
+ *   "refreshTokenExpiresAt": "2026-01-30T12:00:00.000Z",
  *   "address": "0x..."
  * }
  */
-router.post("/login", verifyWalletSignature, (req, res) => {
+router.post("/login", verifyWalletSignature, async (req, res) => {
   try {
     const { userAddress } = req;
-    const token = generateToken(userAddress);
+    const refresh = await RefreshToken.issue(userAddress);
 
-    res.json({
-      success: true,
-      token,
-      address: userAddress,
-    });
+    res.json(sessionResponse(userAddress, refresh));
   } catch (error) {
     logger.error("Login error:", { error: error.message, stack: error.stack });
     res.status(500).json({
@@ -42,22 +65,132 @@ router.post("/login", verifyWalletSignature, (req, res) => {
 
 /**
  * GET /api/auth/nonce/:address
- * Get a nonce for the user to sign
- * This helps prevent replay attacks
+ * Issue a single-use nonce bound to the address for the client to put in
+ * its SIWE message. The nonce expires after AUTH_NONCE_TTL_SECONDS (default
+ * 5 minutes), which the message should use as its Expiration Time, and
+ * replaces the address's previous unused nonce.
+ * This prevents replay attacks
+ */
+router.get("/nonce/:address", validateAddress, async (req, res) => {
+  try {
+    const { nonce, issuedAt, expiresAt } = await AuthNonce.issue(
+      req.params.address,
+    );
+
+    res.json({
+      success: true,
+      nonce,
+      timestamp: issuedAt.getTime(),
+      issuedAt: issuedAt.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+    });
+  } catch (error) {
+    logger.error("Nonce error:", { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      error: "Failed to issue nonce",
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token.
+ * The old refresh token stops working; presenting it again revokes the
+ * session.
+ *
+ * Request body:
+ * {
+ *   "refreshToken": "..."
+ * }
  */
-router.get("/nonce/:address", (req, res) => {
-  const { address } = req.params;
-
-  // Generate a simple nonce (in production, you might want to store these)
-  const nonce = Math.floor(Math.random() * 1000000);
-  const timestamp = Date.now();
-
-  res.json({
-    success: true,
-    message: `Sign this message to authenticate with the Todo App.\n\nAddress: ${address}\nNonce: ${nonce}\nTimestamp: ${timestamp}`,
-    nonce,
-    timestamp,
-  });
+router.post("/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== "string") {
+    return res.status(400).json({
+      success: false,
+      error: "Refresh token is required",
+    });
+  }
+
+  try {
+    const refresh = await RefreshToken.rotate(refreshToken);
+
+    if (!refresh) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired refresh token",
+      });
+    }
+
+    res.json(sessionResponse(refresh.address, refresh));
+  } catch (error) {
+    logger.error("Refresh error:", {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to refresh session",
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the session of a refresh token. Succeeds for unknown tokens too,
+ * so logging out twice is harmless.
+ *
+ * Request body:
+ * {
+ *   "refreshToken": "..."
+ * }
+ */
+router.post("/logout", async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== "string") {
+    return res.status(400).json({
+      success: false,
+      error: "Refresh token is required",
+    });
+  }
+
+  try {
+    await RefreshToken.revoke(refreshToken);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error("Logout error:", {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to log out",
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Revoke every session of the authenticated address, e.g. after a device
+ * was lost. Requires an access token.
+ */
+router.post("/logout-all", verifyJWT, async (req, res) => {
+  try {
+    const result = await RefreshToken.revokeAll(req.userAddress);
+    res.json({ success: true, revoked: result.modifiedCount });
+  } catch (error) {
+    logger.error("Logout error:", {
+      error: error.message,
+      stack: error.stack,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to log out",
+    });
+  }
 });
 
 module.exports = router;
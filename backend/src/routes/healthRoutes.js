@@ -67,6 +67,7 @@ router.get("/detailed", async (req, res) => {
       health.blockchain = {
         networks: networkInfo,
         monitoring: healthStatus,
+        drift: blockchainService.getDriftReport(),
       };
     }
 
@@ -0,0 +1,53 @@
+const express = require("express");
+const {
+  pinDescription,
+  uploadAttachment,
+  getPinningStatus,
+} = require("../controllers/ipfsController");
+const { verifyJWT } = require("../middleware/auth");
+const { validatePinRequest } = require("../middleware/validation");
+const {
+  ATTACHMENT_MIME_TYPES,
+  maxAttachmentBytes,
+} = require("../utils/attachments");
+
+const rateLimit = require("express-rate-limit");
+
+const router = express.Router();
+
+/**
+ * Pins are stored with the server's pinning account, one per created or
+ * edited task and one per attachment
+ */
+const pinLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // 60 pins per 15 minutes
+  message: {
+    success: false,
+    error: "Too many IPFS uploads, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Whether pinning is available
+// GET /api/ipfs
+router.get("/", getPinningStatus);
+
+// Pin a task description envelope (protected - rate limited)
+// POST /api/ipfs/pin
+// Body: { content: { description | encrypted, attachments?, version, timestamp } }
+router.post("/pin", verifyJWT, pinLimiter, validatePinRequest, pinDescription);
+
+// Pin an attachment file (protected - rate limited)
+// POST /api/ipfs/upload
+// Body: the raw file; Content-Type: its MIME type; X-File-Name: its name
+router.post(
+  "/upload",
+  verifyJWT,
+  pinLimiter,
+  express.raw({ type: ATTACHMENT_MIME_TYPES, limit: maxAttachmentBytes() }),
+  uploadAttachment,
+);
+
+module.exports = router;
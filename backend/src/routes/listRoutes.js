@@ -0,0 +1,11 @@
+const express = require("express");
+const { getLists } = require("../controllers/listController");
+const { verifyJWT } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Get the shared lists of the authenticated user (protected)
+// GET /api/lists
+router.get("/", verifyJWT, getLists);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require("express");
+const {
+  relayTransaction,
+  getRelayStatus,
+} = require("../controllers/relayController");
+const { verifyJWT } = require("../middleware/auth");
+const { validateRelayRequest } = require("../middleware/validation");
+
+const rateLimit = require("express-rate-limit");
+
+const router = express.Router();
+
+/**
+ * Strict rate limiter: every relayed request is paid for by the relayer key
+ */
+const relayLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 relayed transactions per 15 minutes
+  message: {
+    success: false,
+    error: "Too many relayed transactions, please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Whether gasless transactions are available
+// GET /api/relay
+router.get("/", getRelayStatus);
+
+// Submit a signed task request (protected - signer must be the caller,
+// relayer pays gas - strict rate limit)
+// POST /api/relay
+// Body: { chainId, action, user, deadline, signature, taskId | description,
+//         dueDate | newDescription }
+router.post(
+  "/",
+  verifyJWT,
+  relayLimiter,
+  validateRelayRequest,
+  relayTransaction,
+);
+
+module.exports = router;
@@ -1,10 +1,16 @@
 const express = require("express");
 const {
   getTodosByAddress,
+  getAssignedTodos,
   getTodoById,
+  getTodoHistory,
+  getTodoTree,
+  getTodoSeries,
+  getTodoDependencies,
   verifyTodo,
   getUserStats,
   syncTodoFromBlockchain,
+  syncTransaction,
   restoreTodo,
   updateTodo,
 } = require("../controllers/todoController");
@@ -15,6 +21,7 @@ const {
 } = require("../middleware/auth");
 const {
   validateSyncRequest,
+  validateSyncTransactionRequest,
   validateRestoreRequest,
   validateTodoQuery,
 } = require("../middleware/validation");
@@ -39,6 +46,7 @@ const strictLimiter = rateLimit({
 
 // Get todos by address (protected - user can only access their own todos)
 // GET /api/todos/:address?includeCompleted=true&includeDeleted=false
+// GET /api/todos/:address?limit=20&cursor=...&status=active&sortBy=dueDate&order=asc&q=milk
 router.get(
   "/:address",
   verifyJWT,
@@ -48,6 +56,18 @@ router.get(
   getTodosByAddress,
 );
 
+// Get the todos assigned to an address (protected - user can only access
+// their own assignments)
+// GET /api/todos/:address/assigned?limit=20&cursor=...&status=active
+router.get(
+  "/:address/assigned",
+  verifyJWT,
+  ensureOwnership,
+  validateAddress,
+  validateTodoQuery,
+  getAssignedTodos,
+);
+
 // Get user statistics (protected - user can only access their own stats)
 // GET /api/todos/:address/stats
 router.get(
@@ -58,13 +78,40 @@ router.get(
   getUserStats,
 );
 
-// Get specific todo by MongoDB ID (protected)
+// Get specific todo by MongoDB ID (protected - owner, shared list member or assignee)
 // GET /api/todos/todo/:id
-router.get("/todo/:id", verifyJWT, getTodoById);
+router.get("/todo/:id", verifyJWT, ensureOwnership, getTodoById);
+
+// Get the event history of a todo (protected - owner, shared list member or assignee)
+// GET /api/todos/todo/:id/history
+router.get("/todo/:id/history", verifyJWT, ensureOwnership, getTodoHistory);
+
+// Get a todo with its nested subtasks (protected - owner, shared list member or assignee)
+// GET /api/todos/todo/:id/subtasks
+router.get("/todo/:id/subtasks", verifyJWT, ensureOwnership, getTodoTree);
+
+// Get every occurrence of a recurring todo's series (protected - owner, shared list member or assignee)
+// GET /api/todos/todo/:id/series
+router.get("/todo/:id/series", verifyJWT, ensureOwnership, getTodoSeries);
+
+// Get the tasks a todo depends on and those waiting on it (protected - owner, shared list member or assignee)
+// GET /api/todos/todo/:id/dependencies
+router.get(
+  "/todo/:id/dependencies",
+  verifyJWT,
+  ensureOwnership,
+  getTodoDependencies,
+);
 
 // Verify todo against blockchain (protected, expensive operation - strict rate limit)
 // GET /api/todos/verify/:id
-router.get("/verify/:id", verifyJWT, strictLimiter, verifyTodo);
+router.get(
+  "/verify/:id",
+  verifyJWT,
+  strictLimiter,
+  ensureOwnership,
+  verifyTodo,
+);
 
 // Manually sync a todo from blockchain (protected, expensive operation - strict rate limit)
 // POST /api/todos/sync
@@ -77,7 +124,20 @@ router.post(
   syncTodoFromBlockchain,
 );
 
-// Restore a deleted todo (protected, expensive operation - strict rate limit)
+// Apply every task event of a mined transaction, e.g. a batch operation
+// (protected, expensive operation - strict rate limit)
+// POST /api/todos/sync-transaction
+// Body: { chainId, transactionHash }
+router.post(
+  "/sync-transaction",
+  verifyJWT,
+  strictLimiter,
+  validateSyncTransactionRequest,
+  syncTransaction,
+);
+
+// Restore a deleted todo (protected - owner or shared list editor, expensive
+// operation - strict rate limit)
 // POST /api/todos/restore
 // Body: { id }
 router.post(
@@ -85,12 +145,13 @@ router.post(
   verifyJWT,
   strictLimiter,
   validateRestoreRequest,
+  ensureOwnership,
   restoreTodo,
 );
 
-// Update a todo's description (protected)
+// Update a todo's description (protected - owner or shared list editor)
 // PUT /api/todos/:id
 // Body: { description }
-router.put("/:id", verifyJWT, updateTodo);
+router.put("/:id", verifyJWT, ensureOwnership, updateTodo);
 
 module.exports = router;
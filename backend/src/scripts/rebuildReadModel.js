@@ -0,0 +1,75 @@
+/**
+ * Drop and rebuild the Todo read model of a chain from contract events
+ * Usage: node -r ts-node/register src/scripts/rebuildReadModel.js <chainId> [--from <block>] [--window <blocks>] [--restart]
+ *
+ * Stop the backend first so live listeners don't race the replay. An
+ * interrupted rebuild resumes where it stopped when run again; pass
+ * --restart to discard it and start over.
+ */
+
+require("dotenv").config();
+const blockchainService = require("../services/blockchainService");
+const ReadModelRebuilder = require("../services/readModelRebuilder");
+const connectDB = require("../config/database");
+const logger = require("../utils/logger");
+
+function parseArgs(argv) {
+  const options = { restart: false };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--restart") {
+      options.restart = true;
+    } else if (arg === "--from") {
+      options.fromBlock = parseInt(argv[++i]);
+    } else if (arg === "--window") {
+      options.windowSize = parseInt(argv[++i]);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  options.chainId = parseInt(positional[0]);
+  return options;
+}
+
+async function rebuild({ chainId, fromBlock, windowSize, restart }) {
+  try {
+    await connectDB();
+    logger.info("Connected to MongoDB");
+
+    blockchainService.connectChain(chainId);
+
+    const rebuilder = new ReadModelRebuilder(blockchainService, {
+      windowSize,
+    });
+    const result = await rebuilder.rebuild(chainId, { fromBlock, restart });
+
+    logger.info("✓ Rebuild completed successfully", result);
+    process.exit(0);
+  } catch (error) {
+    logger.error("Rebuild failed (run again to resume):", {
+      error: error.message,
+      stack: error.stack,
+    });
+    process.exit(1);
+  }
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+if (
+  !options.chainId ||
+  Number.isNaN(options.fromBlock ?? 0) ||
+  Number.isNaN(options.windowSize ?? 1) ||
+  options.windowSize <= 0
+) {
+  console.error(
+    "Usage: node rebuildReadModel.js <chainId> [--from <block>] [--window <blocks>] [--restart]",
+  );
+  console.error("Example: node rebuildReadModel.js 11155111 --window 5000");
+  process.exit(1);
+}
+
+rebuild(options);
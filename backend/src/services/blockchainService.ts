@@ -4,6 +4,12 @@ import { ethers } from "ethers";
 const logger = require("../utils/logger");
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const Todo = require("../models/Todo");
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const SyncCheckpoint = require("../models/SyncCheckpoint");
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const TaskEvent = require("../models/TaskEvent");
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const TaskList = require("../models/TaskList");
 const {
   networks,
   contractAddresses,
@@ -14,6 +20,8 @@ const {
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const SyncMonitor = require("./syncMonitor");
 // eslint-disable-next-line @typescript-eslint/no-var-requires
+const IpfsRefetchQueue = require("./ipfsRefetchQueue");
+// eslint-disable-next-line @typescript-eslint/no-var-requires
 const { resolveDescription: resolveIpfsDescription } = require("./ipfsService");
 
 // ---------------------------------------------------------------------------
@@ -38,10 +46,24 @@ interface EventHandlers {
   providerError?: (error: Error) => void;
   blockUpdate?: (blockNumber: number) => Promise<void>;
   taskCreated?: (...args: unknown[]) => Promise<void>;
+  subtaskCreated?: (...args: unknown[]) => Promise<void>;
   taskCompleted?: (...args: unknown[]) => Promise<void>;
   taskDeleted?: (...args: unknown[]) => Promise<void>;
   taskRestored?: (...args: unknown[]) => Promise<void>;
   taskUpdated?: (...args: unknown[]) => Promise<void>;
+  taskTagged?: (...args: unknown[]) => Promise<void>;
+  taskPriorityChanged?: (...args: unknown[]) => Promise<void>;
+  taskListChanged?: (...args: unknown[]) => Promise<void>;
+  taskRecurrenceChanged?: (...args: unknown[]) => Promise<void>;
+  taskRecurred?: (...args: unknown[]) => Promise<void>;
+  taskDependenciesChanged?: (...args: unknown[]) => Promise<void>;
+  taskAssigned?: (...args: unknown[]) => Promise<void>;
+  taskAssignmentProposed?: (...args: unknown[]) => Promise<void>;
+  taskAssignmentRejected?: (...args: unknown[]) => Promise<void>;
+  taskBountyChanged?: (...args: unknown[]) => Promise<void>;
+  taskBountyReleased?: (...args: unknown[]) => Promise<void>;
+  listCreated?: (...args: unknown[]) => Promise<void>;
+  listMemberUpdated?: (...args: unknown[]) => Promise<void>;
   websocketClose?: (...args: unknown[]) => void;
 }
 
@@ -50,6 +72,7 @@ interface ChainHealthStatus {
   lastHeartbeat: Date | null;
   consecutiveFailures: number;
   lastProcessedBlock: number | null;
+  lastCheckpointBlock: number | null;
   reconnectAttempts: number;
 }
 
@@ -67,6 +90,81 @@ interface NetworkInfo {
   error?: string;
 }
 
+/** Position of an applied event; a null logIndex covers the whole block */
+interface SyncCheckpointState {
+  lastBlock: number;
+  lastBlockHash: string | null;
+  lastLogIndex: number | null;
+}
+
+interface BlockHeader {
+  hash: string;
+  parentHash: string;
+}
+
+interface EventPosition {
+  blockNumber?: number;
+  blockHash?: string | null;
+  index?: number;
+  transactionHash?: string;
+}
+
+// Argument names of each task event, in ABI order
+const EVENT_ARG_NAMES: Record<string, string[]> = {
+  TaskCreated: ["taskId", "owner", "description", "timestamp", "dueDate"],
+  SubtaskCreated: [
+    "taskId",
+    "parentId",
+    "owner",
+    "description",
+    "timestamp",
+    "dueDate",
+  ],
+  TaskCompleted: ["taskId", "owner", "timestamp"],
+  TaskDeleted: ["taskId", "owner", "timestamp"],
+  TaskRestored: ["taskId", "owner", "timestamp"],
+  TaskUpdated: [
+    "taskId",
+    "owner",
+    "oldDescription",
+    "newDescription",
+    "timestamp",
+  ],
+  TaskTagged: ["taskId", "owner", "tags", "timestamp"],
+  TaskPriorityChanged: [
+    "taskId",
+    "owner",
+    "oldPriority",
+    "newPriority",
+    "timestamp",
+  ],
+  TaskListChanged: ["taskId", "owner", "oldListId", "newListId", "timestamp"],
+  TaskRecurrenceChanged: [
+    "taskId",
+    "owner",
+    "recurrence",
+    "interval",
+    "timestamp",
+  ],
+  TaskRecurred: ["taskId", "nextTaskId", "seriesId", "dueDate", "timestamp"],
+  TaskDependenciesChanged: ["taskId", "owner", "dependencies", "timestamp"],
+  TaskAssigned: ["taskId", "owner", "assignee", "timestamp"],
+  TaskAssignmentProposed: ["taskId", "owner", "assignee", "timestamp"],
+  TaskAssignmentRejected: ["taskId", "assignee", "timestamp"],
+  TaskBountyChanged: ["taskId", "owner", "bounty", "timestamp"],
+  TaskBountyReleased: ["taskId", "assignee", "amount", "timestamp"],
+};
+
+// Shared list events; these are keyed by list rather than task, so they are
+// kept out of the task history
+const LIST_EVENT_NAMES = ["ListCreated", "ListMemberUpdated"];
+
+// TodoListV2.ListRole by enum value; None removes a member
+const LIST_ROLE_NAMES = [null, "viewer", "editor", "owner"];
+
+// TodoListV2.Recurrence by enum value
+const RECURRENCE_NAMES = ["none", "daily", "weekly", "monthly", "interval"];
+
 type EthersProvider = ethers.JsonRpcProvider | ethers.FallbackProvider;
 
 // ---------------------------------------------------------------------------
@@ -78,9 +176,25 @@ class BlockchainService {
   private contracts: Record<number, ethers.Contract> = {};
   private initialized: boolean = false;
   private lastProcessedBlock: Record<number, number> = {};
+  private checkpoints: Record<number, SyncCheckpointState> = {};
+  private recovering: Record<number, boolean> = {};
+  // Recent canonical block hashes per chain, used to detect reorgs
+  private blockHashes: Record<number, Map<number, string>> = {};
+  private readonly reorgHistoryDepth: number;
+  private deferredEvents: Record<number, Array<() => Promise<void>>> = {};
   private reconnectAttempts: Record<number, number> = {};
   private eventListenersActive: Record<number, boolean> = {};
   private eventHandlers: Record<number, EventHandlers> = {};
+  // Listeners registered with contract.on(), by event name
+  private contractListeners: Record<
+    number,
+    Record<string, (...args: unknown[]) => Promise<void>>
+  > = {};
+  // Tail of each chain's live event queue
+  private eventQueues: Record<number, Promise<void>> = {};
+  // Earliest live event per chain whose handler failed and has not been
+  // replayed yet; the checkpoint is held behind it
+  private failedEvents: Record<number, EventPosition> = {};
 
   private readonly maxReconnectAttempts: number;
   private readonly reconnectDelay: number;
@@ -98,6 +212,8 @@ class BlockchainService {
 
   // eslint-disable-next-line @typescript-eslint/no-explicit-any
   private syncMonitor: any = null;
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  private ipfsRefetchQueue: any = null;
 
   private globalErrorHandlerInstalled: boolean = false;
   private lastFilterErrorLogTime: number = 0;
@@ -110,6 +226,8 @@ class BlockchainService {
       parseInt(process.env.RECONNECT_BASE_DELAY ?? "") || 5000;
     this.heartbeatInterval =
       parseInt(process.env.HEARTBEAT_INTERVAL ?? "") || 60000;
+    this.reorgHistoryDepth =
+      parseInt(process.env.REORG_HISTORY_DEPTH ?? "") || 64;
 
     // Install global handler for ethers.js FilterIdEventSubscriber errors
     this.installGlobalErrorHandler();
@@ -223,22 +341,7 @@ class BlockchainService {
         }
 
         try {
-          const envKey = `CONFIRMATION_BLOCKS_${networkKey.toUpperCase()}`;
-          const defaultConfirmations = this.getDefaultConfirmations(
-            network.chainId,
-          );
-          this.confirmations[network.chainId] =
-            parseInt(process.env[envKey] ?? "") || defaultConfirmations;
-
-          const provider = this.createResilientProvider(network);
-          this.providers[network.chainId] = provider;
-
-          const contract = new ethers.Contract(
-            contractAddress,
-            contractABI as ethers.InterfaceAbi,
-            provider,
-          );
-          this.contracts[network.chainId] = contract;
+          this.connectNetwork(networkKey, network, contractAddress);
 
           this.startEventListeners(network.chainId);
           await this.recoverMissedEvents(network.chainId);
@@ -264,6 +367,9 @@ class BlockchainService {
 
       this.syncMonitor = new SyncMonitor(this);
       this.syncMonitor.start();
+
+      this.ipfsRefetchQueue = new IpfsRefetchQueue();
+      this.ipfsRefetchQueue.start();
     } catch (error) {
       const err = error as Error;
       logger.error("Error initializing blockchain service:", {
@@ -274,6 +380,52 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Create the provider and contract for a network without starting listeners
+   */
+  connectNetwork(
+    networkKey: string,
+    network: NetworkConfig,
+    contractAddress: string,
+  ): void {
+    const envKey = `CONFIRMATION_BLOCKS_${networkKey.toUpperCase()}`;
+    const defaultConfirmations = this.getDefaultConfirmations(network.chainId);
+    this.confirmations[network.chainId] =
+      parseInt(process.env[envKey] ?? "") || defaultConfirmations;
+
+    const provider = this.createResilientProvider(network);
+    this.providers[network.chainId] = provider;
+
+    this.contracts[network.chainId] = new ethers.Contract(
+      contractAddress,
+      contractABI as ethers.InterfaceAbi,
+      provider,
+    );
+  }
+
+  /**
+   * Connect a single chain for offline tooling (e.g. the rebuild script).
+   * Unlike initialize(), no listeners, recovery or monitoring are started.
+   */
+  connectChain(chainId: number): void {
+    const entry = Object.entries(
+      networks as Record<string, NetworkConfig>,
+    ).find(([, network]) => network.chainId === chainId);
+    if (!entry) {
+      throw new Error(`Unknown chain ${chainId}`);
+    }
+
+    const [networkKey, network] = entry;
+    const contractAddress = this.getCheckpointAddress(chainId);
+    if (!network.rpcUrl || !contractAddress) {
+      throw new Error(
+        `Chain ${chainId} has no RPC URL or deployed contract configured`,
+      );
+    }
+
+    this.connectNetwork(networkKey, network, contractAddress);
+  }
+
   /**
    * Create resilient provider with automatic failover to backup RPC
    */
@@ -321,6 +473,9 @@ class BlockchainService {
    * Recover missed events during backend downtime
    */
   async recoverMissedEvents(chainId: number): Promise<void> {
+    // Live events arriving mid-recovery are held back and applied afterwards,
+    // otherwise they would move the checkpoint past events not yet replayed
+    this.recovering[chainId] = true;
     try {
       const contract = this.contracts[chainId];
       const provider = this.providers[chainId];
@@ -332,6 +487,47 @@ class BlockchainService {
         return;
       }
 
+      const checkpoint = await this.loadCheckpoint(chainId);
+      if (checkpoint) {
+        const currentBlock = await provider.getBlockNumber();
+
+        // The checkpoint block itself may have been orphaned while we were down
+        const canonicalHash = checkpoint.lastBlockHash
+          ? await this.getBlockHash(chainId, checkpoint.lastBlock)
+          : null;
+        if (canonicalHash && canonicalHash !== checkpoint.lastBlockHash) {
+          const confirmations = this.confirmations[chainId] ?? 12;
+          const forkBlock = Math.max(0, checkpoint.lastBlock - confirmations);
+          logger.warn(
+            `Checkpoint block ${checkpoint.lastBlock} on chain ${chainId} is no longer canonical, rolling back from block ${forkBlock}`,
+          );
+          await this.handleReorg(chainId, checkpoint.lastBlock, forkBlock);
+          return;
+        }
+
+        const resumeBlock =
+          checkpoint.lastLogIndex === null
+            ? checkpoint.lastBlock + 1
+            : checkpoint.lastBlock;
+
+        if (resumeBlock > currentBlock) {
+          logger.info(
+            `✓ Chain ${chainId} is up to date with checkpoint at block ${checkpoint.lastBlock}`,
+          );
+          return;
+        }
+
+        logger.info(
+          `🔄 Resuming chain ${chainId} from checkpoint block ${resumeBlock} to ${currentBlock}...`,
+        );
+
+        await this.resyncFromBlock(chainId, resumeBlock);
+
+        logger.info(`✓ Event recovery completed for chain ${chainId}`);
+        return;
+      }
+
+      // No checkpoint yet (first run): estimate a start block from the last sync time
       const lastSynced = await Todo.findOne({ chainId })
         .sort({ lastSyncedAt: -1 })
         .select("lastSyncedAt")
@@ -382,9 +578,180 @@ class BlockchainService {
         error: err.message,
         stack: err.stack,
       });
+    } finally {
+      this.recovering[chainId] = false;
+      await this.flushDeferredEvents(chainId);
+    }
+  }
+
+  async flushDeferredEvents(chainId: number): Promise<void> {
+    const deferred = this.deferredEvents[chainId] ?? [];
+    this.deferredEvents[chainId] = [];
+
+    if (deferred.length > 0) {
+      logger.info(
+        `Applying ${deferred.length} events received during recovery on chain ${chainId}`,
+      );
+    }
+
+    for (const apply of deferred) {
+      await apply();
+    }
+  }
+
+  getCheckpointAddress(chainId: number): string | null {
+    return (
+      (contractAddresses as Record<number, string | undefined>)[chainId] ?? null
+    );
+  }
+
+  /**
+   * Load the persisted sync checkpoint for a chain into memory
+   */
+  async loadCheckpoint(chainId: number): Promise<SyncCheckpointState | null> {
+    const contractAddress = this.getCheckpointAddress(chainId);
+    if (!contractAddress) return null;
+
+    try {
+      const doc = await SyncCheckpoint.findCheckpoint(chainId, contractAddress);
+      if (!doc) {
+        delete this.checkpoints[chainId];
+        return null;
+      }
+
+      this.checkpoints[chainId] = {
+        lastBlock: doc.lastBlock,
+        lastBlockHash: doc.lastBlockHash ?? null,
+        lastLogIndex: doc.lastLogIndex ?? null,
+      };
+      return this.checkpoints[chainId];
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Error loading sync checkpoint for chain ${chainId}:`, {
+        error: err.message,
+        stack: err.stack,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Whether an event at the given position is already covered by the checkpoint.
+   * Events without a known position are never treated as applied.
+   */
+  isEventApplied(chainId: number, position: EventPosition): boolean {
+    const checkpoint = this.checkpoints[chainId];
+    if (!checkpoint || position.blockNumber === undefined) return false;
+
+    if (position.blockNumber < checkpoint.lastBlock) return true;
+    if (position.blockNumber > checkpoint.lastBlock) return false;
+
+    return (
+      checkpoint.lastLogIndex === null ||
+      (position.index !== undefined &&
+        position.index <= checkpoint.lastLogIndex)
+    );
+  }
+
+  /**
+   * Whether a position comes strictly before an event's position in chain order
+   */
+  isBeforeEvent(position: EventPosition, event: EventPosition): boolean {
+    if (position.blockNumber === undefined || event.blockNumber === undefined) {
+      return false;
+    }
+    if (position.blockNumber !== event.blockNumber) {
+      return position.blockNumber < event.blockNumber;
+    }
+
+    return (
+      position.index !== undefined &&
+      event.index !== undefined &&
+      position.index < event.index
+    );
+  }
+
+  /**
+   * Move the checkpoint forward to the given position and persist it.
+   * Positions at or behind the current checkpoint are ignored, and so are
+   * positions at or after a failed live event that is waiting to be replayed.
+   */
+  async advanceCheckpoint(
+    chainId: number,
+    position: EventPosition,
+  ): Promise<void> {
+    if (position.blockNumber === undefined) return;
+    if (this.isEventApplied(chainId, position)) return;
+
+    const failed = this.failedEvents[chainId];
+    if (failed && !this.isBeforeEvent(position, failed)) return;
+
+    await this.writeCheckpoint(chainId, {
+      lastBlock: position.blockNumber,
+      lastBlockHash: position.blockHash ?? null,
+      lastLogIndex: position.index ?? null,
+    });
+  }
+
+  /**
+   * Move the checkpoint back so that everything after `blockNumber` is applied again
+   */
+  async rewindCheckpoint(chainId: number, blockNumber: number): Promise<void> {
+    const checkpoint = this.checkpoints[chainId];
+    if (!checkpoint || checkpoint.lastBlock <= blockNumber) return;
+
+    await this.writeCheckpoint(chainId, {
+      lastBlock: Math.max(0, blockNumber),
+      lastBlockHash: await this.getBlockHash(chainId, blockNumber),
+      lastLogIndex: null,
+    });
+  }
+
+  async writeCheckpoint(
+    chainId: number,
+    state: SyncCheckpointState,
+  ): Promise<void> {
+    this.checkpoints[chainId] = state;
+
+    const contractAddress = this.getCheckpointAddress(chainId);
+    if (!contractAddress) return;
+
+    try {
+      await SyncCheckpoint.saveCheckpoint(chainId, contractAddress, {
+        blockNumber: state.lastBlock,
+        blockHash: state.lastBlockHash,
+        logIndex: state.lastLogIndex,
+      });
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Error saving sync checkpoint for chain ${chainId}:`, {
+        error: err.message,
+        stack: err.stack,
+      });
+    }
+  }
+
+  async getBlockHeader(
+    chainId: number,
+    blockNumber: number,
+  ): Promise<BlockHeader | null> {
+    try {
+      const block = await this.providers[chainId]?.getBlock(blockNumber);
+      if (!block?.hash) return null;
+      return { hash: block.hash, parentHash: block.parentHash };
+    } catch {
+      return null;
     }
   }
 
+  async getBlockHash(
+    chainId: number,
+    blockNumber: number,
+  ): Promise<string | null> {
+    const header = await this.getBlockHeader(chainId, blockNumber);
+    return header?.hash ?? null;
+  }
+
   getBlocksPerDay(chainId: number): number {
     const blocksPerDay: Record<number, number> = {
       1: 7200,
@@ -511,10 +878,24 @@ class BlockchainService {
   validateContractEvents(contract: ethers.Contract, chainId: number): void {
     const expectedEvents = [
       "TaskCreated",
+      "SubtaskCreated",
       "TaskCompleted",
       "TaskDeleted",
       "TaskRestored",
       "TaskUpdated",
+      "TaskTagged",
+      "TaskPriorityChanged",
+      "TaskListChanged",
+      "TaskRecurrenceChanged",
+      "TaskRecurred",
+      "TaskDependenciesChanged",
+      "TaskAssigned",
+      "TaskAssignmentProposed",
+      "TaskAssignmentRejected",
+      "TaskBountyChanged",
+      "TaskBountyReleased",
+      "ListCreated",
+      "ListMemberUpdated",
     ];
 
     const missingEvents: string[] = [];
@@ -755,21 +1136,38 @@ class BlockchainService {
 
     this.validateContractEvents(contract, chainId);
 
-    // Remove existing listeners to prevent memory leaks
+    // Remove existing listeners to prevent memory leaks. contract.on() was
+    // given the wrapped handlers, so those are what off() has to be passed
+    const listeners = this.contractListeners[chainId];
+    if (listeners) {
+      const off = (eventName: string): void => {
+        if (listeners[eventName]) contract.off(eventName, listeners[eventName]);
+      };
+
+      off("TaskCreated");
+      off("SubtaskCreated");
+      off("TaskCompleted");
+      off("TaskDeleted");
+      off("TaskRestored");
+      off("TaskUpdated");
+      off("TaskTagged");
+      off("TaskPriorityChanged");
+      off("TaskListChanged");
+      off("TaskRecurrenceChanged");
+      off("TaskRecurred");
+      off("TaskDependenciesChanged");
+      off("TaskAssigned");
+      off("TaskAssignmentProposed");
+      off("TaskAssignmentRejected");
+      off("TaskBountyChanged");
+      off("TaskBountyReleased");
+      off("ListCreated");
+      off("ListMemberUpdated");
+    }
+
     if (this.eventHandlers[chainId]) {
       const handlers = this.eventHandlers[chainId];
 
-      if (handlers.taskCreated)
-        contract.off("TaskCreated", handlers.taskCreated);
-      if (handlers.taskCompleted)
-        contract.off("TaskCompleted", handlers.taskCompleted);
-      if (handlers.taskDeleted)
-        contract.off("TaskDeleted", handlers.taskDeleted);
-      if (handlers.taskRestored)
-        contract.off("TaskRestored", handlers.taskRestored);
-      if (handlers.taskUpdated)
-        contract.off("TaskUpdated", handlers.taskUpdated);
-
       if (handlers.providerError) provider.off("error", handlers.providerError);
       if (handlers.blockUpdate) provider.off("block", handlers.blockUpdate);
 
@@ -845,33 +1243,62 @@ class BlockchainService {
             bigint,
             { log: { blockNumber: number; transactionHash: string } },
           ];
-        try {
-          logger.info(`[${chainId}] TaskCreated event:`, {
-            taskId: taskId.toString(),
-            owner,
-            description,
-            dueDate: dueDate
-              ? new Date(Number(dueDate) * 1000).toISOString()
-              : null,
-            blockNumber: event.log.blockNumber,
-          });
+        logger.info(`[${chainId}] TaskCreated event:`, {
+          taskId: taskId.toString(),
+          owner,
+          description,
+          dueDate: dueDate
+            ? new Date(Number(dueDate) * 1000).toISOString()
+            : null,
+          blockNumber: event.log.blockNumber,
+        });
 
-          await this.syncTaskCreated(
-            chainId,
-            taskId,
-            owner,
-            description,
-            timestamp,
-            event.log.transactionHash,
-            dueDate,
-          );
-        } catch (error) {
-          const err = error as Error;
-          logger.error(`Error handling TaskCreated event:`, {
-            error: err.message,
-            stack: err.stack,
-          });
-        }
+        await this.syncTaskCreated(
+          chainId,
+          taskId,
+          owner,
+          description,
+          timestamp,
+          event.log.transactionHash,
+          dueDate,
+        );
+      },
+
+      subtaskCreated: async (...args: unknown[]) => {
+        const [
+          taskId,
+          parentId,
+          owner,
+          description,
+          timestamp,
+          dueDate,
+          event,
+        ] = args as [
+          bigint,
+          bigint,
+          string,
+          string,
+          bigint,
+          bigint,
+          { log: { blockNumber: number; transactionHash: string } },
+        ];
+        logger.info(`[${chainId}] SubtaskCreated event:`, {
+          taskId: taskId.toString(),
+          parentId: parentId.toString(),
+          owner,
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncTaskCreated(
+          chainId,
+          taskId,
+          owner,
+          description,
+          timestamp,
+          event.log.transactionHash,
+          dueDate,
+          parentId,
+        );
       },
 
       taskCompleted: async (...args: unknown[]) => {
@@ -881,44 +1308,28 @@ class BlockchainService {
           bigint,
           { log: { blockNumber: number } },
         ];
-        try {
-          logger.info(`[${chainId}] TaskCompleted event:`, {
-            taskId: taskId.toString(),
-            timestamp,
-            blockNumber: event.log.blockNumber,
-          });
+        logger.info(`[${chainId}] TaskCompleted event:`, {
+          taskId: taskId.toString(),
+          timestamp,
+          blockNumber: event.log.blockNumber,
+        });
 
-          await this.syncTaskCompleted(chainId, taskId, timestamp);
-        } catch (error) {
-          const err = error as Error;
-          logger.error(`Error handling TaskCompleted event:`, {
-            error: err.message,
-            stack: err.stack,
-          });
-        }
+        await this.syncTaskCompleted(chainId, taskId, timestamp);
       },
 
       taskDeleted: async (...args: unknown[]) => {
-        const [taskId, , , event] = args as [
+        const [taskId, , timestamp, event] = args as [
           bigint,
           string,
           bigint,
           { log: { blockNumber: number } },
         ];
-        try {
-          logger.info(`[${chainId}] TaskDeleted event:`, {
-            taskId: taskId.toString(),
-            blockNumber: event.log.blockNumber,
-          });
+        logger.info(`[${chainId}] TaskDeleted event:`, {
+          taskId: taskId.toString(),
+          blockNumber: event.log.blockNumber,
+        });
 
-          await this.syncTaskDeleted(chainId, taskId);
-        } catch (error) {
-          const err = error as Error;
-          logger.error(`Error handling TaskDeleted event:`, {
-            error: err.message,
-            stack: err.stack,
-          });
-        }
+        await this.syncTaskDeleted(chainId, taskId, timestamp);
       },
 
       taskRestored: async (...args: unknown[]) => {
@@ -928,20 +1339,12 @@ class BlockchainService {
           bigint,
           { log: { blockNumber: number } },
         ];
-        try {
-          logger.info(`[${chainId}] TaskRestored event:`, {
-            taskId: taskId.toString(),
-            blockNumber: event.log.blockNumber,
-          });
+        logger.info(`[${chainId}] TaskRestored event:`, {
+          taskId: taskId.toString(),
+          blockNumber: event.log.blockNumber,
+        });
 
-          await this.syncTaskRestored(chainId, taskId);
-        } catch (error) {
-          const err = error as Error;
-          logger.error(`Error handling TaskRestored event:`, {
-            error: err.message,
-            stack: err.stack,
-          });
-        }
+        await this.syncTaskRestored(chainId, taskId);
       },
 
       taskUpdated: async (...args: unknown[]) => {
@@ -953,44 +1356,271 @@ class BlockchainService {
           bigint,
           { log: { blockNumber: number } },
         ];
-        try {
-          logger.info(`[${chainId}] TaskUpdated event:`, {
-            taskId: taskId.toString(),
-            oldDescription,
-            newDescription,
-            blockNumber: event.log.blockNumber,
-          });
+        logger.info(`[${chainId}] TaskUpdated event:`, {
+          taskId: taskId.toString(),
+          oldDescription,
+          newDescription,
+          blockNumber: event.log.blockNumber,
+        });
 
-          await this.syncTaskUpdated(
-            chainId,
-            taskId,
-            oldDescription,
-            newDescription,
-          );
-        } catch (error) {
-          const err = error as Error;
-          logger.error(`Error handling TaskUpdated event:`, {
-            error: err.message,
-            stack: err.stack,
-          });
-        }
+        await this.syncTaskUpdated(
+          chainId,
+          taskId,
+          oldDescription,
+          newDescription,
+        );
       },
-    };
 
-    this.eventHandlers[chainId] = handlers;
+      taskTagged: async (...args: unknown[]) => {
+        const [taskId, , tags, , event] = args as [
+          bigint,
+          string,
+          string[],
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] TaskTagged event:`, {
+          taskId: taskId.toString(),
+          tags: tags.length,
+          blockNumber: event.log.blockNumber,
+        });
 
-    provider.on("error", handlers.providerError!);
-    provider.on("block", handlers.blockUpdate!);
+        await this.syncTaskTagged(chainId, taskId, tags);
+      },
 
-    // Add WebSocket disconnect handling (if applicable)
-    const providerWithWs = provider as ethers.JsonRpcProvider & {
-      websocket?: {
-        on: (event: string, cb: (...args: unknown[]) => void) => void;
-      };
-    };
-    if (providerWithWs.websocket) {
-      handlers.websocketClose = (...args: unknown[]) => {
-        const [code, reason] = args as [number, string];
+      taskPriorityChanged: async (...args: unknown[]) => {
+        const [taskId, , oldPriority, newPriority, , event] = args as [
+          bigint,
+          string,
+          bigint,
+          bigint,
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] TaskPriorityChanged event:`, {
+          taskId: taskId.toString(),
+          oldPriority: Number(oldPriority),
+          newPriority: Number(newPriority),
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncTaskPriorityChanged(chainId, taskId, newPriority);
+      },
+
+      taskListChanged: async (...args: unknown[]) => {
+        const [taskId, , oldListId, newListId, , event] = args as [
+          bigint,
+          string,
+          bigint,
+          bigint,
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] TaskListChanged event:`, {
+          taskId: taskId.toString(),
+          oldListId: oldListId.toString(),
+          newListId: newListId.toString(),
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncTaskListChanged(chainId, taskId, newListId);
+      },
+
+      taskRecurrenceChanged: async (...args: unknown[]) => {
+        const [taskId, , recurrence, interval, , event] = args as [
+          bigint,
+          string,
+          bigint,
+          bigint,
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] TaskRecurrenceChanged event:`, {
+          taskId: taskId.toString(),
+          recurrence: RECURRENCE_NAMES[Number(recurrence)],
+          interval: interval.toString(),
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncTaskRecurrenceChanged(
+          chainId,
+          taskId,
+          recurrence,
+          interval,
+        );
+      },
+
+      taskRecurred: async (...args: unknown[]) => {
+        const [taskId, nextTaskId, seriesId, , , event] = args as [
+          bigint,
+          bigint,
+          bigint,
+          bigint,
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] TaskRecurred event:`, {
+          taskId: taskId.toString(),
+          nextTaskId: nextTaskId.toString(),
+          seriesId: seriesId.toString(),
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncTaskRecurred(chainId, taskId, nextTaskId, seriesId);
+      },
+
+      taskDependenciesChanged: async (...args: unknown[]) => {
+        const [taskId, , dependencies, , event] = args as [
+          bigint,
+          string,
+          bigint[],
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] TaskDependenciesChanged event:`, {
+          taskId: taskId.toString(),
+          dependencies: dependencies.length,
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncTaskDependenciesChanged(chainId, taskId, dependencies);
+      },
+
+      taskAssigned: async (...args: unknown[]) => {
+        const [taskId, , assignee, , event] = args as [
+          bigint,
+          string,
+          string,
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] TaskAssigned event:`, {
+          taskId: taskId.toString(),
+          assignee,
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncTaskAssigned(chainId, taskId, assignee);
+      },
+
+      taskAssignmentProposed: async (...args: unknown[]) => {
+        const [taskId, , assignee, , event] = args as [
+          bigint,
+          string,
+          string,
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] TaskAssignmentProposed event:`, {
+          taskId: taskId.toString(),
+          assignee,
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncTaskAssignmentProposed(chainId, taskId, assignee);
+      },
+
+      taskAssignmentRejected: async (...args: unknown[]) => {
+        const [taskId, assignee, , event] = args as [
+          bigint,
+          string,
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] TaskAssignmentRejected event:`, {
+          taskId: taskId.toString(),
+          assignee,
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncTaskAssignmentRejected(chainId, taskId);
+      },
+
+      taskBountyChanged: async (...args: unknown[]) => {
+        const [taskId, , bounty, , event] = args as [
+          bigint,
+          string,
+          bigint,
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] TaskBountyChanged event:`, {
+          taskId: taskId.toString(),
+          bounty: bounty.toString(),
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncTaskBountyChanged(chainId, taskId, bounty);
+      },
+
+      taskBountyReleased: async (...args: unknown[]) => {
+        const [taskId, assignee, amount, , event] = args as [
+          bigint,
+          string,
+          bigint,
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] TaskBountyReleased event:`, {
+          taskId: taskId.toString(),
+          assignee,
+          amount: amount.toString(),
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncTaskBountyReleased(chainId, taskId, amount);
+      },
+
+      listCreated: async (...args: unknown[]) => {
+        const [listId, owner, name, timestamp, event] = args as [
+          bigint,
+          string,
+          string,
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] ListCreated event:`, {
+          listId: listId.toString(),
+          owner,
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncListCreated(chainId, listId, owner, name, timestamp);
+      },
+
+      listMemberUpdated: async (...args: unknown[]) => {
+        const [listId, member, role, , event] = args as [
+          bigint,
+          string,
+          bigint,
+          bigint,
+          { log: { blockNumber: number } },
+        ];
+        logger.info(`[${chainId}] ListMemberUpdated event:`, {
+          listId: listId.toString(),
+          member,
+          role: Number(role),
+          blockNumber: event.log.blockNumber,
+        });
+
+        await this.syncListMemberUpdated(chainId, listId, member, role);
+      },
+    };
+
+    this.eventHandlers[chainId] = handlers;
+
+    provider.on("error", handlers.providerError!);
+    provider.on("block", handlers.blockUpdate!);
+
+    // Add WebSocket disconnect handling (if applicable)
+    const providerWithWs = provider as ethers.JsonRpcProvider & {
+      websocket?: {
+        on: (event: string, cb: (...args: unknown[]) => void) => void;
+      };
+    };
+    if (providerWithWs.websocket) {
+      handlers.websocketClose = (...args: unknown[]) => {
+        const [code, reason] = args as [number, string];
         logger.warn(
           `WebSocket closed for chain ${chainId}: ${code} - ${reason}`,
         );
@@ -1001,13 +1631,39 @@ class BlockchainService {
     }
 
     try {
+      const contractListeners: Record<
+        string,
+        (...args: unknown[]) => Promise<void>
+      > = {};
+      this.contractListeners[chainId] = contractListeners;
+
       const wrapHandler = (
         handlerFn: (...args: unknown[]) => Promise<void>,
         eventName: string,
       ) => {
-        return async (...args: unknown[]) => {
+        const apply = async (...args: unknown[]): Promise<void> => {
+          if (this.recovering[chainId]) {
+            (this.deferredEvents[chainId] ??= []).push(() => wrapped(...args));
+            return;
+          }
+
+          const event = args[args.length - 1] as
+            | { log?: EventPosition }
+            | undefined;
+          const position = event?.log;
+
+          if (position && this.isEventApplied(chainId, position)) {
+            logger.debug(
+              `[${chainId}] Skipping ${eventName} at block ${position.blockNumber}, already applied`,
+            );
+            return;
+          }
+
           try {
             await handlerFn(...args);
+            if (position) {
+              await this.onEventApplied(chainId, eventName, args, position);
+            }
           } catch (error) {
             const err = error as Error;
             logger.error(
@@ -1017,14 +1673,30 @@ class BlockchainService {
                 stack: err.stack,
               },
             );
+            if (position) this.replayFailedEvent(chainId, position);
           }
         };
+        // Apply live events one at a time in arrival order, so events from
+        // the same transaction (e.g. TaskCreated then TaskTagged) don't race
+        const wrapped = (...args: unknown[]): Promise<void> => {
+          const run = (this.eventQueues[chainId] ?? Promise.resolve()).then(
+            () => apply(...args),
+          );
+          this.eventQueues[chainId] = run;
+          return run;
+        };
+        contractListeners[eventName] = wrapped;
+        return wrapped;
       };
 
       contract.on(
         "TaskCreated",
         wrapHandler(handlers.taskCreated!, "TaskCreated"),
       );
+      contract.on(
+        "SubtaskCreated",
+        wrapHandler(handlers.subtaskCreated!, "SubtaskCreated"),
+      );
       contract.on(
         "TaskCompleted",
         wrapHandler(handlers.taskCompleted!, "TaskCompleted"),
@@ -1041,6 +1713,61 @@ class BlockchainService {
         "TaskUpdated",
         wrapHandler(handlers.taskUpdated!, "TaskUpdated"),
       );
+      contract.on(
+        "TaskTagged",
+        wrapHandler(handlers.taskTagged!, "TaskTagged"),
+      );
+      contract.on(
+        "TaskPriorityChanged",
+        wrapHandler(handlers.taskPriorityChanged!, "TaskPriorityChanged"),
+      );
+      contract.on(
+        "TaskListChanged",
+        wrapHandler(handlers.taskListChanged!, "TaskListChanged"),
+      );
+      contract.on(
+        "TaskRecurrenceChanged",
+        wrapHandler(handlers.taskRecurrenceChanged!, "TaskRecurrenceChanged"),
+      );
+      contract.on(
+        "TaskRecurred",
+        wrapHandler(handlers.taskRecurred!, "TaskRecurred"),
+      );
+      contract.on(
+        "TaskDependenciesChanged",
+        wrapHandler(
+          handlers.taskDependenciesChanged!,
+          "TaskDependenciesChanged",
+        ),
+      );
+      contract.on(
+        "TaskAssigned",
+        wrapHandler(handlers.taskAssigned!, "TaskAssigned"),
+      );
+      contract.on(
+        "TaskAssignmentProposed",
+        wrapHandler(handlers.taskAssignmentProposed!, "TaskAssignmentProposed"),
+      );
+      contract.on(
+        "TaskAssignmentRejected",
+        wrapHandler(handlers.taskAssignmentRejected!, "TaskAssignmentRejected"),
+      );
+      contract.on(
+        "TaskBountyChanged",
+        wrapHandler(handlers.taskBountyChanged!, "TaskBountyChanged"),
+      );
+      contract.on(
+        "TaskBountyReleased",
+        wrapHandler(handlers.taskBountyReleased!, "TaskBountyReleased"),
+      );
+      contract.on(
+        "ListCreated",
+        wrapHandler(handlers.listCreated!, "ListCreated"),
+      );
+      contract.on(
+        "ListMemberUpdated",
+        wrapHandler(handlers.listMemberUpdated!, "ListMemberUpdated"),
+      );
 
       logger.info(`✓ Event listeners started for chainId: ${chainId}`);
     } catch (error) {
@@ -1061,71 +1788,70 @@ class BlockchainService {
     timestamp: bigint,
     transactionHash: string,
     dueDate: bigint,
+    parentId?: bigint,
   ): Promise<void> {
-    try {
-      const blockchainId = taskId.toString();
-      logger.info(
-        `[DEBUG] Attempting to sync TaskCreated: ${blockchainId} on chain ${chainId}`,
-      );
-
-      const existing = await Todo.findByBlockchainId(chainId, blockchainId);
-      if (existing) {
-        logger.info(`Task ${blockchainId} already synced on chain ${chainId}`);
-        return;
-      }
-      logger.info(`[DEBUG] No existing todo found, creating new one`);
-
-      // Resolve IPFS CID to plain text if applicable
-      const resolved = await resolveIpfsDescription(description);
-      const resolvedDescription = resolved.text;
-      const ipfsCid = resolved.cid;
-      const syncStatus =
-        ipfsCid && resolvedDescription === description ? "error" : "synced";
-
-      const todo = new Todo({
-        blockchainId,
-        chainId,
-        transactionHash,
-        owner: owner.toLowerCase(),
-        description: resolvedDescription,
-        ipfsCid,
-        completed: false,
-        blockchainCreatedAt: new Date(Number(timestamp) * 1000),
-        dueDate: dueDate ? new Date(Number(dueDate) * 1000) : null,
-        syncStatus,
-      });
+    const blockchainId = taskId.toString();
+    logger.info(
+      `[DEBUG] Attempting to sync TaskCreated: ${blockchainId} on chain ${chainId}`,
+    );
 
-      logger.info(`[DEBUG] Todo object created, calling save()...`);
-      logger.info(`[DEBUG] Todo data:`, {
-        blockchainId,
-        chainId,
-        transactionHash,
-        owner: owner.toLowerCase(),
-        description,
-      });
+    const existing = await Todo.findByBlockchainId(chainId, blockchainId);
+    if (existing) {
+      logger.info(`Task ${blockchainId} already synced on chain ${chainId}`);
+      return;
+    }
+    logger.info(`[DEBUG] No existing todo found, creating new one`);
+
+    // Resolve IPFS CID to plain text if applicable
+    const resolved = await resolveIpfsDescription(description);
+    const resolvedDescription = resolved.text;
+    const ipfsCid = resolved.cid;
+    const syncStatus =
+      ipfsCid && !resolved.encrypted && resolvedDescription === description
+        ? "error"
+        : "synced";
+
+    const todo = new Todo({
+      blockchainId,
+      chainId,
+      transactionHash,
+      owner: owner.toLowerCase(),
+      description: resolvedDescription,
+      ipfsCid,
+      encrypted: !!resolved.encrypted,
+      contentType: resolved.contentType ?? "text/plain",
+      attachments: resolved.attachments ?? [],
+      completed: false,
+      blockchainCreatedAt: new Date(Number(timestamp) * 1000),
+      dueDate: dueDate ? new Date(Number(dueDate) * 1000) : null,
+      parentId: parentId ? parentId.toString() : null,
+      syncStatus,
+    });
 
-      const savedTodo = await todo.save();
-      logger.info(`[DEBUG] Todo saved successfully! ID: ${savedTodo._id}`);
+    logger.info(`[DEBUG] Todo object created, calling save()...`);
+    logger.info(`[DEBUG] Todo data:`, {
+      blockchainId,
+      chainId,
+      transactionHash,
+      owner: owner.toLowerCase(),
+      description,
+    });
 
-      const verification = await Todo.findByBlockchainId(chainId, blockchainId);
-      if (verification) {
-        logger.info(
-          `[DEBUG] ✓ Verification successful - todo found in DB after save`,
-        );
-      } else {
-        logger.error(
-          `[DEBUG] ❌ Verification FAILED - todo NOT found in DB after save!`,
-        );
-      }
+    const savedTodo = await todo.save();
+    logger.info(`[DEBUG] Todo saved successfully! ID: ${savedTodo._id}`);
 
-      logger.info(`✓ Synced TaskCreated: ${blockchainId} on chain ${chainId}`);
-    } catch (error) {
-      const err = error as Error;
-      logger.error("Error syncing TaskCreated:", {
-        error: err.message,
-        stack: err.stack,
-      });
+    const verification = await Todo.findByBlockchainId(chainId, blockchainId);
+    if (verification) {
+      logger.info(
+        `[DEBUG] ✓ Verification successful - todo found in DB after save`,
+      );
+    } else {
+      logger.error(
+        `[DEBUG] ❌ Verification FAILED - todo NOT found in DB after save!`,
+      );
     }
+
+    logger.info(`✓ Synced TaskCreated: ${blockchainId} on chain ${chainId}`);
   }
 
   async syncTaskCompleted(
@@ -1133,74 +1859,54 @@ class BlockchainService {
     taskId: bigint,
     timestamp: bigint,
   ): Promise<void> {
-    try {
-      const blockchainId = taskId.toString();
-      const todo = await Todo.findByBlockchainId(chainId, blockchainId);
-
-      if (!todo) {
-        logger.error(
-          `Todo ${blockchainId} not found for completion on chain ${chainId}`,
-        );
-        return;
-      }
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
 
-      await todo.markAsCompleted(new Date(Number(timestamp) * 1000));
-      logger.info(
-        `✓ Synced TaskCompleted: ${blockchainId} on chain ${chainId}`,
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for completion on chain ${chainId}`,
       );
-    } catch (error) {
-      const err = error as Error;
-      logger.error("Error syncing TaskCompleted:", {
-        error: err.message,
-        stack: err.stack,
-      });
+      return;
     }
-  }
 
-  async syncTaskDeleted(chainId: number, taskId: bigint): Promise<void> {
-    try {
-      const blockchainId = taskId.toString();
-      const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+    await todo.markAsCompleted(new Date(Number(timestamp) * 1000));
+    logger.info(`✓ Synced TaskCompleted: ${blockchainId} on chain ${chainId}`);
+  }
 
-      if (!todo) {
-        logger.error(
-          `Todo ${blockchainId} not found for deletion on chain ${chainId}`,
-        );
-        return;
-      }
+  async syncTaskDeleted(
+    chainId: number,
+    taskId: bigint,
+    timestamp?: bigint,
+  ): Promise<void> {
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
 
-      await todo.markAsDeleted();
-      logger.info(`✓ Synced TaskDeleted: ${blockchainId} on chain ${chainId}`);
-    } catch (error) {
-      const err = error as Error;
-      logger.error("Error syncing TaskDeleted:", {
-        error: err.message,
-        stack: err.stack,
-      });
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for deletion on chain ${chainId}`,
+      );
+      return;
     }
+
+    await todo.markAsDeleted(
+      timestamp ? new Date(Number(timestamp) * 1000) : undefined,
+    );
+    logger.info(`✓ Synced TaskDeleted: ${blockchainId} on chain ${chainId}`);
   }
 
   async syncTaskRestored(chainId: number, taskId: bigint): Promise<void> {
-    try {
-      const blockchainId = taskId.toString();
-      const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
 
-      if (!todo) {
-        logger.error(
-          `Todo ${blockchainId} not found for restoration on chain ${chainId}`,
-        );
-        return;
-      }
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for restoration on chain ${chainId}`,
+      );
+      return;
+    }
 
-      await todo.markAsRestored();
-      logger.info(`✓ Synced TaskRestored: ${blockchainId} on chain ${chainId}`);
-    } catch (error) {
-      const err = error as Error;
-      logger.error("Error syncing TaskRestored:", {
-        error: err.message,
-        stack: err.stack,
-      });
-    }
+    await todo.markAsRestored();
+    logger.info(`✓ Synced TaskRestored: ${blockchainId} on chain ${chainId}`);
   }
 
   async syncTaskUpdated(
@@ -1209,34 +1915,364 @@ class BlockchainService {
     oldDescription: string,
     newDescription: string,
   ): Promise<void> {
-    try {
-      const blockchainId = taskId.toString();
-      const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
 
-      if (!todo) {
-        logger.error(
-          `Todo ${blockchainId} not found for update on chain ${chainId}`,
-        );
-        return;
-      }
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for update on chain ${chainId}`,
+      );
+      return;
+    }
 
-      // Resolve IPFS CID to plain text if applicable
-      const resolved = await resolveIpfsDescription(newDescription);
-      todo.description = resolved.text;
-      todo.ipfsCid = resolved.cid;
-      todo.lastSyncedAt = new Date();
-      if (resolved.cid && resolved.text === newDescription) {
-        todo.syncStatus = "error"; // CID resolution failed
-      }
-      await todo.save();
-      logger.info(`✓ Synced TaskUpdated: ${blockchainId} on chain ${chainId}`);
-    } catch (error) {
-      const err = error as Error;
-      logger.error("Error syncing TaskUpdated:", {
-        error: err.message,
-        stack: err.stack,
-      });
+    // Resolve IPFS CID to plain text if applicable
+    const resolved = await resolveIpfsDescription(newDescription);
+    todo.description = resolved.text;
+    todo.ipfsCid = resolved.cid;
+    todo.encrypted = !!resolved.encrypted;
+    todo.contentType = resolved.contentType ?? "text/plain";
+    todo.attachments = resolved.attachments ?? [];
+    todo.lastSyncedAt = new Date();
+    if (
+      resolved.cid &&
+      !resolved.encrypted &&
+      resolved.text === newDescription
+    ) {
+      todo.syncStatus = "error"; // CID resolution failed
+    }
+    await todo.save();
+    logger.info(`✓ Synced TaskUpdated: ${blockchainId} on chain ${chainId}`);
+  }
+
+  async syncTaskTagged(
+    chainId: number,
+    taskId: bigint,
+    tags: readonly string[],
+  ): Promise<void> {
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for tagging on chain ${chainId}`,
+      );
+      return;
+    }
+
+    todo.tags = tags.map((tag) => tag.toLowerCase());
+    todo.lastSyncedAt = new Date();
+    await todo.save();
+    logger.info(`✓ Synced TaskTagged: ${blockchainId} on chain ${chainId}`);
+  }
+
+  async syncTaskPriorityChanged(
+    chainId: number,
+    taskId: bigint,
+    priority: bigint,
+  ): Promise<void> {
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for priority change on chain ${chainId}`,
+      );
+      return;
+    }
+
+    todo.priority = Number(priority);
+    todo.lastSyncedAt = new Date();
+    await todo.save();
+    logger.info(
+      `✓ Synced TaskPriorityChanged: ${blockchainId} on chain ${chainId}`,
+    );
+  }
+
+  async syncTaskListChanged(
+    chainId: number,
+    taskId: bigint,
+    listId: bigint,
+  ): Promise<void> {
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for list change on chain ${chainId}`,
+      );
+      return;
+    }
+
+    todo.listId = listId ? listId.toString() : null;
+    todo.lastSyncedAt = new Date();
+    await todo.save();
+    logger.info(
+      `✓ Synced TaskListChanged: ${blockchainId} on chain ${chainId}`,
+    );
+  }
+
+  async syncTaskRecurrenceChanged(
+    chainId: number,
+    taskId: bigint,
+    recurrence: bigint,
+    interval: bigint,
+  ): Promise<void> {
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for recurrence change on chain ${chainId}`,
+      );
+      return;
+    }
+
+    todo.recurrence = RECURRENCE_NAMES[Number(recurrence)] ?? "none";
+    todo.recurrenceInterval = Number(interval);
+    // Like the contract, a task starts its own series the first time it recurs
+    if (todo.recurrence !== "none" && !todo.seriesId) {
+      todo.seriesId = blockchainId;
+    }
+    todo.lastSyncedAt = new Date();
+    await todo.save();
+    logger.info(
+      `✓ Synced TaskRecurrenceChanged: ${blockchainId} on chain ${chainId}`,
+    );
+  }
+
+  /**
+   * Link a completed occurrence to the next one, which the contract created
+   * (emitting TaskCreated or SubtaskCreated just before) with a copy of the
+   * completed task's details
+   */
+  async syncTaskRecurred(
+    chainId: number,
+    taskId: bigint,
+    nextTaskId: bigint,
+    seriesId: bigint,
+  ): Promise<void> {
+    const blockchainId = taskId.toString();
+    const nextBlockchainId = nextTaskId.toString();
+    const [todo, next] = await Promise.all([
+      Todo.findByBlockchainId(chainId, blockchainId),
+      Todo.findByBlockchainId(chainId, nextBlockchainId),
+    ]);
+
+    if (!todo || !next) {
+      logger.error(
+        `Todo ${!todo ? blockchainId : nextBlockchainId} not found for recurrence on chain ${chainId}`,
+      );
+      return;
+    }
+
+    todo.seriesId = seriesId.toString();
+    todo.nextOccurrenceId = nextBlockchainId;
+    todo.lastSyncedAt = new Date();
+
+    next.priority = todo.priority;
+    next.tags = todo.tags;
+    next.listId = todo.listId;
+    next.recurrence = todo.recurrence;
+    next.recurrenceInterval = todo.recurrenceInterval;
+    next.seriesId = seriesId.toString();
+    next.lastSyncedAt = new Date();
+
+    await Promise.all([todo.save(), next.save()]);
+    logger.info(
+      `✓ Synced TaskRecurred: ${blockchainId} -> ${nextBlockchainId} on chain ${chainId}`,
+    );
+  }
+
+  async syncTaskDependenciesChanged(
+    chainId: number,
+    taskId: bigint,
+    dependencies: readonly bigint[],
+  ): Promise<void> {
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for dependency change on chain ${chainId}`,
+      );
+      return;
+    }
+
+    todo.dependencies = dependencies.map((id) => id.toString());
+    todo.lastSyncedAt = new Date();
+    await todo.save();
+    logger.info(
+      `✓ Synced TaskDependenciesChanged: ${blockchainId} on chain ${chainId}`,
+    );
+  }
+
+  async syncTaskAssigned(
+    chainId: number,
+    taskId: bigint,
+    assignee: string,
+  ): Promise<void> {
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for assignment on chain ${chainId}`,
+      );
+      return;
+    }
+
+    // Emitted on acceptance, or with the zero address when the owner
+    // unassigns the task or the assignee steps down; either way no
+    // proposal is left open
+    todo.assignee =
+      assignee === ethers.ZeroAddress ? null : assignee.toLowerCase();
+    todo.pendingAssignee = null;
+    todo.lastSyncedAt = new Date();
+    await todo.save();
+    logger.info(`✓ Synced TaskAssigned: ${blockchainId} on chain ${chainId}`);
+  }
+
+  async syncTaskAssignmentProposed(
+    chainId: number,
+    taskId: bigint,
+    assignee: string,
+  ): Promise<void> {
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for assignment proposal on chain ${chainId}`,
+      );
+      return;
+    }
+
+    todo.pendingAssignee = assignee.toLowerCase();
+    todo.lastSyncedAt = new Date();
+    await todo.save();
+    logger.info(
+      `✓ Synced TaskAssignmentProposed: ${blockchainId} on chain ${chainId}`,
+    );
+  }
+
+  async syncTaskAssignmentRejected(
+    chainId: number,
+    taskId: bigint,
+  ): Promise<void> {
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for assignment rejection on chain ${chainId}`,
+      );
+      return;
+    }
+
+    todo.pendingAssignee = null;
+    todo.lastSyncedAt = new Date();
+    await todo.save();
+    logger.info(
+      `✓ Synced TaskAssignmentRejected: ${blockchainId} on chain ${chainId}`,
+    );
+  }
+
+  async syncTaskBountyChanged(
+    chainId: number,
+    taskId: bigint,
+    bounty: bigint,
+  ): Promise<void> {
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for bounty change on chain ${chainId}`,
+      );
+      return;
+    }
+
+    todo.bounty = bounty.toString();
+    todo.lastSyncedAt = new Date();
+    await todo.save();
+    logger.info(
+      `✓ Synced TaskBountyChanged: ${blockchainId} on chain ${chainId}`,
+    );
+  }
+
+  async syncTaskBountyReleased(
+    chainId: number,
+    taskId: bigint,
+    amount: bigint,
+  ): Promise<void> {
+    const blockchainId = taskId.toString();
+    const todo = await Todo.findByBlockchainId(chainId, blockchainId);
+
+    if (!todo) {
+      logger.error(
+        `Todo ${blockchainId} not found for bounty release on chain ${chainId}`,
+      );
+      return;
+    }
+
+    todo.bounty = "0";
+    todo.bountyReleased = amount.toString();
+    todo.lastSyncedAt = new Date();
+    await todo.save();
+    logger.info(
+      `✓ Synced TaskBountyReleased: ${blockchainId} on chain ${chainId}`,
+    );
+  }
+
+  async syncListCreated(
+    chainId: number,
+    listId: bigint,
+    owner: string,
+    name: string,
+    timestamp: bigint,
+  ): Promise<void> {
+    const existing = await TaskList.findByListId(chainId, listId);
+    if (existing) {
+      logger.info(`List ${listId} already synced on chain ${chainId}`);
+      return;
+    }
+
+    const list = new TaskList({
+      chainId,
+      listId: listId.toString(),
+      owner: owner.toLowerCase(),
+      name,
+      members: [],
+      blockchainCreatedAt: new Date(Number(timestamp) * 1000),
+    });
+    await list.save();
+    logger.info(`✓ Synced ListCreated: ${listId} on chain ${chainId}`);
+  }
+
+  async syncListMemberUpdated(
+    chainId: number,
+    listId: bigint,
+    member: string,
+    role: bigint,
+  ): Promise<void> {
+    const list = await TaskList.findByListId(chainId, listId);
+
+    if (!list) {
+      logger.error(
+        `List ${listId} not found for member update on chain ${chainId}`,
+      );
+      return;
+    }
+
+    // The owner role is held through the list's owner field
+    const roleName = LIST_ROLE_NAMES[Number(role)] ?? null;
+    if (roleName === "owner") {
+      return;
     }
+
+    list.setMemberRole(member, roleName);
+    await list.save();
+    logger.info(`✓ Synced ListMemberUpdated: ${listId} on chain ${chainId}`);
   }
 
   getContract(chainId?: number): ethers.Contract | undefined {
@@ -1289,6 +2325,7 @@ class BlockchainService {
         lastHeartbeat: this.lastHeartbeat[id] ?? null,
         consecutiveFailures: this.consecutiveFailures[id] ?? 0,
         lastProcessedBlock: this.lastProcessedBlock[id] ?? null,
+        lastCheckpointBlock: this.checkpoints[id]?.lastBlock ?? null,
         reconnectAttempts: this.reconnectAttempts[id] ?? 0,
       };
     }
@@ -1300,6 +2337,13 @@ class BlockchainService {
     };
   }
 
+  /**
+   * Latest reconciliation drift report per chain from the sync monitor
+   */
+  getDriftReport(): Record<string, unknown> {
+    return this.syncMonitor ? this.syncMonitor.getDriftReports() : {};
+  }
+
   async shutdown(): Promise<void> {
     logger.info("Shutting down blockchain service...");
 
@@ -1307,6 +2351,10 @@ class BlockchainService {
       this.syncMonitor.stop();
     }
 
+    if (this.ipfsRefetchQueue) {
+      this.ipfsRefetchQueue.stop();
+    }
+
     this.stopHeartbeat();
 
     for (const [chainId, contract] of Object.entries(this.contracts)) {
@@ -1439,14 +2487,35 @@ class BlockchainService {
   async handleBlockUpdate(chainId: number, blockNumber: number): Promise<void> {
     try {
       const lastBlock = this.lastProcessedBlock[chainId];
+      const header = await this.getBlockHeader(chainId, blockNumber);
+      const forkBlock = header
+        ? await this.findForkBlock(chainId, blockNumber, header)
+        : null;
 
-      if (lastBlock && blockNumber <= lastBlock) {
+      if (forkBlock !== null) {
+        logger.warn(
+          `Block reorganization detected on chain ${chainId}: block ${blockNumber} does not extend the tracked chain, fork at block ${forkBlock}`,
+        );
+        await this.runRecovery(chainId, () =>
+          this.handleReorg(chainId, blockNumber, forkBlock),
+        );
+      } else if (
+        lastBlock &&
+        blockNumber <= lastBlock &&
+        !this.blockHashes[chainId]?.has(blockNumber)
+      ) {
+        // No hash history to compare against, fall back to the height check
         logger.warn(
           `Potential block reorganization detected on chain ${chainId}: current ${blockNumber}, last ${lastBlock}`,
         );
-        await this.handleReorg(chainId, blockNumber);
+        await this.runRecovery(chainId, () =>
+          this.handleReorg(chainId, blockNumber),
+        );
       }
 
+      if (header) {
+        this.rememberBlockHash(chainId, blockNumber, header.hash);
+      }
       this.lastProcessedBlock[chainId] = blockNumber;
     } catch (error) {
       const err = error as Error;
@@ -1457,27 +2526,130 @@ class BlockchainService {
     }
   }
 
-  async handleReorg(chainId: number, blockNumber: number): Promise<void> {
+  /**
+   * Run reorg handling found while following new blocks. As in startup
+   * recovery, live events are held back until it is done; it also goes
+   * through the chain's event queue, so it never overlaps an event that is
+   * already being applied.
+   */
+  async runRecovery(
+    chainId: number,
+    recovery: () => Promise<void>,
+  ): Promise<void> {
+    const alreadyRecovering = this.recovering[chainId];
+    this.recovering[chainId] = true;
+    try {
+      const run = (this.eventQueues[chainId] ?? Promise.resolve()).then(
+        recovery,
+      );
+      this.eventQueues[chainId] = run.catch(() => undefined);
+      await run;
+    } finally {
+      if (!alreadyRecovering) {
+        this.recovering[chainId] = false;
+        await this.flushDeferredEvents(chainId);
+      }
+    }
+  }
+
+  /**
+   * Track a canonical block hash. Anything above the new block belonged to a
+   * previous tip, and history older than the configured depth is dropped.
+   */
+  rememberBlockHash(chainId: number, blockNumber: number, hash: string): void {
+    const hashes = (this.blockHashes[chainId] ??= new Map());
+    hashes.set(blockNumber, hash);
+
+    for (const tracked of hashes.keys()) {
+      if (
+        tracked > blockNumber ||
+        tracked <= blockNumber - this.reorgHistoryDepth
+      ) {
+        hashes.delete(tracked);
+      }
+    }
+  }
+
+  /**
+   * Compare a new block against the tracked hashes and return the first
+   * orphaned block number, or null if the block extends the known chain.
+   */
+  async findForkBlock(
+    chainId: number,
+    blockNumber: number,
+    header: BlockHeader,
+  ): Promise<number | null> {
+    const hashes = this.blockHashes[chainId];
+    if (!hashes || hashes.size === 0) return null;
+
+    const knownHash = hashes.get(blockNumber);
+    const knownParent = hashes.get(blockNumber - 1);
+    const replaced = knownHash !== undefined && knownHash !== header.hash;
+    const parentChanged =
+      knownParent !== undefined && knownParent !== header.parentHash;
+
+    if (!replaced && !parentChanged) return null;
+
+    // Walk back to the newest tracked block that is still canonical
+    const tracked = [...hashes.keys()]
+      .filter((n) => n < blockNumber)
+      .sort((a, b) => b - a);
+
+    for (const n of tracked) {
+      if ((await this.getBlockHash(chainId, n)) === hashes.get(n)) {
+        return n + 1;
+      }
+    }
+
+    // The fork is older than our hash history
+    const oldest =
+      tracked.length > 0 ? tracked[tracked.length - 1] : blockNumber;
+    return Math.max(0, oldest - (this.confirmations[chainId] ?? 12));
+  }
+
+  /**
+   * Roll back writes from orphaned blocks and replay the canonical chain.
+   * Without a known fork block, everything within the confirmation window
+   * of `blockNumber` is treated as orphaned.
+   */
+  async handleReorg(
+    chainId: number,
+    blockNumber: number,
+    forkBlock?: number,
+  ): Promise<void> {
     try {
       logger.info(
         `Handling reorganization for chain ${chainId} at block ${blockNumber}`,
       );
 
-      const confirmations = this.confirmations[chainId] ?? 12;
-      const safeBlock = blockNumber - confirmations;
+      let fromBlock = forkBlock;
 
-      if (safeBlock < 0) {
-        return;
-      }
+      if (fromBlock === undefined) {
+        const confirmations = this.confirmations[chainId] ?? 12;
+        const safeBlock = blockNumber - confirmations;
+
+        if (safeBlock < 0) {
+          return;
+        }
 
-      const lastProcessed = this.lastProcessedBlock[chainId];
+        const lastProcessed = this.lastProcessedBlock[chainId];
+        if (lastProcessed <= safeBlock) {
+          return;
+        }
 
-      if (lastProcessed > safeBlock) {
         logger.info(
           `Resyncing from block ${safeBlock} for chain ${chainId} (${confirmations} confirmations)`,
         );
-        await this.resyncFromBlock(chainId, safeBlock);
+        fromBlock = safeBlock;
+      }
+
+      for (const tracked of this.blockHashes[chainId]?.keys() ?? []) {
+        if (tracked >= fromBlock) this.blockHashes[chainId].delete(tracked);
       }
+
+      await this.rollbackFromBlock(chainId, fromBlock);
+      await this.rewindCheckpoint(chainId, fromBlock - 1);
+      await this.resyncFromBlock(chainId, fromBlock);
     } catch (error) {
       const err = error as Error;
       logger.error(`Error handling reorganization for chain ${chainId}:`, {
@@ -1487,57 +2659,698 @@ class BlockchainService {
     }
   }
 
-  async resyncFromBlock(chainId: number, fromBlock: number): Promise<void> {
-    try {
-      const contract = this.contracts[chainId];
-      if (!contract) {
-        logger.error(`Contract not found for chain ${chainId}`);
-        return;
-      }
+  /**
+   * Undo Todo writes made from blocks at or after `forkBlock`: todos created
+   * there are removed, others are reset to their on-chain state just before
+   * the fork, and their TaskEvent history is dropped. Replaying the canonical
+   * events afterwards re-applies the rest.
+   */
+  async rollbackFromBlock(chainId: number, forkBlock: number): Promise<void> {
+    await TaskEvent.removeFromBlock(chainId, forkBlock);
 
-      logger.info(
-        `Resyncing events from block ${fromBlock} on chain ${chainId}`,
-      );
+    const removed = await Todo.deleteMany({
+      chainId,
+      createdBlockNumber: { $gte: forkBlock },
+    });
 
-      const provider = this.providers[chainId];
-      const currentBlock = await provider.getBlockNumber();
+    const affected =
+      (await Todo.find({
+        chainId,
+        lastEventBlockNumber: { $gte: forkBlock },
+      })) ?? [];
+
+    for (const todo of affected) {
+      await this.restoreTodoAtBlock(chainId, todo, forkBlock - 1);
+    }
 
-      const filter = contract.filters;
+    await TaskList.deleteMany({
+      chainId,
+      createdBlockNumber: { $gte: forkBlock },
+    });
+
+    const affectedLists =
+      (await TaskList.find({
+        chainId,
+        lastEventBlockNumber: { $gte: forkBlock },
+      })) ?? [];
+
+    for (const list of affectedLists) {
+      await this.restoreListAtBlock(chainId, list, forkBlock - 1);
+    }
 
-      const createdEvents = await contract.queryFilter(
-        filter.TaskCreated(),
-        fromBlock,
-        currentBlock,
+    logger.warn(
+      `Rolled back chain ${chainId} from block ${forkBlock}: removed ${removed?.deletedCount ?? 0} orphaned todos, reset ${affected.length}`,
+    );
+  }
+
+  async restoreTodoAtBlock(
+    chainId: number,
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    todo: any,
+    blockTag: number,
+  ): Promise<void> {
+    try {
+      const contract = this.contracts[chainId];
+      if (!contract) {
+        throw new Error(`Contract not found for chain ${chainId}`);
+      }
+
+      const task = await contract.getTask(todo.blockchainId, { blockTag });
+      await this.applyTaskState(todo, task);
+    } catch (error) {
+      const err = error as Error;
+      logger.warn(
+        `Could not read task ${todo.blockchainId} at block ${blockTag} on chain ${chainId}, marking as pending`,
+        { error: err.message },
       );
-      const completedEvents = await contract.queryFilter(
-        filter.TaskCompleted(),
-        fromBlock,
-        currentBlock,
+      todo.syncStatus = "pending";
+    }
+
+    todo.lastEventBlockNumber = blockTag;
+    todo.lastSyncedAt = new Date();
+    await todo.save();
+  }
+  /**
+   * Re-read the roles of a list's known members at a block. Members only
+   * removed by orphaned events are not known any more, and come back when
+   * the canonical chain's events are applied.
+   */
+  async restoreListAtBlock(
+    chainId: number,
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    list: any,
+    blockTag: number,
+  ): Promise<void> {
+    try {
+      const contract = this.contracts[chainId];
+      if (!contract) {
+        throw new Error(`Contract not found for chain ${chainId}`);
+      }
+
+      for (const { address } of [...list.members]) {
+        const role = await contract.getListRole(list.listId, address, {
+          blockTag,
+        });
+        list.setMemberRole(address, LIST_ROLE_NAMES[Number(role)] ?? null);
+      }
+    } catch (error) {
+      const err = error as Error;
+      logger.warn(
+        `Could not read list ${list.listId} at block ${blockTag} on chain ${chainId}`,
+        { error: err.message },
       );
-      const deletedEvents = await contract.queryFilter(
-        filter.TaskDeleted(),
-        fromBlock,
-        currentBlock,
+    }
+
+    list.lastEventBlockNumber = blockTag;
+    await list.save();
+  }
+
+  /**
+   * Copy the on-chain state of a task (a getTask / getUserTaskDetails struct)
+   * onto a Todo document, resolving IPFS descriptions. Does not save.
+   */
+  async applyTaskState(
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    todo: any,
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    task: any,
+  ): Promise<void> {
+    const resolved = await resolveIpfsDescription(task.description);
+
+    todo.owner = task.owner.toLowerCase();
+    todo.description = resolved.text;
+    todo.ipfsCid = resolved.cid;
+    todo.encrypted = !!resolved.encrypted;
+    todo.contentType = resolved.contentType ?? "text/plain";
+    todo.attachments = resolved.attachments ?? [];
+    todo.blockchainCreatedAt = new Date(Number(task.createdAt) * 1000);
+    todo.completed = task.completed;
+    todo.blockchainCompletedAt = task.completed
+      ? new Date(Number(task.completedAt) * 1000)
+      : null;
+    todo.deleted = task.deleted;
+    todo.deletedAt = task.deleted
+      ? new Date(Number(task.deletedAt) * 1000)
+      : null;
+    todo.dueDate = task.dueDate ? new Date(Number(task.dueDate) * 1000) : null;
+    // Tasks read through a pre-3.0.0 ABI have no priority or tags
+    todo.priority = Number(task.priority ?? 0);
+    todo.tags = Array.from(task.tags ?? [], (tag: string) => tag.toLowerCase());
+    // ...and pre-3.1.0 ones no shared list
+    todo.listId = task.listId ? task.listId.toString() : null;
+    // ...and pre-3.4.0 ones no parent
+    todo.parentId = task.parentId ? task.parentId.toString() : null;
+    // ...and pre-3.5.0 ones no recurrence
+    todo.recurrence = RECURRENCE_NAMES[Number(task.recurrence ?? 0)] ?? "none";
+    todo.recurrenceInterval = Number(task.recurrenceInterval ?? 0);
+    todo.seriesId = task.seriesId ? task.seriesId.toString() : null;
+    // ...and pre-3.6.0 ones no dependencies
+    todo.dependencies = Array.from(task.dependencies ?? [], (id: bigint) =>
+      id.toString(),
+    );
+    // ...and pre-3.7.0 ones no bounty or assignee. Released bounties only
+    // show up in TaskBountyReleased, so bountyReleased is left alone
+    todo.bounty = (task.bounty ?? 0n).toString();
+    todo.assignee =
+      task.assignee && task.assignee !== ethers.ZeroAddress
+        ? task.assignee.toLowerCase()
+        : null;
+    // ...and pre-3.8.0 ones no assignment proposal
+    todo.pendingAssignee =
+      task.pendingAssignee && task.pendingAssignee !== ethers.ZeroAddress
+        ? task.pendingAssignee.toLowerCase()
+        : null;
+    todo.syncStatus =
+      resolved.cid && !resolved.encrypted && resolved.text === task.description
+        ? "error"
+        : "synced";
+  }
+
+  /**
+   * Bookkeeping once an event has been applied to the Todo read model:
+   * append it to the task history, note its block and advance the checkpoint
+   */
+  async onEventApplied(
+    chainId: number,
+    eventName: string,
+    args: readonly unknown[],
+    position: EventPosition,
+  ): Promise<void> {
+    await this.recordAppliedEvent(chainId, eventName, args, position);
+    await this.advanceCheckpoint(chainId, position);
+  }
+
+  /**
+   * Task history and block bookkeeping for an applied event, without moving
+   * the checkpoint
+   */
+  async recordAppliedEvent(
+    chainId: number,
+    eventName: string,
+    args: readonly unknown[],
+    position: EventPosition,
+  ): Promise<void> {
+    if (LIST_EVENT_NAMES.includes(eventName)) {
+      await this.recordListEventBlock(
+        chainId,
+        eventName,
+        args[0] as bigint,
+        position.blockNumber,
       );
-      const restoredEvents = await contract.queryFilter(
-        filter.TaskRestored(),
-        fromBlock,
-        currentBlock,
+    } else {
+      await this.recordTaskEvent(chainId, eventName, args, position);
+      await this.recordEventBlock(
+        chainId,
+        eventName,
+        args[0] as bigint,
+        position.blockNumber,
       );
-      const updatedEvents = await contract.queryFilter(
-        filter.TaskUpdated(),
-        fromBlock,
-        currentBlock,
+    }
+  }
+
+  /**
+   * Store an immutable TaskEvent record for the task history
+   */
+  async recordTaskEvent(
+    chainId: number,
+    eventName: string,
+    args: readonly unknown[],
+    position: EventPosition,
+  ): Promise<void> {
+    const names = EVENT_ARG_NAMES[eventName];
+    if (
+      !names ||
+      position.blockNumber === undefined ||
+      position.index === undefined ||
+      !position.transactionHash
+    ) {
+      return;
+    }
+
+    const namedArgs: Record<string, string> = {};
+    const listArgs: Record<string, string[]> = {};
+    names.forEach((name, i) => {
+      // Keep array arguments (e.g. TaskTagged tags) as lists of strings
+      if (Array.isArray(args[i])) {
+        listArgs[name] = Array.from(args[i] as unknown[], String);
+      } else {
+        namedArgs[name] = String(args[i]);
+      }
+    });
+
+    try {
+      await TaskEvent.record({
+        chainId,
+        blockchainId: namedArgs.taskId,
+        eventName,
+        actor: namedArgs.owner ?? null,
+        transactionHash: position.transactionHash,
+        blockNumber: position.blockNumber,
+        blockHash: position.blockHash ?? null,
+        logIndex: position.index,
+        args: { ...namedArgs, ...listArgs },
+        occurredAt: namedArgs.timestamp
+          ? new Date(Number(namedArgs.timestamp) * 1000)
+          : null,
+      });
+    } catch (error) {
+      const err = error as Error;
+      logger.error(
+        `Error recording ${eventName} history on chain ${chainId}:`,
+        {
+          error: err.message,
+          stack: err.stack,
+        },
+      );
+    }
+  }
+
+  /**
+   * Remember which block last touched a todo (and which created it)
+   */
+  async recordEventBlock(
+    chainId: number,
+    eventName: string,
+    taskId: bigint,
+    blockNumber?: number,
+  ): Promise<void> {
+    if (blockNumber === undefined || taskId === undefined) return;
+
+    const update: Record<string, Record<string, number>> = {
+      $max: { lastEventBlockNumber: blockNumber },
+    };
+    if (eventName === "TaskCreated" || eventName === "SubtaskCreated") {
+      update.$set = { createdBlockNumber: blockNumber };
+    }
+
+    try {
+      await Todo.updateOne(
+        { chainId, blockchainId: taskId.toString() },
+        update,
       );
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Error recording event block for task ${taskId}:`, {
+        error: err.message,
+        stack: err.stack,
+      });
+    }
+  }
+
+  /**
+   * Remember which block last touched a shared list (and which created it)
+   */
+  async recordListEventBlock(
+    chainId: number,
+    eventName: string,
+    listId: bigint,
+    blockNumber?: number,
+  ): Promise<void> {
+    if (blockNumber === undefined || listId === undefined) return;
+
+    const update: Record<string, Record<string, number>> = {
+      $max: { lastEventBlockNumber: blockNumber },
+    };
+    if (eventName === "ListCreated") {
+      update.$set = { createdBlockNumber: blockNumber };
+    }
+
+    try {
+      await TaskList.updateOne({ chainId, listId: listId.toString() }, update);
+    } catch (error) {
+      const err = error as Error;
+      logger.error(`Error recording event block for list ${listId}:`, {
+        error: err.message,
+        stack: err.stack,
+      });
+    }
+  }
+
+  /**
+   * Hold the checkpoint behind a live event whose handler failed and queue a
+   * resync from its block, after the live events already queued behind it
+   */
+  replayFailedEvent(chainId: number, position: EventPosition): void {
+    if (this.failedEvents[chainId] || position.blockNumber === undefined) {
+      return;
+    }
+    this.failedEvents[chainId] = position;
+
+    const fromBlock = position.blockNumber;
+    logger.warn(
+      `Replaying events on chain ${chainId} from block ${fromBlock} after a failed event`,
+    );
+    this.eventQueues[chainId] = (
+      this.eventQueues[chainId] ?? Promise.resolve()
+    ).then(() => this.resyncFromBlock(chainId, fromBlock));
+  }
+
+  async resyncFromBlock(chainId: number, fromBlock: number): Promise<void> {
+    // A resync that covers the failed event replays it, so lift the hold; if
+    // the event fails again the hold goes back for the next catch-up
+    const failed = this.failedEvents[chainId];
+    if (failed && fromBlock <= (failed.blockNumber ?? 0)) {
+      delete this.failedEvents[chainId];
+    }
+
+    try {
+      const contract = this.contracts[chainId];
+      if (!contract) {
+        logger.error(`Contract not found for chain ${chainId}`);
+        return;
+      }
 
       logger.info(
-        `Found ${createdEvents.length} created, ${completedEvents.length} completed, ${deletedEvents.length} deleted, ${restoredEvents.length} restored, ${updatedEvents.length} updated events to resync`,
+        `Resyncing events from block ${fromBlock} on chain ${chainId}`,
       );
 
-      for (const event of createdEvents) {
-        const [taskId, owner, description, timestamp, dueDate] = (
-          event as ethers.EventLog
-        ).args;
+      const provider = this.providers[chainId];
+      const currentBlock = await provider.getBlockNumber();
+
+      await this.applyEventRange(chainId, fromBlock, currentBlock);
+
+      await this.advanceCheckpoint(chainId, {
+        blockNumber: currentBlock,
+        blockHash: await this.getBlockHash(chainId, currentBlock),
+      });
+
+      logger.info(`✓ Resync completed for chain ${chainId}`);
+    } catch (error) {
+      const err = error as Error;
+      logger.error(
+        `Error resyncing from block ${fromBlock} on chain ${chainId}:`,
+        {
+          error: err.message,
+          stack: err.stack,
+        },
+      );
+    } finally {
+      if (failed && !this.isEventApplied(chainId, failed)) {
+        this.failedEvents[chainId] ??= failed;
+      }
+    }
+  }
+
+  /**
+   * Query all task events in an inclusive block range and apply them in
+   * chain order, skipping anything the checkpoint already covers
+   */
+  async applyEventRange(
+    chainId: number,
+    fromBlock: number,
+    toBlock: number,
+  ): Promise<{ applied: number; skipped: number }> {
+    const contract = this.contracts[chainId];
+    if (!contract) {
+      throw new Error(`Contract not found for chain ${chainId}`);
+    }
+
+    const filter = contract.filters;
+
+    const createdEvents = await contract.queryFilter(
+      filter.TaskCreated(),
+      fromBlock,
+      toBlock,
+    );
+    const subtaskCreatedEvents = await contract.queryFilter(
+      filter.SubtaskCreated(),
+      fromBlock,
+      toBlock,
+    );
+    const completedEvents = await contract.queryFilter(
+      filter.TaskCompleted(),
+      fromBlock,
+      toBlock,
+    );
+    const deletedEvents = await contract.queryFilter(
+      filter.TaskDeleted(),
+      fromBlock,
+      toBlock,
+    );
+    const restoredEvents = await contract.queryFilter(
+      filter.TaskRestored(),
+      fromBlock,
+      toBlock,
+    );
+    const updatedEvents = await contract.queryFilter(
+      filter.TaskUpdated(),
+      fromBlock,
+      toBlock,
+    );
+    const taggedEvents = await contract.queryFilter(
+      filter.TaskTagged(),
+      fromBlock,
+      toBlock,
+    );
+    const priorityEvents = await contract.queryFilter(
+      filter.TaskPriorityChanged(),
+      fromBlock,
+      toBlock,
+    );
+    const taskListEvents = await contract.queryFilter(
+      filter.TaskListChanged(),
+      fromBlock,
+      toBlock,
+    );
+    const recurrenceEvents = await contract.queryFilter(
+      filter.TaskRecurrenceChanged(),
+      fromBlock,
+      toBlock,
+    );
+    const recurredEvents = await contract.queryFilter(
+      filter.TaskRecurred(),
+      fromBlock,
+      toBlock,
+    );
+    const dependencyEvents = await contract.queryFilter(
+      filter.TaskDependenciesChanged(),
+      fromBlock,
+      toBlock,
+    );
+    const assignedEvents = await contract.queryFilter(
+      filter.TaskAssigned(),
+      fromBlock,
+      toBlock,
+    );
+    const proposedEvents = await contract.queryFilter(
+      filter.TaskAssignmentProposed(),
+      fromBlock,
+      toBlock,
+    );
+    const rejectedEvents = await contract.queryFilter(
+      filter.TaskAssignmentRejected(),
+      fromBlock,
+      toBlock,
+    );
+    const bountyEvents = await contract.queryFilter(
+      filter.TaskBountyChanged(),
+      fromBlock,
+      toBlock,
+    );
+    const bountyReleasedEvents = await contract.queryFilter(
+      filter.TaskBountyReleased(),
+      fromBlock,
+      toBlock,
+    );
+    const listCreatedEvents = await contract.queryFilter(
+      filter.ListCreated(),
+      fromBlock,
+      toBlock,
+    );
+    const listMemberEvents = await contract.queryFilter(
+      filter.ListMemberUpdated(),
+      fromBlock,
+      toBlock,
+    );
+
+    logger.info(
+      `Found ${createdEvents.length} created, ${subtaskCreatedEvents.length} subtask created, ${completedEvents.length} completed, ${deletedEvents.length} deleted, ${restoredEvents.length} restored, ${updatedEvents.length} updated, ${taggedEvents.length} tagged, ${priorityEvents.length} priority, ${taskListEvents.length} list change, ${recurrenceEvents.length} recurrence, ${recurredEvents.length} recurred, ${dependencyEvents.length} dependency, ${assignedEvents.length} assigned, ${proposedEvents.length} assignment proposed, ${rejectedEvents.length} assignment rejected, ${bountyEvents.length} bounty, ${bountyReleasedEvents.length} bounty released, ${listCreatedEvents.length} list created, ${listMemberEvents.length} list member events in blocks ${fromBlock}-${toBlock}`,
+    );
+
+    // Apply in chain order so the checkpoint only ever moves forward
+    const events = [
+      ...createdEvents.map((event) => ({ name: "TaskCreated", event })),
+      ...subtaskCreatedEvents.map((event) => ({
+        name: "SubtaskCreated",
+        event,
+      })),
+      ...completedEvents.map((event) => ({ name: "TaskCompleted", event })),
+      ...deletedEvents.map((event) => ({ name: "TaskDeleted", event })),
+      ...restoredEvents.map((event) => ({ name: "TaskRestored", event })),
+      ...updatedEvents.map((event) => ({ name: "TaskUpdated", event })),
+      ...taggedEvents.map((event) => ({ name: "TaskTagged", event })),
+      ...priorityEvents.map((event) => ({
+        name: "TaskPriorityChanged",
+        event,
+      })),
+      ...taskListEvents.map((event) => ({ name: "TaskListChanged", event })),
+      ...recurrenceEvents.map((event) => ({
+        name: "TaskRecurrenceChanged",
+        event,
+      })),
+      ...recurredEvents.map((event) => ({ name: "TaskRecurred", event })),
+      ...dependencyEvents.map((event) => ({
+        name: "TaskDependenciesChanged",
+        event,
+      })),
+      ...assignedEvents.map((event) => ({ name: "TaskAssigned", event })),
+      ...proposedEvents.map((event) => ({
+        name: "TaskAssignmentProposed",
+        event,
+      })),
+      ...rejectedEvents.map((event) => ({
+        name: "TaskAssignmentRejected",
+        event,
+      })),
+      ...bountyEvents.map((event) => ({ name: "TaskBountyChanged", event })),
+      ...bountyReleasedEvents.map((event) => ({
+        name: "TaskBountyReleased",
+        event,
+      })),
+      ...listCreatedEvents.map((event) => ({ name: "ListCreated", event })),
+      ...listMemberEvents.map((event) => ({
+        name: "ListMemberUpdated",
+        event,
+      })),
+    ].sort(
+      (a, b) =>
+        (a.event.blockNumber ?? 0) - (b.event.blockNumber ?? 0) ||
+        (a.event.index ?? 0) - (b.event.index ?? 0),
+    );
+
+    let skipped = 0;
+    for (const { name, event } of events) {
+      const position: EventPosition = {
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        index: event.index,
+        transactionHash: event.transactionHash,
+      };
+
+      if (this.isEventApplied(chainId, position)) {
+        skipped++;
+        continue;
+      }
+
+      // A failing event stops the range here, before the checkpoint passes it
+      await this.applyEvent(chainId, name, event as ethers.EventLog);
+      await this.onEventApplied(
+        chainId,
+        name,
+        (event as ethers.EventLog).args,
+        position,
+      );
+    }
+
+    if (skipped > 0) {
+      logger.info(
+        `Skipped ${skipped} already-applied events on chain ${chainId}`,
+      );
+    }
+
+    return { applied: events.length - skipped, skipped };
+  }
+
+  /**
+   * Apply every contract event of a mined transaction, in log order. Used to
+   * pick up the many events of a batch call (or any other transaction) right
+   * away instead of waiting for the listener.
+   *
+   * The checkpoint is left alone: events earlier in the same block may not
+   * have been applied yet, and the listener replaying these events later is
+   * harmless.
+   * @returns null if the transaction is unknown or not mined yet
+   */
+  async syncTransaction(
+    chainId: number,
+    transactionHash: string,
+  ): Promise<{ applied: number; taskIds: string[] } | null> {
+    const contract = this.contracts[chainId];
+    const provider = this.providers[chainId];
+    if (!contract || !provider) {
+      throw new Error(`Contract not found for chain ${chainId}`);
+    }
+
+    const receipt = await provider.getTransactionReceipt(transactionHash);
+    if (!receipt) return null;
+
+    const contractAddress = (await contract.getAddress()).toLowerCase();
+    const taskIds = new Set<string>();
+    let applied = 0;
+
+    const logs = [...receipt.logs].sort((a, b) => a.index - b.index);
+    for (const log of logs) {
+      if (log.address.toLowerCase() !== contractAddress) continue;
+
+      let parsed: ethers.LogDescription | null = null;
+      try {
+        parsed = contract.interface.parseLog(log);
+      } catch {
+        // Not an event of this ABI
+      }
+      if (
+        !parsed ||
+        !(
+          parsed.name in EVENT_ARG_NAMES ||
+          LIST_EVENT_NAMES.includes(parsed.name)
+        )
+      ) {
+        continue;
+      }
+
+      const event = new ethers.EventLog(
+        log,
+        contract.interface,
+        parsed.fragment,
+      );
+      const position: EventPosition = {
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        index: log.index,
+        transactionHash: log.transactionHash,
+      };
+
+      if (!LIST_EVENT_NAMES.includes(parsed.name)) {
+        taskIds.add(event.args[0].toString());
+      }
+      if (this.isEventApplied(chainId, position)) continue;
+
+      const eventName = parsed.name;
+      // Share the live listener's queue so the two never apply events concurrently
+      const run = (this.eventQueues[chainId] ?? Promise.resolve()).then(
+        async () => {
+          await this.applyEvent(chainId, eventName, event);
+          await this.recordAppliedEvent(
+            chainId,
+            eventName,
+            event.args,
+            position,
+          );
+        },
+      );
+      this.eventQueues[chainId] = run.catch(() => undefined);
+      await run;
+      applied++;
+    }
+
+    logger.info(
+      `Synced ${applied} events from transaction ${transactionHash} on chain ${chainId}`,
+    );
+
+    return { applied, taskIds: [...taskIds] };
+  }
+
+  /**
+   * Apply a single queried contract event to the database
+   */
+  async applyEvent(
+    chainId: number,
+    eventName: string,
+    event: ethers.EventLog,
+  ): Promise<void> {
+    switch (eventName) {
+      case "TaskCreated": {
+        const [taskId, owner, description, timestamp, dueDate] = event.args;
         await this.syncTaskCreated(
           chainId,
           taskId,
@@ -1547,45 +3360,120 @@ class BlockchainService {
           event.transactionHash,
           dueDate,
         );
+        break;
       }
-
-      for (const event of completedEvents) {
-        const [taskId, , timestamp] = (event as ethers.EventLog).args;
+      case "SubtaskCreated": {
+        const [taskId, parentId, owner, description, timestamp, dueDate] =
+          event.args;
+        await this.syncTaskCreated(
+          chainId,
+          taskId,
+          owner,
+          description,
+          timestamp,
+          event.transactionHash,
+          dueDate,
+          parentId,
+        );
+        break;
+      }
+      case "TaskCompleted": {
+        const [taskId, , timestamp] = event.args;
         await this.syncTaskCompleted(chainId, taskId, timestamp);
+        break;
       }
-
-      for (const event of deletedEvents) {
-        const [taskId] = (event as ethers.EventLog).args;
-        await this.syncTaskDeleted(chainId, taskId);
+      case "TaskDeleted": {
+        const [taskId, , timestamp] = event.args;
+        await this.syncTaskDeleted(chainId, taskId, timestamp);
+        break;
       }
-
-      for (const event of restoredEvents) {
-        const [taskId] = (event as ethers.EventLog).args;
+      case "TaskRestored": {
+        const [taskId] = event.args;
         await this.syncTaskRestored(chainId, taskId);
+        break;
       }
-
-      for (const event of updatedEvents) {
-        const [taskId, , oldDescription, newDescription] = (
-          event as ethers.EventLog
-        ).args;
+      case "TaskUpdated": {
+        const [taskId, , oldDescription, newDescription] = event.args;
         await this.syncTaskUpdated(
           chainId,
           taskId,
           oldDescription,
           newDescription,
         );
+        break;
       }
-
-      logger.info(`✓ Resync completed for chain ${chainId}`);
-    } catch (error) {
-      const err = error as Error;
-      logger.error(
-        `Error resyncing from block ${fromBlock} on chain ${chainId}:`,
-        {
-          error: err.message,
-          stack: err.stack,
-        },
-      );
+      case "TaskTagged": {
+        const [taskId, , tags] = event.args;
+        await this.syncTaskTagged(chainId, taskId, tags);
+        break;
+      }
+      case "TaskPriorityChanged": {
+        const [taskId, , , newPriority] = event.args;
+        await this.syncTaskPriorityChanged(chainId, taskId, newPriority);
+        break;
+      }
+      case "TaskListChanged": {
+        const [taskId, , , newListId] = event.args;
+        await this.syncTaskListChanged(chainId, taskId, newListId);
+        break;
+      }
+      case "TaskRecurrenceChanged": {
+        const [taskId, , recurrence, interval] = event.args;
+        await this.syncTaskRecurrenceChanged(
+          chainId,
+          taskId,
+          recurrence,
+          interval,
+        );
+        break;
+      }
+      case "TaskRecurred": {
+        const [taskId, nextTaskId, seriesId] = event.args;
+        await this.syncTaskRecurred(chainId, taskId, nextTaskId, seriesId);
+        break;
+      }
+      case "TaskDependenciesChanged": {
+        const [taskId, , dependencies] = event.args;
+        await this.syncTaskDependenciesChanged(chainId, taskId, dependencies);
+        break;
+      }
+      case "TaskAssigned": {
+        const [taskId, , assignee] = event.args;
+        await this.syncTaskAssigned(chainId, taskId, assignee);
+        break;
+      }
+      case "TaskAssignmentProposed": {
+        const [taskId, , assignee] = event.args;
+        await this.syncTaskAssignmentProposed(chainId, taskId, assignee);
+        break;
+      }
+      case "TaskAssignmentRejected": {
+        const [taskId] = event.args;
+        await this.syncTaskAssignmentRejected(chainId, taskId);
+        break;
+      }
+      case "TaskBountyChanged": {
+        const [taskId, , bounty] = event.args;
+        await this.syncTaskBountyChanged(chainId, taskId, bounty);
+        break;
+      }
+      case "TaskBountyReleased": {
+        const [taskId, , amount] = event.args;
+        await this.syncTaskBountyReleased(chainId, taskId, amount);
+        break;
+      }
+      case "ListCreated": {
+        const [listId, owner, name, timestamp] = event.args;
+        await this.syncListCreated(chainId, listId, owner, name, timestamp);
+        break;
+      }
+      case "ListMemberUpdated": {
+        const [listId, member, role] = event.args;
+        await this.syncListMemberUpdated(chainId, listId, member, role);
+        break;
+      }
+      default:
+        logger.warn(`Unknown event ${eventName} on chain ${chainId}`);
     }
   }
 
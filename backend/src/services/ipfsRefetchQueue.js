@@ -0,0 +1,112 @@
+const logger = require("../utils/logger");
+const Todo = require("../models/Todo");
+const IpfsContent = require("../models/IpfsContent");
+const { fetchVerifiedContent, resolveEnvelope } = require("./ipfsService");
+
+/**
+ * Retries CIDs that could not be fetched when their task was synced.
+ *
+ * Failed CIDs wait in the IpfsContent collection with a backoff schedule.
+ * Each pass fetches the due ones and, on success, fills in the description
+ * of every todo that was left with syncStatus "error" for that CID.
+ */
+class IpfsRefetchQueue {
+  constructor() {
+    this.interval = parseInt(process.env.IPFS_REFETCH_INTERVAL) || 60000;
+    this.batchSize = parseInt(process.env.IPFS_REFETCH_BATCH_SIZE) || 20;
+    this.timer = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Start processing the queue
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn("IPFS re-fetch queue already running");
+      return;
+    }
+
+    this.isRunning = true;
+    this.timer = setInterval(() => this.processDue(), this.interval);
+    logger.info(`✓ IPFS re-fetch queue started (every ${this.interval}ms)`);
+  }
+
+  /**
+   * Stop processing the queue
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.isRunning = false;
+    logger.info("IPFS re-fetch queue stopped");
+  }
+
+  /**
+   * Re-fetch the CIDs that are due. Skipped while a previous pass is still
+   * running, since slow gateways can outlast the interval.
+   * @returns {Promise<{resolved: number, failed: number}>}
+   */
+  async processDue() {
+    const result = { resolved: 0, failed: 0 };
+    if (this.isProcessing) return result;
+    this.isProcessing = true;
+
+    try {
+      const entries = await IpfsContent.findDue(this.batchSize);
+
+      for (const { cid } of entries) {
+        let data;
+        try {
+          data = await fetchVerifiedContent(cid);
+        } catch (error) {
+          await IpfsContent.recordFailure(cid, error);
+          result.failed++;
+          continue;
+        }
+
+        await IpfsContent.store(cid, data);
+        const repaired = await this.repairTodos(cid, data);
+        result.resolved++;
+        logger.info(
+          `✓ Re-fetched IPFS CID ${cid}, repaired ${repaired} todo(s)`,
+        );
+      }
+    } catch (error) {
+      logger.error("Error in IPFS re-fetch queue:", {
+        error: error.message,
+        stack: error.stack,
+      });
+    } finally {
+      this.isProcessing = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Fill in the description of todos whose CID failed to resolve at sync
+   * @returns {Promise<number>} Number of todos updated
+   */
+  async repairTodos(cid, data) {
+    const todos = await Todo.find({ ipfsCid: cid, syncStatus: "error" });
+
+    for (const todo of todos) {
+      const resolved = resolveEnvelope(`ipfs://${cid}`, cid, data);
+      todo.description = resolved.text;
+      todo.encrypted = !!resolved.encrypted;
+      todo.contentType = resolved.contentType || "text/plain";
+      todo.attachments = resolved.attachments || [];
+      todo.syncStatus = "synced";
+      todo.lastSyncedAt = new Date();
+      await todo.save();
+    }
+
+    return todos.length;
+  }
+}
+
+module.exports = IpfsRefetchQueue;
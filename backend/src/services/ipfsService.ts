@@ -1,10 +1,20 @@
 const logger = require("../utils/logger");
+const IpfsContent = require("../models/IpfsContent");
+const { parseCid, verifiedContent } = require("../utils/cid");
+const { sanitizeAttachments } = require("../utils/attachments");
+const {
+  MAX_IPFS_DESCRIPTION_LENGTH,
+  envelopeContentType,
+} = require("../utils/descriptions");
 
 const IPFS_GATEWAY =
   process.env.IPFS_GATEWAY || "https://gateway.pinata.cloud/ipfs/";
 const IPFS_GATEWAY_FALLBACK =
   process.env.IPFS_GATEWAY_FALLBACK || "https://ipfs.io/ipfs/";
 
+// IPFS blocks are capped at a few MiB; descriptions are far smaller
+const MAX_BLOCK_BYTES = 1024 * 1024;
+
 /**
  * Check whether a value is an IPFS CID reference (prefixed with ipfs://).
  */
@@ -28,15 +38,14 @@ function gatewayUrl(gateway: string, cid: string): string {
 }
 
 /**
- * Fetch JSON content from an IPFS gateway.
+ * Fetch the raw block of a CID from an IPFS gateway, so it can be checked
+ * against the CID rather than trusting the gateway.
  * Uses Node 18+ native fetch.
  */
-async function fetchFromGateway(
-  gateway: string,
-  cid: string,
-): Promise<unknown> {
-  const url = gatewayUrl(gateway, cid);
+async function fetchBlock(gateway: string, cid: string): Promise<Buffer> {
+  const url = `${gatewayUrl(gateway, cid)}?format=raw`;
   const response = await fetch(url, {
+    headers: { Accept: "application/vnd.ipld.raw" },
     signal: AbortSignal.timeout(10000),
   });
 
@@ -44,23 +53,138 @@ async function fetchFromGateway(
     throw new Error(`Gateway returned ${response.status}: ${url}`);
   }
 
-  return response.json();
+  const block = Buffer.from(await response.arrayBuffer());
+  if (block.length > MAX_BLOCK_BYTES) {
+    throw new Error(`Block exceeds ${MAX_BLOCK_BYTES} bytes: ${url}`);
+  }
+  return block;
+}
+
+/**
+ * Fetch the content of a CID from the gateways (primary then fallback) and
+ * verify it against the CID. Returns parsed JSON, or the text of content
+ * that is not JSON. Throws if no gateway returned matching content.
+ */
+export async function fetchVerifiedContent(cid: string): Promise<unknown> {
+  const gateways = [IPFS_GATEWAY, IPFS_GATEWAY_FALLBACK];
+
+  for (const gw of gateways) {
+    try {
+      const text = verifiedContent(cid, await fetchBlock(gw, cid)).toString(
+        "utf8",
+      );
+      logger.info(`Fetched IPFS CID ${cid} via ${gw}`);
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text;
+      }
+    } catch (err) {
+      const error = err as Error;
+      logger.warn(`Failed to resolve CID ${cid} via ${gw}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`Failed to resolve IPFS CID ${cid} from all gateways`);
 }
 
 export interface ResolvedDescription {
   text: string;
   cid: string | null;
+  // "text/plain" or "text/markdown"; only set for IPFS envelopes
+  contentType?: string;
+  // Set when the envelope holds a description encrypted by the client
+  encrypted?: boolean;
+  // Files, images and links of a version 2 envelope
+  attachments?: Attachment[];
+}
+
+export interface Attachment {
+  type: "file" | "image" | "link";
+  name: string | null;
+  mimeType?: string;
+  size?: number;
+  cid?: string;
+  url?: string;
+}
+
+/**
+ * Check whether an IPFS envelope holds an encrypted description.
+ *
+ * Encrypted envelopes carry { encrypted: { scheme, version, iv, ciphertext } }
+ * instead of a description. The key is derived from a wallet signature in the
+ * browser, so the backend can only keep a reference to the ciphertext.
+ */
+export function isEncryptedEnvelope(data: unknown): boolean {
+  if (typeof data !== "object" || data === null) return false;
+  const encrypted = (data as Record<string, unknown>).encrypted;
+  return (
+    typeof encrypted === "object" &&
+    encrypted !== null &&
+    typeof (encrypted as Record<string, unknown>).scheme === "string" &&
+    typeof (encrypted as Record<string, unknown>).ciphertext === "string"
+  );
+}
+
+/**
+ * Turn the content of a description envelope into a resolved description.
+ * Encrypted envelopes resolve to the ipfs:// URI with encrypted: true.
+ */
+export function resolveEnvelope(
+  rawDescription: string,
+  cid: string,
+  data: unknown,
+): ResolvedDescription {
+  if (isEncryptedEnvelope(data)) {
+    return {
+      text: rawDescription,
+      cid,
+      contentType: envelopeContentType(data),
+      encrypted: true,
+    };
+  }
+
+  const envelope = data as Record<string, unknown>;
+  if (
+    typeof envelope === "object" &&
+    envelope !== null &&
+    typeof envelope.description === "string"
+  ) {
+    // Envelopes are untrusted, and the Todo model refuses longer text
+    const resolved: ResolvedDescription = {
+      text: envelope.description.slice(0, MAX_IPFS_DESCRIPTION_LENGTH),
+      cid,
+      contentType: envelopeContentType(envelope),
+    };
+    return Array.isArray(envelope.attachments)
+      ? {
+          ...resolved,
+          attachments: sanitizeAttachments(envelope.attachments),
+        }
+      : resolved;
+  }
+
+  // Unexpected format — return stringified content
+  logger.warn(
+    `IPFS content for ${cid} has unexpected format, using raw content`,
+  );
+  const text = typeof data === "string" ? data : JSON.stringify(data);
+  return { text: text.slice(0, MAX_IPFS_DESCRIPTION_LENGTH), cid };
 }
 
 /**
  * Resolve a description value that may be an IPFS CID or plain text.
  *
- * - If the value starts with "ipfs://", fetches the JSON envelope from
- *   IPFS gateways (primary then fallback) and returns the description text.
+ * - If the value starts with "ipfs://", returns the description from the
+ *   CID-keyed content cache, or fetches the envelope from IPFS gateways
+ *   (primary then fallback), verifies it against the CID and caches it.
+ * - If the envelope is encrypted, returns the ipfs:// URI as text with
+ *   encrypted: true; clients decrypt it themselves.
  * - If it's plain text, returns it unchanged with cid: null.
  *
- * On resolution failure, returns the raw ipfs:// URI as text so the caller
- * can decide how to handle it (e.g. set syncStatus: 'error').
+ * On resolution failure, queues the CID for a background re-fetch and
+ * returns the raw ipfs:// URI as text so the caller can decide how to
+ * handle it (e.g. set syncStatus: 'error').
  */
 export async function resolveDescription(
   rawDescription: string,
@@ -70,38 +194,68 @@ export async function resolveDescription(
   }
 
   const cid = extractCid(rawDescription);
-  const gateways = [IPFS_GATEWAY, IPFS_GATEWAY_FALLBACK];
+  try {
+    parseCid(cid);
+  } catch (err) {
+    logger.error(`Invalid IPFS CID in description: ${(err as Error).message}`);
+    return { text: rawDescription, cid };
+  }
 
-  for (const gw of gateways) {
-    try {
-      const data = (await fetchFromGateway(gw, cid)) as Record<string, unknown>;
-
-      if (
-        typeof data === "object" &&
-        data !== null &&
-        typeof data.description === "string"
-      ) {
-        logger.info(`Resolved IPFS CID ${cid} via ${gw}`);
-        return { text: data.description, cid };
-      }
+  const cached = await findCachedContent(cid);
+  if (cached) {
+    return resolveEnvelope(rawDescription, cid, cached.content);
+  }
 
-      // Unexpected format — return stringified content
-      const fallbackText =
-        typeof data === "string" ? data : JSON.stringify(data);
-      logger.warn(
-        `IPFS content for ${cid} has unexpected format, using raw content`,
-      );
-      return { text: fallbackText, cid };
-    } catch (err) {
-      const error = err as Error;
-      logger.warn(`Failed to resolve CID ${cid} via ${gw}: ${error.message}`);
-    }
+  let data: unknown;
+  try {
+    data = await fetchVerifiedContent(cid);
+  } catch (err) {
+    // Return the raw URI; the re-fetch queue retries in the background
+    const error = err as Error;
+    logger.error(error.message);
+    await updateCache(() => IpfsContent.recordFailure(cid, error));
+    return { text: rawDescription, cid };
   }
 
-  // All gateways failed — return the raw URI so the caller can retry later
-  logger.error(`Failed to resolve IPFS CID ${cid} from all gateways`);
-  return { text: rawDescription, cid };
+  await updateCache(() => IpfsContent.store(cid, data));
+  return resolveEnvelope(rawDescription, cid, data);
+}
+
+// The cache only saves gateway round trips, so resolve without it when the
+// database is unavailable
+
+async function findCachedContent(
+  cid: string,
+): Promise<{ content: unknown } | null> {
+  try {
+    return await IpfsContent.findResolved(cid);
+  } catch (err) {
+    logger.warn(`IPFS content cache lookup failed: ${(err as Error).message}`);
+    return null;
+  }
+}
+
+async function updateCache(write: () => Promise<unknown>): Promise<void> {
+  try {
+    await write();
+  } catch (err) {
+    logger.warn(`IPFS content cache update failed: ${(err as Error).message}`);
+  }
 }
 
-module.exports = { isIpfsCid, extractCid, resolveDescription };
-export default { isIpfsCid, extractCid, resolveDescription };
+module.exports = {
+  isIpfsCid,
+  extractCid,
+  isEncryptedEnvelope,
+  fetchVerifiedContent,
+  resolveEnvelope,
+  resolveDescription,
+};
+export default {
+  isIpfsCid,
+  extractCid,
+  isEncryptedEnvelope,
+  fetchVerifiedContent,
+  resolveEnvelope,
+  resolveDescription,
+};
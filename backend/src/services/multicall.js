@@ -0,0 +1,120 @@
+const { ethers } = require("ethers");
+const logger = require("../utils/logger");
+
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+];
+
+/**
+ * Batches view calls through a Multicall3 aggregator.
+ *
+ * Without an aggregator address, or when the address has no code, every call
+ * is made individually instead. A failed aggregate call only falls back for
+ * that batch, so a flaky RPC doesn't disable batching for good.
+ */
+class MulticallReader {
+  constructor(provider, address, options = {}) {
+    this.provider = provider;
+    this.address = address || null;
+    this.batchSize =
+      options.batchSize || parseInt(process.env.MULTICALL_BATCH_SIZE) || 100;
+    this.aggregator = this.address
+      ? new ethers.Contract(this.address, MULTICALL3_ABI, provider)
+      : null;
+    this.verified = false;
+  }
+
+  /**
+   * Call a single-output view function once per argument list
+   * @param {ethers.Contract} contract - Contract to call
+   * @param {string} method - Function name, e.g. "getTask"
+   * @param {Array<Array>} argsList - Arguments of each call
+   * @returns {Promise<Array>} Results in input order; null where a call reverted
+   */
+  async callMany(contract, method, argsList) {
+    const results = [];
+
+    for (let i = 0; i < argsList.length; i += this.batchSize) {
+      const batch = argsList.slice(i, i + this.batchSize);
+      const batchResults = (await this.isAvailable())
+        ? await this.aggregateOrFallback(contract, method, batch)
+        : await this.callIndividually(contract, method, batch);
+      results.push(...batchResults);
+    }
+
+    return results;
+  }
+
+  /**
+   * Check once that the aggregator is deployed
+   */
+  async isAvailable() {
+    if (!this.aggregator) return false;
+    if (this.verified) return true;
+
+    try {
+      const code = await this.provider.getCode(this.address);
+      if (code === "0x") {
+        logger.warn(
+          `No Multicall3 contract at ${this.address}, reading tasks one by one`,
+        );
+        this.aggregator = null;
+        return false;
+      }
+      this.verified = true;
+      return true;
+    } catch (error) {
+      // Try again on the next batch
+      logger.debug(`Could not check Multicall3 at ${this.address}:`, {
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  async aggregateOrFallback(contract, method, batch) {
+    try {
+      return await this.aggregate(contract, method, batch);
+    } catch (error) {
+      logger.warn(
+        `Multicall3 ${method} batch failed, falling back to single calls: ${error.message}`,
+      );
+      return this.callIndividually(contract, method, batch);
+    }
+  }
+
+  async aggregate(contract, method, batch) {
+    const target = await contract.getAddress();
+    const fragment = contract.interface.getFunction(method);
+    const calls = batch.map((args) => ({
+      target,
+      allowFailure: true,
+      callData: contract.interface.encodeFunctionData(fragment, args),
+    }));
+
+    const responses = await this.aggregator.aggregate3.staticCall(calls);
+
+    return responses.map(({ success, returnData }) =>
+      success
+        ? contract.interface.decodeFunctionResult(fragment, returnData)[0]
+        : null,
+    );
+  }
+
+  async callIndividually(contract, method, batch) {
+    const results = [];
+    for (const args of batch) {
+      try {
+        results.push(await contract[method](...args));
+      } catch (error) {
+        logger.debug(`${method}(${args.join(", ")}) failed:`, {
+          error: error.message,
+        });
+        results.push(null);
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = MulticallReader;
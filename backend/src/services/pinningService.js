@@ -0,0 +1,292 @@
+const logger = require("../utils/logger");
+const { CODECS, cidForBytes } = require("../utils/cid");
+
+const UPLOAD_TIMEOUT_MS = 15000;
+
+function pinningError(message, statusCode = 502) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * POST to a pinning API and return its JSON response
+ */
+async function postJson(url, { headers = {}, body }) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers,
+    body,
+    signal: AbortSignal.timeout(UPLOAD_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw pinningError(`Pinning API returned ${response.status}: ${url}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Pinata's pinJSONToIPFS
+ */
+class PinataProvider {
+  constructor({ jwt, apiUrl = "https://api.pinata.cloud" }) {
+    this.name = "pinata";
+    this.jwt = jwt;
+    this.apiUrl = apiUrl.replace(/\/$/, "");
+  }
+
+  async pinJson(content, { name }) {
+    const data = await postJson(`${this.apiUrl}/pinning/pinJSONToIPFS`, {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${this.jwt}`,
+      },
+      body: JSON.stringify({
+        pinataContent: content,
+        pinataMetadata: { name },
+      }),
+    });
+    return data.IpfsHash;
+  }
+
+  async pinFile(bytes, { name, mimeType }) {
+    const form = new FormData();
+    form.append("file", new Blob([bytes], { type: mimeType }), name);
+    form.append("pinataMetadata", JSON.stringify({ name }));
+
+    const data = await postJson(`${this.apiUrl}/pinning/pinFileToIPFS`, {
+      headers: { Authorization: `Bearer ${this.jwt}` },
+      body: form,
+    });
+    return data.IpfsHash;
+  }
+}
+
+/**
+ * Self-hosted Kubo (go-ipfs) node through its HTTP RPC API. The API has no
+ * authentication of its own, so keep it off the public network or put it
+ * behind a proxy and set `authorization`.
+ */
+class KuboProvider {
+  constructor({ apiUrl = "http://127.0.0.1:5001", authorization = null }) {
+    this.name = "kubo";
+    this.apiUrl = apiUrl.replace(/\/$/, "");
+    this.authorization = authorization;
+  }
+
+  pinJson(content, { name }) {
+    return this.add(
+      new Blob([JSON.stringify(content)], { type: "application/json" }),
+      `${name}.json`,
+    );
+  }
+
+  pinFile(bytes, { name, mimeType }) {
+    return this.add(new Blob([bytes], { type: mimeType }), name);
+  }
+
+  async add(blob, filename) {
+    const form = new FormData();
+    form.append("file", blob, filename);
+
+    const data = await postJson(
+      `${this.apiUrl}/api/v0/add?pin=true&cid-version=1`,
+      {
+        headers: this.authorization
+          ? { Authorization: this.authorization }
+          : {},
+        body: form,
+      },
+    );
+    return data.Hash;
+  }
+}
+
+/**
+ * web3.storage-style upload API: the raw file is POSTed to /upload with a
+ * bearer token and the response is { cid }. NFT.Storage and self-hosted
+ * gateways with the same API work too.
+ */
+class Web3StorageProvider {
+  constructor({ token, apiUrl = "https://api.web3.storage" }) {
+    this.name = "web3storage";
+    this.token = token;
+    this.apiUrl = apiUrl.replace(/\/$/, "");
+  }
+
+  async pinJson(content, { name }) {
+    const data = await postJson(`${this.apiUrl}/upload`, {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${this.token}`,
+        "X-Name": encodeURIComponent(name),
+      },
+      body: JSON.stringify(content),
+    });
+    return data.cid;
+  }
+
+  async pinFile(bytes, { name, mimeType }) {
+    const data = await postJson(`${this.apiUrl}/upload`, {
+      headers: {
+        "Content-Type": mimeType,
+        Authorization: `Bearer ${this.token}`,
+        "X-Name": encodeURIComponent(name),
+      },
+      body: bytes,
+    });
+    return data.cid;
+  }
+}
+
+/**
+ * Keeps pinned content in memory, for tests and local development without
+ * an IPFS node. CIDs are real CIDv1 (json codec, sha2-256) of the content,
+ * but nothing is published, so gateways cannot resolve them.
+ */
+class MemoryProvider {
+  constructor() {
+    this.name = "memory";
+    this.pins = new Map();
+  }
+
+  async pinJson(content) {
+    const cid = cidForBytes(Buffer.from(JSON.stringify(content)), CODECS.json);
+    this.pins.set(cid, content);
+    return cid;
+  }
+
+  async pinFile(bytes) {
+    const cid = cidForBytes(bytes);
+    this.pins.set(cid, Buffer.from(bytes));
+    return cid;
+  }
+
+  get(cid) {
+    return this.pins.get(cid);
+  }
+}
+
+const PROVIDERS = ["pinata", "kubo", "web3storage", "memory"];
+
+/**
+ * Build the provider selected by IPFS_PINNING_PROVIDER. Without it, Pinata
+ * is used when PINATA_JWT is set; otherwise pinning is disabled.
+ */
+function createPinningProvider(env = process.env) {
+  const name =
+    env.IPFS_PINNING_PROVIDER || (env.PINATA_JWT ? "pinata" : undefined);
+
+  switch (name) {
+    case undefined:
+      return null;
+    case "pinata":
+      if (!env.PINATA_JWT) {
+        throw new Error("PINATA_JWT is required for the pinata provider");
+      }
+      return new PinataProvider({
+        jwt: env.PINATA_JWT,
+        apiUrl: env.PINATA_API_URL,
+      });
+    case "kubo":
+      return new KuboProvider({
+        apiUrl: env.KUBO_API_URL,
+        authorization: env.KUBO_API_AUTH || null,
+      });
+    case "web3storage":
+      if (!env.WEB3STORAGE_TOKEN) {
+        throw new Error(
+          "WEB3STORAGE_TOKEN is required for the web3storage provider",
+        );
+      }
+      return new Web3StorageProvider({
+        token: env.WEB3STORAGE_TOKEN,
+        apiUrl: env.WEB3STORAGE_API_URL,
+      });
+    case "memory":
+      return new MemoryProvider();
+    default:
+      throw new Error(
+        `Unknown IPFS_PINNING_PROVIDER "${name}", expected one of ${PROVIDERS.join(", ")}`,
+      );
+  }
+}
+
+/**
+ * Pins task description envelopes for the browser, so the credentials of the
+ * pinning service never leave the server.
+ */
+class PinningService {
+  constructor(provider = null) {
+    this.provider = provider;
+  }
+
+  isEnabled() {
+    return this.provider !== null;
+  }
+
+  getProviderName() {
+    return this.provider ? this.provider.name : null;
+  }
+
+  /**
+   * Pin a JSON document and return its CID and ipfs:// URI
+   */
+  pinJson(content, { name = `todo-${Date.now()}` } = {}) {
+    return this.pin(name, () => this.provider.pinJson(content, { name }));
+  }
+
+  /**
+   * Pin a file (an attachment) and return its CID and ipfs:// URI
+   */
+  pinFile(bytes, { name, mimeType }) {
+    return this.pin(name, () =>
+      this.provider.pinFile(bytes, { name, mimeType }),
+    );
+  }
+
+  async pin(name, upload) {
+    if (!this.provider) {
+      throw pinningError("IPFS pinning is not enabled on this server", 503);
+    }
+
+    let cid;
+    try {
+      cid = await upload();
+    } catch (error) {
+      logger.error(`Pinning via ${this.provider.name} failed:`, {
+        error: error.message,
+        stack: error.stack,
+      });
+      throw error.statusCode ? error : pinningError("Failed to pin to IPFS");
+    }
+
+    if (typeof cid !== "string" || cid.length === 0) {
+      throw pinningError(`${this.provider.name} did not return a CID`);
+    }
+
+    logger.info(`Pinned ${name} to IPFS via ${this.provider.name}: ${cid}`);
+    return { cid, uri: `ipfs://${cid}` };
+  }
+}
+
+let provider = null;
+try {
+  provider = createPinningProvider();
+} catch (error) {
+  logger.error("Invalid IPFS pinning configuration:", {
+    error: error.message,
+    stack: error.stack,
+  });
+}
+
+module.exports = new PinningService(provider);
+module.exports.PinningService = PinningService;
+module.exports.createPinningProvider = createPinningProvider;
+module.exports.PinataProvider = PinataProvider;
+module.exports.KuboProvider = KuboProvider;
+module.exports.Web3StorageProvider = Web3StorageProvider;
+module.exports.MemoryProvider = MemoryProvider;
+module.exports.PINNING_PROVIDERS = PROVIDERS;
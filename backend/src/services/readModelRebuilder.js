@@ -0,0 +1,137 @@
+const logger = require("../utils/logger");
+const Todo = require("../models/Todo");
+const TaskEvent = require("../models/TaskEvent");
+const TaskList = require("../models/TaskList");
+const SyncCheckpoint = require("../models/SyncCheckpoint");
+const { deploymentBlocks } = require("../config/blockchain");
+
+/**
+ * Rebuilds the Todo read model of a chain by replaying every contract event
+ * from the deployment block to head.
+ *
+ * Events are fetched in fixed-size `queryFilter` windows and applied in chain
+ * order through the blockchain service, so the result is deterministic. The
+ * sync checkpoint doubles as the rebuild cursor: an interrupted rebuild picks
+ * up at the last finished window and skips events already applied within it.
+ */
+class ReadModelRebuilder {
+  constructor(blockchainService, options = {}) {
+    this.blockchainService = blockchainService;
+    this.windowSize =
+      options.windowSize || parseInt(process.env.REBUILD_WINDOW_SIZE) || 2000;
+    this.onProgress = options.onProgress || null;
+  }
+
+  /**
+   * Rebuild the read model for a chain
+   * @param {number} chainId
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock] - Override the deployment block
+   * @param {boolean} [options.restart] - Discard an unfinished rebuild
+   * @returns {Promise<{chainId, fromBlock, toBlock, applied, resumed}>}
+   */
+  async rebuild(chainId, { fromBlock, restart = false } = {}) {
+    const service = this.blockchainService;
+    const contractAddress = service.getCheckpointAddress(chainId);
+    const provider = service.getProvider(chainId);
+
+    if (!contractAddress || !provider || !service.getContract(chainId)) {
+      throw new Error(`Chain ${chainId} is not connected`);
+    }
+
+    const existing = await SyncCheckpoint.findCheckpoint(
+      chainId,
+      contractAddress,
+    );
+    const resumable =
+      !restart &&
+      existing?.rebuildTargetBlock !== null &&
+      existing?.rebuildTargetBlock !== undefined;
+
+    let startBlock;
+    let targetBlock;
+    let nextBlock;
+
+    if (resumable) {
+      targetBlock = existing.rebuildTargetBlock;
+      nextBlock = existing.rebuildNextBlock;
+      startBlock = nextBlock;
+      logger.info(
+        `Resuming rebuild of chain ${chainId} at block ${nextBlock} (target ${targetBlock})`,
+      );
+    } else {
+      startBlock = fromBlock ?? deploymentBlocks[chainId] ?? 0;
+      targetBlock = await provider.getBlockNumber();
+      nextBlock = startBlock;
+
+      logger.warn(
+        `Dropping read model for chain ${chainId} and rebuilding from block ${startBlock} to ${targetBlock}`,
+      );
+      await Todo.deleteMany({ chainId });
+      await TaskEvent.deleteMany({ chainId });
+      await TaskList.deleteMany({ chainId });
+      await SyncCheckpoint.startRebuild(chainId, contractAddress, {
+        fromBlock: startBlock,
+        targetBlock,
+      });
+    }
+
+    // Pick up the reset (or partially advanced) checkpoint in memory
+    await service.loadCheckpoint(chainId);
+
+    let applied = 0;
+    const totalBlocks = Math.max(1, targetBlock - startBlock + 1);
+
+    while (nextBlock <= targetBlock) {
+      const windowEnd = Math.min(nextBlock + this.windowSize - 1, targetBlock);
+      const result = await service.applyEventRange(
+        chainId,
+        nextBlock,
+        windowEnd,
+      );
+      applied += result.applied;
+      nextBlock = windowEnd + 1;
+
+      await SyncCheckpoint.updateRebuildProgress(
+        chainId,
+        contractAddress,
+        nextBlock,
+      );
+
+      const progress = {
+        chainId,
+        fromBlock: startBlock,
+        toBlock: targetBlock,
+        currentBlock: windowEnd,
+        applied,
+        percent: Math.round(((windowEnd - startBlock + 1) / totalBlocks) * 100),
+      };
+      logger.info(
+        `Rebuild chain ${chainId}: ${progress.percent}% (block ${windowEnd}/${targetBlock}, ${applied} events applied)`,
+      );
+      if (this.onProgress) {
+        this.onProgress(progress);
+      }
+    }
+
+    await service.advanceCheckpoint(chainId, {
+      blockNumber: targetBlock,
+      blockHash: await service.getBlockHash(chainId, targetBlock),
+    });
+    await SyncCheckpoint.finishRebuild(chainId, contractAddress);
+
+    logger.info(
+      `✓ Rebuilt read model for chain ${chainId}: ${applied} events from block ${startBlock} to ${targetBlock}`,
+    );
+
+    return {
+      chainId,
+      fromBlock: startBlock,
+      toBlock: targetBlock,
+      applied,
+      resumed: resumable,
+    };
+  }
+}
+
+module.exports = ReadModelRebuilder;
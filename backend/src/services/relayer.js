@@ -0,0 +1,158 @@
+const { ethers } = require("ethers");
+const blockchainService = require("./blockchainService");
+const logger = require("../utils/logger");
+
+// Signed contract functions by relay action, with their argument order
+const ACTIONS = {
+  create: {
+    method: "createTaskWithSig",
+    args: (r) => [
+      r.user,
+      r.description,
+      r.dueDate || 0,
+      r.deadline,
+      r.signature,
+    ],
+  },
+  complete: {
+    method: "completeTaskWithSig",
+    args: (r) => [r.user, r.taskId, r.deadline, r.signature],
+  },
+  delete: {
+    method: "deleteTaskWithSig",
+    args: (r) => [r.user, r.taskId, r.deadline, r.signature],
+  },
+  restore: {
+    method: "restoreTaskWithSig",
+    args: (r) => [r.user, r.taskId, r.deadline, r.signature],
+  },
+  update: {
+    method: "updateTaskWithSig",
+    args: (r) => [r.user, r.taskId, r.newDescription, r.deadline, r.signature],
+  },
+};
+
+function relayError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Submits EIP-712 signed task requests from a funded key, so users without
+ * gas on a chain can still manage their tasks.
+ *
+ * The contract checks the signature, nonce and deadline; every request is
+ * simulated first so a bad signature costs the relayer nothing.
+ */
+class Relayer {
+  constructor(service = blockchainService, privateKey = null) {
+    this.blockchainService = service;
+    this.wallet = privateKey
+      ? new ethers.Wallet(
+          privateKey.startsWith("0x") ? privateKey : `0x${privateKey}`,
+        )
+      : null;
+    // One nonce-tracking signer per chain, so concurrent relays don't collide
+    this.signers = {};
+  }
+
+  isEnabled() {
+    return this.wallet !== null;
+  }
+
+  getAddress() {
+    return this.wallet ? this.wallet.address : null;
+  }
+
+  getSigner(chainId) {
+    if (!this.signers[chainId]) {
+      const provider = this.blockchainService.getProvider(chainId);
+      if (!provider) return null;
+      this.signers[chainId] = new ethers.NonceManager(
+        this.wallet.connect(provider),
+      );
+    }
+    return this.signers[chainId];
+  }
+
+  /**
+   * Submit a signed request and wait for it to be mined
+   * @param {number} chainId - Chain to submit on
+   * @param {string} action - One of create, complete, delete, restore, update
+   * @param {Object} request - Signed fields: user, deadline, signature and the
+   *   action's own fields (description/dueDate, taskId, newDescription)
+   * @returns {Promise<Object>} transactionHash, blockNumber and, for create, taskId
+   */
+  async relay(chainId, action, request) {
+    if (!this.isEnabled()) {
+      throw relayError("Relayer is not configured", 503);
+    }
+
+    const { method, args } = ACTIONS[action] || {};
+    if (!method) {
+      throw relayError(`Unknown relay action: ${action}`, 400);
+    }
+
+    const contract = this.blockchainService.getContract(chainId);
+    const signer = contract && this.getSigner(chainId);
+    if (!signer) {
+      throw relayError(`Chain ${chainId} is not supported by the relayer`, 400);
+    }
+
+    const fn = contract.connect(signer).getFunction(method);
+    const callArgs = args(request);
+
+    try {
+      await fn.staticCall(...callArgs);
+    } catch (error) {
+      // The contract reverts with custom errors, which carry a name but no reason
+      throw relayError(
+        error.reason || error.revert?.name || "Signed request was rejected",
+        400,
+      );
+    }
+
+    let receipt;
+    try {
+      const tx = await fn(...callArgs);
+      receipt = await tx.wait();
+    } catch (error) {
+      // A failed send can leave the local nonce ahead of the chain
+      signer.reset();
+      logger.error(`Relayed ${method} failed on chain ${chainId}:`, {
+        error: error.message,
+        stack: error.stack,
+      });
+      throw error;
+    }
+
+    logger.info(
+      `Relayed ${method} for ${request.user} on chain ${chainId}: ${receipt.hash}`,
+    );
+
+    const result = {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    };
+
+    if (action === "create") {
+      for (const log of receipt.logs) {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === "TaskCreated") {
+          result.taskId = parsed.args.taskId.toString();
+          break;
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new Relayer(
+  blockchainService,
+  process.env.RELAYER_PRIVATE_KEY || null,
+);
+module.exports.Relayer = Relayer;
+module.exports.RELAY_ACTIONS = Object.keys(ACTIONS);
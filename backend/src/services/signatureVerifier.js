@@ -0,0 +1,83 @@
+const { ethers } = require("ethers");
+const blockchainService = require("./blockchainService");
+
+const ERC1271_ABI = [
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)",
+];
+const ERC1271_SUCCESS = "0x1626ba7e";
+
+// Trailing 32 bytes that mark an ERC-6492 signature
+const ERC6492_SUFFIX =
+  "0x6492649264926492649264926492649264926492649264926492649264926492";
+
+// Init code of ValidateSigOffchain (contracts/contracts/UniversalSigValidator.sol),
+// copied from its compiled artifact; the contracts tests check that the two
+// match. Run through eth_call, it returns 0x01 for a valid signature without
+// deploying anything.
+const {
+  bytecode: VALIDATE_SIG_OFFCHAIN_BYTECODE,
+} = require("../contracts/ValidateSigOffchain.bytecode.json");
+
+const isErc6492Signature = (signature) =>
+  ethers.dataLength(signature) > 32 &&
+  ethers.dataSlice(signature, -32) === ERC6492_SUFFIX;
+
+/**
+ * Verify a personal_sign (EIP-191) signature of `message` by `address`.
+ *
+ * EOA signatures are recovered locally. Otherwise the address is treated as
+ * a contract wallet such as a Safe, and the signature is checked on `chainId`
+ * through the configured provider: deployed wallets with ERC-1271
+ * `isValidSignature`, wallets that are not deployed yet (ERC-6492) with a
+ * deployless call that simulates the deployment first.
+ *
+ * @returns {Promise<boolean>}
+ * @throws if the signature is not hex data or the RPC call fails
+ */
+async function verifySignature({ address, message, signature, chainId }) {
+  const hash = ethers.hashMessage(message);
+
+  if (isErc6492Signature(signature)) {
+    const provider = blockchainService.getProvider(chainId);
+    if (!provider) return false;
+
+    const data = ethers.concat([
+      VALIDATE_SIG_OFFCHAIN_BYTECODE,
+      ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address", "bytes32", "bytes"],
+        [address, hash, signature],
+      ),
+    ]);
+    return (await provider.call({ data })) === "0x01";
+  }
+
+  if (ethers.dataLength(signature) === 65) {
+    try {
+      const recovered = ethers.recoverAddress(hash, signature);
+      if (recovered.toLowerCase() === address.toLowerCase()) return true;
+    } catch {
+      // Not an ECDSA signature; a contract wallet may still accept it
+    }
+  }
+
+  const provider = blockchainService.getProvider(chainId);
+  if (!provider) return false;
+
+  const code = await provider.getCode(address);
+  if (code === "0x") return false;
+
+  const wallet = new ethers.Contract(address, ERC1271_ABI, provider);
+  try {
+    return (await wallet.isValidSignature(hash, signature)) === ERC1271_SUCCESS;
+  } catch (error) {
+    // Wallets may revert instead of returning a failure value, and contracts
+    // without isValidSignature return nothing
+    if (["CALL_EXCEPTION", "BAD_DATA"].includes(error.code)) return false;
+    throw error;
+  }
+}
+
+module.exports = {
+  verifySignature,
+  isErc6492Signature,
+};
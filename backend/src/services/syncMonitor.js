@@ -1,5 +1,26 @@
 const logger = require("../utils/logger");
 const Todo = require("../models/Todo");
+const { isIpfsCid, extractCid } = require("./ipfsService");
+const MulticallReader = require("./multicall");
+const { multicallAddresses } = require("../config/blockchain");
+
+// Upper bound on per-task entries kept in a drift report
+const MAX_REPORT_ITEMS = 50;
+
+// Schema defaults for fields that todos synced before they existed lack
+const READ_MODEL_DEFAULTS = {
+  priority: 0,
+  tags: [],
+  recurrence: "none",
+  recurrenceInterval: 0,
+  dependencies: [],
+  bounty: "0",
+};
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// TodoListV2.Recurrence by enum value
+const RECURRENCE_NAMES = ["none", "daily", "weekly", "monthly", "interval"];
 
 class SyncMonitor {
   constructor(blockchainService) {
@@ -7,6 +28,11 @@ class SyncMonitor {
     this.checkInterval = parseInt(process.env.SYNC_CHECK_INTERVAL) || 30000; // 30 seconds default
     this.timer = null;
     this.isRunning = false;
+    // Passes between full checks that only re-verify touched tasks
+    this.fullCheckEvery = parseInt(process.env.SYNC_FULL_CHECK_EVERY) || 120;
+    this.reports = {};
+    this.passes = {};
+    this.readers = {};
   }
 
   /**
@@ -57,75 +83,312 @@ class SyncMonitor {
   }
 
   /**
-   * Check sync for a specific chain
+   * Latest drift report per chain, keyed by chain id
+   */
+  getDriftReports() {
+    return { ...this.reports };
+  }
+
+  /**
+   * Reconcile a chain: diff every task field on chain against the Todo
+   * read model, create tasks missing from the database and repair drift.
+   * The outcome is kept as the chain's drift report.
+   *
+   * The first pass, and every `fullCheckEvery` passes after it, checks all
+   * tasks. Passes in between only re-verify tasks touched since the last
+   * pass, so the cost follows change volume rather than table size.
    */
   async checkChainSync(chainId) {
     const contract = this.blockchainService.contracts[chainId];
     if (!contract) return;
 
+    const previous = this.passes[chainId];
+    const full = !previous || previous.incremental >= this.fullCheckEvery;
+
+    const report = {
+      chainId,
+      mode: full ? "full" : "incremental",
+      checkedAt: new Date(),
+      tasksChecked: 0,
+      missing: 0,
+      drifted: 0,
+      orphaned: 0,
+      repaired: 0,
+      failed: 0,
+      items: [],
+      error: null,
+    };
+
     try {
-      // Get all tasks from database for this chain
-      const dbTasks = await Todo.find({ chainId, deleted: false })
-        .select("blockchainId completed")
-        .lean();
-
-      let syncedCount = 0;
-      let outOfSyncCount = 0;
-
-      // Check each task against blockchain
-      for (const dbTask of dbTasks) {
-        try {
-          // Get task state from blockchain
-          const blockchainTask = await contract.getTask(dbTask.blockchainId);
-
-          // Check if completed status matches
-          if (blockchainTask.completed !== dbTask.completed) {
-            outOfSyncCount++;
-            logger.warn(
-              `🔄 Task ${dbTask.blockchainId} out of sync on chain ${chainId}:`,
-              {
-                database: { completed: dbTask.completed },
-                blockchain: { completed: blockchainTask.completed },
-              },
-            );
-
-            // Sync the task
-            if (blockchainTask.completed && !dbTask.completed) {
-              // Task was completed on blockchain but not in database
-              await this.blockchainService.syncTaskCompleted(
-                chainId,
-                BigInt(dbTask.blockchainId),
-                blockchainTask.completedAt,
-              );
-              syncedCount++;
-              logger.info(
-                `✓ Auto-synced TaskCompleted: ${dbTask.blockchainId} on chain ${chainId}`,
-              );
-            }
-          }
-        } catch (error) {
-          // Task might be deleted or not exist on blockchain - skip
-          if (!error.message.includes("Task not found")) {
-            logger.debug(
-              `Could not check task ${dbTask.blockchainId}:`,
-              error.message,
-            );
-          }
+      const provider = this.blockchainService.providers[chainId];
+      const headBlock = await provider.getBlockNumber();
+      const totalTasks = Number(await contract.getTotalTaskCount());
+
+      let taskIds;
+      let dbTodos;
+      if (full) {
+        taskIds = Array.from({ length: totalTasks }, (_, i) => i + 1);
+        dbTodos = await Todo.find({ chainId }).lean();
+      } else {
+        taskIds = await this.findTouchedTaskIds(
+          chainId,
+          contract,
+          previous,
+          headBlock,
+          totalTasks,
+        );
+        dbTodos = taskIds.length
+          ? await Todo.find({
+              chainId,
+              blockchainId: { $in: taskIds.map(String) },
+            }).lean()
+          : [];
+      }
+
+      const dbById = new Map(dbTodos.map((todo) => [todo.blockchainId, todo]));
+      const chainTasks = await this.fetchChainTasks(
+        chainId,
+        contract,
+        taskIds.filter((id) => id <= totalTasks),
+      );
+
+      for (const [blockchainId, task] of chainTasks) {
+        report.tasksChecked++;
+
+        if (!task) {
+          report.failed++;
+          logger.debug(`Could not read task ${blockchainId} on ${chainId}`);
+          continue;
         }
+
+        const dbTodo = dbById.get(blockchainId);
+        const fields = dbTodo ? this.diffTask(dbTodo, task) : null;
+
+        if (dbTodo && Object.keys(fields).length === 0) continue;
+
+        const type = dbTodo ? "drift" : "missing";
+        report[dbTodo ? "drifted" : "missing"]++;
+        logger.warn(
+          `🔄 Task ${blockchainId} out of sync on chain ${chainId} (${type})`,
+          fields ? { fields: Object.keys(fields) } : {},
+        );
+
+        const repaired = await this.repairTask(chainId, blockchainId, task);
+        report[repaired ? "repaired" : "failed"]++;
+        this.addReportItem(report, { blockchainId, type, fields, repaired });
+      }
+
+      // Todos beyond the contract's task count are only reported: removing
+      // them is left to reorg rollback or a read model rebuild
+      for (const dbTodo of dbTodos) {
+        if (Number(dbTodo.blockchainId) <= totalTasks) continue;
+        report.orphaned++;
+        this.addReportItem(report, {
+          blockchainId: dbTodo.blockchainId,
+          type: "orphaned",
+          fields: null,
+          repaired: false,
+        });
       }
 
-      if (outOfSyncCount > 0) {
+      if (report.missing + report.drifted + report.orphaned > 0) {
         logger.info(
-          `Sync check for chain ${chainId}: ${syncedCount}/${outOfSyncCount} tasks auto-synced`,
+          `Sync check for chain ${chainId}: ${report.repaired}/${report.missing + report.drifted} tasks repaired, ${report.orphaned} orphaned`,
         );
       }
+
+      // Only advance after a successful pass so a failed one is retried
+      this.passes[chainId] = {
+        block: headBlock,
+        totalTasks,
+        checkedAt: report.checkedAt,
+        incremental: full ? 0 : previous.incremental + 1,
+      };
     } catch (error) {
+      report.error = error.message;
       logger.error(`Error checking sync for chain ${chainId}:`, {
         error: error.message,
         stack: error.stack,
       });
     }
+
+    this.reports[chainId] = report;
+    return report;
+  }
+
+  /**
+   * Collect the ids of tasks that may have changed since the previous pass:
+   * tasks created since, tasks named in any contract log since its block,
+   * and todos written to the database since it ran
+   */
+  async findTouchedTaskIds(chainId, contract, previous, headBlock, totalTasks) {
+    const ids = new Set();
+
+    for (let id = previous.totalTasks + 1; id <= totalTasks; id++) {
+      ids.add(id);
+    }
+
+    if (headBlock > previous.block) {
+      const provider = this.blockchainService.providers[chainId];
+      const logs = await provider.getLogs({
+        address: await contract.getAddress(),
+        fromBlock: previous.block + 1,
+        toBlock: headBlock,
+      });
+
+      for (const log of logs) {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed?.fragment.inputs.some((input) => input.name === "taskId")) {
+          ids.add(Number(parsed.args.taskId));
+        }
+      }
+    }
+
+    const changed = await Todo.find({
+      chainId,
+      updatedAt: { $gte: previous.checkedAt },
+    })
+      .select("blockchainId")
+      .lean();
+    for (const todo of changed) {
+      ids.add(Number(todo.blockchainId));
+    }
+
+    return [...ids].sort((a, b) => a - b);
+  }
+
+  /**
+   * Read tasks from the chain in Multicall3 batches
+   * @returns {Promise<Map<string, Object|null>>} Tasks keyed by blockchain id;
+   *   null where the read failed
+   */
+  async fetchChainTasks(chainId, contract, taskIds) {
+    const results = await this.getReader(chainId).callMany(
+      contract,
+      "getTask",
+      taskIds.map((id) => [id]),
+    );
+
+    return new Map(taskIds.map((id, i) => [id.toString(), results[i]]));
+  }
+
+  getReader(chainId) {
+    if (!this.readers[chainId]) {
+      this.readers[chainId] = new MulticallReader(
+        this.blockchainService.providers[chainId],
+        multicallAddresses[chainId],
+      );
+    }
+    return this.readers[chainId];
+  }
+
+  /**
+   * Compare a Todo with its on-chain task
+   * @returns {Object} Drifted fields as { field: { database, blockchain } }
+   */
+  diffTask(dbTodo, task) {
+    const expected = {
+      owner: task.owner.toLowerCase(),
+      completed: task.completed,
+      deleted: task.deleted,
+      blockchainCreatedAt: toDate(task.createdAt),
+      blockchainCompletedAt: task.completed ? toDate(task.completedAt) : null,
+      deletedAt: task.deleted ? toDate(task.deletedAt) : null,
+      dueDate: task.dueDate ? toDate(task.dueDate) : null,
+      priority: Number(task.priority ?? 0),
+      tags: Array.from(task.tags ?? [], (tag) => tag.toLowerCase()),
+      listId: task.listId ? task.listId.toString() : null,
+      parentId: task.parentId ? task.parentId.toString() : null,
+      recurrence: RECURRENCE_NAMES[Number(task.recurrence ?? 0)] ?? "none",
+      recurrenceInterval: Number(task.recurrenceInterval ?? 0),
+      seriesId: task.seriesId ? task.seriesId.toString() : null,
+      dependencies: Array.from(task.dependencies ?? [], (id) => id.toString()),
+      bounty: (task.bounty ?? 0n).toString(),
+      assignee:
+        task.assignee && task.assignee !== ZERO_ADDRESS
+          ? task.assignee.toLowerCase()
+          : null,
+      pendingAssignee:
+        task.pendingAssignee && task.pendingAssignee !== ZERO_ADDRESS
+          ? task.pendingAssignee.toLowerCase()
+          : null,
+    };
+
+    // The read model stores IPFS descriptions resolved, so compare the CID
+    if (isIpfsCid(task.description)) {
+      expected.ipfsCid = extractCid(task.description);
+    } else {
+      expected.ipfsCid = null;
+      expected.description = task.description.trim();
+    }
+
+    const fields = {};
+    for (const [field, blockchain] of Object.entries(expected)) {
+      const database = dbTodo[field] ?? READ_MODEL_DEFAULTS[field] ?? null;
+      if (!sameValue(database, blockchain)) {
+        fields[field] = { database, blockchain };
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Overwrite (or create) the Todo with the on-chain task state
+   * @returns {Promise<boolean>} Whether the repair was saved
+   */
+  async repairTask(chainId, blockchainId, task) {
+    try {
+      const todo =
+        (await Todo.findByBlockchainId(chainId, blockchainId)) ||
+        new Todo({ blockchainId, chainId });
+
+      await this.blockchainService.applyTaskState(todo, task);
+      todo.lastSyncedAt = new Date();
+      await todo.save();
+
+      logger.info(`✓ Auto-synced task ${blockchainId} from chain ${chainId}`);
+      return true;
+    } catch (error) {
+      logger.error(
+        `Error repairing task ${blockchainId} on chain ${chainId}:`,
+        {
+          error: error.message,
+          stack: error.stack,
+        },
+      );
+      return false;
+    }
+  }
+
+  addReportItem(report, item) {
+    if (report.items.length < MAX_REPORT_ITEMS) {
+      report.items.push(item);
+    }
+  }
+}
+
+function toDate(seconds) {
+  return new Date(Number(seconds) * 1000);
+}
+
+// Dates are compared at second precision since the chain stores seconds;
+// tag lists are compared in order
+function sameValue(database, blockchain) {
+  if (Array.isArray(blockchain)) {
+    return (
+      Array.isArray(database) &&
+      database.length === blockchain.length &&
+      database.every((value, i) => value === blockchain[i])
+    );
+  }
+  if (blockchain instanceof Date) {
+    return (
+      database instanceof Date &&
+      Math.floor(database.getTime() / 1000) ===
+        Math.floor(blockchain.getTime() / 1000)
+    );
   }
+  return database === blockchain;
 }
 
 module.exports = SyncMonitor;
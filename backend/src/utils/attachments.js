@@ -0,0 +1,147 @@
+const { parseCid } = require("./cid");
+
+/**
+ * Task attachments.
+ *
+ * Files and images are pinned as separate IPFS objects through
+ * POST /api/ipfs/upload and referenced from a version 2 description
+ * envelope, next to links:
+ *
+ *   { description, attachments: [
+ *       { type: "image", name, mimeType, size, cid },
+ *       { type: "link", url, name } ],
+ *     version: 2, timestamp }
+ */
+
+const ENVELOPE_VERSION = 2;
+
+const MAX_ATTACHMENTS = 5;
+const DEFAULT_MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const MAX_NAME_LENGTH = 255;
+const MAX_URL_LENGTH = 2048;
+
+// Images are shown inline, so only raster formats: SVG can carry scripts
+const IMAGE_MIME_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+const ATTACHMENT_MIME_TYPES = [
+  ...IMAGE_MIME_TYPES,
+  "application/pdf",
+  "text/plain",
+  "text/markdown",
+  "text/csv",
+];
+
+const maxAttachmentBytes = () =>
+  parseInt(process.env.IPFS_MAX_ATTACHMENT_BYTES ?? "") ||
+  DEFAULT_MAX_ATTACHMENT_BYTES;
+
+/**
+ * Attachment type of an uploaded file
+ */
+function attachmentType(mimeType) {
+  return IMAGE_MIME_TYPES.includes(mimeType) ? "image" : "file";
+}
+
+function isCid(value) {
+  try {
+    parseCid(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+const isName = (value) =>
+  typeof value === "string" &&
+  value.trim().length > 0 &&
+  value.length <= MAX_NAME_LENGTH;
+
+/**
+ * Check an attachment reference
+ * @returns {string|null} Why the attachment is invalid, or null
+ */
+function attachmentError(attachment) {
+  if (typeof attachment !== "object" || attachment === null) {
+    return "attachment must be an object";
+  }
+  const { type, name, mimeType, size, cid, url } = attachment;
+
+  if (type === "link") {
+    if (typeof url !== "string" || url.length > MAX_URL_LENGTH) {
+      return `link url must be at most ${MAX_URL_LENGTH} characters`;
+    }
+    if (!isHttpUrl(url)) {
+      return "link url must be an http(s) URL";
+    }
+    if (name !== undefined && name !== null && !isName(name)) {
+      return `link name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  if (type !== "file" && type !== "image") {
+    return "attachment type must be file, image or link";
+  }
+  if (!isName(name)) {
+    return `attachment name must be 1 to ${MAX_NAME_LENGTH} characters`;
+  }
+  if (!ATTACHMENT_MIME_TYPES.includes(mimeType)) {
+    return `attachment type ${mimeType} is not allowed`;
+  }
+  if (type !== attachmentType(mimeType)) {
+    return `${mimeType} attachments must have type ${attachmentType(mimeType)}`;
+  }
+  if (!Number.isInteger(size) || size < 1 || size > maxAttachmentBytes()) {
+    return `attachment size must be 1 to ${maxAttachmentBytes()} bytes`;
+  }
+  if (typeof cid !== "string" || !isCid(cid)) {
+    return "attachment cid must be a CID";
+  }
+  return null;
+}
+
+/**
+ * Valid attachments of an envelope fetched from IPFS, in the shape stored on
+ * the Todo. Envelopes are untrusted input, so invalid entries are dropped.
+ */
+function sanitizeAttachments(attachments) {
+  if (!Array.isArray(attachments)) return [];
+
+  return attachments
+    .filter((attachment) => attachmentError(attachment) === null)
+    .slice(0, MAX_ATTACHMENTS)
+    .map((attachment) =>
+      attachment.type === "link"
+        ? {
+            type: "link",
+            url: attachment.url,
+            name: attachment.name ? attachment.name.trim() : null,
+          }
+        : {
+            type: attachment.type,
+            name: attachment.name.trim(),
+            mimeType: attachment.mimeType,
+            size: attachment.size,
+            cid: attachment.cid,
+          },
+    );
+}
+
+module.exports = {
+  ENVELOPE_VERSION,
+  MAX_ATTACHMENTS,
+  MAX_NAME_LENGTH,
+  ATTACHMENT_MIME_TYPES,
+  maxAttachmentBytes,
+  attachmentType,
+  attachmentError,
+  sanitizeAttachments,
+};
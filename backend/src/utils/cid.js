@@ -0,0 +1,258 @@
+const crypto = require("crypto");
+
+/**
+ * Content identifiers (CIDs).
+ *
+ * A CID names content by its hash, so a block fetched from any gateway can be
+ * checked against the CID it was requested by. Supported here:
+ *
+ *   - CIDv0 ("Qm...", base58btc): a sha2-256 multihash of a dag-pb node
+ *   - CIDv1 in base32 ("b..."): <version> <codec> <multihash>
+ *
+ * with the raw, json, dag-json and dag-pb codecs and sha2-256 hashes. That
+ * covers what Pinata, Kubo and web3.storage return for small JSON files.
+ */
+
+const CODECS = {
+  raw: 0x55,
+  json: 0x0200,
+  dagJson: 0x0129,
+  dagPb: 0x70,
+};
+
+const SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 32;
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+const BASE58_ALPHABET =
+  "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+// UnixFS node types that hold file bytes
+const UNIXFS_RAW = 0;
+const UNIXFS_FILE = 2;
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function base58Decode(text) {
+  let value = 0n;
+  for (const char of text) {
+    const index = BASE58_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base58 character "${char}"`);
+    }
+    value = value * 58n + BigInt(index);
+  }
+  const hex = value.toString(16);
+  const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, "hex");
+  // Leading "1"s stand for zero bytes
+  const zeros = text.length - text.replace(/^1+/, "").length;
+  return Buffer.concat([
+    Buffer.alloc(zeros),
+    value === 0n ? Buffer.alloc(0) : body,
+  ]);
+}
+
+/**
+ * Read an unsigned LEB128 varint, as used by multiformats and protobuf
+ * @returns {[number, number]} The value and the offset after it
+ */
+function readVarint(bytes, offset) {
+  let value = 0;
+  let scale = 1;
+  for (let i = offset; i < bytes.length; i++) {
+    value += (bytes[i] & 0x7f) * scale;
+    if ((bytes[i] & 0x80) === 0) {
+      return [value, i + 1];
+    }
+    scale *= 128;
+  }
+  throw new Error("Truncated varint");
+}
+
+function writeVarint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 128) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode a CID string
+ * @returns {{version: number, codec: number, hashCode: number, digest: Buffer}}
+ */
+function parseCid(cid) {
+  if (cid.length === 46 && cid.startsWith("Qm")) {
+    const multihash = base58Decode(cid);
+    return {
+      version: 0,
+      codec: CODECS.dagPb,
+      hashCode: multihash[0],
+      digest: multihash.subarray(2),
+    };
+  }
+
+  if (!cid.startsWith("b")) {
+    throw new Error(`Unsupported CID encoding: ${cid}`);
+  }
+
+  const bytes = base32Decode(cid.slice(1));
+  const [version, codecOffset] = readVarint(bytes, 0);
+  if (version !== 1) {
+    throw new Error(`Unsupported CID version ${version}: ${cid}`);
+  }
+  const [codec, hashOffset] = readVarint(bytes, codecOffset);
+  const [hashCode, lengthOffset] = readVarint(bytes, hashOffset);
+  const [length, digestOffset] = readVarint(bytes, lengthOffset);
+  const digest = bytes.subarray(digestOffset);
+  if (digest.length !== length) {
+    throw new Error(`Malformed CID: ${cid}`);
+  }
+
+  return { version, codec, hashCode, digest };
+}
+
+/**
+ * CIDv1 (base32) of a single block
+ */
+function cidForBytes(bytes, codec = CODECS.raw) {
+  const digest = crypto.createHash("sha256").update(bytes).digest();
+  return `b${base32Encode(
+    Buffer.concat([
+      writeVarint(1),
+      writeVarint(codec),
+      writeVarint(SHA2_256),
+      writeVarint(SHA2_256_LENGTH),
+      digest,
+    ]),
+  )}`;
+}
+
+/**
+ * Split a protobuf message into its fields
+ * @returns {Array<{field: number, value: number|Buffer}>}
+ */
+function readProtobuf(bytes) {
+  const fields = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const [key, valueOffset] = readVarint(bytes, offset);
+    const field = Math.floor(key / 8);
+    switch (key % 8) {
+      case 0: {
+        const [value, next] = readVarint(bytes, valueOffset);
+        fields.push({ field, value });
+        offset = next;
+        break;
+      }
+      case 2: {
+        const [length, start] = readVarint(bytes, valueOffset);
+        if (start + length > bytes.length) {
+          throw new Error("Truncated protobuf field");
+        }
+        fields.push({ field, value: bytes.subarray(start, start + length) });
+        offset = start + length;
+        break;
+      }
+      default:
+        throw new Error(`Unsupported protobuf wire type ${key % 8}`);
+    }
+  }
+  return fields;
+}
+
+/**
+ * File bytes of a dag-pb block holding a single-block UnixFS file
+ */
+function unixfsFileBytes(block) {
+  // PBNode: Links = 2 (repeated), Data = 1
+  const node = readProtobuf(block);
+  if (node.some(({ field }) => field === 2)) {
+    throw new Error("Files spanning several blocks are not supported");
+  }
+  const data = node.find(({ field }) => field === 1);
+  if (!data) {
+    throw new Error("dag-pb block has no UnixFS data");
+  }
+
+  // UnixFS Data: Type = 1, Data = 2
+  const unixfs = readProtobuf(data.value);
+  const type = unixfs.find(({ field }) => field === 1);
+  if (!type || (type.value !== UNIXFS_FILE && type.value !== UNIXFS_RAW)) {
+    throw new Error("dag-pb block is not a UnixFS file");
+  }
+  const content = unixfs.find(({ field }) => field === 2);
+  return content ? Buffer.from(content.value) : Buffer.alloc(0);
+}
+
+/**
+ * Check a block fetched for `cid` against its hash and return the content
+ * it holds. Throws if the block does not match or cannot be verified.
+ * @returns {Buffer}
+ */
+function verifiedContent(cid, block) {
+  const { codec, hashCode, digest } = parseCid(cid);
+
+  if (hashCode !== SHA2_256 || digest.length !== SHA2_256_LENGTH) {
+    throw new Error(`Unsupported multihash 0x${hashCode.toString(16)}`);
+  }
+  const actual = crypto.createHash("sha256").update(block).digest();
+  if (!actual.equals(digest)) {
+    throw new Error(`Content does not match CID ${cid}`);
+  }
+
+  switch (codec) {
+    case CODECS.raw:
+    case CODECS.json:
+    case CODECS.dagJson:
+      return Buffer.from(block);
+    case CODECS.dagPb:
+      return unixfsFileBytes(block);
+    default:
+      throw new Error(`Unsupported CID codec 0x${codec.toString(16)}`);
+  }
+}
+
+module.exports = {
+  CODECS,
+  parseCid,
+  cidForBytes,
+  verifiedContent,
+};
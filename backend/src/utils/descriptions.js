@@ -0,0 +1,48 @@
+/**
+ * Task description rules.
+ *
+ * A description is either stored on-chain as plain text, where TodoListV2
+ * caps it at 500 bytes, or pinned to IPFS in an envelope and referenced by
+ * its ipfs:// URI. Envelope descriptions can be longer and may be Markdown:
+ *
+ *   { description, contentType: "text/markdown", version, timestamp }
+ *
+ * Envelopes without a contentType are plain text.
+ */
+
+// Mirrors the length check in TodoListV2._createTask
+const MAX_ONCHAIN_DESCRIPTION_LENGTH = 500;
+const MAX_IPFS_DESCRIPTION_LENGTH = 10000;
+
+const DEFAULT_CONTENT_TYPE = "text/plain";
+const CONTENT_TYPES = [DEFAULT_CONTENT_TYPE, "text/markdown"];
+
+/**
+ * Longest description allowed for a todo, depending on where it is stored
+ * @param {boolean} ipfsBacked - Whether the description came from IPFS
+ */
+function maxDescriptionLength(ipfsBacked) {
+  return ipfsBacked
+    ? MAX_IPFS_DESCRIPTION_LENGTH
+    : MAX_ONCHAIN_DESCRIPTION_LENGTH;
+}
+
+/**
+ * Content type of an envelope, falling back to plain text for envelopes
+ * without one or with a type the app does not render
+ */
+function envelopeContentType(envelope) {
+  const contentType = envelope && envelope.contentType;
+  return CONTENT_TYPES.includes(contentType)
+    ? contentType
+    : DEFAULT_CONTENT_TYPE;
+}
+
+module.exports = {
+  MAX_ONCHAIN_DESCRIPTION_LENGTH,
+  MAX_IPFS_DESCRIPTION_LENGTH,
+  DEFAULT_CONTENT_TYPE,
+  CONTENT_TYPES,
+  maxDescriptionLength,
+  envelopeContentType,
+};
@@ -0,0 +1,195 @@
+const { ethers } = require("ethers");
+
+/**
+ * Sign-In with Ethereum (EIP-4361) messages.
+ *
+ * A SIWE message looks like:
+ *
+ *   localhost:5173 wants you to sign in with your Ethereum account:
+ *   0xAbC...123
+ *
+ *   Sign in to the Todo App.
+ *
+ *   URI: http://localhost:5173
+ *   Version: 1
+ *   Chain ID: 31337
+ *   Nonce: 8f2c...
+ *   Issued At: 2026-01-30T12:00:00.000Z
+ *   Expiration Time: 2026-01-30T12:05:00.000Z
+ *
+ * The statement, Expiration Time, Not Before, Request ID and Resources are
+ * optional, but the lines that are present must appear in this order.
+ */
+
+const HEADER = " wants you to sign in with your Ethereum account:";
+
+// Tagged lines after the statement, in the order EIP-4361 requires
+const FIELDS = [
+  ["uri", "URI", true],
+  ["version", "Version", true],
+  ["chainId", "Chain ID", true],
+  ["nonce", "Nonce", true],
+  ["issuedAt", "Issued At", true],
+  ["expirationTime", "Expiration Time", false],
+  ["notBefore", "Not Before", false],
+  ["requestId", "Request ID", false],
+];
+
+const DOMAIN_PATTERN = /^[a-zA-Z0-9.-]+(:\d{1,5})?$/;
+const NONCE_PATTERN = /^[a-zA-Z0-9]{8,}$/;
+// RFC 3339 date-time, which is what Date#toISOString produces
+const DATE_TIME_PATTERN =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Tolerated clock difference between the wallet and the server
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const isDateTime = (value) =>
+  DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * Parse a SIWE message strictly. Returns the fields, or null if the text is
+ * not a well-formed EIP-4361 message.
+ */
+function parseSiweMessage(message) {
+  if (typeof message !== "string") return null;
+
+  const lines = message.split("\n");
+  let i = 0;
+
+  if (!lines[i]?.endsWith(HEADER)) return null;
+  const domain = lines[i++].slice(0, -HEADER.length);
+  if (!DOMAIN_PATTERN.test(domain)) return null;
+
+  const address = lines[i++];
+  if (!ethers.isAddress(address)) return null;
+
+  if (lines[i++] !== "") return null;
+
+  // Either a statement followed by a blank line, or just the blank line
+  let statement = null;
+  if (lines[i] !== "") {
+    statement = lines[i++];
+    if (statement === undefined) return null;
+  }
+  if (lines[i++] !== "") return null;
+
+  const fields = { domain, address, statement };
+  for (const [key, tag, required] of FIELDS) {
+    const prefix = `${tag}: `;
+    if (lines[i]?.startsWith(prefix)) {
+      fields[key] = lines[i++].slice(prefix.length);
+    } else if (required) {
+      return null;
+    } else {
+      fields[key] = null;
+    }
+  }
+
+  fields.resources = [];
+  if (lines[i] === "Resources:") {
+    i++;
+    while (lines[i]?.startsWith("- ")) {
+      fields.resources.push(lines[i++].slice(2));
+    }
+  }
+
+  // Nothing may follow the last field
+  if (i !== lines.length) return null;
+
+  if (fields.version !== "1") return null;
+  if (!/^\d+$/.test(fields.chainId)) return null;
+  fields.chainId = Number(fields.chainId);
+  if (!NONCE_PATTERN.test(fields.nonce)) return null;
+  for (const key of ["issuedAt", "expirationTime", "notBefore"]) {
+    if (fields[key] !== null && !isDateTime(fields[key])) return null;
+  }
+
+  try {
+    new URL(fields.uri);
+  } catch {
+    return null;
+  }
+
+  return fields;
+}
+
+/**
+ * Check a parsed message against the server's expectations. Returns a
+ * reason to reject it, or null when it is acceptable.
+ *
+ * @param {object} fields - Result of parseSiweMessage
+ * @param {object} options
+ * @param {string} options.address - Address the client claims to sign in as
+ * @param {string[]} options.domains - Hosts the frontend is served from
+ * @param {number[]} options.chainIds - Supported chain IDs
+ * @param {Date} [options.now]
+ */
+function validateSiweMessage(
+  fields,
+  { address, domains, chainIds, now = new Date() },
+) {
+  // EIP-4361 requires the EIP-55 checksummed form
+  if (fields.address !== ethers.getAddress(fields.address)) {
+    return "Address must be checksummed";
+  }
+  if (fields.address.toLowerCase() !== address.toLowerCase()) {
+    return "Message address does not match";
+  }
+
+  // Binding the message to our domain keeps a phishing site from reusing it
+  if (!domains.includes(fields.domain)) {
+    return "Message domain is not allowed";
+  }
+  if (new URL(fields.uri).host !== fields.domain) {
+    return "Message URI does not match its domain";
+  }
+
+  if (!chainIds.includes(fields.chainId)) {
+    return "Unsupported chain";
+  }
+
+  const time = now.getTime();
+  if (Date.parse(fields.issuedAt) > time + CLOCK_SKEW_MS) {
+    return "Message issued in the future";
+  }
+  if (
+    fields.expirationTime !== null &&
+    Date.parse(fields.expirationTime) <= time
+  ) {
+    return "Message has expired";
+  }
+  if (fields.notBefore !== null && Date.parse(fields.notBefore) > time) {
+    return "Message is not valid yet";
+  }
+
+  return null;
+}
+
+/**
+ * Hosts a SIWE message may name as its domain: SIWE_DOMAIN (comma separated),
+ * or else the hosts of the CORS origins the frontend is served from. A "*"
+ * origin names no host, so validateEnv requires SIWE_DOMAIN with it.
+ */
+function allowedDomains() {
+  if (process.env.SIWE_DOMAIN) {
+    return process.env.SIWE_DOMAIN.split(",").map((d) => d.trim());
+  }
+
+  const origins = process.env.CORS_ORIGIN || "http://localhost:3000";
+  if (origins === "*") return [];
+
+  return origins.split(",").flatMap((origin) => {
+    try {
+      return [new URL(origin.trim()).host];
+    } catch {
+      return [];
+    }
+  });
+}
+
+module.exports = {
+  parseSiweMessage,
+  validateSiweMessage,
+  allowedDomains,
+};
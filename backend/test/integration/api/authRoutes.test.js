@@ -1,9 +1,79 @@
 const express = require('express');
 const request = require('supertest');
 const { ethers } = require('ethers');
-const authRoutes = require('../../../src/routes/authRoutes');
 
 // Mock dependencies
+// In-memory nonce store with the model's single-use and one-per-address
+// semantics
+jest.mock('../../../src/models/AuthNonce', () => {
+  const issued = new Map();
+  return {
+    issued,
+    issue: jest.fn(async (address) => {
+      const nonce = Math.random().toString(16).slice(2, 18).padEnd(16, '0');
+      const issuedAt = new Date();
+      const expiresAt = new Date(issuedAt.getTime() + 300000);
+      for (const [previous, owner] of issued) {
+        if (owner === address.toLowerCase()) issued.delete(previous);
+      }
+      issued.set(nonce, address.toLowerCase());
+      return { nonce, issuedAt, expiresAt };
+    }),
+    consume: jest.fn(async (address, nonce) => {
+      if (issued.get(nonce) !== address.toLowerCase()) return null;
+      issued.delete(nonce);
+      return { nonce };
+    }),
+  };
+});
+// In-memory refresh tokens with the model's rotation and revocation
+jest.mock('../../../src/models/RefreshToken', () => {
+  const tokens = new Map();
+  let counter = 0;
+  const revokeSession = (session) => {
+    for (const entry of tokens.values()) {
+      if (entry.session === session) entry.revoked = true;
+    }
+  };
+  const issue = jest.fn(async (address, session = `session-${++counter}`) => {
+    const token = `refresh-${++counter}`;
+    tokens.set(token, { address: address.toLowerCase(), session, revoked: false });
+    return { token, session, expiresAt: new Date(Date.now() + 86400000) };
+  });
+  return {
+    tokens,
+    issue,
+    rotate: jest.fn(async (token) => {
+      const entry = tokens.get(token);
+      if (!entry) return null;
+      if (entry.revoked) {
+        revokeSession(entry.session);
+        return null;
+      }
+      entry.revoked = true;
+      return { ...(await issue(entry.address, entry.session)), address: entry.address };
+    }),
+    revoke: jest.fn(async (token) => {
+      const entry = tokens.get(token);
+      if (entry) revokeSession(entry.session);
+      return !!entry;
+    }),
+    revokeAll: jest.fn(async (address) => {
+      let modifiedCount = 0;
+      for (const entry of tokens.values()) {
+        if (entry.address === address && !entry.revoked) {
+          entry.revoked = true;
+          modifiedCount++;
+        }
+      }
+      return { modifiedCount };
+    }),
+    isSessionActive: jest.fn(async (session) =>
+      [...tokens.values()].some((entry) => entry.session === session && !entry.revoked)
+    ),
+  };
+});
+jest.mock('../../../src/services/blockchainService', () => ({ getProvider: jest.fn() }));
 jest.mock('../../../src/utils/logger', () => ({
   error: jest.fn(),
   warn: jest.fn(),
@@ -13,15 +83,52 @@ jest.mock('../../../src/utils/logger', () => ({
   child: jest.fn(() => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })),
 }));
 
+const authRoutes = require('../../../src/routes/authRoutes');
+const AuthNonce = require('../../../src/models/AuthNonce');
+const RefreshToken = require('../../../src/models/RefreshToken');
+
 describe('Auth Routes Integration Tests', () => {
   let app;
 
   beforeAll(() => {
+    process.env.SIWE_DOMAIN = 'localhost:3000';
     app = express();
     app.use(express.json());
     app.use('/api/auth', authRoutes);
   });
 
+  afterAll(() => {
+    delete process.env.SIWE_DOMAIN;
+  });
+
+  beforeEach(() => {
+    AuthNonce.issued.clear();
+    RefreshToken.tokens.clear();
+  });
+
+  const siweMessage = (address, { nonce, issuedAt, expiresAt }, domain = 'localhost:3000') =>
+    [
+      `${domain} wants you to sign in with your Ethereum account:`,
+      address,
+      '',
+      'Sign in to the Todo App.',
+      '',
+      `URI: http://${domain}`,
+      'Version: 1',
+      'Chain ID: 31337',
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt}`,
+      `Expiration Time: ${expiresAt}`,
+    ].join('\n');
+
+  // Fetch a nonce for `nonceFor` and sign a SIWE message with it
+  const signIn = async (wallet, { nonceFor = wallet, domain } = {}) => {
+    const { body } = await request(app).get(`/api/auth/nonce/${nonceFor.address}`);
+    const message = siweMessage(wallet.address, body, domain);
+    const signature = await wallet.signMessage(message);
+    return { message, signature };
+  };
+
   describe('GET /api/auth/nonce/:address', () => {
     it('should return a nonce for valid address', async () => {
       const address = '0x1234567890123456789012345678901234567890';
@@ -33,10 +140,31 @@ describe('Auth Routes Integration Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.nonce).toBeDefined();
       expect(response.body.timestamp).toBeDefined();
-      expect(response.body.message).toContain(address);
-      expect(response.body.message).toContain('Sign this message');
-      expect(typeof response.body.nonce).toBe('number');
+      expect(response.body.issuedAt).toBeDefined();
+      expect(response.body.expiresAt).toBeDefined();
+      expect(response.body.message).toBeUndefined();
+      expect(typeof response.body.nonce).toBe('string');
       expect(typeof response.body.timestamp).toBe('number');
+      expect(AuthNonce.issue).toHaveBeenCalledWith(address);
+    });
+
+    it('should reject an invalid address', async () => {
+      const response = await request(app)
+        .get('/api/auth/nonce/not-an-address')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid Ethereum address format');
+      expect(AuthNonce.issue).not.toHaveBeenCalledWith('not-an-address');
+    });
+
+    it('should return 500 when the nonce cannot be stored', async () => {
+      AuthNonce.issue.mockRejectedValueOnce(new Error('db down'));
+
+      const response = await request(app)
+        .get('/api/auth/nonce/0x1234567890123456789012345678901234567890')
+        .expect(500);
+
+      expect(response.body).toEqual({ success: false, error: 'Failed to issue nonce' });
     });
 
     it('should return unique nonces for multiple requests', async () => {
@@ -72,24 +200,23 @@ describe('Auth Routes Integration Tests', () => {
       const address1 = '0x1111111111111111111111111111111111111111';
       const address2 = '0x2222222222222222222222222222222222222222';
 
-      const response1 = await request(app)
+      await request(app)
         .get(`/api/auth/nonce/${address1}`)
         .expect(200);
 
-      const response2 = await request(app)
+      await request(app)
         .get(`/api/auth/nonce/${address2}`)
         .expect(200);
 
-      expect(response1.body.message).toContain(address1);
-      expect(response2.body.message).toContain(address2);
+      expect(AuthNonce.issue).toHaveBeenCalledWith(address1);
+      expect(AuthNonce.issue).toHaveBeenCalledWith(address2);
     });
   });
 
   describe('POST /api/auth/login', () => {
     it('should authenticate with valid wallet signature and return token', async () => {
       const wallet = ethers.Wallet.createRandom();
-      const message = 'Sign this message to authenticate';
-      const signature = await wallet.signMessage(message);
+      const { message, signature } = await signIn(wallet);
 
       const response = await request(app)
         .post('/api/auth/login')
@@ -104,12 +231,17 @@ describe('Auth Routes Integration Tests', () => {
       expect(response.body.token).toBeDefined();
       expect(response.body.address).toBe(wallet.address.toLowerCase());
       expect(typeof response.body.token).toBe('string');
+      expect(response.body.expiresIn).toBe(900);
+      expect(response.body.refreshToken).toEqual(expect.any(String));
+      expect(response.body.refreshTokenExpiresAt).toEqual(expect.any(String));
+      expect(RefreshToken.issue).toHaveBeenCalledWith(wallet.address.toLowerCase());
     });
 
     it('should reject invalid signature', async () => {
       const wallet1 = ethers.Wallet.createRandom();
       const wallet2 = ethers.Wallet.createRandom();
-      const message = 'Sign this message';
+      const { message } = await signIn(wallet2);
+      // Signed by wallet1 for a message naming wallet2
       const signature = await wallet1.signMessage(message);
 
       const response = await request(app)
@@ -172,7 +304,7 @@ describe('Auth Routes Integration Tests', () => {
         .send({
           address: wallet.address,
           signature: 'invalid_signature',
-          message: 'test'
+          message: (await signIn(wallet)).message
         })
         .expect(401);
 
@@ -182,8 +314,7 @@ describe('Auth Routes Integration Tests', () => {
 
     it('should handle case-insensitive addresses', async () => {
       const wallet = ethers.Wallet.createRandom();
-      const message = 'Sign this message';
-      const signature = await wallet.signMessage(message);
+      const { message, signature } = await signIn(wallet);
 
       const response = await request(app)
         .post('/api/auth/login')
@@ -200,8 +331,7 @@ describe('Auth Routes Integration Tests', () => {
 
     it('should return JWT token that contains address', async () => {
       const wallet = ethers.Wallet.createRandom();
-      const message = 'Sign this message';
-      const signature = await wallet.signMessage(message);
+      const { message, signature } = await signIn(wallet);
 
       const response = await request(app)
         .post('/api/auth/login')
@@ -217,5 +347,242 @@ describe('Auth Routes Integration Tests', () => {
 
       expect(decoded.address).toBe(wallet.address.toLowerCase());
     });
+
+    it('should not accept the same signed nonce twice', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      const { message, signature } = await signIn(wallet);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ address: wallet.address, signature, message })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ address: wallet.address, signature, message })
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid or expired nonce');
+    });
+
+    it('should reject a nonce that was not issued', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      const now = Date.now();
+      const message = siweMessage(wallet.address, {
+        nonce: 'abcdef0123456789',
+        issuedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + 300000).toISOString(),
+      });
+      const signature = await wallet.signMessage(message);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ address: wallet.address, signature, message })
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid or expired nonce');
+    });
+
+    it('should reject a message that is not a SIWE message', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      const { message } = await signIn(wallet);
+      const altered = `${message}\n`;
+      const signature = await wallet.signMessage(altered);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ address: wallet.address, signature, message: altered })
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid SIWE message');
+    });
+
+    it('should reject a message signed for another site', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      const { message, signature } = await signIn(wallet, { domain: 'todo-app.phish' });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ address: wallet.address, signature, message })
+        .expect(401);
+
+      expect(response.body.error).toBe('Message domain is not allowed');
+      // The nonce is still usable from the real site
+      expect(AuthNonce.consume).not.toHaveBeenCalledWith(wallet.address, expect.anything());
+    });
+
+    it('should reject a nonce issued to another address', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      const other = ethers.Wallet.createRandom();
+      const { message, signature } = await signIn(wallet, { nonceFor: other });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ address: wallet.address, signature, message })
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid or expired nonce');
+    });
+  });
+
+  // Log a new wallet in and return the session tokens
+  const login = async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const { message, signature } = await signIn(wallet);
+    const { body } = await request(app)
+      .post('/api/auth/login')
+      .send({ address: wallet.address, signature, message })
+      .expect(200);
+    return body;
+  };
+
+  describe('POST /api/auth/refresh', () => {
+    it('should issue a new access token and rotate the refresh token', async () => {
+      const session = await login();
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.address).toBe(session.address);
+      expect(response.body.refreshToken).not.toBe(session.refreshToken);
+
+      const jwt = require('jsonwebtoken');
+      const decoded = jwt.decode(response.body.token);
+      expect(decoded.address).toBe(session.address);
+      expect(decoded.sid).toBe(jwt.decode(session.token).sid);
+    });
+
+    it('should require a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe('Refresh token is required');
+    });
+
+    it('should reject an unknown refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'unknown' })
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid or expired refresh token');
+    });
+
+    it('should revoke the session when a used refresh token is replayed', async () => {
+      const session = await login();
+      const { body: rotated } = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+
+      // The legitimate client's newer token is revoked too
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.refreshToken })
+        .expect(401);
+    });
+
+    it('should return 500 when the session store fails', async () => {
+      RefreshToken.rotate.mockRejectedValueOnce(new Error('db down'));
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'token' })
+        .expect(500);
+
+      expect(response.body).toEqual({ success: false, error: 'Failed to refresh session' });
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the session so it can no longer be refreshed', async () => {
+      const session = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200, { success: true });
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+    });
+
+    it('should refuse the access token of the session from then on', async () => {
+      const session = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(401);
+      expect(response.body.error).toBe('Session has been revoked');
+    });
+
+    it('should succeed for a token that is already logged out', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: 'unknown' })
+        .expect(200, { success: true });
+    });
+
+    it('should require a refresh token', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/auth/logout-all', () => {
+    it('should revoke every session of the authenticated address', async () => {
+      const first = await login();
+      // A second session for the same address
+      const second = await RefreshToken.issue(first.address);
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.token}`)
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, revoked: 2 });
+      for (const refreshToken of [first.refreshToken, second.token]) {
+        await request(app)
+          .post('/api/auth/refresh')
+          .send({ refreshToken })
+          .expect(401);
+      }
+
+      // Its access token is refused from now on
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.token}`)
+        .expect(401);
+    });
+
+    it('should require an access token', async () => {
+      RefreshToken.revokeAll.mockClear();
+
+      await request(app)
+        .post('/api/auth/logout-all')
+        .expect(401);
+
+      expect(RefreshToken.revokeAll).not.toHaveBeenCalled();
+    });
   });
 });
@@ -5,7 +5,8 @@ const express = require('express');
 jest.mock('../../../src/services/blockchainService', () => ({
   isInitialized: jest.fn(),
   getNetworkInfo: jest.fn(),
-  getHealthStatus: jest.fn()
+  getHealthStatus: jest.fn(),
+  getDriftReport: jest.fn()
 }));
 
 const blockchainService = require('../../../src/services/blockchainService');
@@ -23,6 +24,7 @@ describe('Health API Integration Tests', () => {
     blockchainService.isInitialized.mockReturnValue(false);
     blockchainService.getNetworkInfo.mockResolvedValue({});
     blockchainService.getHealthStatus.mockReturnValue({});
+    blockchainService.getDriftReport.mockReturnValue({});
   });
 
   afterEach(() => {
@@ -119,5 +121,38 @@ describe('Health API Integration Tests', () => {
       expect(response.body.blockchain).toHaveProperty('monitoring');
       expect(response.body.blockchain.monitoring).toHaveProperty('heartbeatInterval');
     });
+
+    it('should include the reconciliation drift report', async () => {
+      blockchainService.isInitialized.mockReturnValue(true);
+      blockchainService.getNetworkInfo.mockResolvedValue({});
+      blockchainService.getDriftReport.mockReturnValue({
+        '31337': {
+          chainId: 31337,
+          tasksChecked: 3,
+          missing: 1,
+          drifted: 1,
+          orphaned: 0,
+          repaired: 2,
+          failed: 0,
+          items: [
+            { blockchainId: '2', type: 'missing', fields: null, repaired: true },
+            {
+              blockchainId: '3',
+              type: 'drift',
+              fields: { completed: { database: false, blockchain: true } },
+              repaired: true
+            }
+          ]
+        }
+      });
+
+      const response = await request(app).get('/api/health/detailed');
+
+      expect(response.body.blockchain.drift['31337']).toMatchObject({ missing: 1, drifted: 1, repaired: 2 });
+      expect(response.body.blockchain.drift['31337'].items[1].fields.completed).toEqual({
+        database: false,
+        blockchain: true
+      });
+    });
   });
 });
@@ -0,0 +1,177 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock dependencies
+jest.mock('../../../src/controllers/ipfsController', () => ({
+  pinDescription: jest.fn(),
+  uploadAttachment: jest.fn(),
+  getPinningStatus: jest.fn(),
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  stream: { write: jest.fn() },
+  child: jest.fn(() => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })),
+}));
+
+const ipfsController = require('../../../src/controllers/ipfsController');
+const ipfsRoutes = require('../../../src/routes/ipfsRoutes');
+
+describe('IPFS Routes Integration Tests', () => {
+  let app;
+  let token;
+  const testAddress = '0x1234567890123456789012345678901234567890';
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/ipfs', ipfsRoutes);
+
+    token = jwt.sign({ address: testAddress }, process.env.JWT_SECRET, { expiresIn: '1d' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ipfsController.pinDescription.mockImplementation((req, res) => {
+      res.status(201).json({ success: true, data: { cid: 'bafytest', uri: 'ipfs://bafytest' } });
+    });
+    ipfsController.uploadAttachment.mockImplementation((req, res) => {
+      res.status(201).json({ success: true, data: { size: req.body.length } });
+    });
+  });
+
+  const pin = (content) =>
+    request(app)
+      .post('/api/ipfs/pin')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content });
+
+  describe('GET /api/ipfs', () => {
+    it('should report the pinning status without authentication', async () => {
+      ipfsController.getPinningStatus.mockImplementation((req, res) => {
+        res.json({ success: true, data: { enabled: true, provider: 'kubo' } });
+      });
+
+      const response = await request(app)
+        .get('/api/ipfs')
+        .expect(200);
+
+      expect(response.body.data.provider).toBe('kubo');
+    });
+  });
+
+  describe('POST /api/ipfs/pin', () => {
+    const envelope = { description: 'Buy groceries', version: 1, timestamp: 1700000000000 };
+    const image = {
+      type: 'image',
+      name: 'receipt.png',
+      mimeType: 'image/png',
+      size: 2048,
+      cid: 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku',
+    };
+    const link = { type: 'link', url: 'https://example.com/list', name: 'Shopping list' };
+
+    it('should require JWT authentication', async () => {
+      await request(app)
+        .post('/api/ipfs/pin')
+        .send({ content: envelope })
+        .expect(401);
+
+      expect(ipfsController.pinDescription).not.toHaveBeenCalled();
+    });
+
+    it('should pin a plaintext envelope', async () => {
+      const response = await pin(envelope).expect(201);
+
+      expect(response.body.data.uri).toBe('ipfs://bafytest');
+      expect(ipfsController.pinDescription).toHaveBeenCalled();
+    });
+
+    it('should pin an encrypted envelope', async () => {
+      await pin({
+        encrypted: { scheme: 'aes-256-gcm/hkdf-sha256', version: 1, iv: '0x000102030405060708090a0b', ciphertext: '0xabcdef' },
+        version: 1,
+        timestamp: 1700000000000,
+      }).expect(201);
+    });
+
+    it('should pin a Markdown description longer than on-chain descriptions', async () => {
+      await pin({ description: `- [ ] ${'a'.repeat(1000)}`, contentType: 'text/markdown', version: 1, timestamp: 1 }).expect(201);
+    });
+
+    it('should pin a version 2 envelope with attachments', async () => {
+      await pin({ description: 'Buy groceries', attachments: [image, link], version: 2, timestamp: 1 }).expect(201);
+    });
+
+    it('should reject content that is not a description envelope', async () => {
+      const cases = [
+        undefined,
+        'Buy groceries',
+        { version: 1 },
+        { description: 'Buy groceries', encrypted: { scheme: 'x', version: 1, iv: '0x00', ciphertext: '0x00' }, version: 1 },
+        { description: 'Buy groceries', version: 1, image: 'data:image/png;base64,AAAA' },
+        { description: '', version: 1 },
+        { description: 'a'.repeat(10001), version: 1 },
+        { description: '# Groceries', contentType: 'text/html', version: 1 },
+        { description: 'Buy groceries' },
+        { encrypted: { scheme: 'aes-256-gcm/hkdf-sha256', version: 1, iv: '0x00', ciphertext: 'plaintext' }, version: 1 },
+        { description: 'Buy groceries', attachments: [link], version: 1 },
+        { description: 'Buy groceries', attachments: [{ ...image, mimeType: 'image/svg+xml' }], version: 2 },
+        { description: 'Buy groceries', attachments: [{ ...image, size: 6 * 1024 * 1024 }], version: 2 },
+        { description: 'Buy groceries', attachments: [{ ...image, cid: 'not-a-cid' }], version: 2 },
+        { description: 'Buy groceries', attachments: [{ ...link, url: 'javascript:alert(1)' }], version: 2 },
+        { description: 'Buy groceries', attachments: Array(6).fill(link), version: 2 },
+        {
+          encrypted: { scheme: 'aes-256-gcm/hkdf-sha256', version: 1, iv: '0x00', ciphertext: '0xabcdef' },
+          attachments: [link],
+          version: 2,
+        },
+      ];
+
+      for (const content of cases) {
+        const response = await pin(content).expect(400);
+        expect(response.body.error).toBe('Validation failed');
+      }
+      expect(ipfsController.pinDescription).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/ipfs/upload', () => {
+    it('should require JWT authentication', async () => {
+      await request(app)
+        .post('/api/ipfs/upload')
+        .set('Content-Type', 'image/png')
+        .send(Buffer.from([1, 2, 3]))
+        .expect(401);
+
+      expect(ipfsController.uploadAttachment).not.toHaveBeenCalled();
+    });
+
+    it('should read allowed types as raw bytes', async () => {
+      const response = await request(app)
+        .post('/api/ipfs/upload')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'image/png')
+        .set('X-File-Name', 'photo.png')
+        .send(Buffer.from([1, 2, 3]))
+        .expect(201);
+
+      expect(response.body.data.size).toBe(3);
+    });
+
+    it('should reject files over the size limit', async () => {
+      await request(app)
+        .post('/api/ipfs/upload')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'text/plain')
+        .set('X-File-Name', 'big.txt')
+        .send(Buffer.alloc(5 * 1024 * 1024 + 1))
+        .expect(413);
+
+      expect(ipfsController.uploadAttachment).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock dependencies
+jest.mock('../../../src/controllers/listController', () => ({
+  getLists: jest.fn(),
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  stream: { write: jest.fn() },
+  child: jest.fn(() => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })),
+}));
+
+const listController = require('../../../src/controllers/listController');
+const listRoutes = require('../../../src/routes/listRoutes');
+
+describe('List Routes Integration Tests', () => {
+  let app;
+  let token;
+  const testAddress = '0x1234567890123456789012345678901234567890';
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/lists', listRoutes);
+
+    token = jwt.sign({ address: testAddress }, process.env.JWT_SECRET, { expiresIn: '1d' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/lists', () => {
+    it('should require JWT authentication', async () => {
+      await request(app)
+        .get('/api/lists')
+        .expect(401);
+
+      expect(listController.getLists).not.toHaveBeenCalled();
+    });
+
+    it('should return the lists of the authenticated user', async () => {
+      listController.getLists.mockImplementation((req, res) => {
+        res.json({ success: true, count: 0, data: [], user: req.userAddress });
+      });
+
+      const response = await request(app)
+        .get('/api/lists')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.user).toBe(testAddress);
+    });
+  });
+});
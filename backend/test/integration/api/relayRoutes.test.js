@@ -0,0 +1,140 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Mock dependencies
+jest.mock('../../../src/controllers/relayController', () => ({
+  relayTransaction: jest.fn(),
+  getRelayStatus: jest.fn(),
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  stream: { write: jest.fn() },
+  child: jest.fn(() => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })),
+}));
+
+const relayController = require('../../../src/controllers/relayController');
+const relayRoutes = require('../../../src/routes/relayRoutes');
+
+describe('Relay Routes Integration Tests', () => {
+  let app;
+  let token;
+  const testAddress = '0x1234567890123456789012345678901234567890';
+  const signature = `0x${'11'.repeat(65)}`;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/relay', relayRoutes);
+
+    token = jwt.sign({ address: testAddress }, process.env.JWT_SECRET, { expiresIn: '1d' });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    relayController.relayTransaction.mockImplementation((req, res) => {
+      res.json({ success: true, body: req.body });
+    });
+  });
+
+  describe('GET /api/relay', () => {
+    it('should report the relayer status without authentication', async () => {
+      relayController.getRelayStatus.mockImplementation((req, res) => {
+        res.json({ success: true, data: { enabled: false, address: null } });
+      });
+
+      const response = await request(app)
+        .get('/api/relay')
+        .expect(200);
+
+      expect(response.body.data.enabled).toBe(false);
+    });
+  });
+
+  describe('POST /api/relay', () => {
+    const completeRequest = {
+      chainId: 31337,
+      action: 'complete',
+      user: testAddress,
+      taskId: '1',
+      deadline: 1900000000,
+      signature,
+    };
+
+    it('should require JWT authentication', async () => {
+      await request(app)
+        .post('/api/relay')
+        .send(completeRequest)
+        .expect(401);
+
+      expect(relayController.relayTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should accept a valid task action request', async () => {
+      await request(app)
+        .post('/api/relay')
+        .set('Authorization', `Bearer ${token}`)
+        .send(completeRequest)
+        .expect(200);
+
+      expect(relayController.relayTransaction).toHaveBeenCalled();
+    });
+
+    it('should accept a create request without a taskId', async () => {
+      const response = await request(app)
+        .post('/api/relay')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          chainId: 31337,
+          action: 'create',
+          user: testAddress,
+          description: 'ipfs://bafy',
+          dueDate: 0,
+          deadline: 1900000000,
+          signature,
+        })
+        .expect(200);
+
+      expect(response.body.body.description).toBe('ipfs://bafy');
+    });
+
+    it('should reject an unknown action', async () => {
+      await request(app)
+        .post('/api/relay')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...completeRequest, action: 'transfer' })
+        .expect(400);
+
+      expect(relayController.relayTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject a malformed signature', async () => {
+      await request(app)
+        .post('/api/relay')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...completeRequest, signature: '0x1234' })
+        .expect(400);
+    });
+
+    it('should require a taskId for task actions', async () => {
+      const { taskId, ...withoutTaskId } = completeRequest;
+
+      await request(app)
+        .post('/api/relay')
+        .set('Authorization', `Bearer ${token}`)
+        .send(withoutTaskId)
+        .expect(400);
+    });
+
+    it('should require a new description for updates', async () => {
+      await request(app)
+        .post('/api/relay')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...completeRequest, action: 'update' })
+        .expect(400);
+    });
+  });
+});
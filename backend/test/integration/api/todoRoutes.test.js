@@ -1,18 +1,33 @@
 const express = require('express');
 const request = require('supertest');
 const jwt = require('jsonwebtoken');
-const { validateAddress } = require('../../../src/middleware/auth');
 
 // Mock dependencies
 jest.mock('../../../src/controllers/todoController', () => ({
   getTodosByAddress: jest.fn(),
+  getAssignedTodos: jest.fn(),
   getTodoById: jest.fn(),
+  getTodoHistory: jest.fn(),
+  getTodoTree: jest.fn(),
+  getTodoSeries: jest.fn(),
+  getTodoDependencies: jest.fn(),
   verifyTodo: jest.fn(),
   getUserStats: jest.fn(),
   syncTodoFromBlockchain: jest.fn(),
+  syncTransaction: jest.fn(),
   restoreTodo: jest.fn(),
   updateTodo: jest.fn(),
 }));
+jest.mock('../../../src/models/Todo', () => ({
+  findById: jest.fn(),
+}));
+jest.mock('../../../src/models/TaskList', () => {
+  const ROLES = ['viewer', 'editor', 'owner'];
+  return {
+    roleForTodo: jest.fn(),
+    hasAccess: (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required),
+  };
+});
 jest.mock('../../../src/utils/logger', () => ({
   error: jest.fn(),
   warn: jest.fn(),
@@ -22,7 +37,10 @@ jest.mock('../../../src/utils/logger', () => ({
   child: jest.fn(() => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })),
 }));
 
+const { validateAddress } = require('../../../src/middleware/auth');
 const todoController = require('../../../src/controllers/todoController');
+const Todo = require('../../../src/models/Todo');
+const TaskList = require('../../../src/models/TaskList');
 const todoRoutes = require('../../../src/routes/todoRoutes');
 
 describe('Todo Routes Integration Tests', () => {
@@ -41,6 +59,8 @@ describe('Todo Routes Integration Tests', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    Todo.findById.mockResolvedValue({ owner: testAddress, chainId: 31337, listId: null });
+    TaskList.roleForTodo.mockResolvedValue('owner');
   });
 
   describe('GET /api/todos/:address', () => {
@@ -82,6 +102,83 @@ describe('Todo Routes Integration Tests', () => {
         .set('Authorization', `Bearer ${token}`)
         .expect(200);
     });
+
+    it('should accept paging, sort and search parameters', async () => {
+      todoController.getTodosByAddress.mockImplementation((req, res) => {
+        res.json({ success: true, data: [], limit: req.query.limit, priority: req.query.priority });
+      });
+
+      const response = await request(app)
+        .get(`/api/todos/${testAddress}`)
+        .query({
+          limit: '25',
+          cursor: 'eyJ2IjpudWxsfQ',
+          status: 'completed',
+          sortBy: 'completedAt',
+          order: 'asc',
+          dueFrom: '2026-01-01',
+          q: 'milk',
+          priority: '3',
+          tag: '0x' + 'ab'.repeat(32),
+        })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.limit).toBe(25);
+      expect(response.body.priority).toBe(3);
+    });
+
+    it.each([
+      ['limit', '0'],
+      ['limit', '101'],
+      ['status', 'archived'],
+      ['sortBy', 'alpha'],
+      ['order', 'up'],
+      ['dueTo', 'tomorrow'],
+      ['cursor', 'not a cursor!'],
+      ['priority', '4'],
+      ['tag', 'work'],
+    ])('should reject an invalid %s', async (param, value) => {
+      const response = await request(app)
+        .get(`/api/todos/${testAddress}`)
+        .query({ [param]: value })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      expect(response.body.errors[0].path).toBe(param);
+      expect(todoController.getTodosByAddress).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/todos/:address/assigned', () => {
+    it('should require JWT authentication', async () => {
+      await request(app)
+        .get(`/api/todos/${testAddress}/assigned`)
+        .expect(401);
+    });
+
+    it('should call getAssignedTodos with valid token', async () => {
+      todoController.getAssignedTodos.mockImplementation((req, res) => {
+        res.json({ success: true, count: 0, data: [] });
+      });
+
+      await request(app)
+        .get(`/api/todos/${testAddress}/assigned?status=active&limit=10`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(todoController.getAssignedTodos).toHaveBeenCalled();
+      expect(todoController.getTodosByAddress).not.toHaveBeenCalled();
+    });
+
+    it('should enforce ownership', async () => {
+      const otherAddress = '0x9999999999999999999999999999999999999999';
+
+      await request(app)
+        .get(`/api/todos/${otherAddress}/assigned`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
   });
 
   describe('GET /api/todos/:address/stats', () => {
@@ -135,6 +232,173 @@ describe('Todo Routes Integration Tests', () => {
     });
   });
 
+  describe('GET /api/todos/todo/:id/history', () => {
+    it('should require JWT authentication', async () => {
+      await request(app)
+        .get('/api/todos/todo/507f1f77bcf86cd799439011/history')
+        .expect(401);
+    });
+
+    it('should call getTodoHistory with valid token', async () => {
+      todoController.getTodoHistory.mockImplementation((req, res) => {
+        res.json({ success: true, count: 0, data: [] });
+      });
+
+      await request(app)
+        .get('/api/todos/todo/507f1f77bcf86cd799439011/history')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(todoController.getTodoHistory).toHaveBeenCalled();
+      expect(todoController.getTodoById).not.toHaveBeenCalled();
+    });
+
+    it('should let shared list viewers read the history', async () => {
+      TaskList.roleForTodo.mockResolvedValue('viewer');
+      todoController.getTodoHistory.mockImplementation((req, res) => {
+        res.json({ success: true, count: 0, data: [] });
+      });
+
+      await request(app)
+        .get('/api/todos/todo/507f1f77bcf86cd799439011/history')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+
+    it('should reject users outside the todo list', async () => {
+      TaskList.roleForTodo.mockResolvedValue(null);
+
+      await request(app)
+        .get('/api/todos/todo/507f1f77bcf86cd799439011/history')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(todoController.getTodoHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/todos/todo/:id/subtasks', () => {
+    it('should require JWT authentication', async () => {
+      await request(app)
+        .get('/api/todos/todo/507f1f77bcf86cd799439011/subtasks')
+        .expect(401);
+    });
+
+    it('should let shared list viewers read the subtask tree', async () => {
+      TaskList.roleForTodo.mockResolvedValue('viewer');
+      todoController.getTodoTree.mockImplementation((req, res) => {
+        res.json({ success: true, data: { subtasks: [] } });
+      });
+
+      await request(app)
+        .get('/api/todos/todo/507f1f77bcf86cd799439011/subtasks')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(todoController.getTodoTree).toHaveBeenCalled();
+      expect(todoController.getTodoById).not.toHaveBeenCalled();
+    });
+
+    it('should reject users outside the todo list', async () => {
+      TaskList.roleForTodo.mockResolvedValue(null);
+
+      await request(app)
+        .get('/api/todos/todo/507f1f77bcf86cd799439011/subtasks')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(todoController.getTodoTree).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/todos/todo/:id/series', () => {
+    it('should require JWT authentication', async () => {
+      await request(app)
+        .get('/api/todos/todo/507f1f77bcf86cd799439011/series')
+        .expect(401);
+    });
+
+    it('should let shared list viewers read the series', async () => {
+      TaskList.roleForTodo.mockResolvedValue('viewer');
+      todoController.getTodoSeries.mockImplementation((req, res) => {
+        res.json({ success: true, count: 0, data: [] });
+      });
+
+      await request(app)
+        .get('/api/todos/todo/507f1f77bcf86cd799439011/series')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(todoController.getTodoSeries).toHaveBeenCalled();
+      expect(todoController.getTodoById).not.toHaveBeenCalled();
+    });
+
+    it('should reject users outside the todo list', async () => {
+      TaskList.roleForTodo.mockResolvedValue(null);
+
+      await request(app)
+        .get('/api/todos/todo/507f1f77bcf86cd799439011/series')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(todoController.getTodoSeries).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/todos/todo/:id/dependencies', () => {
+    it('should let shared list viewers read the dependencies', async () => {
+      TaskList.roleForTodo.mockResolvedValue('viewer');
+      todoController.getTodoDependencies.mockImplementation((req, res) => {
+        res.json({ success: true, data: { dependencies: [], dependents: [] } });
+      });
+
+      await request(app)
+        .get('/api/todos/todo/507f1f77bcf86cd799439011/dependencies')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(todoController.getTodoDependencies).toHaveBeenCalled();
+    });
+
+    it('should reject users outside the todo list', async () => {
+      TaskList.roleForTodo.mockResolvedValue(null);
+
+      await request(app)
+        .get('/api/todos/todo/507f1f77bcf86cd799439011/dependencies')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+
+      expect(todoController.getTodoDependencies).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/todos/:id', () => {
+    it('should let shared list editors update a todo', async () => {
+      TaskList.roleForTodo.mockResolvedValue('editor');
+      todoController.updateTodo.mockImplementation((req, res) => {
+        res.json({ success: true });
+      });
+
+      await request(app)
+        .put('/api/todos/507f1f77bcf86cd799439011')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Shared' })
+        .expect(200);
+    });
+
+    it('should not let shared list viewers update a todo', async () => {
+      TaskList.roleForTodo.mockResolvedValue('viewer');
+
+      await request(app)
+        .put('/api/todos/507f1f77bcf86cd799439011')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Shared' })
+        .expect(403);
+
+      expect(todoController.updateTodo).not.toHaveBeenCalled();
+    });
+  });
+
   describe('GET /api/todos/verify/:id', () => {
     it('should require JWT authentication', async () => {
       await request(app)
@@ -207,6 +471,39 @@ describe('Todo Routes Integration Tests', () => {
     });
   });
 
+  describe('POST /api/todos/sync-transaction', () => {
+    const transactionHash = '0x' + 'ab'.repeat(32);
+
+    it('should require JWT authentication', async () => {
+      await request(app)
+        .post('/api/todos/sync-transaction')
+        .send({ chainId: 31337, transactionHash })
+        .expect(401);
+
+      expect(todoController.syncTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should share the strict rate limit', async () => {
+      todoController.syncTransaction.mockImplementation((req, res) => {
+        res.json({ success: true });
+      });
+
+      const requests = [];
+      for (let i = 0; i < 11; i++) {
+        requests.push(
+          request(app)
+            .post('/api/todos/sync-transaction')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ chainId: 31337, transactionHash })
+        );
+      }
+
+      const responses = await Promise.all(requests);
+      const rateLimited = responses.filter(r => r.status === 429);
+      expect(rateLimited.length).toBeGreaterThan(0);
+    });
+  });
+
   describe('POST /api/todos/restore', () => {
     it('should require JWT authentication', async () => {
       await request(app)
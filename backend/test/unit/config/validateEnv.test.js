@@ -316,6 +316,81 @@ describe('Environment Validation', () => {
       expect(result).toBe(true);
       expect(mockExit).not.toHaveBeenCalled();
     });
+
+    it('should fail with a wildcard origin and no SIWE_DOMAIN', () => {
+      process.env.CORS_ORIGIN = '*';
+      delete process.env.SIWE_DOMAIN;
+
+      validateEnv();
+
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('SIWE_DOMAIN'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+
+    it('should pass with a wildcard origin and SIWE_DOMAIN set', () => {
+      process.env.CORS_ORIGIN = '*';
+      process.env.SIWE_DOMAIN = 'todo.example.com';
+
+      expect(validateEnv()).toBe(true);
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('RELAYER_PRIVATE_KEY Validation', () => {
+    beforeEach(() => {
+      process.env.MONGODB_URI = 'mongodb://localhost:27017/test';
+      process.env.JWT_SECRET = 'a_very_secure_secret_key_with_more_than_32_characters';
+    });
+
+    it('should pass with a hex private key', () => {
+      process.env.RELAYER_PRIVATE_KEY = `0x${'ab'.repeat(32)}`;
+
+      expect(validateEnv()).toBe(true);
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+
+    it('should fail with a malformed private key', () => {
+      process.env.RELAYER_PRIVATE_KEY = '0x1234';
+
+      validateEnv();
+
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('RELAYER_PRIVATE_KEY'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('IPFS_PINNING_PROVIDER Validation', () => {
+    beforeEach(() => {
+      process.env.MONGODB_URI = 'mongodb://localhost:27017/test';
+      process.env.JWT_SECRET = 'a_very_secure_secret_key_with_more_than_32_characters';
+      delete process.env.PINATA_JWT;
+      delete process.env.WEB3STORAGE_TOKEN;
+    });
+
+    it('should pass with a provider that needs no secret', () => {
+      process.env.IPFS_PINNING_PROVIDER = 'kubo';
+
+      expect(validateEnv()).toBe(true);
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+
+    it('should fail with an unknown provider', () => {
+      process.env.IPFS_PINNING_PROVIDER = 'dropbox';
+
+      validateEnv();
+
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('IPFS_PINNING_PROVIDER must be one of'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+
+    it('should fail when the provider secret is missing', () => {
+      process.env.IPFS_PINNING_PROVIDER = 'web3storage';
+
+      validateEnv();
+
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('WEB3STORAGE_TOKEN is required'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
   });
 
   describe('Multiple Errors', () => {
@@ -0,0 +1,132 @@
+jest.mock('../../../src/services/pinningService', () => ({
+  isEnabled: jest.fn(),
+  getProviderName: jest.fn(),
+  pinJson: jest.fn(),
+  pinFile: jest.fn(),
+}));
+
+const ipfsController = require('../../../src/controllers/ipfsController');
+const pinningService = require('../../../src/services/pinningService');
+
+describe('IPFS Controller', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { body: {}, userAddress: '0x1234567890123456789012345678901234567890' };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    next = jest.fn();
+    pinningService.isEnabled.mockReturnValue(true);
+  });
+
+  describe('pinDescription', () => {
+    it('should pin the envelope and return its CID', async () => {
+      req.body = { content: { description: 'Buy groceries', version: 1 } };
+      pinningService.pinJson.mockResolvedValue({ cid: 'bafytest', uri: 'ipfs://bafytest' });
+
+      await ipfsController.pinDescription(req, res, next);
+
+      expect(pinningService.pinJson).toHaveBeenCalledWith({ description: 'Buy groceries', version: 1 });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { cid: 'bafytest', uri: 'ipfs://bafytest' },
+      });
+    });
+
+    it('should return 503 when pinning is not configured', async () => {
+      pinningService.isEnabled.mockReturnValue(false);
+
+      await ipfsController.pinDescription(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(pinningService.pinJson).not.toHaveBeenCalled();
+    });
+
+    it('should pass pinning failures to the error handler', async () => {
+      const error = Object.assign(new Error('Failed to pin to IPFS'), { statusCode: 502 });
+      req.body = { content: { description: 'Buy groceries', version: 1 } };
+      pinningService.pinJson.mockRejectedValue(error);
+
+      await ipfsController.pinDescription(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('uploadAttachment', () => {
+    const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+    const upload = (body, headers) => {
+      req.body = body;
+      req.get = (name) => headers[name];
+      return ipfsController.uploadAttachment(req, res, next);
+    };
+
+    beforeEach(() => {
+      pinningService.pinFile.mockResolvedValue({ cid: 'bafkreiimage', uri: 'ipfs://bafkreiimage' });
+    });
+
+    it('should pin the file and return its attachment reference', async () => {
+      await upload(PNG, { 'Content-Type': 'image/png', 'X-File-Name': 'my%20photo.png' });
+
+      expect(pinningService.pinFile).toHaveBeenCalledWith(PNG, { name: 'my photo.png', mimeType: 'image/png' });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { type: 'image', name: 'my photo.png', mimeType: 'image/png', size: 4, cid: 'bafkreiimage' },
+      });
+    });
+
+    it('should treat documents as files and drop directories from the name', async () => {
+      await upload(Buffer.from('%PDF'), { 'Content-Type': 'application/pdf', 'X-File-Name': '..%2F..%2Fnotes.pdf' });
+
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ type: 'file', name: 'notes.pdf' });
+    });
+
+    it('should reject types that are not allowed', async () => {
+      await upload({}, { 'Content-Type': 'image/svg+xml', 'X-File-Name': 'logo.svg' });
+
+      expect(res.status).toHaveBeenCalledWith(415);
+      expect(pinningService.pinFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject empty files and missing names', async () => {
+      await upload(Buffer.alloc(0), { 'Content-Type': 'text/plain', 'X-File-Name': 'empty.txt' });
+      await upload(Buffer.from('notes'), { 'Content-Type': 'text/plain' });
+      await upload(Buffer.from('notes'), { 'Content-Type': 'text/plain', 'X-File-Name': '%E0%A4%A' });
+
+      expect(res.status.mock.calls).toEqual([[400], [400], [400]]);
+      expect(pinningService.pinFile).not.toHaveBeenCalled();
+    });
+
+    it('should return 503 when pinning is not configured', async () => {
+      pinningService.isEnabled.mockReturnValue(false);
+
+      await upload(PNG, { 'Content-Type': 'image/png', 'X-File-Name': 'photo.png' });
+
+      expect(res.status).toHaveBeenCalledWith(503);
+    });
+  });
+
+  describe('getPinningStatus', () => {
+    it('should report the provider', () => {
+      pinningService.getProviderName.mockReturnValue('kubo');
+
+      ipfsController.getPinningStatus(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: {
+          enabled: true,
+          provider: 'kubo',
+          maxAttachmentBytes: 5 * 1024 * 1024,
+          attachmentTypes: expect.arrayContaining(['image/png', 'application/pdf']),
+        },
+      });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+// Mock dependencies
+jest.mock('../../../src/models/TaskList', () => ({
+  findAccessible: jest.fn(),
+}));
+
+const listController = require('../../../src/controllers/listController');
+const TaskList = require('../../../src/models/TaskList');
+
+describe('List Controller', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      params: {},
+      query: {},
+      body: {},
+      userAddress: '0x1234567890123456789012345678901234567890'
+    };
+    res = {
+      json: jest.fn().mockReturnThis(),
+      status: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  describe('getLists', () => {
+    it('should return the lists of the user with their role', async () => {
+      const createdAt = new Date('2026-01-01');
+      TaskList.findAccessible.mockResolvedValue([
+        {
+          chainId: 31337,
+          listId: '1',
+          name: 'Household',
+          owner: '0x2222222222222222222222222222222222222222',
+          members: [{ address: req.userAddress, role: 'editor' }],
+          blockchainCreatedAt: createdAt,
+          roleOf: jest.fn().mockReturnValue('editor')
+        }
+      ]);
+
+      await listController.getLists(req, res, next);
+
+      expect(TaskList.findAccessible).toHaveBeenCalledWith(req.userAddress);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        data: [{
+          chainId: 31337,
+          listId: '1',
+          name: 'Household',
+          owner: '0x2222222222222222222222222222222222222222',
+          members: [{ address: req.userAddress, role: 'editor' }],
+          role: 'editor',
+          blockchainCreatedAt: createdAt
+        }]
+      });
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('Database error');
+      TaskList.findAccessible.mockRejectedValue(error);
+
+      await listController.getLists(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// Mock dependencies
+jest.mock('../../../src/services/relayer', () => ({
+  isEnabled: jest.fn(),
+  getAddress: jest.fn(),
+  relay: jest.fn(),
+}));
+
+const relayController = require('../../../src/controllers/relayController');
+const relayer = require('../../../src/services/relayer');
+
+describe('Relay Controller', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = {
+      params: {},
+      query: {},
+      body: {
+        chainId: 31337,
+        action: 'complete',
+        user: '0x1234567890123456789012345678901234567890',
+        taskId: '1',
+        deadline: 1900000000,
+        signature: `0x${'11'.repeat(65)}`
+      },
+      userAddress: '0x1234567890123456789012345678901234567890'
+    };
+    res = {
+      json: jest.fn().mockReturnThis(),
+      status: jest.fn().mockReturnThis()
+    };
+    next = jest.fn();
+    jest.clearAllMocks();
+    relayer.isEnabled.mockReturnValue(true);
+  });
+
+  describe('relayTransaction', () => {
+    it('should relay the request and return the transaction', async () => {
+      relayer.relay.mockResolvedValue({ transactionHash: '0xabc', blockNumber: 10 });
+
+      await relayController.relayTransaction(req, res, next);
+
+      expect(relayer.relay).toHaveBeenCalledWith(31337, 'complete', req.body);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { transactionHash: '0xabc', blockNumber: 10 }
+      });
+    });
+
+    it('should compare the signer address case-insensitively', async () => {
+      req.body.user = '0x1234567890123456789012345678901234567890'.toUpperCase().replace('0X', '0x');
+      relayer.relay.mockResolvedValue({ transactionHash: '0xabc' });
+
+      await relayController.relayTransaction(req, res, next);
+
+      expect(relayer.relay).toHaveBeenCalled();
+    });
+
+    it('should return 403 for requests signed by another address', async () => {
+      req.body.user = '0x2222222222222222222222222222222222222222';
+
+      await relayController.relayTransaction(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(relayer.relay).not.toHaveBeenCalled();
+    });
+
+    it('should return 503 when the relayer is not configured', async () => {
+      relayer.isEnabled.mockReturnValue(false);
+
+      await relayController.relayTransaction(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(relayer.relay).not.toHaveBeenCalled();
+    });
+
+    it('should pass relay errors to the error handler', async () => {
+      const error = new Error('Invalid signature');
+      error.statusCode = 400;
+      relayer.relay.mockRejectedValue(error);
+
+      await relayController.relayTransaction(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getRelayStatus', () => {
+    it('should report the relayer status and address', () => {
+      relayer.getAddress.mockReturnValue('0x9999999999999999999999999999999999999999');
+
+      relayController.getRelayStatus(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { enabled: true, address: '0x9999999999999999999999999999999999999999' }
+      });
+    });
+  });
+});
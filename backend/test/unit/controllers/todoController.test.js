@@ -3,14 +3,28 @@ jest.mock('../../../src/models/Todo', () => {
   const MockTodo = jest.fn();
   MockTodo.findByOwner = jest.fn();
   MockTodo.findByOwnerWithFilters = jest.fn();
+  MockTodo.findPage = jest.fn();
   MockTodo.findById = jest.fn();
   MockTodo.findByBlockchainId = jest.fn();
   MockTodo.countByOwner = jest.fn();
   MockTodo.countDocuments = jest.fn();
+  MockTodo.find = jest.fn();
+  MockTodo.findTree = jest.fn();
+  MockTodo.findSeries = jest.fn();
+  MockTodo.withSubtaskCounts = jest.fn();
+  MockTodo.withBlockers = jest.fn();
+  MockTodo.findDependencyGraph = jest.fn();
   return MockTodo;
 });
+jest.mock('../../../src/models/TaskEvent', () => ({
+  findHistory: jest.fn(),
+}));
+jest.mock('../../../src/models/TaskList', () => ({
+  findAccessible: jest.fn(),
+}));
 jest.mock('../../../src/services/blockchainService', () => ({
   getContract: jest.fn(),
+  syncTransaction: jest.fn(),
 }));
 jest.mock('../../../src/utils/logger', () => ({
   error: jest.fn(),
@@ -23,6 +37,8 @@ jest.mock('../../../src/utils/logger', () => ({
 
 const todoController = require('../../../src/controllers/todoController');
 const Todo = require('../../../src/models/Todo');
+const TaskEvent = require('../../../src/models/TaskEvent');
+const TaskList = require('../../../src/models/TaskList');
 const blockchainService = require('../../../src/services/blockchainService');
 
 describe('Todo Controller', () => {
@@ -40,6 +56,9 @@ describe('Todo Controller', () => {
     };
     next = jest.fn();
     jest.clearAllMocks();
+    TaskList.findAccessible.mockResolvedValue([]);
+    Todo.withSubtaskCounts.mockImplementation(async (todos) => todos);
+    Todo.withBlockers.mockImplementation(async (todos) => todos);
   });
 
   describe('getTodosByAddress', () => {
@@ -53,7 +72,7 @@ describe('Todo Controller', () => {
 
       await todoController.getTodosByAddress(req, res, next);
 
-      expect(Todo.findByOwner).toHaveBeenCalledWith('0x123', true, false);
+      expect(Todo.findByOwner).toHaveBeenCalledWith('0x123', true, false, []);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: 2,
@@ -69,7 +88,7 @@ describe('Todo Controller', () => {
 
       await todoController.getTodosByAddress(req, res, next);
 
-      expect(Todo.findByOwner).toHaveBeenCalledWith('0x123', true, false);
+      expect(Todo.findByOwner).toHaveBeenCalledWith('0x123', true, false, []);
     });
 
     it('should exclude completed todos when includeCompleted is false', async () => {
@@ -79,7 +98,7 @@ describe('Todo Controller', () => {
 
       await todoController.getTodosByAddress(req, res, next);
 
-      expect(Todo.findByOwner).toHaveBeenCalledWith('0x123', false, false);
+      expect(Todo.findByOwner).toHaveBeenCalledWith('0x123', false, false, []);
     });
 
     it('should include deleted todos when includeDeleted is true', async () => {
@@ -89,7 +108,22 @@ describe('Todo Controller', () => {
 
       await todoController.getTodosByAddress(req, res, next);
 
-      expect(Todo.findByOwner).toHaveBeenCalledWith('0x123', true, true);
+      expect(Todo.findByOwner).toHaveBeenCalledWith('0x123', true, true, []);
+    });
+
+    it('should include the todos of shared lists the address belongs to', async () => {
+      req.params.address = '0x123';
+      TaskList.findAccessible.mockResolvedValue([
+        { chainId: 31337, listId: '1', name: 'Household', members: [] },
+      ]);
+      Todo.findByOwner.mockResolvedValue([]);
+
+      await todoController.getTodosByAddress(req, res, next);
+
+      expect(TaskList.findAccessible).toHaveBeenCalledWith('0x123');
+      expect(Todo.findByOwner).toHaveBeenCalledWith('0x123', true, false, [
+        { chainId: 31337, listId: '1' },
+      ]);
     });
 
     it('should handle errors', async () => {
@@ -101,6 +135,120 @@ describe('Todo Controller', () => {
 
       expect(next).toHaveBeenCalledWith(error);
     });
+
+    describe('paged queries', () => {
+      it('should return a page with pageInfo when limit is given', async () => {
+        req.params.address = '0x123';
+        req.query = { limit: 2 };
+        const todos = [{ _id: '1' }, { _id: '2' }];
+        const withCounts = todos.map((todo) => ({ ...todo, subtasks: { total: 0, completed: 0 } }));
+        Todo.findPage.mockResolvedValue({ todos, total: 5, nextCursor: 'abc' });
+        Todo.withSubtaskCounts.mockResolvedValue(withCounts);
+
+        await todoController.getTodosByAddress(req, res, next);
+
+        expect(Todo.findByOwner).not.toHaveBeenCalled();
+        expect(Todo.withSubtaskCounts).toHaveBeenCalledWith(todos);
+        expect(Todo.withBlockers).toHaveBeenCalledWith(withCounts);
+        expect(res.json).toHaveBeenCalledWith({
+          success: true,
+          count: 2,
+          data: withCounts,
+          pageInfo: { total: 5, limit: 2, nextCursor: 'abc', hasMore: true },
+        });
+      });
+
+      it('should pass filters, sort and cursor to findPage', async () => {
+        req.params.address = '0x123';
+        req.query = {
+          cursor: 'abc',
+          status: 'active',
+          sortBy: 'dueDate',
+          order: 'asc',
+          dueFrom: '2026-01-01',
+          dueTo: '2026-02-01',
+          q: 'milk',
+          priority: 2,
+          tag: '0x' + 'ab'.repeat(32),
+          topLevel: true,
+        };
+        Todo.findPage.mockResolvedValue({ todos: [], total: 0, nextCursor: null });
+
+        await todoController.getTodosByAddress(req, res, next);
+
+        expect(Todo.findPage).toHaveBeenCalledWith('0x123', {
+          status: 'active',
+          sortBy: 'dueDate',
+          order: 'asc',
+          dueFrom: '2026-01-01',
+          dueTo: '2026-02-01',
+          q: 'milk',
+          priority: 2,
+          tag: '0x' + 'ab'.repeat(32),
+          topLevel: true,
+          lists: [],
+          assigned: false,
+          cursor: 'abc',
+          limit: 20,
+        });
+        expect(res.json.mock.calls[0][0].pageInfo.hasMore).toBe(false);
+      });
+
+      it('should page when only a priority filter is given', async () => {
+        req.params.address = '0x123';
+        req.query = { priority: 0 };
+        Todo.findPage.mockResolvedValue({ todos: [], total: 0, nextCursor: null });
+
+        await todoController.getTodosByAddress(req, res, next);
+
+        expect(Todo.findPage).toHaveBeenCalledWith('0x123', expect.objectContaining({ priority: 0 }));
+      });
+
+      it('should pass invalid cursor errors to the error handler', async () => {
+        req.params.address = '0x123';
+        req.query = { cursor: 'bad' };
+        const error = Object.assign(new Error('Invalid cursor'), { statusCode: 400 });
+        Todo.findPage.mockRejectedValue(error);
+
+        await todoController.getTodosByAddress(req, res, next);
+
+        expect(next).toHaveBeenCalledWith(error);
+      });
+    });
+  });
+
+  describe('getAssignedTodos', () => {
+    it('should page the todos assigned to the address', async () => {
+      req.params.address = '0x123';
+      req.query = { status: 'active' };
+      const todos = [{ _id: '1' }];
+      Todo.findPage.mockResolvedValue({ todos, total: 1, nextCursor: null });
+
+      await todoController.getAssignedTodos(req, res, next);
+
+      expect(TaskList.findAccessible).not.toHaveBeenCalled();
+      expect(Todo.findPage).toHaveBeenCalledWith(
+        '0x123',
+        expect.objectContaining({ status: 'active', assigned: true, lists: [], limit: 20 })
+      );
+      expect(Todo.withBlockers).toHaveBeenCalledWith(todos);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        data: todos,
+        pageInfo: { total: 1, limit: 20, nextCursor: null, hasMore: false },
+      });
+    });
+
+    it('should pass errors to the error handler', async () => {
+      req.params.address = '0x123';
+      const error = new Error('db down');
+      Todo.findPage.mockRejectedValue(error);
+
+      await todoController.getAssignedTodos(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
   });
 
   describe('getTodoById', () => {
@@ -142,6 +290,156 @@ describe('Todo Controller', () => {
     });
   });
 
+  describe('getTodoTree', () => {
+    it('should return the todo with its nested subtasks', async () => {
+      req.params.id = '507f1f77bcf86cd799439011';
+      req.todo = { _id: req.params.id, chainId: 31337, blockchainId: '1' };
+      const tree = { blockchainId: '1', subtasks: [{ blockchainId: '2', subtasks: [] }] };
+      Todo.findTree.mockResolvedValue(tree);
+
+      await todoController.getTodoTree(req, res, next);
+
+      expect(Todo.findTree).toHaveBeenCalledWith(31337, '1');
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: tree });
+    });
+
+    it('should return 404 when the todo does not exist', async () => {
+      req.params.id = '507f1f77bcf86cd799439011';
+      Todo.findById.mockResolvedValue(null);
+
+      await todoController.getTodoTree(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(Todo.findTree).not.toHaveBeenCalled();
+    });
+
+    it('should pass errors to the error handler', async () => {
+      req.params.id = '507f1f77bcf86cd799439011';
+      const error = new Error('Database error');
+      Todo.findById.mockRejectedValue(error);
+
+      await todoController.getTodoTree(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getTodoSeries', () => {
+    it('should return every occurrence of the series', async () => {
+      req.params.id = '507f1f77bcf86cd799439011';
+      req.todo = { _id: req.params.id, chainId: 31337, blockchainId: '3', seriesId: '1' };
+      const occurrences = [{ blockchainId: '1' }, { blockchainId: '3' }];
+      Todo.findSeries.mockResolvedValue(occurrences);
+
+      await todoController.getTodoSeries(req, res, next);
+
+      expect(Todo.findSeries).toHaveBeenCalledWith(31337, '1');
+      expect(res.json).toHaveBeenCalledWith({ success: true, count: 2, data: occurrences });
+    });
+
+    it('should return a todo that never recurred on its own', async () => {
+      req.params.id = '507f1f77bcf86cd799439011';
+      req.todo = { _id: req.params.id, chainId: 31337, blockchainId: '3', seriesId: null };
+
+      await todoController.getTodoSeries(req, res, next);
+
+      expect(Todo.findSeries).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({ success: true, count: 1, data: [req.todo] });
+    });
+
+    it('should return 404 when the todo does not exist', async () => {
+      req.params.id = '507f1f77bcf86cd799439011';
+      Todo.findById.mockResolvedValue(null);
+
+      await todoController.getTodoSeries(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('getTodoDependencies', () => {
+    it('should return the dependencies and dependents of the todo', async () => {
+      req.params.id = '507f1f77bcf86cd799439011';
+      req.todo = { _id: req.params.id, chainId: 31337, blockchainId: '3', dependencies: ['1'] };
+      const graph = { dependencies: [{ blockchainId: '1' }], dependents: [{ blockchainId: '4' }] };
+      Todo.findDependencyGraph.mockResolvedValue(graph);
+
+      await todoController.getTodoDependencies(req, res, next);
+
+      expect(Todo.findDependencyGraph).toHaveBeenCalledWith(req.todo);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: graph });
+    });
+
+    it('should return 404 when the todo does not exist', async () => {
+      req.params.id = '507f1f77bcf86cd799439011';
+      Todo.findById.mockResolvedValue(null);
+
+      await todoController.getTodoDependencies(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(Todo.findDependencyGraph).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTodoHistory', () => {
+    const owner = '0x1234567890123456789012345678901234567890';
+
+    beforeEach(() => {
+      req.params.id = '507f1f77bcf86cd799439011';
+      req.userAddress = owner;
+    });
+
+    it('should return the event history for the todo', async () => {
+      const events = [
+        { eventName: 'TaskCreated', blockNumber: 10, logIndex: 0 },
+        { eventName: 'TaskUpdated', blockNumber: 12, logIndex: 1 }
+      ];
+      Todo.findById.mockResolvedValue({ chainId: 31337, blockchainId: '5', owner });
+      TaskEvent.findHistory.mockResolvedValue(events);
+
+      await todoController.getTodoHistory(req, res, next);
+
+      expect(TaskEvent.findHistory).toHaveBeenCalledWith(31337, '5');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 2,
+        data: events
+      });
+    });
+
+    it('should return 404 when todo not found', async () => {
+      Todo.findById.mockResolvedValue(null);
+
+      await todoController.getTodoHistory(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(TaskEvent.findHistory).not.toHaveBeenCalled();
+    });
+
+    it('should use the todo loaded by the ownership check', async () => {
+      req.todo = {
+        chainId: 31337,
+        blockchainId: '8',
+        owner: '0x9999999999999999999999999999999999999999'
+      };
+      TaskEvent.findHistory.mockResolvedValue([]);
+
+      await todoController.getTodoHistory(req, res, next);
+
+      expect(Todo.findById).not.toHaveBeenCalled();
+      expect(TaskEvent.findHistory).toHaveBeenCalledWith(31337, '8');
+    });
+
+    it('should handle errors', async () => {
+      const error = new Error('Database error');
+      Todo.findById.mockRejectedValue(error);
+
+      await todoController.getTodoHistory(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
   describe('verifyTodo', () => {
     it('should verify todo against blockchain successfully', async () => {
       req.params.id = '507f1f77bcf86cd799439011';
@@ -280,14 +578,16 @@ describe('Todo Controller', () => {
   describe('getUserStats', () => {
     it('should return user statistics', async () => {
       req.params.address = '0x123';
-      Todo.countByOwner.mockResolvedValue(10);
-      Todo.countDocuments
+      Todo.countByOwner
+        .mockResolvedValueOnce(10) // total
         .mockResolvedValueOnce(7) // completed
         .mockResolvedValueOnce(3); // active
 
       await todoController.getUserStats(req, res, next);
 
-      expect(Todo.countByOwner).toHaveBeenCalledWith('0x123');
+      expect(Todo.countByOwner).toHaveBeenCalledWith('0x123', []);
+      expect(Todo.countByOwner).toHaveBeenCalledWith('0x123', [], { completed: true });
+      expect(Todo.countByOwner).toHaveBeenCalledWith('0x123', [], { completed: false });
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         data: {
@@ -302,9 +602,6 @@ describe('Todo Controller', () => {
     it('should handle zero todos', async () => {
       req.params.address = '0x123';
       Todo.countByOwner.mockResolvedValue(0);
-      Todo.countDocuments
-        .mockResolvedValueOnce(0)
-        .mockResolvedValueOnce(0);
 
       await todoController.getUserStats(req, res, next);
 
@@ -328,6 +625,68 @@ describe('Todo Controller', () => {
 
       expect(next).toHaveBeenCalledWith(error);
     });
+
+    it('should count the todos of shared lists', async () => {
+      req.params.address = '0x123';
+      TaskList.findAccessible.mockResolvedValue([{ chainId: 31337, listId: '2', name: 'Household' }]);
+      Todo.countByOwner.mockResolvedValue(0);
+
+      await todoController.getUserStats(req, res, next);
+
+      expect(Todo.countByOwner).toHaveBeenCalledWith('0x123', [{ chainId: 31337, listId: '2' }]);
+    });
+  });
+
+  describe('syncTransaction', () => {
+    const TX_HASH = '0x' + 'ab'.repeat(32);
+
+    beforeEach(() => {
+      req.body = { chainId: 31337, transactionHash: TX_HASH };
+      blockchainService.getContract.mockReturnValue({});
+    });
+
+    it('should apply the transaction events and return the touched todos', async () => {
+      const todos = [{ blockchainId: '1' }, { blockchainId: '2' }];
+      blockchainService.syncTransaction.mockResolvedValue({ applied: 2, taskIds: ['1', '2'] });
+      Todo.find.mockResolvedValue(todos);
+
+      await todoController.syncTransaction(req, res, next);
+
+      expect(blockchainService.syncTransaction).toHaveBeenCalledWith(31337, TX_HASH);
+      expect(Todo.find).toHaveBeenCalledWith({ chainId: 31337, blockchainId: { $in: ['1', '2'] } });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Applied 2 events from transaction',
+        count: 2,
+        data: todos
+      });
+    });
+
+    it('should return 404 when the transaction is not mined', async () => {
+      blockchainService.syncTransaction.mockResolvedValue(null);
+
+      await todoController.syncTransaction(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 400 for an unconnected chain', async () => {
+      blockchainService.getContract.mockReturnValue(undefined);
+
+      await todoController.syncTransaction(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(blockchainService.syncTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should pass errors to the error handler', async () => {
+      const error = new Error('RPC down');
+      blockchainService.syncTransaction.mockRejectedValue(error);
+
+      await todoController.syncTransaction(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
   });
 
   describe('syncTodoFromBlockchain', () => {
@@ -532,4 +891,79 @@ describe('Todo Controller', () => {
       expect(next).toHaveBeenCalledWith(error);
     });
   });
+
+  describe('updateTodo', () => {
+    it('should update the description', async () => {
+      req.params = { id: '507f1f77bcf86cd799439011' };
+      req.body = { description: '  New description  ' };
+      const mockTodo = {
+        deleted: false,
+        encrypted: false,
+        updateDescription: jest.fn().mockResolvedValue(true)
+      };
+      Todo.findById.mockResolvedValue(mockTodo);
+
+      await todoController.updateTodo(req, res, next);
+
+      expect(mockTodo.updateDescription).toHaveBeenCalledWith('New description');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, data: mockTodo }));
+    });
+
+    it('should apply the on-chain length limit to on-chain descriptions', async () => {
+      req.params = { id: '507f1f77bcf86cd799439011' };
+      req.body = { description: 'a'.repeat(501) };
+      const mockTodo = {
+        deleted: false,
+        encrypted: false,
+        ipfsCid: null,
+        updateDescription: jest.fn()
+      };
+      Todo.findById.mockResolvedValue(mockTodo);
+
+      await todoController.updateTodo(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Description must be 500 characters or less'
+      });
+      expect(mockTodo.updateDescription).not.toHaveBeenCalled();
+    });
+
+    it('should allow longer descriptions for IPFS-backed todos', async () => {
+      req.params = { id: '507f1f77bcf86cd799439011' };
+      req.body = { description: 'a'.repeat(2000) };
+      const mockTodo = {
+        deleted: false,
+        encrypted: false,
+        ipfsCid: 'bafytest',
+        updateDescription: jest.fn().mockResolvedValue(true)
+      };
+      Todo.findById.mockResolvedValue(mockTodo);
+
+      await todoController.updateTodo(req, res, next);
+
+      expect(mockTodo.updateDescription).toHaveBeenCalledWith('a'.repeat(2000));
+    });
+
+    it('should refuse to store plaintext for an encrypted description', async () => {
+      req.params = { id: '507f1f77bcf86cd799439011' };
+      req.body = { description: 'Secret plan' };
+      const mockTodo = {
+        deleted: false,
+        encrypted: true,
+        updateDescription: jest.fn()
+      };
+      Todo.findById.mockResolvedValue(mockTodo);
+
+      await todoController.updateTodo(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Encrypted descriptions can only be updated on-chain'
+      });
+      expect(mockTodo.updateDescription).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -1,10 +1,42 @@
-const { isIpfsCid, extractCid, resolveDescription } = require('../../src/services/ipfsService');
+jest.mock('../../src/models/IpfsContent', () => ({
+  findResolved: jest.fn(),
+  store: jest.fn(),
+  recordFailure: jest.fn(),
+}));
+
+const IpfsContent = require('../../src/models/IpfsContent');
+const { CODECS, cidForBytes } = require('../../src/utils/cid');
+const {
+  isIpfsCid,
+  extractCid,
+  isEncryptedEnvelope,
+  fetchVerifiedContent,
+  resolveDescription,
+} = require('../../src/services/ipfsService');
+
+// Gateway response holding the raw block of a JSON envelope
+const pinJson = (data) => {
+  const bytes = Buffer.from(JSON.stringify(data));
+  return { cid: cidForBytes(bytes, CODECS.json), bytes };
+};
+const blockResponse = (bytes) => ({
+  ok: true,
+  arrayBuffer: async () => new Uint8Array(bytes).buffer,
+});
+
+// `echo "hello world" | ipfs add` — a UnixFS file in a dag-pb block
+const HELLO_CID = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const HELLO_BLOCK = Buffer.from('0a120802120c68656c6c6f20776f726c640a180c', 'hex');
 
 // Mock global fetch for gateway calls
 const originalFetch = global.fetch;
 
 beforeEach(() => {
+  jest.clearAllMocks();
   global.fetch = jest.fn();
+  IpfsContent.findResolved.mockResolvedValue(null);
+  IpfsContent.store.mockResolvedValue({});
+  IpfsContent.recordFailure.mockResolvedValue({});
 });
 
 afterAll(() => {
@@ -35,51 +67,184 @@ describe('ipfsService', () => {
     });
   });
 
+  describe('isEncryptedEnvelope', () => {
+    it('should detect envelopes holding ciphertext', () => {
+      expect(isEncryptedEnvelope({
+        encrypted: { scheme: 'aes-256-gcm/hkdf-sha256', version: 1, iv: '0x00', ciphertext: '0xabcd' },
+        version: 1,
+      })).toBe(true);
+    });
+
+    it('should return false for plaintext envelopes and other values', () => {
+      expect(isEncryptedEnvelope({ description: 'Buy groceries', version: 1 })).toBe(false);
+      expect(isEncryptedEnvelope({ encrypted: true })).toBe(false);
+      expect(isEncryptedEnvelope('text')).toBe(false);
+      expect(isEncryptedEnvelope(null)).toBe(false);
+    });
+  });
+
+  describe('fetchVerifiedContent', () => {
+    it('should request the raw block and parse the JSON it holds', async () => {
+      const { cid, bytes } = pinJson({ description: 'Buy groceries', version: 1 });
+      global.fetch.mockResolvedValueOnce(blockResponse(bytes));
+
+      await expect(fetchVerifiedContent(cid)).resolves.toEqual({ description: 'Buy groceries', version: 1 });
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe(`https://gateway.pinata.cloud/ipfs/${cid}?format=raw`);
+      expect(init.headers.Accept).toBe('application/vnd.ipld.raw');
+    });
+
+    it('should unwrap UnixFS files behind CIDv0', async () => {
+      global.fetch.mockResolvedValueOnce(blockResponse(HELLO_BLOCK));
+
+      await expect(fetchVerifiedContent(HELLO_CID)).resolves.toBe('hello world\n');
+    });
+
+    it('should reject content that does not match the CID and try the next gateway', async () => {
+      const { cid } = pinJson({ description: 'Buy groceries', version: 1 });
+      const forged = Buffer.from(JSON.stringify({ description: 'Send me your keys', version: 1 }));
+      global.fetch
+        .mockResolvedValueOnce(blockResponse(forged))
+        .mockResolvedValueOnce(blockResponse(forged));
+
+      await expect(fetchVerifiedContent(cid)).rejects.toThrow('from all gateways');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe('resolveDescription', () => {
     it('should return plain text unchanged with cid: null', async () => {
       const result = await resolveDescription('Buy groceries');
       expect(result).toEqual({ text: 'Buy groceries', cid: null });
+      expect(IpfsContent.findResolved).not.toHaveBeenCalled();
     });
 
-    it('should resolve an IPFS CID to its description text', async () => {
-      global.fetch = jest.fn().mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({ description: 'Buy groceries', version: 1, timestamp: 123 }),
-      });
+    it('should resolve an IPFS CID to its description text and cache it', async () => {
+      const envelope = { description: 'Buy groceries', version: 1, timestamp: 123 };
+      const { cid, bytes } = pinJson(envelope);
+      global.fetch.mockResolvedValueOnce(blockResponse(bytes));
 
-      const result = await resolveDescription('ipfs://QmTestCid123');
-      expect(result).toEqual({ text: 'Buy groceries', cid: 'QmTestCid123' });
+      const result = await resolveDescription(`ipfs://${cid}`);
+
+      expect(result).toEqual({ text: 'Buy groceries', cid, contentType: 'text/plain' });
       expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(IpfsContent.store).toHaveBeenCalledWith(cid, envelope);
+    });
+
+    it('should serve cached content without calling a gateway', async () => {
+      const { cid } = pinJson({ description: 'Buy groceries', version: 1 });
+      IpfsContent.findResolved.mockResolvedValue({ cid, content: { description: 'Buy groceries', version: 1 } });
+
+      const result = await resolveDescription(`ipfs://${cid}`);
+
+      expect(result).toEqual({ text: 'Buy groceries', cid, contentType: 'text/plain' });
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(IpfsContent.findResolved).toHaveBeenCalledWith(cid);
+    });
+
+    it('should still resolve when the cache is unavailable', async () => {
+      const { cid, bytes } = pinJson({ description: 'Buy groceries', version: 1 });
+      IpfsContent.findResolved.mockRejectedValue(new Error('not connected'));
+      IpfsContent.store.mockRejectedValue(new Error('not connected'));
+      global.fetch.mockResolvedValueOnce(blockResponse(bytes));
+
+      await expect(resolveDescription(`ipfs://${cid}`)).resolves.toEqual({ text: 'Buy groceries', cid, contentType: 'text/plain' });
+    });
+
+    it('should keep only the CID of an encrypted description', async () => {
+      const { cid, bytes } = pinJson({
+        encrypted: { scheme: 'aes-256-gcm/hkdf-sha256', version: 1, iv: '0x00', ciphertext: '0xabcd' },
+        version: 1,
+        timestamp: 123,
+      });
+      global.fetch.mockResolvedValueOnce(blockResponse(bytes));
+
+      const result = await resolveDescription(`ipfs://${cid}`);
+      expect(result).toEqual({ text: `ipfs://${cid}`, cid, contentType: 'text/plain', encrypted: true });
     });
 
     it('should fallback to second gateway on primary failure', async () => {
-      global.fetch = jest.fn()
+      const { cid, bytes } = pinJson({ description: 'Fallback result', version: 1 });
+      global.fetch
         .mockRejectedValueOnce(new Error('Gateway timeout'))
-        .mockResolvedValueOnce({
-          ok: true,
-          json: async () => ({ description: 'Fallback result', version: 1 }),
-        });
+        .mockResolvedValueOnce(blockResponse(bytes));
 
-      const result = await resolveDescription('ipfs://QmFallbackTest');
-      expect(result).toEqual({ text: 'Fallback result', cid: 'QmFallbackTest' });
+      const result = await resolveDescription(`ipfs://${cid}`);
+      expect(result).toEqual({ text: 'Fallback result', cid, contentType: 'text/plain' });
       expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch.mock.calls[1][0]).toBe(`https://ipfs.io/ipfs/${cid}?format=raw`);
     });
 
-    it('should return raw URI when all gateways fail', async () => {
-      global.fetch = jest.fn().mockRejectedValue(new Error('Network error'));
+    it('should return raw URI and queue a re-fetch when all gateways fail', async () => {
+      const { cid } = pinJson({ description: 'Unreachable', version: 1 });
+      global.fetch.mockRejectedValue(new Error('Network error'));
+
+      const result = await resolveDescription(`ipfs://${cid}`);
 
-      const result = await resolveDescription('ipfs://QmFailedCid');
-      expect(result).toEqual({ text: 'ipfs://QmFailedCid', cid: 'QmFailedCid' });
+      expect(result).toEqual({ text: `ipfs://${cid}`, cid });
+      expect(IpfsContent.recordFailure).toHaveBeenCalledWith(cid, expect.any(Error));
+      expect(IpfsContent.store).not.toHaveBeenCalled();
     });
 
-    it('should handle unexpected JSON format', async () => {
-      global.fetch = jest.fn().mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({ data: 'no description field' }),
+    it('should not fetch or queue malformed CIDs', async () => {
+      const result = await resolveDescription('ipfs://not-a-cid');
+
+      expect(result).toEqual({ text: 'ipfs://not-a-cid', cid: 'not-a-cid' });
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(IpfsContent.recordFailure).not.toHaveBeenCalled();
+    });
+
+    it('should resolve the attachments of a version 2 envelope', async () => {
+      const image = {
+        type: 'image',
+        name: 'receipt.png',
+        mimeType: 'image/png',
+        size: 2048,
+        cid: 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku',
+      };
+      const { cid, bytes } = pinJson({
+        description: 'Buy groceries',
+        attachments: [image, { type: 'link', url: 'javascript:alert(1)' }, { type: 'link', url: 'https://example.com' }],
+        version: 2,
       });
+      global.fetch.mockResolvedValueOnce(blockResponse(bytes));
+
+      const result = await resolveDescription(`ipfs://${cid}`);
+
+      expect(result).toEqual({
+        text: 'Buy groceries',
+        cid,
+        contentType: 'text/plain',
+        attachments: [image, { type: 'link', url: 'https://example.com', name: null }],
+      });
+    });
+
+    it('should resolve the content type of a Markdown description', async () => {
+      const { cid, bytes } = pinJson({ description: '- [x] Milk\n- [ ] Eggs', contentType: 'text/markdown', version: 1 });
+      global.fetch.mockResolvedValueOnce(blockResponse(bytes));
+
+      const result = await resolveDescription(`ipfs://${cid}`);
+
+      expect(result).toEqual({ text: '- [x] Milk\n- [ ] Eggs', cid, contentType: 'text/markdown' });
+    });
+
+    it('should treat unknown content types as plain text and cap the length', async () => {
+      const { cid, bytes } = pinJson({ description: 'a'.repeat(12000), contentType: 'text/html', version: 1 });
+      global.fetch.mockResolvedValueOnce(blockResponse(bytes));
+
+      const result = await resolveDescription(`ipfs://${cid}`);
+
+      expect(result.contentType).toBe('text/plain');
+      expect(result.text).toHaveLength(10000);
+    });
+
+    it('should handle unexpected JSON format', async () => {
+      const { cid, bytes } = pinJson({ data: 'no description field' });
+      global.fetch.mockResolvedValueOnce(blockResponse(bytes));
 
-      const result = await resolveDescription('ipfs://QmWeirdFormat');
-      expect(result.cid).toBe('QmWeirdFormat');
+      const result = await resolveDescription(`ipfs://${cid}`);
+      expect(result.cid).toBe(cid);
       expect(result.text).toContain('no description field');
     });
   });
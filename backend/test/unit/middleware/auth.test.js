@@ -1,3 +1,12 @@
+jest.mock('../../../src/models/Todo', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/TaskList', () => ({
+  roleForTodo: jest.fn(),
+  hasAccess: jest.fn(),
+}));
+jest.mock('../../../src/models/AuthNonce', () => ({ consume: jest.fn() }));
+jest.mock('../../../src/models/RefreshToken', () => ({ isSessionActive: jest.fn() }));
+jest.mock('../../../src/services/blockchainService', () => ({ getProvider: jest.fn() }));
+
 const { ethers } = require('ethers');
 const jwt = require('jsonwebtoken');
 const {
@@ -7,6 +16,11 @@ const {
   validateAddress,
   ensureOwnership
 } = require('../../../src/middleware/auth');
+const Todo = require('../../../src/models/Todo');
+const TaskList = require('../../../src/models/TaskList');
+const AuthNonce = require('../../../src/models/AuthNonce');
+const RefreshToken = require('../../../src/models/RefreshToken');
+const blockchainService = require('../../../src/services/blockchainService');
 
 jest.mock('../../../src/utils/logger', () => ({
   error: jest.fn(),
@@ -36,22 +50,86 @@ describe('Auth Middleware', () => {
   });
 
   describe('verifyWalletSignature', () => {
-    it('should verify valid wallet signature and call next', async () => {
-      const wallet = ethers.Wallet.createRandom();
-      const message = 'Login to Todo App - Nonce: 12345';
-      const signature = await wallet.signMessage(message);
+    const NONCE = 'abcdef0123456789';
+
+    // A Sign-In with Ethereum message as the frontend builds it
+    const siweMessage = (address, overrides = {}) => {
+      const fields = {
+        domain: 'localhost:3000',
+        uri: 'http://localhost:3000',
+        chainId: 31337,
+        nonce: NONCE,
+        issuedAt: new Date().toISOString(),
+        expirationTime: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+        ...overrides,
+      };
+      return [
+        `${fields.domain} wants you to sign in with your Ethereum account:`,
+        address,
+        '',
+        'Sign in to the Todo App.',
+        '',
+        `URI: ${fields.uri}`,
+        'Version: 1',
+        `Chain ID: ${fields.chainId}`,
+        `Nonce: ${fields.nonce}`,
+        `Issued At: ${fields.issuedAt}`,
+        `Expiration Time: ${fields.expirationTime}`,
+      ].join('\n');
+    };
 
+    const signIn = async (wallet, overrides) => {
+      const message = siweMessage(wallet.address, overrides);
       req.body = {
         address: wallet.address,
-        signature: signature,
-        message: message
+        signature: await wallet.signMessage(message),
+        message,
       };
+    };
+
+    const expectRejected = (error) => {
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ success: false, error });
+      expect(next).not.toHaveBeenCalled();
+      expect(AuthNonce.consume).not.toHaveBeenCalled();
+    };
+
+    beforeEach(() => {
+      process.env.SIWE_DOMAIN = 'localhost:3000';
+      AuthNonce.consume.mockReset();
+      AuthNonce.consume.mockResolvedValue({ nonce: NONCE });
+      blockchainService.getProvider.mockReset();
+    });
+
+    afterEach(() => {
+      delete process.env.SIWE_DOMAIN;
+    });
+
+    it('should verify valid wallet signature and call next', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      await signIn(wallet);
 
       await verifyWalletSignature(req, res, next);
 
       expect(req.userAddress).toBe(wallet.address.toLowerCase());
       expect(next).toHaveBeenCalled();
       expect(res.status).not.toHaveBeenCalled();
+      expect(AuthNonce.consume).toHaveBeenCalledWith(wallet.address, NONCE);
+    });
+
+    it('should reject a nonce that was not issued, already used or expired', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      await signIn(wallet);
+      AuthNonce.consume.mockResolvedValue(null);
+
+      await verifyWalletSignature(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Invalid or expired nonce'
+      });
+      expect(next).not.toHaveBeenCalled();
     });
 
     it('should reject when address is missing', async () => {
@@ -100,10 +178,25 @@ describe('Auth Middleware', () => {
       });
     });
 
+    it('should reject a message that is not a SIWE message', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      const message = `Login to Todo App - Nonce: ${NONCE}`;
+
+      req.body = {
+        address: wallet.address,
+        signature: await wallet.signMessage(message),
+        message
+      };
+
+      await verifyWalletSignature(req, res, next);
+
+      expectRejected('Invalid SIWE message');
+    });
+
     it('should reject invalid signature', async () => {
       const wallet1 = ethers.Wallet.createRandom();
       const wallet2 = ethers.Wallet.createRandom();
-      const message = 'Login to Todo App';
+      const message = siweMessage(wallet2.address);
       const signature = await wallet1.signMessage(message);
 
       req.body = {
@@ -114,19 +207,16 @@ describe('Auth Middleware', () => {
 
       await verifyWalletSignature(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(401);
-      expect(res.json).toHaveBeenCalledWith({
-        success: false,
-        error: 'Invalid signature'
-      });
-      expect(next).not.toHaveBeenCalled();
+      // A bad signature must not use up the nonce
+      expectRejected('Invalid signature');
     });
 
     it('should handle malformed signature', async () => {
+      const wallet = ethers.Wallet.createRandom();
       req.body = {
-        address: '0x123',
+        address: wallet.address,
         signature: 'invalid_signature',
-        message: 'test'
+        message: siweMessage(wallet.address)
       };
 
       await verifyWalletSignature(req, res, next);
@@ -138,16 +228,58 @@ describe('Auth Middleware', () => {
       });
     });
 
-    it('should handle case-insensitive address comparison', async () => {
+    it('should reject a message signed for another domain', async () => {
       const wallet = ethers.Wallet.createRandom();
-      const message = 'Login to Todo App';
-      const signature = await wallet.signMessage(message);
+      await signIn(wallet, { domain: 'evil.example', uri: 'https://evil.example' });
 
-      req.body = {
-        address: wallet.address.toUpperCase(),
-        signature: signature,
-        message: message
+      await verifyWalletSignature(req, res, next);
+
+      expectRejected('Message domain is not allowed');
+    });
+
+    it('should reject a message for an unsupported chain', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      await signIn(wallet, { chainId: 1 });
+
+      await verifyWalletSignature(req, res, next);
+
+      expectRejected('Unsupported chain');
+    });
+
+    it('should reject an expired message', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      await signIn(wallet, { expirationTime: new Date(Date.now() - 1000).toISOString() });
+
+      await verifyWalletSignature(req, res, next);
+
+      expectRejected('Message has expired');
+    });
+
+    it('should verify a contract wallet signature on the message chain', async () => {
+      const owner = ethers.Wallet.createRandom();
+      const safe = '0x5afe5afe5afe5afe5afe5afe5afe5afe5afe5afe';
+      const message = siweMessage(ethers.getAddress(safe));
+      const provider = {
+        getCode: jest.fn().mockResolvedValue('0x6080'),
+        // isValidSignature returns the ERC-1271 magic value
+        call: jest.fn().mockResolvedValue(`0x1626ba7e${'0'.repeat(56)}`),
       };
+      blockchainService.getProvider.mockReturnValue(provider);
+
+      req.body = { address: safe, signature: await owner.signMessage(message), message };
+
+      await verifyWalletSignature(req, res, next);
+
+      expect(blockchainService.getProvider).toHaveBeenCalledWith(31337);
+      expect(req.userAddress).toBe(safe);
+      expect(next).toHaveBeenCalled();
+      expect(AuthNonce.consume).toHaveBeenCalledWith(safe, NONCE);
+    });
+
+    it('should handle case-insensitive address comparison', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      await signIn(wallet);
+      req.body.address = wallet.address.toLowerCase();
 
       await verifyWalletSignature(req, res, next);
 
@@ -227,6 +359,43 @@ describe('Auth Middleware', () => {
 
       expect(req.userAddress).toBe(address.toLowerCase());
     });
+
+    it('should accept a token of an active session', async () => {
+      const address = '0x1234567890123456789012345678901234567890';
+      RefreshToken.isSessionActive.mockResolvedValue(true);
+      req.headers.authorization = `Bearer ${generateToken(address, 'session-1')}`;
+
+      await verifyJWT(req, res, next);
+
+      expect(RefreshToken.isSessionActive).toHaveBeenCalledWith('session-1');
+      expect(req.userAddress).toBe(address);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should reject a token of a revoked session', async () => {
+      RefreshToken.isSessionActive.mockResolvedValue(false);
+      req.headers.authorization = `Bearer ${generateToken('0x1234567890123456789012345678901234567890', 'session-1')}`;
+
+      await verifyJWT(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Session has been revoked'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should pass session lookup errors on', async () => {
+      const error = new Error('db down');
+      RefreshToken.isSessionActive.mockRejectedValue(error);
+      req.headers.authorization = `Bearer ${generateToken('0x1234567890123456789012345678901234567890', 'session-1')}`;
+
+      await verifyJWT(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(req.userAddress).toBeUndefined();
+    });
   });
 
   describe('generateToken', () => {
@@ -238,13 +407,29 @@ describe('Auth Middleware', () => {
       expect(decoded.address).toBe(address.toLowerCase());
     });
 
-    it('should generate token with 7 day expiration', () => {
+    it('should generate a short-lived access token', () => {
       const address = '0x1234567890123456789012345678901234567890';
       const token = generateToken(address);
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const expiresIn = decoded.exp - decoded.iat;
-      expect(expiresIn).toBe(7 * 24 * 60 * 60); // 7 days in seconds
+      expect(expiresIn).toBe(15 * 60); // 15 minutes in seconds
+    });
+
+    it('should read the lifetime from ACCESS_TOKEN_TTL_SECONDS', () => {
+      process.env.ACCESS_TOKEN_TTL_SECONDS = '60';
+      const token = generateToken('0x1234567890123456789012345678901234567890');
+      delete process.env.ACCESS_TOKEN_TTL_SECONDS;
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      expect(decoded.exp - decoded.iat).toBe(60);
+    });
+
+    it('should include the session id', () => {
+      const token = generateToken('0x1234567890123456789012345678901234567890', 'session-1');
+
+      expect(jwt.decode(token).sid).toBe('session-1');
+      expect(jwt.decode(generateToken('0x1234567890123456789012345678901234567890')).sid).toBeUndefined();
     });
 
     it('should lowercase the address in token', () => {
@@ -395,5 +580,108 @@ describe('Auth Middleware', () => {
 
       expect(next).toHaveBeenCalled();
     });
+
+    describe('todo resources', () => {
+      const todo = { owner: '0x2222222222222222222222222222222222222222', chainId: 31337, listId: '1' };
+
+      beforeEach(() => {
+        req.userAddress = '0x1234567890123456789012345678901234567890';
+        req.method = 'GET';
+        req.params.id = '507f1f77bcf86cd799439011';
+        Todo.findById.mockResolvedValue(todo);
+        TaskList.hasAccess.mockImplementation(
+          (role, required) => ['viewer', 'editor', 'owner'].indexOf(role) >= ['viewer', 'editor', 'owner'].indexOf(required)
+        );
+      });
+
+      it('should let list viewers read a todo and attach it', async () => {
+        TaskList.roleForTodo.mockResolvedValue('viewer');
+
+        await ensureOwnership(req, res, next);
+
+        expect(TaskList.roleForTodo).toHaveBeenCalledWith(todo, req.userAddress);
+        expect(req.todo).toBe(todo);
+        expect(next).toHaveBeenCalledWith();
+      });
+
+      it('should require editor access to change a todo', async () => {
+        req.method = 'PUT';
+        TaskList.roleForTodo.mockResolvedValue('viewer');
+
+        await ensureOwnership(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({
+          success: false,
+          error: 'Access denied: Editor access to this list is required'
+        });
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      it('should let list editors restore a todo by body id', async () => {
+        req.method = 'POST';
+        delete req.params.id;
+        req.body.id = '507f1f77bcf86cd799439011';
+        TaskList.roleForTodo.mockResolvedValue('editor');
+
+        await ensureOwnership(req, res, next);
+
+        expect(Todo.findById).toHaveBeenCalledWith('507f1f77bcf86cd799439011');
+        expect(next).toHaveBeenCalledWith();
+      });
+
+      it('should reject users outside the todo list', async () => {
+        TaskList.roleForTodo.mockResolvedValue(null);
+
+        await ensureOwnership(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({
+          success: false,
+          error: 'Access denied: You can only access your own resources'
+        });
+      });
+
+      it('should let the assignee and a proposed assignee read a todo', async () => {
+        TaskList.roleForTodo.mockResolvedValue(null);
+
+        Todo.findById.mockResolvedValue({ ...todo, assignee: req.userAddress });
+        await ensureOwnership(req, res, next);
+        Todo.findById.mockResolvedValue({ ...todo, pendingAssignee: req.userAddress });
+        await ensureOwnership(req, res, next);
+
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(res.status).not.toHaveBeenCalled();
+      });
+
+      it('should not let the assignee change a todo', async () => {
+        req.method = 'PUT';
+        Todo.findById.mockResolvedValue({ ...todo, assignee: req.userAddress });
+        TaskList.roleForTodo.mockResolvedValue(null);
+
+        await ensureOwnership(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      it('should return 404 when the todo does not exist', async () => {
+        Todo.findById.mockResolvedValue(null);
+
+        await ensureOwnership(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      it('should pass lookup errors on', async () => {
+        const error = new Error('db down');
+        Todo.findById.mockRejectedValue(error);
+
+        await ensureOwnership(req, res, next);
+
+        expect(next).toHaveBeenCalledWith(error);
+      });
+    });
   });
 });
@@ -0,0 +1,81 @@
+const AuthNonce = require('../../../src/models/AuthNonce');
+
+describe('AuthNonce Model', () => {
+  const ADDRESS = '0xABCDEF1234567890123456789012345678901234';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.AUTH_NONCE_TTL_SECONDS;
+  });
+
+  describe('issue', () => {
+    beforeEach(() => {
+      AuthNonce.create = jest.fn().mockResolvedValue({});
+      AuthNonce.deleteMany = jest.fn().mockResolvedValue({ deletedCount: 0 });
+    });
+
+    it('should store a random alphanumeric nonce', async () => {
+      const { nonce, issuedAt, expiresAt } = await AuthNonce.issue(ADDRESS);
+
+      expect(nonce).toMatch(/^[0-9a-f]{32}$/);
+      expect(expiresAt.getTime() - issuedAt.getTime()).toBe(300000);
+      expect(AuthNonce.create).toHaveBeenCalledWith({ address: ADDRESS, nonce, expiresAt });
+    });
+
+    it('should replace the nonce issued to the address before', async () => {
+      await AuthNonce.issue(ADDRESS);
+
+      expect(AuthNonce.deleteMany).toHaveBeenCalledWith({ address: ADDRESS.toLowerCase() });
+      expect(AuthNonce.deleteMany.mock.invocationCallOrder[0])
+        .toBeLessThan(AuthNonce.create.mock.invocationCallOrder[0]);
+    });
+
+    it('should issue a different nonce every time', async () => {
+      const first = await AuthNonce.issue(ADDRESS);
+      const second = await AuthNonce.issue(ADDRESS);
+
+      expect(first.nonce).not.toBe(second.nonce);
+    });
+
+    it('should read the lifetime from AUTH_NONCE_TTL_SECONDS', async () => {
+      process.env.AUTH_NONCE_TTL_SECONDS = '60';
+
+      const { issuedAt, expiresAt } = await AuthNonce.issue(ADDRESS);
+
+      expect(expiresAt.getTime() - issuedAt.getTime()).toBe(60000);
+    });
+  });
+
+  describe('consume', () => {
+    it('should delete the unexpired nonce issued to the address', () => {
+      const mockDelete = jest.fn().mockResolvedValue(null);
+      AuthNonce.findOneAndDelete = mockDelete;
+
+      AuthNonce.consume(ADDRESS, 'abcdef0123456789');
+
+      const [filter] = mockDelete.mock.calls[0];
+      expect(filter).toEqual({
+        address: ADDRESS.toLowerCase(),
+        nonce: 'abcdef0123456789',
+        expiresAt: { $gt: expect.any(Date) },
+      });
+    });
+  });
+
+  describe('Schema', () => {
+    it('should store addresses lower-cased and validate them', () => {
+      const path = AuthNonce.schema.path('address');
+      const [validator] = path.validators.filter(v => v.type === 'user defined');
+
+      expect(path.options.lowercase).toBe(true);
+      expect(validator.validator('0x1234567890abcdef1234567890abcdef12345678')).toBe(true);
+      expect(validator.validator('0x1234')).toBe(false);
+    });
+
+    it('should expire nonces through a TTL index', () => {
+      const indexes = AuthNonce.schema.indexes();
+
+      expect(indexes).toContainEqual([{ expiresAt: 1 }, expect.objectContaining({ expireAfterSeconds: 0 })]);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const IpfsContent = require('../../../src/models/IpfsContent');
+
+describe('IpfsContent Model', () => {
+  const CID = 'bagaaierasords4njcts6vs7qvdjfcvgnume4hqohf65zsfguprqphs3icwea';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.IPFS_REFETCH_MAX_ATTEMPTS;
+    delete process.env.IPFS_REFETCH_BASE_DELAY;
+    IpfsContent.findOneAndUpdate = jest.fn().mockResolvedValue({});
+  });
+
+  describe('findResolved', () => {
+    it('should only return resolved entries', () => {
+      const lean = jest.fn().mockResolvedValue(null);
+      IpfsContent.findOne = jest.fn().mockReturnValue({ lean });
+
+      IpfsContent.findResolved(CID);
+
+      expect(IpfsContent.findOne).toHaveBeenCalledWith({ cid: CID, status: 'resolved' });
+      expect(lean).toHaveBeenCalled();
+    });
+  });
+
+  describe('store', () => {
+    it('should upsert the content and take the CID off the queue', async () => {
+      await IpfsContent.store(CID, { description: 'Buy groceries', version: 1 });
+
+      expect(IpfsContent.findOneAndUpdate).toHaveBeenCalledWith(
+        { cid: CID },
+        {
+          $set: {
+            status: 'resolved',
+            content: { description: 'Buy groceries', version: 1 },
+            resolvedAt: expect.any(Date),
+            nextAttemptAt: null,
+            lastError: null,
+          },
+        },
+        { upsert: true, new: true }
+      );
+    });
+  });
+
+  describe('recordFailure', () => {
+    it('should queue a new CID for a retry after the base delay', async () => {
+      IpfsContent.findOne = jest.fn().mockResolvedValue(null);
+      const before = Date.now();
+
+      await IpfsContent.recordFailure(CID, new Error('Gateway timeout'));
+
+      const [filter, update] = IpfsContent.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ cid: CID });
+      expect(update.$set).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Gateway timeout' });
+      expect(update.$set.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(60000);
+      expect(update.$set.nextAttemptAt.getTime() - before).toBeLessThan(61000);
+    });
+
+    it('should double the delay with every attempt', async () => {
+      process.env.IPFS_REFETCH_BASE_DELAY = '1000';
+      IpfsContent.findOne = jest.fn().mockResolvedValue({ status: 'pending', attempts: 3 });
+      const before = Date.now();
+
+      await IpfsContent.recordFailure(CID, new Error('Gateway timeout'));
+
+      const { $set } = IpfsContent.findOneAndUpdate.mock.calls[0][1];
+      expect($set.attempts).toBe(4);
+      expect($set.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(8000);
+      expect($set.nextAttemptAt.getTime() - before).toBeLessThan(9000);
+    });
+
+    it('should give up after IPFS_REFETCH_MAX_ATTEMPTS', async () => {
+      process.env.IPFS_REFETCH_MAX_ATTEMPTS = '3';
+      IpfsContent.findOne = jest.fn().mockResolvedValue({ status: 'pending', attempts: 2 });
+
+      await IpfsContent.recordFailure(CID, new Error('Gateway timeout'));
+
+      expect(IpfsContent.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({
+        status: 'failed',
+        attempts: 3,
+        nextAttemptAt: null,
+      });
+    });
+
+    it('should leave resolved entries alone', async () => {
+      const entry = { status: 'resolved', content: {} };
+      IpfsContent.findOne = jest.fn().mockResolvedValue(entry);
+
+      await expect(IpfsContent.recordFailure(CID, new Error('late failure'))).resolves.toBe(entry);
+      expect(IpfsContent.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findDue', () => {
+    it('should return due pending entries, oldest first', () => {
+      const chain = { sort: jest.fn(), limit: jest.fn(), lean: jest.fn().mockResolvedValue([]) };
+      chain.sort.mockReturnValue(chain);
+      chain.limit.mockReturnValue(chain);
+      IpfsContent.find = jest.fn().mockReturnValue(chain);
+
+      IpfsContent.findDue(20);
+
+      expect(IpfsContent.find).toHaveBeenCalledWith({ status: 'pending', nextAttemptAt: { $lte: expect.any(Date) } });
+      expect(chain.sort).toHaveBeenCalledWith({ nextAttemptAt: 1 });
+      expect(chain.limit).toHaveBeenCalledWith(20);
+    });
+  });
+
+  describe('Schema', () => {
+    it('should key entries by CID and index the queue', () => {
+      expect(IpfsContent.schema.path('cid').options.unique).toBe(true);
+      expect(IpfsContent.schema.path('status').defaultValue).toBe('pending');
+      expect(IpfsContent.schema.indexes()).toContainEqual([{ status: 1, nextAttemptAt: 1 }, expect.anything()]);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const RefreshToken = require('../../../src/models/RefreshToken');
+
+describe('RefreshToken Model', () => {
+  const ADDRESS = '0xabcdef1234567890123456789012345678901234';
+  const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.REFRESH_TOKEN_TTL_SECONDS;
+    RefreshToken.create = jest.fn().mockResolvedValue({});
+    RefreshToken.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('issue', () => {
+    it('should store only a hash of a random token in a new session', async () => {
+      const before = Date.now();
+      const { token, session, expiresAt } = await RefreshToken.issue(ADDRESS);
+
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+      expect(session).toEqual(expect.any(String));
+      expect(expiresAt.getTime() - before).toBeGreaterThanOrEqual(30 * 24 * 60 * 60 * 1000);
+      expect(RefreshToken.create).toHaveBeenCalledWith({
+        address: ADDRESS,
+        tokenHash: hash(token),
+        session,
+        expiresAt,
+      });
+    });
+
+    it('should keep the given session', async () => {
+      const { session } = await RefreshToken.issue(ADDRESS, 'session-1');
+
+      expect(session).toBe('session-1');
+    });
+
+    it('should start a different session for every login', async () => {
+      const first = await RefreshToken.issue(ADDRESS);
+      const second = await RefreshToken.issue(ADDRESS);
+
+      expect(first.session).not.toBe(second.session);
+      expect(first.token).not.toBe(second.token);
+    });
+
+    it('should read the lifetime from REFRESH_TOKEN_TTL_SECONDS', async () => {
+      process.env.REFRESH_TOKEN_TTL_SECONDS = '60';
+      const before = Date.now();
+
+      const { expiresAt } = await RefreshToken.issue(ADDRESS);
+
+      expect(expiresAt.getTime() - before).toBeLessThan(61000);
+    });
+  });
+
+  describe('rotate', () => {
+    beforeEach(() => {
+      RefreshToken.findOneAndUpdate = jest.fn();
+      RefreshToken.findOne = jest.fn().mockResolvedValue(null);
+    });
+
+    it('should revoke the token and issue a new one in the same session', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue({ address: ADDRESS, session: 'session-1' });
+
+      const rotated = await RefreshToken.rotate('old-token');
+
+      const [filter, update] = RefreshToken.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({
+        tokenHash: hash('old-token'),
+        revokedAt: null,
+        expiresAt: { $gt: expect.any(Date) },
+      });
+      expect(update).toEqual({ revokedAt: expect.any(Date) });
+      expect(rotated).toEqual(expect.objectContaining({ address: ADDRESS, session: 'session-1' }));
+      expect(rotated.token).not.toBe('old-token');
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ session: 'session-1' }));
+    });
+
+    it('should return null for an unknown or expired token', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(RefreshToken.rotate('unknown')).resolves.toBeNull();
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should revoke the whole session when a used token is presented again', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+      RefreshToken.findOne.mockResolvedValue({ session: 'session-1', revokedAt: new Date() });
+
+      await expect(RefreshToken.rotate('stolen')).resolves.toBeNull();
+
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: hash('stolen'), revokedAt: { $ne: null } });
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { session: 'session-1', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+  });
+
+  describe('revoke', () => {
+    it('should revoke the session of the token', async () => {
+      RefreshToken.findOne = jest.fn().mockResolvedValue({ session: 'session-1' });
+
+      await expect(RefreshToken.revoke('token')).resolves.toBe(true);
+
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: hash('token') });
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { session: 'session-1', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+
+    it('should do nothing for an unknown token', async () => {
+      RefreshToken.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(RefreshToken.revoke('unknown')).resolves.toBe(false);
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isSessionActive', () => {
+    it('should look for an unrevoked, unexpired token of the session', async () => {
+      RefreshToken.exists = jest.fn().mockResolvedValue({ _id: 'token-id' });
+
+      await expect(RefreshToken.isSessionActive('session-1')).resolves.toBe(true);
+      expect(RefreshToken.exists).toHaveBeenCalledWith({
+        session: 'session-1',
+        revokedAt: null,
+        expiresAt: { $gt: expect.any(Date) },
+      });
+    });
+
+    it('should be false once every token of the session is revoked', async () => {
+      RefreshToken.exists = jest.fn().mockResolvedValue(null);
+
+      await expect(RefreshToken.isSessionActive('session-1')).resolves.toBe(false);
+    });
+  });
+
+  describe('revokeAll', () => {
+    it('should revoke every active token of the address', async () => {
+      await RefreshToken.revokeAll('0xABCDEF1234567890123456789012345678901234');
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { address: ADDRESS, revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+  });
+
+  describe('Schema', () => {
+    it('should default to not revoked and validate addresses', () => {
+      const [validator] = RefreshToken.schema.path('address').validators.filter(v => v.type === 'user defined');
+
+      expect(RefreshToken.schema.path('revokedAt').defaultValue).toBeNull();
+      expect(validator.validator(ADDRESS)).toBe(true);
+      expect(validator.validator('0x1234')).toBe(false);
+    });
+
+    it('should expire tokens through a TTL index', () => {
+      const indexes = RefreshToken.schema.indexes();
+
+      expect(indexes).toContainEqual([{ expiresAt: 1 }, expect.objectContaining({ expireAfterSeconds: 0 })]);
+      expect(indexes).toContainEqual([{ session: 1 }, expect.anything()]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const SyncCheckpoint = require('../../../src/models/SyncCheckpoint');
+
+describe('SyncCheckpoint Model', () => {
+  describe('Static Methods', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    describe('findCheckpoint', () => {
+      it('should look up the checkpoint by chain and lowercased address', () => {
+        const mockFindOne = jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue(null)
+        });
+        SyncCheckpoint.findOne = mockFindOne;
+
+        SyncCheckpoint.findCheckpoint(31337, '0xABCDEF1234567890123456789012345678901234');
+
+        expect(mockFindOne).toHaveBeenCalledWith({
+          chainId: 31337,
+          contractAddress: '0xabcdef1234567890123456789012345678901234'
+        });
+      });
+    });
+
+    describe('saveCheckpoint', () => {
+      it('should upsert the checkpoint position', () => {
+        const mockUpdate = jest.fn().mockResolvedValue({});
+        SyncCheckpoint.findOneAndUpdate = mockUpdate;
+
+        SyncCheckpoint.saveCheckpoint(31337, '0xABCDEF1234567890123456789012345678901234', {
+          blockNumber: 42,
+          blockHash: '0xhash',
+          logIndex: 3
+        });
+
+        expect(mockUpdate).toHaveBeenCalledWith(
+          { chainId: 31337, contractAddress: '0xabcdef1234567890123456789012345678901234' },
+          { $set: { lastBlock: 42, lastBlockHash: '0xhash', lastLogIndex: 3 } },
+          { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+      });
+
+      it('should default hash and log index to null', () => {
+        const mockUpdate = jest.fn().mockResolvedValue({});
+        SyncCheckpoint.findOneAndUpdate = mockUpdate;
+
+        SyncCheckpoint.saveCheckpoint(1, '0x1234567890123456789012345678901234567890', {
+          blockNumber: 7
+        });
+
+        expect(mockUpdate.mock.calls[0][1]).toEqual({
+          $set: { lastBlock: 7, lastBlockHash: null, lastLogIndex: null }
+        });
+      });
+    });
+
+    describe('startRebuild', () => {
+      it('should reset the checkpoint to just before the start block', () => {
+        const mockUpdate = jest.fn().mockResolvedValue({});
+        SyncCheckpoint.findOneAndUpdate = mockUpdate;
+
+        SyncCheckpoint.startRebuild(31337, '0xABCDEF1234567890123456789012345678901234', {
+          fromBlock: 100,
+          targetBlock: 5000
+        });
+
+        const [filter, update, options] = mockUpdate.mock.calls[0];
+        expect(filter).toEqual({ chainId: 31337, contractAddress: '0xabcdef1234567890123456789012345678901234' });
+        expect(update.$set).toMatchObject({
+          lastBlock: 99,
+          lastBlockHash: null,
+          lastLogIndex: null,
+          rebuildTargetBlock: 5000,
+          rebuildNextBlock: 100
+        });
+        expect(update.$set.rebuildStartedAt).toBeInstanceOf(Date);
+        expect(options.upsert).toBe(true);
+      });
+
+      it('should not go below block 0', () => {
+        const mockUpdate = jest.fn().mockResolvedValue({});
+        SyncCheckpoint.findOneAndUpdate = mockUpdate;
+
+        SyncCheckpoint.startRebuild(1, '0x1234567890123456789012345678901234567890', {
+          fromBlock: 0,
+          targetBlock: 10
+        });
+
+        expect(mockUpdate.mock.calls[0][1].$set.lastBlock).toBe(0);
+      });
+    });
+
+    describe('updateRebuildProgress', () => {
+      it('should store the next block to replay', () => {
+        const mockUpdate = jest.fn().mockResolvedValue({});
+        SyncCheckpoint.updateOne = mockUpdate;
+
+        SyncCheckpoint.updateRebuildProgress(1, '0x1234567890123456789012345678901234567890', 2100);
+
+        expect(mockUpdate).toHaveBeenCalledWith(
+          { chainId: 1, contractAddress: '0x1234567890123456789012345678901234567890' },
+          { $set: { rebuildNextBlock: 2100 } }
+        );
+      });
+    });
+
+    describe('finishRebuild', () => {
+      it('should clear the rebuild state', () => {
+        const mockUpdate = jest.fn().mockResolvedValue({});
+        SyncCheckpoint.updateOne = mockUpdate;
+
+        SyncCheckpoint.finishRebuild(1, '0x1234567890123456789012345678901234567890');
+
+        expect(mockUpdate.mock.calls[0][1]).toEqual({
+          $set: { rebuildTargetBlock: null, rebuildNextBlock: null, rebuildStartedAt: null }
+        });
+      });
+    });
+  });
+
+  describe('Schema Validation', () => {
+    it('should require chain, contract address and block', () => {
+      const schema = SyncCheckpoint.schema.paths;
+
+      expect(schema.chainId.isRequired).toBe(true);
+      expect(schema.contractAddress.isRequired).toBe(true);
+      expect(schema.lastBlock.isRequired).toBe(true);
+      expect(schema.lastBlockHash.isRequired).toBeFalsy();
+    });
+
+    it('should have a unique index on chainId and contractAddress', () => {
+      const indexes = SyncCheckpoint.schema.indexes();
+      const unique = indexes.find(
+        ([fields, options]) => fields.chainId === 1 && fields.contractAddress === 1 && options.unique
+      );
+      expect(unique).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const TaskEvent = require('../../../src/models/TaskEvent');
+
+describe('TaskEvent Model', () => {
+  describe('Static Methods', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    describe('record', () => {
+      it('should insert only when the log has not been recorded yet', () => {
+        const mockUpdate = jest.fn().mockResolvedValue({});
+        TaskEvent.updateOne = mockUpdate;
+        const event = {
+          chainId: 31337,
+          blockchainId: '1',
+          eventName: 'TaskCompleted',
+          transactionHash: '0xtx',
+          blockNumber: 10,
+          logIndex: 2
+        };
+
+        TaskEvent.record(event);
+
+        expect(mockUpdate).toHaveBeenCalledWith(
+          { chainId: 31337, transactionHash: '0xtx', logIndex: 2 },
+          { $setOnInsert: event },
+          { upsert: true }
+        );
+      });
+    });
+
+    describe('findHistory', () => {
+      it('should return events for the task in chain order', () => {
+        const sort = jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+        const mockFind = jest.fn().mockReturnValue({ sort });
+        TaskEvent.find = mockFind;
+
+        TaskEvent.findHistory(31337, 5);
+
+        expect(mockFind).toHaveBeenCalledWith({ chainId: 31337, blockchainId: '5' });
+        expect(sort).toHaveBeenCalledWith({ blockNumber: 1, logIndex: 1 });
+      });
+    });
+
+    describe('removeFromBlock', () => {
+      it('should delete events at or after the block', () => {
+        const mockDelete = jest.fn().mockResolvedValue({});
+        TaskEvent.deleteMany = mockDelete;
+
+        TaskEvent.removeFromBlock(31337, 50);
+
+        expect(mockDelete).toHaveBeenCalledWith({ chainId: 31337, blockNumber: { $gte: 50 } });
+      });
+    });
+  });
+
+  describe('Schema Validation', () => {
+    it('should make recorded fields immutable', () => {
+      for (const path of ['chainId', 'blockchainId', 'eventName', 'transactionHash', 'blockNumber', 'logIndex', 'args']) {
+        expect(TaskEvent.schema.path(path).options.immutable).toBe(true);
+      }
+    });
+
+    it('should have a unique index on the log position', () => {
+      const unique = TaskEvent.schema.indexes().find(
+        ([fields, options]) => fields.transactionHash === 1 && fields.logIndex === 1 && options.unique
+      );
+      expect(unique).toBeDefined();
+    });
+
+    it('should only accept known event names', () => {
+      expect(TaskEvent.schema.path('eventName').enumValues).toEqual([
+        'TaskCreated',
+        'SubtaskCreated',
+        'TaskCompleted',
+        'TaskDeleted',
+        'TaskRestored',
+        'TaskUpdated',
+        'TaskTagged',
+        'TaskPriorityChanged',
+        'TaskListChanged',
+        'TaskRecurrenceChanged',
+        'TaskRecurred',
+        'TaskDependenciesChanged',
+        'TaskAssigned',
+        'TaskAssignmentProposed',
+        'TaskAssignmentRejected',
+        'TaskBountyChanged',
+        'TaskBountyReleased'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const TaskList = require('../../../src/models/TaskList');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const EDITOR = '0x2222222222222222222222222222222222222222';
+const VIEWER = '0x3333333333333333333333333333333333333333';
+
+const makeList = () =>
+  new TaskList({
+    chainId: 31337,
+    listId: '1',
+    owner: OWNER,
+    name: 'Household',
+    members: [
+      { address: EDITOR, role: 'editor' },
+      { address: VIEWER, role: 'viewer' },
+    ],
+    blockchainCreatedAt: new Date(),
+  });
+
+describe('TaskList Model', () => {
+  describe('Instance Methods', () => {
+    describe('roleOf', () => {
+      it('should return the role of the owner and members', () => {
+        const list = makeList();
+
+        expect(list.roleOf(OWNER.toUpperCase().replace('0X', '0x'))).toBe('owner');
+        expect(list.roleOf(EDITOR)).toBe('editor');
+        expect(list.roleOf(VIEWER)).toBe('viewer');
+        expect(list.roleOf('0x4444444444444444444444444444444444444444')).toBeNull();
+      });
+    });
+
+    describe('setMemberRole', () => {
+      it('should change a member role without duplicating the member', () => {
+        const list = makeList();
+
+        list.setMemberRole(VIEWER, 'editor');
+
+        expect(list.members.filter((m) => m.address === VIEWER)).toHaveLength(1);
+        expect(list.roleOf(VIEWER)).toBe('editor');
+      });
+
+      it('should remove a member when the role is null', () => {
+        const list = makeList();
+
+        list.setMemberRole(EDITOR, null);
+
+        expect(list.roleOf(EDITOR)).toBeNull();
+        expect(list.members).toHaveLength(1);
+      });
+    });
+  });
+
+  describe('Static Methods', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    describe('findByListId', () => {
+      it('should look the list up by chain and stringified id', () => {
+        const mockFindOne = jest.fn().mockResolvedValue(null);
+        TaskList.findOne = mockFindOne;
+
+        TaskList.findByListId(31337, 7n);
+
+        expect(mockFindOne).toHaveBeenCalledWith({ chainId: 31337, listId: '7' });
+      });
+    });
+
+    describe('findAccessible', () => {
+      it('should find lists the address owns or is a member of', () => {
+        const sort = jest.fn().mockResolvedValue([]);
+        const mockFind = jest.fn().mockReturnValue({ sort });
+        TaskList.find = mockFind;
+
+        TaskList.findAccessible(EDITOR.toUpperCase().replace('0X', '0x'));
+
+        expect(mockFind).toHaveBeenCalledWith({
+          $or: [{ owner: EDITOR }, { 'members.address': EDITOR }],
+        });
+      });
+    });
+
+    describe('roleForTodo', () => {
+      it('should treat the todo owner as owner without a lookup', async () => {
+        TaskList.findOne = jest.fn();
+
+        const role = await TaskList.roleForTodo({ owner: EDITOR, listId: '1' }, EDITOR);
+
+        expect(role).toBe('owner');
+        expect(TaskList.findOne).not.toHaveBeenCalled();
+      });
+
+      it('should use the role in the todo list', async () => {
+        TaskList.findOne = jest.fn().mockResolvedValue(makeList());
+
+        const role = await TaskList.roleForTodo({ owner: OWNER, chainId: 31337, listId: '1' }, VIEWER);
+
+        expect(role).toBe('viewer');
+      });
+
+      it('should deny access to personal todos of others', async () => {
+        TaskList.findOne = jest.fn();
+
+        const role = await TaskList.roleForTodo({ owner: OWNER, listId: null }, VIEWER);
+
+        expect(role).toBeNull();
+      });
+    });
+
+    describe('hasAccess', () => {
+      it('should rank roles from viewer to owner', () => {
+        expect(TaskList.hasAccess('owner', 'editor')).toBe(true);
+        expect(TaskList.hasAccess('editor', 'editor')).toBe(true);
+        expect(TaskList.hasAccess('viewer', 'editor')).toBe(false);
+        expect(TaskList.hasAccess('viewer', 'viewer')).toBe(true);
+        expect(TaskList.hasAccess(null, 'viewer')).toBe(false);
+      });
+    });
+  });
+
+  describe('Indexes', () => {
+    it('should have a unique index on chainId and listId', () => {
+      const index = TaskList.schema.indexes().find(
+        (idx) => idx[0].chainId === 1 && idx[0].listId === 1
+      );
+
+      expect(index).toBeDefined();
+      expect(index[1].unique).toBe(true);
+    });
+
+    it('should index member addresses', () => {
+      expect(TaskList.schema.indexes().find((idx) => idx[0]['members.address'] === 1)).toBeDefined();
+    });
+  });
+});
@@ -65,6 +65,13 @@ describe('Todo Model', () => {
         expect(mockTodo.deletedAt.getTime()).toBeGreaterThanOrEqual(before.getTime());
         expect(mockTodo.deletedAt.getTime()).toBeLessThanOrEqual(after.getTime());
       });
+
+      it('should use the given on-chain deletion time', async () => {
+        const deletedAt = new Date(1700000000 * 1000);
+        await Todo.prototype.markAsDeleted.call(mockTodo, deletedAt);
+
+        expect(mockTodo.deletedAt).toBe(deletedAt);
+      });
     });
 
     describe('markAsRestored', () => {
@@ -170,6 +177,28 @@ describe('Todo Model', () => {
           })
         );
       });
+
+      it('should include the todos of shared lists per chain', () => {
+        const mockFind = jest.fn().mockReturnValue({
+          sort: jest.fn().mockResolvedValue([])
+        });
+        Todo.find = mockFind;
+
+        Todo.findByOwner('0xABCDEF1234567890123456789012345678901234', true, false, [
+          { chainId: 31337, listId: '1' },
+          { chainId: 31337, listId: '4' },
+          { chainId: 11155111, listId: '2' },
+        ]);
+
+        expect(mockFind).toHaveBeenCalledWith({
+          $or: [
+            { owner: '0xabcdef1234567890123456789012345678901234' },
+            { chainId: 31337, listId: { $in: ['1', '4'] } },
+            { chainId: 11155111, listId: { $in: ['2'] } },
+          ],
+          deleted: false
+        });
+      });
     });
 
     describe('findByBlockchainId', () => {
@@ -211,6 +240,26 @@ describe('Todo Model', () => {
           })
         );
       });
+
+      it('should count shared list todos matching an extra filter', () => {
+        const mockCountDocuments = jest.fn().mockResolvedValue(0);
+        Todo.countDocuments = mockCountDocuments;
+
+        Todo.countByOwner(
+          '0xABCDEF1234567890123456789012345678901234',
+          [{ chainId: 31337, listId: '1' }],
+          { completed: true }
+        );
+
+        expect(mockCountDocuments).toHaveBeenCalledWith({
+          $or: [
+            { owner: '0xabcdef1234567890123456789012345678901234' },
+            { chainId: 31337, listId: { $in: ['1'] } },
+          ],
+          completed: true,
+          deleted: false
+        });
+      });
     });
   });
 
@@ -237,7 +286,28 @@ describe('Todo Model', () => {
 
     it('should enforce description maxlength', () => {
       const maxLength = Todo.schema.path('description').options.maxlength;
-      expect(maxLength).toBe(500);
+      expect(maxLength).toBe(10000);
+    });
+
+    it('should only allow long descriptions when they come from IPFS', () => {
+      const fields = {
+        blockchainId: '1',
+        chainId: 31337,
+        owner: '0x1234567890123456789012345678901234567890',
+        description: 'a'.repeat(501),
+        blockchainCreatedAt: new Date(),
+      };
+
+      const onChain = new Todo(fields).validateSync();
+      expect(onChain.errors.description.message).toBe(
+        'Description must be 500 characters or less when stored on-chain'
+      );
+      expect(new Todo({ ...fields, ipfsCid: 'bafytest' }).validateSync()).toBeUndefined();
+    });
+
+    it('should default contentType to plain text', () => {
+      expect(Todo.schema.path('contentType').options.default).toBe('text/plain');
+      expect(Todo.schema.path('contentType').enumValues).toEqual(['text/plain', 'text/markdown']);
     });
 
     it('should trim description', () => {
@@ -258,6 +328,68 @@ describe('Todo Model', () => {
       expect(schema.path('deleted').options.default).toBe(false);
       expect(schema.path('blockchainCompletedAt').options.default).toBe(null);
       expect(schema.path('deletedAt').options.default).toBe(null);
+      expect(schema.path('createdBlockNumber').options.default).toBe(null);
+      expect(schema.path('lastEventBlockNumber').options.default).toBe(null);
+      expect(schema.path('priority').options.default).toBe(0);
+      expect(schema.path('recurrence').options.default).toBe('none');
+      expect(schema.path('recurrenceInterval').options.default).toBe(0);
+      expect(schema.path('seriesId').options.default).toBe(null);
+      expect(schema.path('nextOccurrenceId').options.default).toBe(null);
+      expect(schema.path('dependencies').options.default).toEqual([]);
+      expect(schema.path('bounty').options.default).toBe('0');
+      expect(schema.path('assignee').options.default).toBe(null);
+      expect(schema.path('pendingAssignee').options.default).toBe(null);
+      expect(schema.path('bountyReleased').options.default).toBe('0');
+    });
+
+    it('should store bounties as amounts in wei', () => {
+      const [validator] = Todo.schema.path('bounty').validators.filter(v => v.type === 'user defined');
+
+      expect(validator.validator('1000000000000000000')).toBe(true);
+      expect(validator.validator('0.5')).toBe(false);
+      expect(validator.validator('-1')).toBe(false);
+    });
+
+    it('should accept an address or null as the assignee', () => {
+      for (const path of ['assignee', 'pendingAssignee']) {
+        const [validator] = Todo.schema.path(path).validators.filter(v => v.type === 'user defined');
+
+        expect(validator.validator(null)).toBe(true);
+        expect(validator.validator('0x1234567890abcdef1234567890abcdef12345678')).toBe(true);
+        expect(validator.validator('0x1234')).toBe(false);
+      }
+    });
+
+    it('should only accept up to ten task IDs as dependencies', () => {
+      const [validator] = Todo.schema.path('dependencies').validators.filter(v => v.type === 'user defined');
+      const ids = (count) => Array.from({ length: count }, (_, i) => String(i + 1));
+
+      expect(validator.validator(ids(10))).toBe(true);
+      expect(validator.validator(ids(11))).toBe(false);
+      expect(validator.validator(['0'])).toBe(false);
+      expect(validator.validator(['abc'])).toBe(false);
+    });
+
+    it('should only accept the on-chain recurrence rules', () => {
+      expect(Todo.schema.path('recurrence').enumValues).toEqual([
+        'none', 'daily', 'weekly', 'monthly', 'interval'
+      ]);
+    });
+
+    it('should bound priority to the on-chain levels', () => {
+      const priorityPath = Todo.schema.path('priority');
+      expect(priorityPath.options.min).toBe(0);
+      expect(priorityPath.options.max).toBe(3);
+    });
+
+    it('should only accept up to five lower-cased tag hashes', () => {
+      const [validator] = Todo.schema.path('tags').validators.filter(v => v.type === 'user defined');
+      const tag = (byte) => '0x' + byte.repeat(32);
+
+      expect(validator.validator([tag('ab'), tag('cd')])).toBe(true);
+      expect(validator.validator(['ab', 'cd', 'ef', '01', '23', '45'].map(tag))).toBe(false);
+      expect(validator.validator([tag('AB')])).toBe(false);
+      expect(validator.validator(['work'])).toBe(false);
     });
   });
 
@@ -423,6 +555,373 @@ describe('Todo Model', () => {
     });
   });
 
+  describe('findPage', () => {
+    const OWNER = '0x1234567890123456789012345678901234567890';
+    let mockLimit;
+    let mockSort;
+    let mockFind;
+
+    const makeTodos = (count) =>
+      Array.from({ length: count }, (_, i) => ({
+        _id: `507f1f77bcf86cd7994390${String(i).padStart(2, '0')}`,
+        blockchainCreatedAt: new Date(Date.UTC(2026, 0, 30 - i)),
+        dueDate: null,
+      }));
+
+    const encode = (value, id) => Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+    beforeEach(() => {
+      mockLimit = jest.fn().mockResolvedValue([]);
+      mockSort = jest.fn().mockReturnValue({ limit: mockLimit });
+      mockFind = jest.fn().mockReturnValue({ sort: mockSort });
+      Todo.find = mockFind;
+      Todo.countDocuments = jest.fn().mockResolvedValue(0);
+    });
+
+    it('should list active, non-deleted todos newest first by default', async () => {
+      await Todo.findPage('0xABCDEF1234567890123456789012345678901234');
+
+      expect(mockFind).toHaveBeenCalledWith({
+        owner: '0xabcdef1234567890123456789012345678901234',
+        deleted: false,
+      });
+      expect(mockSort).toHaveBeenCalledWith({ blockchainCreatedAt: -1, _id: -1 });
+      expect(mockLimit).toHaveBeenCalledWith(21);
+    });
+
+    it('should filter by status', async () => {
+      await Todo.findPage(OWNER, { status: 'active' });
+      await Todo.findPage(OWNER, { status: 'completed' });
+      await Todo.findPage(OWNER, { status: 'deleted' });
+
+      expect(mockFind.mock.calls[0][0]).toMatchObject({ completed: false, deleted: false });
+      expect(mockFind.mock.calls[1][0]).toMatchObject({ completed: true, deleted: false });
+      expect(mockFind.mock.calls[2][0]).toEqual({ owner: OWNER, deleted: true });
+    });
+
+    it('should map sort keys to stored fields', async () => {
+      await Todo.findPage(OWNER, { sortBy: 'dueDate', order: 'asc' });
+      await Todo.findPage(OWNER, { sortBy: 'completedAt' });
+
+      expect(mockSort.mock.calls[0][0]).toEqual({ dueDate: 1, _id: 1 });
+      expect(mockSort.mock.calls[1][0]).toEqual({ blockchainCompletedAt: -1, _id: -1 });
+    });
+
+    it('should filter by priority and tag', async () => {
+      const tag = '0x' + 'AB'.repeat(32);
+
+      await Todo.findPage(OWNER, { priority: 0, tag });
+
+      expect(mockFind.mock.calls[0][0]).toMatchObject({ priority: 0, tags: tag.toLowerCase() });
+    });
+
+    it('should list todos assigned or proposed to the address instead of owned ones', async () => {
+      await Todo.findPage(OWNER, { assigned: true, lists: [{ listId: '1' }] });
+
+      expect(mockFind.mock.calls[0][0]).toEqual({
+        $or: [{ assignee: OWNER }, { pendingAssignee: OWNER }],
+        deleted: false,
+      });
+    });
+
+    it('should leave out subtasks when topLevel is set', async () => {
+      await Todo.findPage(OWNER, { topLevel: true });
+      await Todo.findPage(OWNER);
+
+      expect(mockFind.mock.calls[0][0]).toMatchObject({ parentId: null });
+      expect(mockFind.mock.calls[1][0]).not.toHaveProperty('parentId');
+    });
+
+    it('should filter by attachments', async () => {
+      await Todo.findPage(OWNER, { attachment: 'any' });
+      await Todo.findPage(OWNER, { attachment: 'image' });
+
+      expect(mockFind.mock.calls[0][0]).toMatchObject({ 'attachments.0': { $exists: true } });
+      expect(mockFind.mock.calls[1][0]).toMatchObject({ 'attachments.type': 'image' });
+    });
+
+    it('should include shared list todos alongside the cursor condition', async () => {
+      const cursor = encode('2026-01-20T00:00:00.000Z', '507f1f77bcf86cd799439011');
+
+      await Todo.findPage(OWNER, { lists: [{ chainId: 31337, listId: '3' }], cursor });
+
+      const query = mockFind.mock.calls[0][0];
+      expect(query.$or).toEqual([
+        { owner: OWNER },
+        { chainId: 31337, listId: { $in: ['3'] } },
+      ]);
+      expect(query.$and).toHaveLength(1);
+    });
+
+    it('should page by priority with a numeric cursor', async () => {
+      const todos = makeTodos(2).map((todo, i) => ({ ...todo, priority: 3 - i }));
+      mockLimit.mockResolvedValue(todos);
+
+      const page = await Todo.findPage(OWNER, { sortBy: 'priority', limit: 1 });
+      await Todo.findPage(OWNER, { sortBy: 'priority', cursor: page.nextCursor });
+
+      expect(mockSort.mock.calls[0][0]).toEqual({ priority: -1, _id: -1 });
+      expect(JSON.parse(Buffer.from(page.nextCursor, 'base64url').toString())).toEqual({ v: 3, id: todos[0]._id });
+      expect(mockFind.mock.calls[1][0].$and[0].$or[0]).toEqual({ priority: { $lt: 3 } });
+    });
+
+    it('should filter by due date range', async () => {
+      await Todo.findPage(OWNER, { dueFrom: '2026-01-01', dueTo: '2026-01-31' });
+
+      expect(mockFind.mock.calls[0][0].dueDate).toEqual({
+        $gte: new Date('2026-01-01'),
+        $lte: new Date('2026-01-31'),
+      });
+    });
+
+    it('should search descriptions through the text index', async () => {
+      await Todo.findPage(OWNER, { q: 'milk' });
+
+      expect(mockFind.mock.calls[0][0].$text).toEqual({ $search: 'milk' });
+      expect(Todo.countDocuments).toHaveBeenCalledWith(expect.objectContaining({ $text: { $search: 'milk' } }));
+    });
+
+    it('should return a cursor when more todos follow', async () => {
+      const todos = makeTodos(3);
+      mockLimit.mockResolvedValue(todos);
+      Todo.countDocuments.mockResolvedValue(7);
+
+      const page = await Todo.findPage(OWNER, { limit: 2 });
+
+      expect(page.todos).toEqual(todos.slice(0, 2));
+      expect(page.total).toBe(7);
+      expect(JSON.parse(Buffer.from(page.nextCursor, 'base64url').toString())).toEqual({
+        v: todos[1].blockchainCreatedAt.toISOString(),
+        id: todos[1]._id,
+      });
+    });
+
+    it('should not return a cursor on the last page', async () => {
+      mockLimit.mockResolvedValue(makeTodos(2));
+
+      const page = await Todo.findPage(OWNER, { limit: 2 });
+
+      expect(page.nextCursor).toBeNull();
+    });
+
+    it('should continue after the cursor without counting it against the total', async () => {
+      const id = '507f1f77bcf86cd799439011';
+      const value = '2026-01-15T00:00:00.000Z';
+
+      await Todo.findPage(OWNER, { cursor: encode(value, id) });
+
+      const query = mockFind.mock.calls[0][0];
+      expect(query.$and[0].$or).toHaveLength(3);
+      expect(query.$and[0].$or[0]).toEqual({ blockchainCreatedAt: { $lt: new Date(value) } });
+      expect(query.$and[0].$or[1].blockchainCreatedAt).toEqual(new Date(value));
+      expect(String(query.$and[0].$or[1]._id.$lt)).toBe(id);
+      expect(Todo.countDocuments.mock.calls[0][0].$and).toBeUndefined();
+    });
+
+    it('should page past null sort values in ascending order', async () => {
+      const id = '507f1f77bcf86cd799439011';
+
+      await Todo.findPage(OWNER, { sortBy: 'dueDate', order: 'asc', cursor: encode(null, id) });
+
+      const condition = mockFind.mock.calls[0][0].$and[0];
+      expect(condition.$or[0].dueDate).toBeNull();
+      expect(condition.$or[1]).toEqual({ dueDate: { $ne: null } });
+    });
+
+    it('should reject malformed cursors with a 400 error', async () => {
+      await expect(Todo.findPage(OWNER, { cursor: 'not-a-cursor' })).rejects.toMatchObject({
+        message: 'Invalid cursor',
+        statusCode: 400,
+      });
+      await expect(
+        Todo.findPage(OWNER, { cursor: encode('yesterday', '507f1f77bcf86cd799439011') })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(
+        Todo.findPage(OWNER, { sortBy: 'priority', cursor: encode('high', '507f1f77bcf86cd799439011') })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockFind).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Subtasks', () => {
+    const todo = (blockchainId, parentId, extra = {}) => ({
+      blockchainId,
+      parentId,
+      chainId: 31337,
+      completed: false,
+      blockchainCreatedAt: new Date(Date.UTC(2026, 0, Number(blockchainId))),
+      ...extra,
+    });
+
+    beforeEach(() => {
+      Todo.aggregate = jest.fn();
+    });
+
+    describe('findTree', () => {
+      it('should nest descendants under their parents, oldest first', async () => {
+        Todo.aggregate.mockResolvedValue([
+          {
+            ...todo('1', null),
+            descendants: [todo('4', '2'), todo('3', '1'), todo('2', '1')],
+          },
+        ]);
+
+        const tree = await Todo.findTree(31337, '1');
+
+        expect(tree.descendants).toBeUndefined();
+        expect(tree.subtasks.map((t) => t.blockchainId)).toEqual(['2', '3']);
+        expect(tree.subtasks[0].subtasks.map((t) => t.blockchainId)).toEqual(['4']);
+        expect(tree.subtasks[1].subtasks).toEqual([]);
+      });
+
+      it('should walk the tree within the chain and skip deleted subtasks', async () => {
+        Todo.aggregate.mockResolvedValue([]);
+
+        await Todo.findTree(31337, 1);
+        await Todo.findTree(31337, '1', { includeDeleted: true });
+
+        const [match, lookup] = Todo.aggregate.mock.calls[0][0];
+        expect(match.$match).toEqual({ chainId: 31337, blockchainId: '1' });
+        expect(lookup.$graphLookup).toMatchObject({
+          connectFromField: 'blockchainId',
+          connectToField: 'parentId',
+          maxDepth: 2,
+          restrictSearchWithMatch: { chainId: 31337, deleted: false },
+        });
+        expect(Todo.aggregate.mock.calls[1][0][1].$graphLookup.restrictSearchWithMatch).toEqual({ chainId: 31337 });
+      });
+
+      it('should return null for an unknown todo', async () => {
+        Todo.aggregate.mockResolvedValue([]);
+
+        expect(await Todo.findTree(31337, '99')).toBeNull();
+      });
+    });
+
+    describe('withSubtaskCounts', () => {
+      const doc = (id, chainId) => ({
+        _id: id,
+        chainId,
+        toObject: () => ({ _id: id, chainId }),
+      });
+
+      it('should add subtask totals to each todo', async () => {
+        Todo.aggregate.mockResolvedValue([{ _id: 'a', total: 3, completed: 2 }]);
+
+        const todos = await Todo.withSubtaskCounts([doc('a', 31337), doc('b', 31337)]);
+
+        expect(Todo.aggregate).toHaveBeenCalledTimes(1);
+        expect(todos).toEqual([
+          { _id: 'a', chainId: 31337, subtasks: { total: 3, completed: 2 } },
+          { _id: 'b', chainId: 31337, subtasks: { total: 0, completed: 0 } },
+        ]);
+      });
+
+      it('should look up subtasks separately for each chain', async () => {
+        Todo.aggregate.mockResolvedValue([]);
+
+        await Todo.withSubtaskCounts([doc('a', 31337), doc('b', 11155111)]);
+
+        expect(Todo.aggregate).toHaveBeenCalledTimes(2);
+        const restricts = Todo.aggregate.mock.calls.map(
+          ([pipeline]) => pipeline[1].$graphLookup.restrictSearchWithMatch
+        );
+        expect(restricts).toEqual([
+          { chainId: 31337, deleted: false },
+          { chainId: 11155111, deleted: false },
+        ]);
+      });
+
+      it('should not query for an empty page', async () => {
+        expect(await Todo.withSubtaskCounts([])).toEqual([]);
+        expect(Todo.aggregate).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('findSeries', () => {
+    it('should list the occurrences of a series, oldest first', async () => {
+      const mockSort = jest.fn().mockResolvedValue([]);
+      Todo.find = jest.fn().mockReturnValue({ sort: mockSort });
+
+      await Todo.findSeries(31337, 1);
+
+      expect(Todo.find).toHaveBeenCalledWith({ chainId: 31337, seriesId: '1', deleted: false });
+      expect(mockSort).toHaveBeenCalledWith({ blockchainCreatedAt: 1, _id: 1 });
+    });
+
+    it('should include deleted occurrences when asked', async () => {
+      Todo.find = jest.fn().mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+
+      await Todo.findSeries(31337, '1', { includeDeleted: true });
+
+      expect(Todo.find).toHaveBeenCalledWith({ chainId: 31337, seriesId: '1' });
+    });
+  });
+
+  describe('Dependencies', () => {
+    describe('withBlockers', () => {
+      const givenDone = (done) => {
+        const lean = jest.fn().mockResolvedValue(done);
+        const select = jest.fn().mockReturnValue({ lean });
+        Todo.find = jest.fn().mockReturnValue({ select });
+      };
+
+      it('should list the dependencies that are still open', async () => {
+        givenDone([{ chainId: 31337, blockchainId: '1' }]);
+
+        const todos = await Todo.withBlockers([
+          { blockchainId: '3', chainId: 31337, dependencies: ['1', '2'] },
+          { blockchainId: '4', chainId: 31337, dependencies: ['1'] },
+          { blockchainId: '5', chainId: 31337 },
+        ]);
+
+        expect(Todo.find).toHaveBeenCalledTimes(1);
+        expect(Todo.find).toHaveBeenCalledWith({
+          chainId: 31337,
+          blockchainId: { $in: ['1', '2'] },
+          $or: [{ completed: true }, { deleted: true }],
+        });
+        expect(todos.map((todo) => todo.blockedBy)).toEqual([['2'], [], []]);
+      });
+
+      it('should look up dependencies separately for each chain', async () => {
+        givenDone([{ chainId: 11155111, blockchainId: '1' }]);
+
+        const todos = await Todo.withBlockers([
+          { blockchainId: '2', chainId: 31337, dependencies: ['1'] },
+          { blockchainId: '2', chainId: 11155111, dependencies: ['1'] },
+        ]);
+
+        expect(Todo.find).toHaveBeenCalledTimes(2);
+        expect(todos.map((todo) => todo.blockedBy)).toEqual([['1'], []]);
+      });
+
+      it('should not query without dependencies', async () => {
+        Todo.find = jest.fn();
+
+        expect(await Todo.withBlockers([{ blockchainId: '1', chainId: 31337, dependencies: [] }])).toEqual([
+          { blockchainId: '1', chainId: 31337, dependencies: [], blockedBy: [] },
+        ]);
+        expect(Todo.find).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('findDependencyGraph', () => {
+      it('should find the prerequisites and the open tasks waiting on the todo', async () => {
+        Todo.find = jest.fn()
+          .mockResolvedValueOnce([{ blockchainId: '1' }])
+          .mockResolvedValueOnce([{ blockchainId: '4' }]);
+
+        const graph = await Todo.findDependencyGraph({ chainId: 31337, blockchainId: '3', dependencies: ['1'] });
+
+        expect(Todo.find).toHaveBeenNthCalledWith(1, { chainId: 31337, blockchainId: { $in: ['1'] } });
+        expect(Todo.find).toHaveBeenNthCalledWith(2, { chainId: 31337, dependencies: '3', deleted: false });
+        expect(graph).toEqual({ dependencies: [{ blockchainId: '1' }], dependents: [{ blockchainId: '4' }] });
+      });
+    });
+  });
+
   describe('Pre-save Middleware', () => {
     it('should have pre-save middleware configured', () => {
       const preSaveHooks = Todo.schema.s.hooks._pres.get('save');
@@ -481,6 +980,36 @@ describe('Todo Model', () => {
       expect(syncIndex).toBeDefined();
     });
 
+    it('should have index on chainId and updatedAt for incremental sync checks', () => {
+      const indexes = Todo.schema.indexes();
+      const updatedIndex = indexes.find(idx =>
+        idx[0].chainId === 1 && idx[0].updatedAt === 1
+      );
+
+      expect(updatedIndex).toBeDefined();
+    });
+
+    it('should have a text index over descriptions across owners', () => {
+      const indexes = Todo.schema.indexes();
+      const textIndex = indexes.find(idx => idx[0].description === 'text');
+
+      expect(textIndex).toBeDefined();
+      expect(textIndex[0].owner).toBeUndefined();
+    });
+
+    it('should have an index for shared list lookups', () => {
+      const indexes = Todo.schema.indexes();
+
+      expect(indexes.find(idx => idx[0].chainId === 1 && idx[0].listId === 1)).toBeDefined();
+    });
+
+    it('should have indexes for priority and tag lookups per owner', () => {
+      const indexes = Todo.schema.indexes();
+
+      expect(indexes.find(idx => idx[0].owner === 1 && idx[0].priority === -1)).toBeDefined();
+      expect(indexes.find(idx => idx[0].owner === 1 && idx[0].tags === 1)).toBeDefined();
+    });
+
     it('should have TTL index for error status cleanup', () => {
       const indexes = Todo.schema.indexes();
       const ttlIndex = indexes.find(idx =>
@@ -491,4 +1020,43 @@ describe('Todo Model', () => {
       expect(ttlIndex[1].partialFilterExpression).toEqual({ syncStatus: 'error' });
     });
   });
+
+  describe('migrateTextIndex', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should drop the owner-prefixed text index and rebuild the indexes', async () => {
+      jest.spyOn(Todo.collection, 'indexes').mockResolvedValue([
+        { name: '_id_', key: { _id: 1 } },
+        { name: 'owner_1_description_text', key: { owner: 1, _fts: 'text', _ftsx: 1 } },
+      ]);
+      const dropIndex = jest.spyOn(Todo.collection, 'dropIndex').mockResolvedValue();
+      const createIndexes = jest.spyOn(Todo, 'createIndexes').mockResolvedValue();
+
+      await expect(Todo.migrateTextIndex()).resolves.toBe(true);
+
+      expect(dropIndex).toHaveBeenCalledWith('owner_1_description_text');
+      expect(createIndexes).toHaveBeenCalled();
+    });
+
+    it('should leave current databases alone', async () => {
+      jest.spyOn(Todo.collection, 'indexes').mockResolvedValue([
+        { name: '_id_', key: { _id: 1 } },
+        { name: 'description_text', key: { _fts: 'text', _ftsx: 1 } },
+      ]);
+      const dropIndex = jest.spyOn(Todo.collection, 'dropIndex').mockResolvedValue();
+
+      await expect(Todo.migrateTextIndex()).resolves.toBe(false);
+      expect(dropIndex).not.toHaveBeenCalled();
+    });
+
+    it('should skip a collection that does not exist yet', async () => {
+      jest.spyOn(Todo.collection, 'indexes').mockRejectedValue(
+        Object.assign(new Error('ns does not exist'), { codeName: 'NamespaceNotFound' })
+      );
+
+      await expect(Todo.migrateTextIndex()).resolves.toBe(false);
+    });
+  });
 });
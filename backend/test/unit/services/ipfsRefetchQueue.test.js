@@ -0,0 +1,121 @@
+// Mock dependencies before requiring IpfsRefetchQueue
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock('../../../src/models/Todo', () => ({
+  find: jest.fn(),
+}));
+jest.mock('../../../src/models/IpfsContent', () => ({
+  findDue: jest.fn(),
+  store: jest.fn(),
+  recordFailure: jest.fn(),
+}));
+jest.mock('../../../src/services/ipfsService', () => ({
+  ...jest.requireActual('../../../src/services/ipfsService'),
+  fetchVerifiedContent: jest.fn(),
+}));
+
+const Todo = require('../../../src/models/Todo');
+const IpfsContent = require('../../../src/models/IpfsContent');
+const { fetchVerifiedContent } = require('../../../src/services/ipfsService');
+const IpfsRefetchQueue = require('../../../src/services/ipfsRefetchQueue');
+
+describe('IpfsRefetchQueue', () => {
+  let queue;
+
+  const todo = (fields) => ({ save: jest.fn().mockResolvedValue(true), ...fields });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    IpfsContent.findDue.mockResolvedValue([]);
+    IpfsContent.store.mockResolvedValue({});
+    IpfsContent.recordFailure.mockResolvedValue({});
+    Todo.find.mockResolvedValue([]);
+    queue = new IpfsRefetchQueue();
+  });
+
+  afterEach(() => {
+    queue.stop();
+  });
+
+  describe('start / stop', () => {
+    it('should process the queue on an interval', () => {
+      jest.useFakeTimers();
+      const spy = jest.spyOn(queue, 'processDue').mockResolvedValue({ resolved: 0, failed: 0 });
+
+      queue.start();
+      jest.advanceTimersByTime(60000);
+      queue.stop();
+      jest.advanceTimersByTime(60000);
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(queue.isRunning).toBe(false);
+      jest.useRealTimers();
+    });
+  });
+
+  describe('processDue', () => {
+    it('should cache re-fetched content and repair todos left in error', async () => {
+      IpfsContent.findDue.mockResolvedValue([{ cid: 'bafyone' }]);
+      fetchVerifiedContent.mockResolvedValue({ description: 'Buy groceries', version: 1 });
+      const broken = todo({ description: 'ipfs://bafyone', syncStatus: 'error' });
+      Todo.find.mockResolvedValue([broken]);
+
+      await expect(queue.processDue()).resolves.toEqual({ resolved: 1, failed: 0 });
+
+      expect(IpfsContent.findDue).toHaveBeenCalledWith(20);
+      expect(IpfsContent.store).toHaveBeenCalledWith('bafyone', { description: 'Buy groceries', version: 1 });
+      expect(Todo.find).toHaveBeenCalledWith({ ipfsCid: 'bafyone', syncStatus: 'error' });
+      expect(broken).toMatchObject({ description: 'Buy groceries', encrypted: false, syncStatus: 'synced' });
+      expect(broken.save).toHaveBeenCalled();
+    });
+
+    it('should mark todos with encrypted envelopes as encrypted', async () => {
+      IpfsContent.findDue.mockResolvedValue([{ cid: 'bafysecret' }]);
+      fetchVerifiedContent.mockResolvedValue({
+        encrypted: { scheme: 'aes-256-gcm/hkdf-sha256', version: 1, iv: '0x00', ciphertext: '0xabcd' },
+        version: 1,
+      });
+      const broken = todo({ description: 'ipfs://bafysecret', syncStatus: 'error' });
+      Todo.find.mockResolvedValue([broken]);
+
+      await queue.processDue();
+
+      expect(broken).toMatchObject({ description: 'ipfs://bafysecret', encrypted: true, syncStatus: 'synced' });
+    });
+
+    it('should record failures and carry on with the next CID', async () => {
+      IpfsContent.findDue.mockResolvedValue([{ cid: 'bafydown' }, { cid: 'bafyup' }]);
+      const error = new Error('Failed to resolve IPFS CID bafydown from all gateways');
+      fetchVerifiedContent.mockRejectedValueOnce(error).mockResolvedValueOnce({ description: 'Up', version: 1 });
+
+      await expect(queue.processDue()).resolves.toEqual({ resolved: 1, failed: 1 });
+
+      expect(IpfsContent.recordFailure).toHaveBeenCalledWith('bafydown', error);
+      expect(IpfsContent.store).toHaveBeenCalledWith('bafyup', { description: 'Up', version: 1 });
+    });
+
+    it('should not overlap passes', async () => {
+      let release;
+      IpfsContent.findDue.mockReturnValue(new Promise((resolve) => { release = resolve; }));
+
+      const first = queue.processDue();
+      await expect(queue.processDue()).resolves.toEqual({ resolved: 0, failed: 0 });
+      release([]);
+      await first;
+
+      expect(IpfsContent.findDue).toHaveBeenCalledTimes(1);
+      expect(queue.isProcessing).toBe(false);
+    });
+
+    it('should survive database errors', async () => {
+      IpfsContent.findDue.mockRejectedValue(new Error('not connected'));
+
+      await expect(queue.processDue()).resolves.toEqual({ resolved: 0, failed: 0 });
+      expect(queue.isProcessing).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  stream: { write: jest.fn() },
+  child: jest.fn(() => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })),
+}));
+
+const { ethers } = require('ethers');
+const logger = require('../../../src/utils/logger');
+const MulticallReader = require('../../../src/services/multicall');
+
+const TASK_ABI = [
+  'function getTask(uint256 _taskId) view returns ((uint256 id, address owner, string description, bool completed, bool deleted, uint256 createdAt, uint256 completedAt, uint256 deletedAt, uint256 dueDate))',
+];
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const MULTICALL = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const OWNER = '0x1234567890123456789012345678901234567890';
+
+const iface = new ethers.Interface(TASK_ABI);
+const encodeTask = (id) =>
+  iface.encodeFunctionResult('getTask', [[id, OWNER, `Task ${id}`, false, false, 1700000000, 0, 0, 0]]);
+
+describe('MulticallReader', () => {
+  let provider;
+  let contract;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = { getCode: jest.fn().mockResolvedValue('0x6080') };
+    contract = {
+      interface: iface,
+      getAddress: jest.fn().mockResolvedValue(CONTRACT),
+      getTask: jest.fn((id) => Promise.resolve({ id: BigInt(id), description: `Task ${id}` })),
+    };
+  });
+
+  const withAggregator = (reader, impl) => {
+    reader.aggregator = { aggregate3: { staticCall: jest.fn(impl) } };
+    return reader.aggregator.aggregate3.staticCall;
+  };
+
+  it('should default to batches of 100 calls', () => {
+    expect(new MulticallReader(provider, MULTICALL).batchSize).toBe(100);
+    expect(new MulticallReader(provider, MULTICALL, { batchSize: 5 }).batchSize).toBe(5);
+  });
+
+  it('should aggregate calls and decode results in order', async () => {
+    const reader = new MulticallReader(provider, MULTICALL);
+    const staticCall = withAggregator(reader, (calls) =>
+      Promise.resolve(calls.map((_, i) => ({ success: true, returnData: encodeTask(i + 1) })))
+    );
+
+    const tasks = await reader.callMany(contract, 'getTask', [[1], [2]]);
+
+    expect(staticCall).toHaveBeenCalledTimes(1);
+    const calls = staticCall.mock.calls[0][0];
+    expect(calls).toHaveLength(2);
+    expect(calls[0]).toEqual({
+      target: CONTRACT,
+      allowFailure: true,
+      callData: iface.encodeFunctionData('getTask', [1]),
+    });
+    expect(tasks.map((task) => task.description)).toEqual(['Task 1', 'Task 2']);
+    expect(contract.getTask).not.toHaveBeenCalled();
+  });
+
+  it('should split large reads into batches', async () => {
+    const reader = new MulticallReader(provider, MULTICALL, { batchSize: 2 });
+    const staticCall = withAggregator(reader, (calls) =>
+      Promise.resolve(calls.map(() => ({ success: true, returnData: encodeTask(1) })))
+    );
+
+    const tasks = await reader.callMany(contract, 'getTask', [[1], [2], [3]]);
+
+    expect(staticCall).toHaveBeenCalledTimes(2);
+    expect(staticCall.mock.calls[1][0]).toHaveLength(1);
+    expect(tasks).toHaveLength(3);
+  });
+
+  it('should return null for calls that reverted', async () => {
+    const reader = new MulticallReader(provider, MULTICALL);
+    withAggregator(reader, () =>
+      Promise.resolve([
+        { success: true, returnData: encodeTask(1) },
+        { success: false, returnData: '0x' },
+      ])
+    );
+
+    const tasks = await reader.callMany(contract, 'getTask', [[1], [99]]);
+
+    expect(tasks[0].description).toBe('Task 1');
+    expect(tasks[1]).toBeNull();
+  });
+
+  it('should call individually without an aggregator address', async () => {
+    const reader = new MulticallReader(provider, undefined);
+
+    const tasks = await reader.callMany(contract, 'getTask', [[1], [2]]);
+
+    expect(contract.getTask).toHaveBeenCalledTimes(2);
+    expect(tasks.map((task) => task.description)).toEqual(['Task 1', 'Task 2']);
+  });
+
+  it('should stop using an aggregator that has no code', async () => {
+    provider.getCode.mockResolvedValue('0x');
+    const reader = new MulticallReader(provider, MULTICALL);
+    const staticCall = withAggregator(reader, () => Promise.resolve([]));
+
+    await reader.callMany(contract, 'getTask', [[1]]);
+    await reader.callMany(contract, 'getTask', [[2]]);
+
+    expect(staticCall).not.toHaveBeenCalled();
+    expect(provider.getCode).toHaveBeenCalledTimes(1);
+    expect(contract.getTask).toHaveBeenCalledTimes(2);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('No Multicall3 contract'));
+  });
+
+  it('should only check the aggregator code once', async () => {
+    const reader = new MulticallReader(provider, MULTICALL, { batchSize: 1 });
+    withAggregator(reader, () => Promise.resolve([{ success: true, returnData: encodeTask(1) }]));
+
+    await reader.callMany(contract, 'getTask', [[1], [2]]);
+
+    expect(provider.getCode).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fall back to single calls when a batch fails', async () => {
+    const reader = new MulticallReader(provider, MULTICALL);
+    const staticCall = withAggregator(reader, () => Promise.reject(new Error('rate limited')));
+
+    const tasks = await reader.callMany(contract, 'getTask', [[1]]);
+
+    expect(tasks[0].description).toBe('Task 1');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('falling back to single calls'));
+
+    // The aggregator stays enabled for the next batch
+    await reader.callMany(contract, 'getTask', [[2]]);
+    expect(staticCall).toHaveBeenCalledTimes(2);
+  });
+
+  it('should return null when a single call fails', async () => {
+    contract.getTask.mockRejectedValueOnce(new Error('Task does not exist'));
+    const reader = new MulticallReader(provider, null);
+
+    const tasks = await reader.callMany(contract, 'getTask', [[99], [1]]);
+
+    expect(tasks[0]).toBeNull();
+    expect(tasks[1].description).toBe('Task 1');
+  });
+});
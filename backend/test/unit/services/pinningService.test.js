@@ -0,0 +1,226 @@
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const {
+  PinningService,
+  createPinningProvider,
+  PinataProvider,
+  KuboProvider,
+  Web3StorageProvider,
+  MemoryProvider,
+} = require('../../../src/services/pinningService');
+
+const ENVELOPE = { description: 'Buy groceries', version: 1, timestamp: 1700000000000 };
+
+const originalFetch = global.fetch;
+
+const respond = (body, ok = true, status = 200) =>
+  global.fetch.mockResolvedValueOnce({ ok, status, json: async () => body });
+
+describe('pinningService', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('createPinningProvider', () => {
+    it('should be disabled without configuration', () => {
+      expect(createPinningProvider({})).toBeNull();
+    });
+
+    it('should default to Pinata when a Pinata JWT is set', () => {
+      expect(createPinningProvider({ PINATA_JWT: 'jwt' })).toBeInstanceOf(PinataProvider);
+    });
+
+    it('should build the configured provider', () => {
+      expect(createPinningProvider({ IPFS_PINNING_PROVIDER: 'kubo' })).toBeInstanceOf(KuboProvider);
+      expect(createPinningProvider({ IPFS_PINNING_PROVIDER: 'web3storage', WEB3STORAGE_TOKEN: 't' }))
+        .toBeInstanceOf(Web3StorageProvider);
+      expect(createPinningProvider({ IPFS_PINNING_PROVIDER: 'memory', PINATA_JWT: 'jwt' }))
+        .toBeInstanceOf(MemoryProvider);
+    });
+
+    it('should reject unknown providers and missing secrets', () => {
+      expect(() => createPinningProvider({ IPFS_PINNING_PROVIDER: 'dropbox' })).toThrow('Unknown IPFS_PINNING_PROVIDER');
+      expect(() => createPinningProvider({ IPFS_PINNING_PROVIDER: 'pinata' })).toThrow('PINATA_JWT is required');
+      expect(() => createPinningProvider({ IPFS_PINNING_PROVIDER: 'web3storage' })).toThrow('WEB3STORAGE_TOKEN is required');
+    });
+  });
+
+  describe('PinataProvider', () => {
+    it('should pin through pinJSONToIPFS with the JWT', async () => {
+      respond({ IpfsHash: 'QmPinata' });
+      const provider = new PinataProvider({ jwt: 'secret-jwt' });
+
+      await expect(provider.pinJson(ENVELOPE, { name: 'todo-1' })).resolves.toBe('QmPinata');
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.pinata.cloud/pinning/pinJSONToIPFS');
+      expect(init.headers.Authorization).toBe('Bearer secret-jwt');
+      expect(JSON.parse(init.body)).toEqual({ pinataContent: ENVELOPE, pinataMetadata: { name: 'todo-1' } });
+    });
+  });
+
+  describe('pinFile', () => {
+    const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+    it('should upload files to Pinata with pinFileToIPFS', async () => {
+      respond({ IpfsHash: 'QmImage' });
+
+      await expect(new PinataProvider({ jwt: 'secret-jwt' }).pinFile(PNG, { name: 'photo.png', mimeType: 'image/png' }))
+        .resolves.toBe('QmImage');
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.pinata.cloud/pinning/pinFileToIPFS');
+      expect(init.headers.Authorization).toBe('Bearer secret-jwt');
+      const file = init.body.get('file');
+      expect(file.name).toBe('photo.png');
+      expect(file.type).toBe('image/png');
+      expect(Buffer.from(await file.arrayBuffer())).toEqual(PNG);
+    });
+
+    it('should add files to a Kubo node', async () => {
+      respond({ Hash: 'bafkreiimage' });
+
+      await expect(new KuboProvider({}).pinFile(PNG, { name: 'photo.png', mimeType: 'image/png' }))
+        .resolves.toBe('bafkreiimage');
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://127.0.0.1:5001/api/v0/add?pin=true&cid-version=1');
+      expect(init.body.get('file').name).toBe('photo.png');
+    });
+
+    it('should upload the raw bytes to web3.storage', async () => {
+      respond({ cid: 'bafkreiw3s' });
+
+      await new Web3StorageProvider({ token: 't' }).pinFile(PNG, { name: 'photo.png', mimeType: 'image/png' });
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.web3.storage/upload');
+      expect(init.headers['Content-Type']).toBe('image/png');
+      expect(init.body).toBe(PNG);
+    });
+
+    it('should keep files in memory under a raw CID', async () => {
+      const provider = new MemoryProvider();
+
+      const cid = await provider.pinFile(PNG, { name: 'photo.png', mimeType: 'image/png' });
+
+      expect(cid).toMatch(/^bafkrei[a-z2-7]{52}$/);
+      expect(provider.get(cid)).toEqual(PNG);
+    });
+
+    it('should return the CID and URI through the service', async () => {
+      const service = new PinningService(new MemoryProvider());
+
+      const { cid, uri } = await service.pinFile(PNG, { name: 'photo.png', mimeType: 'image/png' });
+
+      expect(uri).toBe(`ipfs://${cid}`);
+    });
+  });
+
+  describe('KuboProvider', () => {
+    it('should add and pin the envelope as a file on the node', async () => {
+      respond({ Name: 'todo-1.json', Hash: 'bafykubo', Size: '80' });
+      const provider = new KuboProvider({ apiUrl: 'http://ipfs:5001/', authorization: 'Basic abc' });
+
+      await expect(provider.pinJson(ENVELOPE, { name: 'todo-1' })).resolves.toBe('bafykubo');
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://ipfs:5001/api/v0/add?pin=true&cid-version=1');
+      expect(init.headers).toEqual({ Authorization: 'Basic abc' });
+      const file = init.body.get('file');
+      expect(file.name).toBe('todo-1.json');
+      expect(JSON.parse(await file.text())).toEqual(ENVELOPE);
+    });
+
+    it('should default to the local node without authorization', async () => {
+      respond({ Hash: 'bafykubo' });
+
+      await new KuboProvider({}).pinJson(ENVELOPE, { name: 'todo-1' });
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://127.0.0.1:5001/api/v0/add?pin=true&cid-version=1');
+      expect(init.headers).toEqual({});
+    });
+  });
+
+  describe('Web3StorageProvider', () => {
+    it('should upload the raw JSON with the token', async () => {
+      respond({ cid: 'bafyw3s' });
+      const provider = new Web3StorageProvider({ token: 'w3s-token', apiUrl: 'https://storage.example' });
+
+      await expect(provider.pinJson(ENVELOPE, { name: 'todo 1' })).resolves.toBe('bafyw3s');
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://storage.example/upload');
+      expect(init.headers.Authorization).toBe('Bearer w3s-token');
+      expect(init.headers['X-Name']).toBe('todo%201');
+      expect(JSON.parse(init.body)).toEqual(ENVELOPE);
+    });
+  });
+
+  describe('MemoryProvider', () => {
+    it('should return a content-addressed CIDv1 and keep the content', async () => {
+      const provider = new MemoryProvider();
+
+      const cid = await provider.pinJson(ENVELOPE);
+
+      expect(cid).toMatch(/^bagaaiera[a-z2-7]{52}$/);
+      await expect(provider.pinJson({ ...ENVELOPE })).resolves.toBe(cid);
+      await expect(provider.pinJson({ ...ENVELOPE, version: 2 })).resolves.not.toBe(cid);
+      expect(provider.get(cid)).toEqual(ENVELOPE);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PinningService', () => {
+    it('should return the CID and ipfs:// URI', async () => {
+      const service = new PinningService(new MemoryProvider());
+
+      const { cid, uri } = await service.pinJson(ENVELOPE);
+
+      expect(uri).toBe(`ipfs://${cid}`);
+      expect(service.isEnabled()).toBe(true);
+      expect(service.getProviderName()).toBe('memory');
+    });
+
+    it('should refuse to pin when disabled', async () => {
+      const service = new PinningService(null);
+
+      expect(service.isEnabled()).toBe(false);
+      await expect(service.pinJson(ENVELOPE)).rejects.toMatchObject({ statusCode: 503 });
+    });
+
+    it('should report provider failures as a bad gateway', async () => {
+      respond({ error: 'Unauthorized' }, false, 401);
+      const service = new PinningService(new PinataProvider({ jwt: 'bad' }));
+
+      await expect(service.pinJson(ENVELOPE)).rejects.toMatchObject({ statusCode: 502 });
+    });
+
+    it('should hide unexpected errors behind a generic message', async () => {
+      global.fetch.mockRejectedValueOnce(new Error('connect ECONNREFUSED 127.0.0.1:5001'));
+      const service = new PinningService(new KuboProvider({}));
+
+      await expect(service.pinJson(ENVELOPE)).rejects.toMatchObject({
+        message: 'Failed to pin to IPFS',
+        statusCode: 502,
+      });
+    });
+
+    it('should fail when the provider returns no CID', async () => {
+      respond({});
+      const service = new PinningService(new Web3StorageProvider({ token: 't' }));
+
+      await expect(service.pinJson(ENVELOPE)).rejects.toThrow('web3storage did not return a CID');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  stream: { write: jest.fn() },
+  child: jest.fn(() => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })),
+}));
+jest.mock('../../../src/models/Todo');
+jest.mock('../../../src/models/TaskEvent');
+jest.mock('../../../src/models/TaskList');
+jest.mock('../../../src/models/SyncCheckpoint');
+jest.mock('../../../src/config/blockchain', () => ({
+  deploymentBlocks: { 31337: 100 },
+}));
+
+const ReadModelRebuilder = require('../../../src/services/readModelRebuilder');
+const Todo = require('../../../src/models/Todo');
+const TaskEvent = require('../../../src/models/TaskEvent');
+const TaskList = require('../../../src/models/TaskList');
+const SyncCheckpoint = require('../../../src/models/SyncCheckpoint');
+
+const CONTRACT = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+describe('ReadModelRebuilder', () => {
+  let service;
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = { getBlockNumber: jest.fn().mockResolvedValue(5099) };
+    service = {
+      getCheckpointAddress: jest.fn().mockReturnValue(CONTRACT),
+      getProvider: jest.fn().mockReturnValue(provider),
+      getContract: jest.fn().mockReturnValue({}),
+      loadCheckpoint: jest.fn().mockResolvedValue(null),
+      applyEventRange: jest.fn().mockResolvedValue({ applied: 2, skipped: 0 }),
+      advanceCheckpoint: jest.fn().mockResolvedValue(),
+      getBlockHash: jest.fn().mockResolvedValue('0xhead'),
+    };
+    SyncCheckpoint.findCheckpoint.mockResolvedValue(null);
+  });
+
+  it('should use REBUILD_WINDOW_SIZE or default to 2000 blocks', () => {
+    expect(new ReadModelRebuilder(service).windowSize).toBe(2000);
+    expect(new ReadModelRebuilder(service, { windowSize: 10 }).windowSize).toBe(10);
+  });
+
+  it('should throw when the chain is not connected', async () => {
+    service.getProvider.mockReturnValue(undefined);
+    const rebuilder = new ReadModelRebuilder(service);
+
+    await expect(rebuilder.rebuild(31337)).rejects.toThrow('Chain 31337 is not connected');
+    expect(Todo.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('should drop the chain read model before replaying', async () => {
+    const rebuilder = new ReadModelRebuilder(service);
+
+    await rebuilder.rebuild(31337);
+
+    expect(Todo.deleteMany).toHaveBeenCalledWith({ chainId: 31337 });
+    expect(TaskEvent.deleteMany).toHaveBeenCalledWith({ chainId: 31337 });
+    expect(TaskList.deleteMany).toHaveBeenCalledWith({ chainId: 31337 });
+    expect(SyncCheckpoint.startRebuild).toHaveBeenCalledWith(31337, CONTRACT, {
+      fromBlock: 100,
+      targetBlock: 5099,
+    });
+    expect(service.loadCheckpoint).toHaveBeenCalledWith(31337);
+  });
+
+  it('should replay from the deployment block to head in windows', async () => {
+    const rebuilder = new ReadModelRebuilder(service, { windowSize: 2000 });
+
+    const result = await rebuilder.rebuild(31337);
+
+    expect(service.applyEventRange.mock.calls).toEqual([
+      [31337, 100, 2099],
+      [31337, 2100, 4099],
+      [31337, 4100, 5099],
+    ]);
+    expect(SyncCheckpoint.updateRebuildProgress).toHaveBeenLastCalledWith(31337, CONTRACT, 5100);
+    expect(result).toEqual({ chainId: 31337, fromBlock: 100, toBlock: 5099, applied: 6, resumed: false });
+  });
+
+  it('should honour an explicit start block', async () => {
+    const rebuilder = new ReadModelRebuilder(service, { windowSize: 10000 });
+
+    await rebuilder.rebuild(31337, { fromBlock: 4000 });
+
+    expect(service.applyEventRange).toHaveBeenCalledWith(31337, 4000, 5099);
+  });
+
+  it('should report progress after each window', async () => {
+    const onProgress = jest.fn();
+    const rebuilder = new ReadModelRebuilder(service, { windowSize: 2500, onProgress });
+
+    await rebuilder.rebuild(31337);
+
+    expect(onProgress).toHaveBeenCalledTimes(2);
+    expect(onProgress).toHaveBeenNthCalledWith(1, expect.objectContaining({ currentBlock: 2599, percent: 50, applied: 2 }));
+    expect(onProgress).toHaveBeenNthCalledWith(2, expect.objectContaining({ currentBlock: 5099, percent: 100, applied: 4 }));
+  });
+
+  it('should finish by checkpointing the target block', async () => {
+    const rebuilder = new ReadModelRebuilder(service);
+
+    await rebuilder.rebuild(31337);
+
+    expect(service.advanceCheckpoint).toHaveBeenCalledWith(31337, { blockNumber: 5099, blockHash: '0xhead' });
+    expect(SyncCheckpoint.finishRebuild).toHaveBeenCalledWith(31337, CONTRACT);
+  });
+
+  it('should resume an unfinished rebuild without dropping data', async () => {
+    SyncCheckpoint.findCheckpoint.mockResolvedValue({
+      lastBlock: 2500,
+      lastLogIndex: 1,
+      rebuildTargetBlock: 5099,
+      rebuildNextBlock: 2100,
+    });
+    const rebuilder = new ReadModelRebuilder(service, { windowSize: 2000 });
+
+    const result = await rebuilder.rebuild(31337);
+
+    expect(Todo.deleteMany).not.toHaveBeenCalled();
+    expect(SyncCheckpoint.startRebuild).not.toHaveBeenCalled();
+    expect(provider.getBlockNumber).not.toHaveBeenCalled();
+    expect(service.applyEventRange.mock.calls[0]).toEqual([31337, 2100, 4099]);
+    expect(result.resumed).toBe(true);
+  });
+
+  it('should start over when restart is requested', async () => {
+    SyncCheckpoint.findCheckpoint.mockResolvedValue({ rebuildTargetBlock: 5099, rebuildNextBlock: 2100 });
+    const rebuilder = new ReadModelRebuilder(service);
+
+    await rebuilder.rebuild(31337, { restart: true });
+
+    expect(Todo.deleteMany).toHaveBeenCalled();
+    expect(service.applyEventRange.mock.calls[0]).toEqual([31337, 100, 2099]);
+  });
+
+  it('should leave the rebuild resumable when a window fails', async () => {
+    service.applyEventRange
+      .mockResolvedValueOnce({ applied: 1, skipped: 0 })
+      .mockRejectedValueOnce(new Error('query returned more than 10000 results'));
+    const rebuilder = new ReadModelRebuilder(service);
+
+    await expect(rebuilder.rebuild(31337)).rejects.toThrow('more than 10000 results');
+    expect(SyncCheckpoint.updateRebuildProgress).toHaveBeenCalledTimes(1);
+    expect(SyncCheckpoint.finishRebuild).not.toHaveBeenCalled();
+  });
+});
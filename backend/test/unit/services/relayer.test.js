@@ -0,0 +1,139 @@
+jest.mock('../../../src/services/blockchainService', () => ({
+  getContract: jest.fn(),
+  getProvider: jest.fn(),
+}));
+jest.mock('../../../src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  stream: { write: jest.fn() },
+  child: jest.fn(() => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })),
+}));
+
+const { ethers } = require('ethers');
+const blockchainService = require('../../../src/services/blockchainService');
+const { Relayer } = require('../../../src/services/relayer');
+
+const PRIVATE_KEY = `0x${'ab'.repeat(32)}`;
+const USER = '0x1234567890123456789012345678901234567890';
+const SIGNATURE = `0x${'11'.repeat(65)}`;
+
+const iface = new ethers.Interface([
+  'event TaskCreated(uint256 indexed taskId, address indexed owner, string description, uint256 timestamp, uint256 dueDate)',
+]);
+
+describe('Relayer', () => {
+  let relayer;
+  let method;
+  let connectedContract;
+  let contract;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    method = jest.fn().mockResolvedValue({
+      wait: jest.fn().mockResolvedValue({ hash: '0xabc', blockNumber: 10, logs: [] }),
+    });
+    method.staticCall = jest.fn().mockResolvedValue(undefined);
+
+    connectedContract = { getFunction: jest.fn().mockReturnValue(method) };
+    contract = { interface: iface, connect: jest.fn().mockReturnValue(connectedContract) };
+
+    blockchainService.getContract.mockReturnValue(contract);
+    blockchainService.getProvider.mockReturnValue(new ethers.JsonRpcProvider('http://127.0.0.1:8545', 31337, { staticNetwork: true }));
+
+    relayer = new Relayer(blockchainService, PRIVATE_KEY);
+  });
+
+  describe('configuration', () => {
+    it('should be disabled without a private key', () => {
+      const disabled = new Relayer(blockchainService, null);
+
+      expect(disabled.isEnabled()).toBe(false);
+      expect(disabled.getAddress()).toBeNull();
+    });
+
+    it('should accept a private key without the 0x prefix', () => {
+      const unprefixed = new Relayer(blockchainService, PRIVATE_KEY.slice(2));
+
+      expect(unprefixed.getAddress()).toBe(new ethers.Wallet(PRIVATE_KEY).address);
+    });
+
+    it('should reuse one nonce manager per chain', () => {
+      const signer = relayer.getSigner(31337);
+
+      expect(signer).toBeInstanceOf(ethers.NonceManager);
+      expect(relayer.getSigner(31337)).toBe(signer);
+    });
+  });
+
+  describe('relay', () => {
+    const request = { user: USER, taskId: '1', deadline: 1900000000, signature: SIGNATURE };
+
+    it('should simulate and then send the signed function', async () => {
+      const result = await relayer.relay(31337, 'complete', request);
+
+      expect(connectedContract.getFunction).toHaveBeenCalledWith('completeTaskWithSig');
+      expect(method.staticCall).toHaveBeenCalledWith(USER, '1', 1900000000, SIGNATURE);
+      expect(method).toHaveBeenCalledWith(USER, '1', 1900000000, SIGNATURE);
+      expect(result).toEqual({ transactionHash: '0xabc', blockNumber: 10 });
+    });
+
+    it('should pass update and create fields in contract order', async () => {
+      await relayer.relay(31337, 'update', { ...request, newDescription: 'ipfs://new' });
+      expect(method).toHaveBeenLastCalledWith(USER, '1', 'ipfs://new', 1900000000, SIGNATURE);
+
+      await relayer.relay(31337, 'create', { user: USER, description: 'ipfs://task', deadline: 1900000000, signature: SIGNATURE });
+      expect(connectedContract.getFunction).toHaveBeenLastCalledWith('createTaskWithSig');
+      expect(method).toHaveBeenLastCalledWith(USER, 'ipfs://task', 0, 1900000000, SIGNATURE);
+    });
+
+    it('should return the created taskId', async () => {
+      const log = iface.encodeEventLog('TaskCreated', [7, USER, 'ipfs://task', 1700000000, 0]);
+      method.mockResolvedValue({
+        wait: jest.fn().mockResolvedValue({ hash: '0xabc', blockNumber: 10, logs: [log] }),
+      });
+
+      const result = await relayer.relay(31337, 'create', {
+        user: USER,
+        description: 'ipfs://task',
+        deadline: 1900000000,
+        signature: SIGNATURE,
+      });
+
+      expect(result.taskId).toBe('7');
+    });
+
+    it('should reject requests the contract would revert without sending', async () => {
+      method.staticCall.mockRejectedValue(Object.assign(new Error('reverted'), { reason: 'Invalid signature' }));
+
+      await expect(relayer.relay(31337, 'complete', request)).rejects.toMatchObject({
+        message: 'Invalid signature',
+        statusCode: 400,
+      });
+      expect(method).not.toHaveBeenCalled();
+    });
+
+    it('should reset the nonce manager when sending fails', async () => {
+      method.mockRejectedValue(new Error('nonce too low'));
+      const signer = relayer.getSigner(31337);
+      jest.spyOn(signer, 'reset');
+
+      await expect(relayer.relay(31337, 'complete', request)).rejects.toThrow('nonce too low');
+      expect(signer.reset).toHaveBeenCalled();
+    });
+
+    it('should reject unsupported chains', async () => {
+      blockchainService.getContract.mockReturnValue(undefined);
+
+      await expect(relayer.relay(1, 'complete', request)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject when the relayer is not configured', async () => {
+      const disabled = new Relayer(blockchainService, null);
+
+      await expect(disabled.relay(31337, 'complete', request)).rejects.toMatchObject({ statusCode: 503 });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+jest.mock('../../../src/services/blockchainService', () => ({
+  getProvider: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const blockchainService = require('../../../src/services/blockchainService');
+const { verifySignature, isErc6492Signature } = require('../../../src/services/signatureVerifier');
+
+const MESSAGE = 'localhost:3000 wants you to sign in with your Ethereum account';
+const WALLET = '0x1234567890123456789012345678901234567890';
+const ERC6492_SUFFIX = `0x${'6492'.repeat(16)}`;
+
+const iface = new ethers.Interface([
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)',
+]);
+
+const callException = () => Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', data: '0x' });
+
+describe('signatureVerifier', () => {
+  let owner;
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    owner = ethers.Wallet.createRandom();
+    provider = {
+      getCode: jest.fn().mockResolvedValue('0x6080'),
+      call: jest.fn().mockResolvedValue(iface.encodeFunctionResult('isValidSignature', ['0x1626ba7e'])),
+    };
+    blockchainService.getProvider.mockReturnValue(provider);
+  });
+
+  describe('EOA signatures', () => {
+    it('should recover the signer locally', async () => {
+      const signature = await owner.signMessage(MESSAGE);
+
+      await expect(verifySignature({ address: owner.address, message: MESSAGE, signature, chainId: 31337 }))
+        .resolves.toBe(true);
+      expect(provider.getCode).not.toHaveBeenCalled();
+    });
+
+    it('should reject a signature by another key from an address without code', async () => {
+      provider.getCode.mockResolvedValue('0x');
+      const signature = await ethers.Wallet.createRandom().signMessage(MESSAGE);
+
+      await expect(verifySignature({ address: owner.address, message: MESSAGE, signature, chainId: 31337 }))
+        .resolves.toBe(false);
+      expect(provider.call).not.toHaveBeenCalled();
+    });
+
+    it('should throw on a signature that is not hex data', async () => {
+      await expect(verifySignature({ address: owner.address, message: MESSAGE, signature: 'invalid', chainId: 31337 }))
+        .rejects.toThrow();
+    });
+  });
+
+  describe('ERC-1271 contract wallets', () => {
+    it('should ask the wallet on the message chain', async () => {
+      const signature = await owner.signMessage(MESSAGE);
+
+      await expect(verifySignature({ address: WALLET, message: MESSAGE, signature, chainId: 11155111 }))
+        .resolves.toBe(true);
+
+      expect(blockchainService.getProvider).toHaveBeenCalledWith(11155111);
+      expect(provider.getCode).toHaveBeenCalledWith(WALLET);
+      const [tx] = provider.call.mock.calls[0];
+      expect(tx.to.toLowerCase()).toBe(WALLET);
+      expect(iface.decodeFunctionData('isValidSignature', tx.data)).toEqual([ethers.hashMessage(MESSAGE), signature]);
+    });
+
+    it('should accept signatures that are not plain ECDSA, such as Safe multisig signatures', async () => {
+      const signature = `0x${'ab'.repeat(130)}`;
+
+      await expect(verifySignature({ address: WALLET, message: MESSAGE, signature, chainId: 31337 }))
+        .resolves.toBe(true);
+    });
+
+    it('should reject when the wallet does not return the magic value', async () => {
+      provider.call.mockResolvedValue(iface.encodeFunctionResult('isValidSignature', ['0xffffffff']));
+
+      await expect(verifySignature({ address: WALLET, message: MESSAGE, signature: '0x1234', chainId: 31337 }))
+        .resolves.toBe(false);
+    });
+
+    it('should reject when the wallet reverts or has no isValidSignature', async () => {
+      provider.call.mockRejectedValueOnce(callException());
+      await expect(verifySignature({ address: WALLET, message: MESSAGE, signature: '0x1234', chainId: 31337 }))
+        .resolves.toBe(false);
+
+      provider.call.mockResolvedValueOnce('0x');
+      await expect(verifySignature({ address: WALLET, message: MESSAGE, signature: '0x1234', chainId: 31337 }))
+        .resolves.toBe(false);
+    });
+
+    it('should pass RPC failures on', async () => {
+      provider.call.mockRejectedValue(new Error('network down'));
+
+      await expect(verifySignature({ address: WALLET, message: MESSAGE, signature: '0x1234', chainId: 31337 }))
+        .rejects.toThrow('network down');
+    });
+
+    it('should reject when the chain has no provider', async () => {
+      blockchainService.getProvider.mockReturnValue(undefined);
+
+      await expect(verifySignature({ address: WALLET, message: MESSAGE, signature: '0x1234', chainId: 31337 }))
+        .resolves.toBe(false);
+    });
+  });
+
+  describe('ERC-6492 counterfactual signatures', () => {
+    const wrap = (signature) =>
+      ethers.concat([
+        ethers.AbiCoder.defaultAbiCoder().encode(
+          ['address', 'bytes', 'bytes'],
+          ['0x000000000000000000000000000000000000fac7', '0x12345678', signature]
+        ),
+        ERC6492_SUFFIX,
+      ]);
+
+    it('should detect the ERC-6492 suffix', () => {
+      expect(isErc6492Signature(wrap('0x1234'))).toBe(true);
+      expect(isErc6492Signature(`0x${'11'.repeat(65)}`)).toBe(false);
+      expect(isErc6492Signature(ERC6492_SUFFIX)).toBe(false);
+    });
+
+    it('should verify through a deployless validator call', async () => {
+      provider.call.mockResolvedValue('0x01');
+      const signature = wrap(await owner.signMessage(MESSAGE));
+
+      await expect(verifySignature({ address: WALLET, message: MESSAGE, signature, chainId: 31337 }))
+        .resolves.toBe(true);
+
+      const [tx] = provider.call.mock.calls[0];
+      expect(tx.to).toBeUndefined();
+      const encodedArgs = ethers.AbiCoder.defaultAbiCoder().encode(
+        ['address', 'bytes32', 'bytes'],
+        [WALLET, ethers.hashMessage(MESSAGE), signature]
+      );
+      expect(tx.data.endsWith(encodedArgs.slice(2))).toBe(true);
+      expect(provider.getCode).not.toHaveBeenCalled();
+    });
+
+    it('should reject when the validator returns false', async () => {
+      provider.call.mockResolvedValue('0x00');
+
+      await expect(verifySignature({ address: WALLET, message: MESSAGE, signature: wrap('0x1234'), chainId: 31337 }))
+        .resolves.toBe(false);
+    });
+  });
+});
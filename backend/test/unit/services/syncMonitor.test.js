@@ -8,9 +8,14 @@ jest.mock('../../../src/utils/logger', () => ({
   child: jest.fn(() => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() })),
 }));
 jest.mock('../../../src/models/Todo');
+jest.mock('../../../src/services/multicall');
+jest.mock('../../../src/config/blockchain', () => ({
+  multicallAddresses: { 31337: '0xcA11bde05977b3631167028862bE2a173976CA11' },
+}));
 
 const logger = require('../../../src/utils/logger');
 const Todo = require('../../../src/models/Todo');
+const MulticallReader = require('../../../src/services/multicall');
 const SyncMonitor = require('../../../src/services/syncMonitor');
 
 describe('SyncMonitor', () => {
@@ -190,220 +195,454 @@ describe('SyncMonitor', () => {
 
   describe('checkChainSync', () => {
     const chainId = 31337;
+    const OWNER = '0x1234567890123456789012345678901234567890';
+    const OTHER = '0xabcdef1234567890123456789012345678901234';
+
+    const chainTask = (overrides = {}) => ({
+      id: 1n,
+      owner: OWNER,
+      description: 'Buy milk',
+      completed: false,
+      deleted: false,
+      createdAt: 1700000000n,
+      completedAt: 0n,
+      deletedAt: 0n,
+      dueDate: 0n,
+      ...overrides,
+    });
+
+    const dbTodo = (overrides = {}) => ({
+      blockchainId: '1',
+      owner: OWNER.toLowerCase(),
+      description: 'Buy milk',
+      ipfsCid: null,
+      completed: false,
+      deleted: false,
+      blockchainCreatedAt: new Date(1700000000 * 1000),
+      blockchainCompletedAt: null,
+      deletedAt: null,
+      dueDate: null,
+      ...overrides,
+    });
+
+    let contract;
+    let provider;
+    let reader;
+    let savedTodo;
 
     beforeEach(() => {
-      // Set up Todo.find mock chain
+      contract = mockBlockchainService.contracts[chainId];
+      contract.getTotalTaskCount = jest.fn().mockResolvedValue(0n);
+      contract.getAddress = jest.fn().mockResolvedValue('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+      contract.interface = { parseLog: jest.fn() };
+      contract.getTask.mockImplementation((id) => Promise.resolve(chainTask({ id: BigInt(id) })));
+
+      provider = {
+        getBlockNumber: jest.fn().mockResolvedValue(100),
+        getLogs: jest.fn().mockResolvedValue([]),
+      };
+      mockBlockchainService.providers = { [chainId]: provider };
+      mockBlockchainService.applyTaskState = jest.fn().mockResolvedValue();
+
+      // Batched reads resolve through contract.getTask so tests can stub per task
+      reader = {
+        callMany: jest.fn((target, method, argsList) =>
+          Promise.all(argsList.map((args) => target[method](...args)))
+        ),
+      };
+      MulticallReader.mockImplementation(() => reader);
+
       Todo.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([]),
-        }),
+        lean: jest.fn().mockResolvedValue([]),
       });
+      savedTodo = { save: jest.fn().mockResolvedValue(true) };
+      Todo.findByBlockchainId = jest.fn().mockResolvedValue(savedTodo);
     });
 
+    const givenDb = (todos) => {
+      Todo.find.mockReturnValue({ lean: jest.fn().mockResolvedValue(todos) });
+    };
+
+    const givenChain = (tasks) => {
+      contract.getTotalTaskCount.mockResolvedValue(BigInt(tasks.length));
+      contract.getTask.mockImplementation((id) => Promise.resolve(tasks[id - 1]));
+    };
+
     it('should return early if contract does not exist for chainId', async () => {
       await syncMonitor.checkChainSync(99999);
       expect(Todo.find).not.toHaveBeenCalled();
     });
 
-    it('should query database for non-deleted tasks on the chain', async () => {
-      await syncMonitor.checkChainSync(chainId);
+    describe('full pass', () => {
+      it('should load every todo of the chain, including deleted ones', async () => {
+        await syncMonitor.checkChainSync(chainId);
 
-      expect(Todo.find).toHaveBeenCalledWith({ chainId, deleted: false });
-    });
+        expect(Todo.find).toHaveBeenCalledWith({ chainId });
+      });
 
-    it('should check each task against blockchain state', async () => {
-      const dbTasks = [
-        { blockchainId: '1', completed: false },
-        { blockchainId: '2', completed: true },
-      ];
+      it('should read every task through the multicall reader', async () => {
+        givenChain([chainTask(), chainTask({ id: 2n })]);
 
-      Todo.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(dbTasks),
-        }),
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(MulticallReader).toHaveBeenCalledWith(provider, '0xcA11bde05977b3631167028862bE2a173976CA11');
+        expect(reader.callMany).toHaveBeenCalledWith(contract, 'getTask', [[1], [2]]);
+        expect(report.mode).toBe('full');
+        expect(report.tasksChecked).toBe(2);
       });
 
-      mockBlockchainService.contracts[chainId].getTask
-        .mockResolvedValueOnce({ completed: false }) // task 1 in sync
-        .mockResolvedValueOnce({ completed: true });  // task 2 in sync
+      it('should reuse the reader across passes', async () => {
+        await syncMonitor.checkChainSync(chainId);
+        await syncMonitor.checkChainSync(chainId);
 
-      await syncMonitor.checkChainSync(chainId);
+        expect(MulticallReader).toHaveBeenCalledTimes(1);
+      });
 
-      expect(mockBlockchainService.contracts[chainId].getTask).toHaveBeenCalledWith('1');
-      expect(mockBlockchainService.contracts[chainId].getTask).toHaveBeenCalledWith('2');
-    });
+      it('should report nothing when every field matches', async () => {
+        givenDb([dbTodo()]);
+        givenChain([chainTask()]);
 
-    it('should auto-sync task when blockchain says completed but DB says not', async () => {
-      const dbTasks = [
-        { blockchainId: '1', completed: false },
-      ];
+        const report = await syncMonitor.checkChainSync(chainId);
 
-      Todo.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(dbTasks),
-        }),
+        expect(report).toMatchObject({ tasksChecked: 1, missing: 0, drifted: 0, orphaned: 0, repaired: 0 });
+        expect(mockBlockchainService.applyTaskState).not.toHaveBeenCalled();
       });
 
-      const completedAt = BigInt(1700000000);
-      mockBlockchainService.contracts[chainId].getTask.mockResolvedValue({
-        completed: true,
-        completedAt,
+      it('should detect drift in completion, deletion, description and due date', async () => {
+        givenDb([dbTodo()]);
+        givenChain([
+          chainTask({
+            description: 'Buy oat milk',
+            completed: true,
+            completedAt: 1700000100n,
+            deleted: true,
+            deletedAt: 1700000200n,
+            dueDate: 1800000000n,
+          }),
+        ]);
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.drifted).toBe(1);
+        expect(Object.keys(report.items[0].fields).sort()).toEqual([
+          'blockchainCompletedAt',
+          'completed',
+          'deleted',
+          'deletedAt',
+          'description',
+          'dueDate',
+        ]);
+        expect(report.items[0].fields.completed).toEqual({ database: false, blockchain: true });
       });
 
-      await syncMonitor.checkChainSync(chainId);
+      it('should detect drift in priority and tags', async () => {
+        const tag = '0x' + 'AB'.repeat(32);
+        givenDb([dbTodo({ priority: 1, tags: [] })]);
+        givenChain([chainTask({ priority: 3n, tags: [tag] })]);
 
-      expect(mockBlockchainService.syncTaskCompleted).toHaveBeenCalledWith(
-        chainId,
-        BigInt('1'),
-        completedAt,
-      );
-    });
+        const report = await syncMonitor.checkChainSync(chainId);
 
-    it('should log warning for out-of-sync tasks', async () => {
-      const dbTasks = [
-        { blockchainId: '5', completed: false },
-      ];
+        expect(report.items[0].fields).toEqual({
+          priority: { database: 1, blockchain: 3 },
+          tags: { database: [], blockchain: [tag.toLowerCase()] },
+        });
+      });
 
-      Todo.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(dbTasks),
-        }),
+      it('should treat todos stored before priority and tags existed as untagged', async () => {
+        givenDb([dbTodo()]);
+        givenChain([chainTask({ priority: 0n, tags: [] })]);
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.drifted).toBe(0);
       });
 
-      mockBlockchainService.contracts[chainId].getTask.mockResolvedValue({
-        completed: true,
-        completedAt: BigInt(1700000000),
+      it('should detect a task moved between shared lists', async () => {
+        givenDb([dbTodo({ listId: '1' })]);
+        givenChain([chainTask({ listId: 2n })]);
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.items[0].fields).toEqual({
+          listId: { database: '1', blockchain: '2' },
+        });
       });
 
-      await syncMonitor.checkChainSync(chainId);
+      it('should detect a subtask with the wrong parent', async () => {
+        givenDb([dbTodo({ parentId: null })]);
+        givenChain([chainTask({ parentId: 3n })]);
 
-      expect(logger.warn).toHaveBeenCalledWith(
-        expect.stringContaining('out of sync'),
-        expect.objectContaining({
-          database: { completed: false },
-          blockchain: { completed: true },
-        })
-      );
-    });
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.items[0].fields).toEqual({
+          parentId: { database: null, blockchain: '3' },
+        });
+      });
 
-    it('should log sync results when out-of-sync tasks found', async () => {
-      const dbTasks = [
-        { blockchainId: '1', completed: false },
-      ];
+      it('should detect a recurrence rule that was never synced', async () => {
+        givenDb([dbTodo()]);
+        givenChain([chainTask({ recurrence: 2n, seriesId: 1n })]);
 
-      Todo.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(dbTasks),
-        }),
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.items[0].fields).toEqual({
+          recurrence: { database: 'none', blockchain: 'weekly' },
+          seriesId: { database: null, blockchain: '1' },
+        });
       });
 
-      mockBlockchainService.contracts[chainId].getTask.mockResolvedValue({
-        completed: true,
-        completedAt: BigInt(1700000000),
+      it('should detect missing dependencies', async () => {
+        givenDb([dbTodo()]);
+        givenChain([chainTask({ dependencies: [2n, 3n] })]);
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.items[0].fields).toEqual({
+          dependencies: { database: [], blockchain: ['2', '3'] },
+        });
       });
 
-      await syncMonitor.checkChainSync(chainId);
+      it('should detect a bounty and assignee the read model missed', async () => {
+        givenDb([dbTodo()]);
+        givenChain([chainTask({ bounty: 1000n, assignee: '0x1234567890ABCDEF1234567890ABCDEF12345678' })]);
 
-      expect(logger.info).toHaveBeenCalledWith(
-        expect.stringContaining('auto-synced')
-      );
-    });
+        const report = await syncMonitor.checkChainSync(chainId);
 
-    it('should not sync when both DB and blockchain agree', async () => {
-      const dbTasks = [
-        { blockchainId: '1', completed: true },
-      ];
+        expect(report.items[0].fields).toEqual({
+          bounty: { database: '0', blockchain: '1000' },
+          assignee: { database: null, blockchain: '0x1234567890abcdef1234567890abcdef12345678' },
+        });
+      });
 
-      Todo.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(dbTasks),
-        }),
+      it('should detect an assignment proposal the read model missed', async () => {
+        givenDb([dbTodo()]);
+        givenChain([chainTask({ pendingAssignee: '0x1234567890ABCDEF1234567890ABCDEF12345678' })]);
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.items[0].fields).toEqual({
+          pendingAssignee: { database: null, blockchain: '0x1234567890abcdef1234567890abcdef12345678' },
+        });
       });
 
-      mockBlockchainService.contracts[chainId].getTask.mockResolvedValue({
-        completed: true,
+      it('should treat todos stored before shared lists existed as personal', async () => {
+        givenDb([dbTodo()]);
+        givenChain([chainTask({ listId: 0n })]);
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.drifted).toBe(0);
       });
 
-      await syncMonitor.checkChainSync(chainId);
+      it('should compare tags in order', async () => {
+        const [a, b] = ['0x' + 'aa'.repeat(32), '0x' + 'bb'.repeat(32)];
+        givenDb([dbTodo({ tags: [b, a] })]);
+        givenChain([chainTask({ tags: [a, b] })]);
 
-      expect(mockBlockchainService.syncTaskCompleted).not.toHaveBeenCalled();
-    });
+        const report = await syncMonitor.checkChainSync(chainId);
 
-    it('should not call syncTaskCompleted when blockchain is not completed but DB is', async () => {
-      const dbTasks = [
-        { blockchainId: '1', completed: true },
-      ];
+        expect(Object.keys(report.items[0].fields)).toEqual(['tags']);
+      });
 
-      Todo.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(dbTasks),
-        }),
+      it('should compare dates at second precision', async () => {
+        givenDb([dbTodo({ blockchainCreatedAt: new Date(1700000000 * 1000 + 400) })]);
+        givenChain([chainTask()]);
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.drifted).toBe(0);
       });
 
-      mockBlockchainService.contracts[chainId].getTask.mockResolvedValue({
-        completed: false,
+      it('should compare IPFS descriptions by CID', async () => {
+        givenDb([dbTodo({ description: 'Resolved text', ipfsCid: 'QmCid' })]);
+        givenChain([chainTask({ description: 'ipfs://QmCid' })]);
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.drifted).toBe(0);
       });
 
-      await syncMonitor.checkChainSync(chainId);
+      it('should repair drifted tasks from the chain state', async () => {
+        givenDb([dbTodo()]);
+        const task = chainTask({ completed: true, completedAt: 1700000100n });
+        givenChain([task]);
 
-      // Out of sync detected but in the other direction — no auto-sync for this case
-      expect(mockBlockchainService.syncTaskCompleted).not.toHaveBeenCalled();
-    });
+        const report = await syncMonitor.checkChainSync(chainId);
 
-    it('should skip tasks that throw "Task not found" error', async () => {
-      const dbTasks = [
-        { blockchainId: '1', completed: false },
-      ];
+        expect(mockBlockchainService.applyTaskState).toHaveBeenCalledWith(savedTodo, task);
+        expect(savedTodo.save).toHaveBeenCalled();
+        expect(report.repaired).toBe(1);
+        expect(report.items[0]).toMatchObject({ blockchainId: '1', type: 'drift', repaired: true });
+      });
 
-      Todo.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(dbTasks),
-        }),
+      it('should create tasks that exist on chain but not in the database', async () => {
+        givenDb([dbTodo()]);
+        const missing = chainTask({ id: 2n, owner: OTHER });
+        givenChain([chainTask(), missing]);
+        Todo.findByBlockchainId.mockResolvedValue(null);
+        Todo.mockImplementation(function (data) {
+          Object.assign(this, data);
+          this.save = jest.fn().mockResolvedValue(true);
+        });
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(mockBlockchainService.applyTaskState).toHaveBeenCalledWith(
+          expect.objectContaining({ blockchainId: '2', chainId }),
+          missing
+        );
+        expect(report).toMatchObject({ missing: 1, repaired: 1 });
+        expect(report.items[0]).toMatchObject({ blockchainId: '2', type: 'missing', fields: null });
       });
 
-      mockBlockchainService.contracts[chainId].getTask.mockRejectedValue(
-        new Error('Task not found')
-      );
+      it('should report todos that do not exist on chain without removing them', async () => {
+        givenDb([dbTodo({ blockchainId: '9' })]);
 
-      await syncMonitor.checkChainSync(chainId);
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.orphaned).toBe(1);
+        expect(report.items[0]).toMatchObject({ blockchainId: '9', type: 'orphaned' });
+        expect(Todo.deleteMany).not.toHaveBeenCalled();
+      });
+
+      it('should count tasks that could not be read as failed', async () => {
+        givenDb([dbTodo()]);
+        givenChain([null]);
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report).toMatchObject({ tasksChecked: 1, failed: 1, orphaned: 0, repaired: 0 });
+        expect(mockBlockchainService.applyTaskState).not.toHaveBeenCalled();
+      });
 
-      // Should not log as debug for "Task not found" errors
-      expect(logger.debug).not.toHaveBeenCalled();
-      expect(mockBlockchainService.syncTaskCompleted).not.toHaveBeenCalled();
+      it('should count failed repairs', async () => {
+        givenDb([dbTodo()]);
+        givenChain([chainTask({ completed: true, completedAt: 1n })]);
+        mockBlockchainService.applyTaskState.mockRejectedValue(new Error('IPFS down'));
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report).toMatchObject({ drifted: 1, repaired: 0, failed: 1 });
+        expect(logger.error).toHaveBeenCalledWith(
+          expect.stringContaining('Error repairing task 1'),
+          expect.objectContaining({ error: 'IPFS down' })
+        );
+      });
+
+      it('should cap the number of items in the report', async () => {
+        givenChain(Array.from({ length: 60 }, (_, i) => chainTask({ id: BigInt(i + 1) })));
+        Todo.findByBlockchainId.mockResolvedValue(null);
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.missing).toBe(60);
+        expect(report.items).toHaveLength(50);
+      });
     });
 
-    it('should log debug when task check fails with non-"Task not found" error', async () => {
-      const dbTasks = [
-        { blockchainId: '1', completed: false },
-      ];
+    describe('incremental pass', () => {
+      beforeEach(async () => {
+        givenChain([chainTask(), chainTask({ id: 2n }), chainTask({ id: 3n })]);
+        await syncMonitor.checkChainSync(chainId);
+        jest.clearAllMocks();
+        provider.getBlockNumber.mockResolvedValue(110);
+        Todo.find = jest.fn().mockImplementation(() => ({
+          select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) }),
+          lean: jest.fn().mockResolvedValue([]),
+        }));
+      });
 
-      Todo.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(dbTasks),
-        }),
+      it('should only read tasks touched since the previous pass', async () => {
+        provider.getLogs.mockResolvedValue([{ topics: ['0xcompleted'] }]);
+        contract.interface.parseLog.mockReturnValue({
+          fragment: { inputs: [{ name: 'taskId' }, { name: 'owner' }, { name: 'timestamp' }] },
+          args: { taskId: 2n },
+        });
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(report.mode).toBe('incremental');
+        expect(provider.getLogs).toHaveBeenCalledWith({
+          address: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+          fromBlock: 101,
+          toBlock: 110,
+        });
+        expect(reader.callMany).toHaveBeenCalledWith(contract, 'getTask', [[2]]);
+        expect(Todo.find).toHaveBeenCalledWith({ chainId, blockchainId: { $in: ['2'] } });
       });
 
-      mockBlockchainService.contracts[chainId].getTask.mockRejectedValue(
-        new Error('Connection timeout')
-      );
+      it('should ignore logs without a task id', async () => {
+        provider.getLogs.mockResolvedValue([{ topics: ['0xpaused'] }, { topics: ['0xunknown'] }]);
+        contract.interface.parseLog
+          .mockReturnValueOnce({ fragment: { inputs: [{ name: 'by' }, { name: 'timestamp' }] }, args: {} })
+          .mockReturnValueOnce(null);
 
-      await syncMonitor.checkChainSync(chainId);
+        const report = await syncMonitor.checkChainSync(chainId);
 
-      expect(logger.debug).toHaveBeenCalledWith(
-        expect.stringContaining('Could not check task 1'),
-        'Connection timeout'
-      );
+        expect(reader.callMany).toHaveBeenCalledWith(contract, 'getTask', []);
+        expect(report.tasksChecked).toBe(0);
+      });
+
+      it('should read tasks created since the previous pass', async () => {
+        contract.getTotalTaskCount.mockResolvedValue(5n);
+        contract.getTask.mockImplementation((id) => Promise.resolve(chainTask({ id: BigInt(id) })));
+
+        await syncMonitor.checkChainSync(chainId);
+
+        expect(reader.callMany).toHaveBeenCalledWith(contract, 'getTask', [[4], [5]]);
+      });
+
+      it('should re-verify todos written to the database since the previous pass', async () => {
+        const { checkedAt } = syncMonitor.passes[chainId];
+        Todo.find.mockImplementation(() => ({
+          select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([{ blockchainId: '3' }]) }),
+          lean: jest.fn().mockResolvedValue([dbTodo({ blockchainId: '3', completed: true })]),
+        }));
+
+        const report = await syncMonitor.checkChainSync(chainId);
+
+        expect(Todo.find).toHaveBeenCalledWith({ chainId, updatedAt: { $gte: checkedAt } });
+        expect(reader.callMany).toHaveBeenCalledWith(contract, 'getTask', [[3]]);
+        expect(report.drifted).toBe(1);
+      });
+
+      it('should skip the log query when no block was mined', async () => {
+        provider.getBlockNumber.mockResolvedValue(100);
+
+        await syncMonitor.checkChainSync(chainId);
+
+        expect(provider.getLogs).not.toHaveBeenCalled();
+      });
+
+      it('should run a full pass every fullCheckEvery passes', async () => {
+        syncMonitor.fullCheckEvery = 2;
+
+        const first = await syncMonitor.checkChainSync(chainId);
+        const second = await syncMonitor.checkChainSync(chainId);
+        const third = await syncMonitor.checkChainSync(chainId);
+
+        expect([first.mode, second.mode, third.mode]).toEqual(['incremental', 'incremental', 'full']);
+      });
+
+      it('should retry the same range after a failed pass', async () => {
+        provider.getLogs.mockRejectedValueOnce(new Error('timeout'));
+
+        const failed = await syncMonitor.checkChainSync(chainId);
+        await syncMonitor.checkChainSync(chainId);
+
+        expect(failed.error).toBe('timeout');
+        expect(provider.getLogs).toHaveBeenLastCalledWith(expect.objectContaining({ fromBlock: 101 }));
+      });
     });
 
     it('should handle database query errors gracefully', async () => {
       Todo.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockRejectedValue(new Error('DB connection lost')),
-        }),
+        lean: jest.fn().mockRejectedValue(new Error('DB connection lost')),
       });
 
-      await syncMonitor.checkChainSync(chainId);
+      const report = await syncMonitor.checkChainSync(chainId);
 
+      expect(report.error).toBe('DB connection lost');
       expect(logger.error).toHaveBeenCalledWith(
         expect.stringContaining('Error checking sync'),
         expect.objectContaining({
@@ -412,33 +651,12 @@ describe('SyncMonitor', () => {
       );
     });
 
-    it('should handle multiple tasks with mixed sync states', async () => {
-      const dbTasks = [
-        { blockchainId: '1', completed: false },
-        { blockchainId: '2', completed: true },
-        { blockchainId: '3', completed: false },
-      ];
-
-      Todo.find.mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(dbTasks),
-        }),
-      });
-
-      mockBlockchainService.contracts[chainId].getTask
-        .mockResolvedValueOnce({ completed: true, completedAt: BigInt(1700000000) })  // task 1: out of sync
-        .mockResolvedValueOnce({ completed: true })   // task 2: in sync
-        .mockResolvedValueOnce({ completed: false });  // task 3: in sync
-
+    it('should keep the latest report per chain', async () => {
       await syncMonitor.checkChainSync(chainId);
 
-      // Only task 1 should be synced
-      expect(mockBlockchainService.syncTaskCompleted).toHaveBeenCalledTimes(1);
-      expect(mockBlockchainService.syncTaskCompleted).toHaveBeenCalledWith(
-        chainId,
-        BigInt('1'),
-        BigInt(1700000000),
-      );
+      const reports = syncMonitor.getDriftReports();
+      expect(reports[chainId]).toMatchObject({ chainId, tasksChecked: 0 });
+      expect(reports[chainId].checkedAt).toBeInstanceOf(Date);
     });
   });
 });
@@ -0,0 +1,74 @@
+const {
+  MAX_ATTACHMENTS,
+  attachmentType,
+  attachmentError,
+  sanitizeAttachments,
+} = require('../../../src/utils/attachments');
+
+const IMAGE = {
+  type: 'image',
+  name: 'receipt.png',
+  mimeType: 'image/png',
+  size: 2048,
+  cid: 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku',
+};
+const FILE = { ...IMAGE, type: 'file', name: 'notes.pdf', mimeType: 'application/pdf' };
+const LINK = { type: 'link', url: 'https://example.com/list', name: 'Shopping list' };
+
+describe('attachment utilities', () => {
+  afterEach(() => {
+    delete process.env.IPFS_MAX_ATTACHMENT_BYTES;
+  });
+
+  describe('attachmentType', () => {
+    it('should show raster images inline and everything else as files', () => {
+      expect(attachmentType('image/webp')).toBe('image');
+      expect(attachmentType('application/pdf')).toBe('file');
+      expect(attachmentType('image/svg+xml')).toBe('file');
+    });
+  });
+
+  describe('attachmentError', () => {
+    it('should accept files, images and links', () => {
+      expect(attachmentError(IMAGE)).toBeNull();
+      expect(attachmentError(FILE)).toBeNull();
+      expect(attachmentError(LINK)).toBeNull();
+      expect(attachmentError({ type: 'link', url: 'http://example.com' })).toBeNull();
+    });
+
+    it('should reject types, sizes and references outside the limits', () => {
+      expect(attachmentError(null)).toMatch(/object/);
+      expect(attachmentError({ ...IMAGE, type: 'video' })).toMatch(/type must be/);
+      expect(attachmentError({ ...IMAGE, mimeType: 'text/html' })).toMatch(/not allowed/);
+      expect(attachmentError({ ...IMAGE, type: 'file' })).toMatch(/must have type image/);
+      expect(attachmentError({ ...IMAGE, name: ' ' })).toMatch(/name/);
+      expect(attachmentError({ ...IMAGE, size: 0 })).toMatch(/size/);
+      expect(attachmentError({ ...IMAGE, cid: 'QmNotACid' })).toMatch(/cid/);
+      expect(attachmentError({ ...LINK, url: 'ftp://example.com' })).toMatch(/http/);
+      expect(attachmentError({ ...LINK, url: `https://example.com/${'a'.repeat(2048)}` })).toMatch(/2048/);
+    });
+
+    it('should read the size limit from IPFS_MAX_ATTACHMENT_BYTES', () => {
+      process.env.IPFS_MAX_ATTACHMENT_BYTES = '1024';
+
+      expect(attachmentError(IMAGE)).toMatch(/1 to 1024 bytes/);
+    });
+  });
+
+  describe('sanitizeAttachments', () => {
+    it('should keep only valid attachments, trimmed to the stored shape', () => {
+      const attachments = sanitizeAttachments([
+        { ...IMAGE, name: ' receipt.png ', extra: 'dropped' },
+        { type: 'link', url: 'javascript:alert(1)' },
+        { type: 'link', url: 'https://example.com' },
+      ]);
+
+      expect(attachments).toEqual([IMAGE, { type: 'link', url: 'https://example.com', name: null }]);
+    });
+
+    it('should cap the number of attachments', () => {
+      expect(sanitizeAttachments(Array(MAX_ATTACHMENTS + 2).fill(LINK))).toHaveLength(MAX_ATTACHMENTS);
+      expect(sanitizeAttachments('nope')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { CODECS, parseCid, cidForBytes, verifiedContent } = require('../../../src/utils/cid');
+
+// `echo "hello world" | ipfs add` — a UnixFS file in a dag-pb block
+const HELLO_CID = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+const HELLO_BLOCK = Buffer.from('0a120802120c68656c6c6f20776f726c640a180c', 'hex');
+
+describe('cid utilities', () => {
+  describe('parseCid', () => {
+    it('should decode CIDv0 as a dag-pb sha2-256 multihash', () => {
+      const parsed = parseCid(HELLO_CID);
+
+      expect(parsed).toMatchObject({ version: 0, codec: CODECS.dagPb, hashCode: 0x12 });
+      expect(parsed.digest).toEqual(crypto.createHash('sha256').update(HELLO_BLOCK).digest());
+    });
+
+    it('should decode CIDv1 in base32', () => {
+      const bytes = Buffer.from('{"description":"Buy groceries"}');
+
+      const parsed = parseCid(cidForBytes(bytes, CODECS.json));
+
+      expect(parsed).toMatchObject({ version: 1, codec: CODECS.json, hashCode: 0x12 });
+      expect(parsed.digest).toEqual(crypto.createHash('sha256').update(bytes).digest());
+    });
+
+    it('should reject other encodings and malformed CIDs', () => {
+      expect(() => parseCid('zdj7WWeQ43G6JJvLWQWZpyHuAMq6uYWRjkBXFad11vE2LHhQ7')).toThrow('Unsupported CID encoding');
+      expect(() => parseCid('bafy!!')).toThrow('Invalid base32 character');
+      expect(() => parseCid(cidForBytes(Buffer.from('x')).slice(0, -4))).toThrow('Malformed CID');
+    });
+  });
+
+  describe('cidForBytes', () => {
+    it('should build raw CIDv1s by default', () => {
+      expect(cidForBytes(Buffer.from('hello world\n'))).toMatch(/^bafkrei[a-z2-7]{52}$/);
+      expect(cidForBytes(Buffer.from('{}'), CODECS.json)).toMatch(/^bagaaiera[a-z2-7]{52}$/);
+    });
+  });
+
+  describe('verifiedContent', () => {
+    it('should return the bytes of raw and json blocks that match', () => {
+      const bytes = Buffer.from('{"description":"Buy groceries"}');
+
+      expect(verifiedContent(cidForBytes(bytes, CODECS.json), bytes)).toEqual(bytes);
+      expect(verifiedContent(cidForBytes(bytes), bytes)).toEqual(bytes);
+    });
+
+    it('should unwrap the file in a dag-pb block', () => {
+      expect(verifiedContent(HELLO_CID, HELLO_BLOCK).toString()).toBe('hello world\n');
+    });
+
+    it('should reject blocks that do not match the CID', () => {
+      const cid = cidForBytes(Buffer.from('{"description":"Buy groceries"}'), CODECS.json);
+
+      expect(() => verifiedContent(cid, Buffer.from('{"description":"Sell groceries"}')))
+        .toThrow(`Content does not match CID ${cid}`);
+      expect(() => verifiedContent(HELLO_CID, Buffer.from('hello world\n'))).toThrow('does not match');
+    });
+
+    it('should refuse files spanning several blocks', () => {
+      // PBNode with a single link and an empty UnixFS file
+      const link = Buffer.from([0x12, 0x02, 0x18, 0x01]);
+      const data = Buffer.from([0x0a, 0x02, 0x08, 0x02]);
+      const block = Buffer.concat([link, data]);
+      const cid = cidForBytes(block, CODECS.dagPb);
+
+      expect(() => verifiedContent(cid, block)).toThrow('several blocks');
+    });
+
+    it('should refuse codecs it cannot read', () => {
+      const bytes = Buffer.from([0xa0]);
+      const cid = cidForBytes(bytes, 0x71); // dag-cbor
+
+      expect(() => verifiedContent(cid, bytes)).toThrow('Unsupported CID codec 0x71');
+    });
+  });
+});
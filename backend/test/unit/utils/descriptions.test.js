@@ -0,0 +1,28 @@
+const {
+  maxDescriptionLength,
+  envelopeContentType,
+} = require('../../../src/utils/descriptions');
+
+describe('description utilities', () => {
+  describe('maxDescriptionLength', () => {
+    it('should keep the contract limit for on-chain descriptions', () => {
+      expect(maxDescriptionLength(false)).toBe(500);
+    });
+
+    it('should allow longer descriptions pinned to IPFS', () => {
+      expect(maxDescriptionLength(true)).toBe(10000);
+    });
+  });
+
+  describe('envelopeContentType', () => {
+    it('should read the content type of an envelope', () => {
+      expect(envelopeContentType({ description: '# Plan', contentType: 'text/markdown' })).toBe('text/markdown');
+    });
+
+    it('should fall back to plain text', () => {
+      expect(envelopeContentType({ description: 'Plan' })).toBe('text/plain');
+      expect(envelopeContentType({ description: '<b>Plan</b>', contentType: 'text/html' })).toBe('text/plain');
+      expect(envelopeContentType(null)).toBe('text/plain');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { ethers } = require('ethers');
+const {
+  parseSiweMessage,
+  validateSiweMessage,
+  allowedDomains,
+} = require('../../../src/utils/siwe');
+
+describe('SIWE Utility', () => {
+  const ADDRESS = ethers.getAddress('0xabcdef1234567890123456789012345678901234');
+  const NOW = new Date('2026-01-30T12:00:00.000Z');
+
+  const LINES = [
+    'localhost:3000 wants you to sign in with your Ethereum account:',
+    ADDRESS,
+    '',
+    'Sign in to the Todo App.',
+    '',
+    'URI: http://localhost:3000',
+    'Version: 1',
+    'Chain ID: 31337',
+    'Nonce: abcdef0123456789',
+    'Issued At: 2026-01-30T12:00:00.000Z',
+    'Expiration Time: 2026-01-30T12:05:00.000Z',
+  ];
+
+  const message = (lines = LINES) => lines.join('\n');
+  const replaceLine = (index, line) => message(LINES.map((l, i) => (i === index ? line : l)));
+
+  describe('parseSiweMessage', () => {
+    it('should parse every field of a message', () => {
+      expect(parseSiweMessage(message())).toEqual({
+        domain: 'localhost:3000',
+        address: ADDRESS,
+        statement: 'Sign in to the Todo App.',
+        uri: 'http://localhost:3000',
+        version: '1',
+        chainId: 31337,
+        nonce: 'abcdef0123456789',
+        issuedAt: '2026-01-30T12:00:00.000Z',
+        expirationTime: '2026-01-30T12:05:00.000Z',
+        notBefore: null,
+        requestId: null,
+        resources: [],
+      });
+    });
+
+    it('should parse a message without a statement and with resources', () => {
+      const lines = [
+        ...LINES.slice(0, 3),
+        ...LINES.slice(4),
+        'Request ID: login-1',
+        'Resources:',
+        '- ipfs://bafy',
+        '- https://example.com/terms',
+      ];
+
+      const fields = parseSiweMessage(message(lines));
+
+      expect(fields.statement).toBeNull();
+      expect(fields.requestId).toBe('login-1');
+      expect(fields.resources).toEqual(['ipfs://bafy', 'https://example.com/terms']);
+    });
+
+    it.each([
+      ['a non-string', 42],
+      ['a plain text message', 'Login to Todo App - Nonce: 12345'],
+      ['a bad header', replaceLine(0, 'localhost:3000 wants you to sign in:')],
+      ['a bad domain', replaceLine(0, 'https://localhost wants you to sign in with your Ethereum account:')],
+      ['a bad address', replaceLine(1, '0x1234')],
+      ['a missing required field', message(LINES.filter((l) => !l.startsWith('Version')))],
+      ['fields out of order', message([...LINES.slice(0, 5), LINES[6], LINES[5], ...LINES.slice(7)])],
+      ['an unsupported version', replaceLine(6, 'Version: 2')],
+      ['a non-numeric chain ID', replaceLine(7, 'Chain ID: mainnet')],
+      ['a short nonce', replaceLine(8, 'Nonce: abc')],
+      ['a non-alphanumeric nonce', replaceLine(8, 'Nonce: abcdef-0123456789')],
+      ['a bad date', replaceLine(9, 'Issued At: yesterday')],
+      ['a bad URI', replaceLine(5, 'URI: not a uri')],
+      ['trailing text', `${message()}\nP.S. hello`],
+    ])('should reject %s', (_, text) => {
+      expect(parseSiweMessage(text)).toBeNull();
+    });
+  });
+
+  describe('validateSiweMessage', () => {
+    const options = {
+      address: ADDRESS.toLowerCase(),
+      domains: ['localhost:3000'],
+      chainIds: [31337],
+      now: NOW,
+    };
+    const validate = (overrides = {}, opts = {}) =>
+      validateSiweMessage({ ...parseSiweMessage(message()), ...overrides }, { ...options, ...opts });
+
+    it('should accept a message that matches', () => {
+      expect(validate()).toBeNull();
+    });
+
+    it('should require a checksummed address', () => {
+      expect(validate({ address: ADDRESS.toLowerCase() })).toBe('Address must be checksummed');
+    });
+
+    it('should require the address the client signs in as', () => {
+      expect(validate({}, { address: '0x1111111111111111111111111111111111111111' }))
+        .toBe('Message address does not match');
+    });
+
+    it('should bind the message to the allowed domains', () => {
+      expect(validate({ domain: 'evil.example', uri: 'https://evil.example' }))
+        .toBe('Message domain is not allowed');
+      expect(validate({ uri: 'https://evil.example/login' }))
+        .toBe('Message URI does not match its domain');
+    });
+
+    it('should require a supported chain', () => {
+      expect(validate({ chainId: 1 })).toBe('Unsupported chain');
+    });
+
+    it('should check the validity window', () => {
+      expect(validate({ issuedAt: '2026-01-30T12:05:00.000Z' })).toBe('Message issued in the future');
+      expect(validate({ issuedAt: '2026-01-30T12:00:30.000Z' })).toBeNull();
+      expect(validate({}, { now: new Date('2026-01-30T12:05:00.000Z') })).toBe('Message has expired');
+      expect(validate({ notBefore: '2026-01-30T12:01:00.000Z' })).toBe('Message is not valid yet');
+    });
+  });
+
+  describe('allowedDomains', () => {
+    afterEach(() => {
+      delete process.env.SIWE_DOMAIN;
+      delete process.env.CORS_ORIGIN;
+    });
+
+    it('should read SIWE_DOMAIN', () => {
+      process.env.SIWE_DOMAIN = 'todo.example, localhost:5173';
+      process.env.CORS_ORIGIN = 'http://localhost:3000';
+
+      expect(allowedDomains()).toEqual(['todo.example', 'localhost:5173']);
+    });
+
+    it('should fall back to the CORS origins', () => {
+      process.env.CORS_ORIGIN = 'http://localhost:5173,https://todo.example';
+
+      expect(allowedDomains()).toEqual(['localhost:5173', 'todo.example']);
+    });
+
+    it('should default to the default CORS origin', () => {
+      expect(allowedDomains()).toEqual(['localhost:3000']);
+    });
+
+    it('should allow no domain when CORS accepts any origin', () => {
+      process.env.CORS_ORIGIN = '*';
+
+      expect(allowedDomains()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/**
+ * @title Multicall3
+ * @dev Minimal aggregator compatible with the canonical Multicall3 deployment
+ *      (0xcA11bde05977b3631167028862bE2a173976CA11)
+ * @notice Public networks already have Multicall3 at the canonical address.
+ *         This copy is deployed on local Hardhat networks so the backend can
+ *         batch view calls the same way everywhere.
+ */
+contract Multicall3 {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /**
+     * @dev Execute a batch of calls, optionally tolerating individual failures
+     * @param calls The calls to execute in order
+     * @return returnData The success flag and return data of each call
+     */
+    function aggregate3(Call3[] calldata calls)
+        external
+        payable
+        returns (Result[] memory returnData)
+    {
+        uint256 length = calls.length;
+        returnData = new Result[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            Call3 calldata call = calls[i];
+            Result memory result = returnData[i];
+            (result.success, result.returnData) = call.target.call(call.callData);
+            require(call.allowFailure || result.success, "Multicall3: call failed");
+        }
+    }
+
+    /**
+     * @dev Get the current block number
+     * @return blockNumber The number of the block the call is executed in
+     */
+    function getBlockNumber() external view returns (uint256 blockNumber) {
+        blockNumber = block.number;
+    }
+}
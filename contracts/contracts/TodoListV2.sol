@@ -6,6 +6,15 @@ import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "./libraries/TaskMetadata.sol";
+import "./libraries/SharedLists.sol";
+import "./libraries/SignedRequests.sol";
+import "./libraries/TaskTree.sol";
+import "./libraries/TaskRecurrence.sol";
+import "./libraries/TaskDependencies.sol";
+import "./libraries/TaskBounties.sol";
+import "./libraries/TaskAssignment.sol";
 
 /**
  * @title TodoListV2
@@ -14,9 +23,18 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
  *   - UUPS Upgradeability Pattern
  *   - Role-Based Access Control (RBAC)
  *   - Circuit Breaker Pattern
- *   - Pull Payment Pattern for future features
+ *   - Pull Payment Pattern for bounty payouts
  *   - Meta-transaction support with nonce tracking
  *   - Emergency withdrawal mechanism
+ *   - Task priority levels and tags (3.0.0)
+ *   - Shared task lists with viewer/editor roles (3.1.0)
+ *   - Gasless task actions through EIP-712 signed requests (3.2.0)
+ *   - Batch create, complete and delete (3.3.0)
+ *   - Subtasks nested under a parent task (3.4.0)
+ *   - Recurring tasks that create their next occurrence on completion (3.5.0)
+ *   - Task dependencies that block completion until prerequisites are done (3.6.0)
+ *   - ETH bounties paid to a task's assignee when the owner completes it (3.7.0)
+ *   - Task assignment that the assignee accepts or rejects (3.8.0)
  * 
  * Security Features:
  *   - Reentrancy protection
@@ -24,12 +42,18 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
  *   - Rate limiting per user
  *   - Granular access controls (ADMIN, MODERATOR, UPGRADER roles)
  *   - Emergency circuit breaker
+ *
+ * Feature rules live in the external libraries under ./libraries, which must be
+ * deployed and linked before this contract (see scripts/libraries.js).
+ *
+ * @custom:oz-upgrades-unsafe-allow external-library-linking
  */
 contract TodoListV2 is 
     Initializable,
     ReentrancyGuardUpgradeable,
     PausableUpgradeable,
     AccessControlUpgradeable,
+    EIP712Upgradeable,
     UUPSUpgradeable 
 {
     // ============ Role Definitions ============
@@ -48,8 +72,77 @@ contract TodoListV2 is
         uint256 completedAt;
         uint256 deletedAt;
         uint256 dueDate;
+        // Appended in 3.0.0; tasks created before the upgrade read as 0 / []
+        uint8 priority;
+        bytes32[] tags;
+        // Appended in 3.1.0; 0 means the task is not in a shared list
+        uint256 listId;
+        // Appended in 3.4.0; 0 means a top-level task
+        uint256 parentId;
+        // Appended in 3.5.0; seriesId is the first task of a recurring series, 0 if never recurring
+        Recurrence recurrence;
+        uint256 recurrenceInterval;
+        uint256 seriesId;
+        // Appended in 3.6.0; tasks that must be completed (or deleted) first
+        uint256[] dependencies;
+        // Appended in 3.7.0; bounty is held in escrow until the task is completed or deleted
+        uint256 bounty;
+        address assignee;
+        // Appended in 3.8.0; proposed assignee until they accept or reject
+        address pendingAssignee;
     }
 
+    // ============ Task Metadata Limits ============
+    uint8 public constant MAX_PRIORITY = TaskMetadata.MAX_PRIORITY;
+    uint256 public constant MAX_TAGS_PER_TASK = TaskMetadata.MAX_TAGS_PER_TASK;
+
+    // ============ Shared Lists ============
+    // Owner is held only by the list creator and cannot be granted
+    enum ListRole { None, Viewer, Editor, Owner }
+
+    struct TaskList {
+        uint256 id;
+        address owner;
+        string name;
+        uint256 createdAt;
+    }
+
+    uint256 public constant MAX_LIST_NAME_LENGTH = SharedLists.MAX_LIST_NAME_LENGTH;
+
+    // ============ Subtasks ============
+    uint256 public constant MAX_TASK_DEPTH = TaskTree.MAX_TASK_DEPTH;
+
+    // ============ Recurring Tasks ============
+    // Interval repeats every recurrenceInterval seconds; Monthly keeps the day
+    // of the month, clamped to the month's last day
+    enum Recurrence { None, Daily, Weekly, Monthly, Interval }
+
+    uint256 public constant MIN_RECURRENCE_INTERVAL = TaskRecurrence.MIN_RECURRENCE_INTERVAL;
+    uint256 public constant MAX_RECURRENCE_INTERVAL = TaskRecurrence.MAX_RECURRENCE_INTERVAL;
+
+    // ============ Task Dependencies ============
+    uint256 public constant MAX_DEPENDENCIES_PER_TASK = TaskDependencies.MAX_DEPENDENCIES_PER_TASK;
+    uint256 public constant MAX_DEPENDENCY_SEARCH = TaskDependencies.MAX_DEPENDENCY_SEARCH;
+
+    // ============ Meta-Transactions ============
+    // Signed requests use the EIP-712 domain { name: "TodoListV2", version: "1" }.
+    // `user` is the signer the action is performed for; `nonce` is nonces[user].
+    bytes32 public constant CREATE_TASK_TYPEHASH = keccak256(
+        "CreateTask(address user,string description,uint256 dueDate,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant COMPLETE_TASK_TYPEHASH = keccak256(
+        "CompleteTask(address user,uint256 taskId,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant DELETE_TASK_TYPEHASH = keccak256(
+        "DeleteTask(address user,uint256 taskId,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant RESTORE_TASK_TYPEHASH = keccak256(
+        "RestoreTask(address user,uint256 taskId,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant UPDATE_TASK_TYPEHASH = keccak256(
+        "UpdateTask(address user,uint256 taskId,string newDescription,uint256 nonce,uint256 deadline)"
+    );
+
     // ============ State Variables ============
     uint256 private taskCounter;
     mapping(uint256 => Task) private tasks;
@@ -67,19 +160,50 @@ contract TodoListV2 is
     bool public circuitBreakerActive;
     uint256 public circuitBreakerTimestamp;
 
-    // Pull payment balances (for future payment features)
+    // Pull payment balances, credited by bounty payouts and refunds
     mapping(address => uint256) private pendingWithdrawals;
     uint256 public totalPendingWithdrawals;
 
     // Meta-transaction nonce tracking
     mapping(address => uint256) public nonces;
 
+    // Shared lists (3.1.0)
+    uint256 private listCounter;
+    mapping(uint256 => TaskList) private lists;
+    mapping(uint256 => mapping(address => ListRole)) private listRoles;
+    mapping(address => uint256[]) private memberLists;
+    mapping(uint256 => mapping(address => bool)) private everListMember;
+
+    // Subtasks (3.4.0): direct children of each task, in creation order
+    mapping(uint256 => uint256[]) private subtasks;
+
+    // Bounties (3.7.0): ETH held for open tasks, not yet queued for withdrawal
+    uint256 public totalBounties;
+
     // ============ Events ============
     event TaskCreated(uint256 indexed taskId, address indexed owner, string description, uint256 timestamp, uint256 dueDate);
+    // Emitted instead of TaskCreated for tasks created under a parent
+    event SubtaskCreated(uint256 indexed taskId, uint256 indexed parentId, address indexed owner, string description, uint256 timestamp, uint256 dueDate);
     event TaskUpdated(uint256 indexed taskId, address indexed owner, string oldDescription, string newDescription, uint256 timestamp);
     event TaskCompleted(uint256 indexed taskId, address indexed owner, uint256 timestamp);
     event TaskDeleted(uint256 indexed taskId, address indexed owner, uint256 timestamp);
     event TaskRestored(uint256 indexed taskId, address indexed owner, uint256 timestamp);
+    event TaskTagged(uint256 indexed taskId, address indexed owner, bytes32[] tags, uint256 timestamp);
+    event TaskPriorityChanged(uint256 indexed taskId, address indexed owner, uint8 oldPriority, uint8 newPriority, uint256 timestamp);
+    event TaskListChanged(uint256 indexed taskId, address indexed owner, uint256 oldListId, uint256 newListId, uint256 timestamp);
+    event TaskRecurrenceChanged(uint256 indexed taskId, address indexed owner, Recurrence recurrence, uint256 interval, uint256 timestamp);
+    event TaskRecurred(uint256 indexed taskId, uint256 indexed nextTaskId, uint256 indexed seriesId, uint256 dueDate, uint256 timestamp);
+    event TaskDependenciesChanged(uint256 indexed taskId, address indexed owner, uint256[] dependencies, uint256 timestamp);
+    // Emitted when an assignment is accepted, or cleared (assignee 0) by the owner
+    event TaskAssigned(uint256 indexed taskId, address indexed owner, address indexed assignee, uint256 timestamp);
+    event TaskAssignmentProposed(uint256 indexed taskId, address indexed owner, address indexed assignee, uint256 timestamp);
+    event TaskAssignmentRejected(uint256 indexed taskId, address indexed assignee, uint256 timestamp);
+    // bounty is the task's new total; 0 once it has been refunded to the owner
+    event TaskBountyChanged(uint256 indexed taskId, address indexed owner, uint256 bounty, uint256 timestamp);
+    event TaskBountyReleased(uint256 indexed taskId, address indexed assignee, uint256 amount, uint256 timestamp);
+
+    event ListCreated(uint256 indexed listId, address indexed owner, string name, uint256 timestamp);
+    event ListMemberUpdated(uint256 indexed listId, address indexed member, ListRole role, uint256 timestamp);
     
     event ContractPaused(address indexed by, uint256 timestamp);
     event ContractUnpaused(address indexed by, uint256 timestamp);
@@ -95,33 +219,124 @@ contract TodoListV2 is
     event RoleGrantedByAdmin(bytes32 indexed role, address indexed account, address indexed sender);
     event RoleRevokedByAdmin(bytes32 indexed role, address indexed account, address indexed sender);
 
+    // ============ Errors ============
+    error TaskNotFound();
+    error TaskIsDeleted();
+    error TaskNotDeleted();
+    error TaskAlreadyCompleted();
+    error NotTaskOwner();
+    // Not the task owner, nor an editor of its list (nor its assignee, when completing)
+    error NotTaskEditor();
+    error EmptyDescription();
+    error DescriptionTooLong();
+    error TaskLimitReached();
+    error DueDateInPast();
+    error RateLimited();
+    error OperationsSuspended();
+    error CircuitBreakerAlreadyActive();
+    error CircuitBreakerNotActive();
+    error CooldownTooLong();
+    error MaxTasksTooLow();
+    error MaxTasksTooHigh();
+    error InvalidRecipient();
+    error NoPendingWithdrawal();
+    error NoFundsToWithdraw();
+    error WithdrawalFailed();
+    error SignatureExpired();
+    error InvalidSignature();
+
+    error InvalidPriority();
+    error PriorityUnchanged();
+    error TooManyTags();
+    error InvalidTag();
+    error DuplicateTag();
+
+    error ListNotFound();
+    error NotListOwner();
+    error NotListEditor();
+    error EmptyListName();
+    error ListNameTooLong();
+    error InvalidMember();
+    error CannotChangeOwnerRole();
+    error InvalidRole();
+    error RoleUnchanged();
+    error TaskAlreadyInList();
+
+    error ArrayLengthMismatch();
+    error EmptyBatch();
+    error BatchTooLarge();
+
+    error MaxDepthReached();
+
+    error RecurrenceRequired();
+    error InvalidRecurrenceInterval();
+    // An interval was given for a recurrence other than Recurrence.Interval
+    error IntervalNotAllowed();
+
+    error TaskBlocked();
+    error TooManyDependencies();
+    error SelfDependency();
+    error DependencyNotFound();
+    error DependencyDeleted();
+    error DuplicateDependency();
+    error DependencyCycle();
+    error DependencyGraphTooLarge();
+
+    // Only the owner can complete a task with a bounty
+    error BountyNeedsOwner();
+    error ZeroBounty();
+    error NoBounty();
+    // The bounty is promised to the assignee until the task is completed
+    error BountyAssigned();
+
+    error CannotAssignOwner();
+    error AlreadyAssigned();
+    error NoPendingAssignment();
+
     // ============ Modifiers ============
     modifier taskExists(uint256 _taskId) {
-        require(tasks[_taskId].id != 0, "Task does not exist");
+        _requireTaskExists(_taskId);
         _;
     }
 
     modifier onlyTaskOwner(uint256 _taskId) {
-        require(tasks[_taskId].owner == msg.sender, "Not task owner");
+        _requireTaskOwner(_taskId);
+        _;
+    }
+
+    // The task owner, or an editor/owner of the shared list the task is in
+    modifier onlyTaskEditor(uint256 _taskId) {
+        _requireTaskEditor(_taskId, msg.sender);
+        _;
+    }
+
+    modifier onlyTaskCompleter(uint256 _taskId) {
+        _requireTaskCompleter(_taskId, msg.sender);
+        _;
+    }
+
+    modifier listExists(uint256 _listId) {
+        _requireListExists(_listId);
+        _;
+    }
+
+    modifier onlyListOwner(uint256 _listId) {
+        if (lists[_listId].owner != msg.sender) revert NotListOwner();
         _;
     }
 
     modifier rateLimited() {
-        require(
-            block.timestamp >= lastActionTimestamp[msg.sender] + actionCooldown,
-            "Rate limit: please wait before next action"
-        );
-        lastActionTimestamp[msg.sender] = block.timestamp;
+        _rateLimit(msg.sender);
         _;
     }
 
     modifier circuitBreakerCheck() {
-        require(!circuitBreakerActive, "Circuit breaker active: contract operations suspended");
+        _requireCircuitBreakerInactive();
         _;
     }
 
     modifier notDeleted(uint256 _taskId) {
-        require(!tasks[_taskId].deleted, "Task has been deleted");
+        _requireNotDeleted(_taskId);
         _;
     }
 
@@ -139,6 +354,7 @@ contract TodoListV2 is
         __ReentrancyGuard_init();
         __Pausable_init();
         __AccessControl_init();
+        __EIP712_init("TodoListV2", "1");
         __UUPSUpgradeable_init();
 
         // Set up roles
@@ -153,6 +369,16 @@ contract TodoListV2 is
         circuitBreakerActive = false;
     }
 
+    /**
+     * @dev Set up the EIP-712 domain on proxies deployed before 3.2.0
+     * @notice Call once as part of the upgrade; new deployments set it up in initialize
+     */
+    function initializeEIP712() external reinitializer(2) {
+        // initialize already set the domain up on proxies deployed since 3.2.0
+        if (bytes(_EIP712Name()).length != 0) revert InvalidInitialization();
+        __EIP712_init("TodoListV2", "1");
+    }
+
     // ============ Core Task Functions ============
     /**
      * @dev Create a new task
@@ -168,33 +394,66 @@ contract TodoListV2 is
         rateLimited
         returns (uint256)
     {
-        require(bytes(_description).length > 0, "Description cannot be empty");
-        require(bytes(_description).length <= 500, "Description too long");
-        require(userTaskCount[msg.sender] < maxTasksPerUser, "Maximum tasks limit reached");
-        if (_dueDate > 0) {
-            require(_dueDate > block.timestamp, "Due date must be in the future");
-        }
+        return _createTask(msg.sender, _description, _dueDate, 0);
+    }
+
+    /**
+     * @dev Create a new task with a priority and tags in one transaction
+     * @param _description The description of the task
+     * @param _dueDate Optional due date timestamp (0 for no due date)
+     * @param _priority Priority level, 0 (none) to MAX_PRIORITY
+     * @param _tags Up to MAX_TAGS_PER_TASK distinct, non-zero tag hashes
+     * @return taskId The ID of the created task
+     */
+    function createTaskWithDetails(
+        string memory _description,
+        uint256 _dueDate,
+        uint8 _priority,
+        bytes32[] calldata _tags
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        returns (uint256)
+    {
+        uint256 taskId = _createTask(msg.sender, _description, _dueDate, 0);
+
+        TaskMetadata.setDetails(tasks[taskId], _priority, _tags);
+
+        return taskId;
+    }
+
+    function _createTask(address _owner, string memory _description, uint256 _dueDate, uint256 _parentId)
+        internal
+        returns (uint256)
+    {
+        _checkDescription(_description);
+        if (userTaskCount[_owner] >= maxTasksPerUser) revert TaskLimitReached();
+        if (_dueDate != 0 && _dueDate <= block.timestamp) revert DueDateInPast();
 
         taskCounter++;
         uint256 taskId = taskCounter;
 
-        Task memory newTask = Task({
-            id: taskId,
-            owner: msg.sender,
-            description: _description,
-            completed: false,
-            deleted: false,
-            createdAt: block.timestamp,
-            completedAt: 0,
-            deletedAt: 0,
-            dueDate: _dueDate
-        });
+        // A new ID's slot is empty, so only the fields that are set need writing
+        Task storage task = tasks[taskId];
+        task.id = taskId;
+        task.owner = _owner;
+        task.description = _description;
+        task.createdAt = block.timestamp;
+        task.dueDate = _dueDate;
+        task.parentId = _parentId;
 
-        tasks[taskId] = newTask;
-        userTasks[msg.sender].push(taskId);
-        userTaskCount[msg.sender]++;
+        userTasks[_owner].push(taskId);
+        userTaskCount[_owner]++;
 
-        emit TaskCreated(taskId, msg.sender, _description, block.timestamp, _dueDate);
+        if (_parentId != 0) {
+            subtasks[_parentId].push(taskId);
+            emit SubtaskCreated(taskId, _parentId, _owner, _description, block.timestamp, _dueDate);
+        } else {
+            emit TaskCreated(taskId, _owner, _description, block.timestamp, _dueDate);
+        }
 
         return taskId;
     }
@@ -210,15 +469,30 @@ contract TodoListV2 is
         circuitBreakerCheck
         rateLimited
         taskExists(_taskId)
-        onlyTaskOwner(_taskId)
+        onlyTaskCompleter(_taskId)
         notDeleted(_taskId)
     {
-        require(!tasks[_taskId].completed, "Task already completed");
+        _completeTask(_taskId, msg.sender);
+    }
+
+    function _completeTask(uint256 _taskId, address _account) internal {
+        _requireOpen(_taskId);
+        if (TaskDependencies.isBlocked(tasks, _taskId)) revert TaskBlocked();
+        // Completing the task is the owner's sign-off on the assignee's work
+        if (tasks[_taskId].bounty != 0 && _account != tasks[_taskId].owner) revert BountyNeedsOwner();
 
         tasks[_taskId].completed = true;
         tasks[_taskId].completedAt = block.timestamp;
 
-        emit TaskCompleted(_taskId, msg.sender, block.timestamp);
+        emit TaskCompleted(_taskId, _account, block.timestamp);
+
+        if (tasks[_taskId].bounty > 0) {
+            _settleBounty(_taskId);
+        }
+
+        if (tasks[_taskId].recurrence != Recurrence.None) {
+            _createNextOccurrence(_taskId);
+        }
     }
 
     /**
@@ -232,14 +506,22 @@ contract TodoListV2 is
         circuitBreakerCheck
         rateLimited
         taskExists(_taskId)
-        onlyTaskOwner(_taskId)
+        onlyTaskEditor(_taskId)
         notDeleted(_taskId)
     {
+        _deleteTask(_taskId, msg.sender);
+    }
+
+    function _deleteTask(uint256 _taskId, address _account) internal {
         tasks[_taskId].deleted = true;
         tasks[_taskId].deletedAt = block.timestamp;
-        userTaskCount[msg.sender]--;
+        userTaskCount[tasks[_taskId].owner]--;
 
-        emit TaskDeleted(_taskId, msg.sender, block.timestamp);
+        emit TaskDeleted(_taskId, _account, block.timestamp);
+
+        if (tasks[_taskId].bounty > 0) {
+            _settleBounty(_taskId);
+        }
     }
 
     /**
@@ -252,15 +534,19 @@ contract TodoListV2 is
         whenNotPaused
         circuitBreakerCheck
         taskExists(_taskId)
-        onlyTaskOwner(_taskId)
+        onlyTaskEditor(_taskId)
     {
-        require(tasks[_taskId].deleted, "Task is not deleted");
+        _restoreTask(_taskId, msg.sender);
+    }
+
+    function _restoreTask(uint256 _taskId, address _account) internal {
+        if (!tasks[_taskId].deleted) revert TaskNotDeleted();
 
         tasks[_taskId].deleted = false;
         tasks[_taskId].deletedAt = 0;
-        userTaskCount[msg.sender]++;
+        userTaskCount[tasks[_taskId].owner]++;
 
-        emit TaskRestored(_taskId, msg.sender, block.timestamp);
+        emit TaskRestored(_taskId, _account, block.timestamp);
     }
 
     /**
@@ -275,16 +561,707 @@ contract TodoListV2 is
         circuitBreakerCheck
         rateLimited
         taskExists(_taskId)
-        onlyTaskOwner(_taskId)
+        onlyTaskEditor(_taskId)
         notDeleted(_taskId)
     {
-        require(bytes(_newDescription).length > 0, "Description cannot be empty");
-        require(bytes(_newDescription).length <= 500, "Description too long");
+        _updateTask(_taskId, _newDescription, msg.sender);
+    }
+
+    function _updateTask(uint256 _taskId, string memory _newDescription, address _account) internal {
+        _checkDescription(_newDescription);
 
         string memory oldDescription = tasks[_taskId].description;
         tasks[_taskId].description = _newDescription;
 
-        emit TaskUpdated(_taskId, msg.sender, oldDescription, _newDescription, block.timestamp);
+        emit TaskUpdated(_taskId, _account, oldDescription, _newDescription, block.timestamp);
+    }
+
+    /**
+     * @dev Change the priority of a task
+     * @param _taskId The ID of the task to update
+     * @param _priority New priority level, 0 (none) to MAX_PRIORITY
+     */
+    function setTaskPriority(uint256 _taskId, uint8 _priority)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        taskExists(_taskId)
+        onlyTaskEditor(_taskId)
+        notDeleted(_taskId)
+    {
+        if (tasks[_taskId].priority == _priority) revert PriorityUnchanged();
+        TaskMetadata.setPriority(tasks[_taskId], _priority);
+    }
+
+    /**
+     * @dev Replace the tags of a task
+     * @param _taskId The ID of the task to update
+     * @param _tags Up to MAX_TAGS_PER_TASK distinct, non-zero tag hashes (empty clears)
+     */
+    function setTaskTags(uint256 _taskId, bytes32[] calldata _tags)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        taskExists(_taskId)
+        onlyTaskEditor(_taskId)
+        notDeleted(_taskId)
+    {
+        TaskMetadata.setTags(tasks[_taskId], _tags);
+    }
+
+    // ============ Batch Task Functions ============
+    // Each batch is one transaction and counts once against the rate limit; a
+    // failing item reverts the whole batch.
+
+    /**
+     * @dev Create several tasks at once
+     * @param _descriptions Descriptions of the tasks
+     * @param _dueDates Due date of each task (0 for no due date), same length as _descriptions
+     * @return taskIds The IDs of the created tasks, in input order
+     */
+    function batchCreateTasks(string[] memory _descriptions, uint256[] calldata _dueDates)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        returns (uint256[] memory)
+    {
+        if (_descriptions.length != _dueDates.length) revert ArrayLengthMismatch();
+        _checkBatchSize(_descriptions.length);
+
+        uint256[] memory taskIds = new uint256[](_descriptions.length);
+        for (uint256 i = 0; i < _descriptions.length; i++) {
+            taskIds[i] = _createTask(msg.sender, _descriptions[i], _dueDates[i], 0);
+        }
+
+        return taskIds;
+    }
+
+    /**
+     * @dev Mark several tasks as completed
+     * @param _taskIds IDs of the tasks; each must be editable by the caller and not yet completed
+     */
+    function batchCompleteTasks(uint256[] calldata _taskIds)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+    {
+        _checkBatchSize(_taskIds.length);
+
+        for (uint256 i = 0; i < _taskIds.length; i++) {
+            _requireActiveTask(_taskIds[i]);
+            _requireTaskCompleter(_taskIds[i], msg.sender);
+            _completeTask(_taskIds[i], msg.sender);
+        }
+    }
+
+    /**
+     * @dev Soft delete several tasks
+     * @param _taskIds IDs of the tasks; each must be editable by the caller and not yet deleted
+     */
+    function batchDeleteTasks(uint256[] calldata _taskIds)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+    {
+        _checkBatchSize(_taskIds.length);
+
+        for (uint256 i = 0; i < _taskIds.length; i++) {
+            _requireActiveTaskEditor(_taskIds[i], msg.sender);
+            _deleteTask(_taskIds[i], msg.sender);
+        }
+    }
+
+    function _checkBatchSize(uint256 _size) internal view {
+        if (_size == 0) revert EmptyBatch();
+        if (_size > maxTasksPerUser) revert BatchTooLarge();
+    }
+
+    // Per-item equivalent of taskExists, notDeleted and onlyTaskEditor
+    function _requireActiveTaskEditor(uint256 _taskId, address _account) internal view {
+        _requireActiveTask(_taskId);
+        _requireTaskEditor(_taskId, _account);
+    }
+
+    function _requireActiveTask(uint256 _taskId) internal view {
+        _requireTaskExists(_taskId);
+        _requireNotDeleted(_taskId);
+    }
+
+    // ============ Subtask Functions ============
+    /**
+     * @dev Create a subtask under an existing task; the caller owns the subtask
+     * @param _parentId The ID of a task the caller can edit, at most MAX_TASK_DEPTH - 1 levels deep
+     * @param _description The description of the subtask
+     * @param _dueDate Optional due date timestamp (0 for no due date)
+     * @return taskId The ID of the created subtask
+     * @notice The subtask joins the parent's shared list, if any
+     */
+    function createSubtask(uint256 _parentId, string memory _description, uint256 _dueDate)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        taskExists(_parentId)
+        onlyTaskEditor(_parentId)
+        notDeleted(_parentId)
+        returns (uint256)
+    {
+        TaskTree.checkDepth(tasks, _parentId);
+
+        uint256 taskId = _createTask(msg.sender, _description, _dueDate, _parentId);
+
+        uint256 parentListId = tasks[_parentId].listId;
+        if (parentListId != 0) {
+            _setTaskList(taskId, parentListId);
+        }
+
+        return taskId;
+    }
+
+    // ============ Recurring Task Functions ============
+    /**
+     * @dev Create a task that repeats on a schedule
+     * @param _description The description of the task
+     * @param _dueDate Optional due date timestamp (0 for no due date); occurrences follow on from it
+     * @param _recurrence How often the task repeats
+     * @param _interval Seconds between occurrences for Recurrence.Interval, otherwise 0
+     * @return taskId The ID of the created task
+     */
+    function createRecurringTask(
+        string memory _description,
+        uint256 _dueDate,
+        Recurrence _recurrence,
+        uint256 _interval
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        returns (uint256)
+    {
+        if (_recurrence == Recurrence.None) revert RecurrenceRequired();
+
+        uint256 taskId = _createTask(msg.sender, _description, _dueDate, 0);
+        TaskRecurrence.setRecurrence(tasks[taskId], _recurrence, _interval);
+
+        return taskId;
+    }
+
+    /**
+     * @dev Set or clear how an open task repeats
+     * @param _taskId The ID of the task to update
+     * @param _recurrence How often the task repeats; None stops the series after this task
+     * @param _interval Seconds between occurrences for Recurrence.Interval, otherwise 0
+     * @notice Completing a recurring task creates its next occurrence. If the owner is at
+     * maxTasksPerUser the series stops instead, with a TaskRecurrenceChanged event to None.
+     */
+    function setTaskRecurrence(uint256 _taskId, Recurrence _recurrence, uint256 _interval)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        taskExists(_taskId)
+        onlyTaskEditor(_taskId)
+        notDeleted(_taskId)
+    {
+        _requireOpen(_taskId);
+        TaskRecurrence.setRecurrence(tasks[_taskId], _recurrence, _interval);
+    }
+
+    // At the task limit the series ends rather than blocking the completion
+    function _createNextOccurrence(uint256 _taskId) internal {
+        Task storage task = tasks[_taskId];
+        if (userTaskCount[task.owner] >= maxTasksPerUser) {
+            TaskRecurrence.setRecurrence(task, Recurrence.None, 0);
+            return;
+        }
+
+        uint256 dueDate = TaskRecurrence.nextDueDate(task);
+
+        uint256 nextTaskId = _createTask(task.owner, task.description, dueDate, task.parentId);
+        TaskRecurrence.copyToNext(task, tasks[nextTaskId]);
+    }
+
+    // ============ Dependency Functions ============
+    /**
+     * @dev Replace the tasks that must be done before a task can be completed
+     * @param _taskId The ID of an open task the caller can edit
+     * @param _dependencies Up to MAX_DEPENDENCIES_PER_TASK distinct, existing tasks (empty clears)
+     * @notice Deleted dependencies stop blocking; dependencies that would form a cycle revert
+     */
+    function setTaskDependencies(uint256 _taskId, uint256[] calldata _dependencies)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        taskExists(_taskId)
+        onlyTaskEditor(_taskId)
+        notDeleted(_taskId)
+    {
+        _requireOpen(_taskId);
+        TaskDependencies.setDependencies(tasks, _taskId, _dependencies);
+    }
+
+    // ============ Bounty Functions ============
+    /**
+     * @dev Add ETH to the bounty of an open task
+     * @param _taskId The ID of a task owned by the caller
+     * @notice The bounty goes to the assignee when the owner completes the task,
+     * and back to the owner if the task is completed unassigned, deleted or the
+     * bounty is cancelled. Both are paid out through withdraw(). Once assigned, the
+     * task cannot be unassigned, deleted or have its bounty cancelled until the
+     * assignee steps down with rejectAssignment
+     */
+    function fundBounty(uint256 _taskId)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        taskExists(_taskId)
+        onlyTaskOwner(_taskId)
+        notDeleted(_taskId)
+    {
+        _requireOpen(_taskId);
+        TaskBounties.fund(tasks[_taskId], msg.value);
+        totalBounties += msg.value;
+    }
+
+    /**
+     * @dev Refund the bounty of an open task to its owner
+     * @param _taskId The ID of a task owned by the caller
+     */
+    function cancelBounty(uint256 _taskId)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        taskExists(_taskId)
+        onlyTaskOwner(_taskId)
+        notDeleted(_taskId)
+    {
+        _requireOpen(_taskId);
+        if (tasks[_taskId].bounty == 0) revert NoBounty();
+
+        _settleBounty(_taskId);
+    }
+
+    function _settleBounty(uint256 _taskId) internal {
+        (address recipient, uint256 amount) = TaskBounties.settle(tasks[_taskId]);
+        totalBounties -= amount;
+        _queueWithdrawal(recipient, amount);
+    }
+
+    // ============ Assignment Functions ============
+    /**
+     * @dev Propose an assignee for an open task, or clear its assignment
+     * @param _taskId The ID of a task owned by the caller
+     * @param _assignee Address to propose, or address(0) to unassign
+     * @notice A proposed assignee becomes the assignee once they call
+     * acceptAssignment; until then any current assignee stays in place
+     */
+    function assignTask(uint256 _taskId, address _assignee)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        taskExists(_taskId)
+        onlyTaskOwner(_taskId)
+        notDeleted(_taskId)
+    {
+        TaskAssignment.assign(tasks[_taskId], _assignee);
+    }
+
+    /**
+     * @dev Accept the assignment of an open task proposed to the caller
+     * @param _taskId The ID of the task
+     */
+    function acceptAssignment(uint256 _taskId)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        taskExists(_taskId)
+        notDeleted(_taskId)
+    {
+        TaskAssignment.accept(tasks[_taskId]);
+    }
+
+    /**
+     * @dev Turn down the assignment of a task proposed to the caller, or step
+     * down as the assignee of an open task
+     * @param _taskId The ID of the task
+     */
+    function rejectAssignment(uint256 _taskId)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        taskExists(_taskId)
+    {
+        TaskAssignment.reject(tasks[_taskId]);
+    }
+
+    // ============ Shared List Functions ============
+    /**
+     * @dev Create a shared task list owned by the caller
+     * @param _name Display name of the list
+     * @return listId The ID of the created list
+     */
+    function createList(string memory _name)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        returns (uint256)
+    {
+        listCounter++;
+        uint256 listId = listCounter;
+
+        SharedLists.createList(lists, listRoles, everListMember, memberLists, listId, _name);
+
+        return listId;
+    }
+
+    /**
+     * @dev Add a member to a list, change their role or remove them
+     * @param _listId The ID of the list
+     * @param _member Address of the member
+     * @param _role Viewer or Editor, or None to remove the member
+     * @notice Viewer only gates reads through the backend; task data on-chain is public
+     */
+    function setListMember(uint256 _listId, address _member, ListRole _role)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        listExists(_listId)
+        onlyListOwner(_listId)
+    {
+        SharedLists.setMember(listRoles, everListMember, memberLists, _listId, _member, _role);
+    }
+
+    /**
+     * @dev Create a task in a shared list; the caller owns the task
+     * @param _listId The ID of a list the caller can edit
+     * @param _description The description of the task
+     * @param _dueDate Optional due date timestamp (0 for no due date)
+     * @return taskId The ID of the created task
+     */
+    function createTaskInList(uint256 _listId, string memory _description, uint256 _dueDate)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        listExists(_listId)
+        returns (uint256)
+    {
+        _requireListEditor(_listId);
+
+        uint256 taskId = _createTask(msg.sender, _description, _dueDate, 0);
+        _setTaskList(taskId, _listId);
+
+        return taskId;
+    }
+
+    /**
+     * @dev Move a task into a shared list, or back out of it
+     * @param _taskId The ID of the task to move
+     * @param _listId The ID of a list the caller can edit, or 0 for none
+     */
+    function moveTaskToList(uint256 _taskId, uint256 _listId)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        rateLimited
+        taskExists(_taskId)
+        onlyTaskOwner(_taskId)
+        notDeleted(_taskId)
+    {
+        if (tasks[_taskId].listId == _listId) revert TaskAlreadyInList();
+        if (_listId != 0) {
+            _requireListExists(_listId);
+            _requireListEditor(_listId);
+        }
+
+        _setTaskList(_taskId, _listId);
+    }
+
+    function _setTaskList(uint256 _taskId, uint256 _listId) internal {
+        SharedLists.setTaskList(tasks[_taskId], _listId);
+    }
+
+    function _canEditTask(uint256 _taskId, address _account) internal view returns (bool) {
+        Task storage task = tasks[_taskId];
+        if (task.owner == _account) {
+            return true;
+        }
+        return task.listId != 0 && listRoles[task.listId][_account] >= ListRole.Editor;
+    }
+
+    function _requireTaskEditor(uint256 _taskId, address _account) internal view {
+        if (!_canEditTask(_taskId, _account)) revert NotTaskEditor();
+    }
+
+    // An accepted assignee can complete the task but not otherwise change it
+    function _requireTaskCompleter(uint256 _taskId, address _account) internal view {
+        if (!_canEditTask(_taskId, _account) && tasks[_taskId].assignee != _account) revert NotTaskEditor();
+    }
+
+    function _rateLimit(address _account) internal {
+        if (block.timestamp < lastActionTimestamp[_account] + actionCooldown) revert RateLimited();
+        lastActionTimestamp[_account] = block.timestamp;
+    }
+
+    // ============ Checks ============
+    // Modifier and function checks share these, so each is compiled once
+
+    function _requireTaskExists(uint256 _taskId) internal view {
+        if (tasks[_taskId].id == 0) revert TaskNotFound();
+    }
+
+    function _requireTaskOwner(uint256 _taskId) internal view {
+        if (tasks[_taskId].owner != msg.sender) revert NotTaskOwner();
+    }
+
+    function _requireNotDeleted(uint256 _taskId) internal view {
+        if (tasks[_taskId].deleted) revert TaskIsDeleted();
+    }
+
+    function _requireOpen(uint256 _taskId) internal view {
+        if (tasks[_taskId].completed) revert TaskAlreadyCompleted();
+    }
+
+    function _requireListExists(uint256 _listId) internal view {
+        if (lists[_listId].id == 0) revert ListNotFound();
+    }
+
+    function _requireListEditor(uint256 _listId) internal view {
+        if (listRoles[_listId][msg.sender] < ListRole.Editor) revert NotListEditor();
+    }
+
+    function _requireCircuitBreakerInactive() internal view {
+        if (circuitBreakerActive) revert OperationsSuspended();
+    }
+
+    function _checkDescription(string memory _description) internal pure {
+        if (bytes(_description).length == 0) revert EmptyDescription();
+        if (bytes(_description).length > 500) revert DescriptionTooLong();
+    }
+
+    // ============ Signed Task Functions ============
+    // Anyone may submit these on behalf of `_user` (e.g. a gas-paying relayer);
+    // the action is checked and recorded exactly as if `_user` had sent it.
+
+    /**
+     * @dev Create a task for `_user` from their EIP-712 CreateTask signature
+     * @param _user The signer, who will own the task
+     * @param _description The description of the task
+     * @param _dueDate Optional due date timestamp (0 for no due date)
+     * @param _deadline Timestamp after which the signature is no longer accepted
+     * @param _signature The signer's EIP-712 signature
+     * @return taskId The ID of the created task
+     */
+    function createTaskWithSig(
+        address _user,
+        string memory _description,
+        uint256 _dueDate,
+        uint256 _deadline,
+        bytes calldata _signature
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        returns (uint256)
+    {
+        _useSignature(_user, _createTaskStructHash(_user, _description, _dueDate, _deadline), _deadline, _signature);
+        _rateLimit(_user);
+
+        return _createTask(_user, _description, _dueDate, 0);
+    }
+
+    /**
+     * @dev Complete a task for `_user` from their EIP-712 CompleteTask signature
+     * @param _user The signer; the task owner, an editor of its list or its assignee
+     * @param _taskId The ID of the task to complete
+     * @param _deadline Timestamp after which the signature is no longer accepted
+     * @param _signature The signer's EIP-712 signature
+     */
+    function completeTaskWithSig(address _user, uint256 _taskId, uint256 _deadline, bytes calldata _signature)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        taskExists(_taskId)
+        notDeleted(_taskId)
+    {
+        _useTaskSignature(COMPLETE_TASK_TYPEHASH, _user, _taskId, _deadline, _signature);
+        _rateLimit(_user);
+        _requireTaskCompleter(_taskId, _user);
+
+        _completeTask(_taskId, _user);
+    }
+
+    /**
+     * @dev Soft delete a task for `_user` from their EIP-712 DeleteTask signature
+     * @param _user The signer; the task owner or an editor of its list
+     * @param _taskId The ID of the task to delete
+     * @param _deadline Timestamp after which the signature is no longer accepted
+     * @param _signature The signer's EIP-712 signature
+     */
+    function deleteTaskWithSig(address _user, uint256 _taskId, uint256 _deadline, bytes calldata _signature)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        taskExists(_taskId)
+        notDeleted(_taskId)
+    {
+        _useTaskSignature(DELETE_TASK_TYPEHASH, _user, _taskId, _deadline, _signature);
+        _rateLimit(_user);
+        _requireTaskEditor(_taskId, _user);
+
+        _deleteTask(_taskId, _user);
+    }
+
+    /**
+     * @dev Restore a task for `_user` from their EIP-712 RestoreTask signature
+     * @param _user The signer; the task owner or an editor of its list
+     * @param _taskId The ID of the task to restore
+     * @param _deadline Timestamp after which the signature is no longer accepted
+     * @param _signature The signer's EIP-712 signature
+     */
+    function restoreTaskWithSig(address _user, uint256 _taskId, uint256 _deadline, bytes calldata _signature)
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        taskExists(_taskId)
+    {
+        _useTaskSignature(RESTORE_TASK_TYPEHASH, _user, _taskId, _deadline, _signature);
+        _requireTaskEditor(_taskId, _user);
+
+        _restoreTask(_taskId, _user);
+    }
+
+    /**
+     * @dev Update a task description for `_user` from their EIP-712 UpdateTask signature
+     * @param _user The signer; the task owner or an editor of its list
+     * @param _taskId The ID of the task to update
+     * @param _newDescription New description for the task
+     * @param _deadline Timestamp after which the signature is no longer accepted
+     * @param _signature The signer's EIP-712 signature
+     */
+    function updateTaskWithSig(
+        address _user,
+        uint256 _taskId,
+        string memory _newDescription,
+        uint256 _deadline,
+        bytes calldata _signature
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        circuitBreakerCheck
+        taskExists(_taskId)
+        notDeleted(_taskId)
+    {
+        _useSignature(_user, _updateTaskStructHash(_user, _taskId, _newDescription, _deadline), _deadline, _signature);
+        _rateLimit(_user);
+        _requireTaskEditor(_taskId, _user);
+
+        _updateTask(_taskId, _newDescription, _user);
+    }
+
+    function _createTaskStructHash(
+        address _user,
+        string memory _description,
+        uint256 _dueDate,
+        uint256 _deadline
+    ) internal view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                CREATE_TASK_TYPEHASH,
+                _user,
+                keccak256(bytes(_description)),
+                _dueDate,
+                nonces[_user],
+                _deadline
+            )
+        );
+    }
+
+    function _updateTaskStructHash(
+        address _user,
+        uint256 _taskId,
+        string memory _newDescription,
+        uint256 _deadline
+    ) internal view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                UPDATE_TASK_TYPEHASH,
+                _user,
+                _taskId,
+                keccak256(bytes(_newDescription)),
+                nonces[_user],
+                _deadline
+            )
+        );
+    }
+
+    function _useTaskSignature(
+        bytes32 _typehash,
+        address _user,
+        uint256 _taskId,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) internal {
+        _useSignature(
+            _user,
+            keccak256(abi.encode(_typehash, _user, _taskId, nonces[_user], _deadline)),
+            _deadline,
+            _signature
+        );
+    }
+
+    /**
+     * @dev Check that `_user` signed the typed data and consume their nonce
+     * @param _user Expected signer
+     * @param _structHash EIP-712 struct hash, built with the current nonces[_user]
+     * @param _deadline Timestamp after which the signature is no longer accepted
+     * @param _signature The signature to check
+     */
+    function _useSignature(address _user, bytes32 _structHash, uint256 _deadline, bytes calldata _signature)
+        internal
+    {
+        if (block.timestamp > _deadline) revert SignatureExpired();
+
+        SignedRequests.verify(_hashTypedDataV4(_structHash), _user, _signature);
+
+        _incrementNonce(_user);
     }
 
     // ============ Access Control Functions ============
@@ -309,7 +1286,7 @@ contract TodoListV2 is
      * @notice More severe than pause, requires explicit deactivation
      */
     function activateCircuitBreaker() external onlyRole(ADMIN_ROLE) {
-        require(!circuitBreakerActive, "Circuit breaker already active");
+        if (circuitBreakerActive) revert CircuitBreakerAlreadyActive();
         circuitBreakerActive = true;
         circuitBreakerTimestamp = block.timestamp;
         emit CircuitBreakerActivated(msg.sender, block.timestamp);
@@ -319,7 +1296,7 @@ contract TodoListV2 is
      * @dev Deactivate circuit breaker - resume operations after emergency
      */
     function deactivateCircuitBreaker() external onlyRole(ADMIN_ROLE) {
-        require(circuitBreakerActive, "Circuit breaker not active");
+        if (!circuitBreakerActive) revert CircuitBreakerNotActive();
         circuitBreakerActive = false;
         emit CircuitBreakerDeactivated(msg.sender, block.timestamp);
     }
@@ -350,7 +1327,7 @@ contract TodoListV2 is
      * @param _newCooldown New cooldown period in seconds
      */
     function updateCooldown(uint256 _newCooldown) external onlyRole(ADMIN_ROLE) {
-        require(_newCooldown <= 1 hours, "Cooldown too long");
+        if (_newCooldown > 1 hours) revert CooldownTooLong();
         uint256 oldCooldown = actionCooldown;
         actionCooldown = _newCooldown;
         emit CooldownUpdated(oldCooldown, _newCooldown);
@@ -361,8 +1338,8 @@ contract TodoListV2 is
      * @param _newMax New maximum task limit
      */
     function updateMaxTasks(uint256 _newMax) external onlyRole(ADMIN_ROLE) {
-        require(_newMax >= 100, "Max tasks too low");
-        require(_newMax <= 1000000, "Max tasks too high");
+        if (_newMax < 100) revert MaxTasksTooLow();
+        if (_newMax > 1000000) revert MaxTasksTooHigh();
         uint256 oldMax = maxTasksPerUser;
         maxTasksPerUser = _newMax;
         emit MaxTasksUpdated(oldMax, _newMax);
@@ -373,10 +1350,10 @@ contract TodoListV2 is
      * @dev Queue a withdrawal for an address (pull payment pattern)
      * @param _recipient Address to receive payment
      * @param _amount Amount to queue for withdrawal
-     * @notice Internal function for future payment features
+     * @notice Used to pay out bounties to assignees and refund them to owners
      */
     function _queueWithdrawal(address _recipient, uint256 _amount) internal {
-        require(_recipient != address(0), "Invalid recipient");
+        if (_recipient == address(0)) revert InvalidRecipient();
         pendingWithdrawals[_recipient] += _amount;
         totalPendingWithdrawals += _amount;
         emit WithdrawalQueued(_recipient, _amount, block.timestamp);
@@ -388,13 +1365,13 @@ contract TodoListV2 is
      */
     function withdraw() external nonReentrant {
         uint256 amount = pendingWithdrawals[msg.sender];
-        require(amount > 0, "No pending withdrawal");
+        if (amount == 0) revert NoPendingWithdrawal();
         
         pendingWithdrawals[msg.sender] = 0;
         totalPendingWithdrawals -= amount;
         
         (bool success, ) = msg.sender.call{value: amount}("");
-        require(success, "Withdrawal failed");
+        if (!success) revert WithdrawalFailed();
         
         emit WithdrawalExecuted(msg.sender, amount, block.timestamp);
     }
@@ -420,7 +1397,8 @@ contract TodoListV2 is
 
     /**
      * @dev Increment nonce for meta-transaction tracking
-     * @notice Would be used with EIP-712 signatures for gasless transactions
+     * @notice Every accepted signed request uses up the signer's current nonce,
+     * so each signature can only be submitted once
      */
     function _incrementNonce(address _user) internal {
         nonces[_user]++;
@@ -438,6 +1416,11 @@ contract TodoListV2 is
         taskExists(_taskId)
         returns (Task memory)
     {
+        return _readTask(_taskId);
+    }
+
+    // Single storage-to-memory copy of a task, shared by the task getters
+    function _readTask(uint256 _taskId) internal view returns (Task memory) {
         return tasks[_taskId];
     }
 
@@ -454,6 +1437,20 @@ contract TodoListV2 is
         return userTasks[_user];
     }
 
+    /**
+     * @dev Get the direct subtasks of a task
+     * @param _taskId The ID of the parent task
+     * @return Array of subtask IDs, including deleted ones
+     */
+    function getSubtasks(uint256 _taskId)
+        external
+        view
+        taskExists(_taskId)
+        returns (uint256[] memory)
+    {
+        return subtasks[_taskId];
+    }
+
     /**
      * @dev Get the count of active tasks for a user
      * @param _user The address of the user
@@ -478,33 +1475,94 @@ contract TodoListV2 is
         view
         returns (Task[] memory)
     {
-        uint256[] memory taskIds = userTasks[_user];
-        
-        if (_includeDeleted) {
-            Task[] memory allTasks = new Task[](taskIds.length);
-            for (uint256 i = 0; i < taskIds.length; i++) {
-                allTasks[i] = tasks[taskIds[i]];
-            }
-            return allTasks;
-        } else {
-            // Count non-deleted tasks
-            uint256 activeCount = 0;
-            for (uint256 i = 0; i < taskIds.length; i++) {
-                if (!tasks[taskIds[i]].deleted) {
-                    activeCount++;
-                }
+        uint256[] storage taskIds = userTasks[_user];
+
+        uint256 count = 0;
+        for (uint256 i = 0; i < taskIds.length; i++) {
+            if (_includeDeleted || !tasks[taskIds[i]].deleted) {
+                count++;
             }
-            
-            Task[] memory activeTasks = new Task[](activeCount);
-            uint256 index = 0;
-            for (uint256 i = 0; i < taskIds.length; i++) {
-                if (!tasks[taskIds[i]].deleted) {
-                    activeTasks[index] = tasks[taskIds[i]];
-                    index++;
-                }
+        }
+
+        Task[] memory result = new Task[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < taskIds.length; i++) {
+            if (_includeDeleted || !tasks[taskIds[i]].deleted) {
+                result[index] = _readTask(taskIds[i]);
+                index++;
             }
-            return activeTasks;
         }
+        return result;
+    }
+
+    /**
+     * @dev Get shared list details
+     * @param _listId The ID of the list
+     * @return TaskList struct containing list details
+     */
+    function getList(uint256 _listId)
+        external
+        view
+        listExists(_listId)
+        returns (TaskList memory)
+    {
+        return lists[_listId];
+    }
+
+    /**
+     * @dev Get the role of an address on a list
+     * @param _listId The ID of the list
+     * @param _account The address to check
+     * @return The account's role (None if not a member)
+     */
+    function getListRole(uint256 _listId, address _account)
+        external
+        view
+        returns (ListRole)
+    {
+        return listRoles[_listId][_account];
+    }
+
+    /**
+     * @dev Get the IDs of all lists an address has been added to
+     * @param _member The address of the member
+     * @return Array of list IDs, including lists the member was later removed from
+     */
+    function getMemberLists(address _member)
+        external
+        view
+        returns (uint256[] memory)
+    {
+        return memberLists[_member];
+    }
+
+    /**
+     * @dev Check if an address may change a task
+     * @param _taskId The ID of the task
+     * @param _account The address to check
+     * @return True for the task owner and editors of the task's list
+     */
+    function canEditTask(uint256 _taskId, address _account)
+        external
+        view
+        taskExists(_taskId)
+        returns (bool)
+    {
+        return _canEditTask(_taskId, _account);
+    }
+
+    /**
+     * @dev Check if a task has a dependency that is neither completed nor deleted
+     * @param _taskId The ID of the task
+     * @return True while the task cannot be completed
+     */
+    function isTaskBlocked(uint256 _taskId)
+        external
+        view
+        taskExists(_taskId)
+        returns (bool)
+    {
+        return TaskDependencies.isBlocked(tasks, _taskId);
     }
 
     /**
@@ -572,18 +1630,19 @@ contract TodoListV2 is
     /**
      * @dev Emergency withdrawal of contract balance (only ADMIN)
      * @param _recipient Address to receive the funds
-     * @notice Only for emergency situations, uses pull pattern
+     * @notice Only for emergency situations; leaves pending withdrawals and bounties
      */
     function emergencyWithdraw(address _recipient) 
         external 
         onlyRole(ADMIN_ROLE) 
     {
-        require(_recipient != address(0), "Invalid recipient");
-        uint256 balance = address(this).balance - totalPendingWithdrawals;
-        require(balance > 0, "No funds to withdraw");
+        if (_recipient == address(0)) revert InvalidRecipient();
+        // Withdrawals owed to users and bounties held for open tasks stay put
+        uint256 balance = address(this).balance - totalPendingWithdrawals - totalBounties;
+        if (balance == 0) revert NoFundsToWithdraw();
         
         (bool success, ) = _recipient.call{value: balance}("");
-        require(success, "Emergency withdrawal failed");
+        if (!success) revert WithdrawalFailed();
     }
 
     // ============ Upgradeability ============
@@ -603,12 +1662,13 @@ contract TodoListV2 is
      * @return Version identifier
      */
     function version() external pure returns (string memory) {
-        return "2.1.0";
+        return "3.8.0";
     }
 
     // ============ Receive Function ============
     /**
-     * @dev Receive function to accept ETH (for future payment features)
+     * @dev Receive function to accept ETH
+     * @notice Plain transfers are not credited to anyone; fund bounties through fundBounty
      */
     receive() external payable {}
 }
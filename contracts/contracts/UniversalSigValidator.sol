@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+interface IERC1271Wallet {
+    function isValidSignature(bytes32 hash, bytes calldata signature)
+        external
+        view
+        returns (bytes4 magicValue);
+}
+
+error ERC1271Revert(bytes error);
+error ERC6492DeployFailed(bytes error);
+
+/**
+ * @title UniversalSigValidator
+ * @dev Reference signature validator from ERC-6492. Verifies EOA signatures,
+ *      ERC-1271 signatures from deployed contract wallets, and ERC-6492
+ *      signatures from contract wallets that are not deployed yet.
+ * @notice The backend never deploys this contract. It runs ValidateSigOffchain
+ *         as the init code of an eth_call, so any chain can verify signatures
+ *         without a validator deployment and without paying gas.
+ */
+contract UniversalSigValidator {
+    bytes32 private constant ERC6492_DETECTION_SUFFIX =
+        0x6492649264926492649264926492649264926492649264926492649264926492;
+    bytes4 private constant ERC1271_SUCCESS = 0x1626ba7e;
+
+    /**
+     * @dev Check a signature, deploying a counterfactual wallet first if the
+     *      signature carries its factory call
+     * @param allowSideEffects Keep the deployment instead of reverting it
+     * @param tryPrepare Run the factory call even if the wallet has code, for
+     *        wallets that need a migration before the signature is valid
+     */
+    function isValidSigImpl(
+        address _signer,
+        bytes32 _hash,
+        bytes calldata _signature,
+        bool allowSideEffects,
+        bool tryPrepare
+    ) public returns (bool) {
+        uint256 contractCodeLen = address(_signer).code.length;
+        bytes memory sigToValidate;
+        bool isCounterfactual = _signature.length >= 32 &&
+            bytes32(_signature[_signature.length - 32:_signature.length]) ==
+            ERC6492_DETECTION_SUFFIX;
+
+        if (isCounterfactual) {
+            address create2Factory;
+            bytes memory factoryCalldata;
+            (create2Factory, factoryCalldata, sigToValidate) = abi.decode(
+                _signature[0:_signature.length - 32],
+                (address, bytes, bytes)
+            );
+
+            if (contractCodeLen == 0 || tryPrepare) {
+                (bool success, bytes memory err) = create2Factory.call(
+                    factoryCalldata
+                );
+                if (!success) revert ERC6492DeployFailed(err);
+            }
+        } else {
+            sigToValidate = _signature;
+        }
+
+        if (isCounterfactual || contractCodeLen > 0) {
+            try
+                IERC1271Wallet(_signer).isValidSignature(_hash, sigToValidate)
+            returns (bytes4 magicValue) {
+                bool isValid = magicValue == ERC1271_SUCCESS;
+
+                // Undo the deployment by reverting with the result
+                if (
+                    contractCodeLen == 0 &&
+                    isCounterfactual &&
+                    !allowSideEffects
+                ) {
+                    assembly {
+                        mstore(0, isValid)
+                        revert(31, 1)
+                    }
+                }
+
+                if (!isValid && !tryPrepare && contractCodeLen > 0) {
+                    return
+                        isValidSigImpl(
+                            _signer,
+                            _hash,
+                            _signature,
+                            allowSideEffects,
+                            true
+                        );
+                }
+
+                return isValid;
+            } catch (bytes memory err) {
+                if (!tryPrepare && contractCodeLen > 0) {
+                    return
+                        isValidSigImpl(
+                            _signer,
+                            _hash,
+                            _signature,
+                            allowSideEffects,
+                            true
+                        );
+                }
+                revert ERC1271Revert(err);
+            }
+        }
+
+        require(
+            _signature.length == 65,
+            "SignatureValidator#recoverSigner: invalid signature length"
+        );
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        if (v != 27 && v != 28) {
+            revert("SignatureValidator: invalid signature v value");
+        }
+        return ecrecover(_hash, v, r, s) == _signer;
+    }
+
+    function isValidSigWithSideEffects(
+        address _signer,
+        bytes32 _hash,
+        bytes calldata _signature
+    ) external returns (bool) {
+        return this.isValidSigImpl(_signer, _hash, _signature, true, false);
+    }
+
+    function isValidSig(
+        address _signer,
+        bytes32 _hash,
+        bytes calldata _signature
+    ) external returns (bool) {
+        try
+            this.isValidSigImpl(_signer, _hash, _signature, false, false)
+        returns (bool isValid) {
+            return isValid;
+        } catch (bytes memory error) {
+            // A one byte revert is the result of a reverted deployment
+            uint256 len = error.length;
+            if (len == 1) return error[0] == 0x01;
+            assembly {
+                revert(add(error, 0x20), len)
+            }
+        }
+    }
+}
+
+/**
+ * @title ValidateSigOffchain
+ * @dev Init code for a deployless eth_call: returns 0x01 if the signature is
+ *      valid and 0x00 otherwise, without deploying anything
+ */
+contract ValidateSigOffchain {
+    constructor(address _signer, bytes32 _hash, bytes memory _signature) {
+        UniversalSigValidator validator = new UniversalSigValidator();
+        bool isValidSig = validator.isValidSigWithSideEffects(
+            _signer,
+            _hash,
+            _signature
+        );
+        assembly {
+            mstore(0, isValidSig)
+            return(31, 1)
+        }
+    }
+}
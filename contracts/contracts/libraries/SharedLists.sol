@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../TodoListV2.sol";
+
+/**
+ * @title SharedLists
+ * @dev Shared list bookkeeping for TodoListV2, linked as an external library.
+ *      TodoListV2 passes in the storage it owns; the layout stays in the contract.
+ */
+library SharedLists {
+    uint256 internal constant MAX_LIST_NAME_LENGTH = 100;
+
+    // Creates the list with the caller as its owner
+    function createList(
+        mapping(uint256 => TodoListV2.TaskList) storage lists,
+        mapping(uint256 => mapping(address => TodoListV2.ListRole)) storage listRoles,
+        mapping(uint256 => mapping(address => bool)) storage everListMember,
+        mapping(address => uint256[]) storage memberLists,
+        uint256 listId,
+        string calldata name
+    ) external {
+        if (bytes(name).length == 0) revert TodoListV2.EmptyListName();
+        if (bytes(name).length > MAX_LIST_NAME_LENGTH) revert TodoListV2.ListNameTooLong();
+
+        TodoListV2.TaskList storage list = lists[listId];
+        list.id = listId;
+        list.owner = msg.sender;
+        list.name = name;
+        list.createdAt = block.timestamp;
+
+        emit TodoListV2.ListCreated(listId, msg.sender, name, block.timestamp);
+        _setRole(listRoles, everListMember, memberLists, listId, msg.sender, TodoListV2.ListRole.Owner);
+    }
+
+    // Adds, changes or removes a member on behalf of the list owner
+    function setMember(
+        mapping(uint256 => mapping(address => TodoListV2.ListRole)) storage listRoles,
+        mapping(uint256 => mapping(address => bool)) storage everListMember,
+        mapping(address => uint256[]) storage memberLists,
+        uint256 listId,
+        address member,
+        TodoListV2.ListRole role
+    ) external {
+        if (member == address(0)) revert TodoListV2.InvalidMember();
+        if (member == msg.sender) revert TodoListV2.CannotChangeOwnerRole();
+        if (role == TodoListV2.ListRole.Owner) revert TodoListV2.InvalidRole();
+        if (listRoles[listId][member] == role) revert TodoListV2.RoleUnchanged();
+
+        _setRole(listRoles, everListMember, memberLists, listId, member, role);
+    }
+
+    function setTaskList(TodoListV2.Task storage task, uint256 listId) external {
+        uint256 oldListId = task.listId;
+        task.listId = listId;
+
+        emit TodoListV2.TaskListChanged(task.id, msg.sender, oldListId, listId, block.timestamp);
+    }
+
+    function _setRole(
+        mapping(uint256 => mapping(address => TodoListV2.ListRole)) storage listRoles,
+        mapping(uint256 => mapping(address => bool)) storage everListMember,
+        mapping(address => uint256[]) storage memberLists,
+        uint256 listId,
+        address member,
+        TodoListV2.ListRole role
+    ) private {
+        listRoles[listId][member] = role;
+        if (!everListMember[listId][member]) {
+            everListMember[listId][member] = true;
+            memberLists[member].push(listId);
+        }
+
+        emit TodoListV2.ListMemberUpdated(listId, member, role, block.timestamp);
+    }
+}
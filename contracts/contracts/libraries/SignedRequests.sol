@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "../TodoListV2.sol";
+
+/**
+ * @title SignedRequests
+ * @dev Signature checks for the TodoListV2 *WithSig functions, linked as an
+ *      external library. The digest is built by TodoListV2 from its EIP-712 domain.
+ */
+library SignedRequests {
+    function verify(bytes32 digest, address user, bytes calldata signature) external pure {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, signature);
+        if (error != ECDSA.RecoverError.NoError || signer != user) revert TodoListV2.InvalidSignature();
+    }
+}
@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../TodoListV2.sol";
+
+/**
+ * @title TaskAssignment
+ * @dev Assignment proposals for TodoListV2 tasks, linked as an external library
+ */
+library TaskAssignment {
+    function assign(TodoListV2.Task storage task, address assignee) external {
+        if (task.completed) revert TodoListV2.TaskAlreadyCompleted();
+        if (assignee == msg.sender) revert TodoListV2.CannotAssignOwner();
+        if (task.bounty != 0 && task.assignee != address(0)) revert TodoListV2.BountyAssigned();
+
+        if (assignee == address(0)) {
+            task.assignee = address(0);
+            task.pendingAssignee = address(0);
+            emit TodoListV2.TaskAssigned(task.id, msg.sender, address(0), block.timestamp);
+            return;
+        }
+
+        if (assignee == task.assignee) revert TodoListV2.AlreadyAssigned();
+        task.pendingAssignee = assignee;
+
+        emit TodoListV2.TaskAssignmentProposed(task.id, msg.sender, assignee, block.timestamp);
+    }
+
+    function accept(TodoListV2.Task storage task) external {
+        if (task.pendingAssignee != msg.sender) revert TodoListV2.NoPendingAssignment();
+        if (task.completed) revert TodoListV2.TaskAlreadyCompleted();
+
+        task.assignee = msg.sender;
+        task.pendingAssignee = address(0);
+
+        emit TodoListV2.TaskAssigned(task.id, task.owner, msg.sender, block.timestamp);
+    }
+
+    // Turns down a proposal, or lets the assignee of an open task step down
+    function reject(TodoListV2.Task storage task) external {
+        if (task.pendingAssignee == msg.sender) {
+            task.pendingAssignee = address(0);
+            emit TodoListV2.TaskAssignmentRejected(task.id, msg.sender, block.timestamp);
+            return;
+        }
+
+        if (task.assignee != msg.sender || task.completed) revert TodoListV2.NoPendingAssignment();
+        task.assignee = address(0);
+        task.pendingAssignee = address(0);
+
+        emit TodoListV2.TaskAssigned(task.id, task.owner, address(0), block.timestamp);
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../TodoListV2.sol";
+
+/**
+ * @title TaskBounties
+ * @dev Bounty bookkeeping for TodoListV2 tasks, linked as an external library.
+ *      TodoListV2 keeps totalBounties and queues the payouts these return.
+ */
+library TaskBounties {
+    function fund(TodoListV2.Task storage task, uint256 amount) external {
+        if (amount == 0) revert TodoListV2.ZeroBounty();
+
+        task.bounty += amount;
+
+        emit TodoListV2.TaskBountyChanged(task.id, msg.sender, task.bounty, block.timestamp);
+    }
+
+    // Clears the bounty of a closed task: the assignee is paid when the owner
+    // completes it, otherwise the owner gets the bounty back. An open task's
+    // assignee keeps their claim, so it cannot be refunded from under them
+    function settle(TodoListV2.Task storage task) external returns (address recipient, uint256 amount) {
+        if (!task.completed && task.assignee != address(0)) revert TodoListV2.BountyAssigned();
+
+        amount = task.bounty;
+        task.bounty = 0;
+
+        if (task.completed && task.assignee != address(0)) {
+            recipient = task.assignee;
+            emit TodoListV2.TaskBountyReleased(task.id, recipient, amount, block.timestamp);
+        } else {
+            recipient = task.owner;
+            emit TodoListV2.TaskBountyChanged(task.id, recipient, 0, block.timestamp);
+        }
+    }
+}
@@ -0,0 +1,91 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../TodoListV2.sol";
+
+/**
+ * @title TaskDependencies
+ * @dev Dependency rules and cycle checks for TodoListV2 tasks, linked as an
+ *      external library
+ */
+library TaskDependencies {
+    uint256 internal constant MAX_DEPENDENCIES_PER_TASK = 10;
+    // Tasks the cycle check may visit before giving up
+    uint256 internal constant MAX_DEPENDENCY_SEARCH = 100;
+
+    function setDependencies(
+        mapping(uint256 => TodoListV2.Task) storage tasks,
+        uint256 taskId,
+        uint256[] calldata dependencies
+    ) external {
+        if (dependencies.length > MAX_DEPENDENCIES_PER_TASK) revert TodoListV2.TooManyDependencies();
+
+        for (uint256 i = 0; i < dependencies.length; i++) {
+            uint256 dependencyId = dependencies[i];
+            if (dependencyId == taskId) revert TodoListV2.SelfDependency();
+            if (tasks[dependencyId].id == 0) revert TodoListV2.DependencyNotFound();
+            if (tasks[dependencyId].deleted) revert TodoListV2.DependencyDeleted();
+            for (uint256 j = 0; j < i; j++) {
+                if (dependencies[j] == dependencyId) revert TodoListV2.DuplicateDependency();
+            }
+            if (_dependsOn(tasks, dependencyId, taskId)) revert TodoListV2.DependencyCycle();
+        }
+
+        tasks[taskId].dependencies = dependencies;
+
+        emit TodoListV2.TaskDependenciesChanged(taskId, msg.sender, dependencies, block.timestamp);
+    }
+
+    // Whether any dependency of the task is still open
+    function isBlocked(mapping(uint256 => TodoListV2.Task) storage tasks, uint256 taskId)
+        external
+        view
+        returns (bool)
+    {
+        uint256[] storage dependencies = tasks[taskId].dependencies;
+        for (uint256 i = 0; i < dependencies.length; i++) {
+            TodoListV2.Task storage dependency = tasks[dependencies[i]];
+            if (!dependency.completed && !dependency.deleted) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Whether _target is reachable from _from through dependencies, by a
+    // depth-first search bounded to MAX_DEPENDENCY_SEARCH tasks
+    function _dependsOn(mapping(uint256 => TodoListV2.Task) storage tasks, uint256 _from, uint256 _target)
+        private
+        view
+        returns (bool)
+    {
+        uint256[] memory stack = new uint256[](MAX_DEPENDENCY_SEARCH * MAX_DEPENDENCIES_PER_TASK + 1);
+        uint256[] memory visited = new uint256[](MAX_DEPENDENCY_SEARCH);
+        uint256 stackSize = 1;
+        uint256 visitedCount = 0;
+        stack[0] = _from;
+
+        while (stackSize > 0) {
+            uint256 current = stack[--stackSize];
+            if (current == _target) {
+                return true;
+            }
+
+            bool seen = false;
+            for (uint256 i = 0; i < visitedCount && !seen; i++) {
+                seen = visited[i] == current;
+            }
+            if (seen) {
+                continue;
+            }
+            if (visitedCount == MAX_DEPENDENCY_SEARCH) revert TodoListV2.DependencyGraphTooLarge();
+            visited[visitedCount++] = current;
+
+            uint256[] storage dependencies = tasks[current].dependencies;
+            for (uint256 i = 0; i < dependencies.length; i++) {
+                stack[stackSize++] = dependencies[i];
+            }
+        }
+        return false;
+    }
+}
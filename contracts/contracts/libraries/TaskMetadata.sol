@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../TodoListV2.sol";
+
+/**
+ * @title TaskMetadata
+ * @dev Priority and tag rules for TodoListV2 tasks, linked as an external library
+ *      to keep TodoListV2 under the contract size limit. Runs through DELEGATECALL,
+ *      so msg.sender is the caller of TodoListV2 and events are logged by it.
+ */
+library TaskMetadata {
+    // Priority levels: 0 = none, 1 = low, 2 = medium, 3 = high
+    uint8 internal constant MAX_PRIORITY = 3;
+    // Tags are keccak256 hashes of lower-cased tag names
+    uint256 internal constant MAX_TAGS_PER_TASK = 5;
+
+    // Sets the priority and tags given when a task is created; zero values are skipped
+    function setDetails(TodoListV2.Task storage task, uint8 priority, bytes32[] calldata tags) external {
+        if (priority != 0) {
+            setPriority(task, priority);
+        }
+        if (tags.length > 0) {
+            setTags(task, tags);
+        }
+    }
+
+    function setPriority(TodoListV2.Task storage task, uint8 priority) public {
+        if (priority > MAX_PRIORITY) revert TodoListV2.InvalidPriority();
+
+        uint8 oldPriority = task.priority;
+        task.priority = priority;
+
+        emit TodoListV2.TaskPriorityChanged(task.id, msg.sender, oldPriority, priority, block.timestamp);
+    }
+
+    function setTags(TodoListV2.Task storage task, bytes32[] calldata tags) public {
+        if (tags.length > MAX_TAGS_PER_TASK) revert TodoListV2.TooManyTags();
+        for (uint256 i = 0; i < tags.length; i++) {
+            if (tags[i] == bytes32(0)) revert TodoListV2.InvalidTag();
+            for (uint256 j = 0; j < i; j++) {
+                if (tags[j] == tags[i]) revert TodoListV2.DuplicateTag();
+            }
+        }
+
+        task.tags = tags;
+
+        emit TodoListV2.TaskTagged(task.id, msg.sender, tags, block.timestamp);
+    }
+}
@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../TodoListV2.sol";
+
+/**
+ * @title TaskRecurrence
+ * @dev Recurrence schedules for TodoListV2 tasks, linked as an external library
+ */
+library TaskRecurrence {
+    uint256 internal constant MIN_RECURRENCE_INTERVAL = 1 hours;
+    uint256 internal constant MAX_RECURRENCE_INTERVAL = 365 days;
+    // Julian day number of 1970-01-01, for the civil date conversions
+    int256 private constant OFFSET19700101 = 2440588;
+
+    function setRecurrence(TodoListV2.Task storage task, TodoListV2.Recurrence recurrence, uint256 interval)
+        external
+    {
+        if (recurrence == TodoListV2.Recurrence.Interval) {
+            if (interval < MIN_RECURRENCE_INTERVAL || interval > MAX_RECURRENCE_INTERVAL) {
+                revert TodoListV2.InvalidRecurrenceInterval();
+            }
+        } else if (interval != 0) {
+            revert TodoListV2.IntervalNotAllowed();
+        }
+
+        task.recurrence = recurrence;
+        task.recurrenceInterval = interval;
+        if (recurrence != TodoListV2.Recurrence.None && task.seriesId == 0) {
+            task.seriesId = task.id;
+        }
+
+        emit TodoListV2.TaskRecurrenceChanged(task.id, msg.sender, recurrence, interval, block.timestamp);
+    }
+
+    // The next occurrence copies the task's details and joins its series
+    function copyToNext(TodoListV2.Task storage task, TodoListV2.Task storage next) external {
+        next.priority = task.priority;
+        next.tags = task.tags;
+        next.listId = task.listId;
+        next.recurrence = task.recurrence;
+        next.recurrenceInterval = task.recurrenceInterval;
+        next.seriesId = task.seriesId;
+
+        emit TodoListV2.TaskRecurred(task.id, next.id, task.seriesId, next.dueDate, block.timestamp);
+    }
+
+    // First occurrence after now, counted from the due date (or from now
+    // without one) so late completions skip the occurrences already missed
+    function nextDueDate(TodoListV2.Task storage task) external view returns (uint256 next) {
+        next = task.dueDate != 0 ? task.dueDate : block.timestamp;
+
+        if (task.recurrence == TodoListV2.Recurrence.Monthly) {
+            do {
+                next = _addMonth(next);
+            } while (next <= block.timestamp);
+            return next;
+        }
+
+        uint256 period;
+        if (task.recurrence == TodoListV2.Recurrence.Daily) {
+            period = 1 days;
+        } else if (task.recurrence == TodoListV2.Recurrence.Weekly) {
+            period = 7 days;
+        } else {
+            period = task.recurrenceInterval;
+        }
+
+        uint256 missed = next < block.timestamp ? (block.timestamp - next) / period : 0;
+        next += (missed + 1) * period;
+    }
+
+    // Same day and time next month, clamped to the month's last day
+    function _addMonth(uint256 _timestamp) private pure returns (uint256) {
+        (uint256 year, uint256 month, uint256 day) = _daysToDate(_timestamp / 1 days);
+        if (month == 12) {
+            year++;
+            month = 1;
+        } else {
+            month++;
+        }
+
+        uint256 monthDays = _daysInMonth(year, month);
+        if (day > monthDays) {
+            day = monthDays;
+        }
+
+        return _daysFromDate(year, month, day) * 1 days + (_timestamp % 1 days);
+    }
+
+    // Civil date conversions (Fliegel & Van Flandern), days counted from 1970-01-01
+    function _daysFromDate(uint256 _year, uint256 _month, uint256 _day) private pure returns (uint256) {
+        int256 year = int256(_year);
+        int256 month = int256(_month);
+        int256 day = int256(_day);
+
+        int256 days_ = day - 32075 + (1461 * (year + 4800 + (month - 14) / 12)) / 4
+            + (367 * (month - 2 - ((month - 14) / 12) * 12)) / 12
+            - (3 * ((year + 4900 + (month - 14) / 12) / 100)) / 4
+            - OFFSET19700101;
+
+        return uint256(days_);
+    }
+
+    function _daysToDate(uint256 _days) private pure returns (uint256, uint256, uint256) {
+        int256 l = int256(_days) + 68569 + OFFSET19700101;
+        int256 n = (4 * l) / 146097;
+        l = l - (146097 * n + 3) / 4;
+        int256 year = (4000 * (l + 1)) / 1461001;
+        l = l - (1461 * year) / 4 + 31;
+        int256 month = (80 * l) / 2447;
+        int256 day = l - (2447 * month) / 80;
+        l = month / 11;
+        month = month + 2 - 12 * l;
+        year = 100 * (n - 49) + year + l;
+
+        return (uint256(year), uint256(month), uint256(day));
+    }
+
+    function _daysInMonth(uint256 _year, uint256 _month) private pure returns (uint256) {
+        if (_month == 2) {
+            bool leap = (_year % 4 == 0 && _year % 100 != 0) || _year % 400 == 0;
+            return leap ? 29 : 28;
+        }
+        return _month == 4 || _month == 6 || _month == 9 || _month == 11 ? 30 : 31;
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../TodoListV2.sol";
+
+/**
+ * @title TaskTree
+ * @dev Subtask nesting rules for TodoListV2, linked as an external library
+ */
+library TaskTree {
+    // Levels of subtasks allowed below a top-level task
+    uint256 internal constant MAX_TASK_DEPTH = 3;
+
+    // Reverts unless a subtask can be created under the parent
+    function checkDepth(mapping(uint256 => TodoListV2.Task) storage tasks, uint256 parentId) external view {
+        uint256 depth = 0;
+        while (parentId != 0) {
+            depth++;
+            parentId = tasks[parentId].parentId;
+        }
+        if (depth > MAX_TASK_DEPTH) revert TodoListV2.MaxDepthReached();
+    }
+}
@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockERC1271Wallet
+ * @dev Minimal ERC-1271 contract wallet for tests: a signature is valid when
+ *      it was made by the wallet's owner key
+ */
+contract MockERC1271Wallet {
+    bytes4 internal constant ERC1271_SUCCESS = 0x1626ba7e;
+    bytes4 internal constant ERC1271_FAILURE = 0xffffffff;
+
+    address public immutable owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function isValidSignature(bytes32 hash, bytes calldata signature)
+        external
+        view
+        returns (bytes4)
+    {
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(
+            hash,
+            signature
+        );
+        return
+            error == ECDSA.RecoverError.NoError && recovered == owner
+                ? ERC1271_SUCCESS
+                : ERC1271_FAILURE;
+    }
+}
+
+/**
+ * @title MockERC1271WalletFactory
+ * @dev CREATE2 factory, so tests can sign with a wallet before it is deployed
+ *      (ERC-6492)
+ */
+contract MockERC1271WalletFactory {
+    function deploy(address owner, bytes32 salt)
+        external
+        returns (MockERC1271Wallet)
+    {
+        return new MockERC1271Wallet{salt: salt}(owner);
+    }
+
+    function computeAddress(address owner, bytes32 salt)
+        external
+        view
+        returns (address)
+    {
+        bytes32 initCodeHash = keccak256(
+            abi.encodePacked(
+                type(MockERC1271Wallet).creationCode,
+                abi.encode(owner)
+            )
+        );
+        return
+            address(
+                uint160(
+                    uint256(
+                        keccak256(
+                            abi.encodePacked(
+                                bytes1(0xff),
+                                address(this),
+                                salt,
+                                initCodeHash
+                            )
+                        )
+                    )
+                )
+            );
+    }
+}
@@ -1,6 +1,7 @@
 import { HardhatUserConfig } from "hardhat/config";
 import "@nomicfoundation/hardhat-toolbox";
 import "@openzeppelin/hardhat-upgrades";
+import "hardhat-contract-sizer";
 import "dotenv/config";
 
 // Helper to get accounts array - only include if valid private key exists
@@ -15,11 +16,31 @@ const getAccounts = () => {
 
 const config: HardhatUserConfig = {
   solidity: {
-    version: "0.8.22",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200,
+    compilers: [
+      {
+        version: "0.8.22",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+          // The IR pipeline keeps TodoListV2 under the 24KB contract size limit
+          viaIR: true,
+        },
+      },
+    ],
+    overrides: {
+      // The backend ships ValidateSigOffchain's init code
+      // (backend/src/contracts/ValidateSigOffchain.bytecode.json), so its
+      // compiler and settings stay pinned
+      "contracts/UniversalSigValidator.sol": {
+        version: "0.8.22",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+        },
       },
     },
   },
@@ -69,6 +90,12 @@ const config: HardhatUserConfig = {
   mocha: {
     timeout: 40000,
   },
+  // Fail the compile when a contract is over the 24KB EIP-170 deployment limit
+  contractSizer: {
+    runOnCompile: true,
+    strict: true,
+    only: ["^contracts/"],
+  },
 };
 
 export default config;
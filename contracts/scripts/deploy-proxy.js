@@ -1,12 +1,13 @@
 const { ethers, upgrades } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { deployLibraries, getTodoListFactory } = require("./libraries");
 
 /**
  * Deploy TodoListV2 with UUPS Proxy Pattern
  * 
  * This script:
- * 1. Deploys the TodoListV2 implementation contract
+ * 1. Deploys the libraries TodoListV2 links against and its implementation contract
  * 2. Deploys a UUPS proxy pointing to the implementation
  * 3. Initializes the proxy with the admin address
  * 4. Saves deployment addresses to a JSON file
@@ -29,8 +30,14 @@ async function main() {
   console.log("🆔 Chain ID:", network.chainId.toString(), "\n");
 
   // Deploy TodoListV2 with UUPS proxy
+  console.log("📚 Deploying TodoListV2 libraries...");
+  const libraries = await deployLibraries(deployer);
+  for (const [name, address] of Object.entries(libraries)) {
+    console.log(`✅ ${name} deployed to:`, address);
+  }
+
   console.log("📦 Deploying TodoListV2 implementation...");
-  const TodoListV2 = await ethers.getContractFactory("TodoListV2");
+  const TodoListV2 = await getTodoListFactory(deployer, libraries);
   
   // Deploy with UUPS proxy pattern
   // The initialize function will be called automatically with the deployer as admin
@@ -93,6 +100,7 @@ async function main() {
     proxy: proxyAddress,
     implementation: implementationAddress,
     proxyAdmin: adminAddress,
+    libraries,
     deployer: deployer.address,
     timestamp: new Date().toISOString(),
     version: "2.0.0",
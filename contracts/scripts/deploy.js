@@ -2,6 +2,10 @@ const hre = require("hardhat");
 const { upgrades } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { getTodoListFactory } = require("./libraries");
+
+// Canonical Multicall3 deployment on public networks
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
 
 async function main() {
   console.log("Starting deployment...");
@@ -20,7 +24,7 @@ async function main() {
 
   // Deploy TodoListV2 contract with proxy
   console.log("\nDeploying TodoListV2 contract with UUPS proxy...");
-  const TodoListV2 = await hre.ethers.getContractFactory("TodoListV2");
+  const TodoListV2 = await getTodoListFactory(deployer);
   const todoList = await upgrades.deployProxy(TodoListV2, [deployer.address], {
     kind: "uups",
     initializer: "initialize",
@@ -45,6 +49,23 @@ async function main() {
     },
   };
 
+  // The backend batches reads through Multicall3. Public networks have it at
+  // the canonical address; deploy our own copy where it is missing (Hardhat)
+  const multicallCode = await hre.ethers.provider.getCode(MULTICALL3_ADDRESS);
+  if (multicallCode === "0x") {
+    console.log("\nMulticall3 not found, deploying local copy...");
+    const Multicall3 = await hre.ethers.getContractFactory("Multicall3");
+    const multicall = await Multicall3.deploy();
+    await multicall.waitForDeployment();
+    const multicallAddress = await multicall.getAddress();
+
+    deploymentInfo.contracts.Multicall3 = {
+      address: multicallAddress,
+      timestamp: new Date().toISOString(),
+    };
+    console.log(`Multicall3 deployed to: ${multicallAddress}`);
+  }
+
   // Create deployments directory if it doesn't exist
   const deploymentsDir = path.join(__dirname, "..", "deployments");
   if (!fs.existsSync(deploymentsDir)) {
@@ -66,6 +87,9 @@ async function main() {
   console.log(`Chain ID: ${network.chainId}`);
   console.log(`Deployer: ${deployer.address}`);
   console.log(`TodoListV2 Contract: ${todoListAddress}`);
+  console.log(
+    `Multicall3: ${deploymentInfo.contracts.Multicall3?.address || MULTICALL3_ADDRESS}`
+  );
   console.log("================================\n");
 
   // If not on localhost/hardhat, remind about verification
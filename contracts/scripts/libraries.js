@@ -0,0 +1,48 @@
+const { ethers, artifacts } = require("hardhat");
+
+/**
+ * External libraries TodoListV2 is linked against
+ *
+ * TodoListV2 keeps its feature rules in external libraries (contracts/libraries)
+ * to stay under the 24KB contract size limit. Its bytecode has placeholders for
+ * them, so every implementation deploy needs the library addresses.
+ */
+
+/**
+ * Names of the libraries the compiled TodoListV2 links against
+ * @returns {Promise<string[]>}
+ */
+async function getLibraryNames() {
+  const artifact = await artifacts.readArtifact("TodoListV2");
+  return Object.values(artifact.linkReferences).flatMap((libraries) => Object.keys(libraries));
+}
+
+/**
+ * Deploy every library TodoListV2 links against
+ * @param {import("ethers").Signer} [signer] Deployer (defaults to the first account)
+ * @returns {Promise<Record<string, string>>} Library name to deployed address
+ */
+async function deployLibraries(signer) {
+  const libraries = {};
+  for (const name of await getLibraryNames()) {
+    const Library = await ethers.getContractFactory(name, signer);
+    const library = await Library.deploy();
+    await library.waitForDeployment();
+    libraries[name] = await library.getAddress();
+  }
+  return libraries;
+}
+
+/**
+ * TodoListV2 factory linked to the given libraries, or to freshly deployed ones
+ * @param {import("ethers").Signer} [signer] Deployer (defaults to the first account)
+ * @param {Record<string, string>} [libraries] Addresses from deployLibraries
+ */
+async function getTodoListFactory(signer, libraries) {
+  return ethers.getContractFactory("TodoListV2", {
+    signer,
+    libraries: libraries || (await deployLibraries(signer)),
+  });
+}
+
+module.exports = { getLibraryNames, deployLibraries, getTodoListFactory };
@@ -1,6 +1,7 @@
 const { ethers, upgrades } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { getTodoListFactory } = require("./libraries");
 
 /**
  * Upgrade TodoListV2 Proxy to New Implementation
@@ -54,8 +55,7 @@ async function main() {
   console.log("📍 Current Implementation:", oldImplementation, "\n");
 
   // Connect to existing proxy
-  const TodoListV2 = await ethers.getContractFactory("TodoListV2");
-  const existingProxy = TodoListV2.attach(proxyAddress);
+  const existingProxy = await ethers.getContractAt("TodoListV2", proxyAddress);
 
   // Verify upgrader has permission
   console.log("🔐 Verifying upgrade permissions...");
@@ -97,8 +97,9 @@ async function main() {
 
   // Deploy new implementation
   // NOTE: Change "TodoListV2" to your new contract name (e.g., "TodoListV3")
+  // Libraries are redeployed with it, since their code may have changed too
   console.log("📦 Deploying new implementation...");
-  const TodoListV2New = await ethers.getContractFactory("TodoListV2");
+  const TodoListV2New = await getTodoListFactory(upgrader);
   
   // Upgrade the proxy
   const upgraded = await upgrades.upgradeProxy(proxyAddress, TodoListV2New);
@@ -106,6 +107,14 @@ async function main() {
 
   console.log("✅ Proxy upgraded successfully!\n");
 
+  // Proxies deployed before 3.2.0 have no EIP-712 domain for signed requests yet
+  const domain = await upgraded.eip712Domain();
+  if (!domain.name) {
+    console.log("✍️  Initializing EIP-712 domain...");
+    await (await upgraded.initializeEIP712()).wait();
+    console.log("✅ EIP-712 domain initialized\n");
+  }
+
   // Get new implementation address
   const newImplementation = await upgrades.erc1967.getImplementationAddress(
     proxyAddress
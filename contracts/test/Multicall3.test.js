@@ -0,0 +1,82 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getTodoListFactory } = require("../scripts/libraries");
+
+describe("Multicall3", function () {
+  async function deployMulticallFixture() {
+    const [owner, user1] = await ethers.getSigners();
+
+    const TodoListV2 = await getTodoListFactory();
+    const proxy = await upgrades.deployProxy(
+      TodoListV2,
+      [owner.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await proxy.waitForDeployment();
+
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    const multicall = await Multicall3.deploy();
+    await multicall.waitForDeployment();
+
+    await proxy.connect(owner).updateCooldown(0);
+    await proxy.connect(user1).createTask("Task 1", 0);
+    await proxy.connect(user1).createTask("Task 2", 0);
+    await proxy.connect(user1).completeTask(2);
+
+    return { proxy, multicall, owner, user1 };
+  }
+
+  function getTaskCall(proxy, target, taskId, allowFailure = true) {
+    return {
+      target,
+      allowFailure,
+      callData: proxy.interface.encodeFunctionData("getTask", [taskId]),
+    };
+  }
+
+  it("Should batch getTask reads in a single call", async function () {
+    const { proxy, multicall } = await loadFixture(deployMulticallFixture);
+    const target = await proxy.getAddress();
+
+    const results = await multicall.aggregate3.staticCall([
+      getTaskCall(proxy, target, 1),
+      getTaskCall(proxy, target, 2),
+    ]);
+
+    expect(results).to.have.length(2);
+    const [task1] = proxy.interface.decodeFunctionResult("getTask", results[0].returnData);
+    const [task2] = proxy.interface.decodeFunctionResult("getTask", results[1].returnData);
+    expect(results[0].success).to.be.true;
+    expect(task1.description).to.equal("Task 1");
+    expect(task2.completed).to.be.true;
+  });
+
+  it("Should report failed calls when failure is allowed", async function () {
+    const { proxy, multicall } = await loadFixture(deployMulticallFixture);
+    const target = await proxy.getAddress();
+
+    const results = await multicall.aggregate3.staticCall([
+      getTaskCall(proxy, target, 1),
+      getTaskCall(proxy, target, 99),
+    ]);
+
+    expect(results[0].success).to.be.true;
+    expect(results[1].success).to.be.false;
+  });
+
+  it("Should revert when a call that may not fail reverts", async function () {
+    const { proxy, multicall } = await loadFixture(deployMulticallFixture);
+    const target = await proxy.getAddress();
+
+    await expect(
+      multicall.aggregate3.staticCall([getTaskCall(proxy, target, 99, false)])
+    ).to.be.revertedWith("Multicall3: call failed");
+  });
+
+  it("Should return the current block number", async function () {
+    const { multicall } = await loadFixture(deployMulticallFixture);
+
+    expect(await multicall.getBlockNumber()).to.equal(await ethers.provider.getBlockNumber());
+  });
+});
@@ -1,13 +1,14 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getTodoListFactory } = require("../scripts/libraries");
 
 describe("TodoListV2 - Access Control with Multiple Roles", function () {
   async function deployTodoListV2Fixture() {
     const [owner, admin1, admin2, moderator1, moderator2, upgrader1, upgrader2, user1, user2] =
       await ethers.getSigners();
 
-    const TodoListV2 = await ethers.getContractFactory("TodoListV2");
+    const TodoListV2 = await getTodoListFactory();
     const proxy = await upgrades.deployProxy(
       TodoListV2,
       [owner.address],
@@ -181,7 +182,7 @@ describe("TodoListV2 - Access Control with Multiple Roles", function () {
       const UPGRADER_ROLE = await proxy.UPGRADER_ROLE();
       await proxy.connect(owner).grantRoleWithEvent(UPGRADER_ROLE, upgrader1.address);
 
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2", upgrader1);
+      const TodoListV2Upgraded = await getTodoListFactory(upgrader1);
       await expect(
         upgrades.upgradeProxy(await proxy.getAddress(), TodoListV2Upgraded)
       ).to.not.be.reverted;
@@ -231,7 +232,7 @@ describe("TodoListV2 - Access Control with Multiple Roles", function () {
       await expect(proxy.connect(admin1).unpause()).to.not.be.reverted;
 
       // Upgrader function
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       await expect(
         upgrades.upgradeProxy(await proxy.getAddress(), TodoListV2Upgraded)
       ).to.not.be.reverted;
@@ -401,7 +402,7 @@ describe("TodoListV2 - Access Control with Multiple Roles", function () {
       // Operations should be blocked
       await expect(
         proxy.connect(user1).createTask("Emergency task", 0)
-      ).to.be.revertedWith("Circuit breaker active: contract operations suspended");
+      ).to.be.revertedWithCustomError(proxy, "OperationsSuspended");
 
       // Admin2 deactivates after emergency is resolved
       await proxy.connect(admin2).deactivateCircuitBreaker();
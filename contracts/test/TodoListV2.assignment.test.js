@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getTodoListFactory } = require("../scripts/libraries");
+
+describe("TodoListV2 - Task Assignment", function () {
+  const BOUNTY = ethers.parseEther("1");
+
+  async function deployAssignmentFixture() {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const TodoListV2 = await getTodoListFactory();
+    const proxy = await upgrades.deployProxy(
+      TodoListV2,
+      [owner.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await proxy.waitForDeployment();
+
+    await proxy.connect(owner).updateCooldown(0);
+    await proxy.connect(user1).batchCreateTasks(["Fix the fence", "Paint the shed"], [0, 0]);
+
+    return { proxy, owner, user1, user2, user3 };
+  }
+
+  describe("assignTask", function () {
+    it("Should propose the assignee without assigning them yet", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployAssignmentFixture);
+
+      await expect(proxy.connect(user1).assignTask(1, user2.address))
+        .to.emit(proxy, "TaskAssignmentProposed")
+        .withArgs(1, user1.address, user2.address, anyValue)
+        .and.to.not.emit(proxy, "TaskAssigned");
+
+      const task = await proxy.getTask(1);
+      expect(task.pendingAssignee).to.equal(user2.address);
+      expect(task.assignee).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should replace an earlier proposal", async function () {
+      const { proxy, user1, user2, user3 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).assignTask(1, user2.address);
+
+      await proxy.connect(user1).assignTask(1, user3.address);
+
+      expect((await proxy.getTask(1)).pendingAssignee).to.equal(user3.address);
+      await expect(proxy.connect(user2).acceptAssignment(1))
+        .to.be.revertedWithCustomError(proxy, "NoPendingAssignment");
+    });
+
+    it("Should clear the assignee and any proposal when unassigning", async function () {
+      const { proxy, user1, user2, user3 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).assignTask(1, user2.address);
+      await proxy.connect(user2).acceptAssignment(1);
+      await proxy.connect(user1).assignTask(1, user3.address);
+
+      await expect(proxy.connect(user1).assignTask(1, ethers.ZeroAddress))
+        .to.emit(proxy, "TaskAssigned")
+        .withArgs(1, user1.address, ethers.ZeroAddress, anyValue);
+
+      const task = await proxy.getTask(1);
+      expect(task.assignee).to.equal(ethers.ZeroAddress);
+      expect(task.pendingAssignee).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should only let the owner assign an open task to someone else", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployAssignmentFixture);
+
+      await expect(proxy.connect(user2).assignTask(1, user2.address))
+        .to.be.revertedWithCustomError(proxy, "NotTaskOwner");
+      await expect(proxy.connect(user1).assignTask(1, user1.address))
+        .to.be.revertedWithCustomError(proxy, "CannotAssignOwner");
+
+      await proxy.connect(user1).assignTask(1, user2.address);
+      await proxy.connect(user2).acceptAssignment(1);
+      await expect(proxy.connect(user1).assignTask(1, user2.address))
+        .to.be.revertedWithCustomError(proxy, "AlreadyAssigned");
+
+      await proxy.connect(user1).completeTask(2);
+      await expect(proxy.connect(user1).assignTask(2, user2.address))
+        .to.be.revertedWithCustomError(proxy, "TaskAlreadyCompleted");
+    });
+  });
+
+  describe("acceptAssignment", function () {
+    it("Should make the proposed address the assignee", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).assignTask(1, user2.address);
+
+      await expect(proxy.connect(user2).acceptAssignment(1))
+        .to.emit(proxy, "TaskAssigned")
+        .withArgs(1, user1.address, user2.address, anyValue);
+
+      const task = await proxy.getTask(1);
+      expect(task.assignee).to.equal(user2.address);
+      expect(task.pendingAssignee).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should replace the current assignee", async function () {
+      const { proxy, user1, user2, user3 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).assignTask(1, user2.address);
+      await proxy.connect(user2).acceptAssignment(1);
+      await proxy.connect(user1).assignTask(1, user3.address);
+
+      expect((await proxy.getTask(1)).assignee).to.equal(user2.address);
+      await proxy.connect(user3).acceptAssignment(1);
+      expect((await proxy.getTask(1)).assignee).to.equal(user3.address);
+    });
+
+    it("Should only accept an open task proposed to the caller", async function () {
+      const { proxy, user1, user2, user3 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).assignTask(1, user2.address);
+      await proxy.connect(user1).assignTask(2, user2.address);
+
+      await expect(proxy.connect(user3).acceptAssignment(1))
+        .to.be.revertedWithCustomError(proxy, "NoPendingAssignment");
+
+      await proxy.connect(user1).completeTask(1);
+      await expect(proxy.connect(user2).acceptAssignment(1))
+        .to.be.revertedWithCustomError(proxy, "TaskAlreadyCompleted");
+
+      await proxy.connect(user1).deleteTask(2);
+      await expect(proxy.connect(user2).acceptAssignment(2))
+        .to.be.revertedWithCustomError(proxy, "TaskIsDeleted");
+    });
+  });
+
+  describe("rejectAssignment", function () {
+    it("Should clear the proposal and emit TaskAssignmentRejected", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).assignTask(1, user2.address);
+
+      await expect(proxy.connect(user2).rejectAssignment(1))
+        .to.emit(proxy, "TaskAssignmentRejected")
+        .withArgs(1, user2.address, anyValue);
+
+      const task = await proxy.getTask(1);
+      expect(task.pendingAssignee).to.equal(ethers.ZeroAddress);
+      expect(task.assignee).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should let the assignee of an open task step down", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).assignTask(1, user2.address);
+      await proxy.connect(user2).acceptAssignment(1);
+
+      await expect(proxy.connect(user2).rejectAssignment(1))
+        .to.emit(proxy, "TaskAssigned")
+        .withArgs(1, user1.address, ethers.ZeroAddress, anyValue);
+      expect((await proxy.getTask(1)).assignee).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should only be called by the proposed address", async function () {
+      const { proxy, user1, user2, user3 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).assignTask(1, user2.address);
+
+      await expect(proxy.connect(user3).rejectAssignment(1))
+        .to.be.revertedWithCustomError(proxy, "NoPendingAssignment");
+      await expect(proxy.connect(user2).rejectAssignment(2))
+        .to.be.revertedWithCustomError(proxy, "NoPendingAssignment");
+    });
+  });
+
+  describe("Completing an assigned task", function () {
+    it("Should let the assignee complete the task", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).assignTask(1, user2.address);
+      await proxy.connect(user2).acceptAssignment(1);
+
+      await expect(proxy.connect(user2).completeTask(1))
+        .to.emit(proxy, "TaskCompleted")
+        .withArgs(1, user2.address, anyValue);
+    });
+
+    it("Should let the assignee complete in a batch", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).assignTask(1, user2.address);
+      await proxy.connect(user2).acceptAssignment(1);
+
+      await expect(proxy.connect(user2).batchCompleteTasks([1, 2]))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+      await proxy.connect(user2).batchCompleteTasks([1]);
+
+      expect((await proxy.getTask(1)).completed).to.be.true;
+    });
+
+    it("Should not let a proposed assignee complete the task", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).assignTask(1, user2.address);
+
+      await expect(proxy.connect(user2).completeTask(1))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+    });
+
+    it("Should not let the assignee change the task", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).assignTask(1, user2.address);
+      await proxy.connect(user2).acceptAssignment(1);
+
+      await expect(proxy.connect(user2).updateTask(1, "Changed"))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+      await expect(proxy.connect(user2).deleteTask(1))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+    });
+
+    it("Should refund the bounty when the proposal was never accepted", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployAssignmentFixture);
+      await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+      await proxy.connect(user1).assignTask(1, user2.address);
+
+      await proxy.connect(user1).completeTask(1);
+
+      expect(await proxy.getPendingWithdrawal(user1.address)).to.equal(BOUNTY);
+      expect(await proxy.getPendingWithdrawal(user2.address)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getTodoListFactory } = require("../scripts/libraries");
+
+describe("TodoListV2 - Batch Operations", function () {
+  const Role = { None: 0, Viewer: 1, Editor: 2, Owner: 3 };
+
+  async function deployBatchFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const TodoListV2 = await getTodoListFactory();
+    const proxy = await upgrades.deployProxy(
+      TodoListV2,
+      [owner.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await proxy.waitForDeployment();
+
+    return { proxy, owner, user1, user2 };
+  }
+
+  async function withTasksFixture() {
+    const fixture = await deployBatchFixture();
+    await fixture.proxy.connect(fixture.owner).updateCooldown(0);
+    await fixture.proxy.connect(fixture.user1).batchCreateTasks(["Task 1", "Task 2", "Task 3"], [0, 0, 0]);
+    return fixture;
+  }
+
+  describe("batchCreateTasks", function () {
+    it("Should create every task and emit one TaskCreated per task", async function () {
+      const { proxy, user1 } = await loadFixture(deployBatchFixture);
+      const dueDate = (await time.latest()) + 86400;
+
+      const tx = proxy.connect(user1).batchCreateTasks(["Task 1", "Task 2"], [0, dueDate]);
+
+      await expect(tx).to.emit(proxy, "TaskCreated").withArgs(1, user1.address, "Task 1", anyValue, 0);
+      await expect(tx).to.emit(proxy, "TaskCreated").withArgs(2, user1.address, "Task 2", anyValue, dueDate);
+
+      const receipt = await (await tx).wait();
+      expect(receipt.logs).to.have.lengthOf(2);
+      expect(await proxy.getTaskCount(user1.address)).to.equal(2);
+      expect((await proxy.getTask(2)).dueDate).to.equal(dueDate);
+    });
+
+    it("Should return the new task IDs", async function () {
+      const { proxy, user1 } = await loadFixture(deployBatchFixture);
+
+      const taskIds = await proxy.connect(user1).batchCreateTasks.staticCall(["A", "B", "C"], [0, 0, 0]);
+
+      expect(taskIds).to.deep.equal([1n, 2n, 3n]);
+    });
+
+    it("Should count the batch once against the rate limit", async function () {
+      const { proxy, owner, user1 } = await loadFixture(deployBatchFixture);
+      await proxy.connect(owner).updateCooldown(60);
+
+      await proxy.connect(user1).batchCreateTasks(["A", "B", "C"], [0, 0, 0]);
+
+      await expect(proxy.connect(user1).batchCreateTasks(["D"], [0]))
+        .to.be.revertedWithCustomError(proxy, "RateLimited");
+    });
+
+    it("Should reject mismatched and empty arrays", async function () {
+      const { proxy, user1 } = await loadFixture(deployBatchFixture);
+
+      await expect(proxy.connect(user1).batchCreateTasks(["A", "B"], [0]))
+        .to.be.revertedWithCustomError(proxy, "ArrayLengthMismatch");
+      await expect(proxy.connect(user1).batchCreateTasks([], []))
+        .to.be.revertedWithCustomError(proxy, "EmptyBatch");
+    });
+
+    it("Should be bounded by maxTasksPerUser", async function () {
+      const { proxy, owner, user1 } = await loadFixture(deployBatchFixture);
+      await proxy.connect(owner).updateMaxTasks(100);
+      await proxy.connect(owner).updateCooldown(0);
+      const tasks = (count) => [Array(count).fill("Task"), Array(count).fill(0)];
+
+      await expect(proxy.connect(user1).batchCreateTasks(...tasks(101)))
+        .to.be.revertedWithCustomError(proxy, "BatchTooLarge");
+
+      await proxy.connect(user1).batchCreateTasks(...tasks(99));
+      await expect(proxy.connect(user1).batchCreateTasks(...tasks(2)))
+        .to.be.revertedWithCustomError(proxy, "TaskLimitReached");
+    });
+
+    it("Should revert the whole batch when one task is invalid", async function () {
+      const { proxy, user1 } = await loadFixture(deployBatchFixture);
+
+      await expect(proxy.connect(user1).batchCreateTasks(["A", ""], [0, 0]))
+        .to.be.revertedWithCustomError(proxy, "EmptyDescription");
+      expect(await proxy.getTotalTaskCount()).to.equal(0);
+    });
+  });
+
+  describe("batchCompleteTasks", function () {
+    it("Should complete every task in one transaction", async function () {
+      const { proxy, user1 } = await loadFixture(withTasksFixture);
+
+      const tx = proxy.connect(user1).batchCompleteTasks([1, 3]);
+
+      await expect(tx).to.emit(proxy, "TaskCompleted");
+      const receipt = await (await tx).wait();
+      expect(receipt.logs).to.have.lengthOf(2);
+      expect((await proxy.getTask(1)).completed).to.be.true;
+      expect((await proxy.getTask(2)).completed).to.be.false;
+      expect((await proxy.getTask(3)).completed).to.be.true;
+    });
+
+    it("Should revert the whole batch if any task can't be completed", async function () {
+      const { proxy, user1 } = await loadFixture(withTasksFixture);
+      await proxy.connect(user1).completeTask(2);
+
+      await expect(proxy.connect(user1).batchCompleteTasks([1, 2]))
+        .to.be.revertedWithCustomError(proxy, "TaskAlreadyCompleted");
+      await expect(proxy.connect(user1).batchCompleteTasks([1, 99]))
+        .to.be.revertedWithCustomError(proxy, "TaskNotFound");
+      expect((await proxy.getTask(1)).completed).to.be.false;
+    });
+
+    it("Should require the caller to be able to edit every task", async function () {
+      const { proxy, user1, user2 } = await loadFixture(withTasksFixture);
+      await proxy.connect(user2).createTask("Other", 0);
+
+      await expect(proxy.connect(user2).batchCompleteTasks([4, 1]))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+    });
+
+    it("Should let a list editor complete the list's tasks", async function () {
+      const { proxy, user1, user2 } = await loadFixture(withTasksFixture);
+      await proxy.connect(user1).createList("Household");
+      await proxy.connect(user1).setListMember(1, user2.address, Role.Editor);
+      await proxy.connect(user1).moveTaskToList(1, 1);
+      await proxy.connect(user1).moveTaskToList(2, 1);
+
+      await expect(proxy.connect(user2).batchCompleteTasks([1, 2]))
+        .to.emit(proxy, "TaskCompleted");
+    });
+  });
+
+  describe("batchDeleteTasks", function () {
+    it("Should delete every task and update the task count", async function () {
+      const { proxy, user1 } = await loadFixture(withTasksFixture);
+
+      const receipt = await (await proxy.connect(user1).batchDeleteTasks([1, 2])).wait();
+
+      expect(receipt.logs).to.have.lengthOf(2);
+      expect(await proxy.getTaskCount(user1.address)).to.equal(1);
+      expect((await proxy.getTask(1)).deleted).to.be.true;
+    });
+
+    it("Should reject already deleted tasks and duplicates", async function () {
+      const { proxy, user1 } = await loadFixture(withTasksFixture);
+      await proxy.connect(user1).deleteTask(3);
+
+      await expect(proxy.connect(user1).batchDeleteTasks([1, 3]))
+        .to.be.revertedWithCustomError(proxy, "TaskIsDeleted");
+      await expect(proxy.connect(user1).batchDeleteTasks([1, 1]))
+        .to.be.revertedWithCustomError(proxy, "TaskIsDeleted");
+    });
+
+    it("Should be blocked while the contract is paused", async function () {
+      const { proxy, owner, user1 } = await loadFixture(withTasksFixture);
+      await proxy.connect(owner).pause();
+
+      await expect(proxy.connect(user1).batchDeleteTasks([1]))
+        .to.be.revertedWithCustomError(proxy, "EnforcedPause");
+    });
+  });
+});
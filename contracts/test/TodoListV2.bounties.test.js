@@ -0,0 +1,237 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getTodoListFactory } = require("../scripts/libraries");
+
+describe("TodoListV2 - Task Bounties", function () {
+  const Role = { None: 0, Viewer: 1, Editor: 2, Owner: 3 };
+  const Recurrence = { None: 0, Daily: 1 };
+  const BOUNTY = ethers.parseEther("1");
+
+  async function deployBountyFixture() {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const TodoListV2 = await getTodoListFactory();
+    const proxy = await upgrades.deployProxy(
+      TodoListV2,
+      [owner.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await proxy.waitForDeployment();
+
+    await proxy.connect(owner).updateCooldown(0);
+    await proxy.connect(user1).batchCreateTasks(["Fix the fence", "Paint the shed"], [0, 0]);
+
+    return { proxy, owner, user1, user2, user3 };
+  }
+
+  async function assign(proxy, owner, assignee, taskId) {
+    await proxy.connect(owner).assignTask(taskId, assignee.address);
+    await proxy.connect(assignee).acceptAssignment(taskId);
+  }
+
+  describe("fundBounty", function () {
+    it("Should hold the ETH in escrow and emit TaskBountyChanged", async function () {
+      const { proxy, user1 } = await loadFixture(deployBountyFixture);
+
+      await expect(proxy.connect(user1).fundBounty(1, { value: BOUNTY }))
+        .to.emit(proxy, "TaskBountyChanged")
+        .withArgs(1, user1.address, BOUNTY, anyValue);
+
+      expect((await proxy.getTask(1)).bounty).to.equal(BOUNTY);
+      expect(await proxy.totalBounties()).to.equal(BOUNTY);
+      expect(await ethers.provider.getBalance(await proxy.getAddress())).to.equal(BOUNTY);
+    });
+
+    it("Should add to an existing bounty", async function () {
+      const { proxy, user1 } = await loadFixture(deployBountyFixture);
+      await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+
+      await expect(proxy.connect(user1).fundBounty(1, { value: BOUNTY }))
+        .to.emit(proxy, "TaskBountyChanged")
+        .withArgs(1, user1.address, BOUNTY * 2n, anyValue);
+    });
+
+    it("Should require an open task owned by the caller and some ETH", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployBountyFixture);
+
+      await expect(proxy.connect(user2).fundBounty(1, { value: BOUNTY }))
+        .to.be.revertedWithCustomError(proxy, "NotTaskOwner");
+      await expect(proxy.connect(user1).fundBounty(1))
+        .to.be.revertedWithCustomError(proxy, "ZeroBounty");
+
+      await proxy.connect(user1).completeTask(1);
+      await expect(proxy.connect(user1).fundBounty(1, { value: BOUNTY }))
+        .to.be.revertedWithCustomError(proxy, "TaskAlreadyCompleted");
+
+      await proxy.connect(user1).deleteTask(2);
+      await expect(proxy.connect(user1).fundBounty(2, { value: BOUNTY }))
+        .to.be.revertedWithCustomError(proxy, "TaskIsDeleted");
+    });
+  });
+
+  describe("Paying out bounties", function () {
+    it("Should release the bounty to the assignee when the owner completes the task", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployBountyFixture);
+      await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+      await assign(proxy, user1, user2, 1);
+
+      await expect(proxy.connect(user1).completeTask(1))
+        .to.emit(proxy, "TaskBountyReleased")
+        .withArgs(1, user2.address, BOUNTY, anyValue)
+        .and.to.emit(proxy, "WithdrawalQueued")
+        .withArgs(user2.address, BOUNTY, anyValue);
+
+      expect((await proxy.getTask(1)).bounty).to.equal(0);
+      expect(await proxy.totalBounties()).to.equal(0);
+      expect(await proxy.getPendingWithdrawal(user2.address)).to.equal(BOUNTY);
+      expect(await proxy.totalPendingWithdrawals()).to.equal(BOUNTY);
+    });
+
+    it("Should let the assignee withdraw the released bounty", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployBountyFixture);
+      await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+      await assign(proxy, user1, user2, 1);
+      await proxy.connect(user1).completeTask(1);
+
+      await expect(proxy.connect(user2).withdraw())
+        .to.changeEtherBalances([user2, proxy], [BOUNTY, -BOUNTY]);
+      expect(await proxy.getPendingWithdrawal(user2.address)).to.equal(0);
+    });
+
+    it("Should refund an unassigned bounty to the owner on completion", async function () {
+      const { proxy, user1 } = await loadFixture(deployBountyFixture);
+      await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+
+      await expect(proxy.connect(user1).completeTask(1))
+        .to.emit(proxy, "TaskBountyChanged")
+        .withArgs(1, user1.address, 0, anyValue)
+        .and.to.not.emit(proxy, "TaskBountyReleased");
+
+      expect(await proxy.getPendingWithdrawal(user1.address)).to.equal(BOUNTY);
+    });
+
+    it("Should only let the owner complete a task with a bounty", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployBountyFixture);
+      await proxy.connect(user1).createList("Household");
+      await proxy.connect(user1).setListMember(1, user2.address, Role.Editor);
+      await proxy.connect(user1).moveTaskToList(1, 1);
+      await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+      await assign(proxy, user1, user2, 1);
+
+      await expect(proxy.connect(user2).completeTask(1))
+        .to.be.revertedWithCustomError(proxy, "BountyNeedsOwner");
+      await expect(proxy.connect(user2).batchCompleteTasks([1]))
+        .to.be.revertedWithCustomError(proxy, "BountyNeedsOwner");
+    });
+
+    it("Should refund the bounty when the task is deleted, and not again on restore", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployBountyFixture);
+      await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+
+      await expect(proxy.connect(user1).deleteTask(1))
+        .to.emit(proxy, "TaskBountyChanged")
+        .withArgs(1, user1.address, 0, anyValue);
+      await proxy.connect(user1).restoreTask(1);
+      await assign(proxy, user1, user2, 1);
+      await proxy.connect(user1).completeTask(1);
+
+      expect(await proxy.getPendingWithdrawal(user1.address)).to.equal(BOUNTY);
+      expect(await proxy.getPendingWithdrawal(user2.address)).to.equal(0);
+    });
+
+    it("Should not carry the bounty over to the next occurrence", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployBountyFixture);
+      await proxy.connect(user1).createRecurringTask("Mow the lawn", 0, Recurrence.Daily, 0);
+      await proxy.connect(user1).fundBounty(3, { value: BOUNTY });
+      await assign(proxy, user1, user2, 3);
+
+      await proxy.connect(user1).completeTask(3);
+
+      const next = await proxy.getTask(4);
+      expect(next.bounty).to.equal(0);
+      expect(next.assignee).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Assigned bounties", function () {
+    it("Should not let the owner unassign or reassign the task", async function () {
+      const { proxy, user1, user2, user3 } = await loadFixture(deployBountyFixture);
+      await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+      await assign(proxy, user1, user2, 1);
+
+      await expect(proxy.connect(user1).assignTask(1, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(proxy, "BountyAssigned");
+      await expect(proxy.connect(user1).assignTask(1, user3.address))
+        .to.be.revertedWithCustomError(proxy, "BountyAssigned");
+
+      await expect(proxy.connect(user1).completeTask(1))
+        .to.emit(proxy, "TaskBountyReleased")
+        .withArgs(1, user2.address, BOUNTY, anyValue);
+      expect(await proxy.getPendingWithdrawal(user1.address)).to.equal(0);
+      expect(await proxy.getPendingWithdrawal(user2.address)).to.equal(BOUNTY);
+    });
+
+    it("Should not let the owner cancel the bounty or delete the task", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployBountyFixture);
+      await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+      await assign(proxy, user1, user2, 1);
+
+      await expect(proxy.connect(user1).cancelBounty(1))
+        .to.be.revertedWithCustomError(proxy, "BountyAssigned");
+      await expect(proxy.connect(user1).deleteTask(1))
+        .to.be.revertedWithCustomError(proxy, "BountyAssigned");
+      expect((await proxy.getTask(1)).bounty).to.equal(BOUNTY);
+    });
+
+    it("Should refund the owner once the assignee steps down", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployBountyFixture);
+      await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+      await assign(proxy, user1, user2, 1);
+
+      await expect(proxy.connect(user2).rejectAssignment(1))
+        .to.emit(proxy, "TaskAssigned")
+        .withArgs(1, user1.address, ethers.ZeroAddress, anyValue);
+      await proxy.connect(user1).completeTask(1);
+
+      expect(await proxy.getPendingWithdrawal(user1.address)).to.equal(BOUNTY);
+      expect(await proxy.getPendingWithdrawal(user2.address)).to.equal(0);
+    });
+  });
+
+  describe("cancelBounty", function () {
+    it("Should refund the bounty to the owner", async function () {
+      const { proxy, user1 } = await loadFixture(deployBountyFixture);
+      await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+
+      await expect(proxy.connect(user1).cancelBounty(1))
+        .to.emit(proxy, "WithdrawalQueued")
+        .withArgs(user1.address, BOUNTY, anyValue);
+
+      expect((await proxy.getTask(1)).bounty).to.equal(0);
+      await expect(proxy.connect(user1).withdraw())
+        .to.changeEtherBalance(user1, BOUNTY);
+    });
+
+    it("Should require the owner and an existing bounty", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployBountyFixture);
+      await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+
+      await expect(proxy.connect(user2).cancelBounty(1))
+        .to.be.revertedWithCustomError(proxy, "NotTaskOwner");
+      await expect(proxy.connect(user1).cancelBounty(2))
+        .to.be.revertedWithCustomError(proxy, "NoBounty");
+    });
+  });
+
+  it("Should keep bounties out of emergency withdrawals", async function () {
+    const { proxy, owner, user1, user3 } = await loadFixture(deployBountyFixture);
+    await proxy.connect(user1).fundBounty(1, { value: BOUNTY });
+    await owner.sendTransaction({ to: await proxy.getAddress(), value: 100n });
+
+    await expect(proxy.connect(owner).emergencyWithdraw(user3.address))
+      .to.changeEtherBalance(user3, 100n);
+    expect(await ethers.provider.getBalance(await proxy.getAddress())).to.equal(BOUNTY);
+  });
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getTodoListFactory } = require("../scripts/libraries");
+
+describe("TodoListV2 - Task Dependencies", function () {
+  const Recurrence = { None: 0, Daily: 1 };
+
+  async function deployDependencyFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const TodoListV2 = await getTodoListFactory();
+    const proxy = await upgrades.deployProxy(
+      TodoListV2,
+      [owner.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await proxy.waitForDeployment();
+
+    await proxy.connect(owner).updateCooldown(0);
+    await proxy.connect(user1).batchCreateTasks(["A", "B", "C", "D"], [0, 0, 0, 0]);
+
+    return { proxy, owner, user1, user2 };
+  }
+
+  describe("setTaskDependencies", function () {
+    it("Should store the dependencies and emit TaskDependenciesChanged", async function () {
+      const { proxy, user1 } = await loadFixture(deployDependencyFixture);
+
+      await expect(proxy.connect(user1).setTaskDependencies(2, [1, 3]))
+        .to.emit(proxy, "TaskDependenciesChanged")
+        .withArgs(2, user1.address, [1, 3], anyValue);
+
+      expect((await proxy.getTask(2)).dependencies).to.deep.equal([1n, 3n]);
+      expect((await proxy.getTask(1)).dependencies).to.deep.equal([]);
+    });
+
+    it("Should replace and clear the dependencies", async function () {
+      const { proxy, user1 } = await loadFixture(deployDependencyFixture);
+      await proxy.connect(user1).setTaskDependencies(2, [1, 3]);
+
+      await proxy.connect(user1).setTaskDependencies(2, [4]);
+      expect((await proxy.getTask(2)).dependencies).to.deep.equal([4n]);
+
+      await proxy.connect(user1).setTaskDependencies(2, []);
+      expect((await proxy.getTask(2)).dependencies).to.deep.equal([]);
+    });
+
+    it("Should validate the dependency list", async function () {
+      const { proxy, user1 } = await loadFixture(deployDependencyFixture);
+      await proxy.connect(user1).deleteTask(4);
+
+      await expect(proxy.connect(user1).setTaskDependencies(2, [2]))
+        .to.be.revertedWithCustomError(proxy, "SelfDependency");
+      await expect(proxy.connect(user1).setTaskDependencies(2, [99]))
+        .to.be.revertedWithCustomError(proxy, "DependencyNotFound");
+      await expect(proxy.connect(user1).setTaskDependencies(2, [4]))
+        .to.be.revertedWithCustomError(proxy, "DependencyDeleted");
+      await expect(proxy.connect(user1).setTaskDependencies(2, [1, 1]))
+        .to.be.revertedWithCustomError(proxy, "DuplicateDependency");
+      await expect(proxy.connect(user1).setTaskDependencies(2, Array.from({ length: 11 }, (_, i) => i + 10)))
+        .to.be.revertedWithCustomError(proxy, "TooManyDependencies");
+    });
+
+    it("Should reject direct and indirect cycles", async function () {
+      const { proxy, user1 } = await loadFixture(deployDependencyFixture);
+      await proxy.connect(user1).setTaskDependencies(2, [1]);
+      await proxy.connect(user1).setTaskDependencies(3, [2]);
+
+      await expect(proxy.connect(user1).setTaskDependencies(1, [2]))
+        .to.be.revertedWithCustomError(proxy, "DependencyCycle");
+      await expect(proxy.connect(user1).setTaskDependencies(1, [4, 3]))
+        .to.be.revertedWithCustomError(proxy, "DependencyCycle");
+
+      // Shared prerequisites are not cycles
+      await proxy.connect(user1).setTaskDependencies(4, [1, 2, 3]);
+    });
+
+    it("Should require an open task the caller can edit", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployDependencyFixture);
+
+      await expect(proxy.connect(user2).setTaskDependencies(2, [1]))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+
+      await proxy.connect(user1).completeTask(2);
+      await expect(proxy.connect(user1).setTaskDependencies(2, [1]))
+        .to.be.revertedWithCustomError(proxy, "TaskAlreadyCompleted");
+    });
+  });
+
+  describe("Completing a task with dependencies", function () {
+    it("Should block completion until every dependency is done", async function () {
+      const { proxy, user1 } = await loadFixture(deployDependencyFixture);
+      await proxy.connect(user1).setTaskDependencies(3, [1, 2]);
+      expect(await proxy.isTaskBlocked(3)).to.be.true;
+
+      await proxy.connect(user1).completeTask(1);
+      await expect(proxy.connect(user1).completeTask(3))
+        .to.be.revertedWithCustomError(proxy, "TaskBlocked");
+
+      await proxy.connect(user1).completeTask(2);
+      expect(await proxy.isTaskBlocked(3)).to.be.false;
+      await expect(proxy.connect(user1).completeTask(3)).to.emit(proxy, "TaskCompleted");
+    });
+
+    it("Should stop blocking once a dependency is deleted", async function () {
+      const { proxy, user1 } = await loadFixture(deployDependencyFixture);
+      await proxy.connect(user1).setTaskDependencies(2, [1]);
+
+      await proxy.connect(user1).deleteTask(1);
+      expect(await proxy.isTaskBlocked(2)).to.be.false;
+
+      await proxy.connect(user1).restoreTask(1);
+      expect(await proxy.isTaskBlocked(2)).to.be.true;
+    });
+
+    it("Should apply to batch completions in order", async function () {
+      const { proxy, user1 } = await loadFixture(deployDependencyFixture);
+      await proxy.connect(user1).setTaskDependencies(2, [1]);
+
+      await expect(proxy.connect(user1).batchCompleteTasks([2, 1]))
+        .to.be.revertedWithCustomError(proxy, "TaskBlocked");
+      await expect(proxy.connect(user1).batchCompleteTasks([1, 2]))
+        .to.emit(proxy, "TaskCompleted");
+    });
+
+    it("Should depend on tasks owned by other users", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployDependencyFixture);
+      await proxy.connect(user2).createTask("Review", 0);
+      await proxy.connect(user1).setTaskDependencies(1, [5]);
+
+      await expect(proxy.connect(user1).completeTask(1))
+        .to.be.revertedWithCustomError(proxy, "TaskBlocked");
+      await proxy.connect(user2).completeTask(5);
+      await proxy.connect(user1).completeTask(1);
+    });
+
+    it("Should not carry dependencies over to the next occurrence", async function () {
+      const { proxy, user1 } = await loadFixture(deployDependencyFixture);
+      await proxy.connect(user1).createRecurringTask("Standup", 0, Recurrence.Daily, 0);
+      await proxy.connect(user1).setTaskDependencies(5, [1]);
+      await proxy.connect(user1).completeTask(1);
+
+      await proxy.connect(user1).completeTask(5);
+
+      expect((await proxy.getTask(6)).dependencies).to.deep.equal([]);
+    });
+  });
+
+  it("Should revert isTaskBlocked for a missing task", async function () {
+    const { proxy } = await loadFixture(deployDependencyFixture);
+
+    await expect(proxy.isTaskBlocked(99)).to.be.revertedWithCustomError(proxy, "TaskNotFound");
+  });
+});
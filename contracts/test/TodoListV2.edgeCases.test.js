@@ -1,12 +1,13 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getTodoListFactory } = require("../scripts/libraries");
 
 describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function () {
   async function deployTodoListV2Fixture() {
     const [owner, user1, user2, user3] = await ethers.getSigners();
 
-    const TodoListV2 = await ethers.getContractFactory("TodoListV2");
+    const TodoListV2 = await getTodoListFactory();
     const proxy = await upgrades.deployProxy(
       TodoListV2,
       [owner.address],
@@ -61,7 +62,7 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
       // Trying to delete again should fail (not underflow)
       await expect(
         proxy.connect(user1).deleteTask(1)
-      ).to.be.revertedWith("Task has been deleted");
+      ).to.be.revertedWithCustomError(proxy, "TaskIsDeleted");
     });
 
     it("Should handle maximum user task count correctly", async function () {
@@ -81,7 +82,7 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
       // Should fail on next attempt
       await expect(
         proxy.connect(user1).createTask("Task 101", 0)
-      ).to.be.revertedWith("Maximum tasks limit reached");
+      ).to.be.revertedWithCustomError(proxy, "TaskLimitReached");
     });
 
     it("Should handle restore incrementing task count without overflow", async function () {
@@ -120,7 +121,7 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
       // Should be blocked immediately after
       await expect(
         proxy.connect(user1).createTask("Task 2", 0)
-      ).to.be.revertedWith("Rate limit: please wait before next action");
+      ).to.be.revertedWithCustomError(proxy, "RateLimited");
 
       // Advance time by 1 hour
       await time.increase(3601);
@@ -137,7 +138,7 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
       const oneHour = 3600;
       await expect(
         proxy.connect(owner).updateCooldown(oneHour + 1)
-      ).to.be.revertedWith("Cooldown too long");
+      ).to.be.revertedWithCustomError(proxy, "CooldownTooLong");
     });
 
     it("Should handle zero cooldown correctly", async function () {
@@ -185,7 +186,7 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
       const description = "a".repeat(501);
       await expect(
         proxy.connect(user1).createTask(description, 0)
-      ).to.be.revertedWith("Description too long");
+      ).to.be.revertedWithCustomError(proxy, "DescriptionTooLong");
     });
 
     it("Should accept description of 1 character", async function () {
@@ -201,7 +202,7 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
 
       await expect(
         proxy.connect(user1).createTask("", 0)
-      ).to.be.revertedWith("Description cannot be empty");
+      ).to.be.revertedWithCustomError(proxy, "EmptyDescription");
     });
 
     it("Should handle unicode characters in description", async function () {
@@ -242,7 +243,7 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
 
       await expect(
         proxy.connect(owner).updateMaxTasks(99)
-      ).to.be.revertedWith("Max tasks too low");
+      ).to.be.revertedWithCustomError(proxy, "MaxTasksTooLow");
     });
 
     it("Should accept max tasks of exactly 1000000 (maximum)", async function () {
@@ -260,7 +261,7 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
 
       await expect(
         proxy.connect(owner).updateMaxTasks(1000001)
-      ).to.be.revertedWith("Max tasks too high");
+      ).to.be.revertedWithCustomError(proxy, "MaxTasksTooHigh");
     });
 
     it("Should accept cooldown of exactly 1 hour (maximum)", async function () {
@@ -431,7 +432,7 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
 
       await expect(
         proxy.connect(user1).withdraw()
-      ).to.be.revertedWith("No pending withdrawal");
+      ).to.be.revertedWithCustomError(proxy, "NoPendingWithdrawal");
     });
 
     it("Should handle emergency withdrawal with exact balance", async function () {
@@ -461,7 +462,7 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
 
       await expect(
         proxy.connect(owner).emergencyWithdraw(ethers.ZeroAddress)
-      ).to.be.revertedWith("Invalid recipient");
+      ).to.be.revertedWithCustomError(proxy, "InvalidRecipient");
     });
   });
 
@@ -484,15 +485,15 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
 
       await expect(
         proxy.getTask(999999)
-      ).to.be.revertedWith("Task does not exist");
+      ).to.be.revertedWithCustomError(proxy, "TaskNotFound");
 
       await expect(
         proxy.isTaskCompleted(999999)
-      ).to.be.revertedWith("Task does not exist");
+      ).to.be.revertedWithCustomError(proxy, "TaskNotFound");
 
       await expect(
         proxy.isTaskDeleted(999999)
-      ).to.be.revertedWith("Task does not exist");
+      ).to.be.revertedWithCustomError(proxy, "TaskNotFound");
     });
 
     it("Should handle task ID of 0", async function () {
@@ -500,7 +501,7 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
 
       await expect(
         proxy.getTask(0)
-      ).to.be.revertedWith("Task does not exist");
+      ).to.be.revertedWithCustomError(proxy, "TaskNotFound");
     });
   });
 
@@ -514,7 +515,7 @@ describe("TodoListV2 - Edge Cases (Gas Limits, Overflow, Boundaries)", function
       // Attempt invalid operation
       await expect(
         proxy.connect(user2).completeTask(1)
-      ).to.be.revertedWith("Not task owner");
+      ).to.be.revertedWithCustomError(proxy, "NotTaskEditor");
 
       // State should remain unchanged
       const countAfter = await proxy.getTotalTaskCount();
@@ -1,12 +1,13 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getTodoListFactory } = require("../scripts/libraries");
 
 describe("TodoListV2 - Fuzz Testing for Security Vulnerabilities", function () {
   async function deployTodoListV2Fixture() {
     const [owner, user1, user2, user3, attacker] = await ethers.getSigners();
 
-    const TodoListV2 = await ethers.getContractFactory("TodoListV2");
+    const TodoListV2 = await getTodoListFactory();
     const proxy = await upgrades.deployProxy(
       TodoListV2,
       [owner.address],
@@ -64,7 +65,7 @@ describe("TodoListV2 - Fuzz Testing for Security Vulnerabilities", function () {
 
         await expect(
           proxy.connect(user1).createTask(description, 0)
-        ).to.be.revertedWith("Description too long");
+        ).to.be.revertedWithCustomError(proxy, "DescriptionTooLong");
       }
     });
 
@@ -129,11 +130,11 @@ describe("TodoListV2 - Fuzz Testing for Security Vulnerabilities", function () {
         for (const taskId of taskIds) {
           await expect(
             proxy.connect(attacker).completeTask(taskId)
-          ).to.be.revertedWith("Not task owner");
+          ).to.be.revertedWithCustomError(proxy, "NotTaskEditor");
 
           await expect(
             proxy.connect(attacker).deleteTask(taskId)
-          ).to.be.revertedWith("Not task owner");
+          ).to.be.revertedWithCustomError(proxy, "NotTaskEditor");
         }
       }
     });
@@ -175,7 +176,7 @@ describe("TodoListV2 - Fuzz Testing for Security Vulnerabilities", function () {
         // Should be rate limited
         await expect(
           proxy.connect(user1).createTask("Should fail", 0)
-        ).to.be.revertedWith("Rate limit: please wait before next action");
+        ).to.be.revertedWithCustomError(proxy, "RateLimited");
 
         // Advance time past cooldown for next iteration
         await time.increase(cooldown + 1);
@@ -221,7 +222,7 @@ describe("TodoListV2 - Fuzz Testing for Security Vulnerabilities", function () {
         const invalidMax = randomInt(0, 99);
         await expect(
           proxy.connect(owner).updateMaxTasks(invalidMax)
-        ).to.be.revertedWith("Max tasks too low");
+        ).to.be.revertedWithCustomError(proxy, "MaxTasksTooLow");
       }
 
       // Test values above maximum
@@ -229,7 +230,7 @@ describe("TodoListV2 - Fuzz Testing for Security Vulnerabilities", function () {
         const invalidMax = randomInt(1000001, 2000000);
         await expect(
           proxy.connect(owner).updateMaxTasks(invalidMax)
-        ).to.be.revertedWith("Max tasks too high");
+        ).to.be.revertedWithCustomError(proxy, "MaxTasksTooHigh");
       }
     });
 
@@ -241,7 +242,7 @@ describe("TodoListV2 - Fuzz Testing for Security Vulnerabilities", function () {
         const invalidCooldown = randomInt(3601, 10000);
         await expect(
           proxy.connect(owner).updateCooldown(invalidCooldown)
-        ).to.be.revertedWith("Cooldown too long");
+        ).to.be.revertedWithCustomError(proxy, "CooldownTooLong");
       }
     });
   });
@@ -308,7 +309,7 @@ describe("TodoListV2 - Fuzz Testing for Security Vulnerabilities", function () {
           } else {
             await expect(
               proxy.getTask(randomId)
-            ).to.be.revertedWith("Task does not exist");
+            ).to.be.revertedWithCustomError(proxy, "TaskNotFound");
           }
         } catch (error) {
           // Expected for non-existent tasks
@@ -332,7 +333,7 @@ describe("TodoListV2 - Fuzz Testing for Security Vulnerabilities", function () {
       // Here we verify the modifiers are applied
       await expect(
         proxy.connect(user1).withdraw()
-      ).to.be.revertedWith("No pending withdrawal");
+      ).to.be.revertedWithCustomError(proxy, "NoPendingWithdrawal");
     });
   });
 
@@ -354,7 +355,7 @@ describe("TodoListV2 - Fuzz Testing for Security Vulnerabilities", function () {
             // Operations should be blocked
             await expect(
               proxy.connect(user1).createTask("Should fail", 0)
-            ).to.be.revertedWith("Circuit breaker active: contract operations suspended");
+            ).to.be.revertedWithCustomError(proxy, "OperationsSuspended");
           }
         } else {
           // Deactivate
@@ -424,7 +425,7 @@ describe("TodoListV2 - Fuzz Testing for Security Vulnerabilities", function () {
             if (other.address !== owner.address) {
               await expect(
                 proxy.connect(other).completeTask(taskId)
-              ).to.be.revertedWith("Not task owner");
+              ).to.be.revertedWithCustomError(proxy, "NotTaskEditor");
             }
           }
         }
@@ -569,11 +570,11 @@ describe("TodoListV2 - Fuzz Testing for Security Vulnerabilities", function () {
       for (const taskId of user1Tasks) {
         await expect(
           proxy.connect(user2).completeTask(taskId)
-        ).to.be.revertedWith("Not task owner");
+        ).to.be.revertedWithCustomError(proxy, "NotTaskEditor");
 
         await expect(
           proxy.connect(user2).deleteTask(taskId)
-        ).to.be.revertedWith("Not task owner");
+        ).to.be.revertedWithCustomError(proxy, "NotTaskEditor");
       }
     });
 
@@ -0,0 +1,214 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getTodoListFactory } = require("../scripts/libraries");
+
+describe("TodoListV2 - Shared Lists", function () {
+  const Role = { None: 0, Viewer: 1, Editor: 2, Owner: 3 };
+
+  async function deployListsFixture() {
+    const [owner, user1, user2, user3] = await ethers.getSigners();
+
+    const TodoListV2 = await getTodoListFactory();
+    const proxy = await upgrades.deployProxy(
+      TodoListV2,
+      [owner.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await proxy.waitForDeployment();
+
+    await proxy.connect(owner).updateCooldown(0);
+    await proxy.connect(user1).createList("Household");
+    await proxy.connect(user1).setListMember(1, user2.address, Role.Editor);
+    await proxy.connect(user1).setListMember(1, user3.address, Role.Viewer);
+
+    return { proxy, owner, user1, user2, user3 };
+  }
+
+  describe("createList", function () {
+    it("Should create a list owned by the caller", async function () {
+      const { proxy, user2 } = await loadFixture(deployListsFixture);
+      const timestamp = await time.latest() + 1;
+
+      await expect(proxy.connect(user2).createList("Work"))
+        .to.emit(proxy, "ListCreated")
+        .withArgs(2, user2.address, "Work", timestamp)
+        .and.to.emit(proxy, "ListMemberUpdated")
+        .withArgs(2, user2.address, Role.Owner, timestamp);
+
+      const list = await proxy.getList(2);
+      expect(list.owner).to.equal(user2.address);
+      expect(list.name).to.equal("Work");
+      expect(await proxy.getListRole(2, user2.address)).to.equal(Role.Owner);
+    });
+
+    it("Should validate the list name", async function () {
+      const { proxy, user1 } = await loadFixture(deployListsFixture);
+
+      await expect(proxy.connect(user1).createList(""))
+        .to.be.revertedWithCustomError(proxy, "EmptyListName");
+      await expect(proxy.connect(user1).createList("a".repeat(101)))
+        .to.be.revertedWithCustomError(proxy, "ListNameTooLong");
+    });
+
+    it("Should revert for a missing list", async function () {
+      const { proxy } = await loadFixture(deployListsFixture);
+
+      await expect(proxy.getList(99)).to.be.revertedWithCustomError(proxy, "ListNotFound");
+    });
+  });
+
+  describe("setListMember", function () {
+    it("Should track member roles and lists", async function () {
+      const { proxy, user1, user2, user3 } = await loadFixture(deployListsFixture);
+
+      expect(await proxy.getListRole(1, user2.address)).to.equal(Role.Editor);
+      expect(await proxy.getListRole(1, user3.address)).to.equal(Role.Viewer);
+      expect(await proxy.getMemberLists(user1.address)).to.deep.equal([1n]);
+      expect(await proxy.getMemberLists(user2.address)).to.deep.equal([1n]);
+    });
+
+    it("Should remove a member without listing the list twice", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployListsFixture);
+
+      await expect(proxy.connect(user1).setListMember(1, user2.address, Role.None))
+        .to.emit(proxy, "ListMemberUpdated");
+      await proxy.connect(user1).setListMember(1, user2.address, Role.Viewer);
+
+      expect(await proxy.getListRole(1, user2.address)).to.equal(Role.Viewer);
+      expect(await proxy.getMemberLists(user2.address)).to.deep.equal([1n]);
+    });
+
+    it("Should only allow the list owner to manage members", async function () {
+      const { proxy, user2, user3 } = await loadFixture(deployListsFixture);
+
+      await expect(proxy.connect(user2).setListMember(1, user3.address, Role.Editor))
+        .to.be.revertedWithCustomError(proxy, "NotListOwner");
+    });
+
+    it("Should reject invalid member changes", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployListsFixture);
+
+      await expect(proxy.connect(user1).setListMember(1, ethers.ZeroAddress, Role.Editor))
+        .to.be.revertedWithCustomError(proxy, "InvalidMember");
+      await expect(proxy.connect(user1).setListMember(1, user1.address, Role.None))
+        .to.be.revertedWithCustomError(proxy, "CannotChangeOwnerRole");
+      await expect(proxy.connect(user1).setListMember(1, user2.address, Role.Owner))
+        .to.be.revertedWithCustomError(proxy, "InvalidRole");
+      await expect(proxy.connect(user1).setListMember(1, user2.address, Role.Editor))
+        .to.be.revertedWithCustomError(proxy, "RoleUnchanged");
+    });
+  });
+
+  describe("createTaskInList", function () {
+    it("Should let an editor add a task to the list", async function () {
+      const { proxy, user2 } = await loadFixture(deployListsFixture);
+      const timestamp = await time.latest() + 1;
+
+      await expect(proxy.connect(user2).createTaskInList(1, "Buy milk", 0))
+        .to.emit(proxy, "TaskCreated")
+        .withArgs(1, user2.address, "Buy milk", timestamp, 0)
+        .and.to.emit(proxy, "TaskListChanged")
+        .withArgs(1, user2.address, 0, 1, timestamp);
+
+      const task = await proxy.getTask(1);
+      expect(task.owner).to.equal(user2.address);
+      expect(task.listId).to.equal(1);
+    });
+
+    it("Should not let a viewer add tasks", async function () {
+      const { proxy, user3 } = await loadFixture(deployListsFixture);
+
+      await expect(proxy.connect(user3).createTaskInList(1, "Buy milk", 0))
+        .to.be.revertedWithCustomError(proxy, "NotListEditor");
+    });
+  });
+
+  describe("moveTaskToList", function () {
+    it("Should move a personal task into a list and back", async function () {
+      const { proxy, user1 } = await loadFixture(deployListsFixture);
+      await proxy.connect(user1).createTask("Pay rent", 0);
+
+      await expect(proxy.connect(user1).moveTaskToList(1, 1))
+        .to.emit(proxy, "TaskListChanged")
+        .withArgs(1, user1.address, 0, 1, await time.latest() + 1);
+      expect((await proxy.getTask(1)).listId).to.equal(1);
+
+      await proxy.connect(user1).moveTaskToList(1, 0);
+      expect((await proxy.getTask(1)).listId).to.equal(0);
+    });
+
+    it("Should only let the task owner move a task", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployListsFixture);
+      await proxy.connect(user1).createTaskInList(1, "Pay rent", 0);
+
+      await expect(proxy.connect(user2).moveTaskToList(1, 0))
+        .to.be.revertedWithCustomError(proxy, "NotTaskOwner");
+    });
+
+    it("Should require editor access to the target list", async function () {
+      const { proxy, user3 } = await loadFixture(deployListsFixture);
+      await proxy.connect(user3).createTask("Pay rent", 0);
+
+      await expect(proxy.connect(user3).moveTaskToList(1, 1))
+        .to.be.revertedWithCustomError(proxy, "NotListEditor");
+      await expect(proxy.connect(user3).moveTaskToList(1, 99))
+        .to.be.revertedWithCustomError(proxy, "ListNotFound");
+      await expect(proxy.connect(user3).moveTaskToList(1, 0))
+        .to.be.revertedWithCustomError(proxy, "TaskAlreadyInList");
+    });
+  });
+
+  describe("Editing shared tasks", function () {
+    it("Should let list editors change another member's task", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployListsFixture);
+      await proxy.connect(user1).createTaskInList(1, "Clean kitchen", 0);
+
+      expect(await proxy.canEditTask(1, user2.address)).to.equal(true);
+      await proxy.connect(user2).updateTask(1, "Clean kitchen and hall");
+      await proxy.connect(user2).setTaskPriority(1, 2);
+      await expect(proxy.connect(user2).completeTask(1))
+        .to.emit(proxy, "TaskCompleted")
+        .withArgs(1, user2.address, await time.latest() + 1);
+
+      const task = await proxy.getTask(1);
+      expect(task.description).to.equal("Clean kitchen and hall");
+      expect(task.priority).to.equal(2);
+      expect(task.completed).to.equal(true);
+    });
+
+    it("Should count deletes and restores against the task owner", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployListsFixture);
+      await proxy.connect(user1).createTaskInList(1, "Clean kitchen", 0);
+
+      await proxy.connect(user2).deleteTask(1);
+      expect(await proxy.getTaskCount(user1.address)).to.equal(0);
+      expect(await proxy.getTaskCount(user2.address)).to.equal(0);
+
+      await proxy.connect(user2).restoreTask(1);
+      expect(await proxy.getTaskCount(user1.address)).to.equal(1);
+    });
+
+    it("Should not let viewers or removed members change tasks", async function () {
+      const { proxy, user1, user2, user3 } = await loadFixture(deployListsFixture);
+      await proxy.connect(user1).createTaskInList(1, "Clean kitchen", 0);
+
+      await expect(proxy.connect(user3).completeTask(1))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+
+      await proxy.connect(user1).setListMember(1, user2.address, Role.None);
+      expect(await proxy.canEditTask(1, user2.address)).to.equal(false);
+      await expect(proxy.connect(user2).updateTask(1, "Nope"))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+    });
+
+    it("Should let the list owner edit tasks created by editors", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployListsFixture);
+      await proxy.connect(user2).createTaskInList(1, "Fix tap", 0);
+
+      await proxy.connect(user1).setTaskTags(1, [ethers.id("home")]);
+
+      expect((await proxy.getTask(1)).tags).to.deep.equal([ethers.id("home")]);
+    });
+  });
+});
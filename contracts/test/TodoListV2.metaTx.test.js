@@ -0,0 +1,278 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getTodoListFactory } = require("../scripts/libraries");
+
+describe("TodoListV2 - Signed Requests", function () {
+  const Role = { None: 0, Viewer: 1, Editor: 2, Owner: 3 };
+
+  const types = {
+    CreateTask: [
+      { name: "user", type: "address" },
+      { name: "description", type: "string" },
+      { name: "dueDate", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+    CompleteTask: [
+      { name: "user", type: "address" },
+      { name: "taskId", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+    DeleteTask: [
+      { name: "user", type: "address" },
+      { name: "taskId", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+    RestoreTask: [
+      { name: "user", type: "address" },
+      { name: "taskId", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+    UpdateTask: [
+      { name: "user", type: "address" },
+      { name: "taskId", type: "uint256" },
+      { name: "newDescription", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+
+  async function deployMetaTxFixture() {
+    const [owner, user1, user2, relayer] = await ethers.getSigners();
+
+    const TodoListV2 = await getTodoListFactory();
+    const proxy = await upgrades.deployProxy(
+      TodoListV2,
+      [owner.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await proxy.waitForDeployment();
+
+    await proxy.connect(owner).updateCooldown(0);
+
+    const domain = {
+      name: "TodoListV2",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await proxy.getAddress(),
+    };
+
+    return { proxy, owner, user1, user2, relayer, domain };
+  }
+
+  async function sign(proxy, domain, signer, primaryType, fields, overrides = {}) {
+    const value = {
+      user: signer.address,
+      ...fields,
+      nonce: await proxy.getNonce(signer.address),
+      deadline: (await time.latest()) + 3600,
+      ...overrides,
+    };
+    const signature = await signer.signTypedData(domain, { [primaryType]: types[primaryType] }, value);
+    return { value, signature };
+  }
+
+  describe("EIP-712 domain", function () {
+    it("Should expose the signing domain", async function () {
+      const { proxy, domain } = await loadFixture(deployMetaTxFixture);
+
+      const result = await proxy.eip712Domain();
+      expect(result.name).to.equal("TodoListV2");
+      expect(result.version).to.equal("1");
+      expect(result.chainId).to.equal(domain.chainId);
+      expect(result.verifyingContract).to.equal(domain.verifyingContract);
+    });
+
+    it("Should not allow the domain to be initialized again", async function () {
+      const { proxy } = await loadFixture(deployMetaTxFixture);
+
+      await expect(proxy.initializeEIP712())
+        .to.be.revertedWithCustomError(proxy, "InvalidInitialization");
+    });
+  });
+
+  describe("createTaskWithSig", function () {
+    it("Should create a task owned by the signer when sent by a relayer", async function () {
+      const { proxy, user1, relayer, domain } = await loadFixture(deployMetaTxFixture);
+      const { value, signature } = await sign(proxy, domain, user1, "CreateTask", {
+        description: "Signed task",
+        dueDate: 0,
+      });
+
+      await expect(
+        proxy.connect(relayer).createTaskWithSig(user1.address, value.description, value.dueDate, value.deadline, signature)
+      )
+        .to.emit(proxy, "TaskCreated")
+        .withArgs(1, user1.address, "Signed task", anyValue, 0);
+
+      const task = await proxy.getTask(1);
+      expect(task.owner).to.equal(user1.address);
+      expect(await proxy.getTaskCount(user1.address)).to.equal(1);
+      expect(await proxy.getTaskCount(relayer.address)).to.equal(0);
+      expect(await proxy.getNonce(user1.address)).to.equal(1);
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const { proxy, user1, relayer, domain } = await loadFixture(deployMetaTxFixture);
+      const { value, signature } = await sign(proxy, domain, user1, "CreateTask", {
+        description: "Signed task",
+        dueDate: 0,
+      });
+
+      await proxy.connect(relayer).createTaskWithSig(user1.address, value.description, 0, value.deadline, signature);
+
+      await expect(
+        proxy.connect(relayer).createTaskWithSig(user1.address, value.description, 0, value.deadline, signature)
+      ).to.be.revertedWithCustomError(proxy, "InvalidSignature");
+    });
+
+    it("Should reject tampered request fields", async function () {
+      const { proxy, user1, relayer, domain } = await loadFixture(deployMetaTxFixture);
+      const { value, signature } = await sign(proxy, domain, user1, "CreateTask", {
+        description: "Signed task",
+        dueDate: 0,
+      });
+
+      await expect(
+        proxy.connect(relayer).createTaskWithSig(user1.address, "Other task", 0, value.deadline, signature)
+      ).to.be.revertedWithCustomError(proxy, "InvalidSignature");
+    });
+
+    it("Should reject a signature from someone other than the user", async function () {
+      const { proxy, user1, user2, relayer, domain } = await loadFixture(deployMetaTxFixture);
+      const { value, signature } = await sign(proxy, domain, user2, "CreateTask", {
+        description: "Signed task",
+        dueDate: 0,
+      }, { user: user1.address, nonce: 0 });
+
+      await expect(
+        proxy.connect(relayer).createTaskWithSig(user1.address, value.description, 0, value.deadline, signature)
+      ).to.be.revertedWithCustomError(proxy, "InvalidSignature");
+    });
+
+    it("Should reject an expired signature", async function () {
+      const { proxy, user1, relayer, domain } = await loadFixture(deployMetaTxFixture);
+      const { value, signature } = await sign(proxy, domain, user1, "CreateTask", {
+        description: "Signed task",
+        dueDate: 0,
+      }, { deadline: await time.latest() });
+
+      await time.increase(10);
+
+      await expect(
+        proxy.connect(relayer).createTaskWithSig(user1.address, value.description, 0, value.deadline, signature)
+      ).to.be.revertedWithCustomError(proxy, "SignatureExpired");
+    });
+
+    it("Should rate limit the signer rather than the relayer", async function () {
+      const { proxy, owner, user1, relayer, domain } = await loadFixture(deployMetaTxFixture);
+      await proxy.connect(owner).updateCooldown(60);
+
+      await proxy.connect(user1).createTask("Direct task", 0);
+      const { value, signature } = await sign(proxy, domain, user1, "CreateTask", {
+        description: "Signed task",
+        dueDate: 0,
+      });
+
+      await expect(
+        proxy.connect(relayer).createTaskWithSig(user1.address, value.description, 0, value.deadline, signature)
+      ).to.be.revertedWithCustomError(proxy, "RateLimited");
+    });
+
+    it("Should be blocked while the contract is paused", async function () {
+      const { proxy, owner, user1, relayer, domain } = await loadFixture(deployMetaTxFixture);
+      const { value, signature } = await sign(proxy, domain, user1, "CreateTask", {
+        description: "Signed task",
+        dueDate: 0,
+      });
+
+      await proxy.connect(owner).pause();
+
+      await expect(
+        proxy.connect(relayer).createTaskWithSig(user1.address, value.description, 0, value.deadline, signature)
+      ).to.be.revertedWithCustomError(proxy, "EnforcedPause");
+    });
+  });
+
+  describe("Task actions", function () {
+    async function withTaskFixture() {
+      const fixture = await deployMetaTxFixture();
+      await fixture.proxy.connect(fixture.user1).createTask("Task 1", 0);
+      return fixture;
+    }
+
+    it("Should complete a task for the signer", async function () {
+      const { proxy, user1, relayer, domain } = await loadFixture(withTaskFixture);
+      const { value, signature } = await sign(proxy, domain, user1, "CompleteTask", { taskId: 1 });
+
+      await expect(proxy.connect(relayer).completeTaskWithSig(user1.address, 1, value.deadline, signature))
+        .to.emit(proxy, "TaskCompleted")
+        .withArgs(1, user1.address, anyValue);
+
+      expect((await proxy.getTask(1)).completed).to.be.true;
+    });
+
+    it("Should update a task description for the signer", async function () {
+      const { proxy, user1, relayer, domain } = await loadFixture(withTaskFixture);
+      const { value, signature } = await sign(proxy, domain, user1, "UpdateTask", {
+        taskId: 1,
+        newDescription: "Updated",
+      });
+
+      await expect(proxy.connect(relayer).updateTaskWithSig(user1.address, 1, "Updated", value.deadline, signature))
+        .to.emit(proxy, "TaskUpdated")
+        .withArgs(1, user1.address, "Task 1", "Updated", anyValue);
+    });
+
+    it("Should delete and restore a task for the signer", async function () {
+      const { proxy, user1, relayer, domain } = await loadFixture(withTaskFixture);
+
+      const deletion = await sign(proxy, domain, user1, "DeleteTask", { taskId: 1 });
+      await expect(proxy.connect(relayer).deleteTaskWithSig(user1.address, 1, deletion.value.deadline, deletion.signature))
+        .to.emit(proxy, "TaskDeleted")
+        .withArgs(1, user1.address, anyValue);
+      expect(await proxy.getTaskCount(user1.address)).to.equal(0);
+
+      const restore = await sign(proxy, domain, user1, "RestoreTask", { taskId: 1 });
+      await expect(proxy.connect(relayer).restoreTaskWithSig(user1.address, 1, restore.value.deadline, restore.signature))
+        .to.emit(proxy, "TaskRestored")
+        .withArgs(1, user1.address, anyValue);
+      expect(await proxy.getTaskCount(user1.address)).to.equal(1);
+      expect(await proxy.getNonce(user1.address)).to.equal(2);
+    });
+
+    it("Should not accept a signature for a different action", async function () {
+      const { proxy, user1, relayer, domain } = await loadFixture(withTaskFixture);
+      const { value, signature } = await sign(proxy, domain, user1, "CompleteTask", { taskId: 1 });
+
+      await expect(proxy.connect(relayer).deleteTaskWithSig(user1.address, 1, value.deadline, signature))
+        .to.be.revertedWithCustomError(proxy, "InvalidSignature");
+    });
+
+    it("Should require the signer to be able to edit the task", async function () {
+      const { proxy, user2, relayer, domain } = await loadFixture(withTaskFixture);
+      const { value, signature } = await sign(proxy, domain, user2, "CompleteTask", { taskId: 1 });
+
+      await expect(proxy.connect(relayer).completeTaskWithSig(user2.address, 1, value.deadline, signature))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+    });
+
+    it("Should let a list editor act through a signature", async function () {
+      const { proxy, user1, user2, relayer, domain } = await loadFixture(withTaskFixture);
+      await proxy.connect(user1).createList("Household");
+      await proxy.connect(user1).setListMember(1, user2.address, Role.Editor);
+      await proxy.connect(user1).moveTaskToList(1, 1);
+
+      const { value, signature } = await sign(proxy, domain, user2, "CompleteTask", { taskId: 1 });
+
+      await expect(proxy.connect(relayer).completeTaskWithSig(user2.address, 1, value.deadline, signature))
+        .to.emit(proxy, "TaskCompleted")
+        .withArgs(1, user2.address, anyValue);
+    });
+  });
+});
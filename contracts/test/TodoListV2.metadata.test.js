@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getTodoListFactory } = require("../scripts/libraries");
+
+describe("TodoListV2 - Priority & Tags", function () {
+  const tag = (name) => ethers.id(name.trim().toLowerCase());
+
+  async function deployMetadataFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const TodoListV2 = await getTodoListFactory();
+    const proxy = await upgrades.deployProxy(
+      TodoListV2,
+      [owner.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await proxy.waitForDeployment();
+
+    await proxy.connect(owner).updateCooldown(0);
+    await proxy.connect(user1).createTask("Existing task", 0);
+
+    return { proxy, owner, user1, user2 };
+  }
+
+  describe("Defaults", function () {
+    it("Should create tasks without priority or tags", async function () {
+      const { proxy } = await loadFixture(deployMetadataFixture);
+
+      const task = await proxy.getTask(1);
+      expect(task.priority).to.equal(0);
+      expect(task.tags).to.deep.equal([]);
+    });
+
+    it("Should expose the metadata limits", async function () {
+      const { proxy } = await loadFixture(deployMetadataFixture);
+
+      expect(await proxy.MAX_PRIORITY()).to.equal(3);
+      expect(await proxy.MAX_TAGS_PER_TASK()).to.equal(5);
+    });
+  });
+
+  describe("createTaskWithDetails", function () {
+    it("Should create a task with a priority and tags", async function () {
+      const { proxy, user1 } = await loadFixture(deployMetadataFixture);
+      const tags = [tag("work"), tag("urgent")];
+      const timestamp = await time.latest() + 1;
+
+      await expect(proxy.connect(user1).createTaskWithDetails("Ship release", 0, 3, tags))
+        .to.emit(proxy, "TaskCreated")
+        .withArgs(2, user1.address, "Ship release", timestamp, 0)
+        .and.to.emit(proxy, "TaskPriorityChanged")
+        .withArgs(2, user1.address, 0, 3, timestamp)
+        .and.to.emit(proxy, "TaskTagged")
+        .withArgs(2, user1.address, tags, timestamp);
+
+      const task = await proxy.getTask(2);
+      expect(task.priority).to.equal(3);
+      expect(task.tags).to.deep.equal(tags);
+    });
+
+    it("Should only emit TaskCreated without metadata", async function () {
+      const { proxy, user1 } = await loadFixture(deployMetadataFixture);
+
+      const tx = proxy.connect(user1).createTaskWithDetails("Plain task", 0, 0, []);
+
+      await expect(tx).to.emit(proxy, "TaskCreated");
+      await expect(tx).to.not.emit(proxy, "TaskPriorityChanged");
+      await expect(tx).to.not.emit(proxy, "TaskTagged");
+    });
+
+    it("Should reject an invalid priority", async function () {
+      const { proxy, user1 } = await loadFixture(deployMetadataFixture);
+
+      await expect(
+        proxy.connect(user1).createTaskWithDetails("Task", 0, 4, [])
+      ).to.be.revertedWithCustomError(proxy, "InvalidPriority");
+    });
+
+    it("Should count as a single action for rate limiting", async function () {
+      const { proxy, owner, user1 } = await loadFixture(deployMetadataFixture);
+      await proxy.connect(owner).updateCooldown(60);
+      await time.increase(60);
+
+      await proxy.connect(user1).createTaskWithDetails("Task", 0, 1, [tag("home")]);
+
+      await expect(
+        proxy.connect(user1).createTaskWithDetails("Another", 0, 1, [])
+      ).to.be.revertedWithCustomError(proxy, "RateLimited");
+    });
+  });
+
+  describe("setTaskPriority", function () {
+    it("Should change the priority and emit the old and new level", async function () {
+      const { proxy, user1 } = await loadFixture(deployMetadataFixture);
+
+      await expect(proxy.connect(user1).setTaskPriority(1, 2))
+        .to.emit(proxy, "TaskPriorityChanged")
+        .withArgs(1, user1.address, 0, 2, await time.latest() + 1);
+
+      await expect(proxy.connect(user1).setTaskPriority(1, 0))
+        .to.emit(proxy, "TaskPriorityChanged")
+        .withArgs(1, user1.address, 2, 0, await time.latest() + 1);
+
+      expect((await proxy.getTask(1)).priority).to.equal(0);
+    });
+
+    it("Should reject unchanged or out of range priorities", async function () {
+      const { proxy, user1 } = await loadFixture(deployMetadataFixture);
+
+      await expect(proxy.connect(user1).setTaskPriority(1, 0))
+        .to.be.revertedWithCustomError(proxy, "PriorityUnchanged");
+      await expect(proxy.connect(user1).setTaskPriority(1, 255))
+        .to.be.revertedWithCustomError(proxy, "InvalidPriority");
+    });
+
+    it("Should only allow the task owner", async function () {
+      const { proxy, user2 } = await loadFixture(deployMetadataFixture);
+
+      await expect(proxy.connect(user2).setTaskPriority(1, 1))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+    });
+
+    it("Should not change deleted tasks", async function () {
+      const { proxy, user1 } = await loadFixture(deployMetadataFixture);
+      await proxy.connect(user1).deleteTask(1);
+
+      await expect(proxy.connect(user1).setTaskPriority(1, 1))
+        .to.be.revertedWithCustomError(proxy, "TaskIsDeleted");
+    });
+  });
+
+  describe("setTaskTags", function () {
+    it("Should replace the tags of a task", async function () {
+      const { proxy, user1 } = await loadFixture(deployMetadataFixture);
+
+      await proxy.connect(user1).setTaskTags(1, [tag("work"), tag("home")]);
+      await expect(proxy.connect(user1).setTaskTags(1, [tag("errands")]))
+        .to.emit(proxy, "TaskTagged")
+        .withArgs(1, user1.address, [tag("errands")], await time.latest() + 1);
+
+      expect((await proxy.getTask(1)).tags).to.deep.equal([tag("errands")]);
+    });
+
+    it("Should clear tags with an empty list", async function () {
+      const { proxy, user1 } = await loadFixture(deployMetadataFixture);
+      await proxy.connect(user1).setTaskTags(1, [tag("work")]);
+
+      await proxy.connect(user1).setTaskTags(1, []);
+
+      expect((await proxy.getTask(1)).tags).to.deep.equal([]);
+    });
+
+    it("Should bound the number of tags", async function () {
+      const { proxy, user1 } = await loadFixture(deployMetadataFixture);
+      const tags = ["a", "b", "c", "d", "e", "f"].map(tag);
+
+      await expect(proxy.connect(user1).setTaskTags(1, tags))
+        .to.be.revertedWithCustomError(proxy, "TooManyTags");
+      await proxy.connect(user1).setTaskTags(1, tags.slice(0, 5));
+    });
+
+    it("Should reject empty and duplicate tags", async function () {
+      const { proxy, user1 } = await loadFixture(deployMetadataFixture);
+
+      await expect(proxy.connect(user1).setTaskTags(1, [ethers.ZeroHash]))
+        .to.be.revertedWithCustomError(proxy, "InvalidTag");
+      await expect(proxy.connect(user1).setTaskTags(1, [tag("work"), tag("Work ")]))
+        .to.be.revertedWithCustomError(proxy, "DuplicateTag");
+    });
+
+    it("Should only allow the task owner", async function () {
+      const { proxy, user2 } = await loadFixture(deployMetadataFixture);
+
+      await expect(proxy.connect(user2).setTaskTags(1, [tag("work")]))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+    });
+
+    it("Should return tags in user task details", async function () {
+      const { proxy, user1 } = await loadFixture(deployMetadataFixture);
+      await proxy.connect(user1).setTaskTags(1, [tag("work")]);
+
+      const [task] = await proxy.getUserTaskDetails(user1.address, false);
+      expect(task.tags).to.deep.equal([tag("work")]);
+    });
+  });
+});
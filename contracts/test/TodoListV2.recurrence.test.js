@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getTodoListFactory } = require("../scripts/libraries");
+
+describe("TodoListV2 - Recurring Tasks", function () {
+  const Recurrence = { None: 0, Daily: 1, Weekly: 2, Monthly: 3, Interval: 4 };
+  const Role = { None: 0, Viewer: 1, Editor: 2, Owner: 3 };
+  const DAY = 86400;
+
+  async function deployRecurrenceFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const TodoListV2 = await getTodoListFactory();
+    const proxy = await upgrades.deployProxy(
+      TodoListV2,
+      [owner.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await proxy.waitForDeployment();
+
+    await proxy.connect(owner).updateCooldown(0);
+
+    return { proxy, owner, user1, user2 };
+  }
+
+  // Unix timestamp of a UTC date
+  const utc = (year, month, day, hours = 0) => Date.UTC(year, month - 1, day, hours) / 1000;
+
+  describe("createRecurringTask", function () {
+    it("Should create a task that starts its own series", async function () {
+      const { proxy, user1 } = await loadFixture(deployRecurrenceFixture);
+      const dueDate = (await time.latest()) + DAY;
+
+      await expect(proxy.connect(user1).createRecurringTask("Water plants", dueDate, Recurrence.Weekly, 0))
+        .to.emit(proxy, "TaskRecurrenceChanged")
+        .withArgs(1, user1.address, Recurrence.Weekly, 0, anyValue);
+
+      const task = await proxy.getTask(1);
+      expect(task.recurrence).to.equal(Recurrence.Weekly);
+      expect(task.recurrenceInterval).to.equal(0);
+      expect(task.seriesId).to.equal(1);
+    });
+
+    it("Should require a recurrence", async function () {
+      const { proxy, user1 } = await loadFixture(deployRecurrenceFixture);
+
+      await expect(proxy.connect(user1).createRecurringTask("Task", 0, Recurrence.None, 0))
+        .to.be.revertedWithCustomError(proxy, "RecurrenceRequired");
+    });
+
+    it("Should validate the custom interval", async function () {
+      const { proxy, user1 } = await loadFixture(deployRecurrenceFixture);
+
+      await expect(proxy.connect(user1).createRecurringTask("Task", 0, Recurrence.Interval, 60))
+        .to.be.revertedWithCustomError(proxy, "InvalidRecurrenceInterval");
+      await expect(proxy.connect(user1).createRecurringTask("Task", 0, Recurrence.Interval, 366 * DAY))
+        .to.be.revertedWithCustomError(proxy, "InvalidRecurrenceInterval");
+      await expect(proxy.connect(user1).createRecurringTask("Task", 0, Recurrence.Daily, 3600))
+        .to.be.revertedWithCustomError(proxy, "IntervalNotAllowed");
+
+      await proxy.connect(user1).createRecurringTask("Task", 0, Recurrence.Interval, 3 * DAY);
+      expect((await proxy.getTask(1)).recurrenceInterval).to.equal(3 * DAY);
+    });
+  });
+
+  describe("setTaskRecurrence", function () {
+    it("Should make an existing task recurring", async function () {
+      const { proxy, user1 } = await loadFixture(deployRecurrenceFixture);
+      await proxy.connect(user1).createTask("Task", 0);
+
+      await expect(proxy.connect(user1).setTaskRecurrence(1, Recurrence.Interval, 12 * 3600))
+        .to.emit(proxy, "TaskRecurrenceChanged")
+        .withArgs(1, user1.address, Recurrence.Interval, 12 * 3600, anyValue);
+
+      expect((await proxy.getTask(1)).seriesId).to.equal(1);
+    });
+
+    it("Should keep the series when the recurrence is cleared", async function () {
+      const { proxy, user1 } = await loadFixture(deployRecurrenceFixture);
+      await proxy.connect(user1).createRecurringTask("Task", 0, Recurrence.Daily, 0);
+
+      await proxy.connect(user1).setTaskRecurrence(1, Recurrence.None, 0);
+
+      const task = await proxy.getTask(1);
+      expect(task.recurrence).to.equal(Recurrence.None);
+      expect(task.seriesId).to.equal(1);
+    });
+
+    it("Should reject completed tasks and non-editors", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployRecurrenceFixture);
+      await proxy.connect(user1).createTask("Task", 0);
+
+      await expect(proxy.connect(user2).setTaskRecurrence(1, Recurrence.Daily, 0))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+
+      await proxy.connect(user1).completeTask(1);
+      await expect(proxy.connect(user1).setTaskRecurrence(1, Recurrence.Daily, 0))
+        .to.be.revertedWithCustomError(proxy, "TaskAlreadyCompleted");
+    });
+  });
+
+  describe("Completing a recurring task", function () {
+    it("Should create the next occurrence one period after the due date", async function () {
+      const { proxy, user1 } = await loadFixture(deployRecurrenceFixture);
+      const dueDate = (await time.latest()) + DAY;
+      await proxy.connect(user1).createRecurringTask("Water plants", dueDate, Recurrence.Weekly, 0);
+
+      await expect(proxy.connect(user1).completeTask(1))
+        .to.emit(proxy, "TaskRecurred")
+        .withArgs(1, 2, 1, dueDate + 7 * DAY, anyValue)
+        .and.to.emit(proxy, "TaskCreated")
+        .withArgs(2, user1.address, "Water plants", anyValue, dueDate + 7 * DAY);
+
+      const next = await proxy.getTask(2);
+      expect(next.completed).to.be.false;
+      expect(next.recurrence).to.equal(Recurrence.Weekly);
+      expect(next.seriesId).to.equal(1);
+      expect(await proxy.getTaskCount(user1.address)).to.equal(2);
+    });
+
+    it("Should skip occurrences missed by a late completion", async function () {
+      const { proxy, user1 } = await loadFixture(deployRecurrenceFixture);
+      const dueDate = (await time.latest()) + DAY;
+      await proxy.connect(user1).createRecurringTask("Standup", dueDate, Recurrence.Daily, 0);
+
+      await time.increaseTo(dueDate + 2 * DAY + 3600);
+      await proxy.connect(user1).completeTask(1);
+
+      expect((await proxy.getTask(2)).dueDate).to.equal(dueDate + 3 * DAY);
+    });
+
+    it("Should count from the completion time without a due date", async function () {
+      const { proxy, user1 } = await loadFixture(deployRecurrenceFixture);
+      await proxy.connect(user1).createRecurringTask("Stretch", 0, Recurrence.Interval, 6 * 3600);
+
+      await proxy.connect(user1).completeTask(1);
+
+      const completedAt = (await proxy.getTask(1)).completedAt;
+      expect((await proxy.getTask(2)).dueDate).to.equal(completedAt + BigInt(6 * 3600));
+    });
+
+    it("Should keep the day of the month, clamped to shorter months", async function () {
+      const { proxy, user1 } = await loadFixture(deployRecurrenceFixture);
+      await time.increaseTo(utc(2031, 1, 1));
+      await proxy.connect(user1).createRecurringTask("Rent", utc(2031, 1, 31, 9), Recurrence.Monthly, 0);
+
+      await proxy.connect(user1).completeTask(1);
+      expect((await proxy.getTask(2)).dueDate).to.equal(utc(2031, 2, 28, 9));
+
+      await proxy.connect(user1).completeTask(2);
+      expect((await proxy.getTask(3)).dueDate).to.equal(utc(2031, 3, 28, 9));
+    });
+
+    it("Should roll monthly tasks over the end of the year", async function () {
+      const { proxy, user1 } = await loadFixture(deployRecurrenceFixture);
+      await time.increaseTo(utc(2031, 12, 1));
+      await proxy.connect(user1).createRecurringTask("Report", utc(2031, 12, 15), Recurrence.Monthly, 0);
+
+      await proxy.connect(user1).completeTask(1);
+
+      expect((await proxy.getTask(2)).dueDate).to.equal(utc(2032, 1, 15));
+    });
+
+    it("Should copy the priority, tags, list and parent", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deployRecurrenceFixture);
+      const tag = ethers.id("chores");
+      await proxy.connect(user1).createTask("Parent", 0);
+      await proxy.connect(user1).createList("Household");
+      await proxy.connect(user1).setListMember(1, user2.address, Role.Editor);
+      await proxy.connect(user1).moveTaskToList(1, 1);
+      await proxy.connect(user1).createSubtask(1, "Bins", 0);
+      await proxy.connect(user1).setTaskPriority(2, 2);
+      await proxy.connect(user1).setTaskTags(2, [tag]);
+      await proxy.connect(user1).setTaskRecurrence(2, Recurrence.Weekly, 0);
+
+      await expect(proxy.connect(user2).completeTask(2))
+        .to.emit(proxy, "SubtaskCreated")
+        .withArgs(3, 1, user1.address, "Bins", anyValue, anyValue);
+
+      const next = await proxy.getTask(3);
+      expect(next.owner).to.equal(user1.address);
+      expect(next.priority).to.equal(2);
+      expect(next.tags).to.deep.equal([tag]);
+      expect(next.listId).to.equal(1);
+      expect(next.parentId).to.equal(1);
+      expect(next.seriesId).to.equal(2);
+      expect(await proxy.getSubtasks(1)).to.deep.equal([2n, 3n]);
+    });
+
+    it("Should create occurrences from batch and signed completions", async function () {
+      const { proxy, user1 } = await loadFixture(deployRecurrenceFixture);
+      await proxy.connect(user1).createRecurringTask("A", 0, Recurrence.Daily, 0);
+      await proxy.connect(user1).createRecurringTask("B", 0, Recurrence.Daily, 0);
+
+      await expect(proxy.connect(user1).batchCompleteTasks([1, 2]))
+        .to.emit(proxy, "TaskRecurred")
+        .withArgs(2, 4, 2, anyValue, anyValue);
+
+      expect((await proxy.getTask(3)).seriesId).to.equal(1);
+    });
+
+    it("Should stop once the recurrence is cleared", async function () {
+      const { proxy, user1 } = await loadFixture(deployRecurrenceFixture);
+      await proxy.connect(user1).createRecurringTask("Task", 0, Recurrence.Daily, 0);
+      await proxy.connect(user1).setTaskRecurrence(1, Recurrence.None, 0);
+
+      await expect(proxy.connect(user1).completeTask(1)).to.not.emit(proxy, "TaskRecurred");
+      expect(await proxy.getTotalTaskCount()).to.equal(1);
+    });
+
+    it("Should stop the series when the owner is at the task limit", async function () {
+      const { proxy, owner, user1 } = await loadFixture(deployRecurrenceFixture);
+      await proxy.connect(owner).updateMaxTasks(100);
+      await proxy.connect(user1).batchCreateTasks(Array(99).fill("Task"), Array(99).fill(0));
+      await proxy.connect(user1).createRecurringTask("Task", 0, Recurrence.Daily, 0);
+
+      const tx = proxy.connect(user1).completeTask(100);
+      await expect(tx)
+        .to.emit(proxy, "TaskRecurrenceChanged")
+        .withArgs(100, user1.address, Recurrence.None, 0, anyValue);
+      await expect(tx).to.not.emit(proxy, "TaskRecurred");
+
+      const task = await proxy.getTask(100);
+      expect(task.completed).to.equal(true);
+      expect(task.recurrence).to.equal(Recurrence.None);
+      expect(await proxy.getTotalTaskCount()).to.equal(100);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getTodoListFactory } = require("../scripts/libraries");
+
+describe("TodoListV2 - Subtasks", function () {
+  const Role = { None: 0, Viewer: 1, Editor: 2, Owner: 3 };
+
+  async function deploySubtaskFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const TodoListV2 = await getTodoListFactory();
+    const proxy = await upgrades.deployProxy(
+      TodoListV2,
+      [owner.address],
+      { initializer: "initialize", kind: "uups" }
+    );
+    await proxy.waitForDeployment();
+
+    await proxy.connect(owner).updateCooldown(0);
+    await proxy.connect(user1).createTask("Parent", 0);
+
+    return { proxy, owner, user1, user2 };
+  }
+
+  describe("createSubtask", function () {
+    it("Should create a subtask linked to its parent", async function () {
+      const { proxy, user1 } = await loadFixture(deploySubtaskFixture);
+      const dueDate = (await time.latest()) + 86400;
+
+      await expect(proxy.connect(user1).createSubtask(1, "Step 1", dueDate))
+        .to.emit(proxy, "SubtaskCreated")
+        .withArgs(2, 1, user1.address, "Step 1", anyValue, dueDate);
+
+      const subtask = await proxy.getTask(2);
+      expect(subtask.parentId).to.equal(1);
+      expect(subtask.owner).to.equal(user1.address);
+      expect((await proxy.getTask(1)).parentId).to.equal(0);
+      expect(await proxy.getSubtasks(1)).to.deep.equal([2n]);
+      expect(await proxy.getTaskCount(user1.address)).to.equal(2);
+    });
+
+    it("Should emit SubtaskCreated instead of TaskCreated", async function () {
+      const { proxy, user1 } = await loadFixture(deploySubtaskFixture);
+
+      await expect(proxy.connect(user1).createSubtask(1, "Step 1", 0))
+        .to.not.emit(proxy, "TaskCreated");
+    });
+
+    it("Should allow nesting up to MAX_TASK_DEPTH levels", async function () {
+      const { proxy, user1 } = await loadFixture(deploySubtaskFixture);
+      expect(await proxy.MAX_TASK_DEPTH()).to.equal(3);
+
+      await proxy.connect(user1).createSubtask(1, "Level 1", 0);
+      await proxy.connect(user1).createSubtask(2, "Level 2", 0);
+      await proxy.connect(user1).createSubtask(3, "Level 3", 0);
+
+      await expect(proxy.connect(user1).createSubtask(4, "Level 4", 0))
+        .to.be.revertedWithCustomError(proxy, "MaxDepthReached");
+    });
+
+    it("Should require the caller to be able to edit the parent", async function () {
+      const { proxy, user2 } = await loadFixture(deploySubtaskFixture);
+
+      await expect(proxy.connect(user2).createSubtask(1, "Step 1", 0))
+        .to.be.revertedWithCustomError(proxy, "NotTaskEditor");
+    });
+
+    it("Should reject missing and deleted parents", async function () {
+      const { proxy, user1 } = await loadFixture(deploySubtaskFixture);
+
+      await expect(proxy.connect(user1).createSubtask(99, "Step 1", 0))
+        .to.be.revertedWithCustomError(proxy, "TaskNotFound");
+
+      await proxy.connect(user1).deleteTask(1);
+      await expect(proxy.connect(user1).createSubtask(1, "Step 1", 0))
+        .to.be.revertedWithCustomError(proxy, "TaskIsDeleted");
+    });
+
+    it("Should apply the usual task checks", async function () {
+      const { proxy, user1 } = await loadFixture(deploySubtaskFixture);
+
+      await expect(proxy.connect(user1).createSubtask(1, "", 0))
+        .to.be.revertedWithCustomError(proxy, "EmptyDescription");
+    });
+
+    it("Should put the subtask in the parent's shared list", async function () {
+      const { proxy, user1, user2 } = await loadFixture(deploySubtaskFixture);
+      await proxy.connect(user1).createList("Household");
+      await proxy.connect(user1).setListMember(1, user2.address, Role.Editor);
+      await proxy.connect(user1).moveTaskToList(1, 1);
+
+      await expect(proxy.connect(user2).createSubtask(1, "Step 1", 0))
+        .to.emit(proxy, "TaskListChanged")
+        .withArgs(2, user2.address, 0, 1, anyValue);
+
+      const subtask = await proxy.getTask(2);
+      expect(subtask.owner).to.equal(user2.address);
+      expect(subtask.listId).to.equal(1);
+    });
+
+    it("Should be rate limited like other task actions", async function () {
+      const { proxy, owner, user1 } = await loadFixture(deploySubtaskFixture);
+      await proxy.connect(owner).updateCooldown(60);
+      await time.increase(60);
+
+      await proxy.connect(user1).createSubtask(1, "Step 1", 0);
+      await expect(proxy.connect(user1).createSubtask(1, "Step 2", 0))
+        .to.be.revertedWithCustomError(proxy, "RateLimited");
+    });
+  });
+
+  describe("getSubtasks", function () {
+    it("Should list direct children only, in creation order", async function () {
+      const { proxy, user1 } = await loadFixture(deploySubtaskFixture);
+      await proxy.connect(user1).createSubtask(1, "Step 1", 0);
+      await proxy.connect(user1).createSubtask(1, "Step 2", 0);
+      await proxy.connect(user1).createSubtask(2, "Step 1a", 0);
+
+      expect(await proxy.getSubtasks(1)).to.deep.equal([2n, 3n]);
+      expect(await proxy.getSubtasks(2)).to.deep.equal([4n]);
+      expect(await proxy.getSubtasks(4)).to.deep.equal([]);
+    });
+
+    it("Should keep deleted subtasks", async function () {
+      const { proxy, user1 } = await loadFixture(deploySubtaskFixture);
+      await proxy.connect(user1).createSubtask(1, "Step 1", 0);
+      await proxy.connect(user1).deleteTask(2);
+
+      expect(await proxy.getSubtasks(1)).to.deep.equal([2n]);
+    });
+
+    it("Should revert for a missing task", async function () {
+      const { proxy } = await loadFixture(deploySubtaskFixture);
+
+      await expect(proxy.getSubtasks(99)).to.be.revertedWithCustomError(proxy, "TaskNotFound");
+    });
+  });
+});
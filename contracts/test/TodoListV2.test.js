@@ -1,13 +1,14 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getTodoListFactory } = require("../scripts/libraries");
 
 describe("TodoListV2", function () {
   // Fixture to deploy the upgradeable contract
   async function deployTodoListV2Fixture() {
     const [owner, admin, moderator, upgrader, user1, user2, attacker] = await ethers.getSigners();
 
-    const TodoListV2 = await ethers.getContractFactory("TodoListV2");
+    const TodoListV2 = await getTodoListFactory();
     const proxy = await upgrades.deployProxy(
       TodoListV2,
       [owner.address],
@@ -26,7 +27,7 @@ describe("TodoListV2", function () {
 
     it("Should initialize with correct version", async function () {
       const { proxy } = await loadFixture(deployTodoListV2Fixture);
-      expect(await proxy.version()).to.equal("2.1.0");
+      expect(await proxy.version()).to.equal("3.8.0");
     });
 
     it("Should grant all roles to initial admin", async function () {
@@ -245,7 +246,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(user1).createTask("Test task", 0)
-      ).to.be.revertedWith("Circuit breaker active: contract operations suspended");
+      ).to.be.revertedWithCustomError(proxy, "OperationsSuspended");
     });
 
     it("Should not allow activating already active circuit breaker", async function () {
@@ -255,7 +256,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(owner).activateCircuitBreaker()
-      ).to.be.revertedWith("Circuit breaker already active");
+      ).to.be.revertedWithCustomError(proxy, "CircuitBreakerAlreadyActive");
     });
 
     it("Should not allow deactivating inactive circuit breaker", async function () {
@@ -263,7 +264,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(owner).deactivateCircuitBreaker()
-      ).to.be.revertedWith("Circuit breaker not active");
+      ).to.be.revertedWithCustomError(proxy, "CircuitBreakerNotActive");
     });
 
     it("Should not allow non-admin to activate circuit breaker", async function () {
@@ -286,7 +287,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(user1).createTask("Task 2", 0)
-      ).to.be.revertedWith("Rate limit: please wait before next action");
+      ).to.be.revertedWithCustomError(proxy, "RateLimited");
     });
 
     it("Should allow task creation after cooldown period", async function () {
@@ -334,7 +335,7 @@ describe("TodoListV2", function () {
       const oneHour = 3600;
       await expect(
         proxy.connect(owner).updateCooldown(oneHour + 1)
-      ).to.be.revertedWith("Cooldown too long");
+      ).to.be.revertedWithCustomError(proxy, "CooldownTooLong");
     });
 
     it("Should not allow non-admin to update cooldown", async function () {
@@ -362,7 +363,7 @@ describe("TodoListV2", function () {
       await time.increase(2);
       await expect(
         proxy.connect(user1).createTask("Task 101", 0)
-      ).to.be.revertedWith("Maximum tasks limit reached");
+      ).to.be.revertedWithCustomError(proxy, "TaskLimitReached");
     });
 
     it("Should allow creating tasks after deleting", async function () {
@@ -408,7 +409,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(owner).updateMaxTasks(99)
-      ).to.be.revertedWith("Max tasks too low");
+      ).to.be.revertedWithCustomError(proxy, "MaxTasksTooLow");
     });
 
     it("Should not allow max tasks above 1000000", async function () {
@@ -416,7 +417,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(owner).updateMaxTasks(1000001)
-      ).to.be.revertedWith("Max tasks too high");
+      ).to.be.revertedWithCustomError(proxy, "MaxTasksTooHigh");
     });
   });
 
@@ -460,7 +461,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(user1).createTask("", 0)
-      ).to.be.revertedWith("Description cannot be empty");
+      ).to.be.revertedWithCustomError(proxy, "EmptyDescription");
     });
 
     it("Should reject description over 500 characters", async function () {
@@ -469,7 +470,7 @@ describe("TodoListV2", function () {
       const longDescription = "a".repeat(501);
       await expect(
         proxy.connect(user1).createTask(longDescription, 0)
-      ).to.be.revertedWith("Description too long");
+      ).to.be.revertedWithCustomError(proxy, "DescriptionTooLong");
     });
   });
 
@@ -531,7 +532,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(user1).restoreTask(1)
-      ).to.be.revertedWith("Task is not deleted");
+      ).to.be.revertedWithCustomError(proxy, "TaskNotDeleted");
     });
 
     it("Should not allow completing deleted task", async function () {
@@ -544,7 +545,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(user1).completeTask(1)
-      ).to.be.revertedWith("Task has been deleted");
+      ).to.be.revertedWithCustomError(proxy, "TaskIsDeleted");
     });
 
     it("Should decrement task count when deleting", async function () {
@@ -605,7 +606,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(user1).completeTask(1)
-      ).to.be.revertedWith("Task already completed");
+      ).to.be.revertedWithCustomError(proxy, "TaskAlreadyCompleted");
     });
 
     it("Should not allow non-owner to complete task", async function () {
@@ -615,7 +616,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(user2).completeTask(1)
-      ).to.be.revertedWith("Not task owner");
+      ).to.be.revertedWithCustomError(proxy, "NotTaskEditor");
     });
   });
 
@@ -719,7 +720,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(owner).emergencyWithdraw(ethers.ZeroAddress)
-      ).to.be.revertedWith("Invalid recipient");
+      ).to.be.revertedWithCustomError(proxy, "InvalidRecipient");
     });
 
     it("Should not allow emergency withdraw with no funds", async function () {
@@ -727,7 +728,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(owner).emergencyWithdraw(user1.address)
-      ).to.be.revertedWith("No funds to withdraw");
+      ).to.be.revertedWithCustomError(proxy, "NoFundsToWithdraw");
     });
 
     it("Should not allow non-admin to emergency withdraw", async function () {
@@ -749,7 +750,7 @@ describe("TodoListV2", function () {
       const { proxy, owner, TodoListV2 } = await loadFixture(deployTodoListV2Fixture);
 
       // Deploy new implementation
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
 
       await expect(
         upgrades.upgradeProxy(await proxy.getAddress(), TodoListV2Upgraded)
@@ -771,7 +772,7 @@ describe("TodoListV2", function () {
       const taskCountBefore = await proxy.getTotalTaskCount();
 
       // Upgrade
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
@@ -837,7 +838,7 @@ describe("TodoListV2", function () {
       // User2 cannot modify User1's task
       await expect(
         proxy.connect(user2).completeTask(1)
-      ).to.be.revertedWith("Not task owner");
+      ).to.be.revertedWithCustomError(proxy, "NotTaskEditor");
     });
 
     it("Should handle multiple security layers simultaneously", async function () {
@@ -858,7 +859,7 @@ describe("TodoListV2", function () {
       // Should now be blocked by circuit breaker
       await expect(
         proxy.connect(user1).createTask("Task", 0)
-      ).to.be.revertedWith("Circuit breaker active: contract operations suspended");
+      ).to.be.revertedWithCustomError(proxy, "OperationsSuspended");
 
       // Deactivate circuit breaker
       await proxy.connect(owner).deactivateCircuitBreaker();
@@ -939,7 +940,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(user1).createTask("Task with past due date", pastDate)
-      ).to.be.revertedWith("Due date must be in the future");
+      ).to.be.revertedWithCustomError(proxy, "DueDateInPast");
     });
 
     it("Should emit TaskCreated event with due date", async function () {
@@ -987,7 +988,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(user1).updateTask(1, "")
-      ).to.be.revertedWith("Description cannot be empty");
+      ).to.be.revertedWithCustomError(proxy, "EmptyDescription");
     });
 
     it("Should not allow description longer than 500 characters", async function () {
@@ -999,7 +1000,7 @@ describe("TodoListV2", function () {
       const longDescription = "a".repeat(501);
       await expect(
         proxy.connect(user1).updateTask(1, longDescription)
-      ).to.be.revertedWith("Description too long");
+      ).to.be.revertedWithCustomError(proxy, "DescriptionTooLong");
     });
 
     it("Should not allow non-owner to update task", async function () {
@@ -1010,7 +1011,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(user2).updateTask(1, "Hacked")
-      ).to.be.revertedWith("Not task owner");
+      ).to.be.revertedWithCustomError(proxy, "NotTaskEditor");
     });
 
     it("Should not allow updating deleted task", async function () {
@@ -1023,7 +1024,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(user1).updateTask(1, "Updated")
-      ).to.be.revertedWith("Task has been deleted");
+      ).to.be.revertedWithCustomError(proxy, "TaskIsDeleted");
     });
 
     it("Should not allow updating non-existent task", async function () {
@@ -1031,7 +1032,7 @@ describe("TodoListV2", function () {
 
       await expect(
         proxy.connect(user1).updateTask(999, "Updated")
-      ).to.be.revertedWith("Task does not exist");
+      ).to.be.revertedWithCustomError(proxy, "TaskNotFound");
     });
   });
 });
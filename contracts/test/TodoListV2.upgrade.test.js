@@ -1,12 +1,13 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getTodoListFactory } = require("../scripts/libraries");
 
 describe("TodoListV2 - Upgrade Mechanism Tests", function () {
   async function deployTodoListV2Fixture() {
     const [owner, upgrader, user1, user2, attacker] = await ethers.getSigners();
 
-    const TodoListV2 = await ethers.getContractFactory("TodoListV2");
+    const TodoListV2 = await getTodoListFactory();
     const proxy = await upgrades.deployProxy(
       TodoListV2,
       [owner.address],
@@ -26,7 +27,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       await proxy.connect(owner).grantRoleWithEvent(UPGRADER_ROLE, upgrader.address);
 
       // Deploy new implementation
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2", upgrader);
+      const TodoListV2Upgraded = await getTodoListFactory(upgrader);
 
       // Should succeed with UPGRADER_ROLE
       await expect(
@@ -43,7 +44,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
 
       // Attacker tries to call upgradeTo directly (this should fail)
       // Note: In UUPS, the upgrade is protected by _authorizeUpgrade
-      const TodoListV2Factory = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Factory = await getTodoListFactory();
       const newImplementation = await TodoListV2Factory.deploy();
       await newImplementation.waitForDeployment();
 
@@ -66,7 +67,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       await proxy.connect(owner).grantRoleWithEvent(UPGRADER_ROLE, upgrader.address);
 
       // Upgrade
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
@@ -109,7 +110,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       const user2TasksBefore = await proxy.getUserTasks(user2.address);
 
       // Upgrade
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
@@ -137,7 +138,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       const maxTasksBefore = await proxy.maxTasksPerUser();
 
       // Upgrade
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
@@ -160,7 +161,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       await proxy.connect(owner).grantRoleWithEvent(MODERATOR_ROLE, user1.address);
 
       // Upgrade
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
@@ -181,7 +182,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       expect(status.isPaused).to.be.true;
 
       // Upgrade
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
@@ -200,7 +201,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       expect(await proxy.circuitBreakerActive()).to.be.true;
 
       // Upgrade
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
@@ -216,7 +217,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       const { proxy, user1, TodoListV2 } = await loadFixture(deployTodoListV2Fixture);
 
       // Upgrade
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
@@ -238,7 +239,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       await proxy.connect(user1).createTask("Pre-upgrade task", 0);
 
       // Upgrade
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
@@ -256,7 +257,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       const { proxy, owner, user1, TodoListV2 } = await loadFixture(deployTodoListV2Fixture);
 
       // Upgrade
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
@@ -282,7 +283,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       await proxy.connect(user1).createTask("Task 1", 0);
 
       // First upgrade
-      const TodoListV2Upgraded1 = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded1 = await getTodoListFactory();
       const upgraded1 = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded1
@@ -292,7 +293,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       await upgraded1.connect(user1).createTask("Task 2", 0);
 
       // Second upgrade
-      const TodoListV2Upgraded2 = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded2 = await getTodoListFactory();
       const upgraded2 = await upgrades.upgradeProxy(
         await upgraded1.getAddress(),
         TodoListV2Upgraded2
@@ -310,17 +311,17 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       const { proxy, TodoListV2 } = await loadFixture(deployTodoListV2Fixture);
 
       // Initial version
-      expect(await proxy.version()).to.equal("2.1.0");
+      expect(await proxy.version()).to.equal("3.8.0");
 
       // Upgrade (in this case to same version, but process is tested)
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
       );
 
       // Version should remain (or could be updated in a real upgrade)
-      expect(await upgraded.version()).to.equal("2.1.0");
+      expect(await upgraded.version()).to.equal("3.8.0");
     });
   });
 
@@ -333,7 +334,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       await proxy.connect(user2).createTask("User2 active task", 0);
 
       // Upgrade with active state
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
@@ -358,7 +359,7 @@ describe("TodoListV2 - Upgrade Mechanism Tests", function () {
       const countBefore = await proxy.getTotalTaskCount();
 
       // Upgrade
-      const TodoListV2Upgraded = await ethers.getContractFactory("TodoListV2");
+      const TodoListV2Upgraded = await getTodoListFactory();
       const upgraded = await upgrades.upgradeProxy(
         await proxy.getAddress(),
         TodoListV2Upgraded
@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("UniversalSigValidator - Contract wallet signatures", function () {
+  const MESSAGE = "localhost:3000 wants you to sign in with your Ethereum account";
+  const ERC1271_SUCCESS = "0x1626ba7e";
+  const ERC6492_SUFFIX = "0x" + "6492".repeat(16);
+
+  async function deployWalletFixture() {
+    const [owner, other] = await ethers.getSigners();
+
+    const MockERC1271Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+    const wallet = await MockERC1271Wallet.deploy(owner.address);
+    await wallet.waitForDeployment();
+
+    const Factory = await ethers.getContractFactory("MockERC1271WalletFactory");
+    const factory = await Factory.deploy();
+    await factory.waitForDeployment();
+
+    const Validator = await ethers.getContractFactory("UniversalSigValidator");
+    const validator = await Validator.deploy();
+    await validator.waitForDeployment();
+
+    return { wallet, factory, validator, owner, other };
+  }
+
+  // Deployless check the backend runs through eth_call
+  async function validateOffchain(signer, message, signature) {
+    const ValidateSigOffchain = await ethers.getContractFactory("ValidateSigOffchain");
+    const { data } = await ValidateSigOffchain.getDeployTransaction(
+      signer,
+      ethers.hashMessage(message),
+      signature
+    );
+    return ethers.provider.call({ data });
+  }
+
+  async function counterfactualSignature(factory, owner, salt, signature) {
+    const factoryCalldata = factory.interface.encodeFunctionData("deploy", [owner.address, salt]);
+    const wrapped = ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "bytes", "bytes"],
+      [await factory.getAddress(), factoryCalldata, signature]
+    );
+    return ethers.concat([wrapped, ERC6492_SUFFIX]);
+  }
+
+  describe("MockERC1271Wallet", function () {
+    it("Should accept signatures by its owner", async function () {
+      const { wallet, owner } = await loadFixture(deployWalletFixture);
+      const signature = await owner.signMessage(MESSAGE);
+
+      expect(await wallet.isValidSignature(ethers.hashMessage(MESSAGE), signature))
+        .to.equal(ERC1271_SUCCESS);
+    });
+
+    it("Should reject signatures by anyone else or malformed ones", async function () {
+      const { wallet, other } = await loadFixture(deployWalletFixture);
+      const hash = ethers.hashMessage(MESSAGE);
+
+      expect(await wallet.isValidSignature(hash, await other.signMessage(MESSAGE)))
+        .to.equal("0xffffffff");
+      expect(await wallet.isValidSignature(hash, "0x1234")).to.equal("0xffffffff");
+    });
+  });
+
+  describe("ValidateSigOffchain", function () {
+    it("Should verify EOA signatures", async function () {
+      const { owner, other } = await loadFixture(deployWalletFixture);
+      const signature = await owner.signMessage(MESSAGE);
+
+      expect(await validateOffchain(owner.address, MESSAGE, signature)).to.equal("0x01");
+      expect(await validateOffchain(other.address, MESSAGE, signature)).to.equal("0x00");
+    });
+
+    it("Should verify ERC-1271 signatures from a deployed wallet", async function () {
+      const { wallet, owner, other } = await loadFixture(deployWalletFixture);
+      const walletAddress = await wallet.getAddress();
+
+      expect(await validateOffchain(walletAddress, MESSAGE, await owner.signMessage(MESSAGE)))
+        .to.equal("0x01");
+      expect(await validateOffchain(walletAddress, MESSAGE, await other.signMessage(MESSAGE)))
+        .to.equal("0x00");
+    });
+
+    it("Should verify ERC-6492 signatures from a wallet that is not deployed yet", async function () {
+      const { factory, owner, other } = await loadFixture(deployWalletFixture);
+      const salt = ethers.id("login");
+      const walletAddress = await factory.computeAddress(owner.address, salt);
+
+      const valid = await counterfactualSignature(factory, owner, salt, await owner.signMessage(MESSAGE));
+      const invalid = await counterfactualSignature(factory, owner, salt, await other.signMessage(MESSAGE));
+
+      expect(await validateOffchain(walletAddress, MESSAGE, valid)).to.equal("0x01");
+      expect(await validateOffchain(walletAddress, MESSAGE, invalid)).to.equal("0x00");
+      // The deployment only happened inside the call
+      expect(await ethers.provider.getCode(walletAddress)).to.equal("0x");
+    });
+
+    it("Should verify ERC-6492 signatures once the wallet is deployed", async function () {
+      const { factory, owner } = await loadFixture(deployWalletFixture);
+      const salt = ethers.id("login");
+      const walletAddress = await factory.computeAddress(owner.address, salt);
+      const signature = await counterfactualSignature(factory, owner, salt, await owner.signMessage(MESSAGE));
+
+      await factory.deploy(owner.address, salt);
+
+      expect(await ethers.provider.getCode(walletAddress)).to.not.equal("0x");
+      expect(await validateOffchain(walletAddress, MESSAGE, signature)).to.equal("0x01");
+    });
+
+    it("Should match the init code the backend ships", async function () {
+      const { bytecode } = await artifacts.readArtifact("ValidateSigOffchain");
+      const shipped = require("../../backend/src/contracts/ValidateSigOffchain.bytecode.json");
+
+      expect(shipped.bytecode).to.equal(bytecode);
+    });
+  });
+
+  describe("isValidSig", function () {
+    it("Should verify a counterfactual signature without keeping the deployment", async function () {
+      const { factory, validator, owner } = await loadFixture(deployWalletFixture);
+      const salt = ethers.id("login");
+      const walletAddress = await factory.computeAddress(owner.address, salt);
+      const signature = await counterfactualSignature(factory, owner, salt, await owner.signMessage(MESSAGE));
+
+      expect(await validator.isValidSig.staticCall(walletAddress, ethers.hashMessage(MESSAGE), signature))
+        .to.be.true;
+
+      await validator.isValidSig(walletAddress, ethers.hashMessage(MESSAGE), signature);
+      expect(await ethers.provider.getCode(walletAddress)).to.equal("0x");
+    });
+
+    it("Should revert when the wallet cannot be deployed", async function () {
+      const { validator, owner } = await loadFixture(deployWalletFixture);
+      const wrapped = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address", "bytes", "bytes"],
+        [await validator.getAddress(), "0xdeadbeef", await owner.signMessage(MESSAGE)]
+      );
+
+      await expect(
+        validator.isValidSig.staticCall(
+          ethers.Wallet.createRandom().address,
+          ethers.hashMessage(MESSAGE),
+          ethers.concat([wrapped, ERC6492_SUFFIX])
+        )
+      ).to.be.revertedWithCustomError(validator, "ERC6492DeployFailed");
+    });
+  });
+});
@@ -2,6 +2,7 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import AddTodoForm from '../../components/AddTodoForm';
 import * as Web3Context from '../../contexts/Web3Context';
+import type { TaskList } from '../../types/todo';
 
 // Mock blockchain service
 const mockCreateTask = vi.fn();
@@ -20,6 +21,12 @@ vi.mock('../../services/api', () => ({
   },
 }));
 
+// Mock IPFS uploads
+const mockUploadAttachment = vi.fn();
+vi.mock('../../services/ipfs', () => ({
+  uploadAttachment: (...args: any[]) => mockUploadAttachment(...args),
+}));
+
 // Mock patterns
 vi.mock('../../components/patterns', () => ({
   HexagonPattern: () => <div data-testid="hexagon-pattern" />,
@@ -48,6 +55,7 @@ vi.mock('../../contexts/Web3Context', () => ({
 describe('AddTodoForm Component', () => {
   const mockOnTodoCreated = vi.fn();
   const mockProvider = { getSigner: vi.fn() };
+  const mockUnlockDescriptions = vi.fn();
 
   beforeEach(() => {
     vi.clearAllMocks();
@@ -58,7 +66,7 @@ describe('AddTodoForm Component', () => {
     mockIsSupportedNetwork.mockReturnValue(true);
   });
 
-  const renderForm = (isConnected = true, chainId = 31337) => {
+  const renderForm = (isConnected = true, chainId = 31337, lists: TaskList[] = []) => {
     // Mock the useWeb3 hook
     vi.mocked(Web3Context.useWeb3).mockReturnValue({
       address: isConnected ? '0x1234567890123456789012345678901234567890' : null,
@@ -70,10 +78,12 @@ describe('AddTodoForm Component', () => {
       disconnect: vi.fn(),
       switchNetwork: vi.fn(),
       provider: isConnected ? mockProvider as any : null,
+      descriptionKey: null,
+      unlockDescriptions: mockUnlockDescriptions,
     });
 
     return render(
-      <AddTodoForm onTodoCreated={mockOnTodoCreated} />
+      <AddTodoForm onTodoCreated={mockOnTodoCreated} lists={lists} />
     );
   };
 
@@ -144,14 +154,14 @@ describe('AddTodoForm Component', () => {
     renderForm();
 
     const input = screen.getByPlaceholderText(/what needs to be done/i);
-    const longText = 'a'.repeat(501); // Too long - over 500 chars
+    const longText = 'a'.repeat(10001); // Too long - over 10000 chars
     fireEvent.change(input, { target: { value: longText } });
 
     const submitButton = screen.getByRole('button', { name: /add task to blockchain/i });
     fireEvent.click(submitButton);
 
     await waitFor(() => {
-      expect(screen.getByText(/500 characters or less/i)).toBeInTheDocument();
+      expect(screen.getByText(/10000 characters or less/i)).toBeInTheDocument();
     });
   });
 
@@ -161,8 +171,8 @@ describe('AddTodoForm Component', () => {
     const input = screen.getByPlaceholderText(/what needs to be done/i);
     fireEvent.change(input, { target: { value: 'Buy groceries' } });
 
-    // Should show character count in format "13/500"
-    expect(screen.getByText(/\/500/)).toBeInTheDocument();
+    // Should show character count in format "13/10000"
+    expect(screen.getByText(/\/10000/)).toBeInTheDocument();
   });
 
   it('clears input after successful submission', async () => {
@@ -261,4 +271,232 @@ describe('AddTodoForm Component', () => {
     expect(mockOnTodoCreated).toHaveBeenCalled();
     vi.useRealTimers();
   });
+
+  it('passes priority and tags to createTask', async () => {
+    renderForm();
+
+    fireEvent.change(screen.getByPlaceholderText(/what needs to be done/i), { target: { value: 'Ship release' } });
+    fireEvent.change(screen.getByLabelText(/priority/i), { target: { value: '3' } });
+    fireEvent.change(screen.getByLabelText(/tags/i), { target: { value: 'Work, urgent, work' } });
+    fireEvent.click(screen.getByRole('button', { name: /add task to blockchain/i }));
+
+    await waitFor(() => {
+      expect(mockCreateTask).toHaveBeenCalledWith(mockProvider, 31337, 'Ship release', null, {
+        priority: 3,
+        tags: ['work', 'urgent'],
+      });
+    });
+  });
+
+  it('previews a Markdown description and creates it as Markdown', async () => {
+    renderForm();
+
+    fireEvent.change(screen.getByPlaceholderText(/what needs to be done/i), {
+      target: { value: '- [ ] Milk\n- [x] [Bread](https://example.com)' },
+    });
+    expect(screen.queryByText('Preview')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Markdown'));
+    expect(screen.getByText('Preview')).toBeInTheDocument();
+    expect(screen.getAllByRole('checkbox', { checked: true }).length).toBeGreaterThan(1);
+    expect(screen.getByRole('link', { name: 'Bread' })).toHaveAttribute('href', 'https://example.com');
+
+    fireEvent.click(screen.getByRole('button', { name: /add task to blockchain/i }));
+
+    await waitFor(() => {
+      expect(mockCreateTask).toHaveBeenCalledWith(
+        mockProvider,
+        31337,
+        '- [ ] Milk\n- [x] [Bread](https://example.com)',
+        null,
+        { priority: 0, tags: [], contentType: 'text/markdown' }
+      );
+    });
+  });
+
+  it('encrypts the description with the unlocked key when asked to', async () => {
+    const key = {} as CryptoKey;
+    mockUnlockDescriptions.mockResolvedValue(key);
+    renderForm();
+
+    fireEvent.change(screen.getByPlaceholderText(/what needs to be done/i), { target: { value: 'Secret plan' } });
+    fireEvent.click(screen.getByLabelText(/encrypt description/i));
+    fireEvent.click(screen.getByRole('button', { name: /add task to blockchain/i }));
+
+    await waitFor(() => {
+      expect(mockCreateTask).toHaveBeenCalledWith(mockProvider, 31337, 'Secret plan', null, {
+        priority: 0,
+        tags: [],
+        encryptionKey: key,
+      });
+    });
+    expect(mockUnlockDescriptions).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not create the task when the key signature is rejected', async () => {
+    mockUnlockDescriptions.mockRejectedValue(new Error('user rejected signing'));
+    renderForm();
+
+    fireEvent.change(screen.getByPlaceholderText(/what needs to be done/i), { target: { value: 'Secret plan' } });
+    fireEvent.click(screen.getByLabelText(/encrypt description/i));
+    fireEvent.click(screen.getByRole('button', { name: /add task to blockchain/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/rejected/i)).toBeInTheDocument();
+    });
+    expect(mockCreateTask).not.toHaveBeenCalled();
+  });
+
+  it('rejects more tags than a task can hold', async () => {
+    renderForm();
+
+    fireEvent.change(screen.getByPlaceholderText(/what needs to be done/i), { target: { value: 'Task' } });
+    fireEvent.change(screen.getByLabelText(/tags/i), { target: { value: 'a, b, c, d, e, f' } });
+    fireEvent.click(screen.getByRole('button', { name: /add task to blockchain/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/at most 5 tags/i)).toBeInTheDocument();
+    });
+    expect(mockCreateTask).not.toHaveBeenCalled();
+  });
+
+  it('creates the task in a shared list the user can edit', async () => {
+    renderForm(true, 31337, [
+      {
+        chainId: 31337,
+        listId: '4',
+        name: 'Team',
+        owner: '0x9999999999999999999999999999999999999999',
+        members: [],
+        role: 'editor',
+        blockchainCreatedAt: new Date().toISOString(),
+      },
+    ]);
+
+    fireEvent.change(screen.getByPlaceholderText(/what needs to be done/i), { target: { value: 'Plan sprint' } });
+    fireEvent.change(screen.getByLabelText('List'), { target: { value: '4' } });
+
+    expect(screen.getByLabelText(/priority/i)).toBeDisabled();
+    expect(screen.getByLabelText(/tags/i)).toBeDisabled();
+    // Members could not read an encrypted description
+    expect(screen.getByLabelText(/encrypt description/i)).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('button', { name: /add task to blockchain/i }));
+
+    await waitFor(() => {
+      expect(mockCreateTask).toHaveBeenCalledWith(mockProvider, 31337, 'Plan sprint', null, { listId: '4' });
+    });
+  });
+
+  it('passes a repeat rule to createTask', async () => {
+    renderForm();
+
+    fireEvent.change(screen.getByPlaceholderText(/what needs to be done/i), { target: { value: 'Water plants' } });
+    fireEvent.change(screen.getByLabelText('Repeat'), { target: { value: 'weekly' } });
+    fireEvent.click(screen.getByRole('button', { name: /add task to blockchain/i }));
+
+    await waitFor(() => {
+      expect(mockCreateTask).toHaveBeenCalledWith(mockProvider, 31337, 'Water plants', null, {
+        priority: 0,
+        tags: [],
+        recurrence: 'weekly',
+        recurrenceInterval: 0,
+      });
+    });
+  });
+
+  it('converts a custom interval to seconds', async () => {
+    renderForm();
+
+    fireEvent.change(screen.getByPlaceholderText(/what needs to be done/i), { target: { value: 'Stretch' } });
+    fireEvent.change(screen.getByLabelText('Repeat'), { target: { value: 'interval' } });
+    fireEvent.change(screen.getByLabelText('Repeat every'), { target: { value: '6' } });
+    fireEvent.change(screen.getByLabelText('Interval unit'), { target: { value: 'hours' } });
+    fireEvent.click(screen.getByRole('button', { name: /add task to blockchain/i }));
+
+    await waitFor(() => {
+      expect(mockCreateTask).toHaveBeenCalledWith(
+        mockProvider,
+        31337,
+        'Stretch',
+        null,
+        expect.objectContaining({ recurrence: 'interval', recurrenceInterval: 6 * 3600 })
+      );
+    });
+  });
+
+  it('rejects a custom interval the contract would refuse', async () => {
+    renderForm();
+
+    fireEvent.change(screen.getByPlaceholderText(/what needs to be done/i), { target: { value: 'Task' } });
+    fireEvent.change(screen.getByLabelText('Repeat'), { target: { value: 'interval' } });
+    fireEvent.change(screen.getByLabelText('Repeat every'), { target: { value: '400' } });
+    fireEvent.click(screen.getByRole('button', { name: /add task to blockchain/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/between 1 hour and 365 days/i)).toBeInTheDocument();
+    });
+    expect(mockCreateTask).not.toHaveBeenCalled();
+  });
+
+  describe('attachments', () => {
+    const image = { type: 'image', name: 'photo.png', mimeType: 'image/png', size: 3, cid: 'bafkphoto' };
+
+    beforeEach(() => {
+      // jsdom has no object URLs
+      URL.createObjectURL = vi.fn(() => 'blob:photo');
+      URL.revokeObjectURL = vi.fn();
+      mockUploadAttachment.mockResolvedValue(image);
+    });
+
+    it('uploads dropped files and passes them with links to createTask', async () => {
+      renderForm();
+      const file = new File(['png'], 'photo.png', { type: 'image/png' });
+
+      fireEvent.change(screen.getByPlaceholderText(/what needs to be done/i), { target: { value: 'Review mockup' } });
+      fireEvent.drop(screen.getByTestId('attachment-dropzone'), { dataTransfer: { files: [file] } });
+      fireEvent.change(screen.getByLabelText('Attach a link'), { target: { value: 'https://example.com/spec' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Add link' }));
+
+      expect(screen.getByText('photo.png')).toBeInTheDocument();
+      expect(screen.getByText('https://example.com/spec')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: /add task to blockchain/i }));
+
+      await waitFor(() => {
+        expect(mockCreateTask).toHaveBeenCalledWith(mockProvider, 31337, 'Review mockup', null, {
+          priority: 0,
+          tags: [],
+          attachments: [image, { type: 'link', url: 'https://example.com/spec', name: null }],
+        });
+      });
+      expect(mockUploadAttachment).toHaveBeenCalledWith(file);
+    });
+
+    it('rejects files of other types', () => {
+      renderForm();
+
+      fireEvent.drop(screen.getByTestId('attachment-dropzone'), {
+        dataTransfer: { files: [new File(['<svg/>'], 'logo.svg', { type: 'image/svg+xml' })] },
+      });
+
+      expect(screen.getByText(/logo.svg: only images, PDFs and text files can be attached/)).toBeInTheDocument();
+      expect(screen.queryByText('logo.svg')).not.toBeInTheDocument();
+    });
+
+    it('disables attachments on encrypted tasks', () => {
+      renderForm();
+
+      fireEvent.click(screen.getByLabelText(/encrypt description/i));
+
+      expect(screen.getByLabelText('Attach a link')).toBeDisabled();
+      expect(screen.getByText('Encrypted tasks cannot have attachments')).toBeInTheDocument();
+    });
+  });
+
+  it('hides the list picker without editable lists', () => {
+    renderForm();
+
+    expect(screen.queryByLabelText('List')).not.toBeInTheDocument();
+  });
 });
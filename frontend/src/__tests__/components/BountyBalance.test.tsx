@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import BountyBalance from '../../components/BountyBalance';
+
+const ADDRESS = '0x1234567890123456789012345678901234567890';
+
+// A stable wallet, so the balance is only loaded once per connection
+const web3 = vi.hoisted(() => ({
+  address: '0x1234567890123456789012345678901234567890',
+  chainId: 31337,
+  isConnecting: false,
+  isConnected: true,
+  error: null,
+  provider: {},
+}));
+vi.mock('../../contexts/Web3Context', () => ({
+  useWeb3: () => web3,
+}));
+
+const mockGetPendingWithdrawal = vi.fn();
+const mockWithdraw = vi.fn();
+vi.mock('../../services/blockchain', () => ({
+  blockchainService: {
+    getPendingWithdrawal: (...args: any[]) => mockGetPendingWithdrawal(...args),
+    withdraw: (...args: any[]) => mockWithdraw(...args),
+  },
+}));
+
+describe('BountyBalance Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGetPendingWithdrawal.mockResolvedValue(50000000000000000n);
+    mockWithdraw.mockResolvedValue({ transactionHash: '0xabc' });
+  });
+
+  it('shows the pending withdrawal of the connected address', async () => {
+    render(<BountyBalance />);
+
+    expect(await screen.findByText('0.05 ETH ready to withdraw')).toBeInTheDocument();
+    expect(mockGetPendingWithdrawal).toHaveBeenCalledWith(expect.anything(), 31337, ADDRESS);
+  });
+
+  it('renders nothing without a pending withdrawal', async () => {
+    mockGetPendingWithdrawal.mockResolvedValue(0n);
+    const { container } = render(<BountyBalance />);
+
+    await waitFor(() => expect(mockGetPendingWithdrawal).toHaveBeenCalled());
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('withdraws the balance', async () => {
+    const { container } = render(<BountyBalance />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Withdraw' }));
+
+    await waitFor(() => expect(mockWithdraw).toHaveBeenCalledWith(expect.anything(), 31337));
+    await waitFor(() => expect(container).toBeEmptyDOMElement());
+  });
+
+  it('shows an error when the withdrawal fails', async () => {
+    mockWithdraw.mockRejectedValue(new Error('Withdrawal failed'));
+    render(<BountyBalance />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Withdraw' }));
+
+    expect(await screen.findByText('Withdrawal failed')).toBeInTheDocument();
+    expect(screen.getByText('0.05 ETH ready to withdraw')).toBeInTheDocument();
+  });
+});
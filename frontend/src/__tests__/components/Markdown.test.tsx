@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import Markdown from '../../components/Markdown';
+
+describe('Markdown Component', () => {
+  it('renders checklists as read-only checkboxes', () => {
+    render(<Markdown source={'- [ ] Milk\n- [x] Bread'} />);
+
+    const boxes = screen.getAllByRole('checkbox');
+    expect(boxes).toHaveLength(2);
+    expect(boxes[0]).not.toBeChecked();
+    expect(boxes[1]).toBeChecked();
+    expect(boxes[1]).toBeDisabled();
+    expect(screen.getByText('Bread')).toHaveClass('line-through');
+  });
+
+  it('opens links in a new tab without referrer', () => {
+    render(<Markdown source="See [the spec](https://example.com/spec)" />);
+
+    const link = screen.getByRole('link', { name: 'the spec' });
+    expect(link).toHaveAttribute('href', 'https://example.com/spec');
+    expect(link).toHaveAttribute('target', '_blank');
+    expect(link).toHaveAttribute('rel', 'noopener noreferrer nofollow');
+  });
+
+  it('renders unsafe links as plain text', () => {
+    render(<Markdown source="[click me](javascript:void0)" />);
+
+    expect(screen.queryByRole('link')).not.toBeInTheDocument();
+    expect(screen.getByText('click me')).toBeInTheDocument();
+  });
+
+  it('shows raw HTML as text instead of rendering it', () => {
+    const { container } = render(<Markdown source={'<img src=x onerror="alert(1)">\n\n<script>alert(1)</script>'} />);
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('script')).toBeNull();
+    expect(screen.getByText('<img src=x onerror="alert(1)">')).toBeInTheDocument();
+  });
+
+  it('renders headings and code blocks', () => {
+    const { container } = render(<Markdown source={'# Deploy\n\n```\nnpm run build\n```'} />);
+
+    expect(screen.getByRole('heading', { level: 1, name: 'Deploy' })).toBeInTheDocument();
+    expect(container.querySelector('pre code')).toHaveTextContent('npm run build');
+  });
+});
@@ -133,6 +133,8 @@ describe('NetworkSwitcher Component', () => {
       connect: vi.fn(),
       disconnect: vi.fn(),
       switchNetwork: vi.fn(),
+      descriptionKey: null,
+      unlockDescriptions: vi.fn(),
       provider: null,
     });
   });
@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import SharedLists from '../../components/SharedLists';
+import type { TaskList } from '../../types/todo';
+
+vi.mock('../../contexts/Web3Context', () => ({
+  useWeb3: () => ({
+    address: '0x1234567890123456789012345678901234567890',
+    chainId: 31337,
+    isConnecting: false,
+    isConnected: true,
+    error: null,
+    connect: vi.fn(),
+    disconnect: vi.fn(),
+    switchNetwork: vi.fn(),
+    provider: { getSigner: vi.fn() },
+  }),
+}));
+
+const mockCreateList = vi.fn();
+const mockSetListMember = vi.fn();
+vi.mock('../../services/blockchain', () => ({
+  blockchainService: {
+    createList: (...args: any[]) => mockCreateList(...args),
+    setListMember: (...args: any[]) => mockSetListMember(...args),
+  },
+}));
+
+const MEMBER = '0x2222222222222222222222222222222222222222';
+
+const makeList = (overrides: Partial<TaskList> = {}): TaskList => ({
+  chainId: 31337,
+  listId: '1',
+  name: 'Household',
+  owner: '0x1234567890123456789012345678901234567890',
+  members: [{ address: MEMBER, role: 'viewer' }],
+  role: 'owner',
+  blockchainCreatedAt: new Date().toISOString(),
+  ...overrides,
+});
+
+describe('SharedLists Component', () => {
+  const mockOnListsChanged = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockCreateList.mockResolvedValue({ listId: '2', transactionHash: '0xabc' });
+    mockSetListMember.mockResolvedValue({ transactionHash: '0xabc' });
+  });
+
+  it('shows an empty state', () => {
+    render(<SharedLists lists={[]} onListsChanged={mockOnListsChanged} />);
+
+    expect(screen.getByText(/no shared lists/i)).toBeInTheDocument();
+  });
+
+  it('only shows lists on the current network', () => {
+    render(
+      <SharedLists
+        lists={[makeList(), makeList({ chainId: 1, listId: '9', name: 'Mainnet list' })]}
+        onListsChanged={mockOnListsChanged}
+      />
+    );
+
+    expect(screen.getByText('Household')).toBeInTheDocument();
+    expect(screen.queryByText('Mainnet list')).not.toBeInTheDocument();
+  });
+
+  it('creates a list', async () => {
+    render(<SharedLists lists={[]} onListsChanged={mockOnListsChanged} />);
+
+    fireEvent.change(screen.getByLabelText('New list name'), { target: { value: '  Team  ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create list' }));
+
+    await waitFor(() => {
+      expect(mockCreateList).toHaveBeenCalledWith(expect.anything(), 31337, 'Team');
+    });
+    await waitFor(() => {
+      expect(screen.getByLabelText('New list name')).toHaveValue('');
+    });
+  });
+
+  it('adds a member with the chosen role', async () => {
+    const newMember = '0x3333333333333333333333333333333333333333';
+    render(<SharedLists lists={[makeList()]} onListsChanged={mockOnListsChanged} />);
+
+    fireEvent.change(screen.getByLabelText('Member address for Household'), { target: { value: newMember } });
+    fireEvent.change(screen.getByLabelText('Member role for Household'), { target: { value: 'editor' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add member' }));
+
+    await waitFor(() => {
+      expect(mockSetListMember).toHaveBeenCalledWith(expect.anything(), 31337, '1', newMember, 'editor');
+    });
+  });
+
+  it('rejects an invalid member address', async () => {
+    render(<SharedLists lists={[makeList()]} onListsChanged={mockOnListsChanged} />);
+
+    fireEvent.change(screen.getByLabelText('Member address for Household'), { target: { value: 'not-an-address' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add member' }));
+
+    expect(await screen.findByText(/valid address/i)).toBeInTheDocument();
+    expect(mockSetListMember).not.toHaveBeenCalled();
+  });
+
+  it('removes a member', async () => {
+    render(<SharedLists lists={[makeList()]} onListsChanged={mockOnListsChanged} />);
+
+    fireEvent.click(screen.getByRole('button', { name: `Remove ${MEMBER}` }));
+
+    await waitFor(() => {
+      expect(mockSetListMember).toHaveBeenCalledWith(expect.anything(), 31337, '1', MEMBER, 'none');
+    });
+  });
+
+  it('hides member management for non-owners', () => {
+    render(<SharedLists lists={[makeList({ role: 'editor' })]} onListsChanged={mockOnListsChanged} />);
+
+    expect(screen.queryByRole('button', { name: 'Add member' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: `Remove ${MEMBER}` })).not.toBeInTheDocument();
+  });
+
+  it('shows transaction errors', async () => {
+    mockCreateList.mockRejectedValue(new Error('user rejected'));
+    render(<SharedLists lists={[]} onListsChanged={mockOnListsChanged} />);
+
+    fireEvent.change(screen.getByLabelText('New list name'), { target: { value: 'Team' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Create list' }));
+
+    expect(await screen.findByText(/user rejected/i)).toBeInTheDocument();
+    expect(mockOnListsChanged).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,228 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import TaskHistory from '../../components/TaskHistory';
+import type { TaskEvent } from '../../types/todo';
+
+const mockGetTodoHistory = vi.fn();
+vi.mock('../../services/api', () => ({
+  apiService: {
+    getTodoHistory: (...args: any[]) => mockGetTodoHistory(...args),
+  },
+}));
+
+const makeEvent = (overrides: Partial<TaskEvent>): TaskEvent => ({
+  _id: 'e1',
+  chainId: 31337,
+  blockchainId: '5',
+  eventName: 'TaskCreated',
+  actor: '0x1234567890123456789012345678901234567890',
+  transactionHash: '0xtx',
+  blockNumber: 10,
+  blockHash: '0xblock',
+  logIndex: 0,
+  args: {},
+  occurredAt: '2026-01-01T12:00:00.000Z',
+  createdAt: '2026-01-01T12:00:00.000Z',
+  ...overrides,
+});
+
+describe('TaskHistory Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('loads history for the todo', async () => {
+    mockGetTodoHistory.mockResolvedValue({ success: true, data: [makeEvent({})] });
+
+    render(<TaskHistory todoId="abc" />);
+
+    expect(screen.getByText('Loading history...')).toBeInTheDocument();
+    expect(await screen.findByText('Created')).toBeInTheDocument();
+    expect(mockGetTodoHistory).toHaveBeenCalledWith('abc');
+    expect(screen.getByText('by 0x1234...7890')).toBeInTheDocument();
+    expect(screen.getByText('block 10')).toBeInTheDocument();
+  });
+
+  it('shows old and new descriptions for edits', async () => {
+    mockGetTodoHistory.mockResolvedValue({
+      success: true,
+      data: [
+        makeEvent({
+          _id: 'e2',
+          eventName: 'TaskUpdated',
+          args: { oldDescription: 'Buy milk', newDescription: 'Buy oat milk' },
+        }),
+      ],
+    });
+
+    render(<TaskHistory todoId="abc" />);
+
+    expect(await screen.findByText('Edited')).toBeInTheDocument();
+    expect(screen.getByText('Buy milk')).toHaveClass('line-through');
+    expect(screen.getByText('Buy oat milk')).toBeInTheDocument();
+  });
+
+  it('shows priority changes by level name', async () => {
+    mockGetTodoHistory.mockResolvedValue({
+      success: true,
+      data: [
+        makeEvent({
+          eventName: 'TaskPriorityChanged',
+          args: { oldPriority: '0', newPriority: '3' },
+        }),
+      ],
+    });
+
+    render(<TaskHistory todoId="abc" />);
+
+    expect(await screen.findByText('Priority changed')).toBeInTheDocument();
+    expect(screen.getByText('None')).toBeInTheDocument();
+    expect(screen.getByText('High')).toBeInTheDocument();
+  });
+
+  it('shows list moves', async () => {
+    mockGetTodoHistory.mockResolvedValue({
+      success: true,
+      data: [
+        makeEvent({
+          eventName: 'TaskListChanged',
+          args: { oldListId: '0', newListId: '7' },
+        }),
+      ],
+    });
+
+    render(<TaskHistory todoId="abc" />);
+
+    expect(await screen.findByText('List changed')).toBeInTheDocument();
+    expect(screen.getByText('Personal')).toBeInTheDocument();
+    expect(screen.getByText('List #7')).toBeInTheDocument();
+  });
+
+  it('shows the parent of a subtask', async () => {
+    mockGetTodoHistory.mockResolvedValue({
+      success: true,
+      data: [makeEvent({ eventName: 'SubtaskCreated', args: { parentId: '3' } })],
+    });
+
+    render(<TaskHistory todoId="abc" />);
+
+    expect(await screen.findByText('Created as subtask')).toBeInTheDocument();
+    expect(screen.getByText('Subtask of #3')).toBeInTheDocument();
+  });
+
+  it('shows recurrence changes and the next occurrence', async () => {
+    mockGetTodoHistory.mockResolvedValue({
+      success: true,
+      data: [
+        makeEvent({ _id: 'e5', eventName: 'TaskRecurrenceChanged', args: { recurrence: '4', interval: '172800' } }),
+        makeEvent({ _id: 'e6', eventName: 'TaskRecurred', args: { nextTaskId: '8', seriesId: '1' } }),
+      ],
+    });
+
+    render(<TaskHistory todoId="abc" />);
+
+    expect(await screen.findByText('Repeat changed')).toBeInTheDocument();
+    expect(screen.getByText('Repeats every 2 days')).toBeInTheDocument();
+    expect(screen.getByText('Next occurrence created')).toBeInTheDocument();
+    expect(screen.getByText('Continues as #8')).toBeInTheDocument();
+  });
+
+  it('shows the new dependencies of a dependency change', async () => {
+    mockGetTodoHistory.mockResolvedValue({
+      success: true,
+      data: [
+        makeEvent({ _id: 'e7', eventName: 'TaskDependenciesChanged', args: { dependencies: ['2', '5'] } }),
+        makeEvent({ _id: 'e8', eventName: 'TaskDependenciesChanged', args: { dependencies: [] } }),
+      ],
+    });
+
+    render(<TaskHistory todoId="abc" />);
+
+    expect(await screen.findAllByText('Dependencies changed')).toHaveLength(2);
+    expect(screen.getByText('Waits on #2, #5')).toBeInTheDocument();
+    expect(screen.getByText('No dependencies')).toBeInTheDocument();
+  });
+
+  it('shows assignments, bounty changes and payouts', async () => {
+    mockGetTodoHistory.mockResolvedValue({
+      success: true,
+      data: [
+        makeEvent({ _id: 'e9', eventName: 'TaskAssigned', args: { assignee: '0x2222222222222222222222222222222222222222' } }),
+        makeEvent({ _id: 'e10', eventName: 'TaskBountyChanged', args: { bounty: '50000000000000000' } }),
+        makeEvent({ _id: 'e11', eventName: 'TaskBountyChanged', args: { bounty: '0' } }),
+        makeEvent({
+          _id: 'e12',
+          eventName: 'TaskBountyReleased',
+          args: { assignee: '0x2222222222222222222222222222222222222222', amount: '50000000000000000' },
+        }),
+      ],
+    });
+
+    render(<TaskHistory todoId="abc" />);
+
+    expect(await screen.findByText('Assigned')).toBeInTheDocument();
+    expect(screen.getByText('To 0x2222...2222')).toBeInTheDocument();
+    expect(screen.getByText('0.05 ETH')).toBeInTheDocument();
+    expect(screen.getByText('Refunded to the owner')).toBeInTheDocument();
+    expect(screen.getByText('Bounty paid out')).toBeInTheDocument();
+    expect(screen.getByText('0.05 ETH to 0x2222...2222')).toBeInTheDocument();
+  });
+
+  it('shows assignment proposals and rejections', async () => {
+    mockGetTodoHistory.mockResolvedValue({
+      success: true,
+      data: [
+        makeEvent({
+          _id: 'e13',
+          eventName: 'TaskAssignmentProposed',
+          args: { assignee: '0x2222222222222222222222222222222222222222' },
+        }),
+        makeEvent({
+          _id: 'e14',
+          eventName: 'TaskAssignmentRejected',
+          args: { assignee: '0x3333333333333333333333333333333333333333' },
+        }),
+      ],
+    });
+
+    render(<TaskHistory todoId="abc" />);
+
+    expect(await screen.findByText('Assignment proposed')).toBeInTheDocument();
+    expect(screen.getByText('To 0x2222...2222')).toBeInTheDocument();
+    expect(screen.getByText('Assignment rejected')).toBeInTheDocument();
+    expect(screen.getByText('By 0x3333...3333')).toBeInTheDocument();
+  });
+
+  it('shows the new tags of a tag change', async () => {
+    const tag = '0x' + 'ab'.repeat(32);
+    mockGetTodoHistory.mockResolvedValue({
+      success: true,
+      data: [
+        makeEvent({ _id: 'e3', eventName: 'TaskTagged', args: { tags: [tag] } }),
+        makeEvent({ _id: 'e4', eventName: 'TaskTagged', args: { tags: [] } }),
+      ],
+    });
+
+    render(<TaskHistory todoId="abc" />);
+
+    expect(await screen.findAllByText('Tags changed')).toHaveLength(2);
+    expect(screen.getByText('#ababab')).toBeInTheDocument();
+    expect(screen.getByText('No tags')).toBeInTheDocument();
+  });
+
+  it('shows an empty state', async () => {
+    mockGetTodoHistory.mockResolvedValue({ success: true, data: [] });
+
+    render(<TaskHistory todoId="abc" />);
+
+    expect(await screen.findByText('No history recorded yet')).toBeInTheDocument();
+  });
+
+  it('shows an error when loading fails', async () => {
+    mockGetTodoHistory.mockRejectedValue(new Error('Network Error'));
+
+    render(<TaskHistory todoId="abc" />);
+
+    expect(await screen.findByText('Network Error')).toBeInTheDocument();
+  });
+});
@@ -1,9 +1,12 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import TodoItem from '../../components/TodoItem';
-import type { Todo } from '../../types/todo';
+import type { Todo, TodoTree, TaskList } from '../../types/todo';
+import { id } from 'ethers';
 
 // Mock useWeb3 hook
+let mockDescriptionKey: CryptoKey | null = null;
+const mockUnlockDescriptions = vi.fn();
 vi.mock('../../contexts/Web3Context', () => ({
   useWeb3: () => ({
     address: '0x1234567890123456789012345678901234567890',
@@ -15,6 +18,8 @@ vi.mock('../../contexts/Web3Context', () => ({
     disconnect: vi.fn(),
     switchNetwork: vi.fn(),
     provider: { getSigner: vi.fn() },
+    descriptionKey: mockDescriptionKey,
+    unlockDescriptions: mockUnlockDescriptions,
   }),
   Web3Provider: ({ children }: any) => children,
 }));
@@ -22,13 +27,53 @@ vi.mock('../../contexts/Web3Context', () => ({
 // Mock blockchain service
 const mockCompleteTask = vi.fn();
 const mockDeleteTask = vi.fn();
+const mockSetTaskPriority = vi.fn();
+const mockSetTaskTags = vi.fn();
+const mockMoveTaskToList = vi.fn();
+const mockCreateSubtask = vi.fn();
+const mockSetTaskDependencies = vi.fn();
+const mockFundBounty = vi.fn();
+const mockCancelBounty = vi.fn();
+const mockAssignTask = vi.fn();
+const mockAcceptAssignment = vi.fn();
+const mockRejectAssignment = vi.fn();
+const mockUpdateTask = vi.fn();
 vi.mock('../../services/blockchain', () => ({
   blockchainService: {
     completeTask: (...args: any[]) => mockCompleteTask(...args),
     deleteTask: (...args: any[]) => mockDeleteTask(...args),
+    setTaskPriority: (...args: any[]) => mockSetTaskPriority(...args),
+    setTaskTags: (...args: any[]) => mockSetTaskTags(...args),
+    moveTaskToList: (...args: any[]) => mockMoveTaskToList(...args),
+    createSubtask: (...args: any[]) => mockCreateSubtask(...args),
+    setTaskDependencies: (...args: any[]) => mockSetTaskDependencies(...args),
+    fundBounty: (...args: any[]) => mockFundBounty(...args),
+    cancelBounty: (...args: any[]) => mockCancelBounty(...args),
+    assignTask: (...args: any[]) => mockAssignTask(...args),
+    acceptAssignment: (...args: any[]) => mockAcceptAssignment(...args),
+    rejectAssignment: (...args: any[]) => mockRejectAssignment(...args),
+    updateTask: (...args: any[]) => mockUpdateTask(...args),
   },
 }));
 
+const mockGetTodoTree = vi.fn();
+const mockGetTodoDependencies = vi.fn();
+vi.mock('../../services/api', () => ({
+  apiService: {
+    getTodoTree: (...args: any[]) => mockGetTodoTree(...args),
+    getTodoDependencies: (...args: any[]) => mockGetTodoDependencies(...args),
+  },
+}));
+
+const mockResolveDescription = vi.fn();
+const mockUploadAttachment = vi.fn();
+vi.mock('../../services/ipfs', () => ({
+  resolveDescription: (...args: any[]) => mockResolveDescription(...args),
+  uploadAttachment: (...args: any[]) => mockUploadAttachment(...args),
+  isIpfsCid: (value: string) => value.startsWith('ipfs://'),
+  gatewayUrl: (cid: string) => `https://gateway.test/ipfs/${cid}`,
+}));
+
 // Mock patterns and other components
 vi.mock('../../components/patterns', () => ({
   HexagonPattern: () => <div data-testid="hexagon-pattern" />,
@@ -44,6 +89,10 @@ vi.mock('../../components/CopyButton', () => ({
   default: () => <button>Copy</button>,
 }));
 
+vi.mock('../../components/TaskHistory', () => ({
+  default: ({ todoId }: any) => <div data-testid="task-history">{todoId}</div>,
+}));
+
 vi.mock('../../hooks/useNetworkTheme', () => ({
   useNetworkTheme: () => ({
     primaryColor: '#667eea',
@@ -73,6 +122,19 @@ describe('TodoItem Component', () => {
     blockchainCreatedAt: new Date().toISOString(),
     blockchainCompletedAt: null,
     dueDate: null,
+    priority: 0,
+    tags: [],
+    listId: null,
+    parentId: null,
+    recurrence: 'none',
+    recurrenceInterval: 0,
+    seriesId: null,
+    nextOccurrenceId: null,
+    dependencies: [],
+    bounty: '0',
+    assignee: null,
+    pendingAssignee: null,
+    bountyReleased: '0',
     syncStatus: 'synced',
     lastSyncedAt: new Date().toISOString(),
     deleted: false,
@@ -88,15 +150,29 @@ describe('TodoItem Component', () => {
     vi.clearAllMocks();
     mockCompleteTask.mockResolvedValue({ transactionHash: '0xdef456' });
     mockDeleteTask.mockResolvedValue({ transactionHash: '0xdef456' });
+    mockSetTaskPriority.mockResolvedValue({ transactionHash: '0xdef456' });
+    mockSetTaskTags.mockResolvedValue({ transactionHash: '0xdef456' });
+    mockMoveTaskToList.mockResolvedValue({ transactionHash: '0xdef456' });
+    mockCreateSubtask.mockResolvedValue({ taskId: '124', transactionHash: '0xdef456' });
+    mockSetTaskDependencies.mockResolvedValue({ transactionHash: '0xdef456' });
+    mockFundBounty.mockResolvedValue({ transactionHash: '0xdef456' });
+    mockCancelBounty.mockResolvedValue({ transactionHash: '0xdef456' });
+    mockAssignTask.mockResolvedValue({ transactionHash: '0xdef456' });
+    mockAcceptAssignment.mockResolvedValue({ transactionHash: '0xdef456' });
+    mockRejectAssignment.mockResolvedValue({ transactionHash: '0xdef456' });
+    mockUpdateTask.mockResolvedValue({ transactionHash: '0xdef456' });
+    mockGetTodoDependencies.mockResolvedValue({ success: true, data: { dependencies: [], dependents: [] } });
+    mockDescriptionKey = null;
   });
 
-  const renderTodoItem = (todo: Todo = mockTodo) => {
+  const renderTodoItem = (todo: Todo = mockTodo, lists: TaskList[] = []) => {
     return render(
       <TodoItem
         todo={todo}
         onTodoUpdated={mockOnTodoUpdated}
         onOptimisticUpdate={mockOnOptimisticUpdate}
         onOptimisticRevert={mockOnOptimisticRevert}
+        lists={lists}
       />
     );
   };
@@ -287,6 +363,17 @@ describe('TodoItem Component', () => {
     expect(txLink).toHaveAttribute('href', expect.stringContaining('0xabc123'));
   });
 
+  it('toggles the task history panel', () => {
+    renderTodoItem();
+    expect(screen.queryByTestId('task-history')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTitle('Show task history'));
+    expect(screen.getByTestId('task-history')).toHaveTextContent('1');
+
+    fireEvent.click(screen.getByTitle('Show task history'));
+    expect(screen.queryByTestId('task-history')).not.toBeInTheDocument();
+  });
+
   it('prevents duplicate complete actions', async () => {
     renderTodoItem();
 
@@ -299,4 +386,687 @@ describe('TodoItem Component', () => {
       expect(mockCompleteTask).toHaveBeenCalledTimes(1);
     });
   });
+
+  describe('priority and tags', () => {
+    const WORK = id('work');
+    const HOME = id('home');
+
+    it('changes the priority on-chain', async () => {
+      renderTodoItem();
+
+      fireEvent.change(screen.getByRole('combobox', { name: /task priority/i }), { target: { value: '2' } });
+
+      await waitFor(() => {
+        expect(mockSetTaskPriority).toHaveBeenCalledWith(expect.anything(), 1, '123', 2);
+      });
+      expect(mockOnOptimisticUpdate).toHaveBeenCalledWith('1', expect.objectContaining({ priority: 2 }));
+    });
+
+    it('shows a read-only priority badge on completed tasks', () => {
+      renderTodoItem({ ...mockTodo, completed: true, priority: 3 });
+
+      expect(screen.queryByRole('combobox', { name: /task priority/i })).not.toBeInTheDocument();
+      expect(screen.getByText('High priority')).toBeInTheDocument();
+    });
+
+    it('shows how a recurring task repeats', () => {
+      renderTodoItem({ ...mockTodo, recurrence: 'weekly', seriesId: '1', nextOccurrenceId: '4' });
+
+      expect(screen.getByText('Repeats weekly')).toHaveAttribute('title', 'Next occurrence: #4');
+    });
+
+    it('shows no repeat badge for one-off tasks', () => {
+      renderTodoItem();
+
+      expect(screen.queryByText(/^Repeats/)).not.toBeInTheDocument();
+    });
+
+    it('shows unknown tags by a short hash', () => {
+      renderTodoItem({ ...mockTodo, tags: [WORK] });
+
+      expect(screen.getByText(`#${WORK.slice(2, 8)}`)).toBeInTheDocument();
+    });
+
+    it('adds a tag by its hash', async () => {
+      renderTodoItem({ ...mockTodo, tags: [HOME] });
+
+      const input = screen.getByRole('textbox', { name: /add tag/i });
+      fireEvent.change(input, { target: { value: ' Work ' } });
+      fireEvent.keyDown(input, { key: 'Enter' });
+
+      await waitFor(() => {
+        expect(mockSetTaskTags).toHaveBeenCalledWith(expect.anything(), 1, '123', [HOME, WORK]);
+      });
+      expect(localStorage.setItem).toHaveBeenCalledWith('tagNames', expect.stringContaining('"work"'));
+    });
+
+    it('removes a tag', async () => {
+      renderTodoItem({ ...mockTodo, tags: [HOME, WORK] });
+
+      fireEvent.click(screen.getByRole('button', { name: `Remove tag #${HOME.slice(2, 8)}` }));
+
+      await waitFor(() => {
+        expect(mockSetTaskTags).toHaveBeenCalledWith(expect.anything(), 1, '123', [WORK]);
+      });
+    });
+
+    it('reverts the change when the transaction fails', async () => {
+      mockSetTaskTags.mockRejectedValue(new Error('Tags failed'));
+      renderTodoItem({ ...mockTodo, tags: [WORK] });
+
+      fireEvent.click(screen.getByRole('button', { name: /remove tag/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Tags failed')).toBeInTheDocument();
+      });
+      expect(mockOnOptimisticRevert).toHaveBeenCalledWith('1');
+    });
+  });
+
+  describe('shared lists', () => {
+    const OWNER = '0x1234567890123456789012345678901234567890';
+    const makeList = (overrides: Partial<TaskList> = {}): TaskList => ({
+      chainId: 1,
+      listId: '5',
+      name: 'Household',
+      owner: '0x9999999999999999999999999999999999999999',
+      members: [],
+      role: 'editor',
+      blockchainCreatedAt: new Date().toISOString(),
+      ...overrides,
+    });
+
+    it('shows the list name and keeps editing for editors', () => {
+      renderTodoItem({ ...mockTodo, listId: '5' }, [makeList()]);
+
+      expect(screen.getByText('Household')).toBeInTheDocument();
+      expect(getDeleteButton()).toBeInTheDocument();
+      expect(screen.getByLabelText('Task priority')).toBeInTheDocument();
+    });
+
+    it('makes tasks read-only for viewers', () => {
+      renderTodoItem({ ...mockTodo, listId: '5', tags: [id('work')] }, [makeList({ role: 'viewer' })]);
+
+      expect(screen.getByText(/Household \(view only\)/)).toBeInTheDocument();
+      expect(screen.queryByTitle('Delete task')).not.toBeInTheDocument();
+      expect(screen.queryByTitle('Edit task')).not.toBeInTheDocument();
+      expect(screen.queryByLabelText('Task priority')).not.toBeInTheDocument();
+      expect(screen.queryByLabelText('Add tag')).not.toBeInTheDocument();
+      expect(screen.getByRole('checkbox')).toBeDisabled();
+    });
+
+    it('lets the task owner move the task into a list', async () => {
+      vi.useFakeTimers();
+      renderTodoItem({ ...mockTodo, owner: OWNER }, [makeList()]);
+
+      fireEvent.change(screen.getByLabelText('Task list'), { target: { value: '5' } });
+
+      await vi.runAllTimersAsync();
+      expect(mockMoveTaskToList).toHaveBeenCalledWith(expect.anything(), 1, '123', '5');
+      expect(mockOnTodoUpdated).toHaveBeenCalled();
+      vi.useRealTimers();
+    });
+
+    it('moves the task back out with list 0', async () => {
+      renderTodoItem({ ...mockTodo, owner: OWNER, listId: '5' }, [makeList()]);
+
+      fireEvent.change(screen.getByLabelText('Task list'), { target: { value: '' } });
+
+      await waitFor(() => {
+        expect(mockMoveTaskToList).toHaveBeenCalledWith(expect.anything(), 1, '123', '0');
+      });
+    });
+  });
+
+  describe('subtasks', () => {
+    const makeTree = (overrides: Partial<TodoTree> = {}): TodoTree => ({
+      ...mockTodo,
+      subtasks: [],
+      ...overrides,
+    });
+
+    const tree = makeTree({
+      subtasks: [
+        makeTree({
+          _id: '2',
+          blockchainId: '124',
+          parentId: '123',
+          description: 'Milk',
+          completed: true,
+          subtasks: [makeTree({ _id: '4', blockchainId: '126', parentId: '124', description: 'Oat milk' })],
+        }),
+        makeTree({ _id: '3', blockchainId: '125', parentId: '123', description: 'Bread' }),
+      ],
+    });
+
+    beforeEach(() => {
+      mockGetTodoTree.mockResolvedValue({ success: true, data: tree });
+    });
+
+    it('shows the roll-up completion percentage', () => {
+      renderTodoItem({ ...mockTodo, subtasks: { total: 3, completed: 1 } });
+
+      expect(screen.getByText(/1\/3 subtasks · 33%/)).toBeInTheDocument();
+      expect(screen.getByRole('progressbar', { name: /subtasks completed/i })).toHaveAttribute('aria-valuenow', '33');
+    });
+
+    it('leaves out the roll-up for tasks without subtasks', () => {
+      renderTodoItem({ ...mockTodo, subtasks: { total: 0, completed: 0 } });
+
+      expect(screen.queryByRole('progressbar')).not.toBeInTheDocument();
+    });
+
+    it('loads and nests subtasks when expanded', async () => {
+      renderTodoItem({ ...mockTodo, subtasks: { total: 3, completed: 1 } });
+
+      fireEvent.click(screen.getAllByTitle('Show subtasks')[0]);
+
+      expect(await screen.findByText('Milk')).toBeInTheDocument();
+      expect(screen.getByText('Bread')).toBeInTheDocument();
+      expect(mockGetTodoTree).toHaveBeenCalledWith('1');
+      // Each subtask has its own roll-up, taken from the tree
+      expect(screen.getByText(/0\/1 subtasks · 0%/)).toBeInTheDocument();
+      expect(screen.queryByText('Oat milk')).not.toBeInTheDocument();
+    });
+
+    it('adds a subtask under the task', async () => {
+      vi.useFakeTimers();
+      renderTodoItem();
+
+      fireEvent.click(screen.getByTitle('Show subtasks'));
+      fireEvent.change(screen.getByLabelText('New subtask'), { target: { value: '  Eggs ' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Add subtask' }));
+
+      await vi.runAllTimersAsync();
+      expect(mockCreateSubtask).toHaveBeenCalledWith(expect.anything(), 1, '123', 'Eggs');
+      expect(mockOnTodoUpdated).toHaveBeenCalled();
+      expect(mockGetTodoTree).toHaveBeenCalledTimes(2);
+      vi.useRealTimers();
+    });
+
+    it('does not offer subtasks below the maximum depth', () => {
+      render(<TodoItem todo={mockTodo} onTodoUpdated={mockOnTodoUpdated} depth={3} />);
+
+      expect(screen.queryByTitle('Show subtasks')).not.toBeInTheDocument();
+    });
+
+    it('does not let viewers add subtasks', async () => {
+      renderTodoItem({ ...mockTodo, listId: '5', subtasks: { total: 3, completed: 1 } }, [
+        {
+          chainId: 1,
+          listId: '5',
+          name: 'Household',
+          owner: '0x9999999999999999999999999999999999999999',
+          members: [],
+          role: 'viewer',
+          blockchainCreatedAt: new Date().toISOString(),
+        },
+      ]);
+
+      fireEvent.click(screen.getAllByTitle('Show subtasks')[0]);
+
+      expect(await screen.findByText('Milk')).toBeInTheDocument();
+      expect(screen.queryByLabelText('New subtask')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('dependencies', () => {
+    const task = (blockchainId: string, description: string, overrides: Partial<Todo> = {}): Todo => ({
+      ...mockTodo,
+      _id: `todo-${blockchainId}`,
+      blockchainId,
+      description,
+      ...overrides,
+    });
+
+    const renderWithTasks = (todo: Todo, tasks: Todo[]) =>
+      render(
+        <TodoItem
+          todo={todo}
+          onTodoUpdated={mockOnTodoUpdated}
+          onOptimisticUpdate={mockOnOptimisticUpdate}
+          onOptimisticRevert={mockOnOptimisticRevert}
+          tasks={tasks}
+        />
+      );
+
+    it('shows a blocked task and keeps it from being completed', () => {
+      renderTodoItem({ ...mockTodo, dependencies: ['7', '8'], blockedBy: ['7', '8'] });
+
+      expect(screen.getByText('Blocked by #7, #8')).toBeInTheDocument();
+      expect(screen.getByRole('checkbox')).toBeDisabled();
+      expect(screen.getByRole('checkbox')).toHaveAttribute('title', 'Complete its dependencies first');
+    });
+
+    it('can be completed once its dependencies are done', () => {
+      renderTodoItem({ ...mockTodo, dependencies: ['7'], blockedBy: [] });
+
+      expect(screen.queryByText(/Blocked by/)).not.toBeInTheDocument();
+      expect(screen.getByRole('checkbox')).not.toBeDisabled();
+    });
+
+    it('lists what the task waits on and what it blocks', async () => {
+      mockGetTodoDependencies.mockResolvedValue({
+        success: true,
+        data: {
+          dependencies: [task('7', 'Book venue')],
+          dependents: [task('9', 'Send invites')],
+        },
+      });
+      renderTodoItem({ ...mockTodo, dependencies: ['7'], blockedBy: ['7'] });
+
+      fireEvent.click(screen.getByTitle('Show dependencies'));
+
+      expect(await screen.findByText('#9 Send invites')).toBeInTheDocument();
+      expect(screen.getByText('#7 Book venue')).toBeInTheDocument();
+      expect(mockGetTodoDependencies).toHaveBeenCalledWith('1');
+    });
+
+    it('offers other open tasks on the page as dependencies', async () => {
+      const todo = { ...mockTodo, dependencies: ['7'], blockedBy: ['7'] };
+      renderWithTasks(todo, [
+        todo,
+        task('7', 'Book venue'),
+        task('8', 'Pick date'),
+        task('10', 'Old task', { completed: true }),
+      ]);
+
+      fireEvent.click(screen.getByTitle('Show dependencies'));
+      const picker = screen.getByRole('combobox', { name: /add dependency/i });
+      expect(Array.from((picker as HTMLSelectElement).options).map(o => o.value)).toEqual(['', '8']);
+
+      fireEvent.change(picker, { target: { value: '8' } });
+
+      await waitFor(() => {
+        expect(mockSetTaskDependencies).toHaveBeenCalledWith(expect.anything(), 1, '123', ['7', '8']);
+      });
+      expect(mockOnOptimisticUpdate).toHaveBeenCalledWith(
+        '1',
+        expect.objectContaining({ dependencies: ['7', '8'], blockedBy: ['7', '8'] })
+      );
+    });
+
+    it('removes a dependency', async () => {
+      renderWithTasks({ ...mockTodo, dependencies: ['7', '8'], blockedBy: ['8'] }, [
+        task('7', 'Book venue', { completed: true }),
+      ]);
+
+      fireEvent.click(screen.getByTitle('Show dependencies'));
+      fireEvent.click(screen.getByRole('button', { name: 'Remove dependency #8' }));
+
+      await waitFor(() => {
+        expect(mockSetTaskDependencies).toHaveBeenCalledWith(expect.anything(), 1, '123', ['7']);
+      });
+      expect(mockOnOptimisticUpdate).toHaveBeenCalledWith('1', expect.objectContaining({ blockedBy: [] }));
+    });
+
+    it('reverts the change when the transaction fails', async () => {
+      mockSetTaskDependencies.mockRejectedValue(new Error('Dependency cycle'));
+      renderTodoItem({ ...mockTodo, dependencies: ['7'], blockedBy: ['7'] });
+
+      fireEvent.click(screen.getByTitle('Show dependencies'));
+      fireEvent.click(screen.getByRole('button', { name: 'Remove dependency #7' }));
+
+      expect(await screen.findByText('Dependency cycle')).toBeInTheDocument();
+      expect(mockOnOptimisticRevert).toHaveBeenCalledWith('1');
+      expect(screen.getByText('Blocked by #7')).toBeInTheDocument();
+    });
+  });
+
+  describe('bounties', () => {
+    const OWNER = '0x1234567890123456789012345678901234567890';
+    const ASSIGNEE = '0x2222222222222222222222222222222222222222';
+    const ownTodo = { ...mockTodo, owner: OWNER };
+
+    it('shows the bounty and assignee', () => {
+      renderTodoItem({ ...mockTodo, bounty: '50000000000000000', assignee: ASSIGNEE });
+
+      expect(screen.getByText('0.05 ETH bounty')).toBeInTheDocument();
+      expect(screen.getByText('Assigned to 0x2222...2222')).toBeInTheDocument();
+    });
+
+    it('shows who a completed task paid out to', () => {
+      renderTodoItem({
+        ...mockTodo,
+        completed: true,
+        blockchainCompletedAt: new Date().toISOString(),
+        assignee: ASSIGNEE,
+        bountyReleased: '50000000000000000',
+      });
+
+      expect(screen.getByText('Paid 0.05 ETH to 0x2222...2222')).toBeInTheDocument();
+    });
+
+    it('only lets the owner complete a task with a bounty', () => {
+      renderTodoItem({ ...mockTodo, bounty: '1' });
+
+      expect(screen.getByRole('checkbox')).toBeDisabled();
+      expect(screen.getByRole('checkbox')).toHaveAttribute(
+        'title',
+        'Only the owner can complete a task with a bounty'
+      );
+      expect(screen.queryByTitle('Manage bounty')).not.toBeInTheDocument();
+    });
+
+    it('funds a bounty on top of the existing one', async () => {
+      renderTodoItem({ ...ownTodo, bounty: '50000000000000000' });
+
+      expect(screen.getByRole('checkbox')).not.toBeDisabled();
+      fireEvent.click(screen.getByTitle('Manage bounty'));
+      fireEvent.change(screen.getByLabelText('Bounty amount in ETH'), { target: { value: '0.05' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Fund bounty' }));
+
+      await waitFor(() => {
+        expect(mockFundBounty).toHaveBeenCalledWith(expect.anything(), 1, '123', '0.05');
+      });
+      expect(mockOnOptimisticUpdate).toHaveBeenCalledWith(
+        '1',
+        expect.objectContaining({ bounty: '100000000000000000' })
+      );
+    });
+
+    it('rejects an invalid bounty amount', () => {
+      renderTodoItem(ownTodo);
+
+      fireEvent.click(screen.getByTitle('Manage bounty'));
+      fireEvent.change(screen.getByLabelText('Bounty amount in ETH'), { target: { value: 'lots' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Fund bounty' }));
+
+      expect(screen.getByText('Please enter a bounty amount in ETH')).toBeInTheDocument();
+      expect(mockFundBounty).not.toHaveBeenCalled();
+    });
+
+    it('proposes the task to another address', async () => {
+      renderTodoItem(ownTodo);
+
+      fireEvent.click(screen.getByTitle('Manage bounty'));
+      fireEvent.change(screen.getByLabelText('Assignee address'), { target: { value: ASSIGNEE } });
+      fireEvent.click(screen.getByRole('button', { name: 'Assign' }));
+
+      await waitFor(() => {
+        expect(mockAssignTask).toHaveBeenCalledWith(expect.anything(), 1, '123', ASSIGNEE);
+      });
+      expect(mockOnOptimisticUpdate).toHaveBeenCalledWith('1', expect.objectContaining({ pendingAssignee: ASSIGNEE }));
+      expect(screen.getByText('Awaiting 0x2222...2222 to accept')).toBeInTheDocument();
+    });
+
+    it('validates the assignee', () => {
+      renderTodoItem(ownTodo);
+      fireEvent.click(screen.getByTitle('Manage bounty'));
+
+      fireEvent.change(screen.getByLabelText('Assignee address'), { target: { value: 'not-an-address' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Assign' }));
+      expect(screen.getByText('Please enter a valid address')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByLabelText('Assignee address'), { target: { value: OWNER } });
+      fireEvent.click(screen.getByRole('button', { name: 'Assign' }));
+      expect(screen.getByText('A task cannot be assigned to its owner')).toBeInTheDocument();
+      expect(mockAssignTask).not.toHaveBeenCalled();
+    });
+
+    it('unassigns the task and cancels the bounty', async () => {
+      renderTodoItem({ ...ownTodo, bounty: '1', assignee: ASSIGNEE });
+      fireEvent.click(screen.getByTitle('Manage bounty'));
+
+      fireEvent.click(screen.getByRole('button', { name: 'Unassign' }));
+      await waitFor(() => {
+        expect(mockAssignTask).toHaveBeenCalledWith(expect.anything(), 1, '123', null);
+      });
+      expect(mockOnOptimisticUpdate).toHaveBeenCalledWith(
+        '1',
+        expect.objectContaining({ assignee: null, pendingAssignee: null })
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: 'Cancel bounty' }));
+      await waitFor(() => {
+        expect(mockCancelBounty).toHaveBeenCalledWith(expect.anything(), 1, '123');
+      });
+    });
+  });
+
+  describe('assignments', () => {
+    const ME = '0x1234567890123456789012345678901234567890';
+    const OTHER = '0x3333333333333333333333333333333333333333';
+    const theirTodo = { ...mockTodo, owner: OTHER };
+
+    it('lets a proposed assignee accept the task', async () => {
+      renderTodoItem({ ...theirTodo, pendingAssignee: ME });
+
+      expect(screen.getByText('0x3333...3333 asked you to take this task')).toBeInTheDocument();
+      expect(screen.getByRole('checkbox')).toBeDisabled();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Accept' }));
+
+      await waitFor(() => {
+        expect(mockAcceptAssignment).toHaveBeenCalledWith(expect.anything(), 1, '123');
+      });
+      expect(mockOnOptimisticUpdate).toHaveBeenCalledWith(
+        '1',
+        expect.objectContaining({ assignee: ME, pendingAssignee: null })
+      );
+      expect(screen.getByText('Assigned to you')).toBeInTheDocument();
+    });
+
+    it('lets a proposed assignee reject the task', async () => {
+      renderTodoItem({ ...theirTodo, pendingAssignee: ME });
+
+      fireEvent.click(screen.getByRole('button', { name: 'Reject' }));
+
+      await waitFor(() => {
+        expect(mockRejectAssignment).toHaveBeenCalledWith(expect.anything(), 1, '123');
+      });
+      expect(mockOnOptimisticUpdate).toHaveBeenCalledWith('1', expect.objectContaining({ pendingAssignee: null }));
+      expect(screen.queryByRole('button', { name: 'Accept' })).not.toBeInTheDocument();
+    });
+
+    it('lets the assignee complete but not change the task', async () => {
+      renderTodoItem({ ...theirTodo, assignee: ME });
+
+      expect(screen.queryByTitle('Delete task')).not.toBeInTheDocument();
+      expect(screen.queryByTitle('Edit task')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('checkbox'));
+
+      await waitFor(() => {
+        expect(mockCompleteTask).toHaveBeenCalledWith(expect.anything(), 1, '123');
+      });
+    });
+  });
+
+  describe('encrypted descriptions', () => {
+    const encryptedTodo: Todo = {
+      ...mockTodo,
+      owner: '0x1234567890123456789012345678901234567890',
+      description: 'ipfs://QmSecret',
+      encrypted: true,
+    };
+
+    it('hides the ciphertext reference until the owner unlocks it', () => {
+      renderTodoItem(encryptedTodo);
+
+      expect(screen.getByText('Encrypted description')).toBeInTheDocument();
+      expect(screen.queryByText('ipfs://QmSecret')).not.toBeInTheDocument();
+      expect(screen.queryByTitle('Edit task')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+      expect(mockUnlockDescriptions).toHaveBeenCalled();
+    });
+
+    it('decrypts the description with the unlocked key', async () => {
+      const key = {} as CryptoKey;
+      mockDescriptionKey = key;
+      mockResolveDescription.mockResolvedValue('Secret plan');
+
+      renderTodoItem(encryptedTodo);
+
+      expect(await screen.findByText('Secret plan')).toBeInTheDocument();
+      expect(mockResolveDescription).toHaveBeenCalledWith('ipfs://QmSecret', key);
+      expect(screen.queryByRole('button', { name: 'Unlock' })).not.toBeInTheDocument();
+    });
+
+    it('does not offer to unlock descriptions of other accounts', () => {
+      renderTodoItem({ ...encryptedTodo, owner: '0x9999999999999999999999999999999999999999' });
+
+      expect(screen.getByText('Encrypted description')).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Unlock' })).not.toBeInTheDocument();
+      expect(mockResolveDescription).not.toHaveBeenCalled();
+    });
+
+    it('encrypts subtasks of an encrypted task', async () => {
+      vi.useFakeTimers();
+      const key = {} as CryptoKey;
+      mockUnlockDescriptions.mockResolvedValue(key);
+      mockGetTodoTree.mockResolvedValue({ success: true, data: { ...encryptedTodo, subtasks: [] } });
+      renderTodoItem(encryptedTodo);
+
+      fireEvent.click(screen.getByTitle('Show subtasks'));
+      fireEvent.change(screen.getByLabelText('New subtask'), { target: { value: 'Step one' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Add subtask' }));
+
+      await vi.runAllTimersAsync();
+      expect(mockCreateSubtask).toHaveBeenCalledWith(expect.anything(), 1, '123', 'Step one', null, key);
+      vi.useRealTimers();
+    });
+  });
+
+  describe('markdown descriptions', () => {
+    const markdownTodo: Todo = {
+      ...mockTodo,
+      description: '**Groceries**\n\n- [ ] Milk\n- [x] [Bread](https://example.com/bread)\n- [x] [Eggs](javascript:void0)',
+      contentType: 'text/markdown',
+    };
+
+    it('renders checklists and safe links', () => {
+      renderTodoItem(markdownTodo);
+
+      expect(screen.getByText('Groceries').tagName).toBe('STRONG');
+      expect(screen.getByText('Milk')).toBeInTheDocument();
+      expect(screen.getByRole('link', { name: 'Bread' })).toHaveAttribute('href', 'https://example.com/bread');
+      expect(screen.queryByRole('link', { name: 'Eggs' })).not.toBeInTheDocument();
+      expect(screen.getByText('Eggs')).toBeInTheDocument();
+    });
+
+    it('shows plain text descriptions as written', () => {
+      renderTodoItem({ ...mockTodo, description: '**Buy** groceries' });
+
+      expect(screen.getByText('**Buy** groceries')).toBeInTheDocument();
+    });
+
+    it('previews Markdown while editing and saves it with Ctrl+Enter', async () => {
+      renderTodoItem();
+
+      fireEvent.click(screen.getByTitle('Edit task'));
+      fireEvent.click(screen.getByLabelText(/Markdown/));
+      const input = screen.getByPlaceholderText('Enter task description...');
+      fireEvent.change(input, { target: { value: '- [ ] Milk' } });
+
+      expect(screen.getByTestId('edit-preview')).toHaveTextContent('Milk');
+      fireEvent.keyDown(input, { key: 'Enter' });
+      expect(mockUpdateTask).not.toHaveBeenCalled();
+
+      fireEvent.keyDown(input, { key: 'Enter', ctrlKey: true });
+
+      await waitFor(() => {
+        expect(mockUpdateTask).toHaveBeenCalledWith(expect.anything(), 1, '123', '- [ ] Milk', null, [], 'text/markdown');
+      });
+      expect(mockOnOptimisticUpdate).toHaveBeenCalledWith('1', {
+        description: '- [ ] Milk',
+        contentType: 'text/markdown',
+        syncStatus: 'pending',
+      });
+    });
+
+    it('saves a change of format alone', async () => {
+      renderTodoItem(markdownTodo);
+
+      fireEvent.click(screen.getByTitle('Edit task'));
+      fireEvent.click(screen.getByLabelText(/Markdown/));
+      fireEvent.click(screen.getByTitle('Save changes'));
+
+      await waitFor(() => {
+        expect(mockUpdateTask).toHaveBeenCalledWith(
+          expect.anything(),
+          1,
+          '123',
+          markdownTodo.description,
+          null,
+          [],
+          'text/plain'
+        );
+      });
+    });
+  });
+
+  describe('attachments', () => {
+    const image = { type: 'image' as const, name: 'photo.png', mimeType: 'image/png', size: 2048, cid: 'bafkphoto' };
+    const pdf = { type: 'file' as const, name: 'spec.pdf', mimeType: 'application/pdf', size: 512, cid: 'bafkspec' };
+    const link = { type: 'link' as const, name: null, url: 'https://example.com/board' };
+    const withAttachments = { ...mockTodo, attachments: [image, pdf, link] };
+
+    it('shows image thumbnails, files and links', () => {
+      renderTodoItem(withAttachments);
+
+      expect(screen.getByRole('img', { name: 'photo.png' })).toHaveAttribute('src', 'https://gateway.test/ipfs/bafkphoto');
+      expect(screen.getByRole('link', { name: 'spec.pdf' })).toHaveAttribute('href', 'https://gateway.test/ipfs/bafkspec');
+      expect(screen.getByText('512 B')).toBeInTheDocument();
+      expect(screen.getByRole('link', { name: 'example.com' })).toHaveAttribute('href', 'https://example.com/board');
+    });
+
+    it('previews an image full size', () => {
+      renderTodoItem(withAttachments);
+
+      fireEvent.click(screen.getByTitle('photo.png'));
+
+      expect(screen.getByRole('dialog', { name: 'photo.png' })).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+      expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+    });
+
+    it('uploads files dropped on the task and keeps the description', async () => {
+      mockUploadAttachment.mockResolvedValue(image);
+      const { container } = renderTodoItem();
+      const file = new File(['png'], 'photo.png', { type: 'image/png' });
+
+      fireEvent.drop(container.firstChild as Element, { dataTransfer: { files: [file] } });
+
+      await waitFor(() => {
+        expect(mockUpdateTask).toHaveBeenCalledWith(expect.anything(), 1, '123', 'Buy groceries', null, [image], 'text/plain');
+      });
+      expect(mockUploadAttachment).toHaveBeenCalledWith(file);
+      expect(mockOnOptimisticUpdate).toHaveBeenCalledWith('1', { attachments: [image], syncStatus: 'pending' });
+    });
+
+    it('removes an attachment', async () => {
+      renderTodoItem(withAttachments);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Remove spec.pdf' }));
+
+      await waitFor(() => {
+        expect(mockUpdateTask).toHaveBeenCalledWith(expect.anything(), 1, '123', 'Buy groceries', null, [image, link], 'text/plain');
+      });
+    });
+
+    it('keeps attachments when the description is edited', async () => {
+      renderTodoItem(withAttachments);
+
+      fireEvent.click(screen.getByTitle('Edit task'));
+      fireEvent.change(screen.getByPlaceholderText('Enter task description...'), { target: { value: 'Buy bread' } });
+      fireEvent.click(screen.getByTitle('Save changes'));
+
+      await waitFor(() => {
+        expect(mockUpdateTask).toHaveBeenCalledWith(expect.anything(), 1, '123', 'Buy bread', null, [image, pdf, link], 'text/plain');
+      });
+    });
+
+    it('does not take attachments on completed tasks', () => {
+      const { container } = renderTodoItem({ ...withAttachments, completed: true });
+
+      fireEvent.drop(container.firstChild as Element, {
+        dataTransfer: { files: [new File(['png'], 'photo.png', { type: 'image/png' })] },
+      });
+
+      expect(mockUploadAttachment).not.toHaveBeenCalled();
+      expect(screen.queryByRole('button', { name: 'Remove spec.pdf' })).not.toBeInTheDocument();
+    });
+  });
 });
@@ -1,13 +1,16 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { render, screen, waitFor } from '@testing-library/react';
 import { userEvent } from '@testing-library/user-event';
 import TodoList from '../../components/TodoList';
 import * as Web3Context from '../../contexts/Web3Context';
 import * as apiService from '../../services/api';
+import { blockchainService } from '../../services/blockchain';
+import type { Todo, TodoPageQuery } from '../../types/todo';
 
 // Mock the dependencies
 vi.mock('../../contexts/Web3Context');
 vi.mock('../../services/api');
+vi.mock('../../services/blockchain');
 
 const mockTodos = [
   {
@@ -21,6 +24,19 @@ const mockTodos = [
     blockchainCreatedAt: new Date().toISOString(),
     blockchainCompletedAt: null,
     dueDate: null,
+    priority: 0,
+    tags: [],
+    listId: null,
+    parentId: null,
+    recurrence: 'none' as const,
+    recurrenceInterval: 0,
+    seriesId: null,
+    nextOccurrenceId: null,
+    dependencies: [],
+    bounty: '0',
+    assignee: null,
+    pendingAssignee: null,
+    bountyReleased: '0',
     syncStatus: 'synced' as const,
     lastSyncedAt: new Date().toISOString(),
     deleted: false,
@@ -38,6 +54,19 @@ const mockTodos = [
     blockchainCreatedAt: new Date().toISOString(),
     blockchainCompletedAt: new Date().toISOString(),
     dueDate: null,
+    priority: 0,
+    tags: [],
+    listId: null,
+    parentId: null,
+    recurrence: 'none' as const,
+    recurrenceInterval: 0,
+    seriesId: null,
+    nextOccurrenceId: null,
+    dependencies: [],
+    bounty: '0',
+    assignee: null,
+    pendingAssignee: null,
+    bountyReleased: '0',
     syncStatus: 'synced' as const,
     lastSyncedAt: new Date().toISOString(),
     deleted: false,
@@ -46,6 +75,36 @@ const mockTodos = [
   },
 ];
 
+// Serve pages the way the API does: filtered by status, offset by cursor
+const pageOf = (todos: Todo[], query: TodoPageQuery = {}) => {
+  const matching = todos.filter((todo) => {
+    if (query.status === 'active') return !todo.completed && !todo.deleted;
+    if (query.status === 'completed') return todo.completed && !todo.deleted;
+    return !todo.deleted;
+  });
+  const start = query.cursor ? Number(query.cursor) : 0;
+  const limit = query.limit ?? 20;
+  const data = matching.slice(start, start + limit);
+  const hasMore = start + limit < matching.length;
+
+  return {
+    success: true,
+    data,
+    count: data.length,
+    pageInfo: {
+      total: matching.length,
+      limit,
+      nextCursor: hasMore ? String(start + limit) : null,
+      hasMore,
+    },
+  };
+};
+
+const mockTodoPages = (todos: Todo[]) =>
+  vi.mocked(apiService.apiService.getTodoPage).mockImplementation(
+    async (_address, query) => pageOf(todos, query)
+  );
+
 describe('TodoList Component', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -60,15 +119,13 @@ describe('TodoList Component', () => {
       connect: vi.fn(),
       disconnect: vi.fn(),
       switchNetwork: vi.fn(),
+      descriptionKey: null,
+      unlockDescriptions: vi.fn(),
       provider: null,
     });
 
     // Mock API service
-    vi.mocked(apiService.apiService.getTodosByAddress).mockResolvedValue({
-      success: true,
-      data: mockTodos,
-      count: 2,
-    });
+    mockTodoPages(mockTodos);
 
     vi.mocked(apiService.apiService.getUserStats).mockResolvedValue({
       success: true,
@@ -79,6 +136,13 @@ describe('TodoList Component', () => {
         completionRate: '50.00',
       },
     });
+
+    vi.mocked(apiService.apiService.getLists).mockResolvedValue({
+      success: true,
+      data: [],
+    });
+
+    vi.mocked(blockchainService.getPendingWithdrawal).mockResolvedValue(0n);
   });
 
   describe('Initial Render', () => {
@@ -92,6 +156,8 @@ describe('TodoList Component', () => {
         connect: vi.fn(),
         disconnect: vi.fn(),
         switchNetwork: vi.fn(),
+        descriptionKey: null,
+        unlockDescriptions: vi.fn(),
         provider: null,
       });
 
@@ -107,16 +173,22 @@ describe('TodoList Component', () => {
         expect(screen.getByText('Test todo 2')).toBeInTheDocument();
       });
 
-      expect(apiService.apiService.getTodosByAddress).toHaveBeenCalledWith('0x123', true, false);
+      expect(apiService.apiService.getTodoPage).toHaveBeenCalledWith('0x123', {
+        status: 'all',
+        sortBy: 'createdAt',
+        order: 'desc',
+        q: '',
+        priority: undefined,
+        tag: '',
+        topLevel: true,
+        cursor: undefined,
+        limit: 10,
+      });
     });
 
     it('should display loading state', async () => {
-      vi.mocked(apiService.apiService.getTodosByAddress).mockImplementation(
-        () => new Promise(resolve => setTimeout(() => resolve({
-          success: true,
-          data: mockTodos,
-          count: 2,
-        }), 100))
+      vi.mocked(apiService.apiService.getTodoPage).mockImplementation(
+        (_address, query) => new Promise(resolve => setTimeout(() => resolve(pageOf(mockTodos, query)), 100))
       );
 
       render(<TodoList />);
@@ -197,7 +269,7 @@ describe('TodoList Component', () => {
 
   describe('Error Handling', () => {
     it('should display error message when fetching todos fails', async () => {
-      vi.mocked(apiService.apiService.getTodosByAddress).mockRejectedValue(
+      vi.mocked(apiService.apiService.getTodoPage).mockRejectedValue(
         new Error('Network error')
       );
 
@@ -229,11 +301,7 @@ describe('TodoList Component', () => {
         description: 'New test todo',
       };
 
-      vi.mocked(apiService.apiService.getTodosByAddress).mockResolvedValue({
-        success: true,
-        data: [...mockTodos, newTodo],
-        count: 3,
-      });
+      mockTodoPages([...mockTodos, newTodo]);
 
       // Find and click the refresh button
       const refreshBtn = screen.getByRole('button', { name: /refresh/i });
@@ -249,15 +317,9 @@ describe('TodoList Component', () => {
         todo._id === '1' ? { ...todo, completed: true } : todo
       );
 
-      vi.mocked(apiService.apiService.getTodosByAddress).mockResolvedValueOnce({
-        success: true,
-        data: mockTodos,
-        count: 2,
-      }).mockResolvedValueOnce({
-        success: true,
-        data: updatedTodos,
-        count: 2,
-      });
+      vi.mocked(apiService.apiService.getTodoPage)
+        .mockImplementationOnce(async (_address, query) => pageOf(mockTodos, query))
+        .mockImplementationOnce(async (_address, query) => pageOf(updatedTodos, query));
 
       render(<TodoList />);
 
@@ -279,15 +341,9 @@ describe('TodoList Component', () => {
     it('should handle todo deletion', async () => {
       const remainingTodos = [mockTodos[0]]; // Only first todo remains
 
-      vi.mocked(apiService.apiService.getTodosByAddress).mockResolvedValueOnce({
-        success: true,
-        data: mockTodos,
-        count: 2,
-      }).mockResolvedValueOnce({
-        success: true,
-        data: remainingTodos,
-        count: 1,
-      });
+      vi.mocked(apiService.apiService.getTodoPage)
+        .mockImplementationOnce(async (_address, query) => pageOf(mockTodos, query))
+        .mockImplementationOnce(async (_address, query) => pageOf(remainingTodos, query));
 
       render(<TodoList />);
 
@@ -320,6 +376,19 @@ describe('TodoList Component', () => {
         blockchainCreatedAt: new Date().toISOString(),
         blockchainCompletedAt: null,
         dueDate: null,
+        priority: 0,
+        tags: [],
+        listId: null,
+        parentId: null,
+        recurrence: 'none' as const,
+        recurrenceInterval: 0,
+        seriesId: null,
+        nextOccurrenceId: null,
+        dependencies: [],
+        bounty: '0',
+        assignee: null,
+        pendingAssignee: null,
+        bountyReleased: '0',
         syncStatus: 'synced' as const,
         lastSyncedAt: new Date().toISOString(),
         deleted: false,
@@ -331,11 +400,7 @@ describe('TodoList Component', () => {
     it('should paginate todos when there are more than 10', async () => {
       const manyTodos = generateManyTodos(15);
 
-      vi.mocked(apiService.apiService.getTodosByAddress).mockResolvedValue({
-        success: true,
-        data: manyTodos,
-        count: 15,
-      });
+      mockTodoPages(manyTodos);
 
       vi.mocked(apiService.apiService.getUserStats).mockResolvedValue({
         success: true,
@@ -379,11 +444,7 @@ describe('TodoList Component', () => {
         completed: i >= 10, // Last 5 are completed
       }));
 
-      vi.mocked(apiService.apiService.getTodosByAddress).mockResolvedValue({
-        success: true,
-        data: manyTodos,
-        count: 15,
-      });
+      mockTodoPages(manyTodos);
 
       vi.mocked(apiService.apiService.getUserStats).mockResolvedValue({
         success: true,
@@ -421,14 +482,384 @@ describe('TodoList Component', () => {
     });
   });
 
+  describe('Server Paging', () => {
+    const manyTodos = Array.from({ length: 15 }, (_, i) => ({
+      ...mockTodos[0],
+      _id: `${i + 1}`,
+      blockchainId: `${i + 1}`,
+      description: `Paged todo ${i + 1}`,
+    }));
+
+    it('should request the next page with the returned cursor', async () => {
+      mockTodoPages(manyTodos);
+
+      render(<TodoList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Page 1 of 2')).toBeInTheDocument();
+      });
+
+      await userEvent.click(screen.getByRole('button', { name: /next/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Paged todo 11')).toBeInTheDocument();
+        expect(screen.getByText('Page 2 of 2')).toBeInTheDocument();
+      });
+      expect(apiService.apiService.getTodoPage).toHaveBeenLastCalledWith(
+        '0x123',
+        expect.objectContaining({ cursor: '10', limit: 10 })
+      );
+      expect(screen.getByRole('button', { name: /next/i })).toBeDisabled();
+    });
+
+    it('should return to the previous page', async () => {
+      mockTodoPages(manyTodos);
+
+      render(<TodoList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Paged todo 1')).toBeInTheDocument();
+      });
+
+      await userEvent.click(screen.getByRole('button', { name: /next/i }));
+      await waitFor(() => {
+        expect(screen.getByText('Paged todo 11')).toBeInTheDocument();
+      });
+
+      await userEvent.click(screen.getByRole('button', { name: /previous/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Paged todo 1')).toBeInTheDocument();
+        expect(screen.getByText(/showing 1 to 10 of 15 tasks/i)).toBeInTheDocument();
+      });
+      expect(apiService.apiService.getTodoPage).toHaveBeenLastCalledWith(
+        '0x123',
+        expect.objectContaining({ cursor: undefined })
+      );
+    });
+
+    it('should take tab counts from the stats endpoint', async () => {
+      mockTodoPages(manyTodos);
+      vi.mocked(apiService.apiService.getUserStats).mockResolvedValue({
+        success: true,
+        data: { total: 42, completed: 12, active: 30, completionRate: '28.57' },
+      });
+
+      render(<TodoList />);
+
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: /all tasks\s*42/i })).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: /active\s*30/i })).toBeInTheDocument();
+      });
+    });
+  });
+
+  describe('Search and Sort', () => {
+    it('should search on the server once typing stops', async () => {
+      render(<TodoList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Test todo 1')).toBeInTheDocument();
+      });
+
+      await userEvent.type(screen.getByRole('searchbox', { name: /search tasks/i }), ' milk ');
+
+      await waitFor(() => {
+        expect(apiService.apiService.getTodoPage).toHaveBeenLastCalledWith(
+          '0x123',
+          expect.objectContaining({ q: 'milk', topLevel: false, cursor: undefined })
+        );
+      });
+      expect(
+        vi.mocked(apiService.apiService.getTodoPage).mock.calls.filter(([, query]) => query?.q)
+      ).toHaveLength(1);
+    });
+
+    it('should show a no matches state for an empty search', async () => {
+      render(<TodoList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Test todo 1')).toBeInTheDocument();
+      });
+
+      mockTodoPages([]);
+      await userEvent.type(screen.getByRole('searchbox', { name: /search tasks/i }), 'zebra');
+
+      await waitFor(() => {
+        expect(screen.getByText(/no matching tasks/i)).toBeInTheDocument();
+      });
+    });
+
+    it('should pass the selected sort to the server', async () => {
+      render(<TodoList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Test todo 1')).toBeInTheDocument();
+      });
+
+      await userEvent.selectOptions(screen.getByRole('combobox', { name: /sort tasks/i }), 'dueDate');
+
+      await waitFor(() => {
+        expect(apiService.apiService.getTodoPage).toHaveBeenLastCalledWith(
+          '0x123',
+          expect.objectContaining({ sortBy: 'dueDate', order: 'asc' })
+        );
+      });
+    });
+  });
+
+  describe('Priority and Tag Filters', () => {
+    const WORK = '0x' + 'ab'.repeat(32);
+
+    afterEach(() => {
+      vi.mocked(localStorage.getItem).mockReset();
+    });
+
+    it('should filter by priority on the server', async () => {
+      render(<TodoList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Test todo 1')).toBeInTheDocument();
+      });
+
+      await userEvent.selectOptions(screen.getByRole('combobox', { name: /filter by priority/i }), 'High');
+
+      await waitFor(() => {
+        expect(apiService.apiService.getTodoPage).toHaveBeenLastCalledWith(
+          '0x123',
+          expect.objectContaining({ priority: 3, cursor: undefined })
+        );
+      });
+    });
+
+    it('should offer tags remembered in this browser', async () => {
+      vi.mocked(localStorage.getItem).mockImplementation((key) =>
+        key === 'tagNames' ? JSON.stringify({ [WORK]: 'work' }) : null
+      );
+      render(<TodoList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Test todo 1')).toBeInTheDocument();
+      });
+
+      await userEvent.selectOptions(screen.getByRole('combobox', { name: /filter by tag/i }), 'work');
+
+      await waitFor(() => {
+        expect(apiService.apiService.getTodoPage).toHaveBeenLastCalledWith(
+          '0x123',
+          expect.objectContaining({ tag: WORK })
+        );
+      });
+    });
+
+    it('should sort by priority', async () => {
+      render(<TodoList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Test todo 1')).toBeInTheDocument();
+      });
+
+      await userEvent.selectOptions(screen.getByRole('combobox', { name: /sort tasks/i }), 'priority');
+
+      await waitFor(() => {
+        expect(apiService.apiService.getTodoPage).toHaveBeenLastCalledWith(
+          '0x123',
+          expect.objectContaining({ sortBy: 'priority', order: 'desc' })
+        );
+      });
+    });
+
+    it('should show a no matches state when filters exclude everything', async () => {
+      render(<TodoList />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Test todo 1')).toBeInTheDocument();
+      });
+
+      mockTodoPages([]);
+      await userEvent.selectOptions(screen.getByRole('combobox', { name: /filter by priority/i }), 'Low');
+
+      await waitFor(() => {
+        expect(screen.getByText(/no tasks match the selected filters/i)).toBeInTheDocument();
+      });
+    });
+  });
+
+  describe('Shared Lists', () => {
+    const householdList = {
+      chainId: 31337,
+      listId: '7',
+      name: 'Household',
+      owner: '0x456',
+      members: [{ address: '0x123', role: 'viewer' as const }],
+      role: 'viewer' as const,
+      blockchainCreatedAt: new Date().toISOString(),
+    };
+
+    it('should show the list of shared todos and hide edit controls for viewers', async () => {
+      vi.mocked(apiService.apiService.getLists).mockResolvedValue({
+        success: true,
+        data: [householdList],
+      });
+      mockTodoPages([{ ...mockTodos[0], owner: '0x456', listId: '7' }]);
+
+      render(<TodoList />);
+
+      await waitFor(() => {
+        expect(screen.getByText(/Household \(view only\)/)).toBeInTheDocument();
+      });
+      expect(screen.queryByTitle('Delete task')).not.toBeInTheDocument();
+      expect(screen.queryByLabelText('Task priority')).not.toBeInTheDocument();
+    });
+
+    it('should offer lists the user can edit when creating a task', async () => {
+      vi.mocked(apiService.apiService.getLists).mockResolvedValue({
+        success: true,
+        data: [
+          householdList,
+          { ...householdList, listId: '8', name: 'Team', role: 'editor' as const },
+        ],
+      });
+
+      render(<TodoList />);
+
+      const listSelect = await screen.findByLabelText('List');
+      expect(listSelect).toHaveTextContent('Team');
+      expect(listSelect).not.toHaveTextContent('Household');
+    });
+  });
+
+  describe('Assigned to Me', () => {
+    it('should list the tasks assigned to the user', async () => {
+      const user = userEvent.setup();
+      vi.mocked(apiService.apiService.getAssignedTodoPage).mockImplementation(async (_address, query) =>
+        pageOf([{ ...mockTodos[0], description: 'Their todo', owner: '0x456', assignee: '0x123' }], query)
+      );
+
+      render(<TodoList />);
+      await screen.findByText('Test todo 1');
+
+      await user.click(screen.getByRole('tab', { name: 'Assigned to me' }));
+
+      expect(await screen.findByText('Their todo')).toBeInTheDocument();
+      expect(screen.queryByText('Test todo 1')).not.toBeInTheDocument();
+      expect(screen.getByRole('tab', { name: 'Assigned to me' })).toHaveAttribute('aria-selected', 'true');
+      expect(apiService.apiService.getAssignedTodoPage).toHaveBeenCalledWith(
+        '0x123',
+        expect.objectContaining({ status: 'all', cursor: undefined, limit: 10 })
+      );
+      // Assigned tasks are not batched
+      expect(screen.queryByLabelText('Select all tasks')).not.toBeInTheDocument();
+    });
+
+    it('should explain the empty assigned view', async () => {
+      const user = userEvent.setup();
+      vi.mocked(apiService.apiService.getAssignedTodoPage).mockImplementation(async (_address, query) =>
+        pageOf([], query)
+      );
+
+      render(<TodoList />);
+      await screen.findByText('Test todo 1');
+      await user.click(screen.getByRole('tab', { name: 'Assigned to me' }));
+
+      expect(await screen.findByText('🤝 Nothing Assigned')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('tab', { name: 'Your Tasks' }));
+      expect(await screen.findByText('Test todo 1')).toBeInTheDocument();
+    });
+  });
+
+  describe('Batch Actions', () => {
+    const provider = {} as NonNullable<ReturnType<typeof Web3Context.useWeb3>['provider']>;
+
+    beforeEach(() => {
+      vi.mocked(Web3Context.useWeb3).mockReturnValue({
+        address: '0x123',
+        chainId: 31337,
+        isConnected: true,
+        isConnecting: false,
+        error: null,
+        connect: vi.fn(),
+        disconnect: vi.fn(),
+        switchNetwork: vi.fn(),
+        descriptionKey: null,
+        unlockDescriptions: vi.fn(),
+        provider,
+      });
+      vi.mocked(apiService.apiService.syncTransaction).mockResolvedValue({
+        success: true,
+        data: [],
+      });
+    });
+
+    it('should complete the selected active tasks in one transaction', async () => {
+      vi.mocked(blockchainService.batchCompleteTasks).mockResolvedValue({ transactionHash: '0xbatch' });
+      render(<TodoList />);
+
+      await userEvent.click(await screen.findByLabelText('Select all tasks'));
+      expect(screen.getByText('2 selected')).toBeInTheDocument();
+      await userEvent.click(screen.getByRole('button', { name: 'Complete selected' }));
+
+      await waitFor(() => {
+        expect(apiService.apiService.syncTransaction).toHaveBeenCalledWith(31337, '0xbatch');
+      });
+      // The second task is already completed
+      expect(blockchainService.batchCompleteTasks).toHaveBeenCalledWith(provider, 31337, ['1']);
+      expect(screen.queryByText('2 selected')).not.toBeInTheDocument();
+    });
+
+    it('should delete the selected tasks', async () => {
+      vi.mocked(blockchainService.batchDeleteTasks).mockResolvedValue({ transactionHash: '0xbatch' });
+      render(<TodoList />);
+
+      await userEvent.click(await screen.findByLabelText('Select task: Test todo 2'));
+      await userEvent.click(screen.getByRole('button', { name: 'Delete selected' }));
+
+      await waitFor(() => {
+        expect(blockchainService.batchDeleteTasks).toHaveBeenCalledWith(provider, 31337, ['2']);
+      });
+      expect(apiService.apiService.syncTransaction).toHaveBeenCalledWith(31337, '0xbatch');
+    });
+
+    it('should duplicate the selected tasks with batch create', async () => {
+      vi.mocked(blockchainService.batchCreateTasks).mockResolvedValue({ taskIds: ['3'], transactionHash: '0xbatch' });
+      render(<TodoList />);
+
+      await userEvent.click(await screen.findByLabelText('Select task: Test todo 1'));
+      await userEvent.click(screen.getByRole('button', { name: 'Duplicate selected' }));
+
+      await waitFor(() => {
+        expect(blockchainService.batchCreateTasks).toHaveBeenCalledWith(provider, 31337, [
+          { description: 'Test todo 1', dueDate: null },
+        ]);
+      });
+    });
+
+    it('should show an error when the batch transaction fails', async () => {
+      vi.mocked(blockchainService.batchDeleteTasks).mockRejectedValue(new Error('Batch too large'));
+      render(<TodoList />);
+
+      await userEvent.click(await screen.findByLabelText('Select all tasks'));
+      await userEvent.click(screen.getByRole('button', { name: 'Delete selected' }));
+
+      expect(await screen.findByText('Batch too large')).toBeInTheDocument();
+      expect(apiService.apiService.syncTransaction).not.toHaveBeenCalled();
+      expect(screen.getByText('2 selected')).toBeInTheDocument();
+    });
+
+    it('should not offer selection for tasks on another chain', async () => {
+      mockTodoPages(mockTodos.map(todo => ({ ...todo, chainId: 11155111 })));
+      render(<TodoList />);
+
+      await screen.findByText('Test todo 1');
+      expect(screen.queryByLabelText('Select all tasks')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Refresh Functionality', () => {
     it('should show loading state while refreshing', async () => {
-      vi.mocked(apiService.apiService.getTodosByAddress).mockImplementation(
-        () => new Promise(resolve => setTimeout(() => resolve({
-          success: true,
-          data: mockTodos,
-          count: 2,
-        }), 100))
+      vi.mocked(apiService.apiService.getTodoPage).mockImplementation(
+        (_address, query) => new Promise(resolve => setTimeout(() => resolve(pageOf(mockTodos, query)), 100))
       );
 
       render(<TodoList />);
@@ -460,7 +891,7 @@ describe('TodoList Component', () => {
       await userEvent.click(refreshBtn);
 
       await waitFor(() => {
-        expect(apiService.apiService.getTodosByAddress).toHaveBeenCalledWith('0x123', true, false);
+        expect(apiService.apiService.getTodoPage).toHaveBeenCalledWith('0x123', expect.objectContaining({ status: 'all' }));
         expect(apiService.apiService.getUserStats).toHaveBeenCalledWith('0x123');
       });
     });
@@ -468,11 +899,7 @@ describe('TodoList Component', () => {
 
   describe('Empty States', () => {
     it('should show empty state for all tasks', async () => {
-      vi.mocked(apiService.apiService.getTodosByAddress).mockResolvedValue({
-        success: true,
-        data: [],
-        count: 0,
-      });
+      mockTodoPages([]);
 
       vi.mocked(apiService.apiService.getUserStats).mockResolvedValue({
         success: true,
@@ -495,11 +922,7 @@ describe('TodoList Component', () => {
     it('should show empty state for active tasks', async () => {
       const completedTodos = mockTodos.map(t => ({ ...t, completed: true }));
 
-      vi.mocked(apiService.apiService.getTodosByAddress).mockResolvedValue({
-        success: true,
-        data: completedTodos,
-        count: 2,
-      });
+      mockTodoPages(completedTodos);
 
       render(<TodoList />);
 
@@ -518,11 +941,7 @@ describe('TodoList Component', () => {
     it('should show empty state for completed tasks', async () => {
       const activeTodos = mockTodos.map(t => ({ ...t, completed: false }));
 
-      vi.mocked(apiService.apiService.getTodosByAddress).mockResolvedValue({
-        success: true,
-        data: activeTodos,
-        count: 2,
-      });
+      mockTodoPages(activeTodos);
 
       render(<TodoList />);
 
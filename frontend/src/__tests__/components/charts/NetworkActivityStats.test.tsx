@@ -65,6 +65,8 @@ describe('NetworkActivityStats Component', () => {
       connect: vi.fn(),
       disconnect: vi.fn(),
       switchNetwork: vi.fn(),
+      descriptionKey: null,
+      unlockDescriptions: vi.fn(),
       provider: isConnected ? mockProvider as any : null,
     });
 
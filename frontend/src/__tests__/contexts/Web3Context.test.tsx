@@ -1,17 +1,27 @@
 import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
 import { render, screen, waitFor, act } from '@testing-library/react';
 import { userEvent } from '@testing-library/user-event';
+import React from 'react';
 import { Web3Provider, useWeb3 } from '../../contexts/Web3Context';
 import * as apiService from '../../services/api';
+import { deriveDescriptionKey } from '../../utils/encryption';
 
 // Mock the API service
 vi.mock('../../services/api', () => ({
   apiService: {
     getNonce: vi.fn(),
     login: vi.fn(),
+    logout: vi.fn(),
   },
 }));
 
+// The key is derived from whatever the mock wallet signs
+const mockDescriptionKey = { type: 'secret' } as CryptoKey;
+vi.mock('../../utils/encryption', async () => ({
+  ...(await vi.importActual('../../utils/encryption')),
+  deriveDescriptionKey: vi.fn(async () => mockDescriptionKey),
+}));
+
 // Mock ethers module with inline class definition
 vi.mock('ethers', async () => {
   const actual = await vi.importActual('ethers');
@@ -67,9 +77,35 @@ const TestComponent = () => {
   );
 };
 
+// Test component for unlocking encrypted descriptions
+const UnlockComponent = () => {
+  const { isConnected, descriptionKey, connect, disconnect, unlockDescriptions } = useWeb3();
+  const [unlockError, setUnlockError] = React.useState('');
+
+  const unlockTwice = () => {
+    Promise.all([unlockDescriptions(), unlockDescriptions()]).catch((error: Error) => setUnlockError(error.message));
+  };
+
+  return (
+    <div>
+      <div data-testid="isConnected">{String(isConnected)}</div>
+      <div data-testid="descriptionKey">{descriptionKey ? 'unlocked' : 'locked'}</div>
+      <div data-testid="unlockError">{unlockError || 'No error'}</div>
+      <button onClick={connect} data-testid="connect-btn">Connect</button>
+      <button onClick={disconnect} data-testid="disconnect-btn">Disconnect</button>
+      <button onClick={unlockTwice} data-testid="unlock-btn">Unlock</button>
+    </div>
+  );
+};
+
 describe('Web3Context', () => {
   let mockEthereum: any;
   const mockAddress = '0x1234567890123456789012345678901234567890';
+  const mockNonce = {
+    nonce: 'abcdef0123456789',
+    issuedAt: '2026-01-30T12:00:00.000Z',
+    expiresAt: '2026-01-30T12:05:00.000Z',
+  };
 
   // Shared localStorage mock store 
   let localStorageStore: Record<string, string> = {};
@@ -99,6 +135,8 @@ describe('Web3Context', () => {
     // Reset API mock implementations to avoid test pollution
     vi.mocked(apiService.apiService.getNonce).mockReset();
     vi.mocked(apiService.apiService.login).mockReset();
+    vi.mocked(apiService.apiService.logout).mockReset();
+    vi.mocked(apiService.apiService.logout).mockResolvedValue({ success: true });
 
     // Reset localStorage store
     localStorageStore = {};
@@ -167,12 +205,13 @@ describe('Web3Context', () => {
       // Set up API mocks
       vi.mocked(apiService.apiService.getNonce).mockResolvedValue({
         success: true,
-        message: 'Sign this message to authenticate',
+        ...mockNonce,
       });
 
       vi.mocked(apiService.apiService.login).mockResolvedValue({
         success: true,
         token: 'mock-jwt-token',
+        refreshToken: 'mock-refresh-token',
         address: mockAddress,
       });
 
@@ -200,11 +239,12 @@ describe('Web3Context', () => {
       expect(apiService.apiService.login).toHaveBeenCalledWith(
         mockAddress,
         '0xmocksignature',
-        'Sign this message to authenticate'
+        expect.stringContaining(`Nonce: ${mockNonce.nonce}`)
       );
 
       // Check localStorage was updated
       expect(localStorageStore['authToken']).toBe('mock-jwt-token');
+      expect(localStorageStore['refreshToken']).toBe('mock-refresh-token');
       expect(localStorageStore['walletConnected']).toBe('true');
     });
 
@@ -285,7 +325,7 @@ describe('Web3Context', () => {
 
       vi.mocked(apiService.apiService.getNonce).mockResolvedValue({
         success: true,
-        message: 'Sign this message',
+        ...mockNonce,
       });
 
       vi.mocked(apiService.apiService.login).mockResolvedValue({
@@ -333,12 +373,13 @@ describe('Web3Context', () => {
     it('should disconnect wallet successfully', async () => {
       vi.mocked(apiService.apiService.getNonce).mockResolvedValue({
         success: true,
-        message: 'Sign this',
+        ...mockNonce,
       });
 
       vi.mocked(apiService.apiService.login).mockResolvedValue({
         success: true,
         token: 'mock-token',
+        refreshToken: 'mock-refresh-token',
         address: mockAddress,
       });
 
@@ -368,18 +409,122 @@ describe('Web3Context', () => {
       expect(screen.getByTestId('isConnected')).toHaveTextContent('false');
       expect(screen.getByTestId('address')).toHaveTextContent('No address');
       expect(localStorageStore['authToken']).toBeUndefined();
+      expect(localStorageStore['refreshToken']).toBeUndefined();
       expect(localStorageStore['walletConnected']).toBeUndefined();
+      // The session is revoked on the server
+      expect(apiService.apiService.logout).toHaveBeenCalledWith('mock-refresh-token');
+    });
+
+    it('should disconnect even when the logout request fails', async () => {
+      vi.mocked(apiService.apiService.getNonce).mockResolvedValue({
+        success: true,
+        ...mockNonce,
+      });
+      vi.mocked(apiService.apiService.login).mockResolvedValue({
+        success: true,
+        token: 'mock-token',
+        refreshToken: 'mock-refresh-token',
+        address: mockAddress,
+      });
+      vi.mocked(apiService.apiService.logout).mockRejectedValue(new Error('Backend is down'));
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      render(
+        <Web3Provider>
+          <TestComponent />
+        </Web3Provider>
+      );
+
+      await act(async () => {
+        await userEvent.click(screen.getByTestId('connect-btn'));
+      });
+      await waitFor(() => {
+        expect(screen.getByTestId('isConnected')).toHaveTextContent('true');
+      }, { timeout: 5000 });
+
+      await act(async () => {
+        await userEvent.click(screen.getByTestId('disconnect-btn'));
+      });
+
+      expect(screen.getByTestId('isConnected')).toHaveTextContent('false');
+      expect(localStorageStore['refreshToken']).toBeUndefined();
+      await waitFor(() => {
+        expect(consoleSpy).toHaveBeenCalledWith('Logout error:', expect.any(Error));
+      });
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('Encrypted Descriptions', () => {
+    it('should require a connected wallet', async () => {
+      render(
+        <Web3Provider>
+          <UnlockComponent />
+        </Web3Provider>
+      );
+
+      await act(async () => {
+        await userEvent.click(screen.getByTestId('unlock-btn'));
+      });
+
+      await waitFor(() => {
+        expect(screen.getByTestId('unlockError')).toHaveTextContent('Please connect your wallet');
+      });
+      expect(screen.getByTestId('descriptionKey')).toHaveTextContent('locked');
+    });
+
+    it('should derive the key from one signature and forget it on disconnect', async () => {
+      vi.mocked(apiService.apiService.getNonce).mockResolvedValue({
+        success: true,
+        ...mockNonce,
+      });
+      vi.mocked(apiService.apiService.login).mockResolvedValue({
+        success: true,
+        token: 'mock-token',
+        refreshToken: 'mock-refresh-token',
+        address: mockAddress,
+      });
+
+      render(
+        <Web3Provider>
+          <UnlockComponent />
+        </Web3Provider>
+      );
+
+      await act(async () => {
+        await userEvent.click(screen.getByTestId('connect-btn'));
+      });
+      await waitFor(() => {
+        expect(screen.getByTestId('isConnected')).toHaveTextContent('true');
+      }, { timeout: 5000 });
+
+      await act(async () => {
+        await userEvent.click(screen.getByTestId('unlock-btn'));
+      });
+
+      await waitFor(() => {
+        expect(screen.getByTestId('descriptionKey')).toHaveTextContent('unlocked');
+      });
+      // Both unlocks shared one signature request
+      expect(deriveDescriptionKey).toHaveBeenCalledTimes(1);
+      expect(deriveDescriptionKey).toHaveBeenCalledWith('0xmocksignature');
+
+      await act(async () => {
+        await userEvent.click(screen.getByTestId('disconnect-btn'));
+      });
+
+      expect(screen.getByTestId('descriptionKey')).toHaveTextContent('locked');
     });
   });
 
   describe('Authentication Flow', () => {
     it('should complete full authentication flow', async () => {
-      const mockMessage = 'Sign this message: 123456';
       const mockToken = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...';
 
       vi.mocked(apiService.apiService.getNonce).mockResolvedValue({
         success: true,
-        message: mockMessage,
+        ...mockNonce,
       });
 
       vi.mocked(apiService.apiService.login).mockResolvedValue({
@@ -404,10 +549,23 @@ describe('Web3Context', () => {
 
       // Verify authentication flow
       expect(apiService.apiService.getNonce).toHaveBeenCalledWith(mockAddress);
+      // A Sign-In with Ethereum message for this page and the wallet's chain
       expect(apiService.apiService.login).toHaveBeenCalledWith(
         mockAddress,
         '0xmocksignature',
-        mockMessage
+        [
+          `${window.location.host} wants you to sign in with your Ethereum account:`,
+          mockAddress,
+          '',
+          'Sign in to the Todo App.',
+          '',
+          `URI: ${window.location.origin}`,
+          'Version: 1',
+          'Chain ID: 1',
+          `Nonce: ${mockNonce.nonce}`,
+          `Issued At: ${mockNonce.issuedAt}`,
+          `Expiration Time: ${mockNonce.expiresAt}`,
+        ].join('\n')
       );
       expect(localStorageStore['authToken']).toBe(mockToken);
     });
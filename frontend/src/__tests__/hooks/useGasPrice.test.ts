@@ -30,6 +30,8 @@ describe('useGasPrice Hook', () => {
       connect: vi.fn(),
       disconnect: vi.fn(),
       switchNetwork: vi.fn(),
+      descriptionKey: null,
+      unlockDescriptions: vi.fn(),
     });
 
     mockProvider.getFeeData.mockResolvedValue({
@@ -115,6 +117,8 @@ describe('useGasPrice Hook', () => {
       connect: vi.fn(),
       disconnect: vi.fn(),
       switchNetwork: vi.fn(),
+      descriptionKey: null,
+      unlockDescriptions: vi.fn(),
     });
 
     const { result } = renderHook(() => useGasPrice());
@@ -170,6 +174,8 @@ describe('useHistoricalGasPrice Hook', () => {
       connect: vi.fn(),
       disconnect: vi.fn(),
       switchNetwork: vi.fn(),
+      descriptionKey: null,
+      unlockDescriptions: vi.fn(),
       provider: null,
     });
   });
@@ -239,6 +245,8 @@ describe('useHistoricalGasPrice Hook', () => {
       connect: vi.fn(),
       disconnect: vi.fn(),
       switchNetwork: vi.fn(),
+      descriptionKey: null,
+      unlockDescriptions: vi.fn(),
       provider: null,
     });
 
@@ -38,6 +38,8 @@ describe('useNetworkTheme Hook', () => {
       connect: vi.fn(),
       disconnect: vi.fn(),
       switchNetwork: vi.fn(),
+      descriptionKey: null,
+      unlockDescriptions: vi.fn(),
       provider: null,
     });
   });
@@ -83,6 +85,8 @@ describe('useNetworkTheme Hook', () => {
       connect: vi.fn(),
       disconnect: vi.fn(),
       switchNetwork: vi.fn(),
+      descriptionKey: null,
+      unlockDescriptions: vi.fn(),
       provider: null,
     });
 
@@ -102,6 +106,8 @@ describe('useNetworkTheme Hook', () => {
       connect: vi.fn(),
       disconnect: vi.fn(),
       switchNetwork: vi.fn(),
+      descriptionKey: null,
+      unlockDescriptions: vi.fn(),
       provider: null,
     });
 
@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import axios from 'axios';
 import { apiService } from '../../services/api';
 
@@ -7,6 +7,7 @@ vi.mock('axios', () => {
   const mockAxiosInstance = {
     get: vi.fn(),
     post: vi.fn(),
+    request: vi.fn(),
     interceptors: {
       request: { use: vi.fn() },
       response: { use: vi.fn() },
@@ -22,6 +23,9 @@ vi.mock('axios', () => {
 // Get the mock instance that apiService uses
 const mockAxios = axios.create() as any;
 
+// Captured before beforeEach clears the mock calls
+const [onResponse, onResponseError] = mockAxios.interceptors.response.use.mock.calls[0];
+
 describe('apiService', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -89,6 +93,168 @@ describe('apiService', () => {
     });
   });
 
+  describe('logout', () => {
+    it('calls POST /auth/logout with the refresh token', async () => {
+      mockAxios.post.mockResolvedValue({ data: { success: true } });
+
+      const result = await apiService.logout('refresh-1');
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/auth/logout', { refreshToken: 'refresh-1' });
+      expect(result).toEqual({ success: true });
+    });
+
+    it('calls POST /auth/logout-all to end every session', async () => {
+      mockAxios.post.mockResolvedValue({ data: { success: true, revoked: 2 } });
+
+      const result = await apiService.logoutAll();
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/auth/logout-all');
+      expect(result).toEqual({ success: true, revoked: 2 });
+    });
+  });
+
+  describe('refreshing expired access tokens', () => {
+    const unauthorized = (url = '/todos/0xABC', extra = {}) => ({
+      config: { url, headers: {}, ...extra },
+      response: { status: 401 },
+    });
+
+    let store: Record<string, string>;
+
+    beforeEach(() => {
+      store = { authToken: 'expired', refreshToken: 'refresh-1' };
+      vi.mocked(localStorage.getItem).mockImplementation((key) => store[key] ?? null);
+      vi.mocked(localStorage.setItem).mockImplementation((key, value) => {
+        store[key] = value;
+      });
+      vi.mocked(localStorage.removeItem).mockImplementation((key) => {
+        delete store[key];
+      });
+    });
+
+    afterEach(() => {
+      vi.mocked(localStorage.getItem).mockReset();
+      vi.mocked(localStorage.setItem).mockReset();
+      vi.mocked(localStorage.removeItem).mockReset();
+    });
+
+    it('passes successful responses through', () => {
+      const response = { data: { success: true } };
+
+      expect(onResponse(response)).toBe(response);
+    });
+
+    it('refreshes the session and retries the request once', async () => {
+      mockAxios.post.mockResolvedValue({ data: { token: 'access-2', refreshToken: 'refresh-2' } });
+      mockAxios.request.mockResolvedValue({ data: { success: true } });
+      const error = unauthorized();
+
+      await expect(onResponseError(error)).resolves.toEqual({ data: { success: true } });
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/auth/refresh', { refreshToken: 'refresh-1' });
+      expect(store).toEqual({ authToken: 'access-2', refreshToken: 'refresh-2' });
+      expect(mockAxios.request).toHaveBeenCalledWith(expect.objectContaining({ url: '/todos/0xABC', _retried: true }));
+    });
+
+    it('shares one refresh between requests that fail together', async () => {
+      mockAxios.post.mockResolvedValue({ data: { token: 'access-2', refreshToken: 'refresh-2' } });
+      mockAxios.request.mockResolvedValue({ data: {} });
+
+      await Promise.all([onResponseError(unauthorized()), onResponseError(unauthorized('/lists/0xABC'))]);
+
+      expect(mockAxios.post).toHaveBeenCalledTimes(1);
+      expect(mockAxios.request).toHaveBeenCalledTimes(2);
+    });
+
+    it('forgets the session when the refresh token is rejected', async () => {
+      mockAxios.post.mockRejectedValue({ response: { status: 401 } });
+      const error = unauthorized();
+
+      await expect(onResponseError(error)).rejects.toBe(error);
+
+      expect(store).toEqual({});
+      expect(mockAxios.request).not.toHaveBeenCalled();
+    });
+
+    it('keeps the session when the refresh fails for another reason', async () => {
+      mockAxios.post.mockRejectedValue(new Error('Network Error'));
+      const error = unauthorized();
+
+      await expect(onResponseError(error)).rejects.toBe(error);
+
+      expect(store.refreshToken).toBe('refresh-1');
+    });
+
+    it('does not refresh without a refresh token', async () => {
+      delete store.refreshToken;
+      const error = unauthorized();
+
+      await expect(onResponseError(error)).rejects.toBe(error);
+      expect(mockAxios.post).not.toHaveBeenCalled();
+    });
+
+    it('does not refresh other errors, auth requests or retried requests', async () => {
+      const notFound = { config: { url: '/todos/1', headers: {} }, response: { status: 404 } };
+
+      await expect(onResponseError(notFound)).rejects.toBe(notFound);
+      for (const error of [
+        unauthorized('/auth/login'),
+        unauthorized('/auth/refresh'),
+        unauthorized('/todos/0xABC', { _retried: true }),
+      ]) {
+        await expect(onResponseError(error)).rejects.toBe(error);
+      }
+      expect(mockAxios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTodoPage', () => {
+    it('calls GET /todos/:address with paging params', async () => {
+      const pageResponse = {
+        success: true,
+        data: [],
+        count: 0,
+        pageInfo: { total: 0, limit: 10, nextCursor: null, hasMore: false },
+      };
+      mockAxios.get.mockResolvedValue({ data: pageResponse });
+
+      const result = await apiService.getTodoPage('0xABC', {
+        status: 'active',
+        sortBy: 'dueDate',
+        order: 'asc',
+        cursor: 'abc',
+        limit: 10,
+      });
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/todos/0xABC', {
+        params: { status: 'active', sortBy: 'dueDate', order: 'asc', cursor: 'abc', limit: 10 },
+      });
+      expect(result).toEqual(pageResponse);
+    });
+
+    it('leaves out empty query values', async () => {
+      mockAxios.get.mockResolvedValue({ data: { success: true, data: [] } });
+
+      await apiService.getTodoPage('0xABC', { q: '', cursor: undefined, limit: 10 });
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/todos/0xABC', {
+        params: { limit: 10 },
+      });
+    });
+  });
+
+  describe('getAssignedTodoPage', () => {
+    it('calls GET /todos/:address/assigned with paging params', async () => {
+      mockAxios.get.mockResolvedValue({ data: { success: true, data: [] } });
+
+      await apiService.getAssignedTodoPage('0xABC', { status: 'active', q: '', limit: 10 });
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/todos/0xABC/assigned', {
+        params: { status: 'active', limit: 10 },
+      });
+    });
+  });
+
   describe('getTodosByAddress', () => {
     it('calls GET /todos/:address with default params', async () => {
       const todosResponse = { success: true, data: [], count: 0 };
@@ -161,6 +327,147 @@ describe('apiService', () => {
     });
   });
 
+  describe('getTodoHistory', () => {
+    it('calls GET /todos/todo/:id/history', async () => {
+      const historyResponse = {
+        success: true,
+        count: 1,
+        data: [{ _id: 'e1', eventName: 'TaskCreated', blockNumber: 10 }],
+      };
+      mockAxios.get.mockResolvedValue({ data: historyResponse });
+
+      const result = await apiService.getTodoHistory('123');
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/todos/todo/123/history');
+      expect(result.data).toHaveLength(1);
+    });
+  });
+
+  describe('getTodoTree', () => {
+    it('calls GET /todos/todo/:id/subtasks', async () => {
+      const treeResponse = {
+        success: true,
+        data: { _id: '123', blockchainId: '1', subtasks: [{ _id: '124', blockchainId: '2', subtasks: [] }] },
+      };
+      mockAxios.get.mockResolvedValue({ data: treeResponse });
+
+      const result = await apiService.getTodoTree('123');
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/todos/todo/123/subtasks');
+      expect(result.data?.subtasks).toHaveLength(1);
+    });
+  });
+
+  describe('getTodoSeries', () => {
+    it('calls GET /todos/todo/:id/series', async () => {
+      const seriesResponse = {
+        success: true,
+        count: 2,
+        data: [{ _id: '123', blockchainId: '1' }, { _id: '124', blockchainId: '3' }],
+      };
+      mockAxios.get.mockResolvedValue({ data: seriesResponse });
+
+      const result = await apiService.getTodoSeries('124');
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/todos/todo/124/series');
+      expect(result.data).toHaveLength(2);
+    });
+  });
+
+  describe('getTodoDependencies', () => {
+    it('calls GET /todos/todo/:id/dependencies', async () => {
+      const graphResponse = {
+        success: true,
+        data: {
+          dependencies: [{ _id: '123', blockchainId: '1' }],
+          dependents: [],
+        },
+      };
+      mockAxios.get.mockResolvedValue({ data: graphResponse });
+
+      const result = await apiService.getTodoDependencies('124');
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/todos/todo/124/dependencies');
+      expect(result.data?.dependencies).toHaveLength(1);
+    });
+  });
+
+  describe('getLists', () => {
+    it('calls GET /lists', async () => {
+      const listsResponse = {
+        success: true,
+        count: 1,
+        data: [{ chainId: 31337, listId: '1', name: 'Household', role: 'owner' }],
+      };
+      mockAxios.get.mockResolvedValue({ data: listsResponse });
+
+      const result = await apiService.getLists();
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/lists');
+      expect(result.data).toHaveLength(1);
+    });
+  });
+
+  describe('getRelayStatus', () => {
+    it('calls GET /relay', async () => {
+      const statusResponse = { success: true, data: { enabled: true, address: '0x9999999999999999999999999999999999999999' } };
+      mockAxios.get.mockResolvedValue({ data: statusResponse });
+
+      const result = await apiService.getRelayStatus();
+
+      expect(mockAxios.get).toHaveBeenCalledWith('/relay');
+      expect(result.data?.enabled).toBe(true);
+    });
+  });
+
+  describe('relay', () => {
+    it('calls POST /relay with the signed request', async () => {
+      const relayResponse = { success: true, data: { transactionHash: '0xabc', blockNumber: 5 } };
+      mockAxios.post.mockResolvedValue({ data: relayResponse });
+      const request = {
+        chainId: 31337,
+        action: 'complete' as const,
+        user: '0x1234567890123456789012345678901234567890',
+        taskId: '1',
+        deadline: 1900000000,
+        signature: '0xsignature',
+      };
+
+      const result = await apiService.relay(request);
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/relay', request);
+      expect(result).toEqual(relayResponse);
+    });
+  });
+
+  describe('pinToIpfs', () => {
+    it('calls POST /ipfs/pin with the envelope', async () => {
+      const pinResponse = { success: true, data: { cid: 'bafyabc', uri: 'ipfs://bafyabc' } };
+      mockAxios.post.mockResolvedValue({ data: pinResponse });
+      const content = { description: 'Buy milk', version: 1, timestamp: 1 };
+
+      const result = await apiService.pinToIpfs(content);
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/ipfs/pin', { content });
+      expect(result).toEqual(pinResponse);
+    });
+  });
+
+  describe('uploadAttachment', () => {
+    it('calls POST /ipfs/upload with the file and its name', async () => {
+      const attachment = { type: 'image', name: 'my photo.png', mimeType: 'image/png', size: 3, cid: 'bafkphoto' };
+      mockAxios.post.mockResolvedValue({ data: { success: true, data: attachment } });
+      const file = new File(['png'], 'my photo.png', { type: 'image/png' });
+
+      const result = await apiService.uploadAttachment(file);
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/ipfs/upload', file, {
+        headers: { 'Content-Type': 'image/png', 'X-File-Name': 'my%20photo.png' },
+      });
+      expect(result.data).toEqual(attachment);
+    });
+  });
+
   describe('verifyTodo', () => {
     it('calls GET /todos/verify/:id', async () => {
       const verifyResponse = { verified: true, onChain: true, inDb: true };
@@ -211,4 +518,19 @@ describe('apiService', () => {
     });
   });
 
+  describe('syncTransaction', () => {
+    it('calls POST /todos/sync-transaction with chainId and transactionHash', async () => {
+      const hash = '0x' + 'ab'.repeat(32);
+      mockAxios.post.mockResolvedValue({ data: { success: true, count: 2, data: [] } });
+
+      const result = await apiService.syncTransaction(31337, hash);
+
+      expect(mockAxios.post).toHaveBeenCalledWith('/todos/sync-transaction', {
+        chainId: 31337,
+        transactionHash: hash,
+      });
+      expect(result.success).toBe(true);
+    });
+  });
+
 });
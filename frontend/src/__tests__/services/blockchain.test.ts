@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
 // Mock ethers before importing blockchain service
 const mockGetSigner = vi.fn();
@@ -12,6 +12,21 @@ const mockContract = {
   getUserTasks: vi.fn(),
   getUserTaskDetails: vi.fn(),
   getTaskCount: vi.fn(),
+  getNonce: vi.fn(),
+  createTaskWithDetails: vi.fn(),
+  batchCreateTasks: vi.fn(),
+  batchCompleteTasks: vi.fn(),
+  batchDeleteTasks: vi.fn(),
+  createRecurringTask: vi.fn(),
+  setTaskRecurrence: vi.fn(),
+  setTaskDependencies: vi.fn(),
+  fundBounty: vi.fn(),
+  cancelBounty: vi.fn(),
+  assignTask: vi.fn(),
+  acceptAssignment: vi.fn(),
+  rejectAssignment: vi.fn(),
+  getPendingWithdrawal: vi.fn(),
+  withdraw: vi.fn(),
   interface: {
     parseLog: vi.fn(),
   },
@@ -19,14 +34,30 @@ const mockContract = {
 
 vi.mock('ethers', () => ({
   BrowserProvider: vi.fn(),
-  Contract: vi.fn(() => mockContract),
+  Contract: vi.fn(function () {
+    return mockContract;
+  }),
+  ZeroAddress: '0x0000000000000000000000000000000000000000',
+  parseEther: (amount: string) => BigInt(amount) * 10n ** 18n,
 }));
 
 vi.mock('../../contracts/TodoListV2ABI.json', () => ({
   default: [],
 }));
 
+vi.mock('../../services/api', () => ({
+  apiService: {
+    getRelayStatus: vi.fn(),
+    relay: vi.fn(),
+  },
+}));
+
+vi.mock('../../services/ipfs', () => ({
+  uploadDescription: vi.fn().mockResolvedValue('ipfs://bafytest'),
+}));
+
 import { blockchainService } from '../../services/blockchain';
+import { uploadDescription } from '../../services/ipfs';
 
 describe('blockchainService', () => {
   const mockProvider = {
@@ -88,6 +119,54 @@ describe('blockchainService', () => {
     });
   });
 
+  describe('setTaskPriority', () => {
+    it('throws when contract not available', async () => {
+      await expect(
+        blockchainService.setTaskPriority(mockProvider, 999999, '1', 3)
+      ).rejects.toThrow('Contract not available');
+    });
+  });
+
+  describe('setTaskTags', () => {
+    it('throws when contract not available', async () => {
+      await expect(
+        blockchainService.setTaskTags(mockProvider, 999999, '1', [])
+      ).rejects.toThrow('Contract not available');
+    });
+  });
+
+  describe('createList', () => {
+    it('throws when contract not available', async () => {
+      await expect(
+        blockchainService.createList(mockProvider, 999999, 'Household')
+      ).rejects.toThrow('Contract not available');
+    });
+  });
+
+  describe('createSubtask', () => {
+    it('throws when contract not available', async () => {
+      await expect(
+        blockchainService.createSubtask(mockProvider, 999999, '1', 'Step 1')
+      ).rejects.toThrow('Contract not available');
+    });
+  });
+
+  describe('setListMember', () => {
+    it('throws when contract not available', async () => {
+      await expect(
+        blockchainService.setListMember(mockProvider, 999999, '1', '0xABC', 'editor')
+      ).rejects.toThrow('Contract not available');
+    });
+  });
+
+  describe('moveTaskToList', () => {
+    it('throws when contract not available', async () => {
+      await expect(
+        blockchainService.moveTaskToList(mockProvider, 999999, '1', '2')
+      ).rejects.toThrow('Contract not available');
+    });
+  });
+
   describe('completeTask', () => {
     it('throws when contract not available', async () => {
       await expect(
@@ -120,6 +199,20 @@ describe('blockchainService', () => {
     });
   });
 
+  describe('batch operations', () => {
+    it('throw when contract not available', async () => {
+      await expect(
+        blockchainService.batchCreateTasks(mockProvider, 99999, [{ description: 'A' }])
+      ).rejects.toThrow('Contract not available');
+      await expect(blockchainService.batchCompleteTasks(mockProvider, 99999, ['1'])).rejects.toThrow(
+        'Contract not available'
+      );
+      await expect(blockchainService.batchDeleteTasks(mockProvider, 99999, ['1'])).rejects.toThrow(
+        'Contract not available'
+      );
+    });
+  });
+
   describe('getTask', () => {
     it('throws when contract not available', async () => {
       await expect(
@@ -231,6 +324,12 @@ describe('blockchainService with configured address', () => {
       ).rejects.toThrow('Contract not available');
     });
 
+    it('throws for unsupported network when creating with priority and tags', async () => {
+      await expect(
+        blockchainService.createTask(mockProvider, 999999, 'test', null, { priority: 2, tags: ['work'] })
+      ).rejects.toThrow('Contract not available');
+    });
+
     it('throws for unsupported network when creating without due date', async () => {
       await expect(
         blockchainService.createTask(mockProvider, 999999, 'test', null)
@@ -238,3 +337,383 @@ describe('blockchainService with configured address', () => {
     });
   });
 });
+
+describe('blockchainService gasless relaying', () => {
+  const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  const USER = '0x1234567890123456789012345678901234567890';
+
+  const mockSigner = {
+    getAddress: vi.fn(),
+    signTypedData: vi.fn(),
+  };
+  const mockProvider = {
+    getSigner: vi.fn(),
+    getBalance: vi.fn(),
+  } as any;
+
+  const mockTx = {
+    wait: vi.fn().mockResolvedValue({ hash: '0xdirect', logs: [] }),
+  };
+
+  // CONTRACT_ADDRESSES is read at module load, so load a fresh copy with an address set
+  let service: typeof blockchainService;
+  let api: typeof import('../../services/api').apiService;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vi.stubEnv('VITE_CONTRACT_ADDRESS_31337', CONTRACT_ADDRESS);
+    vi.resetModules();
+    ({ blockchainService: service } = await import('../../services/blockchain'));
+    ({ apiService: api } = await import('../../services/api'));
+
+    mockSigner.getAddress.mockResolvedValue(USER);
+    mockSigner.signTypedData.mockResolvedValue('0xsignature');
+    mockProvider.getSigner.mockResolvedValue(mockSigner);
+    mockProvider.getBalance.mockResolvedValue(0n);
+    mockContract.getNonce.mockResolvedValue(3n);
+    mockContract.completeTask.mockResolvedValue(mockTx);
+    mockContract.createTaskWithDetails.mockResolvedValue(mockTx);
+    vi.mocked(api.getRelayStatus).mockResolvedValue({ success: true, data: { enabled: true, address: null } });
+    vi.mocked(api.relay).mockResolvedValue({
+      success: true,
+      data: { transactionHash: '0xrelayed', blockNumber: 5, taskId: '9' },
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('signs and relays a task action when the account has no gas', async () => {
+    const result = await service.completeTask(mockProvider, 31337, '1');
+
+    expect(mockSigner.signTypedData).toHaveBeenCalledWith(
+      { name: 'TodoListV2', version: '1', chainId: 31337, verifyingContract: CONTRACT_ADDRESS },
+      {
+        CompleteTask: [
+          { name: 'user', type: 'address' },
+          { name: 'taskId', type: 'uint256' },
+          { name: 'nonce', type: 'uint256' },
+          { name: 'deadline', type: 'uint256' },
+        ],
+      },
+      expect.objectContaining({ user: USER, taskId: '1', nonce: 3n })
+    );
+    expect(api.relay).toHaveBeenCalledWith(
+      expect.objectContaining({ chainId: 31337, action: 'complete', user: USER, taskId: '1', signature: '0xsignature' })
+    );
+    expect(mockContract.completeTask).not.toHaveBeenCalled();
+    expect(result).toEqual({ transactionHash: '0xrelayed' });
+  });
+
+  it('relays task creation with the IPFS description and returns the new taskId', async () => {
+    const result = await service.createTask(mockProvider, 31337, 'Buy milk', null);
+
+    expect(api.relay).toHaveBeenCalledWith(
+      expect.objectContaining({ action: 'create', description: 'ipfs://bafytest', dueDate: 0 })
+    );
+    expect(result).toEqual({ taskId: '9', transactionHash: '0xrelayed' });
+  });
+
+  it('uploads attachments with the description', async () => {
+    const attachments = [{ type: 'link' as const, name: null, url: 'https://example.com' }];
+
+    await service.createTask(mockProvider, 31337, 'Buy milk', null, { attachments });
+
+    expect(uploadDescription).toHaveBeenCalledWith('Buy milk', undefined, attachments, undefined);
+  });
+
+  it('uploads Markdown descriptions with their content type', async () => {
+    await service.createTask(mockProvider, 31337, '- [ ] Milk', null, { contentType: 'text/markdown' });
+
+    expect(uploadDescription).toHaveBeenCalledWith('- [ ] Milk', undefined, undefined, 'text/markdown');
+  });
+
+  it('sends the transaction directly when the account has gas', async () => {
+    mockProvider.getBalance.mockResolvedValue(10n ** 15n);
+
+    const result = await service.completeTask(mockProvider, 31337, '1');
+
+    expect(mockContract.completeTask).toHaveBeenCalledWith('1');
+    expect(api.getRelayStatus).not.toHaveBeenCalled();
+    expect(result).toEqual({ transactionHash: '0xdirect' });
+  });
+
+  it('sends the transaction directly when the relayer is disabled', async () => {
+    vi.mocked(api.getRelayStatus).mockResolvedValue({ success: true, data: { enabled: false, address: null } });
+
+    await service.completeTask(mockProvider, 31337, '1');
+
+    expect(mockContract.completeTask).toHaveBeenCalledWith('1');
+    expect(api.relay).not.toHaveBeenCalled();
+  });
+
+  it('does not relay creation with priority or tags', async () => {
+    await service.createTask(mockProvider, 31337, 'Buy milk', null, { priority: 2 });
+
+    expect(mockContract.createTaskWithDetails).toHaveBeenCalled();
+    expect(api.relay).not.toHaveBeenCalled();
+  });
+});
+
+describe('blockchainService batch operations', () => {
+  const mockProvider = {
+    getSigner: vi.fn().mockResolvedValue({}),
+  } as any;
+
+  let service: typeof blockchainService;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vi.stubEnv('VITE_CONTRACT_ADDRESS_31337', '0x5FbDB2315678afecb367f032d93F642f64180aa3');
+    vi.resetModules();
+    ({ blockchainService: service } = await import('../../services/blockchain'));
+    mockProvider.getSigner.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('uploads every description and returns the created task IDs', async () => {
+    const logs = [{ topics: ['0x1'], data: '0x' }, { topics: ['0x2'], data: '0x' }, { topics: ['0x3'], data: '0x' }];
+    mockContract.batchCreateTasks.mockResolvedValue({
+      wait: vi.fn().mockResolvedValue({ hash: '0xbatch', logs }),
+    });
+    mockContract.interface.parseLog
+      .mockReturnValueOnce({ name: 'TaskCreated', args: { taskId: 4n } })
+      .mockImplementationOnce(() => {
+        throw new Error('unknown event');
+      })
+      .mockReturnValueOnce({ name: 'TaskCreated', args: { taskId: 5n } });
+
+    const dueDate = new Date('2030-01-01T00:00:00Z');
+    const result = await service.batchCreateTasks(mockProvider, 31337, [
+      { description: 'A' },
+      { description: 'B', dueDate },
+    ]);
+
+    expect(mockContract.batchCreateTasks).toHaveBeenCalledWith(
+      ['ipfs://bafytest', 'ipfs://bafytest'],
+      [0, dueDate.getTime() / 1000]
+    );
+    expect(result).toEqual({ taskIds: ['4', '5'], transactionHash: '0xbatch' });
+  });
+
+  it('completes and deletes tasks in a single transaction', async () => {
+    const tx = { wait: vi.fn().mockResolvedValue({ hash: '0xbatch', logs: [] }) };
+    mockContract.batchCompleteTasks.mockResolvedValue(tx);
+    mockContract.batchDeleteTasks.mockResolvedValue(tx);
+
+    await expect(service.batchCompleteTasks(mockProvider, 31337, ['1', '2'])).resolves.toEqual({
+      transactionHash: '0xbatch',
+    });
+    await expect(service.batchDeleteTasks(mockProvider, 31337, ['3'])).resolves.toEqual({
+      transactionHash: '0xbatch',
+    });
+
+    expect(mockContract.batchCompleteTasks).toHaveBeenCalledWith(['1', '2']);
+    expect(mockContract.batchDeleteTasks).toHaveBeenCalledWith(['3']);
+  });
+});
+
+describe('blockchainService recurring tasks', () => {
+  const mockProvider = {
+    getSigner: vi.fn().mockResolvedValue({}),
+  } as any;
+  const receipt = { hash: '0xcreate', logs: [{ topics: ['0x1'], data: '0x' }] };
+
+  let service: typeof blockchainService;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vi.stubEnv('VITE_CONTRACT_ADDRESS_31337', '0x5FbDB2315678afecb367f032d93F642f64180aa3');
+    vi.resetModules();
+    ({ blockchainService: service } = await import('../../services/blockchain'));
+    mockProvider.getSigner.mockResolvedValue({});
+    for (const method of ['createRecurringTask', 'createTaskWithDetails', 'setTaskRecurrence'] as const) {
+      mockContract[method].mockResolvedValue({ wait: vi.fn().mockResolvedValue(receipt) });
+    }
+    mockContract.interface.parseLog.mockReturnValue({ name: 'TaskCreated', args: { taskId: 7n } });
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('creates a recurring task in one transaction without relaying', async () => {
+    const result = await service.createTask(mockProvider, 31337, 'Stretch', null, {
+      recurrence: 'interval',
+      recurrenceInterval: 6 * 3600,
+    });
+
+    expect(mockContract.createRecurringTask).toHaveBeenCalledWith('ipfs://bafytest', 0, 4, 6 * 3600);
+    expect(mockContract.setTaskRecurrence).not.toHaveBeenCalled();
+    expect(result).toEqual({ taskId: '7', transactionHash: '0xcreate' });
+  });
+
+  it('sets the recurrence afterwards when the task has other details', async () => {
+    await service.createTask(mockProvider, 31337, 'Water plants', null, {
+      priority: 2,
+      recurrence: 'weekly',
+      recurrenceInterval: 3600,
+    });
+
+    expect(mockContract.createTaskWithDetails).toHaveBeenCalled();
+    expect(mockContract.setTaskRecurrence).toHaveBeenCalledWith('7', 2, 0);
+  });
+
+  it('maps the recurrence rule to the contract enum', async () => {
+    await service.setTaskRecurrence(mockProvider, 31337, '3', 'monthly');
+    await service.setTaskRecurrence(mockProvider, 31337, '3', 'none');
+
+    expect(mockContract.setTaskRecurrence).toHaveBeenNthCalledWith(1, '3', 3, 0);
+    expect(mockContract.setTaskRecurrence).toHaveBeenNthCalledWith(2, '3', 0, 0);
+  });
+});
+
+describe('blockchainService task dependencies', () => {
+  const mockProvider = {
+    getSigner: vi.fn().mockResolvedValue({}),
+  } as any;
+
+  let service: typeof blockchainService;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vi.stubEnv('VITE_CONTRACT_ADDRESS_31337', '0x5FbDB2315678afecb367f032d93F642f64180aa3');
+    vi.resetModules();
+    ({ blockchainService: service } = await import('../../services/blockchain'));
+    mockProvider.getSigner.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('replaces the dependencies on-chain', async () => {
+    mockContract.setTaskDependencies.mockResolvedValue({
+      wait: vi.fn().mockResolvedValue({ hash: '0xdeps' }),
+    });
+
+    const result = await service.setTaskDependencies(mockProvider, 31337, '4', ['1', '2']);
+
+    expect(mockContract.setTaskDependencies).toHaveBeenCalledWith('4', ['1', '2']);
+    expect(result).toEqual({ transactionHash: '0xdeps' });
+  });
+
+  it('maps the dependencies of a task to strings', async () => {
+    mockContract.getTask.mockResolvedValue({
+      id: 4n,
+      owner: '0x1234',
+      description: 'Send invites',
+      completed: false,
+      createdAt: 1700000000n,
+      completedAt: 0n,
+      priority: 0n,
+      tags: [],
+      listId: 0n,
+      parentId: 0n,
+      recurrence: 0n,
+      recurrenceInterval: 0n,
+      seriesId: 0n,
+      dependencies: [1n, 2n],
+    });
+
+    const task = await service.getTask(mockProvider, 31337, '4');
+
+    expect(task.dependencies).toEqual(['1', '2']);
+  });
+});
+
+describe('blockchainService bounties', () => {
+  const mockProvider = {
+    getSigner: vi.fn().mockResolvedValue({}),
+  } as any;
+  const tx = { wait: vi.fn().mockResolvedValue({ hash: '0xbounty' }) };
+
+  let service: typeof blockchainService;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vi.stubEnv('VITE_CONTRACT_ADDRESS_31337', '0x5FbDB2315678afecb367f032d93F642f64180aa3');
+    vi.resetModules();
+    ({ blockchainService: service } = await import('../../services/blockchain'));
+    mockProvider.getSigner.mockResolvedValue({});
+    for (const method of [
+      'fundBounty',
+      'cancelBounty',
+      'assignTask',
+      'acceptAssignment',
+      'rejectAssignment',
+      'withdraw',
+    ] as const) {
+      mockContract[method].mockResolvedValue(tx);
+    }
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('sends the bounty as the transaction value', async () => {
+    const result = await service.fundBounty(mockProvider, 31337, '4', '2');
+
+    expect(mockContract.fundBounty).toHaveBeenCalledWith('4', { value: 2000000000000000000n });
+    expect(result).toEqual({ transactionHash: '0xbounty' });
+  });
+
+  it('assigns and unassigns a task', async () => {
+    await service.assignTask(mockProvider, 31337, '4', '0x2222222222222222222222222222222222222222');
+    await service.assignTask(mockProvider, 31337, '4', null);
+
+    expect(mockContract.assignTask).toHaveBeenNthCalledWith(1, '4', '0x2222222222222222222222222222222222222222');
+    expect(mockContract.assignTask).toHaveBeenNthCalledWith(2, '4', '0x0000000000000000000000000000000000000000');
+  });
+
+  it('accepts and rejects an assignment', async () => {
+    expect(await service.acceptAssignment(mockProvider, 31337, '4')).toEqual({ transactionHash: '0xbounty' });
+    expect(await service.rejectAssignment(mockProvider, 31337, '5')).toEqual({ transactionHash: '0xbounty' });
+
+    expect(mockContract.acceptAssignment).toHaveBeenCalledWith('4');
+    expect(mockContract.rejectAssignment).toHaveBeenCalledWith('5');
+  });
+
+  it('reads and withdraws the pending balance', async () => {
+    mockContract.getPendingWithdrawal.mockResolvedValue(10n);
+
+    expect(await service.getPendingWithdrawal(mockProvider, 31337, '0x1234')).toBe(10n);
+    await service.withdraw(mockProvider, 31337);
+
+    expect(mockContract.getPendingWithdrawal).toHaveBeenCalledWith('0x1234');
+    expect(mockContract.withdraw).toHaveBeenCalled();
+  });
+
+  it('maps the bounty and assignees of a task', async () => {
+    mockContract.getTask.mockResolvedValue({
+      id: 4n,
+      owner: '0x1234',
+      description: 'Fix the fence',
+      completed: false,
+      createdAt: 1700000000n,
+      completedAt: 0n,
+      priority: 0n,
+      tags: [],
+      listId: 0n,
+      parentId: 0n,
+      recurrence: 0n,
+      recurrenceInterval: 0n,
+      seriesId: 0n,
+      dependencies: [],
+      bounty: 10n,
+      assignee: '0x0000000000000000000000000000000000000000',
+      pendingAssignee: '0x2222222222222222222222222222222222222222',
+    });
+
+    const task = await service.getTask(mockProvider, 31337, '4');
+
+    expect(task.bounty).toBe('10');
+    expect(task.assignee).toBeNull();
+    expect(task.pendingAssignee).toBe('0x2222222222222222222222222222222222222222');
+  });
+});
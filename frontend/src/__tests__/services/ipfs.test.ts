@@ -1,5 +1,28 @@
-import { describe, it, expect } from 'vitest';
-import { isIpfsCid, extractCid, gatewayUrl } from '../../services/ipfs';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import axios from 'axios';
+import {
+  isIpfsCid,
+  extractCid,
+  gatewayUrl,
+  resolveDescription,
+  uploadAttachment,
+  uploadDescription,
+} from '../../services/ipfs';
+import { apiService } from '../../services/api';
+import { deriveDescriptionKey, encryptText } from '../../utils/encryption';
+
+vi.mock('axios', () => ({
+  default: {
+    get: vi.fn(),
+    isAxiosError: (error: { isAxiosError?: boolean }) => !!error?.isAxiosError,
+  },
+}));
+
+vi.mock('../../services/api', () => ({
+  apiService: { pinToIpfs: vi.fn(), uploadAttachment: vi.fn() },
+}));
+
+const pinned = (cid: string) => ({ success: true, data: { cid, uri: `ipfs://${cid}` } });
 
 describe('ipfs service utilities', () => {
   describe('isIpfsCid', () => {
@@ -28,4 +51,165 @@ describe('ipfs service utilities', () => {
       expect(url).toMatch(/^https?:\/\//);
     });
   });
+
+  describe('uploadDescription', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('pins the envelope through the backend', async () => {
+      vi.mocked(apiService.pinToIpfs).mockResolvedValue(pinned('bafyplain'));
+
+      await expect(uploadDescription('Buy milk')).resolves.toBe('ipfs://bafyplain');
+
+      expect(apiService.pinToIpfs).toHaveBeenCalledWith({
+        description: 'Buy milk',
+        version: 1,
+        timestamp: expect.any(Number),
+      });
+    });
+
+    it('retries once after a network error', async () => {
+      vi.useFakeTimers();
+      vi.mocked(apiService.pinToIpfs)
+        .mockRejectedValueOnce(new Error('Network Error'))
+        .mockResolvedValueOnce(pinned('bafyretry'));
+
+      const upload = uploadDescription('Buy milk');
+      await vi.advanceTimersByTimeAsync(1000);
+
+      await expect(upload).resolves.toBe('ipfs://bafyretry');
+      expect(apiService.pinToIpfs).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not retry when the backend refuses the upload', async () => {
+      vi.mocked(apiService.pinToIpfs).mockRejectedValue(
+        Object.assign(new Error('IPFS pinning is not enabled on this server'), {
+          isAxiosError: true,
+          response: { status: 503 },
+        })
+      );
+
+      await expect(uploadDescription('Buy milk')).rejects.toThrow(
+        'Failed to upload to IPFS: IPFS pinning is not enabled on this server'
+      );
+      expect(apiService.pinToIpfs).toHaveBeenCalledTimes(1);
+    });
+
+    it('marks Markdown descriptions with a content type', async () => {
+      vi.mocked(apiService.pinToIpfs).mockResolvedValue(pinned('bafymd'));
+
+      await uploadDescription('- [ ] Milk', null, [], 'text/markdown');
+
+      expect(apiService.pinToIpfs).toHaveBeenCalledWith({
+        description: '- [ ] Milk',
+        contentType: 'text/markdown',
+        version: 1,
+        timestamp: expect.any(Number),
+      });
+    });
+
+    it('rejects descriptions over the length limit', async () => {
+      await expect(uploadDescription('a'.repeat(10001))).rejects.toThrow(
+        'Description must be 10000 characters or less'
+      );
+      expect(apiService.pinToIpfs).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('attachments', () => {
+    const image = { type: 'image' as const, name: 'photo.png', mimeType: 'image/png', size: 3, cid: 'bafkphoto' };
+    const link = { type: 'link' as const, name: null, url: 'https://example.com' };
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('pins a version 2 envelope with the attachments', async () => {
+      vi.mocked(apiService.pinToIpfs).mockResolvedValue(pinned('bafyv2'));
+
+      await uploadDescription('Buy milk', null, [image, link]);
+
+      expect(apiService.pinToIpfs).toHaveBeenCalledWith({
+        description: 'Buy milk',
+        attachments: [image, link],
+        version: 2,
+        timestamp: expect.any(Number),
+      });
+    });
+
+    it('refuses attachments on an encrypted description', async () => {
+      const key = await deriveDescriptionKey(`0x${'ab'.repeat(65)}`);
+
+      await expect(uploadDescription('Secret plan', key, [link])).rejects.toThrow(
+        'Attachments cannot be added to an encrypted task'
+      );
+      expect(apiService.pinToIpfs).not.toHaveBeenCalled();
+    });
+
+    it('uploads a file through the backend', async () => {
+      vi.mocked(apiService.uploadAttachment).mockResolvedValue({ success: true, data: image });
+      const file = new File(['png'], 'photo.png', { type: 'image/png' });
+
+      await expect(uploadAttachment(file)).resolves.toEqual(image);
+      expect(apiService.uploadAttachment).toHaveBeenCalledWith(file);
+    });
+
+    it('checks the file type before uploading', async () => {
+      const file = new File(['<svg/>'], 'logo.svg', { type: 'image/svg+xml' });
+
+      await expect(uploadAttachment(file)).rejects.toThrow('only images, PDFs and text files can be attached');
+      expect(apiService.uploadAttachment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('encrypted descriptions', () => {
+    let key: CryptoKey;
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      key = await deriveDescriptionKey(`0x${'ab'.repeat(65)}`);
+    });
+
+    it('encrypts the description before uploading it', async () => {
+      vi.mocked(apiService.pinToIpfs).mockResolvedValue(pinned('QmSecret'));
+
+      const uri = await uploadDescription('Secret plan', key);
+
+      expect(uri).toBe('ipfs://QmSecret');
+      const content = vi.mocked(apiService.pinToIpfs).mock.calls[0][0];
+      expect(content.description).toBeUndefined();
+      expect(content.version).toBe(1);
+      expect(content.encrypted).toEqual(
+        expect.objectContaining({ scheme: 'aes-256-gcm/hkdf-sha256', version: 1 })
+      );
+      expect(JSON.stringify(content)).not.toContain('Secret plan');
+    });
+
+    it('decrypts an encrypted envelope with the key', async () => {
+      vi.mocked(axios.get).mockResolvedValue({
+        data: { encrypted: await encryptText('Secret plan', key), version: 1, timestamp: 1 },
+      });
+
+      await expect(resolveDescription('ipfs://QmSecret', key)).resolves.toBe('Secret plan');
+    });
+
+    it('throws without a key', async () => {
+      vi.mocked(axios.get).mockResolvedValue({
+        data: { encrypted: await encryptText('Secret plan', key), version: 1, timestamp: 1 },
+      });
+
+      await expect(resolveDescription('ipfs://QmSecret')).rejects.toThrow(/encrypted/i);
+    });
+
+    it('still resolves plaintext envelopes', async () => {
+      vi.mocked(axios.get).mockResolvedValue({ data: { description: 'Buy milk', version: 1 } });
+
+      await expect(resolveDescription('ipfs://QmPlain', key)).resolves.toBe('Buy milk');
+    });
+  });
 });
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_ATTACHMENT_BYTES,
+  attachmentFileError,
+  formatBytes,
+  isImageType,
+  linkAttachment,
+} from '../../utils/attachments';
+
+const file = (name: string, type: string, size = 3) =>
+  new File([new Uint8Array(size)], name, { type });
+
+describe('attachment helpers', () => {
+  describe('attachmentFileError', () => {
+    it('accepts images, PDFs and text files', () => {
+      expect(attachmentFileError(file('photo.png', 'image/png'))).toBeNull();
+      expect(attachmentFileError(file('spec.pdf', 'application/pdf'))).toBeNull();
+      expect(attachmentFileError(file('notes.md', 'text/markdown'))).toBeNull();
+    });
+
+    it('rejects other types, including SVG', () => {
+      expect(attachmentFileError(file('logo.svg', 'image/svg+xml'))).toMatch(/only images, PDFs and text files/);
+      expect(attachmentFileError(file('app.exe', 'application/octet-stream'))).not.toBeNull();
+    });
+
+    it('rejects empty and oversized files', () => {
+      expect(attachmentFileError(file('empty.txt', 'text/plain', 0))).toBe('empty.txt is empty');
+      expect(attachmentFileError(file('big.png', 'image/png', MAX_ATTACHMENT_BYTES + 1))).toBe(
+        'big.png is larger than 5.0 MB'
+      );
+    });
+  });
+
+  describe('linkAttachment', () => {
+    it('builds a link attachment from a URL', () => {
+      expect(linkAttachment(' https://example.com/doc ', ' Spec ')).toEqual({
+        type: 'link',
+        url: 'https://example.com/doc',
+        name: 'Spec',
+      });
+      expect(linkAttachment('http://example.com').name).toBeNull();
+    });
+
+    it('only accepts http(s) URLs', () => {
+      expect(() => linkAttachment('example.com')).toThrow('Enter a full link');
+      expect(() => linkAttachment('javascript:alert(1)')).toThrow('Only http and https links');
+    });
+  });
+
+  it('recognizes the inline image types', () => {
+    expect(isImageType('image/webp')).toBe(true);
+    expect(isImageType('application/pdf')).toBe(false);
+    expect(isImageType(undefined)).toBe(false);
+  });
+
+  it('formats sizes', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { formatBounty, hasBounty, parseBountyAmount } from '../../utils/bounty';
+
+describe('bounty helpers', () => {
+  it('formats wei as ETH', () => {
+    expect(formatBounty('50000000000000000')).toBe('0.05 ETH');
+    expect(formatBounty(10n ** 18n)).toBe('1.0 ETH');
+  });
+
+  it('only counts positive amounts as a bounty', () => {
+    expect(hasBounty('1')).toBe(true);
+    expect(hasBounty('0')).toBe(false);
+    expect(hasBounty(null)).toBe(false);
+    expect(hasBounty(undefined)).toBe(false);
+  });
+
+  it('parses a positive ETH amount into wei', () => {
+    expect(parseBountyAmount(' 0.05 ')).toBe(50000000000000000n);
+    expect(parseBountyAmount('0')).toBeNull();
+    expect(parseBountyAmount('-1')).toBeNull();
+    expect(parseBountyAmount('lots')).toBeNull();
+    expect(parseBountyAmount('')).toBeNull();
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { dependencyCandidates, openDependencies } from '../../utils/dependencies';
+import type { Todo } from '../../types/todo';
+
+const task = (blockchainId: string, overrides: Partial<Todo> = {}): Todo =>
+  ({
+    _id: `todo-${blockchainId}`,
+    blockchainId,
+    chainId: 31337,
+    completed: false,
+    deleted: false,
+    dependencies: [],
+    ...overrides,
+  }) as Todo;
+
+describe('dependency helpers', () => {
+  describe('openDependencies', () => {
+    it('leaves out completed and deleted dependencies', () => {
+      const known = [task('1', { completed: true }), task('2', { deleted: true }), task('3')];
+
+      expect(openDependencies(['1', '2', '3'], known)).toEqual(['3']);
+    });
+
+    it('treats unknown dependencies as open', () => {
+      expect(openDependencies(['7'], [task('1')])).toEqual(['7']);
+    });
+  });
+
+  describe('dependencyCandidates', () => {
+    it('offers other open tasks on the same chain', () => {
+      const todo = task('1', { dependencies: ['2'] });
+      const tasks = [
+        todo,
+        task('2'),
+        task('3'),
+        task('4', { completed: true }),
+        task('5', { deleted: true }),
+        task('6', { chainId: 11155111 }),
+      ];
+
+      expect(dependencyCandidates(todo, tasks).map(t => t.blockchainId)).toEqual(['3']);
+    });
+  });
+});
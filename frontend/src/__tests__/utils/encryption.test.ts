@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ENCRYPTION_SCHEME,
+  ENCRYPTION_VERSION,
+  decryptText,
+  deriveDescriptionKey,
+  descriptionKeyMessage,
+  encryptText,
+  isEncryptedPayload,
+} from '../../utils/encryption';
+
+const SIGNATURE = `0x${'ab'.repeat(65)}`;
+const OTHER_SIGNATURE = `0x${'cd'.repeat(65)}`;
+
+describe('encryption utilities', () => {
+  describe('descriptionKeyMessage', () => {
+    it('names the checksummed account and the scheme', () => {
+      const message = descriptionKeyMessage('0xabcdef1234567890123456789012345678901234');
+
+      expect(message).toContain('Account: 0xaBcDef1234567890123456789012345678901234');
+      expect(message).toContain(`Scheme: ${ENCRYPTION_SCHEME} v${ENCRYPTION_VERSION}`);
+    });
+  });
+
+  describe('encryptText / decryptText', () => {
+    it('round-trips a description', async () => {
+      const key = await deriveDescriptionKey(SIGNATURE);
+
+      const payload = await encryptText('Plan the launch 🚀', key);
+
+      expect(payload.scheme).toBe(ENCRYPTION_SCHEME);
+      expect(payload.version).toBe(ENCRYPTION_VERSION);
+      expect(payload.ciphertext).not.toContain('Plan');
+      await expect(decryptText(payload, key)).resolves.toBe('Plan the launch 🚀');
+    });
+
+    it('uses a fresh IV for every encryption', async () => {
+      const key = await deriveDescriptionKey(SIGNATURE);
+
+      const first = await encryptText('Same text', key);
+      const second = await encryptText('Same text', key);
+
+      expect(first.iv).not.toBe(second.iv);
+      expect(first.ciphertext).not.toBe(second.ciphertext);
+    });
+
+    it('derives the same key from the same signature', async () => {
+      const payload = await encryptText('Secret', await deriveDescriptionKey(SIGNATURE));
+
+      await expect(decryptText(payload, await deriveDescriptionKey(SIGNATURE))).resolves.toBe('Secret');
+    });
+
+    it('fails with the key of another signature', async () => {
+      const payload = await encryptText('Secret', await deriveDescriptionKey(SIGNATURE));
+
+      await expect(decryptText(payload, await deriveDescriptionKey(OTHER_SIGNATURE)))
+        .rejects.toThrow(/could not decrypt/i);
+    });
+
+    it('fails when the ciphertext was tampered with', async () => {
+      const key = await deriveDescriptionKey(SIGNATURE);
+      const payload = await encryptText('Secret', key);
+      const flipped = (parseInt(payload.ciphertext.slice(-2), 16) ^ 1).toString(16).padStart(2, '0');
+
+      await expect(decryptText({ ...payload, ciphertext: payload.ciphertext.slice(0, -2) + flipped }, key))
+        .rejects.toThrow(/could not decrypt/i);
+    });
+
+    it('refuses unknown schemes and versions', async () => {
+      const key = await deriveDescriptionKey(SIGNATURE);
+      const payload = await encryptText('Secret', key);
+
+      await expect(decryptText({ ...payload, version: 2 }, key)).rejects.toThrow(/unsupported encryption scheme/i);
+      await expect(decryptText({ ...payload, scheme: 'rot13' }, key)).rejects.toThrow(/unsupported encryption scheme/i);
+    });
+  });
+
+  describe('isEncryptedPayload', () => {
+    it('recognises payloads', async () => {
+      const payload = await encryptText('Secret', await deriveDescriptionKey(SIGNATURE));
+
+      expect(isEncryptedPayload(payload)).toBe(true);
+      expect(isEncryptedPayload({ description: 'Secret' })).toBe(false);
+      expect(isEncryptedPayload(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { markdownToText, parseInline, parseMarkdown, sanitizeUrl } from '../../utils/markdown';
+
+describe('markdown helpers', () => {
+  describe('sanitizeUrl', () => {
+    it('keeps http(s) and mailto links', () => {
+      expect(sanitizeUrl('https://example.com/a?b=1')).toBe('https://example.com/a?b=1');
+      expect(sanitizeUrl('http://example.com')).toBe('http://example.com');
+      expect(sanitizeUrl('mailto:team@example.com')).toBe('mailto:team@example.com');
+    });
+
+    it('refuses script, data and relative URLs', () => {
+      expect(sanitizeUrl('javascript:alert(1)')).toBeNull();
+      expect(sanitizeUrl(' JavaScript:alert(1)')).toBeNull();
+      expect(sanitizeUrl('data:text/html,<script>alert(1)</script>')).toBeNull();
+      expect(sanitizeUrl('/settings')).toBeNull();
+    });
+  });
+
+  describe('parseInline', () => {
+    it('parses emphasis, code and links', () => {
+      expect(parseInline('**Ship** the `build` to [prod](https://example.com)')).toEqual([
+        { type: 'strong', children: [{ type: 'text', text: 'Ship' }] },
+        { type: 'text', text: ' the ' },
+        { type: 'code', text: 'build' },
+        { type: 'text', text: ' to ' },
+        { type: 'link', href: 'https://example.com', children: [{ type: 'text', text: 'prod' }] },
+      ]);
+    });
+
+    it('keeps the text of unsafe links without a URL', () => {
+      expect(parseInline('[click](javascript:void0)')[0]).toMatchObject({ type: 'link', href: null });
+    });
+
+    it('leaves raw HTML and snake_case words as text', () => {
+      expect(parseInline('<img src=x onerror=alert(1)>')).toEqual([
+        { type: 'text', text: '<img src=x onerror=alert(1)>' },
+      ]);
+      expect(parseInline('rename snake_case_name')).toEqual([{ type: 'text', text: 'rename snake_case_name' }]);
+    });
+
+    it('honours escapes', () => {
+      expect(parseInline('\\*not emphasis\\*')).toEqual([{ type: 'text', text: '*not emphasis*' }]);
+    });
+  });
+
+  describe('parseMarkdown', () => {
+    it('parses checklists', () => {
+      expect(parseMarkdown('- [ ] Milk\n- [x] Bread')).toEqual([
+        {
+          type: 'list',
+          ordered: false,
+          start: 1,
+          items: [
+            { checked: false, children: [{ type: 'text', text: 'Milk' }] },
+            { checked: true, children: [{ type: 'text', text: 'Bread' }] },
+          ],
+        },
+      ]);
+    });
+
+    it('parses headings, ordered lists and fenced code', () => {
+      const blocks = parseMarkdown('## Steps\n\n3. Build\n4. Deploy\n\n```\nnpm run build\n# not a heading\n```');
+
+      expect(blocks.map((block) => block.type)).toEqual(['heading', 'list', 'code']);
+      expect(blocks[0]).toMatchObject({ level: 2 });
+      expect(blocks[1]).toMatchObject({ ordered: true, start: 3 });
+      expect(blocks[2]).toEqual({ type: 'code', text: 'npm run build\n# not a heading' });
+    });
+
+    it('keeps line breaks inside a paragraph and splits on blank lines', () => {
+      const blocks = parseMarkdown('First line\nsecond line\n\nNext paragraph');
+
+      expect(blocks).toHaveLength(2);
+      expect(blocks[0]).toEqual({
+        type: 'paragraph',
+        children: [
+          { type: 'text', text: 'First line' },
+          { type: 'break' },
+          { type: 'text', text: 'second line' },
+        ],
+      });
+    });
+
+    it('parses quotes and rules', () => {
+      expect(parseMarkdown('> Note\n\n---')).toEqual([
+        { type: 'quote', children: [{ type: 'paragraph', children: [{ type: 'text', text: 'Note' }] }] },
+        { type: 'rule' },
+      ]);
+    });
+
+    it('keeps deeply nested quote markers as text', () => {
+      const blocks = parseMarkdown('> '.repeat(1000) + 'deep');
+      let block = blocks[0];
+      let depth = 0;
+      while (block.type === 'quote') {
+        block = block.children[0];
+        depth++;
+      }
+
+      expect(depth).toBe(4);
+      expect(markdownToText('> '.repeat(1000))).toContain('>');
+    });
+  });
+
+  it('flattens Markdown to plain text', () => {
+    expect(markdownToText('# Release\n\n- [ ] Tag **v2**\n- [x] Notes')).toBe('Release Tag v2, Notes');
+  });
+});
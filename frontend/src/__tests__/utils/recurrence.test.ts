@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { describeRecurrence, isValidInterval, recurrenceValue } from '../../utils/recurrence';
+
+describe('recurrence helpers', () => {
+  describe('recurrenceValue', () => {
+    it('maps rules to the contract enum', () => {
+      expect(recurrenceValue('none')).toBe(0);
+      expect(recurrenceValue('daily')).toBe(1);
+      expect(recurrenceValue('monthly')).toBe(3);
+      expect(recurrenceValue('interval')).toBe(4);
+    });
+  });
+
+  describe('isValidInterval', () => {
+    it('accepts whole seconds between an hour and a year', () => {
+      expect(isValidInterval(3600)).toBe(true);
+      expect(isValidInterval(365 * 86400)).toBe(true);
+      expect(isValidInterval(3599)).toBe(false);
+      expect(isValidInterval(366 * 86400)).toBe(false);
+      expect(isValidInterval(3600.5)).toBe(false);
+    });
+  });
+
+  describe('describeRecurrence', () => {
+    it('names the fixed rules', () => {
+      expect(describeRecurrence('none')).toBe('Does not repeat');
+      expect(describeRecurrence('weekly')).toBe('Repeats weekly');
+    });
+
+    it('shows custom intervals in days when they divide evenly', () => {
+      expect(describeRecurrence('interval', 3 * 86400)).toBe('Repeats every 3 days');
+      expect(describeRecurrence('interval', 86400)).toBe('Repeats every day');
+      expect(describeRecurrence('interval', 36 * 3600)).toBe('Repeats every 36 hours');
+      expect(describeRecurrence('interval', 3600)).toBe('Repeats every hour');
+    });
+  });
+});
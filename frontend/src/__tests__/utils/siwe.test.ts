@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { buildSiweMessage } from '../../utils/siwe';
+
+describe('buildSiweMessage', () => {
+  const fields = {
+    domain: 'localhost:5173',
+    address: '0xabcdef1234567890123456789012345678901234',
+    uri: 'http://localhost:5173',
+    chainId: 31337,
+    nonce: 'abcdef0123456789',
+    issuedAt: '2026-01-30T12:00:00.000Z',
+  };
+
+  it('builds an EIP-4361 message with a checksummed address', () => {
+    expect(buildSiweMessage({ ...fields, expirationTime: '2026-01-30T12:05:00.000Z' })).toBe(
+      [
+        'localhost:5173 wants you to sign in with your Ethereum account:',
+        '0xaBcDef1234567890123456789012345678901234',
+        '',
+        'Sign in to the Todo App.',
+        '',
+        'URI: http://localhost:5173',
+        'Version: 1',
+        'Chain ID: 31337',
+        'Nonce: abcdef0123456789',
+        'Issued At: 2026-01-30T12:00:00.000Z',
+        'Expiration Time: 2026-01-30T12:05:00.000Z',
+      ].join('\n')
+    );
+  });
+
+  it('leaves out the expiration time when there is none', () => {
+    const message = buildSiweMessage({ ...fields, statement: 'Welcome back.' });
+
+    expect(message).toContain('\n\nWelcome back.\n\n');
+    expect(message.endsWith('Issued At: 2026-01-30T12:00:00.000Z')).toBe(true);
+  });
+});
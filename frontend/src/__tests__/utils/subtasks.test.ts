@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { completionPercent, countSubtasks, toTodo } from '../../utils/subtasks';
+import type { TodoTree } from '../../types/todo';
+
+const node = (overrides: Partial<TodoTree> = {}): TodoTree =>
+  ({
+    _id: '1',
+    blockchainId: '1',
+    completed: false,
+    deleted: false,
+    subtasks: [],
+    ...overrides,
+  }) as TodoTree;
+
+describe('subtask helpers', () => {
+  describe('countSubtasks', () => {
+    it('counts subtasks at any depth', () => {
+      const tree = node({
+        subtasks: [
+          node({ completed: true, subtasks: [node({ completed: true }), node()] }),
+          node({ subtasks: [node({ subtasks: [node({ completed: true })] })] }),
+        ],
+      });
+
+      expect(countSubtasks(tree)).toEqual({ total: 6, completed: 3 });
+    });
+
+    it('leaves out deleted subtasks and their children', () => {
+      const tree = node({
+        subtasks: [node({ deleted: true, subtasks: [node({ completed: true })] }), node()],
+      });
+
+      expect(countSubtasks(tree)).toEqual({ total: 1, completed: 0 });
+    });
+  });
+
+  describe('completionPercent', () => {
+    it('rounds to a whole percent', () => {
+      expect(completionPercent({ total: 3, completed: 2 })).toBe(67);
+      expect(completionPercent({ total: 4, completed: 4 })).toBe(100);
+    });
+
+    it('is 0 without subtasks', () => {
+      expect(completionPercent({ total: 0, completed: 0 })).toBe(0);
+    });
+  });
+
+  describe('toTodo', () => {
+    it('replaces nested subtasks with their roll-up', () => {
+      const todo = toTodo(node({ subtasks: [node({ completed: true }), node()] }));
+
+      expect(todo.subtasks).toEqual({ total: 2, completed: 1 });
+      expect(todo._id).toBe('1');
+    });
+  });
+});
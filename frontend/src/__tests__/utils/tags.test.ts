@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { id } from 'ethers';
+import { hashTag, parseTags, rememberTags, knownTags, tagLabel } from '../../utils/tags';
+
+describe('tag helpers', () => {
+  beforeEach(() => {
+    vi.mocked(localStorage.getItem).mockReset();
+    vi.mocked(localStorage.setItem).mockReset();
+  });
+
+  describe('hashTag', () => {
+    it('hashes the trimmed, lower-cased name', () => {
+      expect(hashTag('  Work ')).toBe(id('work'));
+    });
+  });
+
+  describe('parseTags', () => {
+    it('splits, normalizes and de-duplicates comma separated names', () => {
+      expect(parseTags('Work, urgent,,work ,  ')).toEqual(['work', 'urgent']);
+    });
+  });
+
+  describe('rememberTags', () => {
+    it('adds names to the ones already stored', () => {
+      vi.mocked(localStorage.getItem).mockReturnValue(JSON.stringify({ [id('home')]: 'home' }));
+
+      rememberTags(['Work']);
+
+      expect(JSON.parse(vi.mocked(localStorage.setItem).mock.calls[0][1])).toEqual({
+        [id('home')]: 'home',
+        [id('work')]: 'work',
+      });
+    });
+  });
+
+  describe('knownTags', () => {
+    it('lists stored tags by name', () => {
+      vi.mocked(localStorage.getItem).mockReturnValue(
+        JSON.stringify({ [id('work')]: 'work', [id('errands')]: 'errands' })
+      );
+
+      expect(knownTags()).toEqual([
+        { hash: id('errands'), name: 'errands' },
+        { hash: id('work'), name: 'work' },
+      ]);
+    });
+
+    it('ignores unreadable storage', () => {
+      vi.mocked(localStorage.getItem).mockReturnValue('not json');
+
+      expect(knownTags()).toEqual([]);
+    });
+  });
+
+  describe('tagLabel', () => {
+    it('returns the remembered name', () => {
+      vi.mocked(localStorage.getItem).mockReturnValue(JSON.stringify({ [id('work')]: 'work' }));
+
+      expect(tagLabel(id('work').toUpperCase().replace('0X', '0x'))).toBe('work');
+    });
+
+    it('falls back to a short hash', () => {
+      const hash = id('unknown');
+
+      expect(tagLabel(hash)).toBe(`#${hash.slice(2, 8)}`);
+    });
+  });
+});
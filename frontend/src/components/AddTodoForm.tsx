@@ -2,23 +2,61 @@ import React, { useState } from 'react';
 import { useWeb3 } from '../contexts/Web3Context';
 import { blockchainService } from '../services/blockchain';
 import { apiService } from '../services/api';
+import { uploadAttachment } from '../services/ipfs';
 import { HexagonPattern, DigitalGrid, ChainLinkPattern } from './patterns';
 import { useNetworkTheme } from '../hooks/useNetworkTheme';
 import { GlassCard } from './glass';
+import AttachmentPicker from './AttachmentPicker';
+import Markdown from './Markdown';
+import { PRIORITY_LABELS, MAX_TAGS_PER_TASK, parseTags } from '../utils/tags';
+import {
+  INTERVAL_UNITS,
+  MAX_RECURRENCE_INTERVAL,
+  RECURRENCE_RULES,
+  isValidInterval,
+  type IntervalUnit,
+} from '../utils/recurrence';
+import { MAX_DESCRIPTION_LENGTH } from '../utils/descriptions';
+import type { Attachment, Recurrence, TaskList } from '../types/todo';
+
+const RECURRENCE_OPTIONS: Record<Recurrence, string> = {
+  none: 'Does not repeat',
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  interval: 'Custom interval',
+};
 
 interface AddTodoFormProps {
   onTodoCreated: () => void;
+  // Shared lists the user can see; tasks can be added to those they can edit
+  lists?: TaskList[];
 }
 
-const AddTodoForm: React.FC<AddTodoFormProps> = ({ onTodoCreated }) => {
-  const { provider, chainId } = useWeb3();
+const AddTodoForm: React.FC<AddTodoFormProps> = ({ onTodoCreated, lists = [] }) => {
+  const { provider, chainId, unlockDescriptions } = useWeb3();
   const [description, setDescription] = useState('');
+  const [markdown, setMarkdown] = useState(false);
   const [dueDate, setDueDate] = useState<string>('');
+  const [priority, setPriority] = useState(0);
+  const [tagInput, setTagInput] = useState('');
+  // '' means a personal task
+  const [listId, setListId] = useState('');
+  const [recurrence, setRecurrence] = useState<Recurrence>('none');
+  const [intervalAmount, setIntervalAmount] = useState('1');
+  const [intervalUnit, setIntervalUnit] = useState<IntervalUnit>('days');
+  const [encrypt, setEncrypt] = useState(false);
+  const [attachmentFiles, setAttachmentFiles] = useState<File[]>([]);
+  const [links, setLinks] = useState<Attachment[]>([]);
   const [isCreating, setIsCreating] = useState(false);
   const [creatingPhase, setCreatingPhase] = useState<'ipfs' | 'blockchain' | null>(null);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState(false);
   const networkTheme = useNetworkTheme();
+  const editableLists = lists.filter(l => l.chainId === chainId && l.role !== 'viewer');
+  // Only the owner's key can decrypt, so list tasks stay readable to members
+  const isEncrypted = encrypt && !listId;
+  const hasAttachments = attachmentFiles.length > 0 || links.length > 0;
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -28,8 +66,26 @@ const AddTodoForm: React.FC<AddTodoFormProps> = ({ onTodoCreated }) => {
       return;
     }
 
-    if (description.length > 500) {
-      setError('Description must be 500 characters or less');
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      setError(`Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`);
+      return;
+    }
+
+    const tags = parseTags(tagInput);
+    if (tags.length > MAX_TAGS_PER_TASK) {
+      setError(`A task can have at most ${MAX_TAGS_PER_TASK} tags`);
+      return;
+    }
+
+    const recurrenceInterval =
+      recurrence === 'interval' ? Number(intervalAmount) * INTERVAL_UNITS[intervalUnit] : 0;
+    if (recurrence === 'interval' && !isValidInterval(recurrenceInterval)) {
+      setError(`Repeat interval must be between 1 hour and ${MAX_RECURRENCE_INTERVAL / INTERVAL_UNITS.days} days`);
+      return;
+    }
+
+    if (isEncrypted && hasAttachments) {
+      setError('Encrypted tasks cannot have attachments');
       return;
     }
 
@@ -61,11 +117,25 @@ const AddTodoForm: React.FC<AddTodoFormProps> = ({ onTodoCreated }) => {
 
     try {
       // Create task on blockchain with optional due date
-      // Phase 1: IPFS upload happens inside createTask
+      // Phase 1: attachments, then the description (inside createTask), go to IPFS
       // Phase 2: Blockchain transaction
       const dueDateObj = dueDate ? new Date(dueDate) : null;
+      const encryption = isEncrypted ? { encryptionKey: await unlockDescriptions() } : {};
+      const uploaded = await Promise.all(attachmentFiles.map(file => uploadAttachment(file)));
+      const attachments = hasAttachments ? { attachments: [...uploaded, ...links] } : {};
+      const format = markdown ? { contentType: 'text/markdown' as const } : {};
       setCreatingPhase('blockchain');
-      const result = await blockchainService.createTask(provider, chainId, description, dueDateObj);
+      // Tasks created in a list get their priority and tags afterwards
+      const repeat = recurrence !== 'none' ? { recurrence, recurrenceInterval } : {};
+      const result = await blockchainService.createTask(
+        provider,
+        chainId,
+        description,
+        dueDateObj,
+        listId
+          ? { listId, ...repeat, ...attachments, ...format }
+          : { priority, tags, ...repeat, ...encryption, ...attachments, ...format }
+      );
 
       // Backend will automatically sync via event listener
       // But we can also manually trigger sync if needed
@@ -82,6 +152,15 @@ const AddTodoForm: React.FC<AddTodoFormProps> = ({ onTodoCreated }) => {
       setSuccess(true);
       setDescription('');
       setDueDate('');
+      setPriority(0);
+      setTagInput('');
+      setListId('');
+      setRecurrence('none');
+      setIntervalAmount('1');
+      setIntervalUnit('days');
+      setEncrypt(false);
+      setAttachmentFiles([]);
+      setLinks([]);
 
       // Wait for backend to process the blockchain event before refreshing
       setTimeout(() => {
@@ -157,7 +236,7 @@ const AddTodoForm: React.FC<AddTodoFormProps> = ({ onTodoCreated }) => {
                 borderColor: `${networkTheme.primaryColor}33`,
               }}
               rows={3}
-              maxLength={500}
+              maxLength={MAX_DESCRIPTION_LENGTH}
               disabled={isCreating}
               aria-label="Task description"
             />
@@ -175,10 +254,25 @@ const AddTodoForm: React.FC<AddTodoFormProps> = ({ onTodoCreated }) => {
               </svg>
               Press enter to create
             </span>
-            <span className={`text-sm font-semibold transition-colors duration-200 ${description.length > 450 ? 'text-red-500' : description.length > 400 ? 'text-yellow-500' : 'text-gray-500'}`}>
-              {description.length}/500
+            <label className="flex items-center gap-1.5 text-xs font-medium text-gray-600">
+              <input
+                type="checkbox"
+                checked={markdown}
+                onChange={(e) => setMarkdown(e.target.checked)}
+                disabled={isCreating}
+              />
+              Markdown
+            </label>
+            <span className={`text-sm font-semibold transition-colors duration-200 ${description.length > MAX_DESCRIPTION_LENGTH * 0.9 ? 'text-red-500' : description.length > MAX_DESCRIPTION_LENGTH * 0.8 ? 'text-yellow-500' : 'text-gray-500'}`}>
+              {description.length}/{MAX_DESCRIPTION_LENGTH}
             </span>
           </div>
+          {markdown && description.trim() && (
+            <div className="mt-3 px-5 py-4 border-2 border-dashed rounded-xl bg-white/60 text-gray-700" style={{ borderColor: `${networkTheme.primaryColor}33` }}>
+              <p className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">Preview</p>
+              <Markdown source={description} />
+            </div>
+          )}
         </div>
 
         {/* Due Date Picker */}
@@ -214,6 +308,177 @@ const AddTodoForm: React.FC<AddTodoFormProps> = ({ onTodoCreated }) => {
           )}
         </div>
 
+        {/* Recurrence */}
+        <div>
+          <label htmlFor="recurrence" className="block text-sm font-semibold text-gray-700 mb-2.5">
+            Repeat
+          </label>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <select
+              id="recurrence"
+              value={recurrence}
+              onChange={(e) => setRecurrence(e.target.value as Recurrence)}
+              className="w-full px-4 py-3.5 border-2 rounded-xl focus:ring-4 transition-all duration-300 text-gray-700 shadow-sm bg-white/90 backdrop-blur-sm"
+              style={{
+                borderColor: `${networkTheme.primaryColor}33`,
+              }}
+              disabled={isCreating}
+              aria-describedby={recurrence !== 'none' ? 'recurrence-hint' : undefined}
+            >
+              {RECURRENCE_RULES.map(rule => (
+                <option key={rule} value={rule}>
+                  {RECURRENCE_OPTIONS[rule]}
+                </option>
+              ))}
+            </select>
+            {recurrence === 'interval' && (
+              <>
+                <input
+                  type="number"
+                  min={1}
+                  value={intervalAmount}
+                  onChange={(e) => setIntervalAmount(e.target.value)}
+                  className="w-full px-5 py-3.5 border-2 rounded-xl focus:ring-4 transition-all duration-300 text-gray-700 shadow-sm bg-white/90 backdrop-blur-sm"
+                  style={{
+                    borderColor: `${networkTheme.primaryColor}33`,
+                  }}
+                  disabled={isCreating}
+                  aria-label="Repeat every"
+                />
+                <select
+                  value={intervalUnit}
+                  onChange={(e) => setIntervalUnit(e.target.value as IntervalUnit)}
+                  className="w-full px-4 py-3.5 border-2 rounded-xl focus:ring-4 transition-all duration-300 text-gray-700 shadow-sm bg-white/90 backdrop-blur-sm"
+                  style={{
+                    borderColor: `${networkTheme.primaryColor}33`,
+                  }}
+                  disabled={isCreating}
+                  aria-label="Interval unit"
+                >
+                  <option value="hours">Hours</option>
+                  <option value="days">Days</option>
+                </select>
+              </>
+            )}
+          </div>
+          {recurrence !== 'none' && (
+            <p id="recurrence-hint" className="mt-2 text-xs text-gray-600 px-1">
+              Completing the task creates the next occurrence, counted from its due date
+            </p>
+          )}
+        </div>
+
+        {/* Priority and Tags */}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="priority" className="block text-sm font-semibold text-gray-700 mb-2.5">
+              Priority
+            </label>
+            <select
+              id="priority"
+              value={priority}
+              onChange={(e) => setPriority(Number(e.target.value))}
+              className="w-full px-4 py-3.5 border-2 rounded-xl focus:ring-4 transition-all duration-300 text-gray-700 shadow-sm bg-white/90 backdrop-blur-sm"
+              style={{
+                borderColor: `${networkTheme.primaryColor}33`,
+              }}
+              disabled={isCreating || !!listId}
+            >
+              {PRIORITY_LABELS.map((label, level) => (
+                <option key={label} value={level}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="sm:col-span-2">
+            <label htmlFor="tags" className="block text-sm font-semibold text-gray-700 mb-2.5">
+              Tags (Optional)
+            </label>
+            <input
+              type="text"
+              id="tags"
+              value={tagInput}
+              onChange={(e) => setTagInput(e.target.value)}
+              placeholder="work, urgent"
+              className="w-full px-5 py-3.5 border-2 rounded-xl focus:ring-4 transition-all duration-300 text-gray-700 placeholder-gray-400 shadow-sm bg-white/90 backdrop-blur-sm"
+              style={{
+                borderColor: `${networkTheme.primaryColor}33`,
+              }}
+              disabled={isCreating || !!listId}
+              aria-describedby="tags-hint"
+            />
+            <p id="tags-hint" className="mt-2 text-xs text-gray-600 px-1">
+              {listId
+                ? 'Set priority and tags once the task is in the list'
+                : `Comma separated, up to ${MAX_TAGS_PER_TASK} tags`}
+            </p>
+          </div>
+        </div>
+
+        {/* Shared list */}
+        {editableLists.length > 0 && (
+          <div>
+            <label htmlFor="task-list" className="block text-sm font-semibold text-gray-700 mb-2.5">
+              List
+            </label>
+            <select
+              id="task-list"
+              value={listId}
+              onChange={(e) => setListId(e.target.value)}
+              className="w-full px-4 py-3.5 border-2 rounded-xl focus:ring-4 transition-all duration-300 text-gray-700 shadow-sm bg-white/90 backdrop-blur-sm"
+              style={{
+                borderColor: `${networkTheme.primaryColor}33`,
+              }}
+              disabled={isCreating}
+            >
+              <option value="">Personal</option>
+              {editableLists.map(list => (
+                <option key={list.listId} value={list.listId}>
+                  {list.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* End-to-end encryption */}
+        <div>
+          <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+            <input
+              type="checkbox"
+              checked={isEncrypted}
+              onChange={(e) => setEncrypt(e.target.checked)}
+              disabled={isCreating || !!listId || hasAttachments}
+              aria-describedby="encrypt-hint"
+            />
+            Encrypt description
+          </label>
+          <p id="encrypt-hint" className="mt-2 text-xs text-gray-600 px-1">
+            {listId
+              ? 'Tasks in a shared list are readable by its members and cannot be encrypted.'
+              : hasAttachments
+                ? 'Tasks with attachments cannot be encrypted.'
+                : 'Encrypted in your browser with a key from a wallet signature; only this account can read it.'}
+          </p>
+        </div>
+
+        {/* Attachments */}
+        <div>
+          <span className="block text-sm font-semibold text-gray-700 mb-2.5">
+            Attachments (Optional)
+          </span>
+          <AttachmentPicker
+            files={attachmentFiles}
+            links={links}
+            onFilesChange={setAttachmentFiles}
+            onLinksChange={setLinks}
+            disabled={isCreating || isEncrypted}
+            disabledReason={isEncrypted ? 'Encrypted tasks cannot have attachments' : undefined}
+            accentColor={networkTheme.primaryColor}
+          />
+        </div>
+
         {error && (
           <div className="bg-red-50 border-2 border-red-200 text-red-700 px-5 py-4 rounded-xl flex items-center gap-3 animate-fade-in">
             <svg className="w-5 h-5 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
@@ -251,7 +516,7 @@ const AddTodoForm: React.FC<AddTodoFormProps> = ({ onTodoCreated }) => {
                 <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
               </svg>
-              <span className="text-base">{creatingPhase === 'ipfs' ? 'Storing description...' : 'Confirming on blockchain...'}</span>
+              <span className="text-base">{creatingPhase === 'ipfs' ? (hasAttachments ? 'Uploading attachments...' : 'Storing description...') : 'Confirming on blockchain...'}</span>
             </>
           ) : (
             <>
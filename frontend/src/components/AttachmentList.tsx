@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { gatewayUrl } from '../services/ipfs';
+import { formatBytes } from '../utils/attachments';
+import type { Attachment } from '../types/todo';
+
+interface AttachmentListProps {
+  attachments: Attachment[];
+  // Shows a remove button on each attachment
+  onRemove?: (index: number) => void;
+  disabled?: boolean;
+}
+
+const attachmentHref = (attachment: Attachment) =>
+  attachment.cid ? gatewayUrl(attachment.cid) : (attachment.url ?? '');
+
+const linkLabel = (attachment: Attachment) => {
+  if (attachment.name) return attachment.name;
+  try {
+    return new URL(attachment.url ?? '').hostname;
+  } catch {
+    return attachment.url ?? '';
+  }
+};
+
+const AttachmentList: React.FC<AttachmentListProps> = ({ attachments, onRemove, disabled = false }) => {
+  // Image shown full size over the page
+  const [preview, setPreview] = useState<Attachment | null>(null);
+
+  if (attachments.length === 0) return null;
+
+  const removeButton = (index: number, label: string) =>
+    onRemove && (
+      <button
+        type="button"
+        onClick={() => onRemove(index)}
+        disabled={disabled}
+        className="ml-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+        aria-label={`Remove ${label}`}
+      >
+        ×
+      </button>
+    );
+
+  return (
+    <>
+      <ul className="flex flex-wrap items-center gap-2 mt-3" aria-label="Attachments">
+        {attachments.map((attachment, index) => {
+          const href = attachmentHref(attachment);
+          const name = attachment.type === 'link' ? linkLabel(attachment) : (attachment.name ?? '');
+
+          if (attachment.type === 'image') {
+            return (
+              <li key={`${href}-${index}`} className="relative flex items-start">
+                <button
+                  type="button"
+                  onClick={() => setPreview(attachment)}
+                  className="block w-16 h-16 rounded-lg overflow-hidden border border-gray-200 hover:ring-2 hover:ring-blue-300 transition-all"
+                  title={name}
+                >
+                  <img src={href} alt={name} loading="lazy" className="w-full h-full object-cover" />
+                </button>
+                {removeButton(index, name)}
+              </li>
+            );
+          }
+
+          return (
+            <li
+              key={`${href}-${index}`}
+              className="inline-flex items-center gap-1.5 px-2 py-1 rounded-lg bg-gray-100 text-gray-700 text-xs"
+            >
+              <svg className="w-3.5 h-3.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                {attachment.type === 'link' ? (
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+                ) : (
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+                )}
+              </svg>
+              <a
+                href={href}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="font-medium hover:underline max-w-[12rem] truncate"
+                title={attachment.type === 'link' ? attachment.url : name}
+              >
+                {name}
+              </a>
+              {attachment.size !== undefined && (
+                <span className="text-gray-500">{formatBytes(attachment.size)}</span>
+              )}
+              {removeButton(index, name)}
+            </li>
+          );
+        })}
+      </ul>
+
+      {preview && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4"
+          role="dialog"
+          aria-modal="true"
+          aria-label={preview.name ?? 'Image preview'}
+          onClick={() => setPreview(null)}
+        >
+          <div className="relative max-w-3xl max-h-full" onClick={(e) => e.stopPropagation()}>
+            <img src={attachmentHref(preview)} alt={preview.name ?? ''} className="max-h-[80vh] rounded-lg shadow-2xl" />
+            <div className="flex items-center justify-between gap-4 mt-2 text-sm text-white">
+              <a href={attachmentHref(preview)} target="_blank" rel="noopener noreferrer" className="hover:underline truncate">
+                {preview.name}
+              </a>
+              <button
+                type="button"
+                onClick={() => setPreview(null)}
+                className="px-3 py-1 rounded-lg bg-white/20 hover:bg-white/30"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default AttachmentList;
@@ -0,0 +1,210 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES,
+  attachmentFileError,
+  formatBytes,
+  isImageType,
+  linkAttachment,
+} from '../utils/attachments';
+import type { Attachment } from '../types/todo';
+
+interface AttachmentPickerProps {
+  // Files picked but not uploaded yet; they are uploaded with the task
+  files: File[];
+  links: Attachment[];
+  onFilesChange: (files: File[]) => void;
+  onLinksChange: (links: Attachment[]) => void;
+  disabled?: boolean;
+  // Shown instead of the limits when disabled
+  disabledReason?: string;
+  accentColor: string;
+}
+
+const AttachmentPicker: React.FC<AttachmentPickerProps> = ({
+  files,
+  links,
+  onFilesChange,
+  onLinksChange,
+  disabled = false,
+  disabledReason,
+  accentColor,
+}) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const [linkInput, setLinkInput] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  // Object URLs of the picked images, for their thumbnails
+  const [previews, setPreviews] = useState<Map<File, string>>(new Map());
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const remaining = MAX_ATTACHMENTS - files.length - links.length;
+
+  useEffect(() => {
+    const urls = new Map(
+      files.filter(file => isImageType(file.type)).map(file => [file, URL.createObjectURL(file)] as const)
+    );
+    setPreviews(urls);
+    return () => urls.forEach(url => URL.revokeObjectURL(url));
+  }, [files]);
+
+  const addFiles = (picked: File[]) => {
+    if (disabled || picked.length === 0) return;
+
+    const errors = picked.map(attachmentFileError).filter(Boolean);
+    if (errors.length > 0) {
+      setError(errors[0]);
+      return;
+    }
+    if (picked.length > remaining) {
+      setError(`A task can have at most ${MAX_ATTACHMENTS} attachments`);
+      return;
+    }
+    setError(null);
+    onFilesChange([...files, ...picked]);
+  };
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles(Array.from(e.dataTransfer.files));
+  };
+
+  const handleFileInput = (e: React.ChangeEvent<HTMLInputElement>) => {
+    addFiles(Array.from(e.target.files ?? []));
+    // Picking the same file again should still fire a change
+    e.target.value = '';
+  };
+
+  const handleAddLink = () => {
+    if (!linkInput.trim()) return;
+    if (remaining <= 0) {
+      setError(`A task can have at most ${MAX_ATTACHMENTS} attachments`);
+      return;
+    }
+    try {
+      onLinksChange([...links, linkAttachment(linkInput)]);
+      setLinkInput('');
+      setError(null);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Invalid link');
+    }
+  };
+
+  return (
+    <div>
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          if (!disabled) setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`border-2 border-dashed rounded-xl px-5 py-4 text-center text-sm transition-all duration-300 ${disabled ? 'opacity-60' : ''} ${isDragging ? 'bg-blue-50' : 'bg-white/60'}`}
+        style={{ borderColor: isDragging ? accentColor : `${accentColor}55` }}
+        data-testid="attachment-dropzone"
+      >
+        <p className="text-gray-600">
+          Drop images or files here, or{' '}
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={disabled || remaining <= 0}
+            className="font-semibold underline disabled:no-underline disabled:cursor-not-allowed"
+            style={{ color: accentColor }}
+          >
+            browse
+          </button>
+        </p>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          accept={ATTACHMENT_ACCEPT}
+          onChange={handleFileInput}
+          disabled={disabled}
+          className="hidden"
+          aria-label="Attach files"
+        />
+        <p className="mt-1 text-xs text-gray-500">
+          {disabled && disabledReason
+            ? disabledReason
+            : `Images, PDFs and text files up to ${formatBytes(MAX_ATTACHMENT_BYTES)}, ${MAX_ATTACHMENTS} attachments per task`}
+        </p>
+      </div>
+
+      <div className="flex gap-2 mt-3">
+        <input
+          type="url"
+          value={linkInput}
+          onChange={(e) => setLinkInput(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAddLink();
+            }
+          }}
+          placeholder="https://example.com"
+          className="flex-1 px-4 py-2.5 border-2 rounded-xl text-sm text-gray-700 placeholder-gray-400 bg-white/90"
+          style={{ borderColor: `${accentColor}33` }}
+          disabled={disabled}
+          aria-label="Attach a link"
+        />
+        <button
+          type="button"
+          onClick={handleAddLink}
+          disabled={disabled || !linkInput.trim()}
+          className="px-4 py-2.5 text-sm font-semibold rounded-xl bg-gray-100 hover:bg-gray-200 text-gray-700 transition-colors disabled:opacity-50"
+        >
+          Add link
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-xs text-red-600 px-1">{error}</p>}
+
+      {(files.length > 0 || links.length > 0) && (
+        <ul className="flex flex-wrap gap-2 mt-3" aria-label="Pending attachments">
+          {files.map((file, index) => (
+            <li
+              key={`${file.name}-${index}`}
+              className="inline-flex items-center gap-2 px-2 py-1 rounded-lg bg-gray-100 text-xs text-gray-700"
+            >
+              {previews.has(file) && (
+                <img src={previews.get(file)} alt="" className="w-8 h-8 rounded object-cover" />
+              )}
+              <span className="font-medium max-w-[10rem] truncate">{file.name}</span>
+              <span className="text-gray-500">{formatBytes(file.size)}</span>
+              <button
+                type="button"
+                onClick={() => onFilesChange(files.filter((_, i) => i !== index))}
+                disabled={disabled}
+                className="text-gray-400 hover:text-red-600"
+                aria-label={`Remove ${file.name}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+          {links.map((link, index) => (
+            <li
+              key={`${link.url}-${index}`}
+              className="inline-flex items-center gap-2 px-2 py-1 rounded-lg bg-gray-100 text-xs text-gray-700"
+            >
+              <span className="font-medium max-w-[14rem] truncate">{link.url}</span>
+              <button
+                type="button"
+                onClick={() => onLinksChange(links.filter((_, i) => i !== index))}
+                disabled={disabled}
+                className="text-gray-400 hover:text-red-600"
+                aria-label={`Remove ${link.url}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentPicker;
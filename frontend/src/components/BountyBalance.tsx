@@ -0,0 +1,81 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { blockchainService } from '../services/blockchain';
+import { toErrorMessage } from '../types/error';
+import { formatBounty } from '../utils/bounty';
+
+/**
+ * Bounties paid out to the connected address, and refunds of the user's own
+ * bounties, wait in the contract until they are withdrawn.
+ */
+const BountyBalance: React.FC = () => {
+  const { provider, chainId, address } = useWeb3();
+  const [pending, setPending] = useState<bigint>(0n);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadBalance = useCallback(async () => {
+    if (!provider || !chainId || !address) return;
+
+    try {
+      setPending(await blockchainService.getPendingWithdrawal(provider, chainId, address));
+    } catch (err: unknown) {
+      console.error('Failed to load pending withdrawal', err);
+    }
+  }, [provider, chainId, address]);
+
+  useEffect(() => {
+    loadBalance();
+  }, [loadBalance]);
+
+  const handleWithdraw = async () => {
+    if (!provider || !chainId) {
+      setError('Please connect your wallet');
+      return;
+    }
+
+    setIsProcessing(true);
+    setError(null);
+
+    try {
+      await blockchainService.withdraw(provider, chainId);
+      setPending(0n);
+    } catch (err: unknown) {
+      console.error('Failed to withdraw', err);
+      setError(toErrorMessage(err) || 'Failed to withdraw');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Nothing to show until a bounty has been paid out or refunded
+  if (pending === 0n && !error) return null;
+
+  return (
+    <div className="glass-effect rounded-2xl shadow-glow-sm p-6 animate-slide-in">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-bold text-gray-800">Bounty Balance</h2>
+          <p className="text-sm text-gray-600">
+            {formatBounty(pending.toString())} ready to withdraw
+          </p>
+        </div>
+        <button
+          onClick={handleWithdraw}
+          disabled={isProcessing || pending === 0n}
+          className="gradient-primary text-white font-semibold px-4 py-2 rounded-xl disabled:opacity-50"
+        >
+          {isProcessing ? 'Withdrawing...' : 'Withdraw'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mt-4 bg-red-50 border-2 border-red-200 text-red-700 px-4 py-3 rounded-xl text-sm">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BountyBalance;
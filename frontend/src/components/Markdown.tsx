@@ -0,0 +1,111 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown, type Block, type Inline } from '../utils/markdown';
+
+interface MarkdownProps {
+  source: string;
+  className?: string;
+}
+
+const HEADING_STYLES = ['text-xl font-bold', 'text-lg font-bold', 'text-base font-bold', 'text-base font-semibold'];
+
+const renderInline = (nodes: Inline[]): React.ReactNode[] =>
+  nodes.map((node, i) => {
+    switch (node.type) {
+      case 'text':
+        return <React.Fragment key={i}>{node.text}</React.Fragment>;
+      case 'code':
+        return (
+          <code key={i} className="px-1 py-0.5 rounded bg-gray-100 text-[0.9em] font-mono">
+            {node.text}
+          </code>
+        );
+      case 'strong':
+        return <strong key={i}>{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={i}>{renderInline(node.children)}</em>;
+      case 'del':
+        return <del key={i}>{renderInline(node.children)}</del>;
+      case 'break':
+        return <br key={i} />;
+      case 'link':
+        // Unsafe URLs keep their text but lose the link
+        return node.href ? (
+          <a
+            key={i}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer nofollow"
+            className="text-blue-600 underline hover:text-blue-800"
+          >
+            {renderInline(node.children)}
+          </a>
+        ) : (
+          <React.Fragment key={i}>{renderInline(node.children)}</React.Fragment>
+        );
+    }
+  });
+
+const renderBlock = (block: Block, i: number): React.ReactNode => {
+  switch (block.type) {
+    case 'paragraph':
+      return <p key={i}>{renderInline(block.children)}</p>;
+    case 'heading': {
+      const Tag = `h${block.level}` as 'h1';
+      return (
+        <Tag key={i} className={HEADING_STYLES[Math.min(block.level, HEADING_STYLES.length) - 1]}>
+          {renderInline(block.children)}
+        </Tag>
+      );
+    }
+    case 'code':
+      return (
+        <pre key={i} className="p-3 rounded-lg bg-gray-900 text-gray-100 text-sm font-mono overflow-x-auto">
+          <code>{block.text}</code>
+        </pre>
+      );
+    case 'quote':
+      return (
+        <blockquote key={i} className="pl-3 border-l-4 border-gray-300 text-gray-600 space-y-2">
+          {block.children.map(renderBlock)}
+        </blockquote>
+      );
+    case 'rule':
+      return <hr key={i} className="border-gray-200" />;
+    case 'list': {
+      const items = block.items.map((item, j) =>
+        item.checked === null ? (
+          <li key={j}>{renderInline(item.children)}</li>
+        ) : (
+          <li key={j} className="flex items-start gap-2 list-none -ml-5">
+            {/* Checklists are read-only; edit the description to tick them */}
+            <input type="checkbox" checked={item.checked} readOnly disabled className="mt-1.5" />
+            <span className={item.checked ? 'line-through text-gray-500' : undefined}>
+              {renderInline(item.children)}
+            </span>
+          </li>
+        )
+      );
+      return block.ordered ? (
+        <ol key={i} start={block.start} className="pl-5 list-decimal space-y-1">
+          {items}
+        </ol>
+      ) : (
+        <ul key={i} className="pl-5 list-disc space-y-1">
+          {items}
+        </ul>
+      );
+    }
+  }
+};
+
+/**
+ * Renders a Markdown description. See utils/markdown for what is supported
+ * and why the output is safe to show.
+ */
+const Markdown: React.FC<MarkdownProps> = ({ source, className = '' }) => {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+
+  return <div className={`space-y-2 break-words ${className}`}>{blocks.map(renderBlock)}</div>;
+};
+
+export default Markdown;
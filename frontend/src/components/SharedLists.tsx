@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { isAddress, type BrowserProvider } from 'ethers';
+import { useWeb3 } from '../contexts/Web3Context';
+import { blockchainService, type ListMemberRole } from '../services/blockchain';
+import type { TaskList } from '../types/todo';
+import { toErrorMessage } from '../types/error';
+
+interface SharedListsProps {
+  lists: TaskList[];
+  onListsChanged: () => void;
+}
+
+// Give the backend time to pick up the list events before refreshing
+const SYNC_DELAY_MS = 4000;
+const MAX_LIST_NAME_LENGTH = 100;
+
+const shortenAddress = (address: string) =>
+  `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const SharedLists: React.FC<SharedListsProps> = ({ lists, onListsChanged }) => {
+  const { provider, chainId } = useWeb3();
+  const [name, setName] = useState('');
+  const [memberInputs, setMemberInputs] = useState<Record<string, { address: string; role: ListMemberRole }>>({});
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const chainLists = lists.filter(list => list.chainId === chainId);
+
+  const runTransaction = async (
+    send: (provider: BrowserProvider, chainId: number) => Promise<unknown>,
+    fallbackError: string
+  ) => {
+    if (!provider || !chainId) {
+      setError('Please connect your wallet');
+      return false;
+    }
+
+    setIsProcessing(true);
+    setError(null);
+
+    try {
+      await send(provider, chainId);
+      setTimeout(onListsChanged, SYNC_DELAY_MS);
+      return true;
+    } catch (err: unknown) {
+      console.error(fallbackError, err);
+      setError(toErrorMessage(err) || fallbackError);
+      return false;
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    const created = await runTransaction(
+      (provider, chainId) => blockchainService.createList(provider, chainId, trimmed),
+      'Failed to create list'
+    );
+    if (created) setName('');
+  };
+
+  const memberInput = (listId: string) => memberInputs[listId] ?? { address: '', role: 'viewer' as const };
+
+  const updateMemberInput = (listId: string, changes: Partial<{ address: string; role: ListMemberRole }>) => {
+    setMemberInputs(prev => ({ ...prev, [listId]: { ...memberInput(listId), ...changes } }));
+  };
+
+  const handleSetMember = async (listId: string, address: string, role: ListMemberRole) => {
+    if (!isAddress(address)) {
+      setError('Please enter a valid address');
+      return;
+    }
+
+    const updated = await runTransaction(
+      (provider, chainId) => blockchainService.setListMember(provider, chainId, listId, address, role),
+      'Failed to update list member'
+    );
+    if (updated) updateMemberInput(listId, { address: '' });
+  };
+
+  return (
+    <div className="glass-effect rounded-2xl shadow-glow-sm p-6 animate-slide-in">
+      <h2 className="text-lg font-bold text-gray-800 mb-4">Shared Lists</h2>
+
+      <form onSubmit={handleCreate} className="flex gap-2 mb-4">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="New list name"
+          maxLength={MAX_LIST_NAME_LENGTH}
+          disabled={isProcessing}
+          aria-label="New list name"
+          className="flex-1 glass-effect px-4 py-2 rounded-xl text-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500"
+        />
+        <button
+          type="submit"
+          disabled={isProcessing || !name.trim()}
+          className="gradient-primary text-white font-semibold px-4 py-2 rounded-xl disabled:opacity-50"
+        >
+          Create list
+        </button>
+      </form>
+
+      {chainLists.length === 0 ? (
+        <p className="text-sm text-gray-500">No shared lists on this network yet</p>
+      ) : (
+        <ul className="space-y-4">
+          {chainLists.map(list => (
+            <li key={list.listId} className="border-t border-gray-200 pt-3">
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-semibold text-gray-800">{list.name}</span>
+                <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-800">
+                  {list.role}
+                </span>
+              </div>
+
+              {list.members.length > 0 && (
+                <ul className="mt-2 space-y-1" aria-label={`Members of ${list.name}`}>
+                  {list.members.map(member => (
+                    <li key={member.address} className="flex items-center gap-2 text-xs text-gray-600">
+                      <span className="font-mono" title={member.address}>{shortenAddress(member.address)}</span>
+                      <span>{member.role}</span>
+                      {list.role === 'owner' && (
+                        <button
+                          onClick={() => handleSetMember(list.listId, member.address, 'none')}
+                          disabled={isProcessing}
+                          className="text-red-600 hover:underline disabled:opacity-50"
+                          aria-label={`Remove ${member.address}`}
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {list.role === 'owner' && (
+                <div className="flex flex-col sm:flex-row gap-2 mt-3">
+                  <input
+                    type="text"
+                    value={memberInput(list.listId).address}
+                    onChange={(e) => updateMemberInput(list.listId, { address: e.target.value })}
+                    placeholder="0x... member address"
+                    disabled={isProcessing}
+                    aria-label={`Member address for ${list.name}`}
+                    className="flex-1 glass-effect px-3 py-1.5 rounded-lg text-sm font-mono text-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                  <select
+                    value={memberInput(list.listId).role}
+                    onChange={(e) => updateMemberInput(list.listId, { role: e.target.value as ListMemberRole })}
+                    disabled={isProcessing}
+                    aria-label={`Member role for ${list.name}`}
+                    className="glass-effect px-3 py-1.5 rounded-lg text-sm text-gray-700"
+                  >
+                    <option value="viewer">Viewer</option>
+                    <option value="editor">Editor</option>
+                  </select>
+                  <button
+                    onClick={() => handleSetMember(list.listId, memberInput(list.listId).address, memberInput(list.listId).role)}
+                    disabled={isProcessing || !memberInput(list.listId).address}
+                    className="glass-effect px-3 py-1.5 rounded-lg text-sm font-medium text-gray-700 hover:shadow-glow-sm disabled:opacity-50"
+                  >
+                    Add member
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <div className="mt-4 bg-red-50 border-2 border-red-200 text-red-700 px-4 py-3 rounded-xl text-sm">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SharedLists;
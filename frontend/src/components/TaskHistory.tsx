@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from 'react';
+import { apiService } from '../services/api';
+import type { TaskEvent, TaskEventName } from '../types/todo';
+import { toErrorMessage } from '../types/error';
+import { PRIORITY_LABELS, tagLabel } from '../utils/tags';
+import { RECURRENCE_RULES, describeRecurrence } from '../utils/recurrence';
+import { formatBounty, hasBounty } from '../utils/bounty';
+
+interface TaskHistoryProps {
+  todoId: string;
+  accentColor?: string;
+}
+
+const EVENT_LABELS: Record<TaskEventName, string> = {
+  TaskCreated: 'Created',
+  SubtaskCreated: 'Created as subtask',
+  TaskCompleted: 'Completed',
+  TaskDeleted: 'Deleted',
+  TaskRestored: 'Restored',
+  TaskUpdated: 'Edited',
+  TaskTagged: 'Tags changed',
+  TaskPriorityChanged: 'Priority changed',
+  TaskListChanged: 'List changed',
+  TaskRecurrenceChanged: 'Repeat changed',
+  TaskRecurred: 'Next occurrence created',
+  TaskDependenciesChanged: 'Dependencies changed',
+  TaskAssigned: 'Assigned',
+  TaskAssignmentProposed: 'Assignment proposed',
+  TaskAssignmentRejected: 'Assignment rejected',
+  TaskBountyChanged: 'Bounty changed',
+  TaskBountyReleased: 'Bounty paid out',
+};
+
+const priorityLabel = (level: string | string[] | undefined) =>
+  PRIORITY_LABELS[Number(level)] ?? String(level);
+
+const listLabel = (listId: string | string[] | undefined) =>
+  !listId || listId === '0' ? 'Personal' : `List #${listId}`;
+
+const recurrenceLabel = (args: TaskEvent['args']) =>
+  describeRecurrence(RECURRENCE_RULES[Number(args.recurrence)] ?? 'none', Number(args.interval));
+
+const argList = (tags: string | string[] | undefined) => (Array.isArray(tags) ? tags : []);
+
+const shortenAddress = (address: string) =>
+  `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const TaskHistory: React.FC<TaskHistoryProps> = ({ todoId, accentColor }) => {
+  const [events, setEvents] = useState<TaskEvent[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const response = await apiService.getTodoHistory(todoId);
+        if (!cancelled) {
+          setEvents(response.data ?? []);
+        }
+      } catch (err: unknown) {
+        if (!cancelled) {
+          setError(toErrorMessage(err) || 'Failed to load history');
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadHistory();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [todoId]);
+
+  const formatDate = (dateString: string | null) => {
+    if (!dateString) return '';
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  if (isLoading) {
+    return <p className="text-xs text-gray-500 dark:text-gray-400">Loading history...</p>;
+  }
+
+  if (error) {
+    return <p className="text-xs text-red-600">{error}</p>;
+  }
+
+  if (events.length === 0) {
+    return <p className="text-xs text-gray-500 dark:text-gray-400">No history recorded yet</p>;
+  }
+
+  return (
+    <ol className="space-y-2 border-l-2 pl-3" style={{ borderColor: accentColor }} aria-label="Task history">
+      {events.map((event) => (
+        <li key={event._id} className="text-xs text-gray-700 dark:text-gray-300">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-semibold">{EVENT_LABELS[event.eventName] ?? event.eventName}</span>
+            {event.actor && (
+              <span className="font-mono text-gray-500 dark:text-gray-400" title={event.actor}>
+                by {shortenAddress(event.actor)}
+              </span>
+            )}
+            <span className="text-gray-500 dark:text-gray-400">{formatDate(event.occurredAt)}</span>
+            <span className="font-mono text-gray-400" title={event.transactionHash}>
+              block {event.blockNumber}
+            </span>
+          </div>
+          {event.eventName === 'SubtaskCreated' && (
+            <div className="mt-1 text-gray-500">Subtask of #{event.args.parentId}</div>
+          )}
+          {event.eventName === 'TaskUpdated' && (
+            <div className="mt-1 flex flex-wrap items-center gap-1">
+              <span className="line-through text-gray-500">{event.args.oldDescription}</span>
+              <span aria-hidden="true">→</span>
+              <span>{event.args.newDescription}</span>
+            </div>
+          )}
+          {event.eventName === 'TaskPriorityChanged' && (
+            <div className="mt-1 flex flex-wrap items-center gap-1">
+              <span className="text-gray-500">{priorityLabel(event.args.oldPriority)}</span>
+              <span aria-hidden="true">→</span>
+              <span>{priorityLabel(event.args.newPriority)}</span>
+            </div>
+          )}
+          {event.eventName === 'TaskListChanged' && (
+            <div className="mt-1 flex flex-wrap items-center gap-1">
+              <span className="text-gray-500">{listLabel(event.args.oldListId)}</span>
+              <span aria-hidden="true">→</span>
+              <span>{listLabel(event.args.newListId)}</span>
+            </div>
+          )}
+          {event.eventName === 'TaskRecurrenceChanged' && (
+            <div className="mt-1 text-gray-500">{recurrenceLabel(event.args)}</div>
+          )}
+          {event.eventName === 'TaskRecurred' && (
+            <div className="mt-1 text-gray-500">Continues as #{event.args.nextTaskId}</div>
+          )}
+          {event.eventName === 'TaskAssigned' && (
+            <div className="mt-1 text-gray-500">
+              {event.args.assignee === ZERO_ADDRESS ? 'Unassigned' : `To ${shortenAddress(String(event.args.assignee))}`}
+            </div>
+          )}
+          {event.eventName === 'TaskAssignmentProposed' && (
+            <div className="mt-1 text-gray-500">To {shortenAddress(String(event.args.assignee))}</div>
+          )}
+          {event.eventName === 'TaskAssignmentRejected' && (
+            <div className="mt-1 text-gray-500">By {shortenAddress(String(event.args.assignee))}</div>
+          )}
+          {event.eventName === 'TaskBountyChanged' && (
+            <div className="mt-1 text-gray-500">
+              {hasBounty(String(event.args.bounty)) ? formatBounty(String(event.args.bounty)) : 'Refunded to the owner'}
+            </div>
+          )}
+          {event.eventName === 'TaskBountyReleased' && (
+            <div className="mt-1 text-gray-500">
+              {formatBounty(String(event.args.amount))} to {shortenAddress(String(event.args.assignee))}
+            </div>
+          )}
+          {event.eventName === 'TaskDependenciesChanged' && (
+            <div className="mt-1 text-gray-500">
+              {argList(event.args.dependencies).length === 0
+                ? 'No dependencies'
+                : `Waits on ${argList(event.args.dependencies).map((id) => `#${id}`).join(', ')}`}
+            </div>
+          )}
+          {event.eventName === 'TaskTagged' && (
+            <div className="mt-1 flex flex-wrap items-center gap-1">
+              {argList(event.args.tags).length === 0 ? (
+                <span className="text-gray-500">No tags</span>
+              ) : (
+                argList(event.args.tags).map((tag) => (
+                  <span key={tag} className="px-1.5 rounded-full bg-gray-100 dark:bg-gray-800" title={tag}>
+                    {tagLabel(tag)}
+                  </span>
+                ))
+              )}
+            </div>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default TaskHistory;
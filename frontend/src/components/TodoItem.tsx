@@ -1,44 +1,160 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { isAddress, type BrowserProvider } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
 import { blockchainService } from '../services/blockchain';
+import { apiService } from '../services/api';
+import { isIpfsCid, resolveDescription, uploadAttachment } from '../services/ipfs';
 import { HexagonPattern, DigitalGrid, BlockchainBorder } from './patterns';
 import { getNetworkTheme } from '../config/networkThemes';
 import Tooltip from './Tooltip';
 import CopyButton from './CopyButton';
-import type { Todo } from '../types/todo';
+import TaskHistory from './TaskHistory';
+import AttachmentList from './AttachmentList';
+import Markdown from './Markdown';
+import type { Attachment, DependencyGraph, Todo, TodoTree, TaskList } from '../types/todo';
 import { toErrorMessage } from '../types/error';
+import { PRIORITY_LABELS, MAX_TAGS_PER_TASK, hashTag, normalizeTag, rememberTags, tagLabel } from '../utils/tags';
+import { MAX_SUBTASK_DEPTH, completionPercent, countSubtasks, toTodo } from '../utils/subtasks';
+import { describeRecurrence } from '../utils/recurrence';
+import { MAX_DEPENDENCIES_PER_TASK, dependencyCandidates, openDependencies } from '../utils/dependencies';
+import { formatBounty, hasBounty, parseBountyAmount } from '../utils/bounty';
+import { ATTACHMENT_ACCEPT, MAX_ATTACHMENTS } from '../utils/attachments';
+import { MAX_DESCRIPTION_LENGTH, isMarkdown } from '../utils/descriptions';
+import { markdownToText } from '../utils/markdown';
+
+const shortenAddress = (address: string) =>
+  `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const PRIORITY_STYLES = ['', 'bg-blue-100 text-blue-800', 'bg-orange-100 text-orange-800', 'bg-red-100 text-red-800'];
 
 interface TodoItemProps {
   todo: Todo;
   onTodoUpdated: () => void;
   onOptimisticUpdate?: (id: string, updates: Partial<Todo>) => void;
   onOptimisticRevert?: (id: string) => void;
+  // Shared lists the user can see, used to resolve the task's list and role
+  lists?: TaskList[];
+  // How many levels below a top-level task this item is rendered
+  depth?: number;
+  // Other tasks on the page, offered as dependencies
+  tasks?: Todo[];
 }
 
 const TodoItem: React.FC<TodoItemProps> = ({
   todo,
   onTodoUpdated,
   onOptimisticUpdate,
-  onOptimisticRevert
+  onOptimisticRevert,
+  lists = [],
+  depth = 0,
+  tasks = []
 }) => {
-  const { provider, chainId } = useWeb3();
+  const { provider, chainId, address, descriptionKey, unlockDescriptions } = useWeb3();
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [localTodo, setLocalTodo] = useState<Todo>(todo);
   const [isEditing, setIsEditing] = useState(false);
   const [editDescription, setEditDescription] = useState(todo.description);
-  const editInputRef = useRef<HTMLInputElement>(null);
+  const [editMarkdown, setEditMarkdown] = useState(isMarkdown(todo.contentType));
+  const [showHistory, setShowHistory] = useState(false);
+  const [newTag, setNewTag] = useState('');
+  const [showSubtasks, setShowSubtasks] = useState(false);
+  const [tree, setTree] = useState<TodoTree | null>(null);
+  const [loadingSubtasks, setLoadingSubtasks] = useState(false);
+  const [newSubtask, setNewSubtask] = useState('');
+  const [showDependencies, setShowDependencies] = useState(false);
+  const [graph, setGraph] = useState<DependencyGraph | null>(null);
+  const [showBounty, setShowBounty] = useState(false);
+  const [bountyAmount, setBountyAmount] = useState('');
+  const [assigneeInput, setAssigneeInput] = useState('');
+  // Plaintext of an encrypted description, once decrypted
+  const [decryptedDescription, setDecryptedDescription] = useState<string | null>(null);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const editInputRef = useRef<HTMLTextAreaElement>(null);
+  const attachInputRef = useRef<HTMLInputElement>(null);
 
   // Get the theme for the network this todo was created on
   const todoNetworkTheme = getNetworkTheme(todo.chainId);
   const isOnDifferentNetwork = chainId !== todo.chainId;
 
+  // Viewers of a shared list, and assignees outside it, can see its tasks but
+  // not change them; an accepted assignee can still complete the task
+  const list = lists.find(l => l.chainId === localTodo.chainId && l.listId === localTodo.listId);
+  const isOwner = !!address && localTodo.owner === address.toLowerCase();
+  const isAssignee = !!address && localTodo.assignee === address.toLowerCase();
+  const isPendingAssignee = !!address && localTodo.pendingAssignee === address.toLowerCase();
+  const isReadOnly = list?.role === 'viewer' || (!list && !isOwner && (isAssignee || isPendingAssignee));
+  const isEditable = !localTodo.completed && !localTodo.deleted && !isReadOnly;
+  const canComplete = !isReadOnly || isAssignee;
+  const movableLists = lists.filter(l => l.chainId === localTodo.chainId && l.role !== 'viewer');
+
+  // Roll-up from the loaded tree once expanded, otherwise from the list page
+  const subtaskCounts = tree ? countSubtasks(tree) : localTodo.subtasks;
+  const canAddSubtask = isEditable && depth < MAX_SUBTASK_DEPTH;
+  const hasSubtasks = !!subtaskCounts && subtaskCounts.total > 0;
+
+  // The contract refuses to complete a task while a dependency is open
+  const dependencies = localTodo.dependencies ?? [];
+  const blockedBy = localTodo.completed ? [] : (localTodo.blockedBy ?? []);
+  const isBlocked = blockedBy.length > 0;
+
+  // Only the owner can complete a task with a bounty, which pays it out
+  const bounty = localTodo.bounty ?? '0';
+  const canManageBounty = isOwner && !localTodo.completed && !localTodo.deleted;
+  const needsOwnerToComplete = hasBounty(bounty) && !isOwner;
+  const knownTasks = [...tasks, ...(graph?.dependencies ?? [])];
+  const candidates = dependencyCandidates(localTodo, tasks);
+  const isLocked = !!localTodo.encrypted && decryptedDescription === null;
+  const displayDescription = localTodo.encrypted ? (decryptedDescription ?? '') : localTodo.description;
+  // Attachment metadata would be readable by anyone, so encrypted tasks have none
+  const attachments = localTodo.attachments ?? [];
+  const canEditAttachments = isEditable && !localTodo.encrypted;
+  const taskLabel = (id: string) => {
+    const task = knownTasks.find(t => t.blockchainId === id);
+    // Encrypted descriptions would only show their ipfs:// URI
+    if (!task || task.encrypted) return `#${id}`;
+    return `#${id} ${isMarkdown(task.contentType) ? markdownToText(task.description) : task.description}`;
+  };
+
   // Update local state when prop changes
   React.useEffect(() => {
     setLocalTodo(todo);
     setEditDescription(todo.description);
   }, [todo]);
 
+  // Encrypted descriptions are only stored as an ipfs:// URI; the owner's key
+  // decrypts them here, in the browser
+  useEffect(() => {
+    if (!localTodo.encrypted || !isOwner || !descriptionKey) {
+      setDecryptedDescription(null);
+      return;
+    }
+
+    let cancelled = false;
+    resolveDescription(localTodo.description, descriptionKey)
+      .then(text => {
+        if (!cancelled) setDecryptedDescription(text);
+      })
+      .catch((err: unknown) => {
+        console.error('Error decrypting description:', err);
+        if (!cancelled) setError(toErrorMessage(err) || 'Failed to decrypt description');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [localTodo.encrypted, localTodo.description, isOwner, descriptionKey]);
+
+  const handleUnlock = async () => {
+    setError(null);
+    try {
+      await unlockDescriptions();
+    } catch (err: unknown) {
+      console.error('Error unlocking descriptions:', err);
+      setError(toErrorMessage(err) || 'Failed to unlock description');
+    }
+  };
+
   // Focus input when entering edit mode
   useEffect(() => {
     if (isEditing && editInputRef.current) {
@@ -89,6 +205,16 @@ const TodoItem: React.FC<TodoItemProps> = ({
       return;
     }
 
+    if (isBlocked) {
+      setError('Complete its dependencies first');
+      return;
+    }
+
+    if (needsOwnerToComplete) {
+      setError('Only the owner can complete a task with a bounty');
+      return;
+    }
+
     setIsProcessing(true);
     setError(null);
 
@@ -182,12 +308,13 @@ const TodoItem: React.FC<TodoItemProps> = ({
 
   const handleEdit = () => {
     setIsEditing(true);
-    setEditDescription(localTodo.description);
+    setEditDescription(displayDescription);
+    setEditMarkdown(isMarkdown(localTodo.contentType));
   };
 
   const handleCancelEdit = () => {
     setIsEditing(false);
-    setEditDescription(localTodo.description);
+    setEditDescription(displayDescription);
     setError(null);
   };
 
@@ -203,7 +330,13 @@ const TodoItem: React.FC<TodoItemProps> = ({
       return;
     }
 
-    if (trimmedDescription === localTodo.description) {
+    if (trimmedDescription.length > MAX_DESCRIPTION_LENGTH) {
+      setError(`Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`);
+      return;
+    }
+
+    const contentType = editMarkdown ? 'text/markdown' as const : 'text/plain' as const;
+    if (trimmedDescription === displayDescription && editMarkdown === isMarkdown(localTodo.contentType)) {
       setIsEditing(false);
       return;
     }
@@ -214,6 +347,7 @@ const TodoItem: React.FC<TodoItemProps> = ({
     // Optimistic update
     const optimisticUpdate = {
       description: trimmedDescription,
+      contentType,
       syncStatus: 'pending' as const,
     };
 
@@ -223,7 +357,17 @@ const TodoItem: React.FC<TodoItemProps> = ({
     }
 
     try {
-      await blockchainService.updateTask(provider, chainId, todo.blockchainId, trimmedDescription);
+      // An encrypted description stays encrypted
+      const encryptionKey = localTodo.encrypted ? descriptionKey : null;
+      await blockchainService.updateTask(
+        provider,
+        chainId,
+        todo.blockchainId,
+        trimmedDescription,
+        encryptionKey,
+        attachments,
+        contentType
+      );
       setIsEditing(false);
 
       setTimeout(() => {
@@ -242,6 +386,98 @@ const TodoItem: React.FC<TodoItemProps> = ({
     }
   };
 
+  // Attachments live in the description envelope, so changing them uploads a
+  // new envelope with the current description
+  const saveAttachments = async (next: Attachment[]) => {
+    if (!provider || !chainId) {
+      setError('Please connect your wallet');
+      return;
+    }
+
+    setError(null);
+
+    // Optimistic update
+    const optimisticUpdate = {
+      attachments: next,
+      syncStatus: 'pending' as const,
+    };
+
+    setLocalTodo(prev => ({ ...prev, ...optimisticUpdate }));
+    if (onOptimisticUpdate) {
+      onOptimisticUpdate(todo._id, optimisticUpdate);
+    }
+
+    try {
+      await blockchainService.updateTask(
+        provider,
+        chainId,
+        todo.blockchainId,
+        localTodo.description,
+        null,
+        next,
+        localTodo.contentType ?? 'text/plain'
+      );
+
+      setTimeout(() => {
+        onTodoUpdated();
+      }, 4000);
+    } catch (err: unknown) {
+      console.error('Error updating attachments:', err);
+      setError(toErrorMessage(err) || 'Failed to update attachments');
+
+      setLocalTodo(todo);
+      if (onOptimisticRevert) {
+        onOptimisticRevert(todo._id);
+      }
+    }
+  };
+
+  const handleAttachFiles = async (files: File[]) => {
+    if (!canEditAttachments || isProcessing || files.length === 0) return;
+
+    // The description has not been fetched from IPFS yet
+    if (isIpfsCid(localTodo.description)) {
+      setError('Wait for the description to load before adding attachments');
+      return;
+    }
+
+    if (attachments.length + files.length > MAX_ATTACHMENTS) {
+      setError(`A task can have at most ${MAX_ATTACHMENTS} attachments`);
+      return;
+    }
+
+    setIsProcessing(true);
+    setError(null);
+
+    try {
+      const uploaded = await Promise.all(files.map(file => uploadAttachment(file)));
+      await saveAttachments([...attachments, ...uploaded]);
+    } catch (err: unknown) {
+      console.error('Error uploading attachments:', err);
+      setError(toErrorMessage(err) || 'Failed to upload attachments');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleRemoveAttachment = async (index: number) => {
+    if (isProcessing) return;
+
+    setIsProcessing(true);
+    try {
+      await saveAttachments(attachments.filter((_, i) => i !== index));
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleDrop = (e: React.DragEvent) => {
+    if (!canEditAttachments) return;
+    e.preventDefault();
+    setIsDraggingFile(false);
+    handleAttachFiles(Array.from(e.dataTransfer.files));
+  };
+
   const handleRestore = async () => {
     if (!provider || !chainId) {
       setError('Please connect your wallet');
@@ -283,14 +519,285 @@ const TodoItem: React.FC<TodoItemProps> = ({
     }
   };
 
-  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
-    if (e.key === 'Enter') {
+  // Shared optimistic flow for priority, tag, dependency and bounty changes
+  const saveMetadata = async (
+    updates: Pick<
+      Partial<Todo>,
+      'priority' | 'tags' | 'dependencies' | 'blockedBy' | 'bounty' | 'assignee' | 'pendingAssignee'
+    >,
+    send: (provider: BrowserProvider, chainId: number) => Promise<unknown>,
+    failureMessage: string
+  ) => {
+    if (!provider || !chainId) {
+      setError('Please connect your wallet');
+      return;
+    }
+
+    if (isProcessing) return;
+
+    setIsProcessing(true);
+    setError(null);
+
+    const optimisticUpdate = { ...updates, syncStatus: 'pending' as const };
+
+    setLocalTodo(prev => ({ ...prev, ...optimisticUpdate }));
+    if (onOptimisticUpdate) {
+      onOptimisticUpdate(todo._id, optimisticUpdate);
+    }
+
+    try {
+      await send(provider, chainId);
+
+      setTimeout(() => {
+        onTodoUpdated();
+      }, 4000);
+    } catch (err: unknown) {
+      console.error('Error updating task metadata:', err);
+      setError(toErrorMessage(err) || failureMessage);
+
+      setLocalTodo(todo);
+      if (onOptimisticRevert) {
+        onOptimisticRevert(todo._id);
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handlePriorityChange = (priority: number) => {
+    if (priority === localTodo.priority) return;
+
+    return saveMetadata(
+      { priority },
+      (provider, chainId) => blockchainService.setTaskPriority(provider, chainId, todo.blockchainId, priority),
+      'Failed to change priority'
+    );
+  };
+
+  const updateTags = (tags: string[]) =>
+    saveMetadata(
+      { tags },
+      (provider, chainId) => blockchainService.setTaskTags(provider, chainId, todo.blockchainId, tags),
+      'Failed to update tags'
+    );
+
+  const handleAddTag = () => {
+    const name = normalizeTag(newTag);
+    if (!name) return;
+
+    const tag = hashTag(name);
+    if (localTodo.tags.includes(tag)) {
+      setNewTag('');
+      return;
+    }
+
+    if (localTodo.tags.length >= MAX_TAGS_PER_TASK) {
+      setError(`A task can have at most ${MAX_TAGS_PER_TASK} tags`);
+      return;
+    }
+
+    rememberTags([name]);
+    setNewTag('');
+    return updateTags([...localTodo.tags, tag]);
+  };
+
+  const handleRemoveTag = (tag: string) => updateTags(localTodo.tags.filter(t => t !== tag));
+
+  const updateDependencies = (ids: string[]) =>
+    saveMetadata(
+      { dependencies: ids, blockedBy: openDependencies(ids, knownTasks) },
+      (provider, chainId) => blockchainService.setTaskDependencies(provider, chainId, todo.blockchainId, ids),
+      'Failed to update dependencies'
+    );
+
+  const handleAddDependency = (id: string) => {
+    if (!id || dependencies.includes(id)) return;
+
+    if (dependencies.length >= MAX_DEPENDENCIES_PER_TASK) {
+      setError(`A task can have at most ${MAX_DEPENDENCIES_PER_TASK} dependencies`);
+      return;
+    }
+
+    return updateDependencies([...dependencies, id]);
+  };
+
+  const handleRemoveDependency = (id: string) => updateDependencies(dependencies.filter(d => d !== id));
+
+  const handleFundBounty = () => {
+    const amount = bountyAmount.trim();
+    const wei = parseBountyAmount(amount);
+    if (wei === null) {
+      setError('Please enter a bounty amount in ETH');
+      return;
+    }
+
+    setBountyAmount('');
+    return saveMetadata(
+      { bounty: (BigInt(bounty) + wei).toString() },
+      (provider, chainId) => blockchainService.fundBounty(provider, chainId, todo.blockchainId, amount),
+      'Failed to fund bounty'
+    );
+  };
+
+  const handleCancelBounty = () =>
+    saveMetadata(
+      { bounty: '0' },
+      (provider, chainId) => blockchainService.cancelBounty(provider, chainId, todo.blockchainId),
+      'Failed to cancel bounty'
+    );
+
+  // Assigning only proposes the address; it becomes the assignee once accepted
+  const updateAssignee = (assignee: string | null) =>
+    saveMetadata(
+      assignee ? { pendingAssignee: assignee } : { assignee: null, pendingAssignee: null },
+      (provider, chainId) => blockchainService.assignTask(provider, chainId, todo.blockchainId, assignee),
+      'Failed to assign task'
+    );
+
+  const handleAssign = () => {
+    const assignee = assigneeInput.trim();
+    if (!isAddress(assignee)) {
+      setError('Please enter a valid address');
+      return;
+    }
+
+    if (assignee.toLowerCase() === localTodo.owner) {
+      setError('A task cannot be assigned to its owner');
+      return;
+    }
+
+    if (assignee.toLowerCase() === localTodo.assignee) {
+      setError('The task is already assigned to this address');
+      return;
+    }
+
+    setAssigneeInput('');
+    return updateAssignee(assignee.toLowerCase());
+  };
+
+  const handleAcceptAssignment = () =>
+    saveMetadata(
+      { assignee: localTodo.pendingAssignee, pendingAssignee: null },
+      (provider, chainId) => blockchainService.acceptAssignment(provider, chainId, todo.blockchainId),
+      'Failed to accept assignment'
+    );
+
+  const handleRejectAssignment = () =>
+    saveMetadata(
+      { pendingAssignee: null },
+      (provider, chainId) => blockchainService.rejectAssignment(provider, chainId, todo.blockchainId),
+      'Failed to reject assignment'
+    );
+
+  const loadDependencies = async () => {
+    try {
+      const response = await apiService.getTodoDependencies(todo._id);
+      setGraph(response.data ?? null);
+    } catch (err: unknown) {
+      console.error('Error loading dependencies:', err);
+      setError(toErrorMessage(err) || 'Failed to load dependencies');
+    }
+  };
+
+  const handleToggleDependencies = () => {
+    if (!showDependencies && !graph) {
+      loadDependencies();
+    }
+    setShowDependencies(prev => !prev);
+  };
+
+  // Markdown needs new lines, so it saves with Ctrl/Cmd+Enter instead
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
+    if (e.key === 'Enter' && (!editMarkdown || e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
       handleSaveEdit();
     } else if (e.key === 'Escape') {
       handleCancelEdit();
     }
   };
 
+  const handleMoveToList = async (listId: string) => {
+    if (!provider || !chainId) {
+      setError('Please connect your wallet');
+      return;
+    }
+
+    setIsProcessing(true);
+    setError(null);
+
+    try {
+      await blockchainService.moveTaskToList(provider, chainId, todo.blockchainId, listId || '0');
+
+      setTimeout(() => {
+        onTodoUpdated();
+      }, 4000);
+    } catch (err: unknown) {
+      console.error('Error moving task:', err);
+      setError(toErrorMessage(err) || 'Failed to move task');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const loadSubtasks = async () => {
+    setLoadingSubtasks(true);
+    try {
+      const response = await apiService.getTodoTree(todo._id);
+      setTree(response.data ?? null);
+    } catch (err: unknown) {
+      console.error('Error loading subtasks:', err);
+      setError(toErrorMessage(err) || 'Failed to load subtasks');
+    } finally {
+      setLoadingSubtasks(false);
+    }
+  };
+
+  const handleToggleSubtasks = () => {
+    if (!showSubtasks && !tree) {
+      loadSubtasks();
+    }
+    setShowSubtasks(prev => !prev);
+  };
+
+  // A change to a subtask also changes this task's roll-up
+  const handleSubtaskUpdated = () => {
+    loadSubtasks();
+    onTodoUpdated();
+  };
+
+  const handleAddSubtask = async () => {
+    if (!provider || !chainId) {
+      setError('Please connect your wallet');
+      return;
+    }
+
+    const description = newSubtask.trim();
+    if (!description || isProcessing) return;
+
+    setIsProcessing(true);
+    setError(null);
+
+    try {
+      if (localTodo.encrypted) {
+        // Subtasks of an encrypted task are encrypted too
+        const encryptionKey = await unlockDescriptions();
+        await blockchainService.createSubtask(provider, chainId, todo.blockchainId, description, null, encryptionKey);
+      } else {
+        await blockchainService.createSubtask(provider, chainId, todo.blockchainId, description);
+      }
+      setNewSubtask('');
+
+      setTimeout(() => {
+        handleSubtaskUpdated();
+      }, 4000);
+    } catch (err: unknown) {
+      console.error('Error creating subtask:', err);
+      setError(toErrorMessage(err) || 'Failed to create subtask');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
   const formatDate = (dateString: string) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -322,8 +829,16 @@ const TodoItem: React.FC<TodoItemProps> = ({
         floating-3d depth-shadow
         ${localTodo.completed ? 'opacity-80' : ''}
         ${!localTodo.completed && localTodo.syncStatus === 'synced' ? 'glow-intense' : ''}
+        ${isDraggingFile ? 'ring-2 ring-blue-400' : ''}
         transition-all duration-300
       `}
+      onDragOver={(e) => {
+        if (!canEditAttachments) return;
+        e.preventDefault();
+        setIsDraggingFile(true);
+      }}
+      onDragLeave={() => setIsDraggingFile(false)}
+      onDrop={handleDrop}
       style={{
         borderLeft: `4px solid ${todoNetworkTheme.primaryColor}`,
         boxShadow: `0 4px 16px ${todoNetworkTheme.glowColor}, 0 2px 8px ${todoNetworkTheme.glowColor}`,
@@ -350,7 +865,14 @@ const TodoItem: React.FC<TodoItemProps> = ({
                 type="checkbox"
                 checked={localTodo.completed}
                 onChange={handleComplete}
-                disabled={isProcessing || localTodo.completed}
+                disabled={isProcessing || localTodo.completed || !canComplete || isBlocked || needsOwnerToComplete}
+                title={
+                  isBlocked
+                    ? 'Complete its dependencies first'
+                    : needsOwnerToComplete
+                      ? 'Only the owner can complete a task with a bounty'
+                      : undefined
+                }
                 className="peer w-6 h-6 rounded-lg border-2 disabled:opacity-50 cursor-pointer transition-all"
                 style={{
                   borderColor: todoNetworkTheme.primaryColor,
@@ -371,51 +893,85 @@ const TodoItem: React.FC<TodoItemProps> = ({
             <div className="flex-1">
               {/* Description - Inline Edit Mode */}
               {isEditing ? (
-                <div className="flex items-center gap-2">
-                  <input
-                    ref={editInputRef}
-                    type="text"
-                    value={editDescription}
-                    onChange={(e) => setEditDescription(e.target.value)}
-                    onKeyDown={handleKeyDown}
-                    disabled={isProcessing}
-                    className="flex-1 text-lg font-medium px-3 py-2 border-2 rounded-lg focus:outline-none focus:ring-2 transition-all"
-                    style={{
-                      borderColor: todoNetworkTheme.primaryColor,
-                      boxShadow: `0 0 0 3px ${todoNetworkTheme.glowColor}`,
-                    }}
-                    placeholder="Enter task description..."
-                  />
-                  <button
-                    onClick={handleSaveEdit}
-                    disabled={isProcessing}
-                    className="p-2 rounded-lg bg-green-500 hover:bg-green-600 text-white transition-colors disabled:opacity-50"
-                    title="Save changes"
-                  >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                    </svg>
-                  </button>
-                  <button
-                    onClick={handleCancelEdit}
-                    disabled={isProcessing}
-                    className="p-2 rounded-lg bg-gray-400 hover:bg-gray-500 text-white transition-colors disabled:opacity-50"
-                    title="Cancel"
-                  >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                    </svg>
-                  </button>
+                <div>
+                  <div className="flex items-start gap-2">
+                    <textarea
+                      ref={editInputRef}
+                      value={editDescription}
+                      onChange={(e) => setEditDescription(e.target.value)}
+                      onKeyDown={handleKeyDown}
+                      disabled={isProcessing}
+                      rows={editMarkdown ? 6 : 1}
+                      maxLength={MAX_DESCRIPTION_LENGTH}
+                      className={`flex-1 text-lg font-medium px-3 py-2 border-2 rounded-lg focus:outline-none focus:ring-2 transition-all ${editMarkdown ? 'font-mono text-base' : 'resize-none'}`}
+                      style={{
+                        borderColor: todoNetworkTheme.primaryColor,
+                        boxShadow: `0 0 0 3px ${todoNetworkTheme.glowColor}`,
+                      }}
+                      placeholder="Enter task description..."
+                    />
+                    <button
+                      onClick={handleSaveEdit}
+                      disabled={isProcessing}
+                      className="p-2 rounded-lg bg-green-500 hover:bg-green-600 text-white transition-colors disabled:opacity-50"
+                      title="Save changes"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={handleCancelEdit}
+                      disabled={isProcessing}
+                      className="p-2 rounded-lg bg-gray-400 hover:bg-gray-500 text-white transition-colors disabled:opacity-50"
+                      title="Cancel"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </div>
+                  <label className="flex items-center gap-1.5 mt-2 text-xs font-medium text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={editMarkdown}
+                      onChange={(e) => setEditMarkdown(e.target.checked)}
+                      disabled={isProcessing}
+                    />
+                    Markdown {editMarkdown && <span className="text-gray-400">(Ctrl+Enter to save)</span>}
+                  </label>
+                  {editMarkdown && editDescription.trim() && (
+                    <div className="mt-2 px-3 py-2 border border-dashed border-gray-300 rounded-lg text-gray-700" data-testid="edit-preview">
+                      <Markdown source={editDescription} />
+                    </div>
+                  )}
                 </div>
               ) : (
                 <div className="flex items-start gap-2">
-                  <p
+                  <div
                     className={`text-lg font-medium leading-relaxed flex-1 ${localTodo.completed ? 'line-through text-gray-500' : 'text-gray-800'
                       }`}
                   >
-                    {localTodo.description}
-                  </p>
-                  {!localTodo.completed && !localTodo.deleted && (
+                    {isLocked ? (
+                      <span className="inline-flex items-center gap-2 text-gray-500 italic">
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                        </svg>
+                        Encrypted description
+                      </span>
+                    ) : (
+                      isMarkdown(localTodo.contentType) ? <Markdown source={displayDescription} /> : displayDescription
+                    )}
+                  </div>
+                  {isLocked && isOwner && !descriptionKey && (
+                    <button
+                      onClick={handleUnlock}
+                      className="px-2 py-1 text-xs font-medium rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 transition-colors"
+                    >
+                      Unlock
+                    </button>
+                  )}
+                  {isEditable && !isLocked && (
                     <button
                       onClick={handleEdit}
                       disabled={isProcessing}
@@ -427,9 +983,43 @@ const TodoItem: React.FC<TodoItemProps> = ({
                       </svg>
                     </button>
                   )}
+                  {canEditAttachments && attachments.length < MAX_ATTACHMENTS && (
+                    <>
+                      <button
+                        onClick={() => attachInputRef.current?.click()}
+                        disabled={isProcessing}
+                        className="p-1.5 rounded-lg opacity-0 group-hover:opacity-100 hover:bg-gray-100 text-gray-500 hover:text-gray-700 transition-all"
+                        title="Attach files (or drop them on the task)"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+                        </svg>
+                      </button>
+                      <input
+                        ref={attachInputRef}
+                        type="file"
+                        multiple
+                        accept={ATTACHMENT_ACCEPT}
+                        onChange={(e) => {
+                          handleAttachFiles(Array.from(e.target.files ?? []));
+                          e.target.value = '';
+                        }}
+                        className="hidden"
+                        aria-label="Attach files to task"
+                      />
+                    </>
+                  )}
                 </div>
               )}
 
+              {!localTodo.encrypted && (
+                <AttachmentList
+                  attachments={attachments}
+                  onRemove={canEditAttachments ? handleRemoveAttachment : undefined}
+                  disabled={isProcessing}
+                />
+              )}
+
               <div className="flex flex-wrap items-center gap-2 sm:gap-3 mt-3 text-xs sm:text-sm">
                 {/* Due Date Display with color indicators */}
                 {localTodo.dueDate && (
@@ -446,6 +1036,79 @@ const TodoItem: React.FC<TodoItemProps> = ({
                   </svg>
                   <span className="whitespace-nowrap">{formatDate(localTodo.blockchainCreatedAt)}</span>
                 </div>
+                {/* Priority - editable while the task is open */}
+                {isEditable ? (
+                  <select
+                    value={localTodo.priority}
+                    onChange={(e) => handlePriorityChange(Number(e.target.value))}
+                    disabled={isProcessing}
+                    className={`text-xs font-medium px-2 py-1 rounded-lg border border-gray-200 ${PRIORITY_STYLES[localTodo.priority] || 'bg-white text-gray-600'}`}
+                    aria-label="Task priority"
+                  >
+                    {PRIORITY_LABELS.map((label, level) => (
+                      <option key={label} value={level}>
+                        {level === 0 ? 'No priority' : `${label} priority`}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  localTodo.priority > 0 && (
+                    <span className={`text-xs font-medium px-2 py-1 rounded-lg ${PRIORITY_STYLES[localTodo.priority]}`}>
+                      {PRIORITY_LABELS[localTodo.priority]} priority
+                    </span>
+                  )
+                )}
+                {/* Recurrence */}
+                {localTodo.recurrence && localTodo.recurrence !== 'none' && (
+                  <span
+                    className="text-xs font-medium px-2 py-1 rounded-lg bg-purple-100 text-purple-800 flex items-center gap-1"
+                    title={localTodo.nextOccurrenceId ? `Next occurrence: #${localTodo.nextOccurrenceId}` : undefined}
+                  >
+                    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                    </svg>
+                    {describeRecurrence(localTodo.recurrence, localTodo.recurrenceInterval)}
+                  </span>
+                )}
+                {/* Open dependencies keep the task from being completed */}
+                {isBlocked && (
+                  <span
+                    className="text-xs font-medium px-2 py-1 rounded-lg bg-amber-100 text-amber-800 flex items-center gap-1"
+                    title={blockedBy.map(taskLabel).join('\n')}
+                  >
+                    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                    </svg>
+                    Blocked by {blockedBy.map(id => `#${id}`).join(', ')}
+                  </span>
+                )}
+                {/* Bounty and who it goes to */}
+                {hasBounty(bounty) && (
+                  <span className="text-xs font-medium px-2 py-1 rounded-lg bg-emerald-100 text-emerald-800">
+                    {formatBounty(bounty)} bounty
+                  </span>
+                )}
+                {hasBounty(localTodo.bountyReleased) && localTodo.assignee && (
+                  <span className="text-xs font-medium px-2 py-1 rounded-lg bg-emerald-100 text-emerald-800">
+                    Paid {formatBounty(localTodo.bountyReleased)} to {shortenAddress(localTodo.assignee)}
+                  </span>
+                )}
+                {localTodo.assignee && !localTodo.completed && (
+                  <span
+                    className="text-xs font-medium px-2 py-1 rounded-lg bg-sky-100 text-sky-800"
+                    title={localTodo.assignee}
+                  >
+                    {isAssignee ? 'Assigned to you' : `Assigned to ${shortenAddress(localTodo.assignee)}`}
+                  </span>
+                )}
+                {localTodo.pendingAssignee && !isPendingAssignee && !localTodo.completed && (
+                  <span
+                    className="text-xs font-medium px-2 py-1 rounded-lg bg-amber-100 text-amber-800"
+                    title={localTodo.pendingAssignee}
+                  >
+                    Awaiting {shortenAddress(localTodo.pendingAssignee)} to accept
+                  </span>
+                )}
                 {localTodo.completed && localTodo.blockchainCompletedAt && (
                   <div className="flex items-center gap-1.5 text-green-600">
                     <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
@@ -456,6 +1119,67 @@ const TodoItem: React.FC<TodoItemProps> = ({
                 )}
               </div>
 
+              {/* Tags */}
+              {(localTodo.tags.length > 0 || isEditable) && (
+                <div className="flex flex-wrap items-center gap-1.5 mt-3" aria-label="Tags">
+                  {localTodo.tags.map(tag => (
+                    <span
+                      key={tag}
+                      className="text-xs font-medium px-2 py-0.5 rounded-full bg-gray-100 text-gray-700 flex items-center gap-1"
+                      title={tag}
+                    >
+                      {tagLabel(tag)}
+                      {isEditable && (
+                        <button
+                          onClick={() => handleRemoveTag(tag)}
+                          disabled={isProcessing}
+                          className="text-gray-400 hover:text-gray-700 disabled:opacity-50"
+                          aria-label={`Remove tag ${tagLabel(tag)}`}
+                        >
+                          ×
+                        </button>
+                      )}
+                    </span>
+                  ))}
+                  {isEditable && localTodo.tags.length < MAX_TAGS_PER_TASK && (
+                    <input
+                      type="text"
+                      value={newTag}
+                      onChange={(e) => setNewTag(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleAddTag();
+                      }}
+                      disabled={isProcessing}
+                      placeholder="+ tag"
+                      className="text-xs w-20 px-2 py-0.5 rounded-full border border-dashed border-gray-300 bg-transparent focus:outline-none focus:w-28 transition-all"
+                      aria-label="Add tag"
+                    />
+                  )}
+                </div>
+              )}
+
+              {/* Subtask roll-up */}
+              {hasSubtasks && (
+                <div className="flex items-center gap-2 mt-3 text-xs text-gray-600 dark:text-gray-400">
+                  <div
+                    className="flex-1 max-w-48 h-1.5 rounded-full bg-gray-200 overflow-hidden"
+                    role="progressbar"
+                    aria-label="Subtasks completed"
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={completionPercent(subtaskCounts)}
+                  >
+                    <div
+                      className="h-full rounded-full transition-all"
+                      style={{ width: `${completionPercent(subtaskCounts)}%`, background: todoNetworkTheme.gradient }}
+                    />
+                  </div>
+                  <span>
+                    {subtaskCounts.completed}/{subtaskCounts.total} subtasks · {completionPercent(subtaskCounts)}%
+                  </span>
+                </div>
+              )}
+
               <div className="flex flex-wrap items-center gap-1.5 sm:gap-2 mt-3">
                 {/* Network Badge */}
                 <span
@@ -472,6 +1196,37 @@ const TodoItem: React.FC<TodoItemProps> = ({
                   {todoNetworkTheme.name}
                 </span>
 
+                {/* Shared list - the task owner can move it between lists */}
+                {isOwner && !localTodo.deleted && movableLists.length > 0 ? (
+                  <select
+                    value={localTodo.listId ?? ''}
+                    onChange={(e) => handleMoveToList(e.target.value)}
+                    disabled={isProcessing}
+                    className="text-xs font-medium px-2 py-1 rounded-lg border border-gray-200 bg-white text-gray-600"
+                    aria-label="Task list"
+                  >
+                    <option value="">Personal</option>
+                    {movableLists.map(l => (
+                      <option key={l.listId} value={l.listId}>
+                        {l.name}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  localTodo.listId && (
+                    <span
+                      className="text-xs font-medium px-2.5 py-1 rounded-lg bg-indigo-100 text-indigo-800 flex items-center gap-1"
+                      title={isReadOnly ? 'Shared list (view only)' : 'Shared list'}
+                    >
+                      <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z" />
+                      </svg>
+                      {list?.name ?? `List #${localTodo.listId}`}
+                      {isReadOnly && ' (view only)'}
+                    </span>
+                  )
+                )}
+
                 {/* Different network warning */}
                 {isOnDifferentNetwork && (
                   <span className="text-xs font-medium px-2.5 py-1 rounded-lg bg-yellow-100 text-yellow-800 border border-yellow-300 flex items-center gap-1">
@@ -528,7 +1283,262 @@ const TodoItem: React.FC<TodoItemProps> = ({
                     <span className="sm:hidden">TX</span>
                   </a>
                 </Tooltip>
+
+                <button
+                  onClick={() => setShowHistory(prev => !prev)}
+                  className="text-xs font-medium flex items-center gap-1 px-2 py-1 rounded transition-colors hover:underline"
+                  style={{ color: todoNetworkTheme.primaryColor }}
+                  aria-expanded={showHistory}
+                  title="Show task history"
+                >
+                  <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+                  </svg>
+                  {showHistory ? 'Hide history' : 'History'}
+                </button>
+
+                {(hasSubtasks || canAddSubtask) && (
+                  <button
+                    onClick={handleToggleSubtasks}
+                    className="text-xs font-medium flex items-center gap-1 px-2 py-1 rounded transition-colors hover:underline"
+                    style={{ color: todoNetworkTheme.primaryColor }}
+                    aria-expanded={showSubtasks}
+                    title="Show subtasks"
+                  >
+                    <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M8 12h12M12 18h8" />
+                    </svg>
+                    {showSubtasks ? 'Hide subtasks' : 'Subtasks'}
+                  </button>
+                )}
+
+                {(dependencies.length > 0 || isEditable) && (
+                  <button
+                    onClick={handleToggleDependencies}
+                    className="text-xs font-medium flex items-center gap-1 px-2 py-1 rounded transition-colors hover:underline"
+                    style={{ color: todoNetworkTheme.primaryColor }}
+                    aria-expanded={showDependencies}
+                    title="Show dependencies"
+                  >
+                    <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+                    </svg>
+                    {showDependencies ? 'Hide dependencies' : `Dependencies${dependencies.length > 0 ? ` (${dependencies.length})` : ''}`}
+                  </button>
+                )}
+
+                {canManageBounty && (
+                  <button
+                    onClick={() => setShowBounty(prev => !prev)}
+                    className="text-xs font-medium flex items-center gap-1 px-2 py-1 rounded transition-colors hover:underline"
+                    style={{ color: todoNetworkTheme.primaryColor }}
+                    aria-expanded={showBounty}
+                    title="Manage bounty"
+                  >
+                    <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                    </svg>
+                    {showBounty ? 'Hide bounty' : 'Bounty'}
+                  </button>
+                )}
               </div>
+
+              {showBounty && canManageBounty && (
+                <div className="mt-3 space-y-2 text-xs" aria-label="Bounty">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      value={bountyAmount}
+                      onChange={(e) => setBountyAmount(e.target.value)}
+                      disabled={isProcessing}
+                      placeholder="0.05"
+                      className="w-24 px-2 py-1 rounded-lg border border-gray-300 bg-transparent"
+                      aria-label="Bounty amount in ETH"
+                    />
+                    <button
+                      onClick={handleFundBounty}
+                      disabled={isProcessing || !bountyAmount.trim()}
+                      className="px-2 py-1 rounded-lg bg-emerald-500 hover:bg-emerald-600 text-white font-medium disabled:opacity-50"
+                    >
+                      Fund bounty
+                    </button>
+                    {hasBounty(bounty) && (
+                      <button
+                        onClick={handleCancelBounty}
+                        disabled={isProcessing}
+                        className="px-2 py-1 rounded-lg text-red-600 hover:underline disabled:opacity-50"
+                      >
+                        Cancel bounty
+                      </button>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <input
+                      type="text"
+                      value={assigneeInput}
+                      onChange={(e) => setAssigneeInput(e.target.value)}
+                      disabled={isProcessing}
+                      placeholder="0x... assignee address"
+                      className="flex-1 min-w-0 px-2 py-1 rounded-lg border border-gray-300 bg-transparent font-mono"
+                      aria-label="Assignee address"
+                    />
+                    <button
+                      onClick={handleAssign}
+                      disabled={isProcessing || !assigneeInput.trim()}
+                      className="px-2 py-1 rounded-lg bg-sky-500 hover:bg-sky-600 text-white font-medium disabled:opacity-50"
+                    >
+                      Assign
+                    </button>
+                    {(localTodo.assignee || localTodo.pendingAssignee) && (
+                      <button
+                        onClick={() => updateAssignee(null)}
+                        disabled={isProcessing}
+                        className="px-2 py-1 rounded-lg text-gray-600 hover:underline disabled:opacity-50"
+                      >
+                        Unassign
+                      </button>
+                    )}
+                  </div>
+                  <p className="text-gray-500">
+                    The assignee has to accept before they can complete the task. Completing it pays the bounty to
+                    the assignee, or refunds it to you if nobody has accepted.
+                  </p>
+                </div>
+              )}
+
+              {/* Assignment proposed to the connected account */}
+              {isPendingAssignee && !localTodo.completed && !localTodo.deleted && (
+                <div
+                  className="mt-3 flex flex-wrap items-center gap-2 text-xs rounded-lg bg-amber-50 border border-amber-200 px-3 py-2"
+                  aria-label="Assignment"
+                >
+                  <span className="text-amber-800 font-medium">
+                    {shortenAddress(localTodo.owner)} asked you to take this task
+                  </span>
+                  <button
+                    onClick={handleAcceptAssignment}
+                    disabled={isProcessing}
+                    className="px-2 py-1 rounded-lg bg-sky-500 hover:bg-sky-600 text-white font-medium disabled:opacity-50"
+                  >
+                    Accept
+                  </button>
+                  <button
+                    onClick={handleRejectAssignment}
+                    disabled={isProcessing}
+                    className="px-2 py-1 rounded-lg text-gray-600 hover:underline disabled:opacity-50"
+                  >
+                    Reject
+                  </button>
+                </div>
+              )}
+
+              {showHistory && (
+                <div className="mt-3">
+                  <TaskHistory todoId={localTodo._id} accentColor={todoNetworkTheme.primaryColor} />
+                </div>
+              )}
+
+              {/* Dependencies - the tasks this one waits on and the tasks waiting on it */}
+              {showDependencies && (
+                <div className="mt-3 space-y-2 text-xs" aria-label="Dependencies">
+                  <div className="flex flex-wrap items-center gap-1.5">
+                    <span className="text-gray-500">Waits on:</span>
+                    {dependencies.length === 0 && <span className="text-gray-500">Nothing</span>}
+                    {dependencies.map(id => (
+                      <span
+                        key={id}
+                        className={`font-medium px-2 py-0.5 rounded-full flex items-center gap-1 ${blockedBy.includes(id) ? 'bg-amber-100 text-amber-800' : 'bg-gray-100 text-gray-500 line-through'}`}
+                      >
+                        {taskLabel(id)}
+                        {isEditable && (
+                          <button
+                            onClick={() => handleRemoveDependency(id)}
+                            disabled={isProcessing}
+                            className="text-gray-400 hover:text-gray-700 disabled:opacity-50"
+                            aria-label={`Remove dependency #${id}`}
+                          >
+                            ×
+                          </button>
+                        )}
+                      </span>
+                    ))}
+                    {isEditable && dependencies.length < MAX_DEPENDENCIES_PER_TASK && candidates.length > 0 && (
+                      <select
+                        value=""
+                        onChange={(e) => handleAddDependency(e.target.value)}
+                        disabled={isProcessing}
+                        className="px-2 py-0.5 rounded-full border border-dashed border-gray-300 bg-transparent"
+                        aria-label="Add dependency"
+                      >
+                        <option value="">+ dependency</option>
+                        {candidates.map(t => (
+                          <option key={t._id} value={t.blockchainId}>
+                            #{t.blockchainId} {t.description}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                  {graph && graph.dependents.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-1.5">
+                      <span className="text-gray-500">Blocks:</span>
+                      {graph.dependents.map(t => (
+                        <span key={t._id} className="font-medium px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">
+                          #{t.blockchainId} {t.description}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Subtasks, nested under their parent */}
+              {showSubtasks && (
+                <div
+                  className="mt-3 pl-3 sm:pl-4 border-l-2 space-y-3"
+                  style={{ borderColor: todoNetworkTheme.primaryColor }}
+                  aria-label="Subtasks"
+                >
+                  {loadingSubtasks && !tree && (
+                    <p className="text-xs text-gray-500">Loading subtasks...</p>
+                  )}
+                  {tree?.subtasks.map(child => (
+                    <TodoItem
+                      key={child._id}
+                      todo={toTodo(child)}
+                      onTodoUpdated={handleSubtaskUpdated}
+                      lists={lists}
+                      depth={depth + 1}
+                      tasks={tasks}
+                    />
+                  ))}
+                  {canAddSubtask && (
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={newSubtask}
+                        onChange={(e) => setNewSubtask(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') handleAddSubtask();
+                        }}
+                        disabled={isProcessing}
+                        placeholder="Add a subtask..."
+                        className="flex-1 text-sm px-3 py-1.5 rounded-lg border border-dashed border-gray-300 bg-transparent focus:outline-none"
+                        aria-label="New subtask"
+                      />
+                      <button
+                        onClick={handleAddSubtask}
+                        disabled={isProcessing || !newSubtask.trim()}
+                        className="text-sm font-medium px-3 py-1.5 rounded-lg text-white disabled:opacity-50"
+                        style={{ background: todoNetworkTheme.gradient }}
+                      >
+                        Add subtask
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -536,7 +1546,7 @@ const TodoItem: React.FC<TodoItemProps> = ({
         {/* Action Buttons */}
         <div className="flex items-center gap-2 self-start sm:self-auto">
           {/* Restore Button - Only shown for deleted tasks */}
-          {localTodo.deleted && (
+          {localTodo.deleted && !isReadOnly && (
             <button
               onClick={handleRestore}
               disabled={isProcessing}
@@ -551,7 +1561,7 @@ const TodoItem: React.FC<TodoItemProps> = ({
           )}
 
           {/* Delete Button - Hidden for already deleted tasks */}
-          {!localTodo.deleted && (
+          {!localTodo.deleted && !isReadOnly && (
             <button
               onClick={handleDelete}
               disabled={isProcessing}
@@ -1,41 +1,105 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useWeb3 } from '../contexts/Web3Context';
 import { apiService } from '../services/api';
 import { blockchainService } from '../services/blockchain';
 import TodoItem from './TodoItem';
 import AddTodoForm from './AddTodoForm';
+import SharedLists from './SharedLists';
+import BountyBalance from './BountyBalance';
 import LoadingSpinner from './LoadingSpinner';
 import WalletConnect from './WalletConnect';
 import { HexagonPattern, NetworkNodes, DigitalGrid, ChainLinkPattern } from './patterns';
-import type { Todo, UserStats } from '../types/todo';
+import type { Todo, TaskList, UserStats, PageInfo, TodoSortKey } from '../types/todo';
+import { PRIORITY_LABELS, knownTags } from '../utils/tags';
+
+type ListView = 'mine' | 'assigned';
+type ListFilter = 'all' | 'active' | 'completed';
+type SortOption = 'newest' | 'oldest' | 'dueDate' | 'completedAt' | 'priority';
+type BatchAction = 'complete' | 'delete' | 'duplicate';
+
+const SORT_OPTIONS: Record<SortOption, { label: string; sortBy: TodoSortKey; order: 'asc' | 'desc' }> = {
+  newest: { label: 'Newest first', sortBy: 'createdAt', order: 'desc' },
+  oldest: { label: 'Oldest first', sortBy: 'createdAt', order: 'asc' },
+  dueDate: { label: 'Due date', sortBy: 'dueDate', order: 'asc' },
+  completedAt: { label: 'Recently completed', sortBy: 'completedAt', order: 'desc' },
+  priority: { label: 'Highest priority', sortBy: 'priority', order: 'desc' },
+};
+
+const VIEW_LABELS: Record<ListView, string> = {
+  mine: 'Your Tasks',
+  assigned: 'Assigned to me',
+};
+
+const PAGE_SIZE = 10;
+const SEARCH_DEBOUNCE_MS = 300;
 
 const TodoList: React.FC = () => {
   const { address, isConnected, provider, chainId } = useWeb3();
   const [todos, setTodos] = useState<Todo[]>([]);
   const [stats, setStats] = useState<UserStats | null>(null);
+  const [lists, setLists] = useState<TaskList[]>([]);
   const [loading, setLoading] = useState(false);
   const [isSyncing, setIsSyncing] = useState(false);
+  // Todo _ids picked for a batch action
+  const [selected, setSelected] = useState<Set<string>>(new Set());
+  const [batchAction, setBatchAction] = useState<BatchAction | null>(null);
   const [error, setError] = useState<string | null>(null);
-  const [filter, setFilter] = useState<'all' | 'active' | 'completed'>('all');
+  // Tasks the user owns or shares, or tasks other people assigned to them
+  const [view, setView] = useState<ListView>('mine');
+  const [filter, setFilter] = useState<ListFilter>('all');
+  const [sort, setSort] = useState<SortOption>('newest');
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  // '' means any priority / any tag
+  const [priorityFilter, setPriorityFilter] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
 
-  // Pagination state
-  const [page, setPage] = useState(1);
-  const [pageSize] = useState(10);
+  // Cursor pagination: cursors[n] fetches page n, so going back reuses a
+  // cursor we already have
+  const [page, setPage] = useState(0);
+  const [cursors, setCursors] = useState<(string | undefined)[]>([undefined]);
+  const [pageInfo, setPageInfo] = useState<PageInfo | null>(null);
+  const cursor = cursors[page];
+
+  // Ignore responses to requests that have since been superseded
+  const latestRequest = useRef(0);
+
+  const resetPaging = useCallback(() => {
+    setPage(0);
+    setCursors([undefined]);
+  }, []);
 
   const fetchTodos = useCallback(async () => {
     if (!address) return;
 
+    const requestId = ++latestRequest.current;
     setLoading(true);
     setError(null);
 
     try {
-      const response = await apiService.getTodosByAddress(address, true, false);
+      const { sortBy, order } = SORT_OPTIONS[sort];
+      const getPage = view === 'assigned' ? apiService.getAssignedTodoPage : apiService.getTodoPage;
+      const response = await getPage(address, {
+        status: filter,
+        sortBy,
+        order,
+        q: query,
+        priority: priorityFilter === '' ? undefined : Number(priorityFilter),
+        tag: tagFilter,
+        // Subtasks are listed under their parent, but a search should find them too
+        topLevel: !query,
+        cursor,
+        limit: PAGE_SIZE,
+      });
+      if (requestId !== latestRequest.current) return;
       if (response.success && response.data) {
         setTodos(response.data);
+        setPageInfo(response.pageInfo ?? null);
       } else {
         console.error('Todos fetch failed:', response);
       }
     } catch (err: unknown) {
+      if (requestId !== latestRequest.current) return;
       if (err instanceof Error) {
         console.error('Error fetching todos:', err);
         setError(err.message || 'Failed to fetch todos');
@@ -44,9 +108,11 @@ const TodoList: React.FC = () => {
         setError('Failed to fetch todos');
       }
     } finally {
-      setLoading(false);
+      if (requestId === latestRequest.current) {
+        setLoading(false);
+      }
     }
-  }, [address]);
+  }, [address, view, filter, sort, query, priorityFilter, tagFilter, cursor]);
 
   const fetchStats = useCallback(async () => {
     if (!address) return;
@@ -66,18 +132,105 @@ const TodoList: React.FC = () => {
   useEffect(() => {
     if (isConnected && address) {
       fetchTodos();
-      fetchStats();
     } else {
       setTodos([]);
+      setPageInfo(null);
+    }
+  }, [address, isConnected, fetchTodos]);
+
+  const fetchLists = useCallback(async () => {
+    if (!address) return;
+
+    try {
+      const response = await apiService.getLists();
+      if (response.success && response.data) {
+        setLists(response.data);
+      }
+    } catch (err) {
+      console.error('Error fetching lists:', err);
+    }
+  }, [address]);
+
+  useEffect(() => {
+    if (isConnected && address) {
+      fetchStats();
+    } else {
       setStats(null);
     }
-  }, [address, isConnected, fetchTodos, fetchStats]);
+  }, [address, isConnected, fetchStats]);
+
+  useEffect(() => {
+    if (isConnected && address) {
+      fetchLists();
+    } else {
+      setLists([]);
+    }
+  }, [address, isConnected, fetchLists]);
+
+  // Start from the first page when the account changes
+  useEffect(() => {
+    resetPaging();
+  }, [address, resetPaging]);
+
+  // Search once the user stops typing
+  useEffect(() => {
+    const trimmed = search.trim();
+    if (trimmed === query) return;
+
+    const timer = setTimeout(() => {
+      setQuery(trimmed);
+      resetPaging();
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [search, query, resetPaging]);
 
   const handleRefresh = () => {
     fetchTodos();
     fetchStats();
   };
 
+  // Membership changes also change which todos are visible
+  const handleListsChanged = () => {
+    fetchLists();
+    handleRefresh();
+  };
+
+  const handleViewChange = (value: ListView) => {
+    setView(value);
+    resetPaging();
+  };
+
+  const handleFilterChange = (value: ListFilter) => {
+    setFilter(value);
+    resetPaging();
+  };
+
+  const handleSortChange = (value: SortOption) => {
+    setSort(value);
+    resetPaging();
+  };
+
+  const handlePriorityFilterChange = (value: string) => {
+    setPriorityFilter(value);
+    resetPaging();
+  };
+
+  const handleTagFilterChange = (value: string) => {
+    setTagFilter(value);
+    resetPaging();
+  };
+
+  const handleNextPage = () => {
+    if (!pageInfo?.nextCursor) return;
+    const nextCursor = pageInfo.nextCursor;
+    setCursors(prev => [...prev.slice(0, page + 1), nextCursor]);
+    setPage(p => p + 1);
+  };
+
+  const handlePreviousPage = () => {
+    setPage(p => Math.max(0, p - 1));
+  };
+
   const handleResyncFromBlockchain = async () => {
     if (!provider || !chainId || !address) return;
 
@@ -105,6 +258,83 @@ const TodoList: React.FC = () => {
     }
   };
 
+  // Only tasks on the connected chain that the user can edit can be batched;
+  // assigned tasks are completed one at a time
+  const isSelectable = useCallback((todo: Todo) => {
+    if (view === 'assigned' || todo.deleted || todo.chainId !== chainId) return false;
+    const list = lists.find(l => l.chainId === todo.chainId && l.listId === todo.listId);
+    return list?.role !== 'viewer';
+  }, [view, chainId, lists]);
+
+  const selectableTodos = todos.filter(isSelectable);
+  const selectedTodos = selectableTodos.filter(todo => selected.has(todo._id));
+  const completableTodos = selectedTodos.filter(todo => !todo.completed);
+  const allSelected = selectableTodos.length > 0 && selectedTodos.length === selectableTodos.length;
+
+  // Drop selections that are no longer on the page
+  useEffect(() => {
+    setSelected(prev => {
+      const visible = new Set(todos.map(todo => todo._id));
+      const next = new Set([...prev].filter(id => visible.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [todos]);
+
+  const toggleSelected = (id: string) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleSelectAll = () => {
+    setSelected(allSelected ? new Set() : new Set(selectableTodos.map(todo => todo._id)));
+  };
+
+  // Send the selected tasks in one transaction, then apply its events right
+  // away rather than waiting for the event listener
+  const handleBatchAction = async (action: BatchAction) => {
+    if (!provider || !chainId) return;
+
+    const targets = action === 'complete' ? completableTodos : selectedTodos;
+    if (targets.length === 0) return;
+
+    setBatchAction(action);
+    setError(null);
+
+    try {
+      const { transactionHash } = action === 'complete'
+        ? await blockchainService.batchCompleteTasks(provider, chainId, targets.map(todo => todo.blockchainId))
+        : action === 'delete'
+          ? await blockchainService.batchDeleteTasks(provider, chainId, targets.map(todo => todo.blockchainId))
+          : await blockchainService.batchCreateTasks(provider, chainId, targets.map(todo => ({
+            description: todo.description,
+            dueDate: todo.dueDate ? new Date(todo.dueDate) : null,
+            contentType: todo.contentType,
+          })));
+
+      try {
+        await apiService.syncTransaction(chainId, transactionHash);
+      } catch (syncError) {
+        // The event listener will still pick the transaction up
+        console.error('Batch sync error:', syncError);
+      }
+
+      setSelected(new Set());
+      handleRefresh();
+    } catch (err) {
+      console.error('Batch action error:', err);
+      setError(err instanceof Error ? err.message : 'Batch action failed');
+    } finally {
+      setBatchAction(null);
+    }
+  };
+
   // Optimistic update handlers
   const handleOptimisticUpdate = useCallback((id: string, updates: Partial<Todo>) => {
     setTodos(prev => prev.map(todo =>
@@ -117,28 +347,9 @@ const TodoList: React.FC = () => {
     fetchTodos();
   }, [fetchTodos]);
 
-  // Filter todos based on selected filter
-  const filteredTodos = useMemo(() => {
-    return todos.filter((todo) => {
-      if (filter === 'active') return !todo.completed && !todo.deleted;
-      if (filter === 'completed') return todo.completed && !todo.deleted;
-      return !todo.deleted;
-    });
-  }, [todos, filter]);
-
-  // Paginate filtered todos
-  const paginatedTodos = useMemo(() => {
-    const start = (page - 1) * pageSize;
-    return filteredTodos.slice(start, start + pageSize);
-  }, [filteredTodos, page, pageSize]);
-
-  // Calculate total pages
-  const totalPages = Math.ceil(filteredTodos.length / pageSize);
-
-  // Reset to page 1 when filter changes
-  useEffect(() => {
-    setPage(1);
-  }, [filter]);
+  const total = pageInfo?.total ?? todos.length;
+  const totalPages = Math.ceil(total / PAGE_SIZE);
+  const firstShown = page * PAGE_SIZE + 1;
 
   if (!isConnected) {
     return (
@@ -184,7 +395,15 @@ const TodoList: React.FC = () => {
   return (
     <div className="max-w-4xl mx-auto px-4 py-8">
       <div className="mb-8">
-        <AddTodoForm onTodoCreated={handleRefresh} />
+        <AddTodoForm onTodoCreated={handleRefresh} lists={lists} />
+      </div>
+
+      <div className="mb-8">
+        <SharedLists lists={lists} onListsChanged={handleListsChanged} />
+      </div>
+
+      <div className="mb-8 empty:hidden">
+        <BountyBalance />
       </div>
 
       {stats && (
@@ -252,7 +471,21 @@ const TodoList: React.FC = () => {
                 <path fillRule="evenodd" d="M6 2a1 1 0 00-1 1v1H4a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V6a2 2 0 00-2-2h-1V3a1 1 0 10-2 0v1H7V3a1 1 0 00-1-1zm0 5a1 1 0 000 2h8a1 1 0 100-2H6z" clipRule="evenodd" />
               </svg>
             </div>
-            <h2 className="text-2xl font-bold bg-gradient-to-r from-purple-600 to-blue-600 bg-clip-text text-transparent">Your Tasks</h2>
+            <div role="tablist" aria-label="Task view" className="flex items-baseline gap-4">
+              {(Object.keys(VIEW_LABELS) as ListView[]).map((option) => (
+                <button
+                  key={option}
+                  role="tab"
+                  aria-selected={view === option}
+                  onClick={() => handleViewChange(option)}
+                  className={view === option
+                    ? 'text-2xl font-bold bg-gradient-to-r from-purple-600 to-blue-600 bg-clip-text text-transparent'
+                    : 'text-lg font-semibold text-gray-500 hover:text-gray-700 transition-colors'}
+                >
+                  {VIEW_LABELS[option]}
+                </button>
+              ))}
+            </div>
           </div>
           <div className="flex items-center gap-2">
             <button
@@ -281,7 +514,7 @@ const TodoList: React.FC = () => {
 
         <div className="flex flex-wrap gap-3 mb-8 animate-slide-in relative z-10">
           <button
-            onClick={() => setFilter('all')}
+            onClick={() => handleFilterChange('all')}
             className={`px-6 py-3 rounded-xl font-semibold transition-all duration-300 transform hover:scale-105 ${filter === 'all'
                 ? 'gradient-primary text-white shadow-glow'
                 : 'glass-effect text-gray-700 hover:shadow-glow-sm'
@@ -292,13 +525,15 @@ const TodoList: React.FC = () => {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
               </svg>
               All Tasks
-              <span className={`px-2.5 py-0.5 text-xs font-bold rounded-full ${filter === 'all' ? 'bg-white/30' : 'bg-purple-100 text-purple-700'}`}>
-                {todos.filter((t) => !t.deleted).length}
-              </span>
+              {view === 'mine' && (
+                <span className={`px-2.5 py-0.5 text-xs font-bold rounded-full ${filter === 'all' ? 'bg-white/30' : 'bg-purple-100 text-purple-700'}`}>
+                  {stats?.total ?? 0}
+                </span>
+              )}
             </span>
           </button>
           <button
-            onClick={() => setFilter('active')}
+            onClick={() => handleFilterChange('active')}
             className={`px-6 py-3 rounded-xl font-semibold transition-all duration-300 transform hover:scale-105 ${filter === 'active'
                 ? 'gradient-primary text-white shadow-glow'
                 : 'glass-effect text-gray-700 hover:shadow-glow-sm'
@@ -309,13 +544,15 @@ const TodoList: React.FC = () => {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
               Active
-              <span className={`px-2.5 py-0.5 text-xs font-bold rounded-full ${filter === 'active' ? 'bg-white/30' : 'bg-blue-100 text-blue-700'}`}>
-                {todos.filter((t) => !t.completed && !t.deleted).length}
-              </span>
+              {view === 'mine' && (
+                <span className={`px-2.5 py-0.5 text-xs font-bold rounded-full ${filter === 'active' ? 'bg-white/30' : 'bg-blue-100 text-blue-700'}`}>
+                  {stats?.active ?? 0}
+                </span>
+              )}
             </span>
           </button>
           <button
-            onClick={() => setFilter('completed')}
+            onClick={() => handleFilterChange('completed')}
             className={`px-6 py-3 rounded-xl font-semibold transition-all duration-300 transform hover:scale-105 ${filter === 'completed'
                 ? 'gradient-primary text-white shadow-glow'
                 : 'glass-effect text-gray-700 hover:shadow-glow-sm'
@@ -326,13 +563,70 @@ const TodoList: React.FC = () => {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
               Completed
-              <span className={`px-2.5 py-0.5 text-xs font-bold rounded-full ${filter === 'completed' ? 'bg-white/30' : 'bg-green-100 text-green-700'}`}>
-                {todos.filter((t) => t.completed && !t.deleted).length}
-              </span>
+              {view === 'mine' && (
+                <span className={`px-2.5 py-0.5 text-xs font-bold rounded-full ${filter === 'completed' ? 'bg-white/30' : 'bg-green-100 text-green-700'}`}>
+                  {stats?.completed ?? 0}
+                </span>
+              )}
             </span>
           </button>
         </div>
 
+        <div className="flex flex-col sm:flex-row gap-3 mb-6 relative z-10">
+          <div className="relative flex-1">
+            <svg className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+            </svg>
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search tasks..."
+              aria-label="Search tasks"
+              maxLength={100}
+              className="w-full glass-effect pl-10 pr-4 py-2.5 rounded-xl text-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+          </div>
+          <select
+            value={sort}
+            onChange={(e) => handleSortChange(e.target.value as SortOption)}
+            aria-label="Sort tasks"
+            className="glass-effect px-4 py-2.5 rounded-xl font-medium text-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            {(Object.keys(SORT_OPTIONS) as SortOption[]).map((option) => (
+              <option key={option} value={option}>
+                {SORT_OPTIONS[option].label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={priorityFilter}
+            onChange={(e) => handlePriorityFilterChange(e.target.value)}
+            aria-label="Filter by priority"
+            className="glass-effect px-4 py-2.5 rounded-xl font-medium text-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            <option value="">Any priority</option>
+            {PRIORITY_LABELS.map((label, level) => (
+              <option key={label} value={level}>
+                {level === 0 ? 'No priority' : label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={tagFilter}
+            onChange={(e) => handleTagFilterChange(e.target.value)}
+            aria-label="Filter by tag"
+            className="glass-effect px-4 py-2.5 rounded-xl font-medium text-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            <option value="">Any tag</option>
+            {knownTags().map(({ hash, name }) => (
+              <option key={hash} value={hash}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+
         {error && (
           <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 relative z-10">
             {error}
@@ -348,7 +642,17 @@ const TodoList: React.FC = () => {
               <p className="mt-2 text-gray-500 dark:text-gray-400 text-sm">This may take a moment</p>
             </div>
           </div>
-        ) : filteredTodos.length === 0 ? (
+        ) : todos.length === 0 && (query || priorityFilter !== '' || tagFilter) ? (
+          <div className="glass-effect rounded-2xl shadow-glow p-12 text-center animate-scale-in relative overflow-hidden">
+            <HexagonPattern opacity={0.06} size={40} className="rounded-2xl" />
+            <h3 className="text-2xl font-bold text-gray-800 mb-3 relative z-10">🔍 No Matching Tasks</h3>
+            <p className="text-gray-600 text-lg max-w-md mx-auto relative z-10">
+              {query
+                ? <>Nothing matches &ldquo;{query}&rdquo;. Try another search term.</>
+                : 'No tasks match the selected filters.'}
+            </p>
+          </div>
+        ) : todos.length === 0 ? (
           <div className="glass-effect rounded-2xl shadow-glow p-12 text-center animate-scale-in relative overflow-hidden">
             <HexagonPattern opacity={0.06} size={40} className="rounded-2xl" />
             <DigitalGrid opacity={0.04} gridSize={35} className="rounded-2xl" />
@@ -368,35 +672,95 @@ const TodoList: React.FC = () => {
               )}
             </div>
             <h3 className="text-2xl font-bold text-gray-800 mb-3 relative z-10">
-              {filter === 'all'
-                ? '🎉 Ready to Start!'
-                : filter === 'active'
-                  ? '✨ All Caught Up!'
-                  : '🎯 No Completed Tasks Yet'}
+              {view === 'assigned'
+                ? '🤝 Nothing Assigned'
+                : filter === 'all'
+                  ? '🎉 Ready to Start!'
+                  : filter === 'active'
+                    ? '✨ All Caught Up!'
+                    : '🎯 No Completed Tasks Yet'}
             </h3>
             <p className="text-gray-600 text-lg max-w-md mx-auto relative z-10">
-              {filter === 'all'
-                ? 'Create your first task above and start managing your todos on the blockchain!'
-                : filter === 'active'
-                  ? 'You have no active tasks. Great work! Create a new one or check completed tasks.'
-                  : 'Complete some tasks to see them here. Keep going!'}
+              {view === 'assigned'
+                ? 'Tasks other people assign to you show up here, ready to accept or reject.'
+                : filter === 'all'
+                  ? 'Create your first task above and start managing your todos on the blockchain!'
+                  : filter === 'active'
+                    ? 'You have no active tasks. Great work! Create a new one or check completed tasks.'
+                    : 'Complete some tasks to see them here. Keep going!'}
             </p>
           </div>
         ) : (
           <>
+            {/* Batch Actions */}
+            {selectableTodos.length > 0 && (
+              <div className="flex flex-wrap items-center gap-3 mb-4 glass-effect rounded-xl px-4 py-3 relative z-10">
+                <label className="flex items-center gap-2 text-sm font-medium text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={toggleSelectAll}
+                    disabled={batchAction !== null}
+                    aria-label="Select all tasks"
+                    className="w-4 h-4 rounded accent-purple-600"
+                  />
+                  {selectedTodos.length > 0 ? `${selectedTodos.length} selected` : 'Select all'}
+                </label>
+                {selectedTodos.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-2 ml-auto">
+                    <button
+                      onClick={() => handleBatchAction('complete')}
+                      disabled={batchAction !== null || completableTodos.length === 0}
+                      className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-gradient-to-r from-green-500 to-emerald-500 hover:shadow-glow-sm transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {batchAction === 'complete' ? 'Completing...' : 'Complete selected'}
+                    </button>
+                    <button
+                      onClick={() => handleBatchAction('duplicate')}
+                      disabled={batchAction !== null}
+                      className="glass-effect px-4 py-2 rounded-lg text-sm font-semibold text-gray-700 hover:shadow-glow-sm transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {batchAction === 'duplicate' ? 'Duplicating...' : 'Duplicate selected'}
+                    </button>
+                    <button
+                      onClick={() => handleBatchAction('delete')}
+                      disabled={batchAction !== null}
+                      className="px-4 py-2 rounded-lg text-sm font-semibold text-white bg-gradient-to-r from-red-500 to-pink-500 hover:shadow-glow-sm transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {batchAction === 'delete' ? 'Deleting...' : 'Delete selected'}
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
             <div className="space-y-4 animate-slide-in relative z-10">
-              {paginatedTodos.map((todo, index) => (
+              {todos.map((todo, index) => (
                 <div
                   key={todo._id}
-                  className="animate-slide-in"
+                  className="animate-slide-in flex items-start gap-3"
                   style={{ animationDelay: `${index * 0.05}s` }}
                 >
-                  <TodoItem
-                    todo={todo}
-                    onTodoUpdated={handleRefresh}
-                    onOptimisticUpdate={handleOptimisticUpdate}
-                    onOptimisticRevert={handleOptimisticRevert}
-                  />
+                  {selectableTodos.length > 0 && (
+                    <input
+                      type="checkbox"
+                      checked={selected.has(todo._id)}
+                      onChange={() => toggleSelected(todo._id)}
+                      disabled={!isSelectable(todo) || batchAction !== null}
+                      aria-label={`Select task: ${todo.description}`}
+                      className="mt-7 w-4 h-4 rounded accent-purple-600 disabled:opacity-30"
+                    />
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <TodoItem
+                      todo={todo}
+                      onTodoUpdated={handleRefresh}
+                      onOptimisticUpdate={handleOptimisticUpdate}
+                      onOptimisticRevert={handleOptimisticRevert}
+                      lists={lists}
+                      tasks={todos}
+                    />
+                  </div>
                 </div>
               ))}
             </div>
@@ -405,12 +769,12 @@ const TodoList: React.FC = () => {
             {totalPages > 1 && (
               <div className="mt-8 flex items-center justify-between glass-effect rounded-xl p-4">
                 <div className="text-sm text-gray-600">
-                  Showing {((page - 1) * pageSize) + 1} to {Math.min(page * pageSize, filteredTodos.length)} of {filteredTodos.length} tasks
+                  Showing {firstShown} to {firstShown + todos.length - 1} of {total} tasks
                 </div>
                 <div className="flex items-center gap-2">
                   <button
-                    onClick={() => setPage(p => Math.max(1, p - 1))}
-                    disabled={page === 1}
+                    onClick={handlePreviousPage}
+                    disabled={page === 0 || loading}
                     className="glass-effect px-4 py-2 rounded-lg font-medium text-gray-700 hover:shadow-glow-sm transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
                   >
                     <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -418,35 +782,12 @@ const TodoList: React.FC = () => {
                     </svg>
                     Previous
                   </button>
-                  <div className="flex items-center gap-1">
-                    {Array.from({ length: Math.min(5, totalPages) }, (_, i) => {
-                      let pageNum;
-                      if (totalPages <= 5) {
-                        pageNum = i + 1;
-                      } else if (page <= 3) {
-                        pageNum = i + 1;
-                      } else if (page >= totalPages - 2) {
-                        pageNum = totalPages - 4 + i;
-                      } else {
-                        pageNum = page - 2 + i;
-                      }
-                      return (
-                        <button
-                          key={pageNum}
-                          onClick={() => setPage(pageNum)}
-                          className={`w-10 h-10 rounded-lg font-semibold transition-all duration-200 ${page === pageNum
-                              ? 'gradient-primary text-white shadow-glow'
-                              : 'glass-effect text-gray-700 hover:shadow-glow-sm'
-                            }`}
-                        >
-                          {pageNum}
-                        </button>
-                      );
-                    })}
-                  </div>
+                  <span className="px-3 text-sm font-semibold text-gray-700">
+                    Page {page + 1} of {totalPages}
+                  </span>
                   <button
-                    onClick={() => setPage(p => Math.min(totalPages, p + 1))}
-                    disabled={page === totalPages}
+                    onClick={handleNextPage}
+                    disabled={!pageInfo?.hasMore || loading}
                     className="glass-effect px-4 py-2 rounded-lg font-medium text-gray-700 hover:shadow-glow-sm transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
                   >
                     Next
@@ -3,6 +3,8 @@ import type { ReactNode } from 'react';
 import { BrowserProvider } from 'ethers';
 import { apiService } from '../services/api';
 import { isErrorWithCode, toErrorMessage } from '../types/error';
+import { buildSiweMessage } from '../utils/siwe';
+import { deriveDescriptionKey, descriptionKeyMessage } from '../utils/encryption';
 
 interface WalletState {
   address: string | null;
@@ -17,6 +19,9 @@ interface Web3ContextType extends WalletState {
   disconnect: () => void;
   switchNetwork: (chainId: number) => Promise<void>;
   provider: BrowserProvider | null;
+  // Key for encrypted descriptions, null until the user unlocks them
+  descriptionKey: CryptoKey | null;
+  unlockDescriptions: () => Promise<CryptoKey>;
 }
 
 const Web3Context = createContext<Web3ContextType | undefined>(undefined);
@@ -43,7 +48,9 @@ export const Web3Provider: React.FC<Web3ProviderProps> = ({ children }) => {
     error: null,
   });
   const [provider, setProvider] = useState<BrowserProvider | null>(null);
+  const [descriptionKey, setDescriptionKey] = useState<CryptoKey | null>(null);
   const isConnectingRef = useRef(false);
+  const unlockingRef = useRef<Promise<CryptoKey> | null>(null);
 
   // Check if MetaMask is installed
   const checkMetaMask = () => {
@@ -61,8 +68,19 @@ export const Web3Provider: React.FC<Web3ProviderProps> = ({ children }) => {
   const authenticate = async (address: string, browserProvider: BrowserProvider) => {
     try {
       // Get nonce from backend
-      const nonceResponse = await apiService.getNonce(address);
-      const { message } = nonceResponse;
+      const { nonce, issuedAt, expiresAt } = await apiService.getNonce(address);
+      const network = await browserProvider.getNetwork();
+
+      // Sign-In with Ethereum message bound to this site and chain
+      const message = buildSiweMessage({
+        domain: window.location.host,
+        address,
+        uri: window.location.origin,
+        chainId: Number(network.chainId),
+        nonce,
+        issuedAt,
+        expirationTime: expiresAt,
+      });
 
       // Sign the message with wallet
       const signer = await browserProvider.getSigner();
@@ -72,8 +90,10 @@ export const Web3Provider: React.FC<Web3ProviderProps> = ({ children }) => {
       const loginResponse = await apiService.login(address, signature, message);
 
       if (loginResponse.success && loginResponse.token) {
-        // Store token in localStorage
+        // Store tokens in localStorage; the refresh token renews the
+        // short-lived access token
         localStorage.setItem('authToken', loginResponse.token);
+        localStorage.setItem('refreshToken', loginResponse.refreshToken);
       } else {
         throw new Error('Failed to get authentication token');
       }
@@ -129,6 +149,7 @@ export const Web3Provider: React.FC<Web3ProviderProps> = ({ children }) => {
       // Clear stale connection state so next page load doesn't auto-connect into an error
       localStorage.removeItem('walletConnected');
       localStorage.removeItem('authToken');
+      localStorage.removeItem('refreshToken');
 
       // Handle MetaMask-specific errors gracefully
       let errorMessage = toErrorMessage(error);
@@ -187,6 +208,30 @@ export const Web3Provider: React.FC<Web3ProviderProps> = ({ children }) => {
     }
   };
 
+  // Derive the description key from a wallet signature. It is only kept in
+  // memory, so the wallet asks again after a reload
+  const unlockDescriptions = async () => {
+    if (descriptionKey) return descriptionKey;
+    if (!provider || !walletState.address) {
+      throw new Error('Please connect your wallet');
+    }
+
+    // Items unlocking at the same time share one signature request
+    if (!unlockingRef.current) {
+      const address = walletState.address;
+      unlockingRef.current = (async () => {
+        const signer = await provider.getSigner();
+        const signature = await signer.signMessage(descriptionKeyMessage(address));
+        const key = await deriveDescriptionKey(signature);
+        setDescriptionKey(key);
+        return key;
+      })().finally(() => {
+        unlockingRef.current = null;
+      });
+    }
+    return unlockingRef.current;
+  };
+
   // Disconnect wallet
   const disconnect = () => {
     setWalletState({
@@ -197,8 +242,19 @@ export const Web3Provider: React.FC<Web3ProviderProps> = ({ children }) => {
       error: null,
     });
     setProvider(null);
+    setDescriptionKey(null);
+
+    // End the session on the server so the refresh token cannot be reused
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      apiService.logout(refreshToken).catch((error: unknown) => {
+        console.error('Logout error:', error);
+      });
+    }
+
     localStorage.removeItem('walletConnected');
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
   };
 
   // Switch network
@@ -229,6 +285,9 @@ export const Web3Provider: React.FC<Web3ProviderProps> = ({ children }) => {
       if (accounts.length === 0) {
         disconnect();
       } else {
+        // The key belongs to the previous account
+        setDescriptionKey(null);
+
         // Re-authenticate with new account
         if (provider) {
           try {
@@ -299,6 +358,8 @@ export const Web3Provider: React.FC<Web3ProviderProps> = ({ children }) => {
     disconnect,
     switchNetwork,
     provider,
+    descriptionKey,
+    unlockDescriptions,
   };
 
   return <Web3Context.Provider value={value}>{children}</Web3Context.Provider>;
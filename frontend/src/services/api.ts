@@ -1,5 +1,21 @@
 import axios from "axios";
-import type { Todo, UserStats, ApiResponse } from "../types/todo";
+import type { AxiosError, InternalAxiosRequestConfig } from "axios";
+import type {
+  Todo,
+  TodoTree,
+  DependencyGraph,
+  TaskEvent,
+  TaskList,
+  UserStats,
+  ApiResponse,
+  TodoPageQuery,
+  RelayRequest,
+  RelayResult,
+  RelayStatus,
+  DescriptionEnvelope,
+  PinResult,
+  Attachment,
+} from "../types/todo";
 
 const API_BASE_URL =
   import.meta.env.VITE_API_URL || "http://localhost:5000/api";
@@ -25,6 +41,77 @@ api.interceptors.request.use(
   },
 );
 
+// Requests that must not trigger a token refresh when they fail with 401
+const NO_REFRESH_URLS = ["/auth/login", "/auth/refresh", "/auth/logout"];
+
+// A refresh token can only be used once, so requests that get a 401 at the
+// same time share one refresh
+let refreshing: Promise<string | null> | null = null;
+
+/**
+ * Exchange the stored refresh token for a new access token. Returns null,
+ * and forgets the session if the server rejected it, when that fails.
+ */
+async function refreshAccessToken(): Promise<string | null> {
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) return null;
+
+  try {
+    const response = await api.post("/auth/refresh", { refreshToken });
+    localStorage.setItem("authToken", response.data.token);
+    localStorage.setItem("refreshToken", response.data.refreshToken);
+    return response.data.token;
+  } catch (error: unknown) {
+    const status = (error as AxiosError).response?.status;
+    if (status === 400 || status === 401) {
+      localStorage.removeItem("authToken");
+      localStorage.removeItem("refreshToken");
+    }
+    return null;
+  }
+}
+
+// Refresh an expired access token and retry the request once
+api.interceptors.response.use(
+  (response) => response,
+  async (error: AxiosError) => {
+    const config = error.config as
+      | (InternalAxiosRequestConfig & { _retried?: boolean })
+      | undefined;
+
+    if (
+      error.response?.status !== 401 ||
+      !config ||
+      config._retried ||
+      NO_REFRESH_URLS.includes(config.url ?? "")
+    ) {
+      return Promise.reject(error);
+    }
+
+    refreshing ??= refreshAccessToken().finally(() => {
+      refreshing = null;
+    });
+    const token = await refreshing;
+    if (!token) {
+      return Promise.reject(error);
+    }
+
+    // The request interceptor adds the new token
+    config._retried = true;
+    return api.request(config);
+  },
+);
+
+// Query params for a todo page request. Leaves out empty values, e.g. a
+// cleared search box
+function toPageParams(query: TodoPageQuery) {
+  return Object.fromEntries(
+    Object.entries(query).filter(
+      ([, value]) => value !== undefined && value !== "",
+    ),
+  );
+}
+
 // API methods
 export const apiService = {
   // Health check
@@ -48,6 +135,18 @@ export const apiService = {
     return response.data;
   },
 
+  // End the session of a refresh token
+  async logout(refreshToken: string) {
+    const response = await api.post("/auth/logout", { refreshToken });
+    return response.data;
+  },
+
+  // End every session of the signed-in address
+  async logoutAll() {
+    const response = await api.post("/auth/logout-all");
+    return response.data;
+  },
+
   // Get todos by address
   async getTodosByAddress(
     address: string,
@@ -60,12 +159,59 @@ export const apiService = {
     return response.data;
   },
 
+  // Get one page of todos, filtered, sorted and searched on the server
+  async getTodoPage(
+    address: string,
+    query: TodoPageQuery = {},
+  ): Promise<ApiResponse<Todo[]>> {
+    const response = await api.get(`/todos/${address}`, {
+      params: toPageParams(query),
+    });
+    return response.data;
+  },
+
+  // Get one page of the todos assigned, or proposed for assignment, to an
+  // address; takes the same filters as getTodoPage
+  async getAssignedTodoPage(
+    address: string,
+    query: TodoPageQuery = {},
+  ): Promise<ApiResponse<Todo[]>> {
+    const response = await api.get(`/todos/${address}/assigned`, {
+      params: toPageParams(query),
+    });
+    return response.data;
+  },
+
   // Get specific todo by ID
   async getTodoById(id: string): Promise<ApiResponse<Todo>> {
     const response = await api.get(`/todos/todo/${id}`);
     return response.data;
   },
 
+  // Get the on-chain event history of a todo
+  async getTodoHistory(id: string): Promise<ApiResponse<TaskEvent[]>> {
+    const response = await api.get(`/todos/todo/${id}/history`);
+    return response.data;
+  },
+
+  // Get a todo with its subtasks nested under it
+  async getTodoTree(id: string): Promise<ApiResponse<TodoTree>> {
+    const response = await api.get(`/todos/todo/${id}/subtasks`);
+    return response.data;
+  },
+
+  // Get every occurrence of the recurring series a todo belongs to
+  async getTodoSeries(id: string): Promise<ApiResponse<Todo[]>> {
+    const response = await api.get(`/todos/todo/${id}/series`);
+    return response.data;
+  },
+
+  // Get the tasks a todo depends on and the tasks that depend on it
+  async getTodoDependencies(id: string): Promise<ApiResponse<DependencyGraph>> {
+    const response = await api.get(`/todos/todo/${id}/dependencies`);
+    return response.data;
+  },
+
   // Verify todo against blockchain
   async verifyTodo(id: string) {
     const response = await api.get(`/todos/verify/${id}`);
@@ -78,6 +224,43 @@ export const apiService = {
     return response.data;
   },
 
+  // Get the shared lists the user owns or is a member of
+  async getLists(): Promise<ApiResponse<TaskList[]>> {
+    const response = await api.get("/lists");
+    return response.data;
+  },
+
+  // Whether the backend can pay gas for signed task requests
+  async getRelayStatus(): Promise<ApiResponse<RelayStatus>> {
+    const response = await api.get("/relay");
+    return response.data;
+  },
+
+  // Pin a description envelope to IPFS with the backend's pinning provider
+  async pinToIpfs(
+    content: DescriptionEnvelope,
+  ): Promise<ApiResponse<PinResult>> {
+    const response = await api.post("/ipfs/pin", { content });
+    return response.data;
+  },
+
+  // Pin a file to IPFS as a task attachment; the body is the file itself
+  async uploadAttachment(file: File): Promise<ApiResponse<Attachment>> {
+    const response = await api.post("/ipfs/upload", file, {
+      headers: {
+        "Content-Type": file.type,
+        "X-File-Name": encodeURIComponent(file.name),
+      },
+    });
+    return response.data;
+  },
+
+  // Submit an EIP-712 signed task request through the backend relayer
+  async relay(request: RelayRequest): Promise<ApiResponse<RelayResult>> {
+    const response = await api.post("/relay", request);
+    return response.data;
+  },
+
   // Sync todo from blockchain
   async syncTodoFromBlockchain(
     chainId: number,
@@ -89,6 +272,18 @@ export const apiService = {
     });
     return response.data;
   },
+
+  // Apply every task event in a mined transaction (e.g. a batch) to the backend
+  async syncTransaction(
+    chainId: number,
+    transactionHash: string,
+  ): Promise<ApiResponse<Todo[]>> {
+    const response = await api.post("/todos/sync-transaction", {
+      chainId,
+      transactionHash,
+    });
+    return response.data;
+  },
 };
 
 export default apiService;
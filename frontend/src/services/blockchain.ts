@@ -1,6 +1,16 @@
-import { BrowserProvider, Contract } from "ethers";
+import { BrowserProvider, Contract, ZeroAddress, parseEther } from "ethers";
 import TodoListABI from "../contracts/TodoListV2ABI.json";
 import { uploadDescription } from "./ipfs";
+import { apiService } from "./api";
+import { hashTag, rememberTags } from "../utils/tags";
+import { RECURRENCE_RULES, recurrenceValue } from "../utils/recurrence";
+import type {
+  Attachment,
+  DescriptionContentType,
+  Recurrence,
+  RelayAction,
+  RelayResult,
+} from "../types/todo";
 
 interface TaskStruct {
   id: bigint;
@@ -9,8 +19,83 @@ interface TaskStruct {
   completed: boolean;
   createdAt: bigint;
   completedAt: bigint;
+  priority: bigint;
+  tags: string[];
+  listId: bigint;
+  parentId: bigint;
+  recurrence: bigint;
+  recurrenceInterval: bigint;
+  seriesId: bigint;
+  dependencies: bigint[];
+  bounty: bigint;
+  assignee: string;
+  pendingAssignee: string;
 }
 
+export interface TaskDetails {
+  priority?: number;
+  // Tag names; they are hashed before being sent on-chain
+  tags?: string[];
+  // Shared list to create the task in; priority and tags must then be set
+  // afterwards
+  listId?: string;
+  recurrence?: Recurrence;
+  // Seconds between occurrences, for the "interval" rule only
+  recurrenceInterval?: number;
+  // Key to encrypt the description with before it is uploaded
+  encryptionKey?: CryptoKey | null;
+  // Already uploaded files and links, see ipfs.uploadAttachment
+  attachments?: Attachment[];
+  contentType?: DescriptionContentType;
+}
+
+// On-chain ListRole enum values, indexed by role
+const LIST_ROLE_VALUES = { none: 0, viewer: 1, editor: 2 } as const;
+
+export type ListMemberRole = keyof typeof LIST_ROLE_VALUES;
+
+// EIP-712 types of the contract's *WithSig functions, by relay action
+const TASK_REQUEST = [
+  { name: "user", type: "address" },
+  { name: "taskId", type: "uint256" },
+  { name: "nonce", type: "uint256" },
+  { name: "deadline", type: "uint256" },
+];
+const RELAY_TYPES: Record<
+  RelayAction,
+  { primaryType: string; fields: { name: string; type: string }[] }
+> = {
+  create: {
+    primaryType: "CreateTask",
+    fields: [
+      { name: "user", type: "address" },
+      { name: "description", type: "string" },
+      { name: "dueDate", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  complete: { primaryType: "CompleteTask", fields: TASK_REQUEST },
+  delete: { primaryType: "DeleteTask", fields: TASK_REQUEST },
+  restore: { primaryType: "RestoreTask", fields: TASK_REQUEST },
+  update: {
+    primaryType: "UpdateTask",
+    fields: [
+      { name: "user", type: "address" },
+      { name: "taskId", type: "uint256" },
+      { name: "newDescription", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+};
+
+// How long a signed request stays valid for the relayer to submit it
+const RELAY_DEADLINE_SECONDS = 10 * 60;
+
+// Backend relayer availability, looked up once per session
+let relayEnabled: boolean | null = null;
+
 const CONTRACT_ADDRESSES: Record<number, string> = {
   31337: import.meta.env.VITE_CONTRACT_ADDRESS_31337 || "",
   11155111: import.meta.env.VITE_CONTRACT_ADDRESS_11155111 || "",
@@ -46,23 +131,152 @@ export const blockchainService = {
     return new Contract(address, TodoListABI, signer);
   },
 
+  // Relay task actions when the connected account has no gas to pay with and
+  // the backend relayer is available
+  async shouldRelay(provider: BrowserProvider): Promise<boolean> {
+    const signer = await provider.getSigner();
+    const balance = await provider.getBalance(await signer.getAddress());
+    if (balance > 0n) return false;
+
+    if (relayEnabled === null) {
+      try {
+        const status = await apiService.getRelayStatus();
+        relayEnabled = Boolean(status.data?.enabled);
+      } catch (error) {
+        console.error("Error checking relayer status:", error);
+        return false;
+      }
+    }
+    return relayEnabled;
+  },
+
+  // Sign a task action as EIP-712 typed data and submit it through the
+  // backend relayer, which pays the gas
+  async relayTaskAction(
+    provider: BrowserProvider,
+    chainId: number,
+    action: RelayAction,
+    fields: {
+      taskId?: string;
+      description?: string;
+      dueDate?: number;
+      newDescription?: string;
+    },
+  ): Promise<RelayResult> {
+    const contract = this.getContract(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const signer = await provider.getSigner();
+    const user = await signer.getAddress();
+    const nonce = await contract.getNonce(user);
+    const deadline = Math.floor(Date.now() / 1000) + RELAY_DEADLINE_SECONDS;
+
+    const { primaryType, fields: types } = RELAY_TYPES[action];
+    const signature = await signer.signTypedData(
+      {
+        name: "TodoListV2",
+        version: "1",
+        chainId,
+        verifyingContract: CONTRACT_ADDRESSES[chainId],
+      },
+      { [primaryType]: types },
+      { user, ...fields, nonce, deadline },
+    );
+
+    const response = await apiService.relay({
+      chainId,
+      action,
+      user,
+      ...fields,
+      deadline,
+      signature,
+    });
+    if (!response.data) {
+      throw new Error(response.error || "Relayed transaction failed");
+    }
+    return response.data;
+  },
+
   // Create a new task
   async createTask(
     provider: BrowserProvider,
     chainId: number,
     description: string,
     dueDate?: Date | null,
+    details: TaskDetails = {},
   ) {
     const contract = await this.getContractWithSigner(provider, chainId);
     if (!contract) throw new Error("Contract not available");
 
+    const priority = details.priority ?? 0;
+    const tags = details.tags ?? [];
+    const recurrence = details.recurrence ?? "none";
+    const recurring = recurrence !== "none";
+    const interval =
+      recurrence === "interval" ? (details.recurrenceInterval ?? 0) : 0;
+
+    if (details.listId && (priority > 0 || tags.length > 0)) {
+      throw new Error(
+        "Priority and tags can only be set once the task is in the list",
+      );
+    }
+
     // Upload description to IPFS and store CID on-chain
-    const ipfsUri = await uploadDescription(description);
+    const ipfsUri = await uploadDescription(
+      description,
+      details.encryptionKey,
+      details.attachments,
+      details.contentType,
+    );
 
     // Convert due date to Unix timestamp (0 if no due date)
     const dueDateTimestamp = dueDate ? Math.floor(dueDate.getTime() / 1000) : 0;
 
-    const tx = await contract.createTask(ipfsUri, dueDateTimestamp);
+    // Lists, priority, tags and recurrence have no signed variant and need a
+    // direct transaction
+    if (
+      !details.listId &&
+      priority === 0 &&
+      tags.length === 0 &&
+      !recurring &&
+      (await this.shouldRelay(provider))
+    ) {
+      const result = await this.relayTaskAction(provider, chainId, "create", {
+        description: ipfsUri,
+        dueDate: dueDateTimestamp,
+      });
+      return { taskId: result.taskId, transactionHash: result.transactionHash };
+    }
+
+    let tx;
+    if (details.listId) {
+      tx = await contract.createTaskInList(
+        details.listId,
+        ipfsUri,
+        dueDateTimestamp,
+      );
+    } else if (priority > 0 || tags.length > 0) {
+      rememberTags(tags);
+      tx = await contract.createTaskWithDetails(
+        ipfsUri,
+        dueDateTimestamp,
+        priority,
+        tags.map(hashTag),
+      );
+    } else if (recurring) {
+      tx = await contract.createRecurringTask(
+        ipfsUri,
+        dueDateTimestamp,
+        recurrenceValue(recurrence),
+        interval,
+      );
+    } else {
+      tx = await contract.createTask(ipfsUri, dueDateTimestamp);
+    }
+    // Tasks created with a list, priority or tags get their recurrence in a
+    // second transaction
+    const needsRecurrence =
+      recurring && (!!details.listId || priority > 0 || tags.length > 0);
     const receipt = await tx.wait();
 
     // Extract taskId from event
@@ -79,10 +293,56 @@ export const blockchainService = {
 
     if (event) {
       const parsed = contract.interface.parseLog(event);
-      return {
-        taskId: parsed?.args.taskId.toString(),
-        transactionHash: receipt.hash,
-      };
+      const taskId = parsed?.args.taskId.toString();
+      if (needsRecurrence && taskId) {
+        await this.setTaskRecurrence(
+          provider,
+          chainId,
+          taskId,
+          recurrence,
+          interval,
+        );
+      }
+      return { taskId, transactionHash: receipt.hash };
+    }
+
+    return { transactionHash: receipt.hash };
+  },
+
+  // Create a subtask under a task the connected account can edit
+  async createSubtask(
+    provider: BrowserProvider,
+    chainId: number,
+    parentId: string,
+    description: string,
+    dueDate?: Date | null,
+    encryptionKey?: CryptoKey | null,
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const ipfsUri = await uploadDescription(description, encryptionKey);
+    const dueDateTimestamp = dueDate ? Math.floor(dueDate.getTime() / 1000) : 0;
+
+    const tx = await contract.createSubtask(
+      parentId,
+      ipfsUri,
+      dueDateTimestamp,
+    );
+    const receipt = await tx.wait();
+
+    for (const log of receipt.logs) {
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed?.name === "SubtaskCreated") {
+          return {
+            taskId: parsed.args.taskId.toString(),
+            transactionHash: receipt.hash,
+          };
+        }
+      } catch {
+        // Not one of our events
+      }
     }
 
     return { transactionHash: receipt.hash };
@@ -97,6 +357,16 @@ export const blockchainService = {
     const contract = await this.getContractWithSigner(provider, chainId);
     if (!contract) throw new Error("Contract not available");
 
+    if (await this.shouldRelay(provider)) {
+      const { transactionHash } = await this.relayTaskAction(
+        provider,
+        chainId,
+        "complete",
+        { taskId },
+      );
+      return { transactionHash };
+    }
+
     const tx = await contract.completeTask(taskId);
     const receipt = await tx.wait();
     return { transactionHash: receipt.hash };
@@ -107,6 +377,16 @@ export const blockchainService = {
     const contract = await this.getContractWithSigner(provider, chainId);
     if (!contract) throw new Error("Contract not available");
 
+    if (await this.shouldRelay(provider)) {
+      const { transactionHash } = await this.relayTaskAction(
+        provider,
+        chainId,
+        "delete",
+        { taskId },
+      );
+      return { transactionHash };
+    }
+
     const tx = await contract.deleteTask(taskId);
     const receipt = await tx.wait();
     return { transactionHash: receipt.hash };
@@ -118,18 +398,325 @@ export const blockchainService = {
     chainId: number,
     taskId: string,
     newDescription: string,
+    encryptionKey?: CryptoKey | null,
+    // The new envelope replaces the old one, so pass the attachments to keep
+    attachments?: Attachment[],
+    contentType?: DescriptionContentType,
   ) {
     const contract = await this.getContractWithSigner(provider, chainId);
     if (!contract) throw new Error("Contract not available");
 
     // Upload new description to IPFS and store CID on-chain
-    const ipfsUri = await uploadDescription(newDescription);
+    const ipfsUri = await uploadDescription(
+      newDescription,
+      encryptionKey,
+      attachments,
+      contentType,
+    );
+
+    if (await this.shouldRelay(provider)) {
+      const { transactionHash } = await this.relayTaskAction(
+        provider,
+        chainId,
+        "update",
+        { taskId, newDescription: ipfsUri },
+      );
+      return { transactionHash };
+    }
 
     const tx = await contract.updateTask(taskId, ipfsUri);
     const receipt = await tx.wait();
     return { transactionHash: receipt.hash };
   },
 
+  // Create several tasks in one transaction
+  async batchCreateTasks(
+    provider: BrowserProvider,
+    chainId: number,
+    tasks: {
+      description: string;
+      dueDate?: Date | null;
+      contentType?: DescriptionContentType;
+    }[],
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const descriptions = await Promise.all(
+      tasks.map((task) =>
+        uploadDescription(task.description, null, [], task.contentType),
+      ),
+    );
+    const dueDates = tasks.map((task) =>
+      task.dueDate ? Math.floor(task.dueDate.getTime() / 1000) : 0,
+    );
+
+    const tx = await contract.batchCreateTasks(descriptions, dueDates);
+    const receipt = await tx.wait();
+
+    const taskIds: string[] = [];
+    for (const log of receipt.logs) {
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed?.name === "TaskCreated") {
+          taskIds.push(parsed.args.taskId.toString());
+        }
+      } catch {
+        // Not a TodoListV2 event
+      }
+    }
+
+    return { taskIds, transactionHash: receipt.hash };
+  },
+
+  // Complete several tasks in one transaction
+  async batchCompleteTasks(
+    provider: BrowserProvider,
+    chainId: number,
+    taskIds: string[],
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.batchCompleteTasks(taskIds);
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Delete several tasks in one transaction
+  async batchDeleteTasks(
+    provider: BrowserProvider,
+    chainId: number,
+    taskIds: string[],
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.batchDeleteTasks(taskIds);
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Set a task's priority (0 none to 3 high)
+  async setTaskPriority(
+    provider: BrowserProvider,
+    chainId: number,
+    taskId: string,
+    priority: number,
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.setTaskPriority(taskId, priority);
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Replace a task's tags with the given tag hashes (see utils/tags)
+  async setTaskTags(
+    provider: BrowserProvider,
+    chainId: number,
+    taskId: string,
+    tagHashes: string[],
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.setTaskTags(taskId, tagHashes);
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Set how a task repeats; "none" stops the series after this occurrence
+  async setTaskRecurrence(
+    provider: BrowserProvider,
+    chainId: number,
+    taskId: string,
+    recurrence: Recurrence,
+    interval = 0,
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.setTaskRecurrence(
+      taskId,
+      recurrenceValue(recurrence),
+      recurrence === "interval" ? interval : 0,
+    );
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Replace the tasks that must be done before this one can be completed
+  async setTaskDependencies(
+    provider: BrowserProvider,
+    chainId: number,
+    taskId: string,
+    dependencyIds: string[],
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.setTaskDependencies(taskId, dependencyIds);
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Add ETH to a task's bounty; amount is in ETH, e.g. "0.05"
+  async fundBounty(
+    provider: BrowserProvider,
+    chainId: number,
+    taskId: string,
+    amount: string,
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.fundBounty(taskId, { value: parseEther(amount) });
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Refund a task's bounty to the owner's withdrawable balance
+  async cancelBounty(
+    provider: BrowserProvider,
+    chainId: number,
+    taskId: string,
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.cancelBounty(taskId);
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Propose an assignee, who must accept before they can complete the task;
+  // null unassigns
+  async assignTask(
+    provider: BrowserProvider,
+    chainId: number,
+    taskId: string,
+    assignee: string | null,
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.assignTask(taskId, assignee ?? ZeroAddress);
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Accept a task proposed to the connected account
+  async acceptAssignment(
+    provider: BrowserProvider,
+    chainId: number,
+    taskId: string,
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.acceptAssignment(taskId);
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Turn down a task proposed to the connected account
+  async rejectAssignment(
+    provider: BrowserProvider,
+    chainId: number,
+    taskId: string,
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.rejectAssignment(taskId);
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Wei released or refunded to an address and not yet withdrawn
+  async getPendingWithdrawal(
+    provider: BrowserProvider,
+    chainId: number,
+    userAddress: string,
+  ): Promise<bigint> {
+    const contract = this.getContract(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    return contract.getPendingWithdrawal(userAddress);
+  },
+
+  // Pay out the connected account's pending withdrawal
+  async withdraw(provider: BrowserProvider, chainId: number) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.withdraw();
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Create a shared list owned by the connected account
+  async createList(provider: BrowserProvider, chainId: number, name: string) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.createList(name);
+    const receipt = await tx.wait();
+
+    for (const log of receipt.logs) {
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed?.name === "ListCreated") {
+          return {
+            listId: parsed.args.listId.toString(),
+            transactionHash: receipt.hash,
+          };
+        }
+      } catch {
+        // Not one of our events
+      }
+    }
+
+    return { transactionHash: receipt.hash };
+  },
+
+  // Add a list member, change their role or remove them with "none"
+  async setListMember(
+    provider: BrowserProvider,
+    chainId: number,
+    listId: string,
+    member: string,
+    role: ListMemberRole,
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.setListMember(
+      listId,
+      member,
+      LIST_ROLE_VALUES[role],
+    );
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
+  // Move a task into a shared list, or back out of it with listId "0"
+  async moveTaskToList(
+    provider: BrowserProvider,
+    chainId: number,
+    taskId: string,
+    listId: string,
+  ) {
+    const contract = await this.getContractWithSigner(provider, chainId);
+    if (!contract) throw new Error("Contract not available");
+
+    const tx = await contract.moveTaskToList(taskId, listId);
+    const receipt = await tx.wait();
+    return { transactionHash: receipt.hash };
+  },
+
   // Get a specific task
   async getTask(provider: BrowserProvider, chainId: number, taskId: string) {
     const contract = this.getContract(provider, chainId);
@@ -144,6 +731,23 @@ export const blockchainService = {
       createdAt: new Date(Number(task.createdAt) * 1000),
       completedAt:
         task.completedAt > 0 ? new Date(Number(task.completedAt) * 1000) : null,
+      priority: Number(task.priority ?? 0),
+      tags: Array.from(task.tags ?? []),
+      listId: task.listId > 0 ? task.listId.toString() : null,
+      parentId: task.parentId > 0 ? task.parentId.toString() : null,
+      recurrence: RECURRENCE_RULES[Number(task.recurrence ?? 0)] ?? "none",
+      recurrenceInterval: Number(task.recurrenceInterval ?? 0),
+      seriesId: task.seriesId > 0 ? task.seriesId.toString() : null,
+      dependencies: Array.from(task.dependencies ?? [], (id: bigint) =>
+        id.toString(),
+      ),
+      bounty: (task.bounty ?? 0n).toString(),
+      assignee:
+        task.assignee && task.assignee !== ZeroAddress ? task.assignee : null,
+      pendingAssignee:
+        task.pendingAssignee && task.pendingAssignee !== ZeroAddress
+          ? task.pendingAssignee
+          : null,
     };
   },
 
@@ -178,6 +782,23 @@ export const blockchainService = {
       createdAt: new Date(Number(task.createdAt) * 1000),
       completedAt:
         task.completedAt > 0 ? new Date(Number(task.completedAt) * 1000) : null,
+      priority: Number(task.priority ?? 0),
+      tags: Array.from(task.tags ?? []),
+      listId: task.listId > 0 ? task.listId.toString() : null,
+      parentId: task.parentId > 0 ? task.parentId.toString() : null,
+      recurrence: RECURRENCE_RULES[Number(task.recurrence ?? 0)] ?? "none",
+      recurrenceInterval: Number(task.recurrenceInterval ?? 0),
+      seriesId: task.seriesId > 0 ? task.seriesId.toString() : null,
+      dependencies: Array.from(task.dependencies ?? [], (id: bigint) =>
+        id.toString(),
+      ),
+      bounty: (task.bounty ?? 0n).toString(),
+      assignee:
+        task.assignee && task.assignee !== ZeroAddress ? task.assignee : null,
+      pendingAssignee:
+        task.pendingAssignee && task.pendingAssignee !== ZeroAddress
+          ? task.pendingAssignee
+          : null,
     }));
   },
 
@@ -203,6 +824,16 @@ export const blockchainService = {
     const contract = await this.getContractWithSigner(provider, chainId);
     if (!contract) throw new Error("Contract not available");
 
+    if (await this.shouldRelay(provider)) {
+      const { transactionHash } = await this.relayTaskAction(
+        provider,
+        chainId,
+        "restore",
+        { taskId },
+      );
+      return { transactionHash };
+    }
+
     const tx = await contract.restoreTask(taskId);
     const receipt = await tx.wait();
     return { transactionHash: receipt.hash };
@@ -1,11 +1,21 @@
 import axios from "axios";
+import { apiService } from "./api";
+import type {
+  Attachment,
+  DescriptionContentType,
+  DescriptionEnvelope,
+} from "../types/todo";
+import {
+  decryptText,
+  encryptText,
+  isEncryptedPayload,
+} from "../utils/encryption";
+import { MAX_ATTACHMENTS, attachmentFileError } from "../utils/attachments";
+import { MAX_DESCRIPTION_LENGTH, isMarkdown } from "../utils/descriptions";
 
-const PINATA_JWT = import.meta.env.VITE_PINATA_JWT || "";
 const IPFS_GATEWAY =
   import.meta.env.VITE_IPFS_GATEWAY || "https://gateway.pinata.cloud/ipfs/";
 
-const PINATA_API_URL = "https://api.pinata.cloud";
-
 /**
  * Check whether a value is an IPFS CID reference (prefixed with ipfs://).
  */
@@ -29,49 +39,66 @@ export function gatewayUrl(cid: string): string {
 }
 
 /**
- * Upload a task description to IPFS via Pinata and return an ipfs:// URI.
+ * Upload a task description to IPFS and return an ipfs:// URI.
+ *
+ * The backend pins it with whichever provider it is configured for (Pinata,
+ * a Kubo node, ...), so no pinning credentials ship with the app.
  *
  * The description is wrapped in a JSON envelope:
  *   { description, version: 1, timestamp }
  *
- * Retries once on failure with a 1 s delay.
+ * Given an encryption key, the description is encrypted before it leaves the
+ * browser and the envelope holds the ciphertext instead:
+ *   { encrypted: { scheme, version, iv, ciphertext }, version: 1, timestamp }
+ *
+ * Markdown descriptions add contentType: "text/markdown"; it stays outside
+ * the ciphertext so the backend knows how the task is rendered.
+ *
+ * Attachments (see uploadAttachment) make it a version 2 envelope:
+ *   { description, attachments: [...], version: 2, timestamp }
+ * They cannot be combined with encryption, since their names and CIDs would
+ * be readable by anyone.
+ *
+ * Retries once on network and server errors with a 1 s delay.
  */
-export async function uploadDescription(text: string): Promise<string> {
-  if (!PINATA_JWT) {
-    throw new Error("IPFS upload not configured — VITE_PINATA_JWT is missing");
+export async function uploadDescription(
+  text: string,
+  encryptionKey?: CryptoKey | null,
+  attachments: Attachment[] = [],
+  contentType: DescriptionContentType = "text/plain",
+): Promise<string> {
+  if (text.length > MAX_DESCRIPTION_LENGTH) {
+    throw new Error(
+      `Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`,
+    );
+  }
+  if (attachments.length > 0 && encryptionKey) {
+    throw new Error("Attachments cannot be added to an encrypted task");
+  }
+  if (attachments.length > MAX_ATTACHMENTS) {
+    throw new Error(`A task can have at most ${MAX_ATTACHMENTS} attachments`);
   }
 
-  const payload = {
-    pinataContent: {
-      description: text,
-      version: 1,
-      timestamp: Date.now(),
-    },
-    pinataMetadata: {
-      name: `todo-${Date.now()}`,
-    },
+  const content: DescriptionEnvelope = {
+    ...(encryptionKey
+      ? { encrypted: await encryptText(text, encryptionKey) }
+      : { description: text }),
+    ...(isMarkdown(contentType) ? { contentType } : {}),
+    ...(attachments.length > 0 ? { attachments, version: 2 } : { version: 1 }),
+    timestamp: Date.now(),
   };
 
   let lastError: Error | null = null;
 
   for (let attempt = 0; attempt < 2; attempt++) {
     try {
-      const response = await axios.post(
-        `${PINATA_API_URL}/pinning/pinJSONToIPFS`,
-        payload,
-        {
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${PINATA_JWT}`,
-          },
-          timeout: 15000,
-        },
-      );
-
-      const cid: string = response.data.IpfsHash;
-      return `ipfs://${cid}`;
+      const response = await apiService.pinToIpfs(content);
+      return response.data!.uri;
     } catch (err) {
       lastError = err instanceof Error ? err : new Error(String(err));
+      // Retrying won't help when the request was refused or pinning is off
+      const status = axios.isAxiosError(err) ? err.response?.status : undefined;
+      if (status !== undefined && (status < 500 || status === 503)) break;
       if (attempt === 0) {
         await new Promise((r) => setTimeout(r, 1000));
       }
@@ -81,11 +108,29 @@ export async function uploadDescription(text: string): Promise<string> {
   throw new Error(`Failed to upload to IPFS: ${lastError?.message}`);
 }
 
+/**
+ * Pin a file to IPFS through the backend and return the attachment that
+ * references it. Files are checked against the type and size limits first.
+ */
+export async function uploadAttachment(file: File): Promise<Attachment> {
+  const error = attachmentFileError(file);
+  if (error) throw new Error(error);
+
+  const response = await apiService.uploadAttachment(file);
+  return response.data!;
+}
+
 /**
  * Resolve an IPFS CID to its description text via the gateway.
  * Returns the original string unchanged if it's not an ipfs:// URI.
+ *
+ * Encrypted descriptions are decrypted with the given key; without one they
+ * cannot be read and an error is thrown.
  */
-export async function resolveDescription(value: string): Promise<string> {
+export async function resolveDescription(
+  value: string,
+  encryptionKey?: CryptoKey | null,
+): Promise<string> {
   if (!isIpfsCid(value)) return value;
 
   const cid = extractCid(value);
@@ -94,6 +139,13 @@ export async function resolveDescription(value: string): Promise<string> {
   const response = await axios.get(url, { timeout: 10000 });
   const data = response.data;
 
+  if (typeof data === "object" && isEncryptedPayload(data?.encrypted)) {
+    if (!encryptionKey) {
+      throw new Error("Description is encrypted — unlock it with your wallet");
+    }
+    return decryptText(data.encrypted, encryptionKey);
+  }
+
   if (typeof data === "object" && data.description) {
     return data.description;
   }
@@ -107,6 +159,7 @@ export const ipfsService = {
   extractCid,
   gatewayUrl,
   uploadDescription,
+  uploadAttachment,
   resolveDescription,
 };
 
@@ -16,6 +16,8 @@ interface Web3ContextType extends WalletState {
   disconnect: () => void;
   switchNetwork: (chainId: number) => Promise<void>;
   provider: BrowserProvider | null;
+  descriptionKey: CryptoKey | null;
+  unlockDescriptions: () => Promise<CryptoKey>;
 }
 
 const MockWeb3Context = createContext<Web3ContextType | undefined>(undefined);
@@ -46,6 +48,8 @@ export const MockWeb3Provider: React.FC<MockWeb3ProviderProps> = ({
     connect: vi.fn(),
     disconnect: vi.fn(),
     switchNetwork: vi.fn(),
+    descriptionKey: null,
+    unlockDescriptions: vi.fn(),
     provider: null,
     ...value,
   };
@@ -67,6 +71,8 @@ export const createMockUseWeb3 = (overrides: Partial<Web3ContextType> = {}) => (
   connect: vi.fn(),
   disconnect: vi.fn(),
   switchNetwork: vi.fn(),
+  descriptionKey: null,
+  unlockDescriptions: vi.fn(),
   provider: null,
   ...overrides,
 });
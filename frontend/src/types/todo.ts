@@ -5,10 +5,46 @@ export interface Todo {
   transactionHash: string;
   owner: string;
   description: string;
+  // Markdown descriptions are rendered, plain text ones shown as they are
+  contentType?: DescriptionContentType;
+  // Set when the description is encrypted on IPFS; description then holds
+  // its ipfs:// URI and only the owner's key can read it
+  encrypted?: boolean;
+  // Files, images and links referenced from the description envelope
+  attachments?: Attachment[];
   completed: boolean;
   blockchainCreatedAt: string;
   blockchainCompletedAt: string | null;
   dueDate: string | null;
+  // 0 none, 1 low, 2 medium, 3 high
+  priority: number;
+  // keccak256 hashes of the lower-cased tag names
+  tags: string[];
+  // Shared list the task belongs to, null for personal tasks
+  listId: string | null;
+  // blockchainId of the parent task, null for top-level tasks
+  parentId: string | null;
+  recurrence: Recurrence;
+  // Seconds between occurrences, only set for the "interval" rule
+  recurrenceInterval: number;
+  // blockchainId of the first task of a recurring series, null if it never recurred
+  seriesId: string | null;
+  // blockchainId of the occurrence created when this one was completed
+  nextOccurrenceId: string | null;
+  // blockchainIds of the tasks that must be completed (or deleted) first
+  dependencies: string[];
+  // Dependencies that are still open, included in list pages
+  blockedBy?: string[];
+  // Bounty held in escrow, in wei
+  bounty: string;
+  // Address that accepted the task and receives its bounty, null when unassigned
+  assignee: string | null;
+  // Address the owner proposed, until they accept or reject
+  pendingAssignee: string | null;
+  // Wei paid out to the assignee when the task was completed
+  bountyReleased: string;
+  // Roll-up of the task's subtasks at any depth, included in list pages
+  subtasks?: SubtaskCounts;
   syncStatus: "synced" | "pending" | "error";
   lastSyncedAt: string;
   deleted: boolean;
@@ -16,6 +52,153 @@ export interface Todo {
   updatedAt: string;
 }
 
+export type DescriptionContentType = "text/plain" | "text/markdown";
+
+export type Recurrence = "none" | "daily" | "weekly" | "monthly" | "interval";
+
+export interface SubtaskCounts {
+  total: number;
+  completed: number;
+}
+
+// A task with its subtasks nested under it, as returned by the subtasks endpoint
+export interface TodoTree extends Omit<Todo, "subtasks"> {
+  subtasks: TodoTree[];
+}
+
+// The tasks a task waits on and the tasks waiting on it, as returned by the
+// dependencies endpoint
+export interface DependencyGraph {
+  dependencies: Todo[];
+  dependents: Todo[];
+}
+
+export type TaskEventName =
+  | "TaskCreated"
+  | "SubtaskCreated"
+  | "TaskCompleted"
+  | "TaskDeleted"
+  | "TaskRestored"
+  | "TaskUpdated"
+  | "TaskTagged"
+  | "TaskPriorityChanged"
+  | "TaskListChanged"
+  | "TaskRecurrenceChanged"
+  | "TaskRecurred"
+  | "TaskDependenciesChanged"
+  | "TaskAssigned"
+  | "TaskAssignmentProposed"
+  | "TaskAssignmentRejected"
+  | "TaskBountyChanged"
+  | "TaskBountyReleased";
+
+export interface TaskEvent {
+  _id: string;
+  chainId: number;
+  blockchainId: string;
+  eventName: TaskEventName;
+  actor: string | null;
+  transactionHash: string;
+  blockNumber: number;
+  blockHash: string | null;
+  logIndex: number;
+  // uint256 arguments are serialized as strings, array arguments as lists
+  args: Record<string, string | string[]>;
+  occurredAt: string | null;
+  createdAt: string;
+}
+
+export type ListRole = "owner" | "editor" | "viewer";
+
+export interface ListMember {
+  address: string;
+  role: Exclude<ListRole, "owner">;
+}
+
+export interface TaskList {
+  chainId: number;
+  listId: string;
+  name: string;
+  owner: string;
+  members: ListMember[];
+  // The requesting user's role in the list
+  role: ListRole;
+  blockchainCreatedAt: string;
+}
+
+export type RelayAction =
+  | "create"
+  | "complete"
+  | "delete"
+  | "restore"
+  | "update";
+
+// EIP-712 signed task request submitted by the backend relayer
+export interface RelayRequest {
+  chainId: number;
+  action: RelayAction;
+  user: string;
+  deadline: number;
+  signature: string;
+  taskId?: string;
+  description?: string;
+  dueDate?: number;
+  newDescription?: string;
+}
+
+export interface RelayResult {
+  transactionHash: string;
+  blockNumber: number;
+  // Only set for create
+  taskId?: string;
+}
+
+export interface RelayStatus {
+  enabled: boolean;
+  address: string | null;
+}
+
+// Description encrypted in the browser; see utils/encryption
+export interface EncryptedPayload {
+  scheme: string;
+  version: number;
+  // Hex-encoded 96-bit nonce
+  iv: string;
+  // Hex-encoded ciphertext followed by the GCM tag
+  ciphertext: string;
+}
+
+// File, image or link attached to a task. Files and images are pinned to
+// IPFS on their own and referenced by CID; see utils/attachments
+export interface Attachment {
+  type: "file" | "image" | "link";
+  name: string | null;
+  mimeType?: string;
+  // Bytes
+  size?: number;
+  cid?: string;
+  // Only set for links
+  url?: string;
+}
+
+// JSON document pinned to IPFS for a task description; holds either the
+// description or its encrypted payload. Version 2 envelopes add attachments
+export interface DescriptionEnvelope {
+  description?: string;
+  // Left out for plain text
+  contentType?: DescriptionContentType;
+  encrypted?: EncryptedPayload;
+  attachments?: Attachment[];
+  version: number;
+  timestamp: number;
+}
+
+export interface PinResult {
+  cid: string;
+  // ipfs://<cid>, the value stored on-chain
+  uri: string;
+}
+
 export interface UserStats {
   total: number;
   completed: number;
@@ -23,10 +206,41 @@ export interface UserStats {
   completionRate: string;
 }
 
+export type TodoStatusFilter = "all" | "active" | "completed" | "deleted";
+
+export type TodoSortKey = "createdAt" | "dueDate" | "completedAt" | "priority";
+
+export interface TodoPageQuery {
+  status?: TodoStatusFilter;
+  sortBy?: TodoSortKey;
+  order?: "asc" | "desc";
+  // ISO 8601 bounds on the due date
+  dueFrom?: string;
+  dueTo?: string;
+  q?: string;
+  priority?: number;
+  // Tag hash, see utils/tags
+  tag?: string;
+  // Only tasks with attachments, or with one of the given type
+  attachment?: "any" | Attachment["type"];
+  // Leave out subtasks; they are shown under their parent
+  topLevel?: boolean;
+  cursor?: string;
+  limit?: number;
+}
+
+export interface PageInfo {
+  total: number;
+  limit: number;
+  nextCursor: string | null;
+  hasMore: boolean;
+}
+
 export interface ApiResponse<T> {
   success: boolean;
   data?: T;
   error?: string;
   message?: string;
   count?: number;
+  pageInfo?: PageInfo;
 }
@@ -0,0 +1,84 @@
+import type { Attachment } from "../types/todo";
+
+// Mirror backend/src/utils/attachments.js; the backend has the final say
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const MAX_NAME_LENGTH = 255;
+const MAX_URL_LENGTH = 2048;
+
+// Images are shown inline, so only raster formats: SVG can carry scripts
+export const IMAGE_MIME_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+];
+
+export const ATTACHMENT_MIME_TYPES = [
+  ...IMAGE_MIME_TYPES,
+  "application/pdf",
+  "text/plain",
+  "text/markdown",
+  "text/csv",
+];
+
+// Value for the accept attribute of file inputs
+export const ATTACHMENT_ACCEPT = ATTACHMENT_MIME_TYPES.join(",");
+
+export function isImageType(mimeType: string | undefined): boolean {
+  return !!mimeType && IMAGE_MIME_TYPES.includes(mimeType);
+}
+
+/**
+ * Why a file cannot be attached, or null if it can.
+ */
+export function attachmentFileError(file: File): string | null {
+  if (!ATTACHMENT_MIME_TYPES.includes(file.type)) {
+    return `${file.name}: only images, PDFs and text files can be attached`;
+  }
+  if (file.size === 0) {
+    return `${file.name} is empty`;
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name} is larger than ${formatBytes(MAX_ATTACHMENT_BYTES)}`;
+  }
+  if (file.name.length > MAX_NAME_LENGTH) {
+    return `File names can be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Link attachment for a URL typed by the user. Throws if it is not an
+ * http(s) URL.
+ */
+export function linkAttachment(url: string, name?: string): Attachment {
+  const trimmed = url.trim();
+  let protocol: string;
+  try {
+    protocol = new URL(trimmed).protocol;
+  } catch {
+    throw new Error("Enter a full link, starting with https://");
+  }
+  if (protocol !== "http:" && protocol !== "https:") {
+    throw new Error("Only http and https links can be attached");
+  }
+  if (trimmed.length > MAX_URL_LENGTH) {
+    throw new Error(`Links can be at most ${MAX_URL_LENGTH} characters`);
+  }
+
+  return {
+    type: "link",
+    url: trimmed,
+    name: name?.trim().slice(0, MAX_NAME_LENGTH) || null,
+  };
+}
+
+/**
+ * Human-readable file size, e.g. "1.5 MB".
+ */
+export function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,25 @@
+import { formatEther, parseEther } from "ethers";
+
+/**
+ * A wei amount as ETH for display, e.g. "0.05 ETH"
+ */
+export function formatBounty(wei: string | bigint): string {
+  return `${formatEther(wei)} ETH`;
+}
+
+export function hasBounty(wei: string | null | undefined): boolean {
+  return !!wei && BigInt(wei) > 0n;
+}
+
+/**
+ * Parse an ETH amount typed by the user into wei, or null unless it is a
+ * positive number
+ */
+export function parseBountyAmount(amount: string): bigint | null {
+  try {
+    const wei = parseEther(amount.trim());
+    return wei > 0n ? wei : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,33 @@
+import type { Todo } from "../types/todo";
+
+// Mirrors TodoListV2.MAX_DEPENDENCIES_PER_TASK
+export const MAX_DEPENDENCIES_PER_TASK = 10;
+
+/**
+ * Dependencies that may still block a task, given the tasks we know about.
+ * Unknown tasks count as open, like the backend's blockedBy does.
+ */
+export function openDependencies(
+  dependencies: string[],
+  known: Todo[],
+): string[] {
+  return dependencies.filter((id) => {
+    const dependency = known.find((todo) => todo.blockchainId === id);
+    return !dependency || (!dependency.completed && !dependency.deleted);
+  });
+}
+
+/**
+ * Tasks a task can be made to depend on: other open tasks on the same chain
+ * that it doesn't depend on yet.
+ */
+export function dependencyCandidates(todo: Todo, tasks: Todo[]): Todo[] {
+  return tasks.filter(
+    (task) =>
+      task.chainId === todo.chainId &&
+      task.blockchainId !== todo.blockchainId &&
+      !task.completed &&
+      !task.deleted &&
+      !todo.dependencies.includes(task.blockchainId),
+  );
+}
@@ -0,0 +1,8 @@
+import type { DescriptionContentType } from "../types/todo";
+
+// Mirror backend/src/utils/descriptions.js. Descriptions are pinned to IPFS,
+// so they can be longer than the 500 characters the contract stores
+export const MAX_DESCRIPTION_LENGTH = 10000;
+
+export const isMarkdown = (contentType: DescriptionContentType | undefined) =>
+  contentType === "text/markdown";
@@ -0,0 +1,132 @@
+import {
+  getAddress,
+  getBytes,
+  hexlify,
+  toUtf8Bytes,
+  toUtf8String,
+} from "ethers";
+import type { EncryptedPayload } from "../types/todo";
+
+export type { EncryptedPayload };
+
+/**
+ * AES-256-GCM with a key derived by HKDF-SHA256 from a wallet signature.
+ * Bump ENCRYPTION_VERSION, or add a scheme, instead of changing this one:
+ * descriptions already pinned to IPFS must stay readable.
+ */
+export const ENCRYPTION_SCHEME = "aes-256-gcm/hkdf-sha256";
+export const ENCRYPTION_VERSION = 1;
+
+const HKDF_SALT = "todo-app/description-key";
+const IV_BYTES = 12;
+
+// WebCrypto only takes views over a plain ArrayBuffer
+const buffer = (bytes: Uint8Array) => new Uint8Array(bytes);
+
+/**
+ * Message the wallet signs to derive the description key. It must never
+ * change: a different message gives a different key.
+ */
+export function descriptionKeyMessage(address: string): string {
+  return [
+    "Unlock encrypted task descriptions in the Todo App.",
+    "",
+    "This signature is used as your encryption key. Only sign it on this site.",
+    "",
+    `Account: ${getAddress(address)}`,
+    `Scheme: ${ENCRYPTION_SCHEME} v${ENCRYPTION_VERSION}`,
+  ].join("\n");
+}
+
+/**
+ * Derive the description key from a signature of descriptionKeyMessage.
+ * Wallets sign with deterministic ECDSA (RFC 6979), so the same account
+ * always gets the same key back.
+ */
+export async function deriveDescriptionKey(
+  signature: string,
+): Promise<CryptoKey> {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    buffer(getBytes(signature)),
+    "HKDF",
+    false,
+    ["deriveKey"],
+  );
+
+  return crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: buffer(toUtf8Bytes(HKDF_SALT)),
+      info: buffer(toUtf8Bytes(`${ENCRYPTION_SCHEME} v${ENCRYPTION_VERSION}`)),
+    },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+/**
+ * Check whether a value is an encrypted payload
+ */
+export function isEncryptedPayload(value: unknown): value is EncryptedPayload {
+  if (typeof value !== "object" || value === null) return false;
+  const payload = value as Record<string, unknown>;
+  return (
+    typeof payload.scheme === "string" &&
+    typeof payload.version === "number" &&
+    typeof payload.iv === "string" &&
+    typeof payload.ciphertext === "string"
+  );
+}
+
+export async function encryptText(
+  text: string,
+  key: CryptoKey,
+): Promise<EncryptedPayload> {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    buffer(toUtf8Bytes(text)),
+  );
+
+  return {
+    scheme: ENCRYPTION_SCHEME,
+    version: ENCRYPTION_VERSION,
+    iv: hexlify(iv),
+    ciphertext: hexlify(new Uint8Array(ciphertext)),
+  };
+}
+
+/**
+ * Decrypt a payload. Throws if the scheme is unknown or the key is wrong.
+ */
+export async function decryptText(
+  payload: EncryptedPayload,
+  key: CryptoKey,
+): Promise<string> {
+  if (
+    payload.scheme !== ENCRYPTION_SCHEME ||
+    payload.version !== ENCRYPTION_VERSION
+  ) {
+    throw new Error(
+      `Unsupported encryption scheme: ${payload.scheme} v${payload.version}`,
+    );
+  }
+
+  let plaintext: ArrayBuffer;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: buffer(getBytes(payload.iv)) },
+      key,
+      buffer(getBytes(payload.ciphertext)),
+    );
+  } catch {
+    throw new Error("Could not decrypt description with this account's key");
+  }
+
+  return toUtf8String(new Uint8Array(plaintext));
+}
@@ -0,0 +1,299 @@
+/**
+ * A small Markdown parser for task descriptions: headings, paragraphs,
+ * emphasis, inline and fenced code, links, quotes, lists and checklists.
+ *
+ * It produces a tree rather than HTML, and components/Markdown renders that
+ * tree as React elements. Raw HTML is never interpreted, text is escaped by
+ * React, and links only keep http(s) and mailto URLs, so a description
+ * cannot inject markup or scripts.
+ */
+
+export type Inline =
+  | { type: "text"; text: string }
+  | { type: "code"; text: string }
+  | { type: "strong" | "em" | "del"; children: Inline[] }
+  // href is null when the URL was not safe to link to
+  | { type: "link"; href: string | null; children: Inline[] }
+  | { type: "break" };
+
+export interface ListItem {
+  // null for a plain list item, otherwise the state of its checkbox
+  checked: boolean | null;
+  children: Inline[];
+}
+
+export type Block =
+  | { type: "paragraph"; children: Inline[] }
+  | { type: "heading"; level: number; children: Inline[] }
+  | { type: "code"; text: string }
+  | { type: "quote"; children: Block[] }
+  | { type: "list"; ordered: boolean; start: number; items: ListItem[] }
+  | { type: "rule" };
+
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+/**
+ * The URL if a link may point to it, otherwise null. Relative URLs and
+ * schemes like javascript: and data: are refused.
+ */
+export function sanitizeUrl(url: string): string | null {
+  try {
+    return SAFE_PROTOCOLS.includes(new URL(url).protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+// Tried in order at each position; the first match wins
+const INLINE_RULES: [RegExp, (match: RegExpExecArray) => Inline][] = [
+  [/\\([\\`*_~[\]()#+\-.!>])/y, (m) => ({ type: "text", text: m[1] })],
+  [/`([^`]+)`/y, (m) => ({ type: "code", text: m[1] })],
+  [
+    /\[([^\]]+)\]\(([^()\s]+)\)/y,
+    (m) => ({
+      type: "link",
+      href: sanitizeUrl(m[2]),
+      children: parseInline(m[1]),
+    }),
+  ],
+  [
+    /<(https?:\/\/[^\s>]+)>/y,
+    (m) => ({
+      type: "link",
+      href: sanitizeUrl(m[1]),
+      children: [{ type: "text", text: m[1] }],
+    }),
+  ],
+  [
+    /(\*\*|__)(?=\S)(.*?\S)\1/y,
+    (m) => ({ type: "strong", children: parseInline(m[2]) }),
+  ],
+  [/~~(?=\S)(.*?\S)~~/y, (m) => ({ type: "del", children: parseInline(m[1]) })],
+  [/\*(?=\S)(.*?\S)\*/y, (m) => ({ type: "em", children: parseInline(m[1]) })],
+  [
+    /_(?=\S)(.*?\S)_(?!\w)/y,
+    (m) => ({ type: "em", children: parseInline(m[1]) }),
+  ],
+];
+
+/**
+ * Parse the inline Markdown of a single line
+ */
+export function parseInline(text: string): Inline[] {
+  const nodes: Inline[] = [];
+  let plain = "";
+  let index = 0;
+
+  const flush = () => {
+    if (plain) nodes.push({ type: "text", text: plain });
+    plain = "";
+  };
+
+  while (index < text.length) {
+    let matched = false;
+    // snake_case words must not start emphasis
+    const inWord = index > 0 && /\w/.test(text[index - 1]);
+
+    for (const [pattern, build] of INLINE_RULES) {
+      if (inWord && text[index] === "_") break;
+      pattern.lastIndex = index;
+      const match = pattern.exec(text);
+      if (match) {
+        // Read it first: building nested nodes reuses the same patterns
+        const end = pattern.lastIndex;
+        const node = build(match);
+        if (node.type === "text") {
+          plain += node.text;
+        } else {
+          flush();
+          nodes.push(node);
+        }
+        index = end;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      plain += text[index];
+      index++;
+    }
+  }
+
+  flush();
+  return nodes;
+}
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const FENCE = /^\s*```/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const LIST_ITEM = /^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+const TASK = /^\[([ xX])\]\s+(.*)$/;
+// Deeper quote markers are kept as text
+const MAX_QUOTE_DEPTH = 4;
+
+/**
+ * Lines of a paragraph, with single line breaks kept
+ */
+function paragraph(lines: string[]): Block {
+  const children: Inline[] = [];
+  lines.forEach((line, i) => {
+    if (i > 0) children.push({ type: "break" });
+    children.push(...parseInline(line.trim()));
+  });
+  return { type: "paragraph", children };
+}
+
+function listItem(text: string): ListItem {
+  const task = TASK.exec(text);
+  return task
+    ? { checked: task[1] !== " ", children: parseInline(task[2]) }
+    : { checked: null, children: parseInline(text) };
+}
+
+function parseBlocks(source: string, depth: number): Block[] {
+  const quotes = depth < MAX_QUOTE_DEPTH;
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  const blocks: Block[] = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    if (FENCE.test(line)) {
+      const code: string[] = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      // Skip the closing fence; an unclosed one runs to the end
+      i++;
+      blocks.push({ type: "code", text: code.join("\n") });
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        children: parseInline(heading[2]),
+      });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: "rule" });
+      i++;
+      continue;
+    }
+
+    if (quotes && QUOTE.test(line)) {
+      const quoted: string[] = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(QUOTE.exec(lines[i])![1]);
+        i++;
+      }
+      blocks.push({
+        type: "quote",
+        children: parseBlocks(quoted.join("\n"), depth + 1),
+      });
+      continue;
+    }
+
+    const first = LIST_ITEM.exec(line);
+    if (first) {
+      const ordered = first[2] !== undefined;
+      const texts: string[] = [];
+      while (i < lines.length && lines[i].trim()) {
+        const item = LIST_ITEM.exec(lines[i]);
+        if (item && (item[2] !== undefined) === ordered) {
+          texts.push(item[3]);
+        } else if (item || !/^\s/.test(lines[i])) {
+          // A different kind of list, or text that is not indented
+          break;
+        } else {
+          // Indented continuation of the previous item
+          texts[texts.length - 1] += ` ${lines[i].trim()}`;
+        }
+        i++;
+      }
+      blocks.push({
+        type: "list",
+        ordered,
+        start: ordered ? Number(first[2]) : 1,
+        items: texts.map(listItem),
+      });
+      continue;
+    }
+
+    const text: string[] = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !FENCE.test(lines[i]) &&
+      !HEADING.test(lines[i]) &&
+      !(quotes && QUOTE.test(lines[i])) &&
+      !LIST_ITEM.test(lines[i]) &&
+      !RULE.test(lines[i])
+    ) {
+      text.push(lines[i]);
+      i++;
+    }
+    blocks.push(paragraph(text));
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse a Markdown document into blocks
+ */
+export function parseMarkdown(source: string): Block[] {
+  return parseBlocks(source, 0);
+}
+
+/**
+ * Plain text of a Markdown document, e.g. for labels and titles
+ */
+export function markdownToText(source: string): string {
+  const inlineText = (nodes: Inline[]): string =>
+    nodes
+      .map((node) => {
+        switch (node.type) {
+          case "text":
+          case "code":
+            return node.text;
+          case "break":
+            return " ";
+          default:
+            return inlineText(node.children);
+        }
+      })
+      .join("");
+
+  const blockText = (block: Block): string => {
+    switch (block.type) {
+      case "code":
+        return block.text;
+      case "rule":
+        return "";
+      case "quote":
+        return block.children.map(blockText).join(" ");
+      case "list":
+        return block.items.map((item) => inlineText(item.children)).join(", ");
+      default:
+        return inlineText(block.children);
+    }
+  };
+
+  return parseMarkdown(source).map(blockText).filter(Boolean).join(" ");
+}
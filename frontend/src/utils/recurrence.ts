@@ -0,0 +1,46 @@
+import type { Recurrence } from "../types/todo";
+
+// On-chain Recurrence enum values, indexed by rule
+export const RECURRENCE_RULES: readonly Recurrence[] = [
+  "none",
+  "daily",
+  "weekly",
+  "monthly",
+  "interval",
+];
+
+// Mirrors TodoListV2.MIN_RECURRENCE_INTERVAL and MAX_RECURRENCE_INTERVAL
+export const MIN_RECURRENCE_INTERVAL = 60 * 60;
+export const MAX_RECURRENCE_INTERVAL = 365 * 24 * 60 * 60;
+
+export const INTERVAL_UNITS = { hours: 60 * 60, days: 24 * 60 * 60 } as const;
+
+export type IntervalUnit = keyof typeof INTERVAL_UNITS;
+
+export function recurrenceValue(rule: Recurrence): number {
+  return Math.max(RECURRENCE_RULES.indexOf(rule), 0);
+}
+
+export function isValidInterval(seconds: number): boolean {
+  return (
+    Number.isInteger(seconds) &&
+    seconds >= MIN_RECURRENCE_INTERVAL &&
+    seconds <= MAX_RECURRENCE_INTERVAL
+  );
+}
+
+/**
+ * Human readable rule, e.g. "Repeats weekly" or "Repeats every 3 days";
+ * custom intervals are shown in days when they divide evenly.
+ */
+export function describeRecurrence(rule: Recurrence, interval = 0): string {
+  if (rule === "none") return "Does not repeat";
+  if (rule !== "interval") return `Repeats ${rule}`;
+
+  const unit: IntervalUnit =
+    interval % INTERVAL_UNITS.days === 0 ? "days" : "hours";
+  const amount = interval / INTERVAL_UNITS[unit];
+  return amount === 1
+    ? `Repeats every ${unit.slice(0, -1)}`
+    : `Repeats every ${amount} ${unit}`;
+}
@@ -0,0 +1,50 @@
+import { getAddress } from "ethers";
+
+export interface SiweMessageFields {
+  /** Host the app is served from, e.g. "localhost:5173" */
+  domain: string;
+  address: string;
+  statement?: string;
+  /** Origin of the app, e.g. "http://localhost:5173" */
+  uri: string;
+  chainId: number;
+  nonce: string;
+  issuedAt: string;
+  expirationTime?: string;
+}
+
+export const SIWE_STATEMENT = "Sign in to the Todo App.";
+
+/**
+ * Build a Sign-In with Ethereum (EIP-4361) message. Wallets recognise this
+ * format and show it as a sign-in request for `domain`, warning the user
+ * when the page asking for it is served from somewhere else.
+ */
+export function buildSiweMessage({
+  domain,
+  address,
+  statement = SIWE_STATEMENT,
+  uri,
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime,
+}: SiweMessageFields): string {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    // EIP-4361 requires the checksummed address
+    getAddress(address),
+    "",
+    statement,
+    "",
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+  ];
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,39 @@
+import type { SubtaskCounts, Todo, TodoTree } from "../types/todo";
+
+// Mirrors TodoListV2.MAX_TASK_DEPTH: levels of subtasks below a top-level task
+export const MAX_SUBTASK_DEPTH = 3;
+
+/**
+ * Count a tree's subtasks at any depth, leaving out deleted ones like the
+ * backend's roll-up does.
+ */
+export function countSubtasks(tree: TodoTree): SubtaskCounts {
+  return tree.subtasks.reduce(
+    (counts, child) => {
+      if (child.deleted) return counts;
+      const nested = countSubtasks(child);
+      return {
+        total: counts.total + 1 + nested.total,
+        completed:
+          counts.completed + (child.completed ? 1 : 0) + nested.completed,
+      };
+    },
+    { total: 0, completed: 0 },
+  );
+}
+
+/**
+ * Share of subtasks completed, rounded to a whole percent (0 without subtasks)
+ */
+export function completionPercent(counts: SubtaskCounts): number {
+  return counts.total > 0
+    ? Math.round((counts.completed / counts.total) * 100)
+    : 0;
+}
+
+/**
+ * A tree node as a list item, with its nested subtasks replaced by a roll-up
+ */
+export function toTodo(tree: TodoTree): Todo {
+  return { ...tree, subtasks: countSubtasks(tree) };
+}
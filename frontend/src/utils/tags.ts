@@ -0,0 +1,64 @@
+import { id } from "ethers";
+
+// Priority levels stored on-chain as uint8 (see TodoListV2.MAX_PRIORITY)
+export const PRIORITY_LABELS = ["None", "Low", "Medium", "High"] as const;
+
+export const MAX_PRIORITY = PRIORITY_LABELS.length - 1;
+
+// Mirrors TodoListV2.MAX_TAGS_PER_TASK
+export const MAX_TAGS_PER_TASK = 5;
+
+const TAG_NAMES_KEY = "tagNames";
+
+/**
+ * Tags are stored on-chain as keccak256 hashes of the trimmed, lower-cased
+ * name, so "Work" and " work" are the same tag.
+ */
+export function normalizeTag(name: string): string {
+  return name.trim().toLowerCase();
+}
+
+export function hashTag(name: string): string {
+  return id(normalizeTag(name));
+}
+
+/**
+ * Split a comma separated input into unique, normalized tag names.
+ */
+export function parseTags(input: string): string[] {
+  const names = input.split(",").map(normalizeTag).filter(Boolean);
+  return Array.from(new Set(names));
+}
+
+function loadTagNames(): Record<string, string> {
+  try {
+    const stored = localStorage.getItem(TAG_NAMES_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Remember the names behind tag hashes so they can be shown again later;
+ * the chain and the API only ever see the hashes.
+ */
+export function rememberTags(names: string[]): void {
+  const known = loadTagNames();
+  for (const name of names) {
+    known[hashTag(name)] = normalizeTag(name);
+  }
+  localStorage.setItem(TAG_NAMES_KEY, JSON.stringify(known));
+}
+
+// Tag names this browser has seen, sorted by name
+export function knownTags(): { hash: string; name: string }[] {
+  return Object.entries(loadTagNames())
+    .map(([hash, name]) => ({ hash, name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Display name for a tag hash, or a short form of the hash when unknown
+export function tagLabel(hash: string): string {
+  return loadTagNames()[hash.toLowerCase()] ?? `#${hash.slice(2, 8)}`;
+}